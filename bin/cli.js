@@ -336,17 +336,7 @@ program
     try {
       const { hashPassword } = await import('../server/utils/auth.js');
 
-      let pw = password;
-      if (!pw) {
-        process.stderr.write('Password (input is echoed; pipe via stdin to hide): ');
-        pw = await new Promise((resolve) => {
-          let data = '';
-          process.stdin.setEncoding('utf8');
-          process.stdin.on('data', (chunk) => { data += chunk; });
-          process.stdin.on('end', () => resolve(data));
-        });
-      }
-      pw = (pw || '').replace(/\r?\n$/, '');
+      const pw = await readPassword(password);
       if (!pw) {
         console.error('No password provided.');
         process.exit(1);
@@ -361,6 +351,117 @@ program
     }
   });
 
+/**
+ * Use the given password, or read one from stdin (echoed; pipe it to hide)
+ * @param {string} [password]
+ * @returns {Promise<string>}
+ */
+async function readPassword(password) {
+  let pw = password;
+  if (!pw) {
+    process.stderr.write('Password (input is echoed; pipe via stdin to hide): ');
+    pw = await new Promise((resolve) => {
+      let data = '';
+      process.stdin.setEncoding('utf8');
+      process.stdin.on('data', (chunk) => { data += chunk; });
+      process.stdin.on('end', () => resolve(data));
+    });
+  }
+  return (pw || '').replace(/\r?\n$/, '');
+}
+
+/**
+ * Open the project's user store for a `users` subcommand
+ */
+async function openUserStore(options) {
+  process.env.ASTROADMIN_PROJECT_ROOT = path.resolve(options.project);
+  const { getConfig } = await import('../server/config.js');
+  const { createUserStore } = await import('../server/user-store.js');
+  const fullConfig = await getConfig();
+  return createUserStore({ path: fullConfig.users.path });
+}
+
+/**
+ * Run a `users` subcommand against the store, exiting non-zero on failure
+ */
+async function withUserStore(options, label, fn) {
+  try {
+    const store = await openUserStore(options);
+    try {
+      await fn(store);
+    } finally {
+      store.close();
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error(`❌ users ${label} failed:`, error.message);
+    if (process.env.DEBUG) console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+const users = program
+  .command('users')
+  .description('Manage admin user accounts (roles: viewer, editor, admin)');
+
+users
+  .command('list')
+  .description('List user accounts')
+  .option('--project <path>', 'Astro project root directory', process.cwd())
+  .action((options) => withUserStore(options, 'list', (store) => {
+    const rows = store.list();
+    if (rows.length === 0) {
+      console.log('No users yet — the configured ADMIN_USERNAME credential is in use.');
+      return;
+    }
+    for (const user of rows) {
+      console.log(`${user.username.padEnd(24)} ${user.role}`);
+    }
+  }));
+
+users
+  .command('add <username> [password]')
+  .description('Add a user (password is read from stdin if omitted)')
+  .option('--role <role>', 'viewer, editor or admin', 'editor')
+  .option('--project <path>', 'Astro project root directory', process.cwd())
+  .action((username, password, options) => withUserStore(options, 'add', async (store) => {
+    const wasEmpty = store.count() === 0;
+    await store.add(username, await readPassword(password), options.role);
+    console.log(`✅ Added ${username} (${options.role})`);
+    if (wasEmpty) {
+      console.log('   Logins now use these accounts; the ADMIN_USERNAME credential no longer works.');
+    }
+  }));
+
+users
+  .command('remove <username>')
+  .description('Remove a user (signs them out on their next request)')
+  .option('--project <path>', 'Astro project root directory', process.cwd())
+  .action((username, options) => withUserStore(options, 'remove', (store) => {
+    if (!store.remove(username)) throw new Error(`No such user: ${username}`);
+    console.log(`✅ Removed ${username}`);
+  }));
+
+users
+  .command('reset-password <username> [password]')
+  .description('Set a new password for a user (read from stdin if omitted)')
+  .option('--project <path>', 'Astro project root directory', process.cwd())
+  .action((username, password, options) => withUserStore(options, 'reset-password', async (store) => {
+    if (!await store.resetPassword(username, await readPassword(password))) {
+      throw new Error(`No such user: ${username}`);
+    }
+    console.log(`✅ Password reset for ${username}`);
+  }));
+
+users
+  .command('set-role <username> <role>')
+  .description("Change a user's role")
+  .option('--project <path>', 'Astro project root directory', process.cwd())
+  .action((username, role, options) => withUserStore(options, 'set-role', (store) => {
+    if (!store.setRole(username, role)) throw new Error(`No such user: ${username}`);
+    console.log(`✅ ${username} is now ${role}`);
+  }));
+
 // If no command specified, show help
 if (!process.argv.slice(2).length) {
   program.outputHelp();
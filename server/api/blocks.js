@@ -0,0 +1,265 @@
+/**
+ * Block Library API Router
+ * Configured blocks shared across entries, as copies or linked instances
+ * (see utils/block-library.js)
+ */
+
+import express from 'express';
+import { getConfig } from '../config.js';
+import { getCollectionAccess } from '../utils/permissions.js';
+import { recordContributor } from '../utils/authorship.js';
+import { updateEntryFile } from '../utils/entry-status.js';
+import { applyReplace } from '../utils/find-replace.js';
+import { commitFiles } from './git.js';
+import {
+  LINK_KEY,
+  listLibraryBlocks,
+  getLibraryBlock,
+  createLibraryBlock,
+  changeLibraryBlock,
+  saveLibraryBlock,
+  deleteLibraryBlock,
+  linkedInstance,
+  planLinkedUpdate,
+} from '../utils/block-library.js';
+
+const router = express.Router();
+
+function requestUsername(req) {
+  return req.user?.username ?? req.session?.user ?? null;
+}
+
+function notFound(res, id) {
+  return res.status(404).json({
+    success: false,
+    error: 'Library block not found',
+    message: `No library block "${id}"`,
+  });
+}
+
+/**
+ * Rewrite the linked instances in a plan (see planLinkedUpdate): 403 if any
+ * are in collections the login can't write, 422 if an entry would fail its
+ * schema, otherwise all entries are written and, with git, committed as one.
+ * Sends the error response itself and returns null, or returns what was written.
+ */
+async function applyLinkedPlan(req, res, plan, message) {
+  const fullConfig = await getConfig();
+  const username = requestUsername(req);
+
+  const forbidden = [...new Set(plan.map(item => item.collection))]
+    .filter(collection => getCollectionAccess(fullConfig.permissions, username, collection) !== 'write');
+  if (forbidden.length > 0) {
+    res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: `Linked instances are in collections you can't edit: ${forbidden.join(', ')}`,
+    });
+    return null;
+  }
+
+  const invalid = plan.filter(item => item.errors.length > 0);
+  if (invalid.length > 0) {
+    res.status(422).json({
+      success: false,
+      error: 'Validation failed',
+      message: `${invalid.length} entr${invalid.length === 1 ? 'y' : 'ies'} would fail schema validation; nothing was changed`,
+      entries: invalid.map(({ collection, slug, locale, errors }) => ({ collection, slug, locale, errors })),
+    });
+    return null;
+  }
+
+  const written = await applyReplace(plan, { author: username });
+  for (const { collection, slug, locale, filePath } of written) {
+    try {
+      await recordContributor(fullConfig, username, filePath);
+      await updateEntryFile(fullConfig, collection, slug, locale, filePath);
+    } catch (error) {
+      console.warn('Could not record linked block update:', error.message);
+    }
+  }
+
+  let commit = null;
+  let commitError = null;
+  if (fullConfig.git.enabled && written.length > 0) {
+    try {
+      const { result } = await commitFiles(fullConfig, written.map(entry => entry.filePath), message, { username });
+      commit = result ? { hash: result.commit, summary: result.summary } : null;
+    } catch (error) {
+      // The content is saved either way; it goes out with the next publish
+      console.warn('Could not commit linked block update:', error.message);
+      commitError = error.message;
+    }
+  }
+
+  return {
+    entries: written.map(({ collection, slug, locale }) => ({ collection, slug, locale })),
+    commit,
+    commitError,
+  };
+}
+
+/**
+ * GET /api/blocks
+ * Every library block, with its fields
+ */
+router.get('/', async (req, res) => {
+  try {
+    const fullConfig = await getConfig();
+    res.json({ success: true, blocks: await listLibraryBlocks(fullConfig) });
+  } catch (error) {
+    console.error('Error listing library blocks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list library blocks',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/blocks/:id
+ * One library block, and the entries holding linked instances of it (in
+ * collections the login can see)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const fullConfig = await getConfig();
+    const block = await getLibraryBlock(fullConfig, req.params.id);
+    if (!block) return notFound(res, req.params.id);
+
+    const username = requestUsername(req);
+    const usage = (await planLinkedUpdate(block.id))
+      .filter(item => getCollectionAccess(fullConfig.permissions, username, item.collection) !== 'none')
+      .map(({ collection, slug, locale, count }) => ({ collection, slug, locale, count }));
+
+    res.json({ success: true, block, usage });
+  } catch (error) {
+    console.error(`Error reading library block ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read library block',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/blocks
+ * Add a block to the library
+ * Body: { name, type, data } — `data` is the block's fields
+ */
+router.post('/', async (req, res) => {
+  const { name, type, data } = req.body || {};
+
+  try {
+    const fullConfig = await getConfig();
+    let block;
+    try {
+      block = await createLibraryBlock(fullConfig, { name, type, data, username: requestUsername(req) });
+    } catch (error) {
+      return res.status(error.message.includes('already exists') ? 409 : 400).json({
+        success: false,
+        error: 'Invalid library block',
+        message: error.message,
+      });
+    }
+
+    res.json({ success: true, block, message: `Added "${block.name}" to the block library` });
+  } catch (error) {
+    console.error('Error saving library block:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save library block',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/blocks/:id
+ * Rename a library block and/or change its fields. New fields are written to
+ * every linked instance first — all of them or, if one is in a collection the
+ * login can't edit or would fail its schema, none (403 / 422).
+ * Body: { name?, data? }
+ */
+router.put('/:id', async (req, res) => {
+  const { name, data } = req.body || {};
+
+  try {
+    const fullConfig = await getConfig();
+    const existing = await getLibraryBlock(fullConfig, req.params.id);
+    if (!existing) return notFound(res, req.params.id);
+
+    let block;
+    try {
+      block = changeLibraryBlock(existing, { name, data, username: requestUsername(req) });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid library block',
+        message: error.message,
+      });
+    }
+
+    let linked = { entries: [], commit: null, commitError: null };
+    if (data !== undefined) {
+      const plan = await planLinkedUpdate(block.id, () => linkedInstance(block));
+      linked = await applyLinkedPlan(req, res, plan, `Update library block "${block.name}" in ${plan.length} entr${plan.length === 1 ? 'y' : 'ies'}`);
+      if (!linked) return;
+    }
+
+    await saveLibraryBlock(fullConfig, block);
+
+    res.json({
+      success: true,
+      block,
+      ...linked,
+      message: linked.entries.length > 0
+        ? `Updated "${block.name}" in ${linked.entries.length} entr${linked.entries.length === 1 ? 'y' : 'ies'}`
+        : `Updated "${block.name}"`,
+    });
+  } catch (error) {
+    console.error(`Error updating library block ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update library block',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/blocks/:id
+ * Remove a block from the library. Its linked instances stay where they are,
+ * unlinked: from then on they're ordinary blocks.
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const fullConfig = await getConfig();
+    const block = await getLibraryBlock(fullConfig, req.params.id);
+    if (!block) return notFound(res, req.params.id);
+
+    const plan = await planLinkedUpdate(block.id, ({ [LINK_KEY]: _link, ...instance }) => instance);
+    const linked = await applyLinkedPlan(req, res, plan, `Unlink library block "${block.name}" from ${plan.length} entr${plan.length === 1 ? 'y' : 'ies'}`);
+    if (!linked) return;
+
+    await deleteLibraryBlock(fullConfig, block.id);
+
+    res.json({
+      success: true,
+      id: block.id,
+      ...linked,
+      message: `Removed "${block.name}" from the block library`,
+    });
+  } catch (error) {
+    console.error(`Error deleting library block ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete library block',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
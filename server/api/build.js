@@ -4,49 +4,66 @@
  */
 
 import express from 'express';
-import { exec } from 'child_process';
-import { promisify } from 'util';
-import { config, IS_DEV } from '../config.js';
+import { config, getConfig, IS_DEV } from '../config.js';
+import { runCommand } from '../utils/build.js';
+import { startRun } from '../utils/publish-runs.js';
 
-const execAsync = promisify(exec);
 const router = express.Router();
 
 /**
- * Execute build command
+ * Execute build command, streaming its output into a run log
  */
-async function runBuild(command, label) {
+async function runBuild(command, label, { user = null, streamIds = [] } = {}) {
   console.log(`🔨 Starting ${label} build...`);
   const startTime = Date.now();
+  const run = startRun(await getConfig(), { user, streamIds, kind: `build:${label.toLowerCase()}` });
 
   try {
-    const { stdout, stderr } = await execAsync(command, {
+    const { code, stdout, stderr } = await runCommand(command, {
       cwd: config.paths.projectRoot,
-      maxBuffer: 10 * 1024 * 1024, // 10MB buffer for large outputs
+      onLine: run.logger('build'),
     });
+    if (code !== 0) {
+      const error = new Error(`Command failed with exit code ${code}: ${command}`);
+      Object.assign(error, { stdout, stderr });
+      throw error;
+    }
 
     const duration = Date.now() - startTime;
     console.log(`✅ ${label} build completed in ${duration}ms`);
+    run.finish({ success: true });
 
     return {
       success: true,
       duration,
-      stdout: stdout.slice(-1000), // Last 1000 chars
-      stderr: stderr.slice(-1000),
+      runId: run.id,
+      // The end of the output (see runCommand); the run log has it all
+      stdout,
+      stderr,
     };
   } catch (error) {
     const duration = Date.now() - startTime;
     console.error(`❌ ${label} build failed:`, error.message);
+    run.finish({ success: false, error: error.message });
 
     return {
       success: false,
       duration,
+      runId: run.id,
       error: error.message,
-      stdout: error.stdout?.slice(-1000),
-      stderr: error.stderr?.slice(-1000),
+      stdout: error.stdout,
+      stderr: error.stderr,
     };
   }
 }
 
+function runOptions(req) {
+  return {
+    user: req.user?.username ?? req.session?.user ?? null,
+    streamIds: req.body?.streamId ? [req.body.streamId] : [],
+  };
+}
+
 /**
  * POST /api/build/staging
  * Trigger staging build
@@ -62,7 +79,7 @@ router.post('/staging', async (req, res) => {
       });
     }
 
-    const result = await runBuild(config.build.staging, 'Staging');
+    const result = await runBuild(config.build.staging, 'Staging', runOptions(req));
 
     res.json({
       ...result,
@@ -87,7 +104,7 @@ router.post('/staging', async (req, res) => {
  */
 router.post('/production', async (req, res) => {
   try {
-    const result = await runBuild(config.build.production, 'Production');
+    const result = await runBuild(config.build.production, 'Production', runOptions(req));
 
     res.json({
       ...result,
@@ -16,6 +16,8 @@ import {
 import { getConfig } from '../config.js';
 import { detectPreviewRoutes, getPreviewRoute } from '../utils/routes.js';
 import { discoverStaticPages } from '../utils/page-discovery.js';
+import { collectionAccessForRequest, requireCollectionAccess } from '../utils/permissions.js';
+import { listEntryStatuses } from '../utils/entry-status.js';
 
 const router = express.Router();
 
@@ -58,11 +60,26 @@ function enrichSchemaWithBlockTypes(schema, discriminatedUnions) {
   return enriched;
 }
 
+/**
+ * Unpublished entries of a collection, keyed by slug (`slug:locale` for a
+ * translation), for the status badges in the page selector
+ */
+function collectionStatuses(statuses, collectionName) {
+  const prefix = `${collectionName}/`;
+  const result = {};
+  for (const [key, record] of Object.entries(statuses)) {
+    if (!key.startsWith(prefix) || record.status === 'published') continue;
+    result[key.slice(prefix.length)] = { status: record.status, publishAt: record.publishAt, lastError: record.lastError ?? null };
+  }
+  return result;
+}
+
 /**
  * GET /api/collections
  * Get all collections with their metadata
  * Includes i18n configuration for frontend locale handling
  * Includes auto-detected preview routes for each collection
+ * Includes each unpublished entry's workflow status
  */
 router.get('/', async (req, res) => {
   try {
@@ -74,13 +91,22 @@ router.get('/', async (req, res) => {
     // Detect preview routes for collections
     const detectedRoutes = await detectPreviewRoutes();
     const userRoutes = fullConfig.preview?.routes || {};
-
-    // Add preview route to each collection
-    const collectionsWithRoutes = collections.map(collection => ({
-      ...collection,
-      // User config takes precedence over auto-detected
-      previewRoute: userRoutes[collection.name] || detectedRoutes[collection.name] || null,
-    }));
+    const statuses = await listEntryStatuses(fullConfig);
+
+    // Add preview route and the user's access to each collection, dropping
+    // the ones their `permissions` entry doesn't include
+    const collectionsWithRoutes = [];
+    for (const collection of collections) {
+      const access = await collectionAccessForRequest(req, collection.name);
+      if (access === 'none') continue;
+      collectionsWithRoutes.push({
+        ...collection,
+        access,
+        statuses: collectionStatuses(statuses, collection.name),
+        // User config takes precedence over auto-detected
+        previewRoute: userRoutes[collection.name] || detectedRoutes[collection.name] || null,
+      });
+    }
 
     // Discover static pages from src/pages/
     const staticPages = await discoverStaticPages(fullConfig.paths?.projectRoot || process.cwd());
@@ -109,7 +135,7 @@ router.get('/', async (req, res) => {
  * GET /api/collections/:collectionName
  * Get details about a specific collection
  */
-router.get('/:collectionName', async (req, res) => {
+router.get('/:collectionName', requireCollectionAccess('read'), async (req, res) => {
   try {
     const { collectionName } = req.params;
 
@@ -149,7 +175,7 @@ router.get('/:collectionName', async (req, res) => {
  * GET /api/collections/:collectionName/entries
  * Get list of entry slugs for a collection
  */
-router.get('/:collectionName/entries', async (req, res) => {
+router.get('/:collectionName/entries', requireCollectionAccess('read'), async (req, res) => {
   try {
     const { collectionName } = req.params;
     const { preview } = req.query;
@@ -189,7 +215,7 @@ router.get('/:collectionName/entries', async (req, res) => {
  * Get entries with their available locales (for i18n sites)
  * Returns which locales exist for each entry
  */
-router.get('/:collectionName/entries-with-locales', async (req, res) => {
+router.get('/:collectionName/entries-with-locales', requireCollectionAccess('read'), async (req, res) => {
   try {
     const { collectionName } = req.params;
     const fullConfig = await getConfig();
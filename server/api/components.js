@@ -0,0 +1,40 @@
+/**
+ * Components API
+ * Lists the site's components (src/components/) and their props, for the MDX
+ * editor's component palette
+ */
+
+import express from 'express';
+import path from 'path';
+import { getConfig } from '../config.js';
+import { discoverComponents } from '../utils/component-discovery.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/components
+ * Query params: ?from=<path of the entry being edited> (optional; import
+ * paths are made relative to it)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const fullConfig = await getConfig();
+    const projectRoot = fullConfig.paths?.projectRoot || process.cwd();
+
+    // Only paths inside the project make sense as import origins
+    let from = typeof req.query.from === 'string' && req.query.from ? path.resolve(projectRoot, req.query.from) : null;
+    if (from && path.relative(projectRoot, from).startsWith('..')) from = null;
+
+    const components = await discoverComponents(projectRoot, { from });
+    res.json({ success: true, components });
+  } catch (error) {
+    console.error('Error discovering components:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to discover components',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
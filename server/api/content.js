@@ -8,9 +8,31 @@ import {
   readContent,
   writeContent,
   deleteContent,
+  renameContent,
   contentExists,
+  listRevisions,
+  readRevision,
+  getAvailableLocales,
 } from '../utils/content.js';
+import { activeStoreMode } from '../utils/content-store.js';
+import { entryDiff } from '../utils/entry-diff.js';
 import { getConfig } from '../config.js';
+import { validateContent } from '../utils/validate-content.js';
+import { requireCollectionAccess, getCollectionAccess } from '../utils/permissions.js';
+import { recordContributor } from '../utils/authorship.js';
+import { loadSchemas } from '../utils/collections.js';
+import {
+  getEntryStatus,
+  setEntryStatus,
+  updateEntryFile,
+  moveEntryStatus,
+  removeEntryStatus,
+} from '../utils/entry-status.js';
+import { parseReplaceOptions, planReplace, applyReplace } from '../utils/find-replace.js';
+import { commitFiles, moveFile } from './git.js';
+import { findReferrers, rewriteReferences } from '../utils/references.js';
+import { addRedirects, REDIRECT_TARGETS } from '../utils/redirects.js';
+import { getEntryPagePath } from '../utils/routes.js';
 
 const router = express.Router();
 
@@ -39,12 +61,910 @@ async function getLocaleFromRequest(req) {
   return fullConfig.i18n.defaultLocale;
 }
 
+/**
+ * Note who changed a file, for commit attribution. Best-effort: a failure here
+ * must not fail a save that already succeeded.
+ */
+async function recordSaveBy(req, filePath) {
+  try {
+    const fullConfig = await getConfig();
+    await recordContributor(fullConfig, req.user?.username ?? req.session?.user, filePath);
+  } catch (error) {
+    console.warn('Could not record contributor:', error.message);
+  }
+}
+
+/**
+ * Keep the entry's status record pointing at the file it was saved to (or
+ * drop it once deleted, or move it along with a renamed entry). Best-effort,
+ * like recordSaveBy.
+ * @param {Object} [options]
+ * @param {boolean} [options.deleted] - The entry is gone
+ * @param {string} [options.renamedFrom] - The entry's slug before a rename
+ */
+async function trackEntryFile(collection, slug, locale, filePath, { deleted = false, renamedFrom = null } = {}) {
+  try {
+    const fullConfig = await getConfig();
+    if (deleted) {
+      await removeEntryStatus(fullConfig, collection, slug, locale);
+    } else if (renamedFrom) {
+      await moveEntryStatus(fullConfig, collection, renamedFrom, slug, locale, filePath);
+    } else {
+      await updateEntryFile(fullConfig, collection, slug, locale, filePath);
+    }
+  } catch (error) {
+    console.warn('Could not update entry status:', error.message);
+  }
+}
+
+/**
+ * Why an entry can't be held back on its own, or null if it can. A status
+ * works by leaving the entry's file out of a commit, so the entry needs a
+ * file of its own.
+ */
+async function statusUnsupportedReason(collection, filePath) {
+  if (String(filePath).startsWith('db:')) {
+    return 'Publishing status needs the files content store (the database is committed as a whole)';
+  }
+  try {
+    const schemas = await loadSchemas();
+    if (schemas[collection]?.loaderType === 'file') {
+      return `Entries of "${collection}" share one file, so they can't be held back individually`;
+    }
+  } catch {
+    // No content config: a plain glob collection, one file per entry
+  }
+  return null;
+}
+
+/**
+ * Validate entry data against the collection schema, replying 422 with
+ * per-field errors when it fails (400 when there's no data object at all)
+ * @param {Response} res - Express response
+ * @param {string} collection - Collection name
+ * @param {object} data - Entry data
+ * @returns {Promise<boolean>} - true if a 400 or 422 was sent
+ */
+async function rejectInvalidContent(res, collection, data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    res.status(400).json({
+      success: false,
+      error: 'Missing required field: data',
+      message: 'The request body needs a "data" object with the entry\'s fields',
+    });
+    return true;
+  }
+
+  const { valid, errors } = await validateContent(collection, data);
+  if (valid) return false;
+
+  res.status(422).json({
+    success: false,
+    error: 'Validation failed',
+    message: `${errors.length} field${errors.length === 1 ? '' : 's'} failed schema validation`,
+    errors,
+  });
+  return true;
+}
+
+/**
+ * Reply 400 unless the active store keeps revision history (the SQLite store
+ * does; with the file store, history is git's)
+ * @returns {Promise<boolean>} - true if a 400 was sent
+ */
+async function rejectWithoutRevisions(res) {
+  if ((await activeStoreMode()) === 'db') return false;
+
+  res.status(400).json({
+    success: false,
+    error: 'Revisions not supported',
+    message: 'Revision history is kept by the SQLite content store; with the file store use the git history (/api/git/file-history)',
+  });
+  return true;
+}
+
+/**
+ * The entries referencing this one that the login may see, and how many
+ * others it can't (collections without read access)
+ * @returns {Promise<{referrers: Array<Object>, hidden: number}>} - See findReferrers
+ */
+async function visibleReferrers(req, collection, slug) {
+  const fullConfig = await getConfig();
+  const username = req.user?.username ?? req.session?.user ?? null;
+  const all = await findReferrers(collection, slug);
+  const referrers = all.filter(referrer =>
+    getCollectionAccess(fullConfig.permissions, username, referrer.collection) !== 'none');
+  return { referrers, hidden: all.length - referrers.length };
+}
+
+/**
+ * Parse a revision id route/query param
+ * @returns {number|null}
+ */
+function parseRevisionId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * POST /api/content/replace
+ * Find and replace across entries. Every affected entry is validated first;
+ * then all of them are written or none are, and (with git) committed
+ * together as one commit.
+ * Body: { find, replace, regex?, caseSensitive?, wholeWord?, collections?,
+ *   fields?, locales?, dryRun? } — see utils/find-replace.js
+ * With dryRun, nothing is written: the response lists each entry that would
+ * change, with a diff.
+ */
+router.post('/replace', async (req, res) => {
+  let options;
+  try {
+    options = parseReplaceOptions(req.body || {});
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid replace request',
+      message: error.message,
+    });
+  }
+
+  try {
+    const fullConfig = await getConfig();
+    const username = req.user?.username ?? req.session?.user ?? null;
+    const canWrite = (collection) => getCollectionAccess(fullConfig.permissions, username, collection) === 'write';
+
+    const forbidden = (options.collections || []).filter(collection => !canWrite(collection));
+    if (forbidden.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `You don't have write access to: ${forbidden.join(', ')}`,
+      });
+    }
+
+    let plan;
+    try {
+      plan = await planReplace(options, { allow: canWrite, timeoutMs: fullConfig.findReplace.timeoutMs });
+    } catch (error) {
+      if (error.code !== 'ETIMEDOUT') throw error;
+      return res.status(400).json({
+        success: false,
+        error: 'Pattern too slow',
+        message: error.message,
+      });
+    }
+    const entries = plan.map(({ collection, slug, locale, changes, count, diff, errors }) => ({
+      collection, slug, locale, changes, count, diff, errors,
+    }));
+    const summary = {
+      entries,
+      totalEntries: plan.length,
+      totalMatches: plan.reduce((sum, item) => sum + item.count, 0),
+    };
+
+    if (req.body.dryRun) {
+      return res.json({ success: true, dryRun: true, ...summary });
+    }
+
+    const invalid = entries.filter(entry => entry.errors.length > 0);
+    if (invalid.length > 0) {
+      return res.status(422).json({
+        success: false,
+        error: 'Validation failed',
+        message: `${invalid.length} entr${invalid.length === 1 ? 'y' : 'ies'} would fail schema validation; nothing was changed`,
+        ...summary,
+      });
+    }
+
+    const written = await applyReplace(plan, { author: username });
+    for (const { collection, slug, locale, filePath } of written) {
+      await recordSaveBy(req, filePath);
+      await trackEntryFile(collection, slug, locale, filePath);
+    }
+
+    let commit = null;
+    let commitError = null;
+    if (fullConfig.git.enabled && written.length > 0) {
+      const message = `Replace "${req.body.find}" with "${req.body.replace ?? ''}" in ${written.length} entr${written.length === 1 ? 'y' : 'ies'}`;
+      try {
+        const { result } = await commitFiles(fullConfig, written.map(entry => entry.filePath), message, { username });
+        commit = result ? { hash: result.commit, summary: result.summary } : null;
+      } catch (error) {
+        // The content is saved either way; it goes out with the next publish
+        console.warn('Could not commit replacement:', error.message);
+        commitError = error.message;
+      }
+    }
+
+    res.json({
+      success: true,
+      dryRun: false,
+      ...summary,
+      commit,
+      commitError,
+      message: `Replaced ${summary.totalMatches} match${summary.totalMatches === 1 ? '' : 'es'} in ${written.length} entr${written.length === 1 ? 'y' : 'ies'}`,
+    });
+  } catch (error) {
+    console.error('Error replacing content:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to replace content',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/content/:collection/:slug/references
+ * The entries whose reference fields point at this one ("Used by")
+ */
+router.get('/:collection/:slug/references', requireCollectionAccess('read'), async (req, res) => {
+  try {
+    const { collection, slug } = req.params;
+    const { referrers, hidden } = await visibleReferrers(req, collection, slug);
+
+    res.json({ success: true, collection, slug, referrers, hidden });
+  } catch (error) {
+    console.error(`Error finding references to ${req.params.collection}/${req.params.slug}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to find references',
+      message: error.message,
+    });
+  }
+});
+
+// A slug an entry can be renamed to: it ends up in file paths, URLs and
+// redirect files, so nothing that needs quoting or escaping
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9_-]*(?:\/[a-z0-9][a-z0-9_-]*)*$/i;
+
+/**
+ * POST /api/content/:collection/:slug/rename
+ * Give an entry a new slug. Every locale variant moves (by `git mv` when git
+ * tracks the file), entries referencing it are pointed at the new slug, and
+ * the old URLs can redirect to the new ones.
+ * Body: { to, updateReferences = true, redirect?: 'astro' | '_redirects' }
+ * Refused with 409 if the new slug is taken, and with 403 if references
+ * would need updating in collections the login can't edit.
+ */
+router.post('/:collection/:slug/rename', requireCollectionAccess('write'), async (req, res) => {
+  const { collection, slug } = req.params;
+  const { to, updateReferences = true, redirect = null } = req.body || {};
+
+  if (typeof to !== 'string' || !SLUG_PATTERN.test(to) || to === slug) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid slug',
+      message: '"to" must be a new slug for the entry: letters, numbers, hyphens and underscores, with / between folders',
+    });
+  }
+  if (redirect && !REDIRECT_TARGETS.includes(redirect)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid redirect',
+      message: `"redirect" must be one of: ${REDIRECT_TARGETS.join(', ')}`,
+    });
+  }
+
+  try {
+    const fullConfig = await getConfig();
+    const username = req.user?.username ?? req.session?.user ?? null;
+
+    if (updateReferences) {
+      const locked = [...new Set((await findReferrers(collection, slug))
+        .map(referrer => referrer.collection)
+        .filter(other => getCollectionAccess(fullConfig.permissions, username, other) !== 'write'))];
+      if (locked.length > 0) {
+        return res.status(403).json({
+          success: false,
+          error: 'Forbidden',
+          message: `Entries in ${locked.join(', ')} reference ${collection}/${slug}, and you can't edit them; rename without updating references to leave them pointing at the old slug`,
+        });
+      }
+    }
+
+    let result;
+    try {
+      result = await renameContent(collection, slug, to, {
+        author: username,
+        moveFile: (from, target) => moveFile(fullConfig, from, target),
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({ success: false, error: 'Content not found', message: error.message });
+      }
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({ success: false, error: 'Slug taken', message: error.message });
+      }
+      if (error.message.startsWith('Invalid path')) {
+        return res.status(400).json({ success: false, error: 'Invalid slug', message: error.message });
+      }
+      throw error;
+    }
+
+    for (const move of result.moved) {
+      for (const filePath of new Set([move.from, move.to])) {
+        await recordSaveBy(req, filePath);
+      }
+      await trackEntryFile(collection, to, move.locale, move.to, { renamedFrom: slug });
+    }
+
+    const references = updateReferences
+      ? await rewriteReferences(collection, slug, to, { author: username })
+      : [];
+    for (const { collection: referrer, slug: referrerSlug, locale, filePath } of references) {
+      await recordSaveBy(req, filePath);
+      await trackEntryFile(referrer, referrerSlug, locale, filePath);
+    }
+
+    // The entry has moved either way; a redirect that can't be added is
+    // reported, not fatal
+    let redirects = null;
+    let redirectError = null;
+    if (redirect) {
+      const paths = [];
+      for (const move of result.moved) {
+        const from = await getEntryPagePath(collection, slug, move.locale, fullConfig);
+        const target = await getEntryPagePath(collection, to, move.locale, fullConfig);
+        if (from && target && !paths.some(existing => existing.from === from)) paths.push({ from, to: target });
+      }
+      if (paths.length === 0) {
+        redirectError = `"${collection}" entries have no page route, so there's no URL to redirect`;
+      } else {
+        try {
+          const { filePath } = await addRedirects(fullConfig.paths.projectRoot, redirect, paths);
+          redirects = { filePath, paths };
+          await recordSaveBy(req, filePath);
+        } catch (error) {
+          console.warn('Could not add redirect:', error.message);
+          redirectError = error.message;
+        }
+      }
+    }
+
+    res.json({
+      success: true,
+      collection,
+      slug: to,
+      from: slug,
+      moved: result.moved,
+      references,
+      redirects,
+      redirectError,
+      message: `Renamed ${collection}/${slug} to ${collection}/${to}`,
+    });
+  } catch (error) {
+    console.error(`Error renaming ${collection}/${slug}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rename content',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/content/:collection/:slug/duplicate
+ * Copy an entry to a new slug: the locale asked for, or with allLocales
+ * every translation it has
+ * Body: { to, allLocales = false }
+ * Query params: ?locale=en (optional, uses default locale if i18n enabled)
+ * Refused with 409 if the new slug is taken in any of those locales.
+ */
+router.post('/:collection/:slug/duplicate', requireCollectionAccess('write'), async (req, res) => {
+  const { collection, slug } = req.params;
+  const { to, allLocales = false } = req.body || {};
+
+  if (typeof to !== 'string' || to.trim() === '' || to !== to.trim() || to === slug) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid slug',
+      message: '"to" must be a new slug for the copy',
+    });
+  }
+
+  try {
+    const fullConfig = await getConfig();
+    const locale = await getLocaleFromRequest(req);
+    const locales = allLocales && locale
+      ? await getAvailableLocales(collection, slug, fullConfig.i18n.locales)
+      : [locale];
+
+    const sources = [];
+    try {
+      for (const sourceLocale of locales) {
+        sources.push(await readContent(collection, slug, sourceLocale));
+      }
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({ success: false, error: 'Content not found', message: error.message });
+      }
+      if (error.message.startsWith('Invalid path')) {
+        return res.status(400).json({ success: false, error: 'Invalid slug', message: error.message });
+      }
+      throw error;
+    }
+    if (sources.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Content not found',
+        message: `Content not found: ${collection}/${slug}`,
+      });
+    }
+
+    try {
+      for (const source of sources) {
+        if (await contentExists(collection, to, source.locale)) {
+          const localeHint = source.locale ? ` (${source.locale})` : '';
+          return res.status(409).json({
+            success: false,
+            error: 'Slug taken',
+            message: `Content already exists: ${collection}/${to}${localeHint}`,
+          });
+        }
+      }
+    } catch (error) {
+      if (error.message.startsWith('Invalid path')) {
+        return res.status(400).json({ success: false, error: 'Invalid slug', message: error.message });
+      }
+      throw error;
+    }
+
+    const created = [];
+    for (const source of sources) {
+      const result = await writeContent(collection, to, {
+        data: source.data,
+        body: source.body,
+        type: source.type,
+      }, source.locale, { author: req.user?.username ?? req.session?.user ?? null });
+      await recordSaveBy(req, result.filePath);
+      await trackEntryFile(collection, to, result.locale, result.filePath);
+      created.push(result);
+    }
+
+    res.json({
+      success: true,
+      collection,
+      slug: to,
+      from: slug,
+      created,
+      message: `Duplicated ${collection}/${slug} as ${collection}/${to}`,
+    });
+  } catch (error) {
+    console.error(`Error duplicating ${collection}/${slug}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to duplicate content',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * The list at a blocks field path ('blocks', 'sections[1].blocks') in entry
+ * data, added if the entry doesn't have it yet
+ * @throws if the path runs through something that isn't an object, or ends at
+ *   something that isn't a list
+ */
+function blockListAt(data, fieldPath) {
+  const keys = String(fieldPath).split(/\.|\[|\]/).filter(Boolean);
+  if (keys.length === 0 || keys.some(key => ['__proto__', 'prototype', 'constructor'].includes(key))) {
+    throw new Error(`Invalid field "${fieldPath}"`);
+  }
+
+  let parent = data;
+  for (const key of keys.slice(0, -1)) {
+    if (!parent[key] || typeof parent[key] !== 'object') {
+      throw new Error(`The entry has no field "${fieldPath}"`);
+    }
+    parent = parent[key];
+  }
+  const last = keys[keys.length - 1];
+  parent[last] ??= [];
+  if (!Array.isArray(parent[last])) {
+    throw new Error(`"${fieldPath}" isn't a list of blocks`);
+  }
+  return parent[last];
+}
+
+/**
+ * POST /api/content/:collection/:slug/copy-blocks
+ * Add blocks to the end of a blocks field in other translations of the entry
+ * ("Copy to locale…"). Every target is validated first, then all are written
+ * or none are (422 with each failing locale's errors). Locales the entry
+ * hasn't been translated into are skipped and listed as `missing`.
+ * Query params: ?locale=en (the translation copied from)
+ * Body: { field, blocks: [{ type, ... }], locales: ['de', 'fr'] }
+ */
+router.post('/:collection/:slug/copy-blocks', requireCollectionAccess('write'), async (req, res) => {
+  const { collection, slug } = req.params;
+  const { field, blocks, locales } = req.body || {};
+
+  try {
+    const fullConfig = await getConfig();
+    const fromLocale = await getLocaleFromRequest(req);
+
+    const invalid = (message) => res.status(400).json({ success: false, error: 'Invalid copy request', message });
+    if (!fromLocale) {
+      return invalid('Copying blocks to another locale needs i18n enabled');
+    }
+    if (typeof field !== 'string' || field === '') {
+      return invalid('"field" must name the blocks field');
+    }
+    const isBlock = block => block && typeof block === 'object' && !Array.isArray(block) && typeof block.type === 'string';
+    if (!Array.isArray(blocks) || blocks.length === 0 || !blocks.every(isBlock)) {
+      return invalid('"blocks" must be a list of blocks, each with a type');
+    }
+    if (!Array.isArray(locales) || locales.length === 0 ||
+        !locales.every(locale => fullConfig.i18n.locales.includes(locale) && locale !== fromLocale)) {
+      return invalid(`"locales" must list other configured locales (${fullConfig.i18n.locales.join(', ')})`);
+    }
+
+    const plan = [];
+    const missing = [];
+    for (const locale of [...new Set(locales)]) {
+      if (!(await contentExists(collection, slug, locale))) {
+        missing.push(locale);
+        continue;
+      }
+
+      const entry = await readContent(collection, slug, locale);
+      const data = structuredClone(entry.data);
+      try {
+        blockListAt(data, field).push(...structuredClone(blocks));
+      } catch (error) {
+        return invalid(`${locale}: ${error.message}`);
+      }
+      const { errors } = await validateContent(collection, data);
+      plan.push({
+        collection,
+        slug,
+        locale,
+        before: { data: entry.data, body: entry.body ?? null, type: entry.type },
+        after: { data, body: entry.body ?? null, type: entry.type },
+        errors,
+      });
+    }
+
+    if (plan.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Content not found',
+        message: `${collection}/${slug} has no ${missing.join(', ')} translation`,
+        missing,
+      });
+    }
+
+    const failing = plan.filter(item => item.errors.length > 0);
+    if (failing.length > 0) {
+      return res.status(422).json({
+        success: false,
+        error: 'Validation failed',
+        message: `The blocks don't fit the ${failing.map(item => item.locale).join(', ')} translation; nothing was changed`,
+        locales: failing.map(({ locale, errors }) => ({ locale, errors })),
+      });
+    }
+
+    const written = await applyReplace(plan, { author: req.user?.username ?? req.session?.user ?? null });
+    for (const { locale, filePath } of written) {
+      await recordSaveBy(req, filePath);
+      await trackEntryFile(collection, slug, locale, filePath);
+    }
+
+    const copied = written.map(({ locale, filePath }) => ({ locale, filePath }));
+    res.json({
+      success: true,
+      collection,
+      slug,
+      field,
+      from: fromLocale,
+      copied,
+      missing,
+      message: `Copied ${blocks.length} block${blocks.length === 1 ? '' : 's'} to ${copied.map(item => item.locale).join(', ')}`,
+    });
+  } catch (error) {
+    if (error.message?.startsWith('Invalid path')) {
+      return res.status(400).json({ success: false, error: 'Invalid slug', message: error.message });
+    }
+    console.error(`Error copying blocks of ${collection}/${slug}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to copy blocks',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/content/:collection/:slug/revisions
+ * An entry's revision history, newest first (SQLite store only)
+ * Query params: ?locale=en, ?limit=50
+ */
+router.get('/:collection/:slug/revisions', requireCollectionAccess('read'), async (req, res) => {
+  if (await rejectWithoutRevisions(res)) return;
+
+  try {
+    const { collection, slug } = req.params;
+    const locale = await getLocaleFromRequest(req);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+
+    const revisions = await listRevisions(collection, slug, locale, { limit });
+
+    res.json({ success: true, collection, slug, locale, revisions });
+  } catch (error) {
+    console.error(`Error listing revisions ${req.params.collection}/${req.params.slug}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list revisions',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/content/:collection/:slug/revisions/diff
+ * Diff two revisions of an entry
+ * Query params: ?from=<id>, ?to=<id> (optional, defaults to the current
+ * entry), ?locale=en
+ */
+router.get('/:collection/:slug/revisions/diff', requireCollectionAccess('read'), async (req, res) => {
+  if (await rejectWithoutRevisions(res)) return;
+
+  try {
+    const { collection, slug } = req.params;
+    const locale = await getLocaleFromRequest(req);
+    const from = parseRevisionId(req.query.from);
+    const to = req.query.to ? parseRevisionId(req.query.to) : null;
+
+    if (!from || (req.query.to && !to)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid revision',
+        message: '"from" (and "to", if given) must be revision ids',
+      });
+    }
+
+    const before = await readRevision(collection, slug, locale, from);
+    let after;
+    if (to) {
+      after = await readRevision(collection, slug, locale, to);
+    } else {
+      try {
+        after = await readContent(collection, slug, locale);
+      } catch (error) {
+        // Deleted since: diff against nothing
+        if (!error.message.includes('not found')) throw error;
+        after = null;
+      }
+    }
+
+    if (!before || (to && !after)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found',
+        message: `No revision ${!before ? from : to} for ${collection}/${slug}`,
+      });
+    }
+
+    const entry = { collection, slug, locale };
+    res.json({
+      success: true,
+      collection,
+      slug,
+      locale,
+      from,
+      to,
+      diff: entryDiff({ ...entry, ...before }, after ? { ...entry, ...after } : null),
+    });
+  } catch (error) {
+    console.error(`Error diffing revisions ${req.params.collection}/${req.params.slug}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to diff revisions',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/content/:collection/:slug/revisions/:id
+ * One revision of an entry, with its content
+ * Query params: ?locale=en
+ */
+router.get('/:collection/:slug/revisions/:id', requireCollectionAccess('read'), async (req, res) => {
+  if (await rejectWithoutRevisions(res)) return;
+
+  try {
+    const { collection, slug } = req.params;
+    const locale = await getLocaleFromRequest(req);
+    const id = parseRevisionId(req.params.id);
+    const revision = id ? await readRevision(collection, slug, locale, id) : null;
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found',
+        message: `No revision ${req.params.id} for ${collection}/${slug}`,
+      });
+    }
+
+    res.json({ success: true, collection, slug, revision });
+  } catch (error) {
+    console.error(`Error reading revision ${req.params.collection}/${req.params.slug}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read revision',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/content/:collection/:slug/revisions/:id/restore
+ * Save a revision's content as the entry's current version (recorded as a
+ * new 'restore' revision, so the restore itself can be undone). Validated
+ * like PUT: a revision that no longer fits the schema is refused with 422.
+ * Query params: ?locale=en
+ */
+router.post('/:collection/:slug/revisions/:id/restore', requireCollectionAccess('write'), async (req, res) => {
+  if (await rejectWithoutRevisions(res)) return;
+
+  try {
+    const { collection, slug } = req.params;
+    const locale = await getLocaleFromRequest(req);
+    const id = parseRevisionId(req.params.id);
+    const revision = id ? await readRevision(collection, slug, locale, id) : null;
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found',
+        message: `No revision ${req.params.id} for ${collection}/${slug}`,
+      });
+    }
+    if (revision.data === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot restore a deletion',
+        message: 'Restore the revision before the deletion instead',
+      });
+    }
+    // The schema may have changed since the revision was saved
+    if (await rejectInvalidContent(res, collection, revision.data)) return;
+
+    const result = await writeContent(collection, slug, {
+      data: revision.data,
+      body: revision.body,
+      type: revision.type,
+    }, locale, {
+      author: req.user?.username ?? req.session?.user ?? null,
+      restoredFrom: revision.id,
+    });
+    await recordSaveBy(req, result.filePath);
+    await trackEntryFile(collection, slug, locale, result.filePath);
+
+    res.json({
+      success: true,
+      collection,
+      slug,
+      locale,
+      ...result,
+      restoredFrom: revision.id,
+      message: `Restored revision ${revision.id}`,
+    });
+  } catch (error) {
+    console.error(`Error restoring revision ${req.params.collection}/${req.params.slug}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore revision',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/content/:collection/:slug/status
+ * An entry's publishing status (draft, in_review, scheduled, published),
+ * with the attempts, lastError and retryAt of a failed scheduled publish
+ * Query params: ?locale=en (optional, uses default locale if i18n enabled)
+ */
+router.get('/:collection/:slug/status', requireCollectionAccess('read'), async (req, res) => {
+  try {
+    const { collection, slug } = req.params;
+    const locale = await getLocaleFromRequest(req);
+    const fullConfig = await getConfig();
+    const { status, publishAt, attempts = 0, lastError = null, retryAt = null } = await getEntryStatus(fullConfig, collection, slug, locale);
+
+    res.json({ success: true, collection, slug, locale, status, publishAt, attempts, lastError, retryAt });
+  } catch (error) {
+    console.error(`Error reading status ${req.params.collection}/${req.params.slug}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read status',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/content/:collection/:slug/status
+ * Move an entry through the publishing workflow
+ * Body: { status, publishAt? } — publishAt is required for 'scheduled'
+ * Query params: ?locale=en (optional, uses default locale if i18n enabled)
+ */
+router.put('/:collection/:slug/status', requireCollectionAccess('write'), async (req, res) => {
+  try {
+    const { collection, slug } = req.params;
+    const { status, publishAt } = req.body || {};
+    const locale = await getLocaleFromRequest(req);
+
+    let content;
+    try {
+      content = await readContent(collection, slug, locale);
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          error: 'Content not found',
+          message: error.message,
+        });
+      }
+      throw error;
+    }
+
+    const unsupported = await statusUnsupportedReason(collection, content.filePath);
+    if (unsupported && status !== 'published') {
+      return res.status(400).json({
+        success: false,
+        error: 'Status not supported',
+        message: unsupported,
+      });
+    }
+
+    const fullConfig = await getConfig();
+    let record;
+    try {
+      record = await setEntryStatus(fullConfig, {
+        collection,
+        slug,
+        locale,
+        status,
+        publishAt,
+        filePath: content.filePath,
+        username: req.user?.username ?? req.session?.user ?? null,
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status',
+        message: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      collection,
+      slug,
+      locale,
+      status: record.status,
+      publishAt: record.publishAt,
+    });
+  } catch (error) {
+    console.error(`Error updating status ${req.params.collection}/${req.params.slug}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update status',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * GET /api/content/:collection/:slug
  * Read a content entry
  * Query params: ?locale=en (optional, uses default locale if i18n enabled)
  */
-router.get('/:collection/:slug', async (req, res) => {
+router.get('/:collection/:slug', requireCollectionAccess('read'), async (req, res) => {
   try {
     const { collection, slug } = req.params;
     const locale = await getLocaleFromRequest(req);
@@ -82,26 +1002,22 @@ router.get('/:collection/:slug', async (req, res) => {
  * Create or update a content entry
  * Query params: ?locale=en (optional, uses default locale if i18n enabled)
  */
-router.post('/:collection/:slug', async (req, res) => {
+router.post('/:collection/:slug', requireCollectionAccess('write'), async (req, res) => {
   try {
     const { collection, slug } = req.params;
     const { data, body, type } = req.body;
     const locale = await getLocaleFromRequest(req);
 
-    // Validate request
-    if (!data) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required field: data',
-      });
-    }
+    if (await rejectInvalidContent(res, collection, data)) return;
 
     // Write content
     const result = await writeContent(collection, slug, {
       data,
       body,
       type: type || 'content',
-    }, locale);
+    }, locale, { author: req.user?.username ?? req.session?.user ?? null });
+    await recordSaveBy(req, result.filePath);
+    await trackEntryFile(collection, slug, locale, result.filePath);
 
     res.json({
       success: true,
@@ -126,7 +1042,7 @@ router.post('/:collection/:slug', async (req, res) => {
  * Update a content entry (alias for POST)
  * Query params: ?locale=en (optional, uses default locale if i18n enabled)
  */
-router.put('/:collection/:slug', async (req, res) => {
+router.put('/:collection/:slug', requireCollectionAccess('write'), async (req, res) => {
   try {
     const { collection, slug } = req.params;
     const { data, body, type } = req.body;
@@ -143,12 +1059,16 @@ router.put('/:collection/:slug', async (req, res) => {
       });
     }
 
+    if (await rejectInvalidContent(res, collection, data)) return;
+
     // Write content
     const result = await writeContent(collection, slug, {
       data,
       body,
       type: type || 'content',
-    }, locale);
+    }, locale, { author: req.user?.username ?? req.session?.user ?? null });
+    await recordSaveBy(req, result.filePath);
+    await trackEntryFile(collection, slug, locale, result.filePath);
 
     res.json({
       success: true,
@@ -170,15 +1090,41 @@ router.put('/:collection/:slug', async (req, res) => {
 
 /**
  * DELETE /api/content/:collection/:slug
- * Delete a content entry
+ * Delete a content entry. Refused with 409 and the referring entries while
+ * other entries reference it (deleting it would break the site build), unless
+ * ?force=true. Deleting one translation while others remain is always allowed.
  * Query params: ?locale=en (optional, uses default locale if i18n enabled)
  */
-router.delete('/:collection/:slug', async (req, res) => {
+router.delete('/:collection/:slug', requireCollectionAccess('write'), async (req, res) => {
   try {
     const { collection, slug } = req.params;
     const locale = await getLocaleFromRequest(req);
 
-    const result = await deleteContent(collection, slug, locale);
+    if (req.query.force !== 'true') {
+      const fullConfig = await getConfig();
+      const otherLocales = locale
+        ? (await getAvailableLocales(collection, slug, fullConfig.i18n.locales)).filter(other => other !== locale)
+        : [];
+      if (otherLocales.length === 0) {
+        const { referrers, hidden } = await visibleReferrers(req, collection, slug);
+        const total = referrers.length + hidden;
+        if (total > 0) {
+          return res.status(409).json({
+            success: false,
+            error: 'Entry is referenced',
+            message: `${collection}/${slug} is referenced by ${total} entr${total === 1 ? 'y' : 'ies'}; deleting it would break them`,
+            referrers,
+            hidden,
+          });
+        }
+      }
+    }
+
+    const result = await deleteContent(collection, slug, locale, {
+      author: req.user?.username ?? req.session?.user ?? null,
+    });
+    await recordSaveBy(req, result.deleted);
+    await trackEntryFile(collection, slug, locale, result.deleted, { deleted: true });
 
     res.json({
       success: true,
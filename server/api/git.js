@@ -4,6 +4,7 @@
  */
 
 import express from 'express';
+import fs from 'fs/promises';
 import path from 'path';
 import { getConfig } from '../config.js';
 import {
@@ -12,24 +13,120 @@ import {
   getGitPaths,
   stageGitPaths,
   getStagedFilesForPaths,
+  unstageHeldBackEntries,
+  excludeHeldBack,
 } from './publish.js';
+import { commitWithAttribution, parseCoAuthors, getProfile } from '../utils/authorship.js';
+import {
+  branchWorkflowConfig,
+  branchNameFor,
+  isContentBranch,
+  ownsBranch,
+  currentBranch,
+  hasUncommittedChanges,
+  aheadBehind,
+  listContentBranches,
+  branchChanges,
+} from '../utils/branch-workflow.js';
+import { hasRole } from '../utils/auth.js';
+import { heldBackFiles } from '../utils/entry-status.js';
+import { invalidateSearchIndex } from '../utils/search.js';
+import { invalidateReferenceIndex } from '../utils/references.js';
+import { invalidateImageUsageIndex } from '../utils/image-usage.js';
 
 const router = express.Router();
 
-export async function commitConfiguredGitPaths(fullConfig, message) {
+/**
+ * Middleware for the routes that rewrite content files behind the content
+ * store's back (pulls, discards, restores, merges and branch switches): the
+ * search, reference and image usage indexes are rebuilt on next use after
+ * one of them succeeds
+ */
+function invalidatesIndexes(req, res, next) {
+  res.on('finish', () => {
+    if (res.statusCode < 400) {
+      invalidateSearchIndex();
+      invalidateReferenceIndex();
+      invalidateImageUsageIndex();
+    }
+  });
+  next();
+}
+
+/**
+ * Stage and commit the configured git paths, authored by `username`'s profile
+ * and co-authored by everyone who saved a staged file (see utils/authorship.js).
+ * Entries that aren't published yet stay out (see utils/entry-status.js).
+ * @param {object} [options]
+ * @param {string|null} [options.username] - The login committing
+ */
+export async function commitConfiguredGitPaths(fullConfig, message, { username = null } = {}) {
   const git = createGitClient(fullConfig);
   const gitPaths = getGitPaths(fullConfig);
-  const stagedPaths = await stageGitPaths(git, gitPaths);
+  const addedPaths = await stageGitPaths(git, gitPaths);
+  const heldBack = await unstageHeldBackEntries(fullConfig, git);
+  const stagedPaths = excludeHeldBack(addedPaths, heldBack);
   const stagedFiles = await getStagedFilesForPaths(git, stagedPaths);
 
   if (stagedFiles.length === 0) {
     return { result: null, stagedFiles };
   }
 
-  const result = await git.commit(message, stagedPaths);
+  const result = await commitWithAttribution(fullConfig, git, { message, stagedPaths, stagedFiles, username });
+  return { result, stagedFiles };
+}
+
+/**
+ * Commit just these files (whatever else is staged or modified stays out),
+ * attributed like commitConfiguredGitPaths. Files outside the configured git
+ * paths and files of held-back entries are skipped.
+ * @param {string[]} files - Absolute or project-relative paths
+ * @param {object} [options]
+ * @param {string|null} [options.username] - The login committing
+ */
+export async function commitFiles(fullConfig, files, message, { username = null } = {}) {
+  const git = createGitClient(fullConfig);
+  const allowedGitPaths = getAllowedGitPaths(fullConfig);
+  const heldBack = new Set(await heldBackFiles(fullConfig));
+  const paths = [...new Set(files)]
+    .map((file) => path.relative(fullConfig.paths.projectRoot, path.resolve(fullConfig.paths.projectRoot, file)))
+    .filter((file) => isWithinAllowedGitPaths(file, allowedGitPaths) && !heldBack.has(file));
+
+  if (paths.length === 0) {
+    return { result: null, stagedFiles: [] };
+  }
+
+  await git.add(['-A', '--', ...paths]);
+  const stagedFiles = await getStagedFilesForPaths(git, paths);
+  if (stagedFiles.length === 0) {
+    return { result: null, stagedFiles };
+  }
+
+  const result = await commitWithAttribution(fullConfig, git, { message, stagedPaths: paths, stagedFiles, username });
   return { result, stagedFiles };
 }
 
+/**
+ * Move a file with `git mv` when git tracks it, so the move is staged as a
+ * rename and the file keeps its history; otherwise (git off, or a file never
+ * committed) with a plain rename
+ * @param {string} from - Absolute path
+ * @param {string} to - Absolute path; its directory must exist
+ * @returns {Promise<boolean>} Whether git moved it
+ */
+export async function moveFile(fullConfig, from, to) {
+  if (fullConfig.git.enabled) {
+    const git = createGitClient(fullConfig);
+    const tracked = await git.raw(['ls-files', '--', from]).then((out) => out.trim() !== '', () => false);
+    if (tracked) {
+      await git.mv(from, to);
+      return true;
+    }
+  }
+  await fs.rename(from, to);
+  return false;
+}
+
 /**
  * Allowed directories for git file operations (relative to project root) —
  * the configured git paths: src/content plus assets in files mode, assets
@@ -222,7 +319,8 @@ router.post('/commit', async (req, res) => {
       });
     }
 
-    const { result } = await commitConfiguredGitPaths(fullConfig, message);
+    const username = req.user?.username ?? req.session?.user ?? null;
+    const { result } = await commitConfiguredGitPaths(fullConfig, message, { username });
     if (!result) {
       return res.status(400).json({
         success: false,
@@ -276,6 +374,7 @@ router.get('/log', async (req, res) => {
       message: commit.message,
       author: commit.author_name,
       email: commit.author_email,
+      coAuthors: parseCoAuthors(commit.body),
       date: commit.date,
     }));
 
@@ -298,7 +397,7 @@ router.get('/log', async (req, res) => {
  * POST /api/git/pull
  * Pull latest changes from remote
  */
-router.post('/pull', async (req, res) => {
+router.post('/pull', invalidatesIndexes, async (req, res) => {
   try {
     const fullConfig = await getConfig();
     const git = createGitClient(fullConfig);
@@ -445,7 +544,7 @@ router.get('/show', async (req, res) => {
  * POST /api/git/revert-file
  * Revert a specific file to its last committed state (discard changes)
  */
-router.post('/revert-file', async (req, res) => {
+router.post('/revert-file', invalidatesIndexes, async (req, res) => {
   try {
     const { file } = req.body;
     const fullConfig = await getConfig();
@@ -483,7 +582,7 @@ router.post('/revert-file', async (req, res) => {
  * POST /api/git/restore-from-commit
  * Restore a file from a specific commit
  */
-router.post('/restore-from-commit', async (req, res) => {
+router.post('/restore-from-commit', invalidatesIndexes, async (req, res) => {
   try {
     const { file, commit } = req.body;
     const fullConfig = await getConfig();
@@ -549,6 +648,7 @@ router.get('/file-history', async (req, res) => {
       hashShort: commit.hash.substring(0, 7),
       message: commit.message,
       author: commit.author_name,
+      coAuthors: parseCoAuthors(commit.body),
       date: commit.date,
     }));
 
@@ -567,4 +667,340 @@ router.get('/file-history', async (req, res) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// Branch workflow (opt-in: config.git.branchWorkflow, see
+// utils/branch-workflow.js)
+// ---------------------------------------------------------------------------
+
+function requestUsername(req) {
+  return req.user?.username ?? req.session?.user ?? null;
+}
+
+function branchWorkflowDisabled(res) {
+  return res.status(400).json({
+    success: false,
+    error: 'Branch workflow is not enabled',
+    message: 'Set git.branchWorkflow.enabled in astroadmin.config.js',
+  });
+}
+
+/**
+ * The configured git paths without held-back entries: their edits stay in the
+ * working tree on purpose, so they aren't unsubmitted changes
+ */
+async function submittablePaths(fullConfig) {
+  return excludeHeldBack(getGitPaths(fullConfig), await heldBackFiles(fullConfig));
+}
+
+async function localBranchExists(git, branch) {
+  return (await git.raw(['branch', '--list', branch])).trim() !== '';
+}
+
+/**
+ * GET /api/git/branches
+ * Editing branches, which one is checked out, and the session's own branch
+ */
+router.get('/branches', async (req, res) => {
+  try {
+    const fullConfig = await getConfig();
+    const settings = branchWorkflowConfig(fullConfig);
+    if (!settings.enabled) {
+      return res.json({ success: true, enabled: false, branches: [] });
+    }
+
+    const git = createGitClient(fullConfig);
+    const username = requestUsername(req);
+    const branches = await listContentBranches(git, settings);
+
+    res.json({
+      success: true,
+      enabled: true,
+      mainBranch: settings.mainBranch,
+      current: await currentBranch(git),
+      sessionBranch: req.session?.branch || null,
+      canMerge: hasRole(req.user?.role ?? req.session?.role ?? 'admin', 'admin'),
+      branches: branches.map(branch => ({ ...branch, mine: ownsBranch(settings, username, branch.name) })),
+    });
+  } catch (error) {
+    console.error('Error listing branches:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list branches',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/git/branches
+ * Start an editing branch off main ({ topic } → content/<user>-<topic>), or
+ * resume an existing one ({ name }), and check it out for this session
+ */
+router.post('/branches', invalidatesIndexes, async (req, res) => {
+  try {
+    const fullConfig = await getConfig();
+    const settings = branchWorkflowConfig(fullConfig);
+    if (!settings.enabled) return branchWorkflowDisabled(res);
+
+    const git = createGitClient(fullConfig);
+    const { topic, name } = req.body || {};
+    const username = requestUsername(req);
+
+    let branch;
+    if (name) {
+      if (!isContentBranch(settings, name) || !(await localBranchExists(git, name))) {
+        return res.status(404).json({ success: false, error: 'Branch not found', message: String(name) });
+      }
+      const isAdmin = hasRole(req.user?.role ?? req.session?.role ?? 'admin', 'admin');
+      if (!ownsBranch(settings, username, name) && !isAdmin) {
+        return res.status(403).json({
+          success: false,
+          error: 'Forbidden',
+          message: `${name} belongs to another editor`,
+        });
+      }
+      branch = name;
+    } else {
+      try {
+        branch = branchNameFor(settings, username, topic);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+    }
+
+    const current = await currentBranch(git);
+    let created = false;
+    if (current !== branch) {
+      // One working copy: don't carry someone's unsubmitted edits onto
+      // another branch
+      if (isContentBranch(settings, current) && await hasUncommittedChanges(git, await submittablePaths(fullConfig))) {
+        return res.status(409).json({
+          success: false,
+          error: 'Uncommitted changes',
+          message: `${current} has unsubmitted changes; submit it for review before switching branches`,
+        });
+      }
+
+      if (await localBranchExists(git, branch)) {
+        await git.checkout(branch);
+      } else {
+        await git.checkout(['-b', branch, settings.mainBranch]);
+        created = true;
+      }
+    }
+
+    req.session.branch = branch;
+    res.json({ success: true, branch, created });
+  } catch (error) {
+    console.error('Error starting branch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start branch',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/git/branches/diff?branch=content/alice-spring-sale
+ * Files a branch changes versus main (defaults to the session's branch)
+ */
+router.get('/branches/diff', async (req, res) => {
+  try {
+    const fullConfig = await getConfig();
+    const settings = branchWorkflowConfig(fullConfig);
+    if (!settings.enabled) return branchWorkflowDisabled(res);
+
+    const git = createGitClient(fullConfig);
+    const branch = req.query.branch || req.session?.branch;
+    if (!isContentBranch(settings, branch) || !(await localBranchExists(git, branch))) {
+      return res.status(404).json({ success: false, error: 'Branch not found', message: String(branch) });
+    }
+
+    res.json({
+      success: true,
+      branch,
+      base: settings.mainBranch,
+      files: await branchChanges(git, settings.mainBranch, branch),
+      ...await aheadBehind(git, settings.mainBranch, branch),
+    });
+  } catch (error) {
+    console.error('Error diffing branch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to diff branch',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/git/submit
+ * "Submit for review": commit the session's editing branch and push it
+ */
+router.post('/submit', async (req, res) => {
+  try {
+    const fullConfig = await getConfig();
+    const settings = branchWorkflowConfig(fullConfig);
+    if (!settings.enabled) return branchWorkflowDisabled(res);
+
+    const git = createGitClient(fullConfig);
+    const branch = req.session?.branch;
+    if (!branch || await currentBranch(git) !== branch) {
+      return res.status(409).json({
+        success: false,
+        error: 'Editing branch not checked out',
+        message: 'Start or resume your editing branch before submitting',
+      });
+    }
+
+    const message = req.body?.message?.trim() || `Update content (${branch})`;
+    const { result } = await commitConfiguredGitPaths(fullConfig, message, { username: requestUsername(req) });
+    const { ahead } = await aheadBehind(git, settings.mainBranch, branch);
+    if (!result && ahead === 0) {
+      return res.status(400).json({ success: false, error: 'No changes to submit' });
+    }
+
+    try {
+      await git.push(['-u', settings.remote, branch]);
+    } catch (pushError) {
+      return res.status(502).json({
+        success: false,
+        committed: Boolean(result),
+        error: 'Failed to push branch',
+        message: pushError.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      branch,
+      committed: Boolean(result),
+      commit: result ? { hash: result.commit, summary: result.summary } : null,
+      ahead,
+      message: `Submitted ${branch} for review`,
+    });
+  } catch (error) {
+    console.error('Error submitting branch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit for review',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/git/merge
+ * Merge a submitted editing branch into main (admin only, see ROUTE_ROLES)
+ * Body: { branch, strategy: 'ff' | 'merge', deleteBranch = true }
+ */
+router.post('/merge', invalidatesIndexes, async (req, res) => {
+  try {
+    const fullConfig = await getConfig();
+    const settings = branchWorkflowConfig(fullConfig);
+    if (!settings.enabled) return branchWorkflowDisabled(res);
+
+    const { branch, strategy = 'ff', deleteBranch = true } = req.body || {};
+    if (!['ff', 'merge'].includes(strategy)) {
+      return res.status(400).json({ success: false, error: 'strategy must be "ff" or "merge"' });
+    }
+
+    const git = createGitClient(fullConfig);
+    if (!isContentBranch(settings, branch) || !(await localBranchExists(git, branch))) {
+      return res.status(404).json({ success: false, error: 'Branch not found', message: String(branch) });
+    }
+    if (await hasUncommittedChanges(git, await submittablePaths(fullConfig))) {
+      return res.status(409).json({
+        success: false,
+        error: 'Uncommitted changes',
+        message: `${await currentBranch(git)} has unsubmitted changes; submit or revert them before merging`,
+      });
+    }
+
+    // Merge what was submitted: the pushed branch when the remote has it
+    let ref = branch;
+    try {
+      await git.fetch(settings.remote, branch);
+      ref = `${settings.remote}/${branch}`;
+    } catch (fetchError) {
+      console.log('Fetch skipped:', fetchError.message);
+    }
+
+    await git.checkout(settings.mainBranch);
+    try {
+      await git.pull(settings.remote, settings.mainBranch, ['--ff-only']);
+    } catch (pullError) {
+      console.log('Pull skipped:', pullError.message);
+    }
+
+    // The merge commit is authored by the merging admin when they have a profile
+    const profile = await getProfile(fullConfig, requestUsername(req));
+    const mergeGit = profile
+      ? git.env({ ...process.env, GIT_AUTHOR_NAME: profile.name, GIT_AUTHOR_EMAIL: profile.email })
+      : git;
+    try {
+      if (strategy === 'ff') {
+        await mergeGit.raw(['merge', '--ff-only', ref]);
+      } else {
+        await mergeGit.raw(['merge', '--no-ff', '-m', `Merge ${branch}`, ref]);
+      }
+    } catch (mergeError) {
+      await git.raw(['merge', '--abort']).catch(() => {});
+      return res.status(409).json({
+        success: false,
+        error: strategy === 'ff' ? 'Cannot fast-forward' : 'Merge conflict',
+        message: strategy === 'ff'
+          ? `${settings.mainBranch} has moved on since ${branch} was started; merge with a merge commit instead`
+          : mergeError.message,
+      });
+    }
+
+    let pushed = false;
+    try {
+      await git.push(settings.remote, settings.mainBranch);
+      pushed = true;
+    } catch (pushError) {
+      console.log('Push skipped:', pushError.message);
+    }
+
+    let deleted = false;
+    if (deleteBranch) {
+      // -d refuses a branch with commits that are neither merged nor pushed
+      // (a submit whose push failed); those are kept, remote branch included
+      try {
+        await git.raw(['branch', '-d', branch]);
+        deleted = true;
+      } catch (deleteError) {
+        console.log('Branch delete skipped:', deleteError.message);
+      }
+      if (deleted) {
+        await git.push(settings.remote, branch, ['--delete']).catch((error) => {
+          console.log('Remote branch delete skipped:', error.message);
+        });
+        if (req.session?.branch === branch) delete req.session.branch;
+      }
+    }
+
+    res.json({
+      success: true,
+      branch,
+      strategy,
+      commit: (await git.revparse(['HEAD'])).trim(),
+      pushed,
+      deleted,
+      message: deleteBranch && !deleted
+        ? `Merged ${branch} into ${settings.mainBranch}; kept ${branch}, which has commits that weren't submitted`
+        : `Merged ${branch} into ${settings.mainBranch}`,
+    });
+  } catch (error) {
+    console.error('Error merging branch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to merge branch',
+      message: error.message,
+    });
+  }
+});
+
 export default router;
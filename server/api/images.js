@@ -1,13 +1,34 @@
 /**
  * Images API
- * Handles image upload, listing, and deletion
+ * Handles image upload, listing, and deletion, and organizing uploads into
+ * folders with tags. An image is named by its path under its images folder
+ * (`team/alice.jpg`; URL-encoded as one route parameter, `team%2Falice.jpg`).
  */
 
 import express from 'express';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs/promises';
-import { config } from '../config.js';
+import { config, getConfig } from '../config.js';
+import { recordContributor } from '../utils/authorship.js';
+import { updateEntryFile } from '../utils/entry-status.js';
+import {
+  processUpload,
+  moveImageFiles,
+  writeCrops,
+  writeCropDerivative,
+  removeCropFiles,
+  cropPresets,
+  imageFormatOf,
+  isImageFormat,
+  isValidCropRect,
+  isValidFocalPoint,
+  snapWidth,
+  VARIANTS_DIR,
+} from '../utils/image-processing.js';
+import { findImageUsage, imageUsageCounts, rewriteImagePaths } from '../utils/image-usage.js';
+import { getCollectionAccess } from '../utils/permissions.js';
+import { moveFile } from './git.js';
 
 const router = express.Router();
 
@@ -35,6 +56,30 @@ async function saveMetadata(metadata) {
   await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
 }
 
+/**
+ * Note who changed an image, for commit attribution (best-effort)
+ */
+async function recordImageChangeBy(req, filePath) {
+  try {
+    await recordContributor(await getConfig(), req.user?.username ?? req.session?.user, filePath);
+  } catch (error) {
+    console.warn('Could not record contributor:', error.message);
+  }
+}
+
+/**
+ * Note who saved an entry whose image paths were rewritten (best-effort)
+ */
+async function recordEntryChangeBy(req, { collection, slug, locale, filePath }) {
+  try {
+    const fullConfig = await getConfig();
+    await recordContributor(fullConfig, req.user?.username ?? req.session?.user, filePath);
+    await updateEntryFile(fullConfig, collection, slug, locale, filePath);
+  } catch (error) {
+    console.warn('Could not record entry update:', error.message);
+  }
+}
+
 /**
  * Get metadata for a specific image
  */
@@ -42,20 +87,185 @@ function getImageMetadata(metadata, filename) {
   return metadata[filename] || {};
 }
 
+/**
+ * What upload processing measured about an image, as listed by the API
+ */
+function processedFields(imageMeta) {
+  return {
+    width: imageMeta.width ?? null,
+    height: imageMeta.height ?? null,
+    dominantColor: imageMeta.dominantColor ?? null,
+    blurhash: imageMeta.blurhash ?? null,
+    variants: imageMeta.variants ?? [],
+    crops: imageMeta.crops ?? {},
+  };
+}
+
+/**
+ * The entries using an image that the login may see, and how many others it
+ * can't (collections without read access)
+ * @param {string} [source] - 'uploads' or 'source'
+ * @returns {Promise<{usage: Array<Object>, hidden: number}>} - See findImageUsage
+ */
+async function visibleUsage(req, filename, source = 'uploads') {
+  const fullConfig = await getConfig();
+  const username = req.user?.username ?? req.session?.user ?? null;
+  const all = await findImageUsage(filename, source);
+  const usage = all.filter(use => getCollectionAccess(fullConfig.permissions, username, use.collection) !== 'none');
+  return { usage, hidden: all.length - usage.length };
+}
+
+// Folder names start with a letter or digit, so they can't be dot folders
+// or VARIANTS_DIR
+const FOLDER_NAME = /^[A-Za-z0-9][\w-]*$/;
+
+/**
+ * A folder path from a request ('' for the top level), or null if it isn't
+ * one of ours
+ */
+function folderPathFrom(value) {
+  if (value === undefined || value === null || value === '') return '';
+  if (typeof value !== 'string') return null;
+  return value.split('/').every(name => FOLDER_NAME.test(name)) ? value : null;
+}
+
+/**
+ * An image path from a request, or null if it could point outside the images
+ * folder or at files written for another image
+ */
+function imagePathFrom(value) {
+  if (typeof value !== 'string') return null;
+  const folders = value.split('/');
+  const filename = folders.pop();
+  if (!filename || filename.startsWith('.') || filename.includes('\\')) return null;
+  return folders.every(name => FOLDER_NAME.test(name)) ? value : null;
+}
+
+/**
+ * The image path in req.params.filename. Sends a 400 itself and returns null
+ * if it isn't one.
+ */
+function requestedImagePath(req, res) {
+  const imagePath = imagePathFrom(req.params.filename);
+  if (!imagePath) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid image path',
+    });
+  }
+  return imagePath;
+}
+
+/**
+ * The folder an image (or folder) path is in; '' for the top level
+ */
+function folderOf(imagePath) {
+  const folder = path.posix.dirname(imagePath);
+  return folder === '.' ? '' : folder;
+}
+
+/**
+ * Public URL of a file under public/images, from its folder and its path in
+ * that folder (`_variants/hero-640.webp`, as image processing reports them)
+ */
+function uploadsUrl(folder, file) {
+  return `/images/${folder ? `${folder}/` : ''}${file}`;
+}
+
+async function isFile(filePath) {
+  try {
+    return (await fs.stat(filePath)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+async function isDirectory(dirPath) {
+  try {
+    return (await fs.stat(dirPath)).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Path of an uploaded image, or null if there's no such upload
+ * @param {string} imagePath - Already checked (see imagePathFrom)
+ */
+async function uploadedImagePath(imagePath) {
+  const filePath = path.join(config.paths.images, imagePath);
+  return await isFile(filePath) ? filePath : null;
+}
+
+/**
+ * Whether an image path names a source image (src/assets/images)
+ */
+async function isSourceImage(imagePath) {
+  return isFile(path.join(config.paths.srcImages, imagePath));
+}
+
+/**
+ * Rewrite an uploaded image's named crops from its metadata entry (focal
+ * point, placed crops) and record where they are in the entry
+ */
+async function updateCrops(req, filePath, imageMeta, settings) {
+  const { crops, written, removed } = await writeCrops(filePath, imageMeta, settings);
+  const folder = path.relative(config.paths.images, path.dirname(filePath)).split(path.sep).join('/');
+  imageMeta.crops = Object.fromEntries(
+    Object.entries(crops).map(([name, { file, ...crop }]) => [name, { ...crop, url: uploadsUrl(folder, file) }])
+  );
+  for (const changedPath of [...written, ...removed]) {
+    await recordImageChangeBy(req, changedPath);
+  }
+}
+
+/**
+ * Where an uploaded image's named crop was written, if it has been
+ * @returns {Promise<string|null>}
+ */
+async function existingCropPath(filePath, crop) {
+  if (!crop?.url) return null;
+  const cropPath = path.join(path.dirname(filePath), VARIANTS_DIR, path.basename(crop.url));
+  return await isFile(cropPath) ? cropPath : null;
+}
+
+/**
+ * Whether any configured crop of an uploaded image hasn't been written (it
+ * was uploaded before crops were set up)
+ */
+async function hasMissingCrops(filePath, imageMeta, settings) {
+  for (const name of Object.keys(cropPresets(settings))) {
+    if (!(await existingCropPath(filePath, imageMeta.crops?.[name]))) return true;
+  }
+  return false;
+}
+
 // Allowed image extensions
 const ALLOWED_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg', '.avif'];
 const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
 
+// Listing pages (GET /?page=)
+const DEFAULT_PER_PAGE = 48;
+const MAX_PER_PAGE = 200;
+const SORTS = ['modified', 'name', 'size', 'usage'];
+
+const MAX_TAG_LENGTH = 50;
+
 // Configure multer storage
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
-    // Ensure images directory exists
+    // Uploads go to ?folder= (created if need be), or the top level
+    const folder = folderPathFrom(req.query.folder);
+    if (folder === null) {
+      return cb(new Error('Invalid folder'));
+    }
+    const dirPath = path.join(config.paths.images, folder);
     try {
-      await fs.mkdir(config.paths.images, { recursive: true });
+      await fs.mkdir(dirPath, { recursive: true });
     } catch (err) {
       // Directory already exists, ignore
     }
-    cb(null, config.paths.images);
+    cb(null, dirPath);
   },
   filename: (req, file, cb) => {
     // Generate unique filename while preserving extension
@@ -91,54 +301,129 @@ const upload = multer({
   },
 });
 
+/**
+ * Tags from a request: trimmed, lowercased and deduplicated; null if they
+ * aren't strings or one is too long
+ */
+function tagsFrom(value) {
+  if (!Array.isArray(value) || !value.every(tag => typeof tag === 'string')) return null;
+  const tags = value.map(tag => tag.trim().replace(/\s+/g, ' ').toLowerCase()).filter(Boolean);
+  if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) return null;
+  return [...new Set(tags)];
+}
+
+/**
+ * Every image file under an images folder, and its folders (generated and
+ * dot folders skipped)
+ * @returns {Promise<{files: string[], folders: string[]}>} Paths under root
+ */
+async function walkImages(root) {
+  const files = [];
+  const folders = [];
+
+  async function walk(folder) {
+    let dirents;
+    try {
+      dirents = await fs.readdir(path.join(root, folder), { withFileTypes: true });
+    } catch {
+      return; // Directory doesn't exist, skip
+    }
+    for (const dirent of dirents) {
+      const relativePath = folder ? `${folder}/${dirent.name}` : dirent.name;
+      if (dirent.isDirectory()) {
+        if (!FOLDER_NAME.test(dirent.name)) continue;
+        folders.push(relativePath);
+        await walk(relativePath);
+      } else if (ALLOWED_EXTENSIONS.includes(path.extname(dirent.name).toLowerCase())) {
+        files.push(relativePath);
+      }
+    }
+  }
+
+  await walk('');
+  return { files, folders };
+}
+
 /**
  * GET /api/images
- * List all images from both src/assets/images and public/images
+ * List the images in src/assets/images and public/images, each with how many
+ * entries use it. Query:
+ * - folder: only the images directly in this folder ('' for the top level);
+ *   every image when left out
+ * - q: search paths, alt text and tags; tag: only images with this tag;
+ *   unused=true: only images no entry uses
+ * - sort: modified (default), name, size or usage; order: asc or desc
+ *   (default desc, asc for name)
+ * - page, perPage: one page of the results (default 48 a page, at most 200);
+ *   every result when page is left out
+ * Also lists the folders in `folder` (the top level by default), and every tag
+ * with how many images have it.
  */
 router.get('/', async (req, res) => {
   try {
+    const folder = req.query.folder === undefined ? null : folderPathFrom(req.query.folder);
+    const sort = req.query.sort ?? 'modified';
+    const order = req.query.order ?? (sort === 'name' ? 'asc' : 'desc');
+    const page = req.query.page === undefined ? null : Number(req.query.page);
+    const perPage = req.query.perPage === undefined ? DEFAULT_PER_PAGE : Number(req.query.perPage);
+    if (folder === null && req.query.folder !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid folder',
+      });
+    }
+    if (!SORTS.includes(sort) || !['asc', 'desc'].includes(order) ||
+      (page !== null && !(Number.isInteger(page) && page > 0)) ||
+      !(Number.isInteger(perPage) && perPage > 0 && perPage <= MAX_PER_PAGE)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid listing options',
+        message: `sort must be one of ${SORTS.join(', ')}, order asc or desc, page a positive whole number and perPage one up to ${MAX_PER_PAGE}`,
+      });
+    }
+
     const allImages = [];
-    const seenFilenames = new Set();
+    const seenPaths = new Set();
+    const folderSources = new Map();
     const metadata = await loadMetadata();
+    const usageCounts = await imageUsageCounts();
 
     // Helper to get images from a directory
     async function getImagesFromDir(dirPath, source) {
-      try {
-        await fs.access(dirPath);
-        const files = await fs.readdir(dirPath);
-
-        for (const file of files) {
-          // Skip metadata file
-          if (file === METADATA_FILENAME) continue;
-
-          const ext = path.extname(file).toLowerCase();
-          if (!ALLOWED_EXTENSIONS.includes(ext)) continue;
-          if (seenFilenames.has(file)) continue; // Skip duplicates
-
-          const filePath = path.join(dirPath, file);
-          try {
-            const stats = await fs.stat(filePath);
-            if (!stats.isFile()) continue;
-
-            const imageMeta = getImageMetadata(metadata, file);
-            seenFilenames.add(file);
-            allImages.push({
-              filename: file,
-              url: `/images/${file}`,
-              size: stats.size,
-              sizeFormatted: formatFileSize(stats.size),
-              modified: stats.mtime.toISOString(),
-              extension: ext.slice(1),
-              source, // 'source' for src/assets/images, 'uploads' for public/images
-              alt: imageMeta.alt || '',
-              focalPoint: imageMeta.focalPoint || null,
-            });
-          } catch (err) {
-            // Skip files we can't stat
-          }
+      const { files, folders } = await walkImages(dirPath);
+      for (const folderPath of folders) {
+        if (!folderSources.has(folderPath) || source === 'uploads') folderSources.set(folderPath, source);
+      }
+
+      for (const imagePath of files) {
+        if (seenPaths.has(imagePath)) continue; // Skip duplicates
+
+        try {
+          const stats = await fs.stat(path.join(dirPath, imagePath));
+          if (!stats.isFile()) continue;
+
+          const imageMeta = getImageMetadata(metadata, imagePath);
+          seenPaths.add(imagePath);
+          allImages.push({
+            filename: path.posix.basename(imagePath),
+            path: imagePath,
+            folder: folderOf(imagePath),
+            url: `/images/${imagePath}`,
+            size: stats.size,
+            sizeFormatted: formatFileSize(stats.size),
+            modified: stats.mtime.toISOString(),
+            extension: path.extname(imagePath).toLowerCase().slice(1),
+            source, // 'source' for src/assets/images, 'uploads' for public/images
+            alt: imageMeta.alt || '',
+            tags: imageMeta.tags ?? [],
+            focalPoint: imageMeta.focalPoint || null,
+            ...processedFields(imageMeta),
+            // Entries using it (see GET /:filename/usage for which)
+            usage: usageCounts[source].get(imagePath) ?? 0,
+          });
+        } catch (err) {
+          // Skip files we can't stat
         }
-      } catch (err) {
-        // Directory doesn't exist, skip
       }
     }
 
@@ -148,13 +433,53 @@ router.get('/', async (req, res) => {
     // Get images from uploads directory (public/images)
     await getImagesFromDir(config.paths.images, 'uploads');
 
-    // Sort by modification date (newest first)
-    allImages.sort((a, b) => new Date(b.modified) - new Date(a.modified));
+    const tagCounts = new Map();
+    for (const image of allImages) {
+      for (const tag of image.tags) tagCounts.set(tag, (tagCounts.get(tag) ?? 0) + 1);
+    }
+
+    const parent = folder ?? '';
+    const folders = [...folderSources]
+      .filter(([folderPath]) => folderOf(folderPath) === parent)
+      .map(([folderPath, source]) => ({
+        name: path.posix.basename(folderPath),
+        path: folderPath,
+        source,
+        count: allImages.filter(image => image.path.startsWith(`${folderPath}/`)).length,
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    const search = String(req.query.q ?? '').trim().toLowerCase();
+    const matching = allImages.filter(image =>
+      (folder === null || image.folder === folder) &&
+      (!req.query.tag || image.tags.includes(req.query.tag)) &&
+      (req.query.unused !== 'true' || image.usage === 0) &&
+      (!search || [image.path, image.alt, ...image.tags].some(text => text.toLowerCase().includes(search))));
+
+    // Newest first by default; ties in path order
+    const sortValue = {
+      modified: image => new Date(image.modified).getTime(),
+      size: image => image.size,
+      usage: image => image.usage,
+    }[sort];
+    matching.sort((a, b) => {
+      const difference = sort === 'name' ? a.path.localeCompare(b.path) : sortValue(a) - sortValue(b);
+      return (order === 'asc' ? difference : -difference) || a.path.localeCompare(b.path);
+    });
+
+    const pages = page === null ? 1 : Math.max(1, Math.ceil(matching.length / perPage));
+    const images = page === null ? matching : matching.slice((page - 1) * perPage, page * perPage);
 
     res.json({
       success: true,
-      images: allImages,
-      count: allImages.length,
+      images,
+      count: images.length,
+      total: matching.length,
+      page: page ?? 1,
+      perPage: page === null ? null : perPage,
+      pages,
+      folders,
+      tags: [...tagCounts].map(([tag, count]) => ({ tag, count })).sort((a, b) => a.tag.localeCompare(b.tag)),
     });
   } catch (error) {
     console.error('Error listing images:', error);
@@ -168,9 +493,9 @@ router.get('/', async (req, res) => {
 
 /**
  * POST /api/images
- * Upload a new image
+ * Upload a new image, into ?folder= (created if need be) or the top level
  */
-router.post('/', upload.single('image'), (req, res) => {
+router.post('/', upload.single('image'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -179,18 +504,60 @@ router.post('/', upload.single('image'), (req, res) => {
       });
     }
 
-    const imageUrl = `/images/${req.file.filename}`;
+    // Resize, strip EXIF and write variants; a file that can't be decoded
+    // isn't kept
+    const settings = (await getConfig()).imageProcessing;
+    let processed;
+    try {
+      processed = await processUpload(req.file.path, settings);
+    } catch (error) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return res.status(400).json({
+        success: false,
+        error: 'Could not process image',
+        message: error.message,
+      });
+    }
 
-    console.log(`Image uploaded: ${req.file.filename}`);
+    const folder = folderPathFrom(req.query.folder);
+    const imagePath = folder ? `${folder}/${req.file.filename}` : req.file.filename;
+    const size = processed?.size ?? req.file.size;
+
+    console.log(`Image uploaded: ${imagePath}`);
+    await recordImageChangeBy(req, req.file.path);
+
+    let imageMeta = {};
+    if (processed) {
+      const { width, height, dominantColor, blurhash, variants } = processed;
+      imageMeta = {
+        width,
+        height,
+        dominantColor,
+        blurhash,
+        variants: variants.map(({ file, ...variant }) => ({ url: uploadsUrl(folder, file), ...variant })),
+      };
+      await updateCrops(req, req.file.path, imageMeta, settings);
+
+      const metadata = await loadMetadata();
+      metadata[imagePath] = { ...getImageMetadata(metadata, imagePath), ...imageMeta };
+      await saveMetadata(metadata);
+      for (const variant of variants) {
+        await recordImageChangeBy(req, path.join(path.dirname(req.file.path), variant.file));
+      }
+      await recordImageChangeBy(req, path.join(config.paths.images, METADATA_FILENAME));
+    }
 
     res.json({
       success: true,
       image: {
         filename: req.file.filename,
-        url: imageUrl,
-        size: req.file.size,
-        sizeFormatted: formatFileSize(req.file.size),
+        path: imagePath,
+        folder,
+        url: `/images/${imagePath}`,
+        size,
+        sizeFormatted: formatFileSize(size),
         mimetype: req.file.mimetype,
+        ...processedFields(imageMeta),
       },
     });
   } catch (error) {
@@ -205,19 +572,21 @@ router.post('/', upload.single('image'), (req, res) => {
 
 /**
  * GET /api/images/:filename/metadata
- * Get metadata for a specific image
+ * Get metadata for a specific image, and the configured crops
  */
 router.get('/:filename/metadata', async (req, res) => {
   try {
-    const { filename } = req.params;
-    const sanitizedFilename = path.basename(filename);
+    const imagePath = requestedImagePath(req, res);
+    if (!imagePath) return;
     const metadata = await loadMetadata();
-    const imageMeta = getImageMetadata(metadata, sanitizedFilename);
+    const imageMeta = getImageMetadata(metadata, imagePath);
 
     res.json({
       success: true,
-      filename: sanitizedFilename,
+      filename: imagePath,
       metadata: imageMeta,
+      // The named crops an editor can place, as { name: '16:9' }
+      cropPresets: cropPresets((await getConfig()).imageProcessing),
     });
   } catch (error) {
     console.error('Error getting image metadata:', error);
@@ -229,39 +598,190 @@ router.get('/:filename/metadata', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/images/:filename/usage
+ * The entries using an image that the login may see, with the fields that do,
+ * and how many others it can't (collections without read access).
+ * ?source=uploads|source picks between an upload and a source image of the
+ * same name; by default it's the one the library lists (the source image).
+ */
+router.get('/:filename/usage', async (req, res) => {
+  try {
+    const imagePath = requestedImagePath(req, res);
+    if (!imagePath) return;
+    const source = ['uploads', 'source'].includes(req.query.source)
+      ? req.query.source
+      : (await isSourceImage(imagePath) ? 'source' : 'uploads');
+    const { usage, hidden } = await visibleUsage(req, imagePath, source);
+    res.json({ success: true, filename: imagePath, source, usage, hidden });
+  } catch (error) {
+    console.error('Error getting image usage:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get image usage',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/images/:filename/crops/:name
+ * An uploaded image's named crop, as an image. ?width= picks the smallest
+ * configured width that covers it (default: the crop's full size) and
+ * ?format= converts it (jpeg, png, webp, avif); each size is written under
+ * _variants/ the first time it's asked for. Crops themselves are made on
+ * upload and metadata saves, so one that hasn't been made yet is a 404.
+ */
+router.get('/:filename/crops/:name', async (req, res) => {
+  try {
+    const filename = requestedImagePath(req, res);
+    if (!filename) return;
+    const { name } = req.params;
+    const settings = (await getConfig()).imageProcessing;
+    const filePath = await uploadedImagePath(filename);
+    const sourceFormat = imageFormatOf(filename);
+
+    if (!filePath || !sourceFormat) {
+      return res.status(404).json({
+        success: false,
+        error: 'Image not found',
+        message: 'Crops are only made for uploaded JPEG, PNG, WebP and AVIF images',
+      });
+    }
+    if (!Object.hasOwn(cropPresets(settings), name)) {
+      return res.status(404).json({
+        success: false,
+        error: `No crop named "${name}"`,
+      });
+    }
+
+    const format = req.query.format === 'jpg' ? 'jpeg' : (req.query.format || sourceFormat);
+    const requestedWidth = req.query.width === undefined ? null : Number(req.query.width);
+    if (!isImageFormat(format) || (requestedWidth !== null && !(Number.isInteger(requestedWidth) && requestedWidth > 0))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid crop request',
+        message: 'width must be a positive whole number and format one of jpeg, png, webp, avif',
+      });
+    }
+
+    const crop = getImageMetadata(await loadMetadata(), filename).crops?.[name];
+    const cropPath = await existingCropPath(filePath, crop);
+    if (!cropPath) {
+      return res.status(404).json({
+        success: false,
+        error: `Crop "${name}" hasn't been made yet`,
+        message: 'Save the image\'s details in the image library to make its crops',
+      });
+    }
+
+    const width = snapWidth(requestedWidth, crop.width, settings.widths);
+    const servedPath = width === crop.width && format === sourceFormat
+      ? cropPath
+      : await writeCropDerivative(filePath, name, { width, format }, settings);
+
+    res.sendFile(path.resolve(servedPath));
+  } catch (error) {
+    console.error('Error getting image crop:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get image crop',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * PUT /api/images/:filename/metadata
- * Update metadata for a specific image
+ * Update metadata for a specific image. focalPoint is { x, y } as fractions
+ * of the image (null clears it); crops maps crop names to the rectangle an
+ * editor placed, { x, y, width, height } as fractions (null puts the crop
+ * back around the focal point). Changing either rewrites the named crops.
+ * tags replaces the image's tags.
  */
 router.put('/:filename/metadata', express.json(), async (req, res) => {
   try {
-    const { filename } = req.params;
-    const sanitizedFilename = path.basename(filename);
-    const { alt, focalPoint } = req.body;
+    const imagePath = requestedImagePath(req, res);
+    if (!imagePath) return;
+    const { alt, focalPoint, crops } = req.body;
+    const tags = req.body.tags === undefined ? undefined : tagsFrom(req.body.tags);
+    const settings = (await getConfig()).imageProcessing;
+
+    if (tags === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid tags',
+        message: `tags must be an array of strings of up to ${MAX_TAG_LENGTH} characters`,
+      });
+    }
+
+    if (focalPoint !== undefined && focalPoint !== null && !isValidFocalPoint(focalPoint)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid focal point',
+        message: 'focalPoint needs x and y between 0 and 1',
+      });
+    }
+    if (crops !== undefined) {
+      const presets = cropPresets(settings);
+      const invalid = crops === null || typeof crops !== 'object' || Array.isArray(crops)
+        ? ['crops']
+        : Object.entries(crops)
+          .filter(([name, rect]) => !Object.hasOwn(presets, name) || (rect !== null && !isValidCropRect(rect)))
+          .map(([name]) => name);
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid crops',
+          message: `Not a configured crop with a rectangle inside the image: ${invalid.join(', ')}`,
+        });
+      }
+    }
 
     const metadata = await loadMetadata();
 
     // Initialize metadata for this file if it doesn't exist
-    if (!metadata[sanitizedFilename]) {
-      metadata[sanitizedFilename] = {};
+    if (!metadata[imagePath]) {
+      metadata[imagePath] = {};
     }
+    const imageMeta = metadata[imagePath];
 
     // Update fields that were provided
     if (alt !== undefined) {
-      metadata[sanitizedFilename].alt = alt;
+      imageMeta.alt = alt;
+    }
+    if (tags !== undefined) {
+      imageMeta.tags = tags;
     }
     if (focalPoint !== undefined) {
-      metadata[sanitizedFilename].focalPoint = focalPoint;
+      imageMeta.focalPoint = focalPoint;
+    }
+    if (crops !== undefined) {
+      imageMeta.crops = { ...imageMeta.crops };
+      for (const [name, rect] of Object.entries(crops)) {
+        imageMeta.crops[name] = rect === null
+          ? { ...imageMeta.crops[name], custom: false }
+          : { ...imageMeta.crops[name], rect: { x: rect.x, y: rect.y, width: rect.width, height: rect.height }, custom: true };
+      }
+    }
+
+    // Crops not made yet (an upload from before crops were set up) are made
+    // on any save
+    const filePath = await uploadedImagePath(imagePath);
+    if (filePath && (focalPoint !== undefined || crops !== undefined
+      || (imageFormatOf(imagePath) && await hasMissingCrops(filePath, imageMeta, settings)))) {
+      await updateCrops(req, filePath, imageMeta, settings);
     }
 
     await saveMetadata(metadata);
+    await recordImageChangeBy(req, path.join(config.paths.images, METADATA_FILENAME));
 
-    console.log(`Metadata updated for: ${sanitizedFilename}`);
+    console.log(`Metadata updated for: ${imagePath}`);
 
     res.json({
       success: true,
-      filename: sanitizedFilename,
-      metadata: metadata[sanitizedFilename],
+      filename: imagePath,
+      metadata: imageMeta,
     });
   } catch (error) {
     console.error('Error updating image metadata:', error);
@@ -273,31 +793,487 @@ router.put('/:filename/metadata', express.json(), async (req, res) => {
   }
 });
 
+/**
+ * Delete an uploaded image, with its variants, crops and metadata
+ * @param {string} imagePath - Already checked (see imagePathFrom)
+ */
+async function removeUploadedImage(req, imagePath) {
+  const filePath = path.join(config.paths.images, imagePath);
+  await fs.unlink(filePath);
+  await recordImageChangeBy(req, filePath);
+
+  for (const cropPath of await removeCropFiles(filePath)) {
+    await recordImageChangeBy(req, cropPath);
+  }
+  const metadata = await loadMetadata();
+  if (metadata[imagePath]) {
+    for (const variant of metadata[imagePath].variants ?? []) {
+      const variantPath = path.join(path.dirname(filePath), VARIANTS_DIR, path.basename(variant.url));
+      await fs.rm(variantPath, { force: true });
+      await recordImageChangeBy(req, variantPath);
+    }
+    delete metadata[imagePath];
+    await saveMetadata(metadata);
+    await recordImageChangeBy(req, path.join(config.paths.images, METADATA_FILENAME));
+  }
+
+  console.log(`Image deleted: ${imagePath}`);
+}
+
+/**
+ * Move an image's metadata entry to its new path, with the URLs of its
+ * variants and crops (which moved with it)
+ */
+function moveImageMetadata(metadata, from, to) {
+  const imageMeta = metadata[from];
+  if (!imageMeta) return;
+  const moved = item => item.url
+    ? { ...item, url: uploadsUrl(folderOf(to), `${VARIANTS_DIR}/${path.posix.basename(item.url)}`) }
+    : item;
+
+  delete metadata[from];
+  metadata[to] = {
+    ...imageMeta,
+    ...(imageMeta.variants && { variants: imageMeta.variants.map(moved) }),
+    ...(imageMeta.crops && {
+      crops: Object.fromEntries(Object.entries(imageMeta.crops).map(([name, crop]) => [name, moved(crop)])),
+    }),
+  };
+}
+
+/**
+ * Collections with entries using any of these images that the login can't
+ * edit (their paths couldn't be rewritten)
+ * @param {Iterable<string>} imagePaths
+ */
+async function lockedCollections(req, imagePaths) {
+  const fullConfig = await getConfig();
+  const username = req.user?.username ?? req.session?.user ?? null;
+  const collections = new Set();
+  for (const imagePath of imagePaths) {
+    for (const use of await findImageUsage(imagePath)) {
+      if (getCollectionAccess(fullConfig.permissions, username, use.collection) !== 'write') {
+        collections.add(use.collection);
+      }
+    }
+  }
+  return [...collections].sort();
+}
+
+/**
+ * After images moved on disk: move their metadata and point the entries using
+ * them at the new paths
+ * @param {Map<string, string>} moves - Old image path -> new
+ * @returns {Promise<Array<{collection: string, slug: string, locale: string|null}>>}
+ *   The entries rewritten
+ */
+async function finishImageMoves(req, moves) {
+  const metadata = await loadMetadata();
+  for (const [from, to] of moves) {
+    moveImageMetadata(metadata, from, to);
+  }
+  await saveMetadata(metadata);
+  await recordImageChangeBy(req, path.join(config.paths.images, METADATA_FILENAME));
+
+  const written = await rewriteImagePaths(moves, { author: req.user?.username ?? req.session?.user ?? null });
+  for (const entry of written) {
+    await recordEntryChangeBy(req, entry);
+  }
+  return written.map(({ collection, slug, locale }) => ({ collection, slug, locale }));
+}
+
+/**
+ * POST /api/images/folders
+ * Create a folder of uploads. Body: { path } (`team` or `team/portraits`).
+ */
+router.post('/folders', express.json(), async (req, res) => {
+  try {
+    const folder = folderPathFrom(req.body?.path);
+    if (!folder) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid folder',
+        message: 'Folder names are letters, digits, - and _, starting with a letter or digit',
+      });
+    }
+
+    const dirPath = path.join(config.paths.images, folder);
+    if (await isDirectory(dirPath) || await isFile(dirPath)) {
+      return res.status(409).json({
+        success: false,
+        error: `${folder} already exists`,
+      });
+    }
+    await fs.mkdir(dirPath, { recursive: true });
+
+    res.json({
+      success: true,
+      folder: { name: path.posix.basename(folder), path: folder, source: 'uploads', count: 0 },
+    });
+  } catch (error) {
+    console.error('Error creating image folder:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create folder',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/images/folders/rename
+ * Rename or move a folder of uploads, with everything in it. Body:
+ * { from, to } (full paths; `to` mustn't exist). Entries using the images in
+ * it are pointed at their new paths; 403 if some are in collections the
+ * login can't edit.
+ */
+router.post('/folders/rename', express.json(), async (req, res) => {
+  try {
+    const from = folderPathFrom(req.body?.from);
+    const to = folderPathFrom(req.body?.to);
+    if (!from || !to || to === from || to.startsWith(`${from}/`)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid folders',
+        message: 'from and to must be different folder paths, and to can\'t be inside from',
+      });
+    }
+
+    const fromPath = path.join(config.paths.images, from);
+    const toPath = path.join(config.paths.images, to);
+    if (!(await isDirectory(fromPath))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Folder not found',
+      });
+    }
+    if (await isDirectory(toPath) || await isFile(toPath)) {
+      return res.status(409).json({
+        success: false,
+        error: `${to} already exists`,
+      });
+    }
+
+    const moves = new Map((await walkImages(fromPath)).files
+      .map(file => [`${from}/${file}`, `${to}/${file}`]));
+    const locked = await lockedCollections(req, moves.keys());
+    if (locked.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Entries in ${locked.join(', ')} use images in ${from}, and you can't edit them`,
+      });
+    }
+
+    // File by file (variants too), so git sees each move as a rename
+    const fullConfig = await getConfig();
+    const files = [];
+    async function collect(dirPath) {
+      for (const dirent of await fs.readdir(dirPath, { withFileTypes: true })) {
+        const filePath = path.join(dirPath, dirent.name);
+        if (dirent.isDirectory()) {
+          await collect(filePath);
+        } else {
+          files.push(filePath);
+        }
+      }
+    }
+    await collect(fromPath);
+    for (const filePath of files) {
+      const target = path.join(toPath, path.relative(fromPath, filePath));
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await moveFile(fullConfig, filePath, target);
+      await recordImageChangeBy(req, filePath);
+      await recordImageChangeBy(req, target);
+    }
+    await fs.mkdir(toPath, { recursive: true });
+    await fs.rm(fromPath, { recursive: true, force: true });
+
+    const entries = await finishImageMoves(req, moves);
+    console.log(`Image folder moved: ${from} -> ${to}`);
+
+    res.json({
+      success: true,
+      from,
+      to,
+      entries,
+      message: `Moved ${from} to ${to}` +
+        (entries.length > 0 ? ` and updated ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}` : ''),
+    });
+  } catch (error) {
+    console.error('Error moving image folder:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to move folder',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/images/folders?path=
+ * Delete an empty folder of uploads (409 if anything but an empty variants
+ * folder is in it)
+ */
+router.delete('/folders', async (req, res) => {
+  try {
+    const folder = folderPathFrom(req.query.path);
+    if (!folder) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid folder',
+      });
+    }
+
+    const dirPath = path.join(config.paths.images, folder);
+    if (!(await isDirectory(dirPath))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Folder not found',
+      });
+    }
+    const contents = await fs.readdir(dirPath);
+    const variants = contents.includes(VARIANTS_DIR) ? await fs.readdir(path.join(dirPath, VARIANTS_DIR)).catch(() => []) : [];
+    if (contents.some(name => name !== VARIANTS_DIR) || variants.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Folder is not empty',
+        message: `Move or delete what's in ${folder} first`,
+      });
+    }
+
+    await fs.rm(dirPath, { recursive: true });
+    console.log(`Image folder deleted: ${folder}`);
+
+    res.json({
+      success: true,
+      message: `Deleted ${folder}`,
+    });
+  } catch (error) {
+    console.error('Error deleting image folder:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete folder',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/images/move
+ * Move uploads to another folder, with their variants, crops and metadata.
+ * Body: { paths: string[], folder } ('' for the top level). Entries using
+ * them are pointed at their new paths. Nothing moves if an image isn't an
+ * upload (404), the folder already has one by that name (409), or entries
+ * using them are in collections the login can't edit (403).
+ */
+router.post('/move', express.json(), async (req, res) => {
+  try {
+    const { paths } = req.body ?? {};
+    const folder = folderPathFrom(req.body?.folder);
+    const imagePaths = Array.isArray(paths) ? [...new Set(paths.map(imagePathFrom))] : [];
+    if (folder === null || imagePaths.length === 0 || imagePaths.includes(null)) {
+      return res.status(400).json({
+        success: false,
+        error: 'paths must be a non-empty array of image paths, and folder a folder path',
+      });
+    }
+
+    const missing = [];
+    for (const imagePath of imagePaths) {
+      if (!(await uploadedImagePath(imagePath))) missing.push(imagePath);
+    }
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Image not found',
+        message: `Only uploaded images can be moved: ${missing.join(', ')}`,
+      });
+    }
+
+    const moves = new Map(imagePaths
+      .map(imagePath => [imagePath, folder ? `${folder}/${path.posix.basename(imagePath)}` : path.posix.basename(imagePath)])
+      .filter(([from, to]) => from !== to));
+    const targets = [...moves.values()];
+    const taken = [];
+    for (const to of targets) {
+      if (await isFile(path.join(config.paths.images, to)) || targets.indexOf(to) !== targets.lastIndexOf(to)) taken.push(to);
+    }
+    if (taken.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Name taken',
+        message: `${folder || 'The top level'} already has ${[...new Set(taken)].map(to => path.posix.basename(to)).join(', ')}`,
+      });
+    }
+    const locked = await lockedCollections(req, moves.keys());
+    if (locked.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Entries in ${locked.join(', ')} use these images, and you can't edit them`,
+      });
+    }
+
+    const fullConfig = await getConfig();
+    for (const [from, to] of moves) {
+      const moved = await moveImageFiles(path.join(config.paths.images, from), path.join(config.paths.images, to), {
+        moveFile: (source, target) => moveFile(fullConfig, source, target),
+      });
+      for (const file of moved) {
+        await recordImageChangeBy(req, file.from);
+        await recordImageChangeBy(req, file.to);
+      }
+    }
+    const entries = moves.size > 0 ? await finishImageMoves(req, moves) : [];
+    console.log(`Images moved to ${folder || 'the top level'}: ${[...moves.keys()].join(', ')}`);
+
+    res.json({
+      success: true,
+      moved: [...moves].map(([from, to]) => ({ from, to })),
+      entries,
+      message: `Moved ${moves.size} image${moves.size === 1 ? '' : 's'}` +
+        (entries.length > 0 ? ` and updated ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}` : ''),
+    });
+  } catch (error) {
+    console.error('Error moving images:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to move images',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/images/tags
+ * Bulk tagging. Body: { paths: string[], add?: string[], remove?: string[] }.
+ */
+router.post('/tags', express.json(), async (req, res) => {
+  try {
+    const { paths } = req.body ?? {};
+    const imagePaths = Array.isArray(paths) ? [...new Set(paths.map(imagePathFrom))] : [];
+    const add = tagsFrom(req.body?.add ?? []);
+    const remove = tagsFrom(req.body?.remove ?? []);
+    if (imagePaths.length === 0 || imagePaths.includes(null) || !add || !remove || add.length + remove.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'paths must be a non-empty array of image paths, with tags to add or remove',
+      });
+    }
+
+    const missing = [];
+    for (const imagePath of imagePaths) {
+      if (!(await uploadedImagePath(imagePath)) && !(await isSourceImage(imagePath))) missing.push(imagePath);
+    }
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Image not found',
+        message: missing.join(', '),
+      });
+    }
+
+    const metadata = await loadMetadata();
+    const images = imagePaths.map((imagePath) => {
+      const imageMeta = getImageMetadata(metadata, imagePath);
+      const tags = [...new Set([...(imageMeta.tags ?? []), ...add])].filter(tag => !remove.includes(tag));
+      metadata[imagePath] = { ...imageMeta, tags };
+      return { path: imagePath, tags };
+    });
+    await saveMetadata(metadata);
+    await recordImageChangeBy(req, path.join(config.paths.images, METADATA_FILENAME));
+
+    res.json({
+      success: true,
+      images,
+      message: `Tagged ${images.length} image${images.length === 1 ? '' : 's'}`,
+    });
+  } catch (error) {
+    console.error('Error tagging images:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to tag images',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/images/delete-unused
+ * Bulk cleanup: delete the given uploads that no entry uses.
+ * Body: { filenames: string[] } (image paths). Source images, missing files
+ * and images that are in use (they may have been used since the list was
+ * loaded) are skipped, with the reason.
+ */
+router.post('/delete-unused', express.json(), async (req, res) => {
+  try {
+    const { filenames } = req.body ?? {};
+    if (!Array.isArray(filenames) || filenames.length === 0 || !filenames.every(name => typeof name === 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: 'filenames must be a non-empty array of image filenames',
+      });
+    }
+
+    const counts = await imageUsageCounts();
+    const deleted = [];
+    const skipped = [];
+    for (const filename of [...new Set(filenames)]) {
+      const imagePath = imagePathFrom(filename);
+      if (!imagePath) {
+        skipped.push({ filename, reason: 'Invalid image path' });
+      } else if (await isSourceImage(imagePath)) {
+        skipped.push({ filename, reason: 'Source images can\'t be deleted' });
+      } else if (!(await uploadedImagePath(imagePath))) {
+        skipped.push({ filename, reason: 'Image not found' });
+      } else if (counts.uploads.has(imagePath)) {
+        const used = counts.uploads.get(imagePath);
+        skipped.push({ filename, reason: `Used in ${used} entr${used === 1 ? 'y' : 'ies'}` });
+      } else {
+        await removeUploadedImage(req, imagePath);
+        deleted.push(imagePath);
+      }
+    }
+
+    res.json({
+      success: true,
+      deleted,
+      skipped,
+      message: `Deleted ${deleted.length} unused image${deleted.length === 1 ? '' : 's'}`,
+    });
+  } catch (error) {
+    console.error('Error deleting unused images:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete unused images',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * DELETE /api/images/:filename
- * Delete an uploaded image (cannot delete source images)
+ * Delete an uploaded image (cannot delete source images). Refused with 409
+ * and the entries using it while any do (deleting it would leave them with a
+ * broken image), unless ?force=true.
  */
 router.delete('/:filename', async (req, res) => {
   try {
-    const { filename } = req.params;
-
-    // Sanitize filename to prevent directory traversal
-    const sanitizedFilename = path.basename(filename);
+    // Checked so it can't leave the images directory
+    const imagePath = requestedImagePath(req, res);
+    if (!imagePath) return;
 
     // Check if it's a source image (not deletable)
-    const srcPath = path.join(config.paths.srcImages, sanitizedFilename);
-    try {
-      await fs.access(srcPath);
+    if (await isSourceImage(imagePath)) {
       return res.status(403).json({
         success: false,
         error: 'Cannot delete source images. Only uploaded images can be deleted.',
       });
-    } catch {
-      // Not in source dir, continue
     }
 
     // Check in uploads directory
-    const filePath = path.join(config.paths.images, sanitizedFilename);
+    const filePath = path.join(config.paths.images, imagePath);
 
     // Check if file exists
     try {
@@ -320,9 +1296,21 @@ router.delete('/:filename', async (req, res) => {
       });
     }
 
-    await fs.unlink(filePath);
+    if (req.query.force !== 'true') {
+      const { usage, hidden } = await visibleUsage(req, imagePath);
+      const total = usage.length + hidden;
+      if (total > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Image is in use',
+          message: `${imagePath} is used in ${total} entr${total === 1 ? 'y' : 'ies'}; deleting it would leave them with a broken image`,
+          usage,
+          hidden,
+        });
+      }
+    }
 
-    console.log(`Image deleted: ${sanitizedFilename}`);
+    await removeUploadedImage(req, imagePath);
 
     res.json({
       success: true,
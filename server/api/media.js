@@ -0,0 +1,564 @@
+/**
+ * Media API
+ * Uploads that aren't images: PDFs and office documents, video, audio and zip
+ * archives, stored under paths.media and served at /media/. An upload's type
+ * is sniffed from its contents (see server/utils/media-files.js), held to its
+ * kind's size limit (config.media.limits) and measured: page counts for PDFs,
+ * duration and frame size for video and audio. A video's poster frame is
+ * captured in the browser and uploaded to /:filename/poster.
+ */
+
+import express from 'express';
+import multer from 'multer';
+import path from 'path';
+import fs from 'fs/promises';
+import { config, getConfig } from '../config.js';
+import { recordContributor } from '../utils/authorship.js';
+import {
+  MEDIA_KINDS,
+  mediaExtensions,
+  mediaTypeOf,
+  readFileStart,
+  readMediaInfo,
+  sniffMediaType,
+  sniffPosterFormat,
+} from '../utils/media-files.js';
+
+const router = express.Router();
+
+// Metadata file path
+const METADATA_FILENAME = '.metadata.json';
+
+// Poster frames are written to <media>/_posters/<filename>.<jpg|png|webp>
+const POSTERS_DIR = '_posters';
+const MAX_POSTER_SIZE = 5 * 1024 * 1024; // 5MB
+
+const MB = 1024 * 1024;
+const MAX_TITLE_LENGTH = 200;
+
+/**
+ * Load media metadata from .metadata.json
+ */
+async function loadMetadata() {
+  const metadataPath = path.join(config.paths.media, METADATA_FILENAME);
+  try {
+    const data = await fs.readFile(metadataPath, 'utf-8');
+    return JSON.parse(data);
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Save media metadata to .metadata.json
+ */
+async function saveMetadata(metadata) {
+  const metadataPath = path.join(config.paths.media, METADATA_FILENAME);
+  await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+}
+
+/**
+ * Note who changed a media file, for commit attribution (best-effort)
+ */
+async function recordMediaChangeBy(req, filePath) {
+  try {
+    await recordContributor(await getConfig(), req.user?.username ?? req.session?.user, filePath);
+  } catch (error) {
+    console.warn('Could not record contributor:', error.message);
+  }
+}
+
+/**
+ * The size limit for a kind of media, in bytes; 0 when uploads of that kind
+ * are turned off (limit set to 0 or null)
+ */
+function limitFor(limits, kind) {
+  const megabytes = Number(limits?.[kind]);
+  return Number.isFinite(megabytes) && megabytes > 0 ? megabytes * MB : 0;
+}
+
+/**
+ * A media filename from a request, or null if it could point outside the
+ * media folder or isn't a type we take
+ */
+function mediaFilenameFrom(value) {
+  if (typeof value !== 'string' || !value || value.startsWith('.')) return null;
+  if (value !== path.basename(value) || value.includes('\\')) return null;
+  return mediaTypeOf(value) ? value : null;
+}
+
+/**
+ * The media filename named in the route, or null after answering 400
+ */
+function requestedMediaFilename(req, res) {
+  const filename = mediaFilenameFrom(req.params.filename);
+  if (!filename) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid filename',
+    });
+  }
+  return filename;
+}
+
+/**
+ * A media file as listed by the API
+ */
+function mediaItem(filename, stats, fileMeta) {
+  const type = mediaTypeOf(filename);
+  return {
+    filename,
+    url: `/media/${filename}`,
+    kind: type.kind,
+    mimetype: type.mime,
+    size: stats.size,
+    sizeFormatted: formatFileSize(stats.size),
+    modified: stats.mtime,
+    title: fileMeta.title ?? '',
+    pages: fileMeta.pages ?? null,
+    duration: fileMeta.duration ?? null,
+    width: fileMeta.width ?? null,
+    height: fileMeta.height ?? null,
+    poster: fileMeta.poster ?? null,
+    posterTime: fileMeta.posterTime ?? null,
+  };
+}
+
+/**
+ * Remove a media file's poster frame, if it has one
+ * @returns {Promise<string|null>} The removed file's path
+ */
+async function removePoster(fileMeta) {
+  if (!fileMeta.poster) return null;
+  const posterPath = path.join(config.paths.media, POSTERS_DIR, path.basename(fileMeta.poster));
+  await fs.rm(posterPath, { force: true });
+  return posterPath;
+}
+
+// Configure multer storage
+const storage = multer.diskStorage({
+  destination: async (req, file, cb) => {
+    try {
+      await fs.mkdir(config.paths.media, { recursive: true });
+    } catch (err) {
+      // Directory already exists, ignore
+    }
+    cb(null, config.paths.media);
+  },
+  filename: (req, file, cb) => {
+    // Generate unique filename while preserving extension
+    const ext = path.extname(file.originalname).toLowerCase();
+    const baseName = path.basename(file.originalname, ext)
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, '-')
+      .replace(/-+/g, '-')
+      .replace(/^-|-$/g, '');
+
+    const timestamp = Date.now();
+    const uniqueName = `${baseName || 'file'}-${timestamp}${ext}`;
+    cb(null, uniqueName);
+  },
+});
+
+/**
+ * Take one upload in the `file` field. Multer stops at the largest kind's
+ * limit; the upload's own kind is held to its limit once its contents show
+ * what it is.
+ */
+async function uploadMedia(req, res, next) {
+  let limits;
+  try {
+    ({ limits } = (await getConfig()).media);
+  } catch (error) {
+    return next(error);
+  }
+  const largest = Math.max(...MEDIA_KINDS.map(kind => limitFor(limits, kind)));
+
+  const fileFilter = (req, file, cb) => {
+    const type = mediaTypeOf(file.originalname);
+    if (!type) {
+      return cb(new Error(`File type not allowed. Allowed types: ${mediaExtensions().join(', ')}`), false);
+    }
+    if (!limitFor(limits, type.kind)) {
+      return cb(new Error(`Uploads of ${type.kind} files are turned off`), false);
+    }
+    // For the error message should multer's limit be hit
+    req.mediaLimit = { kind: type.kind, size: limitFor(limits, type.kind) };
+    cb(null, true);
+  };
+
+  multer({ storage, fileFilter, limits: { fileSize: largest } }).single('file')(req, res, next);
+}
+
+const uploadPoster = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_POSTER_SIZE,
+  },
+});
+
+/**
+ * GET /api/media
+ * List the media files, newest first. Query:
+ * - kind: only files of this kind (document, video, audio or archive)
+ * - q: search filenames and titles
+ * Also returns the size limit for each kind, in MB.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { kind } = req.query;
+    if (kind !== undefined && kind !== '' && !MEDIA_KINDS.includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid kind',
+        message: `kind must be one of ${MEDIA_KINDS.join(', ')}`,
+      });
+    }
+    const q = typeof req.query.q === 'string' ? req.query.q.trim().toLowerCase() : '';
+
+    let filenames = [];
+    try {
+      filenames = (await fs.readdir(config.paths.media, { withFileTypes: true }))
+        .filter(dirent => dirent.isFile() && mediaFilenameFrom(dirent.name))
+        .map(dirent => dirent.name);
+    } catch {
+      // Directory doesn't exist yet
+    }
+
+    const metadata = await loadMetadata();
+    const media = [];
+    for (const filename of filenames) {
+      const item = mediaItem(filename, await fs.stat(path.join(config.paths.media, filename)), metadata[filename] ?? {});
+      if (kind && item.kind !== kind) continue;
+      if (q && !`${filename} ${item.title}`.toLowerCase().includes(q)) continue;
+      media.push(item);
+    }
+    media.sort((a, b) => b.modified - a.modified || a.filename.localeCompare(b.filename));
+
+    const { limits } = (await getConfig()).media;
+    res.json({
+      success: true,
+      media,
+      count: media.length,
+      limits: Object.fromEntries(MEDIA_KINDS.map(name => [name, limitFor(limits, name) / MB])),
+    });
+  } catch (error) {
+    console.error('Error listing media:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list media',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/media
+ * Upload a media file (multipart field `file`). It's kept only if its
+ * contents match its extension and it's within its kind's size limit.
+ */
+router.post('/', uploadMedia, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No file provided',
+      });
+    }
+
+    const { type, detected } = sniffMediaType(await readFileStart(req.file.path), req.file.filename);
+    if (!type) {
+      await fs.unlink(req.file.path).catch(() => {});
+      const claimed = mediaTypeOf(req.file.filename);
+      return res.status(400).json({
+        success: false,
+        error: "File contents don't match its type",
+        message: detected
+          ? `${req.file.originalname} is named as ${claimed.mime} but looks like ${detected}`
+          : `${req.file.originalname} is named as ${claimed.mime} but doesn't look like one`,
+      });
+    }
+
+    const limit = limitFor((await getConfig()).media.limits, type.kind);
+    if (req.file.size > limit) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return res.status(400).json({
+        success: false,
+        error: `File too large. Maximum size for ${type.kind} files is ${limit / MB}MB`,
+      });
+    }
+
+    // Measurements are a bonus: a file that can't be read is still kept
+    let info = {};
+    try {
+      info = await readMediaInfo(req.file.path, type);
+    } catch (error) {
+      console.warn(`Could not measure ${req.file.filename}:`, error.message);
+    }
+
+    const metadata = await loadMetadata();
+    metadata[req.file.filename] = { ...metadata[req.file.filename], ...info };
+    await saveMetadata(metadata);
+
+    console.log(`Media uploaded: ${req.file.filename}`);
+    await recordMediaChangeBy(req, req.file.path);
+    await recordMediaChangeBy(req, path.join(config.paths.media, METADATA_FILENAME));
+
+    res.json({
+      success: true,
+      media: mediaItem(req.file.filename, await fs.stat(req.file.path), metadata[req.file.filename]),
+    });
+  } catch (error) {
+    console.error('Error uploading media:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload media',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/media/:filename/metadata
+ * Set a media file's title (shown as the link text of downloads)
+ */
+router.put('/:filename/metadata', express.json(), async (req, res) => {
+  try {
+    const filename = requestedMediaFilename(req, res);
+    if (!filename) return;
+    const { title } = req.body;
+
+    if (typeof title !== 'string' || title.length > MAX_TITLE_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid title',
+        message: `title must be a string of up to ${MAX_TITLE_LENGTH} characters`,
+      });
+    }
+
+    const filePath = path.join(config.paths.media, filename);
+    let stats;
+    try {
+      stats = await fs.stat(filePath);
+    } catch {
+      return res.status(404).json({
+        success: false,
+        error: 'Media file not found',
+      });
+    }
+
+    const metadata = await loadMetadata();
+    metadata[filename] = { ...metadata[filename], title: title.trim() };
+    if (!metadata[filename].title) delete metadata[filename].title;
+    await saveMetadata(metadata);
+    await recordMediaChangeBy(req, path.join(config.paths.media, METADATA_FILENAME));
+
+    res.json({
+      success: true,
+      media: mediaItem(filename, stats, metadata[filename]),
+    });
+  } catch (error) {
+    console.error('Error updating media metadata:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update metadata',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/media/:filename/poster
+ * Set a video's poster frame: a JPEG, PNG or WebP image (multipart field
+ * `poster`) captured from the video in the browser, and the time in seconds
+ * it was taken at (field `time`, optional)
+ */
+router.post('/:filename/poster', uploadPoster.single('poster'), async (req, res) => {
+  try {
+    const filename = requestedMediaFilename(req, res);
+    if (!filename) return;
+
+    if (mediaTypeOf(filename).kind !== 'video') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only videos have poster frames',
+      });
+    }
+
+    const filePath = path.join(config.paths.media, filename);
+    let stats;
+    try {
+      stats = await fs.stat(filePath);
+    } catch {
+      return res.status(404).json({
+        success: false,
+        error: 'Media file not found',
+      });
+    }
+
+    const format = req.file ? sniffPosterFormat(req.file.buffer) : null;
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: 'No poster image provided',
+        message: 'poster must be a JPEG, PNG or WebP image',
+      });
+    }
+
+    const time = req.body.time === undefined || req.body.time === '' ? null : Number(req.body.time);
+    if (time !== null && !(Number.isFinite(time) && time >= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid time',
+        message: 'time must be a number of seconds',
+      });
+    }
+
+    const metadata = await loadMetadata();
+    const fileMeta = metadata[filename] ?? {};
+    const previous = await removePoster(fileMeta);
+    if (previous) await recordMediaChangeBy(req, previous);
+
+    const posterName = `${filename}.${format}`;
+    const posterPath = path.join(config.paths.media, POSTERS_DIR, posterName);
+    await fs.mkdir(path.dirname(posterPath), { recursive: true });
+    await fs.writeFile(posterPath, req.file.buffer);
+    await recordMediaChangeBy(req, posterPath);
+
+    metadata[filename] = {
+      ...fileMeta,
+      poster: `/media/${POSTERS_DIR}/${posterName}`,
+      posterTime: time === null ? null : Math.round(time * 100) / 100,
+    };
+    await saveMetadata(metadata);
+    await recordMediaChangeBy(req, path.join(config.paths.media, METADATA_FILENAME));
+
+    res.json({
+      success: true,
+      media: mediaItem(filename, stats, metadata[filename]),
+    });
+  } catch (error) {
+    console.error('Error saving poster frame:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save poster frame',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/media/:filename/poster
+ * Remove a video's poster frame
+ */
+router.delete('/:filename/poster', async (req, res) => {
+  try {
+    const filename = requestedMediaFilename(req, res);
+    if (!filename) return;
+
+    const metadata = await loadMetadata();
+    const fileMeta = metadata[filename] ?? {};
+    const posterPath = await removePoster(fileMeta);
+    if (posterPath) {
+      await recordMediaChangeBy(req, posterPath);
+      delete fileMeta.poster;
+      delete fileMeta.posterTime;
+      await saveMetadata(metadata);
+      await recordMediaChangeBy(req, path.join(config.paths.media, METADATA_FILENAME));
+    }
+
+    res.json({
+      success: true,
+      message: posterPath ? 'Poster frame removed' : 'No poster frame to remove',
+    });
+  } catch (error) {
+    console.error('Error removing poster frame:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove poster frame',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/media/:filename
+ * Delete a media file, with its poster frame and metadata
+ */
+router.delete('/:filename', async (req, res) => {
+  try {
+    const filename = requestedMediaFilename(req, res);
+    if (!filename) return;
+
+    const filePath = path.join(config.paths.media, filename);
+    try {
+      await fs.unlink(filePath);
+    } catch {
+      return res.status(404).json({
+        success: false,
+        error: 'Media file not found',
+      });
+    }
+    await recordMediaChangeBy(req, filePath);
+
+    const metadata = await loadMetadata();
+    if (metadata[filename]) {
+      const posterPath = await removePoster(metadata[filename]);
+      if (posterPath) await recordMediaChangeBy(req, posterPath);
+      delete metadata[filename];
+      await saveMetadata(metadata);
+      await recordMediaChangeBy(req, path.join(config.paths.media, METADATA_FILENAME));
+    }
+
+    console.log(`Media deleted: ${filename}`);
+    res.json({
+      success: true,
+      message: 'Media file deleted successfully',
+    });
+  } catch (error) {
+    console.error('Error deleting media:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete media',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Format file size in human-readable format
+ */
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Error handling middleware for multer errors
+router.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        success: false,
+        error: err.field === 'poster' || !req.mediaLimit
+          ? `File too large. Maximum size is ${MAX_POSTER_SIZE / MB}MB`
+          : `File too large. Maximum size for ${req.mediaLimit.kind} files is ${req.mediaLimit.size / MB}MB`,
+      });
+    }
+    return res.status(400).json({
+      success: false,
+      error: err.message,
+    });
+  }
+
+  if (err) {
+    return res.status(400).json({
+      success: false,
+      error: err.message,
+    });
+  }
+
+  next();
+});
+
+export default router;
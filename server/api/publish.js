@@ -7,30 +7,53 @@
  * DB unless config.git.includeDb.
  *
  * Pipeline: [git pull/commit/push if enabled] -> build -> deploy (if adapter).
+ * Publishes run one at a time through a persistent queue (publish-queue.js),
+ * see GET /jobs. Each publish is a run (utils/publish-runs.js): its step
+ * output is streamed to the dashboard as it happens and kept on disk, see
+ * GET /runs/:id/log.
  *
  * Mounted at /api/publish. The handler is also re-exported and aliased at
  * /api/git/publish (git.js) for backwards compatibility when git is enabled.
  */
 
 import express from 'express';
+import fs from 'fs/promises';
+import os from 'os';
 import path from 'path';
 import simpleGit from 'simple-git';
 import { getConfig } from '../config.js';
-import { deploy, validateDeployConfig } from '../utils/deploy.js';
+import { deploy, validateDeployConfig, supportsReleases, listReleases, rollback } from '../utils/deploy.js';
 import { runProductionBuild } from '../utils/build.js';
+import { commitWithAttribution } from '../utils/authorship.js';
+import { heldBackFiles, dueScheduledEntries, markPublished } from '../utils/entry-status.js';
+import { existingRedirectFiles } from '../utils/redirects.js';
+import { branchWorkflowConfig, currentBranch } from '../utils/branch-workflow.js';
+import { startRun, listRuns, readRun } from '../utils/publish-runs.js';
+import { createPublishQueue } from '../publish-queue.js';
+import { invalidateSearchIndex } from '../utils/search.js';
+import { invalidateReferenceIndex } from '../utils/references.js';
+import { invalidateImageUsageIndex } from '../utils/image-usage.js';
 
 const router = express.Router();
 // Conservative fallback for a malformed config; an explicitly-configured
 // empty array means "stage nothing" and is respected.
 // (Helpers are exported for reuse by api/git.js — keep one definition.)
-const DEFAULT_GIT_PATHS = ['src/styles/', 'public/images/'];
+const DEFAULT_GIT_PATHS = ['src/styles/', 'public/images/', 'public/media/'];
 
 export function createGitClient(fullConfig) {
   return simpleGit(fullConfig.paths.projectRoot);
 }
 
+/**
+ * The configured git paths, plus the redirect files a rename may have edited
+ * (utils/redirects.js), which live outside them
+ */
 export function getGitPaths(fullConfig) {
-  return Array.isArray(fullConfig.git?.paths) ? fullConfig.git.paths : DEFAULT_GIT_PATHS;
+  const paths = Array.isArray(fullConfig.git?.paths) ? fullConfig.git.paths : DEFAULT_GIT_PATHS;
+  if (paths.length === 0) return paths;
+  const redirectFiles = existingRedirectFiles(fullConfig.paths.projectRoot)
+    .filter(file => !paths.some(gitPath => file.startsWith(gitPath)));
+  return [...paths, ...redirectFiles];
 }
 
 export async function getStagedFilesForPaths(git, gitPaths) {
@@ -56,29 +79,86 @@ export async function stageGitPaths(git, gitPaths) {
   return stagedPaths;
 }
 
+/**
+ * Unstage the files of entries that aren't due to go out at `now` (drafts,
+ * in review, scheduled for later — see utils/entry-status.js), leaving their
+ * changes in the working tree for a later commit
+ * @returns {Promise<string[]>} The project-relative files held back
+ */
+export async function unstageHeldBackEntries(fullConfig, git, now = new Date()) {
+  const files = await heldBackFiles(fullConfig, now);
+  if (files.length > 0) {
+    await git.raw(['reset', '-q', '--', ...files]);
+  }
+  return files;
+}
+
+/**
+ * Pathspecs for committing `paths` without the held-back files. Commits name
+ * their paths, so git takes those paths from the working tree and unstaging
+ * alone wouldn't keep a held-back entry out; an exclude pathspec does.
+ */
+export function excludeHeldBack(paths, heldBack) {
+  // Excludes on their own would mean "everything except", so only narrow a
+  // real path list
+  if (paths.length === 0 || heldBack.length === 0) return paths;
+  return [...paths, ...heldBack.map(file => `:(exclude)${file}`)];
+}
+
 function commitInfo(commitResult) {
   return commitResult
     ? { hash: commitResult.commit, summary: commitResult.summary }
     : null;
 }
 
+/**
+ * The upstream of the checked-out branch, or null when there's nothing to
+ * pull from or push to (no remote, or a branch that doesn't track one)
+ */
+async function upstreamBranch(git) {
+  try {
+    return (await git.raw(['rev-parse', '--abbrev-ref', '--symbolic-full-name', '@{u}'])).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Run the git pre-step: pull --rebase, stage configured asset paths, commit,
- * push. Best-effort pull/push so a missing remote doesn't fail the publish.
- * @returns {Promise<{committed: boolean, pushed: boolean, commitResult: object|null}>}
+ * push. Without an upstream branch the pull and push are skipped; with one, a
+ * failed pull throws (nothing is committed) and a failed push is returned as
+ * `pushError`. Held-back edits are stashed around the pull (--autostash).
+ * Entries that aren't published (or scheduled for a time before `now`) are
+ * left out of the commit. The commit is authored by the publishing login and
+ * co-authored by everyone who saved a staged file (see utils/authorship.js).
+ * @param {object} [options]
+ * @param {string|null} [options.username] - The login publishing
+ * @param {Date} [options.now] - The publish time scheduled entries are due by
+ * @param {(msg: string) => void} [options.log=console.log] - Log sink
+ * @returns {Promise<{committed: boolean, pushed: boolean, pushError: string|null, commitResult: object|null, heldBack: string[]}>}
  */
-async function runGitStep(fullConfig, commitMessage) {
+async function runGitStep(fullConfig, commitMessage, { username = null, now = new Date(), log = console.log } = {}) {
   let committed = false;
   let pushed = false;
+  let pushError = null;
   let commitResult = null;
   const git = createGitClient(fullConfig);
   const commitPaths = [];
 
-  try {
-    await git.pull(['--rebase']);
-    console.log('✅ Pulled latest changes');
-  } catch (pullError) {
-    console.log('Pull skipped:', pullError.message);
+  const upstream = await upstreamBranch(git);
+  if (upstream) {
+    try {
+      await git.pull(['--rebase', '--autostash']);
+    } catch (pullError) {
+      throw new Error(`Pull from ${upstream} failed: ${pullError.message}`);
+    }
+    log(`✅ Pulled latest changes from ${upstream}`);
+    // Pulled content bypassed the content store; see invalidateSearchIndex
+    invalidateSearchIndex();
+    invalidateReferenceIndex();
+    invalidateImageUsageIndex();
+  } else {
+    log('No upstream branch: pull and push skipped');
   }
 
   // Optionally force-add the (gitignored) content DB.
@@ -88,39 +168,110 @@ async function runGitStep(fullConfig, commitMessage) {
       await git.add(['-f', relDb]);
       commitPaths.push(relDb);
     } catch (error) {
-      console.log('Could not stage content DB:', error.message);
+      log(`Could not stage content DB: ${error.message}`);
     }
   }
 
   const stagePaths = getGitPaths(fullConfig);
   commitPaths.push(...await stageGitPaths(git, stagePaths));
-
-  const stagedFiles = await getStagedFilesForPaths(git, commitPaths);
-  if (stagedFiles.length > 0) {
-    commitResult = await git.commit(commitMessage, commitPaths);
+  const heldBack = await unstageHeldBackEntries(fullConfig, git, now);
+  if (heldBack.length > 0) {
+    log(`Held back (not yet published): ${heldBack.join(', ')}`);
+  }
+  const commitPathspecs = excludeHeldBack(commitPaths, heldBack);
+
+  const stagedFiles = await getStagedFilesForPaths(git, commitPathspecs);
+  if (stagedFiles.length === 0) {
+    log('Nothing to commit');
+  } else {
+    commitResult = await commitWithAttribution(fullConfig, git, {
+      message: commitMessage,
+      stagedPaths: commitPathspecs,
+      stagedFiles,
+      username,
+    });
     committed = true;
-    console.log(`✅ Committed: ${commitMessage}`);
+    log(`✅ Committed ${stagedFiles.length} file${stagedFiles.length === 1 ? '' : 's'}: ${commitMessage}`);
+  }
+
+  if (upstream) {
+    try {
+      await git.push();
+      pushed = true;
+      log(`✅ Pushed to ${upstream}`);
+    } catch (error) {
+      pushError = error.message;
+      log(`❌ Push to ${upstream} failed: ${error.message}`);
+    }
   }
 
+  return { committed, pushed, pushError, commitResult, heldBack };
+}
+
+/**
+ * Check the commit being published out into a temporary worktree, so a build
+ * sees what was committed and not the held-back edits still in the working
+ * tree. node_modules and .env files aren't committed, so they're linked in
+ * from the project.
+ * @returns {Promise<{projectRoot: string, remove: () => Promise<void>}>}
+ *   projectRoot is the project's directory inside the worktree
+ */
+async function checkoutPublishedTree(fullConfig) {
+  const git = createGitClient(fullConfig);
+  const projectRoot = fullConfig.paths.projectRoot;
+  // The project may be a subdirectory of the repository
+  const topLevel = (await git.revparse(['--show-toplevel'])).trim();
+  const worktree = await fs.mkdtemp(path.join(os.tmpdir(), 'astroadmin-publish-'));
+  const remove = async () => {
+    await git.raw(['worktree', 'remove', '--force', worktree]).catch(() => {});
+    await fs.rm(worktree, { recursive: true, force: true });
+    await git.raw(['worktree', 'prune']).catch(() => {});
+  };
+
   try {
-    await git.push();
-    pushed = true;
-    console.log('✅ Pushed to remote');
-  } catch (pushError) {
-    console.log('Push skipped:', pushError.message);
+    await git.raw(['worktree', 'add', '--detach', worktree, 'HEAD']);
+    const treeRoot = path.join(worktree, path.relative(topLevel, projectRoot));
+    const untracked = (await fs.readdir(projectRoot)).filter(name => name === 'node_modules' || name.startsWith('.env'));
+    for (const name of untracked) {
+      await fs.symlink(path.join(projectRoot, name), path.join(treeRoot, name)).catch(() => {});
+    }
+    return { projectRoot: treeRoot, remove };
+  } catch (error) {
+    await remove();
+    throw error;
   }
+}
 
-  return { committed, pushed, commitResult };
+/**
+ * The checked-out commit, to name a deploy's release (null outside a repo)
+ */
+async function headCommit(fullConfig) {
+  try {
+    return (await createGitClient(fullConfig).revparse(['HEAD'])).trim();
+  } catch {
+    return null;
+  }
 }
 
 /**
- * POST /api/publish
- * Build and deploy the site; commit/push to git first when git is enabled.
+ * Close out a publish run and return its result, tagged with the run id so
+ * the dashboard can link to the full log
  */
-export async function publishHandler(req, res) {
+function finishRun(run, result) {
+  run.finish({ success: result.success, error: result.error ?? null });
+  return { status: 200, body: { ...result, runId: run.id } };
+}
+
+/**
+ * Run one publish job: build and deploy the site; commit/push to git first
+ * when git is enabled. Only ever called by the publish queue, one at a time.
+ * @param {Object} job - See publish-job-store.js
+ * @returns {Promise<{ status: number, body: Object }>} The HTTP response
+ */
+async function runPublish(job) {
+  let run = null;
   try {
-    const { message } = req.body;
-    const commitMessage = message?.trim() || 'Content update';
+    const commitMessage = job.message;
 
     const fullConfig = await getConfig();
     const deployConfig = fullConfig.deploy;
@@ -130,68 +281,242 @@ export async function publishHandler(req, res) {
     if (deployConfig?.adapter) {
       const validation = validateDeployConfig(deployConfig);
       if (!validation.valid) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid deploy configuration',
-          details: validation.errors,
-        });
+        return {
+          status: 400,
+          body: {
+            success: false,
+            error: 'Invalid deploy configuration',
+            details: validation.errors,
+          },
+        };
       }
     }
 
+    // With the branch workflow, edits reach main by review + merge; only
+    // main itself is published.
+    const branchWorkflow = branchWorkflowConfig(fullConfig);
+    if (branchWorkflow.enabled) {
+      const checkedOut = await currentBranch(createGitClient(fullConfig));
+      if (checkedOut !== branchWorkflow.mainBranch) {
+        return {
+          status: 409,
+          body: {
+            success: false,
+            error: 'Submit for review instead',
+            message: `${checkedOut} is checked out; submit it for review and have an admin merge it into ${branchWorkflow.mainBranch} to publish`,
+          },
+        };
+      }
+    }
+
+    // Everything from here on is logged to the run (and streamed live).
+    // Commits are attributed to whoever asked first.
+    const username = job.requestedBy[0] ?? null;
+    run = startRun(fullConfig, { user: username, streamIds: job.streamIds });
+    if (job.requestedBy.length > 1) {
+      run.log('publish', `Publishing for ${job.requestedBy.join(', ')}`);
+    }
+
+    // Scheduled entries due by now go out with this publish.
+    const now = new Date();
+    const due = await dueScheduledEntries(fullConfig, now);
+
     // Optional git pre-step.
     let committed = false;
     let pushed = false;
+    let pushError = null;
     let commitResult = null;
+    let heldBack = [];
     if (gitEnabled) {
-      ({ committed, pushed, commitResult } = await runGitStep(fullConfig, commitMessage));
+      ({ committed, pushed, pushError, commitResult, heldBack } = await runGitStep(fullConfig, commitMessage, {
+        username,
+        now,
+        log: run.logger('git'),
+      }));
+    }
+    if (pushError) {
+      // Nothing is built or deployed from a commit the remote doesn't have
+      return finishRun(run, {
+        success: false,
+        committed,
+        pushed,
+        commit: commitInfo(commitResult),
+        heldBack,
+        build: null,
+        deploy: null,
+        message: committed ? 'Committed, but the push failed' : 'Push failed',
+        error: `Push failed: ${pushError}`,
+      });
     }
+    await markPublished(fullConfig, due.map(entry => entry.key));
 
     // Build + deploy.
     let buildResult = null;
     let deployResult = null;
 
     if (deployConfig?.adapter) {
-      buildResult = await runProductionBuild();
-
-      if (!buildResult.success) {
-        return res.json({
-          success: false,
-          committed,
-          pushed,
-          commit: commitInfo(commitResult),
-          build: buildResult,
-          deploy: null,
-          message: gitEnabled ? 'Published to git, but build failed' : 'Build failed',
-          error: 'Build failed - deployment skipped',
-        });
+      // Held-back edits are still in the working tree, so the build then runs
+      // on a checkout of the commit just published instead
+      let buildRoot = fullConfig.paths.projectRoot;
+      let publishedTree = null;
+      if (heldBack.length > 0) {
+        publishedTree = await checkoutPublishedTree(fullConfig);
+        buildRoot = publishedTree.projectRoot;
+        run.log('build', `Building the published commit, without the ${heldBack.length} held-back entr${heldBack.length === 1 ? 'y' : 'ies'}`);
+      } else if (!gitEnabled) {
+        // Without git there's no published version to build instead
+        const unpublished = await heldBackFiles(fullConfig, now);
+        if (unpublished.length > 0) {
+          run.log('build', `⚠️ Git is disabled, so these unpublished entries are built as they are: ${unpublished.join(', ')}`);
+        }
       }
 
       try {
-        deployResult = await deploy(deployConfig, fullConfig.paths.projectRoot);
-        console.log('✅ Deployment completed');
-      } catch (deployError) {
-        return res.json({
-          success: false,
-          committed,
-          pushed,
-          commit: commitInfo(commitResult),
-          build: buildResult,
-          deploy: { success: false, error: deployError.message },
-          message: 'Built, but deployment failed',
-          error: deployError.message,
-        });
+        run.log('build', `🔨 Building (${fullConfig.build?.production || 'bunx --bun astro build --outDir dist'})`);
+        buildResult = await runProductionBuild({ cwd: buildRoot, onLine: run.logger('build') });
+
+        if (!buildResult.success) {
+          run.log('build', `❌ ${buildResult.error}`);
+          return finishRun(run, {
+            success: false,
+            committed,
+            pushed,
+            commit: commitInfo(commitResult),
+            build: buildResult,
+            deploy: null,
+            message: gitEnabled ? 'Published to git, but build failed' : 'Build failed',
+            error: 'Build failed - deployment skipped',
+          });
+        }
+
+        try {
+          deployResult = await deploy(deployConfig, buildRoot, {
+            commit: gitEnabled ? await headCommit(fullConfig) : null,
+            log: run.logger('deploy'),
+          });
+          console.log('✅ Deployment completed');
+        } catch (deployError) {
+          run.log('deploy', `❌ ${deployError.message}`);
+          return finishRun(run, {
+            success: false,
+            committed,
+            pushed,
+            commit: commitInfo(commitResult),
+            build: buildResult,
+            deploy: { success: false, error: deployError.message },
+            message: 'Built, but deployment failed',
+            error: deployError.message,
+          });
+        }
+      } finally {
+        await publishedTree?.remove();
       }
     }
 
-    res.json({
+    return finishRun(run, {
       success: true,
       committed,
       pushed,
       commit: commitInfo(commitResult),
+      heldBack,
       build: buildResult,
       deploy: deployResult,
       message: buildPublishMessage({ gitEnabled, committed, pushed, deployResult }),
     });
+  } catch (error) {
+    console.error('Error publishing:', error);
+    if (run) {
+      run.log('publish', `❌ ${error.message}`);
+      run.finish({ success: false, error: error.message });
+    }
+    return {
+      status: 500,
+      body: {
+        success: false,
+        error: 'Failed to publish',
+        message: error.message,
+        runId: run?.id ?? null,
+      },
+    };
+  }
+}
+
+/**
+ * Run one rollback job: make an earlier release live again. Queued like a
+ * publish so it never switches `current` while a publish is deploying.
+ * @param {Object} job - See publish-job-store.js; `job.params.release` is the
+ *   release id, or null for the one before the live release
+ * @returns {Promise<{ status: number, body: Object }>} The HTTP response
+ */
+async function runRollback(job) {
+  const fullConfig = await getConfig();
+  if (!supportsReleases(fullConfig.deploy)) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Releases are not enabled',
+        message: 'Set deploy.rsync.releases.enabled in astroadmin.config.js',
+      },
+    };
+  }
+
+  let result;
+  try {
+    result = await rollback(fullConfig.deploy, fullConfig.paths.projectRoot, { release: job.params.release ?? null });
+  } catch (rollbackError) {
+    return { status: 409, body: { success: false, error: 'Cannot roll back', message: rollbackError.message } };
+  }
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      ...result,
+      deploy: { success: true, release: result.current },
+      message: `Rolled back to ${result.current}`,
+    },
+  };
+}
+
+function runJob(job) {
+  return job.type === 'rollback' ? runRollback(job) : runPublish(job);
+}
+
+let publishQueue = null;
+
+/**
+ * The process-wide publish queue (created on first use)
+ */
+export async function getPublishQueue() {
+  if (!publishQueue) {
+    const fullConfig = await getConfig();
+    publishQueue = createPublishQueue({
+      path: path.resolve(fullConfig.paths.projectRoot, fullConfig.publishQueue.path),
+      keep: fullConfig.publishQueue.keep,
+      run: runJob,
+    });
+  }
+  return publishQueue;
+}
+
+/**
+ * POST /api/publish
+ * Queue a publish and answer once it has run. Body: { message?, streamId? }
+ * (streamId: the dashboard's id for following the run's live log)
+ */
+export async function publishHandler(req, res) {
+  try {
+    const { message, streamId } = req.body;
+    const queue = await getPublishQueue();
+    const { done } = queue.enqueue({
+      message: message?.trim() || 'Content update',
+      user: req.user?.username ?? req.session?.user ?? null,
+      streamId: typeof streamId === 'string' ? streamId.slice(0, 100) : null,
+    });
+
+    const { status, body } = await done;
+    res.status(status).json(body);
   } catch (error) {
     console.error('Error publishing:', error);
     res.status(500).json({
@@ -292,6 +617,157 @@ export function buildPublishMessage({ gitEnabled, committed, pushed, deployResul
   return `Published: ${parts.join(', ')}`;
 }
 
+/**
+ * GET /api/publish/releases
+ * Deployed releases, newest first, when the deploy adapter keeps them
+ * (rsync with releases.enabled); `enabled: false` otherwise
+ */
+router.get('/releases', async (req, res) => {
+  try {
+    const fullConfig = await getConfig();
+    if (!supportsReleases(fullConfig.deploy)) {
+      return res.json({ success: true, enabled: false, current: null, releases: [] });
+    }
+
+    const { current, releases } = await listReleases(fullConfig.deploy, fullConfig.paths.projectRoot);
+    res.json({ success: true, enabled: true, current, releases });
+  } catch (error) {
+    console.error('Error listing releases:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list releases',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/publish/rollback
+ * Make an earlier release live again (admin only, see ROUTE_ROLES). Queued
+ * behind any running or waiting publish; answers once it has run.
+ * Body: { release? } - release id; default: the one before the live release
+ */
+router.post('/rollback', async (req, res) => {
+  try {
+    const fullConfig = await getConfig();
+    if (!supportsReleases(fullConfig.deploy)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Releases are not enabled',
+        message: 'Set deploy.rsync.releases.enabled in astroadmin.config.js',
+      });
+    }
+
+    const release = typeof req.body?.release === 'string' && req.body.release ? req.body.release : null;
+    const queue = await getPublishQueue();
+    const { done } = queue.enqueue({
+      type: 'rollback',
+      params: { release },
+      message: release ? `Roll back to ${release}` : 'Roll back to the previous release',
+      user: req.user?.username ?? req.session?.user ?? null,
+    });
+
+    const { status, body } = await done;
+    res.status(status).json(body);
+  } catch (error) {
+    console.error('Error rolling back:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to roll back',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/publish/jobs
+ * Publish queue history, newest first (queued and running jobs included)
+ */
+router.get('/jobs', async (req, res) => {
+  try {
+    const queue = await getPublishQueue();
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    res.json({ success: true, jobs: queue.list(limit) });
+  } catch (error) {
+    console.error('Error listing publish jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list publish jobs',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/publish/jobs/:id/cancel
+ * Cancel a publish that is still waiting in the queue
+ */
+router.post('/jobs/:id/cancel', async (req, res) => {
+  try {
+    const queue = await getPublishQueue();
+    let job;
+    try {
+      job = queue.cancel(req.params.id, req.user?.username ?? req.session?.user ?? null);
+    } catch (cancelError) {
+      if (cancelError.code === 'NOT_FOUND' || cancelError.code === 'NOT_QUEUED') {
+        return res.status(cancelError.code === 'NOT_FOUND' ? 404 : 409).json({
+          success: false,
+          error: 'Cannot cancel publish',
+          message: cancelError.message,
+        });
+      }
+      throw cancelError;
+    }
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error('Error cancelling publish job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel publish',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/publish/runs
+ * Recent publish and build runs, newest first
+ */
+router.get('/runs', async (req, res) => {
+  try {
+    const fullConfig = await getConfig();
+    res.json({ success: true, runs: listRuns(fullConfig) });
+  } catch (error) {
+    console.error('Error listing publish runs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list publish runs',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/publish/runs/:id/log
+ * A run's full log as plain text
+ */
+router.get('/runs/:id/log', async (req, res) => {
+  try {
+    const run = readRun(await getConfig(), req.params.id);
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Run not found' });
+    }
+    res.type('text/plain').send(run.log);
+  } catch (error) {
+    console.error('Error reading publish run log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read run log',
+      message: error.message,
+    });
+  }
+});
+
 router.post('/', publishHandler);
 
 export default router;
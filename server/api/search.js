@@ -0,0 +1,52 @@
+/**
+ * Search API
+ * Full-text search across every collection the user can see
+ */
+
+import express from 'express';
+import { getConfig } from '../config.js';
+import { getCollectionAccess } from '../utils/permissions.js';
+import { getCollectionNames } from '../utils/collections.js';
+import { searchContent } from '../utils/search.js';
+
+const router = express.Router();
+
+const MAX_LIMIT = 50;
+
+/**
+ * GET /api/search?q=pricing
+ * Query params: ?limit=20 (optional, at most 50)
+ * One result per entry, best match first: the entry, the field that matched
+ * best with a snippet of it, and every other field that matched
+ */
+router.get('/', async (req, res) => {
+  const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (!query) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing query',
+      message: 'Pass the text to search for as ?q=',
+    });
+  }
+
+  try {
+    const fullConfig = await getConfig();
+    const username = req.user?.username ?? req.session?.user ?? null;
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const collections = (await getCollectionNames())
+      .filter(collection => getCollectionAccess(fullConfig.permissions, username, collection) !== 'none');
+    const results = await searchContent(query, { limit, collections });
+
+    res.json({ success: true, query, results });
+  } catch (error) {
+    console.error('Error searching content:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Search failed',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
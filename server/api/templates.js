@@ -0,0 +1,149 @@
+/**
+ * Templates API Router
+ * Named starting points for new entries, per collection (see utils/templates.js)
+ */
+
+import express from 'express';
+import { getConfig } from '../config.js';
+import { readContent } from '../utils/content.js';
+import { requireCollectionAccess } from '../utils/permissions.js';
+import { listTemplates, getTemplate, saveTemplate, deleteTemplate } from '../utils/templates.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/templates/:collection
+ * A collection's templates, by name (without their content)
+ */
+router.get('/:collection', requireCollectionAccess('read'), async (req, res) => {
+  try {
+    const fullConfig = await getConfig();
+    const templates = await listTemplates(fullConfig, req.params.collection);
+    res.json({ success: true, collection: req.params.collection, templates });
+  } catch (error) {
+    console.error(`Error listing templates for ${req.params.collection}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list templates',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/templates/:collection/:id
+ * One template, with the data and body new entries start with
+ */
+router.get('/:collection/:id', requireCollectionAccess('read'), async (req, res) => {
+  try {
+    const { collection, id } = req.params;
+    const fullConfig = await getConfig();
+    const template = await getTemplate(fullConfig, collection, id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found',
+        message: `No template "${id}" for ${collection}`,
+      });
+    }
+
+    res.json({ success: true, collection, template });
+  } catch (error) {
+    console.error(`Error reading template ${req.params.collection}/${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read template',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/templates/:collection
+ * Save a template (replacing any of the same name)
+ * Body: { name, description?, from?, locale?, data?, body?, type? } — with
+ * `from`, the template is a copy of that entry (in `locale`, if given);
+ * otherwise of the `data` / `body` sent
+ */
+router.post('/:collection', requireCollectionAccess('write'), async (req, res) => {
+  const { collection } = req.params;
+  const { name, description, from, locale = null } = req.body || {};
+
+  try {
+    const fullConfig = await getConfig();
+
+    let content = req.body || {};
+    if (from) {
+      try {
+        content = await readContent(collection, from, fullConfig.i18n?.enabled ? locale : null);
+      } catch (error) {
+        if (error.message.includes('not found')) {
+          return res.status(404).json({ success: false, error: 'Content not found', message: error.message });
+        }
+        throw error;
+      }
+    }
+
+    let template;
+    try {
+      template = await saveTemplate(fullConfig, collection, {
+        name,
+        description,
+        data: content.data,
+        body: content.body,
+        type: content.type,
+        username: req.user?.username ?? req.session?.user ?? null,
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid template',
+        message: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      collection,
+      template,
+      message: `Saved template "${template.name}"`,
+    });
+  } catch (error) {
+    console.error(`Error saving template for ${collection}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save template',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/templates/:collection/:id
+ */
+router.delete('/:collection/:id', requireCollectionAccess('write'), async (req, res) => {
+  try {
+    const { collection, id } = req.params;
+    const fullConfig = await getConfig();
+
+    if (!(await deleteTemplate(fullConfig, collection, id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found',
+        message: `No template "${id}" for ${collection}`,
+      });
+    }
+
+    res.json({ success: true, collection, id, message: 'Template deleted' });
+  } catch (error) {
+    console.error(`Error deleting template ${req.params.collection}/${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete template',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
@@ -35,6 +35,7 @@ function defaultGitPathsForStore(storeMode) {
     ...(storeMode === 'db' ? [] : ['src/content/']),
     'src/styles/',
     'public/images/',
+    'public/media/',
   ];
 }
 
@@ -48,6 +49,7 @@ const defaultPaths = {
   public: path.join(PROJECT_ROOT, 'public'),
   srcImages: path.join(PROJECT_ROOT, 'src/assets/images'),
   images: path.join(PROJECT_ROOT, 'public/images'),
+  media: path.join(PROJECT_ROOT, 'public/media'),
 };
 
 // Default configuration
@@ -91,6 +93,8 @@ const defaultConfig = {
     password: process.env.ADMIN_PASSWORD || 'admin',
     passwordHash: process.env.ADMIN_PASSWORD_HASH || null,
     sessionSecret: process.env.SESSION_SECRET || 'dev-secret-change-in-prod',
+    // Extra logins alongside the one above: [{ username, passwordHash, role }]
+    credentials: [],
     // Session cookie name (express-session default is connect.sid). Hosted
     // instances set a distinct one to avoid the host-only/domain cookie
     // collision when the cookie Domain changes — see server/index.js.
@@ -116,6 +120,102 @@ const defaultConfig = {
     ttl: 1000 * 60 * 60 * 24 * 7, // 7 days (match cookie maxAge)
   } : null,
 
+  // Multi-user accounts (managed with `astroadmin users`). While this database
+  // has no users, the single auth credential above logs in as admin.
+  users: {
+    path: process.env.ASTROADMIN_USERS_DB || path.join(PROJECT_ROOT, '.astroadmin/users.db'),
+  },
+
+  // Commit attribution (see server/utils/authorship.js): each login's name +
+  // email for commit authorship, and which login saved each uncommitted file
+  // (credited with a Co-authored-by trailer when it's committed)
+  authorship: {
+    profilesPath: path.join(PROJECT_ROOT, '.astroadmin/profiles.json'),
+    pendingPath: path.join(PROJECT_ROOT, '.astroadmin/pending-authors.json'),
+  },
+
+  // Publishing workflow (see server/utils/entry-status.js): per-entry
+  // draft/in_review/scheduled/published status, how often the server
+  // checks for scheduled entries that are due (0 disables the scheduler),
+  // and how many times a failed scheduled publish is retried (backing off
+  // from one interval, doubling each time) before it's left to an editor
+  workflow: {
+    statusPath: path.join(PROJECT_ROOT, '.astroadmin/entry-status.json'),
+    schedulerIntervalMs: 60 * 1000,
+    schedulerMaxAttempts: 5,
+  },
+
+  // Publish run logs (see server/utils/publish-runs.js): the full git, build
+  // and deploy output of each publish, streamed live to the dashboard over
+  // WebSocket and kept on disk for the most recent `keep` runs
+  publishLogs: {
+    dir: path.join(PROJECT_ROOT, '.astroadmin/runs'),
+    keep: 50,
+  },
+
+  // Publish queue (see server/publish-queue.js): publishes run one at a time,
+  // with their history (status, duration, commit, deploy result, who asked)
+  // kept in SQLite, pruned to the newest `keep` finished jobs
+  publishQueue: {
+    path: path.join(PROJECT_ROOT, '.astroadmin/publish-jobs.db'),
+    keep: 200,
+  },
+
+  // Full-text search index (see server/utils/search.js): SQLite FTS5 over
+  // every entry's fields, rebuilt from the content store when stale
+  search: {
+    path: path.join(PROJECT_ROOT, '.astroadmin/search.db'),
+  },
+
+  // Find and replace (see server/utils/find-replace.js): the pattern runs in
+  // a worker thread, stopped after timeoutMs so a pathological regex can't
+  // hang the server
+  findReplace: {
+    timeoutMs: 5 * 1000,
+  },
+
+  // Content templates (see server/utils/templates.js): named starting points
+  // for new entries, one JSON file per template under <dir>/<collection>/
+  templates: {
+    dir: path.join(PROJECT_ROOT, '.astroadmin/templates'),
+  },
+
+  // Block library (see server/utils/block-library.js): configured blocks
+  // shared across entries, one JSON file per block under <dir>/
+  blockLibrary: {
+    dir: path.join(PROJECT_ROOT, '.astroadmin/blocks'),
+  },
+
+  // Upload processing (see server/utils/image-processing.js): JPEG, PNG, WebP
+  // and AVIF uploads are scaled to fit maxDimension and re-encoded without
+  // EXIF, with a variant per format at each width (and full size) under
+  // <images>/_variants/. Quality is per encoder (PNG is lossless). Named
+  // crops (width:height) are cut around each image's focal point unless an
+  // editor places them; set one to null to drop it. Uploads of more than
+  // maxPixels (width × height, read from the file header) are refused before
+  // they're decoded.
+  imageProcessing: {
+    enabled: true,
+    maxDimension: 2560,
+    maxPixels: 50 * 1000 * 1000,
+    widths: [640, 1280],
+    formats: ['webp', 'avif'],
+    quality: { jpeg: 82, webp: 80, avif: 50 },
+    crops: { hero: '16:9', card: '1:1' },
+  },
+
+  // Media uploads (see server/api/media.js): documents, video, audio and
+  // archives under paths.media, each type checked by its contents. Size
+  // limits are per kind, in MB.
+  media: {
+    limits: { document: 20, video: 200, audio: 50, archive: 50 },
+  },
+
+  // Per-collection access, keyed by username (see server/utils/permissions.js):
+  //   { marketing: { collections: ['pages'], readOnly: ['settings'] } }
+  // Usernames without an entry can access every collection.
+  permissions: {},
+
   // Content store selection: 'files' (default — git is the source of truth,
   // the site reads content via Astro's native glob()/file() loaders) or 'db'
   // (the shelved SQLite content store, kept for the future SaaS/DB direction).
@@ -133,6 +233,15 @@ const defaultConfig = {
     autoPush: process.env.GIT_AUTO_PUSH === 'true',
     paths: defaultGitPathsForStore(CONTENT_STORE_MODE),
     includeDb: false,
+    // Opt-in editorial workflow (see server/utils/branch-workflow.js): edits
+    // go to content/<user>-<topic> branches that are pushed for review and
+    // merged into mainBranch by an admin
+    branchWorkflow: {
+      enabled: false,
+      mainBranch: 'main',
+      remote: 'origin',
+      prefix: 'content/',
+    },
   },
 
   // Webhook (production only)
@@ -164,9 +273,9 @@ const defaultConfig = {
 
   // Deployment configuration
   // When configured, the publish flow will: git commit + push → build → deploy
-  // Supported adapters: 'rsync' (more coming: 's3', 'ftp', 'vercel', 'netlify')
+  // Supported adapters: 'rsync', 's3', 'http'
   deploy: {
-    adapter: null, // Set to 'rsync' to enable deployment
+    adapter: null, // Set to 'rsync', 's3' or 'http' to enable deployment
     // rsync adapter configuration
     rsync: {
       path: null,           // Required: destination path (e.g., '/var/www/mysite/public')
@@ -176,6 +285,33 @@ const defaultConfig = {
       keyPath: null,        // Optional: path to SSH key (e.g., '~/.ssh/deploy_key')
       exclude: [],          // Optional: patterns to exclude (e.g., ['.git', 'node_modules'])
       dryRun: false,        // Optional: test without making changes
+      // Optional: versioned releases. Each deploy goes to <path>/releases/<timestamp>-<commit>/
+      // and <path>/current is switched to it atomically (serve <path>/current)
+      releases: {
+        enabled: false,
+        keep: 5,            // Newest releases to keep (the live one is always kept)
+      },
+    },
+    // s3 adapter configuration (AWS S3 or any S3-compatible store, e.g. MinIO)
+    s3: {
+      bucket: null,         // Required: bucket name
+      region: 'us-east-1',
+      endpoint: null,       // Optional: custom endpoint (e.g., 'http://localhost:9000'); uses path-style URLs
+      prefix: '',           // Optional: key prefix to deploy under; stale keys under it are deleted
+      accessKeyId: null,    // Default: S3_ACCESS_KEY_ID / AWS_ACCESS_KEY_ID
+      secretAccessKey: null, // Default: S3_SECRET_ACCESS_KEY / AWS_SECRET_ACCESS_KEY
+      cacheControl: {},     // Optional: Cache-Control per extension, e.g. { css: 'public, max-age=600' }
+      concurrency: 4,       // Parallel uploads/deletes
+      dryRun: false,        // Optional: report what would change without changing it
+    },
+    // http adapter configuration (zip upload or deploy hook)
+    http: {
+      url: null,            // Required: upload endpoint or deploy hook URL
+      mode: 'upload',       // 'upload' (POST a zip of dist/) or 'hook' (empty request)
+      method: 'POST',
+      headers: {},          // Optional: e.g. { Authorization: `Bearer ${process.env.DEPLOY_TOKEN}` }
+      timeoutMs: 120000,
+      dryRun: false,        // Optional: build the zip but don't send it
     },
   },
 
@@ -185,6 +321,7 @@ const defaultConfig = {
   database: {
     path: process.env.ASTROADMIN_DB || path.join(PROJECT_ROOT, '.astroadmin/content.db'),
     autoImportOnEmpty: true, // import existing src/content on first run (Phase 7)
+    keepRevisions: 100,      // revisions kept per entry (history; 0 = keep all)
   },
 
   // Internationalization (i18n)
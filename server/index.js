@@ -17,11 +17,24 @@ import collectionsRouter from './api/collections.js';
 import contentRouter from './api/content.js';
 import buildRouter from './api/build.js';
 import gitRouter from './api/git.js';
-import publishRouter from './api/publish.js';
+import publishRouter, { getPublishQueue } from './api/publish.js';
 import imagesRouter from './api/images.js';
+import mediaRouter from './api/media.js';
+import componentsRouter from './api/components.js';
+import searchRouter from './api/search.js';
+import templatesRouter from './api/templates.js';
+import blocksRouter from './api/blocks.js';
 import { clearSchemaCache, loadSchemas, watchSchemaConfig } from './utils/collections.js';
 import { maybeAutoImport } from './utils/import-files.js';
-import { verifyCredentials, authConfigWarnings } from './utils/auth.js';
+import { authenticate, authConfigWarnings, hasRole, requiredRoleFor } from './utils/auth.js';
+import { getProfile, saveProfile } from './utils/authorship.js';
+import { createPublishScheduler } from './publish-scheduler.js';
+import { branchWorkflowConfig, requireEditingBranch } from './utils/branch-workflow.js';
+import { supportsReleases } from './utils/deploy.js';
+import { attachLogStream } from './log-stream.js';
+import { invalidateSearchIndex, closeSearchIndex } from './utils/search.js';
+import { invalidateReferenceIndex } from './utils/references.js';
+import { activeStoreMode } from './utils/content-store.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -79,7 +92,16 @@ export async function createServer() {
     });
   }
 
-  app.use(session(sessionConfig));
+  const sessionMiddleware = session(sessionConfig);
+  app.use(sessionMiddleware);
+
+  // Per-user accounts (bun:sqlite, so Bun only — elsewhere the single
+  // configured credential is the only login)
+  let userStore = null;
+  if (typeof Bun !== 'undefined') {
+    const { createUserStore } = await import('./user-store.js');
+    userStore = createUserStore({ path: fullConfig.users.path });
+  }
 
   // Health check
   app.get('/api/health', (req, res) => {
@@ -91,6 +113,7 @@ export async function createServer() {
   });
 
   // Config endpoint (returns safe config for frontend)
+  const storeMode = await activeStoreMode();
   app.get('/api/config', (req, res) => {
     res.json({
       environment: IS_DEV ? 'development' : 'production',
@@ -98,11 +121,16 @@ export async function createServer() {
       previewMethod: fullConfig.preview.method,
       publicUrl: fullConfig.publicUrl || null,
       gitEnabled: fullConfig.git.enabled,
+      branchWorkflow: branchWorkflowConfig(fullConfig).enabled,
+      releases: supportsReleases(fullConfig.deploy),
+      // The SQLite store keeps its own revision history (the file store's is git's)
+      revisions: storeMode === 'db',
     });
   });
 
   // Warn loudly (once, at startup) about weak auth config in production.
-  for (const warning of authConfigWarnings(fullConfig.auth, IS_PROD)) {
+  const hasUsers = userStore ? userStore.count() > 0 : false;
+  for (const warning of authConfigWarnings(fullConfig.auth, IS_PROD, { hasUsers })) {
     console.warn(`⚠️  Insecure auth: ${warning}`);
   }
 
@@ -110,17 +138,20 @@ export async function createServer() {
   app.post('/api/login', async (req, res) => {
     const { username, password } = req.body;
 
-    let ok = false;
+    let user = null;
     try {
-      ok = await verifyCredentials(fullConfig.auth, username, password);
+      user = await authenticate(fullConfig.auth, userStore, username, password);
     } catch (err) {
       console.error('[Login] Verification error:', err);
       return res.status(500).json({ success: false, error: 'Authentication error' });
     }
 
-    if (ok) {
+    if (user) {
       req.session.authenticated = true;
-      req.session.user = fullConfig.auth.username;
+      req.session.user = user.username;
+      req.session.role = user.role;
+      req.session.userSource = user.source;
+      req.session.profile = await getProfile(fullConfig, user.username).catch(() => null);
 
       // Explicitly save session to ensure cookie is set
       req.session.save((err) => {
@@ -129,7 +160,7 @@ export async function createServer() {
           return res.status(500).json({ success: false, error: 'Session error' });
         }
         console.log(`[Login] Success, session ID: ${req.sessionID}`);
-        res.json({ success: true, user: fullConfig.auth.username });
+        res.json({ success: true, user: user.username, role: user.role });
       });
     } else {
       console.log('[Login] Failed login attempt');
@@ -151,6 +182,9 @@ export async function createServer() {
       res.json({
         authenticated: true,
         user: req.session.user,
+        role: req.session.role || 'admin',
+        profile: req.session.profile || null,
+        branch: req.session.branch || null,
       });
     } else {
       res.json({ authenticated: false });
@@ -175,6 +209,8 @@ export async function createServer() {
     try {
       console.log('🔄 Reloading schemas...');
       clearSchemaCache();
+      invalidateSearchIndex();
+      invalidateReferenceIndex();
       // Trigger reload
       loadSchemas().then(schemas => {
         res.json({
@@ -189,18 +225,68 @@ export async function createServer() {
     }
   });
 
-  // Auth middleware for protected routes
+  // Auth middleware for protected routes: must be logged in, with a role that
+  // allows this route (see requiredRoleFor in utils/auth.js)
   function requireAuth(req, res, next) {
-    if (req.session.authenticated) {
-      next();
-    } else {
-      res.status(401).json({ error: 'Authentication required' });
+    if (!req.session.authenticated) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    // Sessions from before roles existed came from the single credential (admin)
+    let role = req.session.role || 'admin';
+
+    // Re-check store accounts on every request so removing a user, or changing
+    // their role, takes effect immediately rather than when the session
+    // expires. A config-credential session stops working once users exist.
+    const storeInUse = userStore ? userStore.count() > 0 : false;
+    if (req.session.userSource === 'store' || storeInUse) {
+      const account = req.session.userSource === 'store' ? userStore?.get(req.session.user) : null;
+      if (!account) {
+        return req.session.destroy(() => {
+          res.status(401).json({ error: 'Authentication required' });
+        });
+      }
+      role = account.role;
+      req.session.role = role;
+    }
+
+    const required = requiredRoleFor(req.method, req.originalUrl.split('?')[0]);
+    if (!hasRole(role, required)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `This action requires the ${required} role (you are ${role})`,
+      });
     }
+
+    req.user = { username: req.session.user, role };
+    next();
   }
 
+  // The logged-in user's profile: the name + email their commits are
+  // attributed to (see utils/authorship.js)
+  app.get('/api/profile', requireAuth, async (req, res) => {
+    try {
+      const profile = await getProfile(fullConfig, req.session.user);
+      res.json({ success: true, user: req.session.user, profile });
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to read profile', message: error.message });
+    }
+  });
+
+  app.put('/api/profile', requireAuth, async (req, res) => {
+    let profile;
+    try {
+      profile = await saveProfile(fullConfig, req.session.user, req.body || {});
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    req.session.profile = profile;
+    res.json({ success: true, user: req.session.user, profile });
+  });
+
   // API routes
   app.use('/api/collections', requireAuth, collectionsRouter);
-  app.use('/api/content', requireAuth, contentRouter);
+  app.use('/api/content', requireAuth, requireEditingBranch, contentRouter);
   app.use('/api/build', requireAuth, buildRouter);
   app.use('/api/publish', requireAuth, publishRouter);
   // Git endpoints are only mounted when git is enabled. Publishing does not
@@ -208,7 +294,12 @@ export async function createServer() {
   if (fullConfig.git.enabled) {
     app.use('/api/git', requireAuth, gitRouter);
   }
-  app.use('/api/images', requireAuth, imagesRouter);
+  app.use('/api/images', requireAuth, requireEditingBranch, imagesRouter);
+  app.use('/api/media', requireAuth, requireEditingBranch, mediaRouter);
+  app.use('/api/components', requireAuth, componentsRouter);
+  app.use('/api/search', requireAuth, searchRouter);
+  app.use('/api/templates', requireAuth, templatesRouter);
+  app.use('/api/blocks', requireAuth, requireEditingBranch, blocksRouter);
 
   // Page routes (BEFORE static middleware to take precedence)
   app.get('/login', (req, res) => {
@@ -233,10 +324,11 @@ export async function createServer() {
     index: false, // Don't auto-serve index.html
   }));
 
-  // Serve images for previews in the admin
+  // Serve images and media uploads for previews in the admin
   // First check src/assets/images (source images), then public/images (uploads)
   app.use('/images', express.static(fullConfig.paths.srcImages));
   app.use('/images', express.static(fullConfig.paths.images));
+  app.use('/media', express.static(fullConfig.paths.media));
 
   // Serve assets for content-relative image paths
   // Content files use relative paths like ../assets/posts/... which resolve to src/content/assets/
@@ -265,7 +357,22 @@ export async function createServer() {
     });
   });
 
-  return { app, requireAuth };
+  // WebSocket upgrades (the publish log stream) never reach Express, so run
+  // the same session + requireAuth checks on them by hand
+  function authorizeUpgrade(req) {
+    return new Promise((resolve) => {
+      req.originalUrl = req.url;
+      const res = {
+        status: () => res,
+        json: () => resolve(false),
+        setHeader: () => {},
+        getHeader: () => undefined,
+      };
+      sessionMiddleware(req, res, () => requireAuth(req, res, () => resolve(true)));
+    });
+  }
+
+  return { app, requireAuth, userStore, authorizeUpgrade };
 }
 
 /**
@@ -311,7 +418,7 @@ export async function startServer(options = {}) {
   logConfig();
 
   // Create Express app
-  const { app } = await createServer();
+  const { app, authorizeUpgrade } = await createServer();
 
   // Start watching schema config for changes
   watchSchemaConfig();
@@ -322,6 +429,19 @@ export async function startServer(options = {}) {
   // Start server with port fallback
   const { server, port: actualPort } = await tryListen(app, port, host);
 
+  // Live publish logs for the dashboard
+  const logStream = attachLogStream(server, { authorize: authorizeUpgrade });
+
+  // Fail publishes a restart cut short, and run any still queued
+  (await getPublishQueue()).start();
+
+  // Publish scheduled entries when they fall due
+  const scheduler = createPublishScheduler({
+    intervalMs: fullConfig.workflow.schedulerIntervalMs,
+    maxAttempts: fullConfig.workflow.schedulerMaxAttempts,
+  });
+  scheduler.start();
+
   // Clean startup message
   console.log('');
   if (actualPort !== port) {
@@ -337,6 +457,9 @@ export async function startServer(options = {}) {
   // Graceful shutdown
   process.on('SIGTERM', () => {
     console.log('\n👋 SIGTERM received, shutting down gracefully...');
+    scheduler.stop();
+    logStream.close();
+    closeSearchIndex();
     server.close(() => {
       console.log('✅ Server closed');
       process.exit(0);
@@ -345,6 +468,9 @@ export async function startServer(options = {}) {
 
   process.on('SIGINT', () => {
     console.log('\n👋 SIGINT received, shutting down gracefully...');
+    scheduler.stop();
+    logStream.close();
+    closeSearchIndex();
     server.close(() => {
       console.log('✅ Server closed');
       process.exit(0);
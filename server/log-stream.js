@@ -0,0 +1,78 @@
+/**
+ * Publish log stream
+ *
+ * A WebSocket endpoint (/api/publish/stream) that forwards publish run events
+ * (see utils/publish-runs.js) to every connected dashboard as JSON messages:
+ *   { type: 'start', run }                                  - a run began
+ *   { type: 'line', runId, streamIds, step, text, time }    - a line of output
+ *   { type: 'end', run }                                    - a run finished
+ * Dashboards pick out their own run by the streamId they sent with the
+ * publish (a coalesced publish carries the ids of every request it serves).
+ *
+ * Upgrade requests bypass Express, so the caller supplies `authorize(req)`,
+ * which runs the session and auth checks on them.
+ */
+
+import { WebSocketServer, WebSocket } from 'ws';
+import { runEvents } from './utils/publish-runs.js';
+
+export const STREAM_PATH = '/api/publish/stream';
+
+function rejectUpgrade(socket, status) {
+  socket.write(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+/**
+ * Serve the log stream on an HTTP server
+ * @param {import('http').Server} server
+ * @param {object} options
+ * @param {(req: import('http').IncomingMessage) => Promise<boolean>} options.authorize
+ * @returns {{ close: () => void }}
+ */
+export function attachLogStream(server, { authorize }) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== STREAM_PATH) {
+      return rejectUpgrade(socket, '404 Not Found');
+    }
+
+    let allowed = false;
+    try {
+      allowed = await authorize(req);
+    } catch (error) {
+      console.error('Log stream auth failed:', error.message);
+    }
+    if (!allowed) {
+      return rejectUpgrade(socket, '401 Unauthorized');
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+  });
+
+  const broadcast = (message) => {
+    const data = JSON.stringify(message);
+    for (const client of wss.clients) {
+      if (client.readyState === WebSocket.OPEN) client.send(data);
+    }
+  };
+  const onStart = (run) => broadcast({ type: 'start', run });
+  const onLine = (line) => broadcast({ type: 'line', ...line });
+  const onEnd = (run) => broadcast({ type: 'end', run });
+
+  runEvents.on('start', onStart);
+  runEvents.on('line', onLine);
+  runEvents.on('end', onEnd);
+
+  return {
+    close() {
+      runEvents.off('start', onStart);
+      runEvents.off('line', onLine);
+      runEvents.off('end', onEnd);
+      for (const client of wss.clients) client.terminate();
+      wss.close();
+    },
+  };
+}
@@ -0,0 +1,244 @@
+/**
+ * SQLite Publish Job Store
+ * The history of jobs run through the publish queue (see publish-queue.js):
+ * publishes and rollbacks, who asked, when they ran, how long they took, and
+ * what they committed and deployed. Uses Bun's built-in SQLite, like the user
+ * store.
+ */
+
+import { Database } from 'bun:sqlite';
+import { mkdirSync } from 'fs';
+import path from 'path';
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+export const JOB_TYPES = ['publish', 'rollback'];
+
+const COLUMNS = `id, type, params, status, message, requested_by, stream_ids, created_at, started_at,
+  finished_at, duration_ms, commit_hash, deploy_result, run_id, error, cancelled_by`;
+
+function parseJson(value, fallback) {
+  if (value == null) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function toJob(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    type: row.type,
+    params: parseJson(row.params, {}),
+    status: row.status,
+    message: row.message,
+    requestedBy: parseJson(row.requested_by, []),
+    streamIds: parseJson(row.stream_ids, []),
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    durationMs: row.duration_ms,
+    commit: row.commit_hash,
+    deploy: parseJson(row.deploy_result, null),
+    runId: row.run_id,
+    error: row.error,
+    cancelledBy: row.cancelled_by,
+  };
+}
+
+export class PublishJobStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - Path to SQLite database file
+   * @param {number} [options.keep=200] - Finished jobs to keep in the history
+   */
+  constructor(options = {}) {
+    const dbPath = options.path || './data/publish-jobs.db';
+    mkdirSync(path.dirname(dbPath), { recursive: true });
+    this.keep = options.keep || 200;
+
+    this.db = new Database(dbPath, { create: true });
+    this.db.exec('PRAGMA journal_mode = WAL');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS publish_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL DEFAULT 'publish',
+        params TEXT,
+        status TEXT NOT NULL,
+        message TEXT NOT NULL,
+        requested_by TEXT NOT NULL,
+        stream_ids TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        started_at INTEGER,
+        finished_at INTEGER,
+        duration_ms INTEGER,
+        commit_hash TEXT,
+        deploy_result TEXT,
+        run_id TEXT,
+        error TEXT,
+        cancelled_by TEXT
+      )
+    `);
+    this.db.exec('CREATE INDEX IF NOT EXISTS idx_publish_jobs_status ON publish_jobs(status)');
+
+    // Databases from before rollbacks were queued only hold publishes
+    const columns = this.db.prepare('PRAGMA table_info(publish_jobs)').all().map(column => column.name);
+    if (!columns.includes('type')) {
+      this.db.exec('ALTER TABLE publish_jobs ADD COLUMN type TEXT NOT NULL DEFAULT \'publish\'');
+      this.db.exec('ALTER TABLE publish_jobs ADD COLUMN params TEXT');
+    }
+
+    // Prepare statements for performance
+    this.stmts = {
+      get: this.db.prepare(`SELECT ${COLUMNS} FROM publish_jobs WHERE id = ?`),
+      list: this.db.prepare(`SELECT ${COLUMNS} FROM publish_jobs ORDER BY id DESC LIMIT ?`),
+      byStatus: this.db.prepare(`SELECT ${COLUMNS} FROM publish_jobs WHERE status = ? ORDER BY id`),
+      insert: this.db.prepare(
+        'INSERT INTO publish_jobs (type, params, status, message, requested_by, stream_ids, created_at) VALUES (?, ?, \'queued\', ?, ?, ?, ?)'
+      ),
+      coalesce: this.db.prepare(
+        'UPDATE publish_jobs SET message = ?, requested_by = ?, stream_ids = ? WHERE id = ? AND status = \'queued\''
+      ),
+      start: this.db.prepare(
+        'UPDATE publish_jobs SET status = \'running\', started_at = ? WHERE id = ? AND status = \'queued\''
+      ),
+      finish: this.db.prepare(`
+        UPDATE publish_jobs
+        SET status = ?, finished_at = ?, duration_ms = ?, commit_hash = ?, deploy_result = ?, run_id = ?, error = ?
+        WHERE id = ?
+      `),
+      cancel: this.db.prepare(
+        'UPDATE publish_jobs SET status = \'cancelled\', finished_at = ?, cancelled_by = ? WHERE id = ? AND status = \'queued\''
+      ),
+      interrupt: this.db.prepare(
+        'UPDATE publish_jobs SET status = \'failed\', finished_at = ?, error = ? WHERE status = \'running\''
+      ),
+      prune: this.db.prepare(`
+        DELETE FROM publish_jobs
+        WHERE status NOT IN ('queued', 'running')
+          AND id NOT IN (SELECT id FROM publish_jobs ORDER BY id DESC LIMIT ?)
+      `),
+    };
+  }
+
+  /**
+   * @returns {Object|null}
+   */
+  get(id) {
+    return toJob(this.stmts.get.get(Number(id)));
+  }
+
+  /**
+   * Jobs, newest first
+   */
+  list(limit = 50) {
+    return this.stmts.list.all(limit).map(toJob);
+  }
+
+  /**
+   * Jobs in one status, oldest first
+   */
+  withStatus(status) {
+    return this.stmts.byStatus.all(status).map(toJob);
+  }
+
+  /**
+   * Queue a job
+   * @param {Object} job
+   * @param {string} [job.type='publish'] - One of JOB_TYPES
+   * @param {Object|null} [job.params] - What the job needs beyond the message
+   *   (a rollback's `release`)
+   * @param {string} job.message - Commit message, or what the job does
+   * @param {string|null} [job.user] - Who asked for it
+   * @param {string|null} [job.streamId] - Their dashboard's log stream id
+   */
+  add({ type = 'publish', params = null, message, user = null, streamId = null }) {
+    if (!JOB_TYPES.includes(type)) {
+      throw new Error(`Unknown publish job type: ${type}`);
+    }
+    const result = this.stmts.insert.run(
+      type,
+      params ? JSON.stringify(params) : null,
+      message,
+      JSON.stringify(user ? [user] : []),
+      JSON.stringify(streamId ? [streamId] : []),
+      Date.now()
+    );
+    return this.get(result.lastInsertRowid);
+  }
+
+  /**
+   * Fold another publish request into a publish that hasn't started yet
+   * @returns {Object|null} The updated job, or null if it already started
+   *   (or isn't a publish)
+   */
+  coalesce(id, { message, user = null, streamId = null }) {
+    const job = this.get(id);
+    if (!job || job.status !== 'queued' || job.type !== 'publish') return null;
+
+    const messages = job.message.split('; ');
+    const requestedBy = user && !job.requestedBy.includes(user) ? [...job.requestedBy, user] : job.requestedBy;
+    const streamIds = streamId ? [...job.streamIds, streamId] : job.streamIds;
+    const changed = this.stmts.coalesce.run(
+      messages.includes(message) ? job.message : `${job.message}; ${message}`,
+      JSON.stringify(requestedBy),
+      JSON.stringify(streamIds),
+      job.id
+    ).changes;
+    return changed > 0 ? this.get(id) : null;
+  }
+
+  /**
+   * Mark a queued job running
+   * @returns {boolean} false if it was cancelled (or already started) meanwhile
+   */
+  start(id) {
+    return this.stmts.start.run(Date.now(), Number(id)).changes > 0;
+  }
+
+  /**
+   * Record how a job went, and drop the oldest history beyond `keep`
+   */
+  finish(id, { success, commit = null, deploy = null, runId = null, error = null }) {
+    const job = this.get(id);
+    const finishedAt = Date.now();
+    this.stmts.finish.run(
+      success ? 'succeeded' : 'failed',
+      finishedAt,
+      job?.startedAt ? finishedAt - job.startedAt : null,
+      commit,
+      deploy ? JSON.stringify(deploy) : null,
+      runId,
+      error,
+      Number(id)
+    );
+    this.stmts.prune.run(this.keep);
+    return this.get(id);
+  }
+
+  /**
+   * Cancel a job that hasn't started
+   * @returns {boolean} false if there's no such queued job
+   */
+  cancel(id, cancelledBy = null) {
+    return this.stmts.cancel.run(Date.now(), cancelledBy, Number(id)).changes > 0;
+  }
+
+  /**
+   * Fail jobs left running by a process that went away (crash or restart)
+   * @returns {number} How many
+   */
+  failInterrupted(error = 'Interrupted by a server restart') {
+    return this.stmts.interrupt.run(Date.now(), error).changes;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+export function createPublishJobStore(options) {
+  return new PublishJobStore(options);
+}
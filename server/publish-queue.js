@@ -0,0 +1,181 @@
+/**
+ * Publish queue
+ *
+ * Publishing pulls, commits, builds and deploys in the one working tree, so
+ * only one publish may run at a time. Every publish request (from the
+ * dashboard or the scheduler) becomes a job in a persistent queue
+ * (publish-job-store.js) that a single worker runs in order. Rollbacks are
+ * jobs of their own type in the same queue, so one never switches the live
+ * release while a publish is deploying.
+ *
+ * - A publish request that arrives while a publish is the last job waiting is
+ *   folded into it (messages joined, requesters recorded) rather than queued
+ *   behind it: the one publish picks up everyone's changes. Rollbacks are
+ *   never folded, and nothing jumps ahead of a waiting rollback.
+ * - A waiting job can be cancelled; a running one can't be interrupted.
+ * - Jobs left running by a crash are marked failed on startup, and jobs still
+ *   queued are picked up again.
+ *
+ * Callers get a promise for their job's outcome, so the publish endpoint
+ * still answers when the publish is done.
+ */
+
+import { createPublishJobStore } from './publish-job-store.js';
+
+export class PublishQueue {
+  /**
+   * @param {Object} options
+   * @param {import('./publish-job-store.js').PublishJobStore} options.store
+   * @param {(job: Object) => Promise<{ status: number, body: Object }>} options.run -
+   *   Runs one job (a publish or a rollback, by `job.type`) and returns the
+   *   HTTP response for it
+   */
+  constructor(options = {}) {
+    this.store = options.store;
+    this.run = options.run;
+    // job id -> callbacks of the requests waiting on it
+    this._waiters = new Map();
+    this._working = null;
+  }
+
+  /**
+   * Recover after a restart: fail jobs that were mid-run, resume queued ones
+   */
+  start() {
+    const interrupted = this.store.failInterrupted();
+    if (interrupted > 0) {
+      console.log(`[Publish queue] Marked ${interrupted} interrupted job${interrupted === 1 ? '' : 's'} as failed`);
+    }
+    this._work();
+  }
+
+  /**
+   * Queue a job; a publish joins the publish already waiting, if that's the
+   * last job in the queue
+   * @param {Object} request
+   * @param {string} [request.type='publish'] - 'publish' or 'rollback'
+   * @param {Object|null} [request.params] - e.g. a rollback's `{ release }`
+   * @param {string} request.message
+   * @param {string|null} [request.user]
+   * @param {string|null} [request.streamId]
+   * @returns {{ job: Object, coalesced: boolean, done: Promise<{ status: number, body: Object }> }}
+   */
+  enqueue(request) {
+    const waiting = this.store.withStatus('queued').at(-1);
+    const canJoin = waiting?.type === 'publish' && (request.type ?? 'publish') === 'publish';
+    const joined = canJoin ? this.store.coalesce(waiting.id, request) : null;
+    const job = joined || this.store.add(request);
+
+    const done = new Promise((resolve) => {
+      if (!this._waiters.has(job.id)) this._waiters.set(job.id, []);
+      this._waiters.get(job.id).push(resolve);
+    });
+    this._work();
+    return { job, coalesced: Boolean(joined), done };
+  }
+
+  /**
+   * Cancel a job that hasn't started
+   * @returns {Object} The cancelled job
+   * @throws {Error} with `code` 'NOT_FOUND' or 'NOT_QUEUED'
+   */
+  cancel(id, cancelledBy = null) {
+    const job = this.store.get(id);
+    if (!job) {
+      throw Object.assign(new Error(`Publish job not found: ${id}`), { code: 'NOT_FOUND' });
+    }
+    if (!this.store.cancel(job.id, cancelledBy)) {
+      throw Object.assign(new Error(`Publish job ${job.id} is ${job.status} and can no longer be cancelled`), { code: 'NOT_QUEUED' });
+    }
+
+    const what = job.type === 'rollback' ? 'Rollback' : 'Publish';
+    this._settle(job.id, {
+      status: 409,
+      body: {
+        success: false,
+        error: `${what} cancelled`,
+        message: `${what} cancelled${cancelledBy ? ` by ${cancelledBy}` : ''}`,
+        jobId: job.id,
+      },
+    });
+    return this.store.get(job.id);
+  }
+
+  list(limit) {
+    return this.store.list(limit);
+  }
+
+  /**
+   * Resolves once the queue has run dry (tests, shutdown)
+   */
+  idle() {
+    return this._working || Promise.resolve();
+  }
+
+  close() {
+    this.store.close();
+  }
+
+  _work() {
+    if (!this._working) {
+      this._working = this._drain().finally(() => {
+        this._working = null;
+      });
+    }
+    return this._working;
+  }
+
+  async _drain() {
+    let job;
+    while ((job = this.store.withStatus('queued')[0])) {
+      if (!this.store.start(job.id)) continue;
+      await this._runJob(this.store.get(job.id));
+    }
+  }
+
+  async _runJob(job) {
+    let outcome;
+    try {
+      outcome = await this.run(job);
+    } catch (error) {
+      console.error(`[Publish queue] Job ${job.id} failed:`, error);
+      outcome = {
+        status: 500,
+        body: {
+          success: false,
+          error: job.type === 'rollback' ? 'Failed to roll back' : 'Failed to publish',
+          message: error.message,
+        },
+      };
+    }
+
+    const { body } = outcome;
+    this.store.finish(job.id, {
+      success: Boolean(body.success),
+      commit: body.commit?.hash ?? null,
+      deploy: body.deploy ?? null,
+      runId: body.runId ?? null,
+      error: body.success ? null : (body.error || body.message || null),
+    });
+    this._settle(job.id, { ...outcome, body: { ...body, jobId: job.id } });
+  }
+
+  _settle(id, outcome) {
+    const waiters = this._waiters.get(id) || [];
+    this._waiters.delete(id);
+    const coalesced = waiters.length > 1;
+    for (const resolve of waiters) {
+      resolve({ ...outcome, body: { ...outcome.body, coalesced } });
+    }
+  }
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.path - SQLite database path
+ * @param {number} [options.keep] - Finished jobs to keep
+ * @param {Function} options.run - See PublishQueue
+ */
+export function createPublishQueue({ path, keep, run }) {
+  return new PublishQueue({ store: createPublishJobStore({ path, keep }), run });
+}
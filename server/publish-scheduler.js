@@ -0,0 +1,121 @@
+/**
+ * Scheduled publishing
+ *
+ * Polls the entry statuses (see utils/entry-status.js) and, once a scheduled
+ * entry's publishAt has passed, runs the regular publish pipeline
+ * (publishHandler, queued like any other publish) so the entry is committed,
+ * pushed and deployed like a manual publish. The commit is attributed to
+ * whoever scheduled the entry. A failed publish is recorded on its entries,
+ * which are retried with exponential backoff up to `maxAttempts` times.
+ */
+
+import { getConfig } from './config.js';
+import { dueScheduledEntries, recordPublishFailure } from './utils/entry-status.js';
+import { publishHandler } from './api/publish.js';
+
+/**
+ * Minimal stand-in for an Express response, capturing what publishHandler sends
+ */
+function captureResponse() {
+  const captured = { statusCode: 200, body: null };
+  const res = {
+    status(code) {
+      captured.statusCode = code;
+      return res;
+    },
+    json(body) {
+      captured.body = body;
+      return res;
+    },
+  };
+  return { res, captured };
+}
+
+export class PublishScheduler {
+  /**
+   * @param {Object} options
+   * @param {number} options.intervalMs - How often to check for due entries
+   * @param {number} [options.maxAttempts] - Failed publishes of an entry before giving up (default: 5)
+   * @param {number} [options.retryDelayMs] - Wait before the first retry, doubled each time (default: intervalMs)
+   * @param {Function} [options.publish] - (req, res) handler to run (default: publishHandler)
+   */
+  constructor(options = {}) {
+    this.intervalMs = options.intervalMs;
+    this.maxAttempts = options.maxAttempts ?? 5;
+    this.retryDelayMs = options.retryDelayMs ?? options.intervalMs;
+    this.publish = options.publish || publishHandler;
+    this._timer = null;
+    this._running = null;
+  }
+
+  start() {
+    if (this._timer || !(this.intervalMs > 0)) return;
+    this._timer = setInterval(() => {
+      this.tick().catch((error) => console.error('[Scheduler] Check failed:', error));
+    }, this.intervalMs);
+
+    // Don't keep the process alive just for the schedule
+    if (this._timer.unref) {
+      this._timer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Publish if any scheduled entry is due. Overlapping calls share the run in
+   * progress rather than starting a second publish.
+   * @returns {Promise<{ published: string[], result: object|null }>}
+   */
+  tick(now = new Date()) {
+    if (!this._running) {
+      this._running = this._publishDue(now).finally(() => {
+        this._running = null;
+      });
+    }
+    return this._running;
+  }
+
+  async _publishDue(now) {
+    const fullConfig = await getConfig();
+    const due = await dueScheduledEntries(fullConfig, now);
+    if (due.length === 0) {
+      return { published: [], result: null };
+    }
+
+    const keys = due.map(entry => entry.key);
+    const username = due.find(entry => entry.updatedBy)?.updatedBy ?? null;
+    const req = {
+      body: { message: `Scheduled publish: ${keys.join(', ')}` },
+      user: username ? { username } : null,
+      session: {},
+    };
+    const { res, captured } = captureResponse();
+
+    console.log(`[Scheduler] Publishing ${keys.length} scheduled entr${keys.length === 1 ? 'y' : 'ies'}: ${keys.join(', ')}`);
+    try {
+      await this.publish(req, res);
+    } catch (error) {
+      captured.body = { success: false, error: 'Publish failed', message: error.message };
+    }
+    if (captured.body?.success) {
+      console.log(`[Scheduler] ✅ ${captured.body.message}`);
+    } else {
+      const message = captured.body?.message || captured.body?.error || 'Publish failed';
+      console.error('[Scheduler] ❌ Scheduled publish failed:', message);
+      await recordPublishFailure(fullConfig, keys, message, {
+        now,
+        retryDelayMs: this.retryDelayMs,
+        maxAttempts: this.maxAttempts,
+      });
+    }
+    return { published: keys, result: captured.body };
+  }
+}
+
+export function createPublishScheduler(options) {
+  return new PublishScheduler(options);
+}
@@ -0,0 +1,235 @@
+/**
+ * SQLite Search Index
+ * Full-text index (FTS5) over every entry's fields: one row per string field
+ * (frontmatter and data values, nested block fields, the markdown body), so a
+ * hit says which field matched. Rows are keyed by collection/slug/locale and
+ * replaced wholesale when an entry changes. Uses Bun's built-in SQLite, like
+ * the user store. Kept apart from the content itself, so it works the same
+ * with either content store and can always be rebuilt from scratch.
+ */
+
+import { Database } from 'bun:sqlite';
+import { mkdirSync } from 'fs';
+import path from 'path';
+
+// Snippet match markers: control characters that can't occur in content text
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+/**
+ * Every non-empty string in an entry, with the form path of the field it came
+ * from ('title', 'blocks[0].heading', 'body') — the same paths the editor
+ * form uses for its input names.
+ * @param {*} data - Frontmatter / data object
+ * @param {string|null} [body] - Markdown body
+ * @returns {Array<{field: string, text: string}>}
+ */
+export function flattenFields(data, body = null) {
+  const fields = [];
+  const walk = (value, fieldPath) => {
+    if (typeof value === 'string') {
+      if (value.trim() !== '') fields.push({ field: fieldPath, text: value });
+    } else if (Array.isArray(value)) {
+      value.forEach((item, index) => walk(item, `${fieldPath}[${index}]`));
+    } else if (value && typeof value === 'object') {
+      for (const [key, child] of Object.entries(value)) {
+        walk(child, fieldPath ? `${fieldPath}.${key}` : key);
+      }
+    }
+  };
+  walk(data, '');
+  if (typeof body === 'string' && body.trim() !== '') {
+    fields.push({ field: 'body', text: body });
+  }
+  return fields;
+}
+
+/**
+ * A display title for an entry: the first title-like string field
+ */
+export function entryTitle(data) {
+  for (const key of ['title', 'name', 'heading', 'label']) {
+    if (typeof data?.[key] === 'string' && data[key].trim()) return data[key].trim();
+  }
+  return null;
+}
+
+/**
+ * Turn what the user typed into an FTS5 query: every word must appear, the
+ * last one as a prefix (so results narrow while typing). Words are quoted, so
+ * FTS5 syntax in the input (AND, NEAR, column filters, quotes) is just text.
+ * @returns {string|null} null when there's nothing to search for
+ */
+export function toFtsQuery(input) {
+  const words = String(input ?? '').match(/[\p{L}\p{N}_]+/gu);
+  if (!words) return null;
+  return words
+    .map((word, index) => `"${word}"${index === words.length - 1 ? '*' : ''}`)
+    .join(' ');
+}
+
+function snippetParts(snippet) {
+  const parts = [];
+  const pattern = new RegExp(`${MATCH_START}([\\s\\S]*?)${MATCH_END}`, 'g');
+  let last = 0;
+  for (const match of snippet.matchAll(pattern)) {
+    if (match.index > last) parts.push({ text: snippet.slice(last, match.index), match: false });
+    parts.push({ text: match[1], match: true });
+    last = match.index + match[0].length;
+  }
+  if (last < snippet.length) parts.push({ text: snippet.slice(last), match: false });
+  return parts;
+}
+
+function localeToDb(locale) {
+  return locale === null || locale === undefined ? '' : locale;
+}
+
+export class SearchIndex {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - Path to SQLite database file
+   */
+  constructor(options = {}) {
+    const dbPath = options.path || './data/search.db';
+    mkdirSync(path.dirname(dbPath), { recursive: true });
+
+    this.db = new Database(dbPath, { create: true });
+    this.db.exec('PRAGMA journal_mode = WAL');
+
+    this.db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS search_fields USING fts5(
+        collection UNINDEXED,
+        slug UNINDEXED,
+        locale UNINDEXED,
+        title UNINDEXED,
+        field UNINDEXED,
+        text,
+        tokenize = 'unicode61 remove_diacritics 2'
+      )
+    `);
+
+    // Prepare statements for performance
+    this.stmts = {
+      insert: this.db.prepare(
+        'INSERT INTO search_fields (collection, slug, locale, title, field, text) VALUES (?, ?, ?, ?, ?, ?)'
+      ),
+      deleteEntry: this.db.prepare(
+        'DELETE FROM search_fields WHERE collection = ? AND slug = ? AND locale = ?'
+      ),
+      deleteAll: this.db.prepare('DELETE FROM search_fields'),
+      search: this.db.prepare(`
+        SELECT collection, slug, locale, title, field,
+          snippet(search_fields, 5, '${MATCH_START}', '${MATCH_END}', '…', 12) AS snippet
+        FROM search_fields
+        WHERE search_fields MATCH ?
+        ORDER BY bm25(search_fields)
+        LIMIT ?
+      `),
+      // The same, within a JSON array of collections
+      searchIn: this.db.prepare(`
+        SELECT collection, slug, locale, title, field,
+          snippet(search_fields, 5, '${MATCH_START}', '${MATCH_END}', '…', 12) AS snippet
+        FROM search_fields
+        WHERE search_fields MATCH ? AND collection IN (SELECT value FROM json_each(?))
+        ORDER BY bm25(search_fields)
+        LIMIT ?
+      `),
+      count: this.db.prepare(
+        'SELECT COUNT(*) AS count FROM (SELECT DISTINCT collection, slug, locale FROM search_fields)'
+      ),
+    };
+
+    this._replaceAll = this.db.transaction((entries) => {
+      this.stmts.deleteAll.run();
+      for (const entry of entries) this._insert(entry);
+    });
+    this._replaceEntry = this.db.transaction((entry) => {
+      this.stmts.deleteEntry.run(entry.collection, entry.slug, localeToDb(entry.locale));
+      this._insert(entry);
+    });
+  }
+
+  _insert({ collection, slug, locale = null, data = {}, body = null }) {
+    const title = entryTitle(data);
+    for (const { field, text } of flattenFields(data, body)) {
+      this.stmts.insert.run(collection, slug, localeToDb(locale), title, field, text);
+    }
+  }
+
+  /**
+   * Index (or re-index) one entry
+   * @param {{collection: string, slug: string, locale?: string|null, data: Object, body?: string|null}} entry
+   */
+  replaceEntry(entry) {
+    this._replaceEntry(entry);
+  }
+
+  removeEntry(collection, slug, locale = null) {
+    this.stmts.deleteEntry.run(collection, slug, localeToDb(locale));
+  }
+
+  /**
+   * Replace the whole index with these entries, in one transaction
+   */
+  replaceAll(entries) {
+    this._replaceAll(entries);
+  }
+
+  /**
+   * Entries matching a query, best first
+   * @param {string} query - What the user typed
+   * @param {Object} [options]
+   * @param {number} [options.limit=20] - Entries to return
+   * @param {string[]|null} [options.collections] - Only these collections (the
+   *   ones the caller may see; default: all). Filtered in SQL, so hidden
+   *   collections don't use up the limit.
+   * @returns {Array<{collection: string, slug: string, locale: string|null, title: string|null,
+   *   field: string, snippet: Array<{text: string, match: boolean}>, fields: string[]}>}
+   *   One result per entry: the best-matching field's snippet, plus every field that matched
+   */
+  search(query, { limit = 20, collections = null } = {}) {
+    const ftsQuery = toFtsQuery(query);
+    if (!ftsQuery || collections?.length === 0) return [];
+
+    // Field rows, best first; several can belong to one entry
+    const rows = collections
+      ? this.stmts.searchIn.all(ftsQuery, JSON.stringify(collections), limit * 10)
+      : this.stmts.search.all(ftsQuery, limit * 10);
+    const results = new Map();
+    for (const row of rows) {
+      const key = `${row.collection}\u0000${row.slug}\u0000${row.locale}`;
+      const existing = results.get(key);
+      if (existing) {
+        existing.fields.push(row.field);
+        continue;
+      }
+      if (results.size >= limit) continue;
+      results.set(key, {
+        collection: row.collection,
+        slug: row.slug,
+        locale: row.locale === '' ? null : row.locale,
+        title: row.title,
+        field: row.field,
+        snippet: snippetParts(row.snippet),
+        fields: [row.field],
+      });
+    }
+    return [...results.values()];
+  }
+
+  /**
+   * Number of entries indexed
+   */
+  count() {
+    return this.stmts.count.get().count;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+export function createSearchIndex(options) {
+  return new SearchIndex(options);
+}
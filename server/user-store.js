@@ -0,0 +1,180 @@
+/**
+ * SQLite User Store
+ * Per-user accounts with argon2 password hashes and a role, so a team can each
+ * have their own login instead of sharing the single ADMIN_USERNAME credential.
+ * Uses Bun's built-in SQLite, like the session store.
+ */
+
+import { Database } from 'bun:sqlite';
+import { mkdirSync } from 'fs';
+import path from 'path';
+import { ROLES, hashPassword } from './utils/auth.js';
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]{1,64}$/;
+
+export class UserStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - Path to SQLite database file
+   */
+  constructor(options = {}) {
+    const dbPath = options.path || './data/users.db';
+    mkdirSync(path.dirname(dbPath), { recursive: true });
+
+    this.db = new Database(dbPath, { create: true });
+    this.db.exec('PRAGMA journal_mode = WAL');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        username TEXT PRIMARY KEY,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      )
+    `);
+
+    // Prepare statements for performance
+    this.stmts = {
+      get: this.db.prepare('SELECT username, password_hash, role, created_at, updated_at FROM users WHERE username = ?'),
+      list: this.db.prepare('SELECT username, role, created_at, updated_at FROM users ORDER BY username'),
+      count: this.db.prepare('SELECT COUNT(*) as count FROM users'),
+      insert: this.db.prepare('INSERT INTO users (username, password_hash, role, created_at, updated_at) VALUES (?, ?, ?, ?, ?)'),
+      remove: this.db.prepare('DELETE FROM users WHERE username = ?'),
+      setPassword: this.db.prepare('UPDATE users SET password_hash = ?, updated_at = ? WHERE username = ?'),
+      setRole: this.db.prepare('UPDATE users SET role = ?, updated_at = ? WHERE username = ?'),
+    };
+  }
+
+  /**
+   * Look up a user (including the password hash)
+   * @returns {{ username: string, role: string, passwordHash: string, createdAt: number, updatedAt: number }|null}
+   */
+  get(username) {
+    const row = this.stmts.get.get(String(username ?? ''));
+    if (!row) return null;
+    return {
+      username: row.username,
+      role: row.role,
+      passwordHash: row.password_hash,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+
+  /**
+   * List users (without password hashes)
+   */
+  list() {
+    return this.stmts.list.all().map(row => ({
+      username: row.username,
+      role: row.role,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    }));
+  }
+
+  count() {
+    return this.stmts.count.get().count;
+  }
+
+  /**
+   * Add a user
+   * @throws if the username is invalid or taken, or the role unknown
+   */
+  async add(username, password, role = 'editor') {
+    if (!USERNAME_PATTERN.test(String(username ?? ''))) {
+      throw new Error('Invalid username: use 1-64 letters, numbers, ".", "_" or "-"');
+    }
+    assertRole(role);
+    assertPassword(password);
+    if (this.get(username)) {
+      throw new Error(`User already exists: ${username}`);
+    }
+
+    const passwordHash = await hashPassword(password);
+    const now = Date.now();
+    this.stmts.insert.run(username, passwordHash, role, now, now);
+    return { username, role, createdAt: now, updatedAt: now };
+  }
+
+  /**
+   * Remove a user
+   * @returns {boolean} - false if there was no such user
+   */
+  remove(username) {
+    return this.stmts.remove.run(String(username ?? '')).changes > 0;
+  }
+
+  /**
+   * Replace a user's password
+   * @returns {Promise<boolean>} - false if there was no such user
+   */
+  async resetPassword(username, password) {
+    assertPassword(password);
+    if (!this.get(username)) return false;
+    const passwordHash = await hashPassword(password);
+    return this.stmts.setPassword.run(passwordHash, Date.now(), username).changes > 0;
+  }
+
+  /**
+   * Change a user's role
+   * @returns {boolean} - false if there was no such user
+   */
+  setRole(username, role) {
+    assertRole(role);
+    return this.stmts.setRole.run(role, Date.now(), String(username ?? '')).changes > 0;
+  }
+
+  /**
+   * Verify a username + password pair. An unknown username still pays for an
+   * argon2 verify (against a throwaway hash) so login timing does not reveal
+   * which usernames exist.
+   * @returns {Promise<{ username: string, role: string }|null>}
+   */
+  async verify(username, password) {
+    const user = this.get(username);
+    const hash = user?.passwordHash || await getDecoyHash();
+
+    let ok = false;
+    try {
+      ok = await Bun.password.verify(String(password ?? ''), hash);
+    } catch {
+      ok = false;
+    }
+
+    if (!user || !ok) return null;
+    return { username: user.username, role: user.role };
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+let decoyHash = null;
+async function getDecoyHash() {
+  decoyHash = decoyHash || await hashPassword(crypto.randomUUID());
+  return decoyHash;
+}
+
+function assertRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role: ${role} (expected one of: ${ROLES.join(', ')})`);
+  }
+}
+
+function assertPassword(password) {
+  if (!password || String(password).length < 8) {
+    throw new Error('Password must be at least 8 characters');
+  }
+}
+
+/**
+ * Create a SQLite user store
+ * @param {Object} options - Store options
+ * @returns {UserStore}
+ */
+export function createUserStore(options) {
+  return new UserStore(options);
+}
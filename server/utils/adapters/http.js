@@ -0,0 +1,121 @@
+/**
+ * HTTP deploy adapter
+ *
+ * Two ways to hand a build to a host over HTTP:
+ *   - mode 'upload' (default): zip the built site (distDir) and send it as the
+ *     request body, e.g. Netlify's zip deploy API or your own endpoint
+ *   - mode 'hook': call a deploy hook URL with no body, for hosts that build
+ *     from the repo themselves (Netlify/Vercel/Cloudflare Pages build hooks)
+ *
+ * Adapter interface: see adapters/rsync.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { zipDirectoryToFile } from '../zip.js';
+
+const MODES = ['upload', 'hook'];
+
+/**
+ * @param {object} config - http config block
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validate(config) {
+  const errors = [];
+  if (!config?.url) {
+    errors.push('http.url is required');
+  } else {
+    try {
+      const { protocol } = new URL(config.url);
+      if (!['http:', 'https:'].includes(protocol)) {
+        errors.push(`http.url must be http(s): ${config.url}`);
+      }
+    } catch {
+      errors.push(`http.url is not a valid URL: ${config.url}`);
+    }
+  }
+  if (config?.mode && !MODES.includes(config.mode)) {
+    errors.push(`http.mode must be one of: ${MODES.join(', ')}`);
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * @param {object} args
+ * @param {string} args.projectRoot - Project root directory
+ * @param {string} args.distDir - Build output directory (relative to projectRoot)
+ * @param {object} args.config - http config block
+ * @param {(msg: string) => void} args.log - Log sink
+ * @returns {Promise<{success: boolean, output: string, status: number|null, mode: string, files: number, bytes: number, dryRun: boolean}>}
+ */
+async function deploy({ projectRoot, distDir, config, log }) {
+  const { valid, errors } = validate(config);
+  if (!valid) {
+    throw new Error(`http deploy: ${errors.join('; ')}`);
+  }
+
+  const mode = config.mode || 'upload';
+  const method = config.method || 'POST';
+  const headers = { ...(config.headers || {}) };
+  let zipPath = null;
+  let files = 0;
+  let bytes = 0;
+
+  // The zip is written to a temporary file and streamed from there, so the
+  // site is never held in memory whole
+  const tempDir = mode === 'upload' ? await fs.promises.mkdtemp(path.join(os.tmpdir(), 'astroadmin-deploy-')) : null;
+  try {
+    if (mode === 'upload') {
+      const distPath = path.join(projectRoot, distDir);
+      if (!fs.existsSync(distPath)) {
+        throw new Error(`http deploy: build output not found at ${distPath}`);
+      }
+      zipPath = path.join(tempDir, 'site.zip');
+      ({ files, bytes } = await zipDirectoryToFile(distPath, zipPath));
+      headers['Content-Type'] ??= 'application/zip';
+      headers['Content-Length'] ??= String(bytes);
+    }
+
+    // Only log the origin: hook URLs often carry their secret in the path
+    const { origin } = new URL(config.url);
+    log(`🚀 Starting http deploy (${mode}) to ${origin}${zipPath ? `: ${files} files, ${bytes} bytes` : ''}`);
+    if (config.dryRun) {
+      log('   (dry-run mode - nothing will be sent)');
+      return { success: true, output: '', status: null, mode, files, bytes, dryRun: true };
+    }
+
+    const response = await fetch(config.url, {
+      method,
+      headers,
+      body: zipPath ? Readable.toWeb(fs.createReadStream(zipPath)) : undefined,
+      duplex: 'half',
+      signal: AbortSignal.timeout(config.timeoutMs || 120000),
+    });
+    const output = (await response.text()).slice(-2000);
+
+    if (!response.ok) {
+      throw new Error(`http deploy failed with status ${response.status}:\n${output}`);
+    }
+
+    log(`✅ http deploy completed (${response.status})`);
+    return {
+      success: true,
+      output,
+      status: response.status,
+      mode,
+      files,
+      bytes,
+      dryRun: false,
+    };
+  } finally {
+    if (tempDir) await fs.promises.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+export const httpAdapter = {
+  name: 'http',
+  validate,
+  deploy,
+};
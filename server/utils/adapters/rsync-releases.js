@@ -0,0 +1,219 @@
+/**
+ * Versioned releases for the rsync adapter (rsync.releases.enabled)
+ *
+ * Instead of syncing over the live directory, each deploy uploads into a
+ * fresh `<path>/releases/<timestamp>-<commit>/` and then atomically repoints
+ * the `<path>/current` symlink at it, so visitors never see a half-finished
+ * deploy and rolling back is just repointing the symlink. The web server's
+ * document root should be `<path>/current`.
+ *
+ * Works on a local path (fs) or over SSH (the same connection settings as the
+ * rsync transfer). Release ids sort chronologically.
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULT_KEEP = 5;
+const RELEASE_ID = /^(\d{14})-([0-9a-z]+)$/;
+
+/**
+ * Release id for a deploy at `date` of `commit` (short hash; 'manual' without git)
+ */
+export function releaseId(date = new Date(), commit = null) {
+  const stamp = date.toISOString().replace(/[-:T]|\.\d{3}Z$/g, '');
+  const shortCommit = commit ? String(commit).slice(0, 7).toLowerCase() : 'manual';
+  return `${stamp}-${shortCommit}`;
+}
+
+/**
+ * Parse a release id back into its date and commit
+ * @returns {{ id: string, date: string, commit: string|null }|null}
+ */
+export function parseReleaseId(id) {
+  const match = RELEASE_ID.exec(id);
+  if (!match) return null;
+  const [, stamp, commit] = match;
+  const date = `${stamp.slice(0, 4)}-${stamp.slice(4, 6)}-${stamp.slice(6, 8)}T${stamp.slice(8, 10)}:${stamp.slice(10, 12)}:${stamp.slice(12, 14)}Z`;
+  return { id, date, commit: commit === 'manual' ? null : commit };
+}
+
+/**
+ * How many releases to keep (the current one always survives pruning)
+ */
+export function releasesToKeep(config) {
+  const keep = config.releases?.keep ?? DEFAULT_KEEP;
+  return Number.isInteger(keep) && keep >= 1 ? keep : DEFAULT_KEEP;
+}
+
+// POSIX single-quoting for the remote shell
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * ssh argv prefix for the configured host (mirrors the rsync -e command)
+ */
+export function sshArgs(config) {
+  const args = ['-p', String(config.port || 22)];
+  if (config.keyPath) {
+    args.push('-i', config.keyPath.replace(/^~/, process.env.HOME || ''));
+  }
+  args.push('-o', 'StrictHostKeyChecking=accept-new', `${config.user}@${config.host}`);
+  return args;
+}
+
+function runSsh(config, command) {
+  return new Promise((resolve, reject) => {
+    const ssh = spawn('ssh', [...sshArgs(config), command], { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    ssh.stdout.on('data', (data) => { stdout += data; });
+    ssh.stderr.on('data', (data) => { stderr += data; });
+    ssh.on('error', (error) => reject(new Error(`Failed to spawn ssh: ${error.message}`)));
+    ssh.on('close', (code) => {
+      if (code === 0) resolve(stdout);
+      else reject(new Error(`ssh command failed with exit code ${code}: ${stderr.trim()}`));
+    });
+  });
+}
+
+/**
+ * The release layout for a config: local paths are resolved against the
+ * project root (rsync runs there), remote paths are used as given
+ */
+export function releasePaths(config, projectRoot) {
+  const base = config.host ? config.path.replace(/\/+$/, '') : path.resolve(projectRoot, config.path);
+  return {
+    base,
+    releasesDir: `${base}/releases`,
+    current: `${base}/current`,
+    release: (id) => `${base}/releases/${id}`,
+  };
+}
+
+/**
+ * Releases on the target, newest first, and which one `current` points at
+ * @returns {Promise<{ current: string|null, releases: Array<{ id: string, date: string, commit: string|null, current: boolean }> }>}
+ */
+export async function listReleases(config, projectRoot) {
+  const paths = releasePaths(config, projectRoot);
+  let names = [];
+  let target = null;
+
+  if (config.host) {
+    const output = await runSsh(
+      config,
+      `ls -1 ${shellQuote(paths.releasesDir)} 2>/dev/null; echo '--'; readlink ${shellQuote(paths.current)} 2>/dev/null || true`
+    );
+    const [list, link = ''] = output.split('--\n');
+    names = list.split('\n').filter(Boolean);
+    target = link.trim() || null;
+  } else {
+    names = fs.existsSync(paths.releasesDir) ? fs.readdirSync(paths.releasesDir) : [];
+    try {
+      target = fs.readlinkSync(paths.current);
+    } catch {
+      target = null;
+    }
+  }
+
+  const current = target ? path.posix.basename(target.replace(/\/+$/, '')) : null;
+  const releases = names
+    .map(parseReleaseId)
+    .filter(Boolean)
+    .sort((a, b) => b.id.localeCompare(a.id))
+    .map(release => ({ ...release, current: release.id === current }));
+  return { current, releases };
+}
+
+/**
+ * Create the directory a new release is uploaded into
+ */
+export async function prepareRelease(config, projectRoot, id) {
+  const dir = releasePaths(config, projectRoot).release(id);
+  if (config.host) {
+    await runSsh(config, `mkdir -p ${shellQuote(dir)}`);
+  } else {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  return dir;
+}
+
+/**
+ * Atomically point `current` at a release: make the new symlink under a
+ * temporary name, then rename it over `current` (rename replaces atomically,
+ * so there's never a moment without a `current`). A plain `mv` would follow
+ * `current` into the release it points at, so remotely the rename is
+ * `mv -T` (GNU, BusyBox) or, where that's missing, `mv -h` (BSD, macOS).
+ */
+export async function activateRelease(config, projectRoot, id) {
+  const paths = releasePaths(config, projectRoot);
+  const relativeTarget = `releases/${id}`;
+  const tmp = `${paths.base}/.current-${process.pid}`;
+
+  if (config.host) {
+    await runSsh(
+      config,
+      `test -d ${shellQuote(paths.release(id))} && ` +
+        `ln -sfn ${shellQuote(relativeTarget)} ${shellQuote(tmp)} && ` +
+        `{ mv -Tf ${shellQuote(tmp)} ${shellQuote(paths.current)} 2>/dev/null || mv -hf ${shellQuote(tmp)} ${shellQuote(paths.current)}; }`
+    );
+    return;
+  }
+
+  if (!fs.existsSync(paths.release(id))) {
+    throw new Error(`Release not found: ${id}`);
+  }
+  const existing = fs.lstatSync(paths.current, { throwIfNoEntry: false });
+  if (existing && !existing.isSymbolicLink()) {
+    throw new Error(`${paths.current} exists and is not a symlink; move it aside to switch to releases`);
+  }
+  fs.rmSync(tmp, { force: true });
+  fs.symlinkSync(relativeTarget, tmp);
+  fs.renameSync(tmp, paths.current);
+}
+
+/**
+ * Delete all but the newest `keep` releases, never the live one
+ * @returns {Promise<string[]>} Removed release ids
+ */
+export async function pruneReleases(config, projectRoot, keep = releasesToKeep(config)) {
+  const { current, releases } = await listReleases(config, projectRoot);
+  const stale = releases.slice(keep).filter(release => release.id !== current).map(release => release.id);
+  if (stale.length === 0) return [];
+
+  const paths = releasePaths(config, projectRoot);
+  if (config.host) {
+    await runSsh(config, `rm -rf ${stale.map(id => shellQuote(paths.release(id))).join(' ')}`);
+  } else {
+    for (const id of stale) {
+      fs.rmSync(paths.release(id), { recursive: true, force: true });
+    }
+  }
+  return stale;
+}
+
+/**
+ * Point `current` back at an earlier release: `id`, or by default the one
+ * before the live release
+ * @returns {Promise<{ current: string, previous: string|null }>}
+ */
+export async function rollbackRelease(config, projectRoot, id = null) {
+  const { current, releases } = await listReleases(config, projectRoot);
+
+  let target = id;
+  if (!target) {
+    const liveIndex = releases.findIndex(release => release.id === current);
+    target = releases[liveIndex + 1]?.id;
+    if (liveIndex === -1 || !target) {
+      throw new Error('No earlier release to roll back to');
+    }
+  } else if (!releases.some(release => release.id === target)) {
+    throw new Error(`Release not found: ${target}`);
+  }
+
+  await activateRelease(config, projectRoot, target);
+  return { current: target, previous: current };
+}
@@ -3,15 +3,30 @@
  *
  * Syncs the built site (distDir) to a destination, local or remote over SSH.
  * Uses spawn (no shell) so user-supplied paths can't be interpreted as shell.
+ * With `releases.enabled`, each deploy is a versioned release behind a
+ * `current` symlink instead (see rsync-releases.js).
  *
  * Adapter interface:
  *   name
  *   validate(config) -> { valid, errors[] }
- *   deploy({ projectRoot, distDir, config, log }) -> { success, output, ... }
+ *   deploy({ projectRoot, distDir, config, log, commit }) -> { success, output, ... }
+ * Optional, for adapters with releases:
+ *   releasesEnabled(config) -> boolean
+ *   listReleases({ projectRoot, config }) -> { current, releases[] }
+ *   rollback({ projectRoot, config, release, log }) -> { current, previous }
  */
 
 import { spawn } from 'child_process';
 import path from 'path';
+import {
+  releaseId,
+  releasesToKeep,
+  listReleases as listReleaseDirs,
+  prepareRelease,
+  activateRelease,
+  pruneReleases,
+  rollbackRelease,
+} from './rsync-releases.js';
 
 /**
  * @param {object} config - rsync config block
@@ -26,18 +41,27 @@ function validate(config) {
   if (config?.host && !config?.user) {
     errors.push('rsync.user is required when rsync.host is specified');
   }
+  const keep = config?.releases?.keep;
+  if (config?.releases?.enabled && keep !== undefined && !(Number.isInteger(keep) && keep >= 1)) {
+    errors.push('rsync.releases.keep must be a whole number of at least 1');
+  }
   return { valid: errors.length === 0, errors };
 }
 
+function releasesEnabled(config) {
+  return Boolean(config?.releases?.enabled);
+}
+
 /**
  * @param {object} args
  * @param {string} args.projectRoot - Project root directory
  * @param {string} args.distDir - Build output directory (relative to projectRoot)
  * @param {object} args.config - rsync config block
  * @param {(msg: string) => void} args.log - Log sink
- * @returns {Promise<{success: boolean, output: string, dryRun: boolean, local: boolean}>}
+ * @param {string|null} [args.commit] - Commit being deployed (names the release)
+ * @returns {Promise<{success: boolean, output: string, dryRun: boolean, local: boolean, release?: string, pruned?: string[]}>}
  */
-function deploy({ projectRoot, distDir, config, log }) {
+async function deploy({ projectRoot, distDir, config, log, commit = null }) {
   if (!config.path) {
     throw new Error("rsync deploy: missing required field 'path'");
   }
@@ -81,6 +105,10 @@ function deploy({ projectRoot, distDir, config, log }) {
   // Source: build output dir with a trailing slash to copy its contents.
   const distPath = path.join(projectRoot, distDir) + '/';
 
+  if (releasesEnabled(config)) {
+    return deployRelease({ projectRoot, config, log, commit, args, distPath, isLocal });
+  }
+
   const destination = isLocal
     ? config.path
     : `${config.user}@${config.host}:${config.path}`;
@@ -93,51 +121,138 @@ function deploy({ projectRoot, distDir, config, log }) {
     log('   (dry-run mode - no changes will be made)');
   }
 
+  const output = await runRsync(args, projectRoot, log);
+  log('✅ rsync deploy completed successfully');
+  return {
+    success: true,
+    output: output.slice(-2000),
+    dryRun: config.dryRun || false,
+    local: isLocal,
+  };
+}
+
+/**
+ * Releases mode: upload into a new release directory (hard-linking files
+ * unchanged since the live release), switch `current` to it, prune old ones
+ */
+async function deployRelease({ projectRoot, config, log, commit, args, distPath, isLocal }) {
+  const { current, releases } = await listReleaseDirs(config, projectRoot);
+  // Never upload into an existing (possibly live) release: two publishes
+  // within the same second get consecutive timestamps
+  const taken = new Set(releases.map(release => release.id));
+  let date = new Date();
+  let id = releaseId(date, commit);
+  while (taken.has(id)) {
+    date = new Date(date.getTime() + 1000);
+    id = releaseId(date, commit);
+  }
+
+  const targetDescription = isLocal ? config.path : `${config.host}:${config.path}`;
+  log(`🚀 Starting rsync release ${id} to ${targetDescription}${isLocal ? ' (local)' : ''}`);
+  if (config.dryRun) {
+    log('   (dry-run mode - no changes will be made)');
+  }
+
+  const releaseDir = config.dryRun
+    ? `${config.path.replace(/\/+$/, '')}/releases/${id}`
+    : await prepareRelease(config, projectRoot, id);
+  if (current) {
+    // Relative --link-dest is resolved against the destination directory
+    args.push(`--link-dest=../${current}`);
+  }
+  args.push(distPath, isLocal ? `${releaseDir}/` : `${config.user}@${config.host}:${releaseDir}/`);
+
+  const output = await runRsync(args, projectRoot, log);
+  if (config.dryRun) {
+    log('✅ rsync release dry-run completed');
+    return { success: true, output: output.slice(-2000), dryRun: true, local: isLocal, release: id, pruned: [] };
+  }
+
+  await activateRelease(config, projectRoot, id);
+  const pruned = await pruneReleases(config, projectRoot, releasesToKeep(config));
+  log(`✅ rsync release ${id} is live${pruned.length ? ` (pruned ${pruned.length} old release${pruned.length === 1 ? '' : 's'})` : ''}`);
+
+  return {
+    success: true,
+    output: output.slice(-2000),
+    dryRun: false,
+    local: isLocal,
+    release: id,
+    previous: current,
+    pruned,
+  };
+}
+
+function runRsync(args, projectRoot, log) {
   return new Promise((resolve, reject) => {
     const rsync = spawn('rsync', args, {
       cwd: projectRoot,
       stdio: ['ignore', 'pipe', 'pipe'],
     });
 
-    let stdout = '';
-    let stderr = '';
-
-    rsync.stdout.on('data', (data) => {
-      const chunk = data.toString();
-      stdout += chunk;
-      process.stdout.write(chunk);
-    });
+    const output = { stdout: '', stderr: '' };
+    const partial = { stdout: '', stderr: '' };
+    const flush = (stream, final = false) => {
+      const lines = partial[stream].split(/\r?\n/);
+      partial[stream] = final ? '' : lines.pop();
+      lines.filter(Boolean).forEach(line => log(`   ${line}`));
+    };
 
-    rsync.stderr.on('data', (data) => {
-      const chunk = data.toString();
-      stderr += chunk;
-      process.stderr.write(chunk);
-    });
+    for (const stream of ['stdout', 'stderr']) {
+      rsync[stream].on('data', (data) => {
+        const chunk = data.toString();
+        output[stream] += chunk;
+        partial[stream] += chunk;
+        flush(stream);
+      });
+    }
 
     rsync.on('error', (error) => {
       reject(new Error(`Failed to spawn rsync: ${error.message}`));
     });
 
     rsync.on('close', (code) => {
-      const output = stdout + (stderr ? `\nStderr:\n${stderr}` : '');
+      flush('stdout', true);
+      flush('stderr', true);
+      const { stdout, stderr } = output;
+      const combined = stdout + (stderr ? `\nStderr:\n${stderr}` : '');
 
       if (code === 0) {
-        log('✅ rsync deploy completed successfully');
-        resolve({
-          success: true,
-          output: output.slice(-2000),
-          dryRun: config.dryRun || false,
-          local: isLocal,
-        });
+        resolve(combined);
       } else {
-        reject(new Error(`rsync failed with exit code ${code}:\n${output.slice(-2000)}`));
+        reject(new Error(`rsync failed with exit code ${code}:\n${combined.slice(-2000)}`));
       }
     });
   });
 }
 
+/**
+ * @param {object} args
+ * @param {string} args.projectRoot
+ * @param {object} args.config - rsync config block
+ */
+function listReleases({ projectRoot, config }) {
+  return listReleaseDirs(config, projectRoot);
+}
+
+/**
+ * @param {object} args
+ * @param {string} args.projectRoot
+ * @param {object} args.config - rsync config block
+ * @param {string|null} [args.release] - Release id; default: the one before the live release
+ * @param {(msg: string) => void} args.log
+ */
+async function rollback({ projectRoot, config, release = null, log }) {
+  const result = await rollbackRelease(config, projectRoot, release);
+  log(`⏪ Rolled back: ${result.current} is live (was ${result.previous})`);
+  return result;
+}
+
 export const rsyncAdapter = {
   name: 'rsync',
   validate,
   deploy,
+  releasesEnabled,
+  listReleases,
+  rollback,
 };
@@ -0,0 +1,368 @@
+/**
+ * S3-compatible deploy adapter
+ *
+ * Mirrors the built site (distDir) into a bucket: AWS S3, or anything speaking
+ * its API (MinIO, Cloudflare R2, DigitalOcean Spaces, ...). Incremental: a
+ * file is only uploaded when its MD5 differs from the stored object's ETag,
+ * and objects under the prefix with no counterpart in distDir are deleted.
+ * Each upload gets a Content-Type and Cache-Control from its extension.
+ *
+ * Talks to the REST API directly with AWS Signature V4 (no SDK dependency).
+ *
+ * Adapter interface: see adapters/rsync.js
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const CONTENT_TYPES = {
+  html: 'text/html; charset=utf-8',
+  htm: 'text/html; charset=utf-8',
+  css: 'text/css; charset=utf-8',
+  js: 'text/javascript; charset=utf-8',
+  mjs: 'text/javascript; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  map: 'application/json; charset=utf-8',
+  webmanifest: 'application/manifest+json; charset=utf-8',
+  xml: 'application/xml; charset=utf-8',
+  txt: 'text/plain; charset=utf-8',
+  svg: 'image/svg+xml',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  ico: 'image/x-icon',
+  woff: 'font/woff',
+  woff2: 'font/woff2',
+  ttf: 'font/ttf',
+  otf: 'font/otf',
+  pdf: 'application/pdf',
+  mp4: 'video/mp4',
+  webm: 'video/webm',
+  mp3: 'audio/mpeg',
+  wasm: 'application/wasm',
+};
+
+// Pages and feeds must revalidate so a publish shows up straight away; other
+// assets can be cached for a while. Astro fingerprints everything it emits
+// under _astro/, so those never change and can be cached forever.
+const REVALIDATE = 'public, max-age=0, must-revalidate';
+const DEFAULT_CACHE_CONTROL = {
+  html: REVALIDATE,
+  htm: REVALIDATE,
+  xml: REVALIDATE,
+  json: REVALIDATE,
+  txt: REVALIDATE,
+  webmanifest: REVALIDATE,
+  '*': 'public, max-age=3600',
+};
+const IMMUTABLE = 'public, max-age=31536000, immutable';
+
+function fileExtension(file) {
+  return path.extname(file).slice(1).toLowerCase();
+}
+
+/**
+ * Content-Type for a file, by extension
+ */
+export function contentTypeFor(file) {
+  return CONTENT_TYPES[fileExtension(file)] || 'application/octet-stream';
+}
+
+/**
+ * Cache-Control for a dist-relative path, by extension. `overrides` (the
+ * adapter's `cacheControl` config) is keyed by extension, with '*' for the
+ * rest, and wins over the defaults, including the _astro/ rule.
+ */
+export function cacheControlFor(relPath, overrides = {}) {
+  const ext = fileExtension(relPath);
+  if (overrides[ext]) return overrides[ext];
+  if (relPath.startsWith('_astro/')) return IMMUTABLE;
+  return DEFAULT_CACHE_CONTROL[ext] || overrides['*'] || DEFAULT_CACHE_CONTROL['*'];
+}
+
+/**
+ * Credentials from the config, falling back to the usual environment variables
+ */
+function resolveCredentials(config) {
+  return {
+    accessKeyId: config.accessKeyId || process.env.S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: config.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY,
+    sessionToken: config.sessionToken || process.env.AWS_SESSION_TOKEN,
+  };
+}
+
+/**
+ * @param {object} config - s3 config block
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validate(config) {
+  const errors = [];
+  if (!config?.bucket) {
+    errors.push('s3.bucket is required');
+  }
+  const credentials = resolveCredentials(config || {});
+  if (!credentials.accessKeyId || !credentials.secretAccessKey) {
+    errors.push('s3.accessKeyId and s3.secretAccessKey are required (or set S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY)');
+  }
+  if (config?.endpoint) {
+    try {
+      new URL(config.endpoint);
+    } catch {
+      errors.push(`s3.endpoint is not a valid URL: ${config.endpoint}`);
+    }
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+// S3's flavour of RFC 3986 encoding (encodeURIComponent leaves !'()* alone)
+function uriEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Minimal S3 REST client: the three calls a deploy needs, SigV4-signed
+ */
+function createS3Client(config) {
+  const region = config.region || 'us-east-1';
+  const credentials = resolveCredentials(config);
+  // Custom endpoints (MinIO and friends) use path-style addressing;
+  // AWS itself gets the virtual-hosted bucket domain
+  const pathStyle = Boolean(config.endpoint);
+  const endpoint = new URL(config.endpoint || `https://${config.bucket}.s3.${region}.amazonaws.com`);
+
+  async function send(method, key, { query = {}, body, headers = {} } = {}) {
+    const basePath = endpoint.pathname.replace(/\/$/, '');
+    const objectPath = [...(pathStyle ? [config.bucket] : []), ...(key ? key.split('/') : [])]
+      .map(uriEncode)
+      .join('/');
+    const canonicalUri = `${basePath}/${objectPath}`;
+    const canonicalQuery = Object.keys(query)
+      .sort()
+      .map(name => `${uriEncode(name)}=${uriEncode(query[name])}`)
+      .join('&');
+
+    const now = new Date();
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = sha256Hex(body || '');
+
+    const signed = {
+      host: endpoint.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      ...(credentials.sessionToken ? { 'x-amz-security-token': credentials.sessionToken } : {}),
+    };
+    const signedHeaders = Object.keys(signed).sort();
+    const canonicalRequest = [
+      method,
+      canonicalUri,
+      canonicalQuery,
+      signedHeaders.map(name => `${name}:${signed[name]}\n`).join(''),
+      signedHeaders.join(';'),
+      payloadHash,
+    ].join('\n');
+
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    let signingKey = hmac(`AWS4${credentials.secretAccessKey}`, dateStamp);
+    for (const part of [region, 's3', 'aws4_request']) signingKey = hmac(signingKey, part);
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    const { host, ...requestHeaders } = signed;
+    const response = await fetch(`${endpoint.origin}${canonicalUri}${canonicalQuery ? `?${canonicalQuery}` : ''}`, {
+      method,
+      body,
+      headers: {
+        ...headers,
+        ...requestHeaders,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`,
+      },
+    });
+
+    if (!response.ok) {
+      const text = await response.text();
+      const code = text.match(/<Code>([^<]*)<\/Code>/)?.[1];
+      throw new Error(`S3 ${method} ${key || '/'} failed: ${response.status}${code ? ` ${code}` : ''}`);
+    }
+    return response;
+  }
+
+  return {
+    /** Every object under `prefix` → Map<key, etag> */
+    async list(prefix) {
+      const objects = new Map();
+      let continuationToken = null;
+      do {
+        const query = { 'list-type': '2', prefix };
+        if (continuationToken) query['continuation-token'] = continuationToken;
+        const xml = await (await send('GET', '', { query })).text();
+
+        for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+          const key = decodeXml(contents.match(/<Key>([^<]*)<\/Key>/)?.[1] ?? '');
+          const etag = decodeXml(contents.match(/<ETag>([^<]*)<\/ETag>/)?.[1] ?? '').replace(/"/g, '');
+          objects.set(key, etag);
+        }
+        const truncated = /<IsTruncated>true<\/IsTruncated>/.test(xml);
+        continuationToken = truncated ? decodeXml(xml.match(/<NextContinuationToken>([^<]*)</)?.[1] ?? '') : null;
+      } while (continuationToken);
+      return objects;
+    },
+
+    put(key, body, headers) {
+      return send('PUT', key, { body, headers });
+    },
+
+    delete(key) {
+      return send('DELETE', key);
+    },
+  };
+}
+
+/**
+ * Files under `dir`, as dist-relative posix paths
+ */
+function listFiles(dir, base = dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listFiles(full, base));
+    } else if (entry.isFile()) {
+      files.push(path.relative(base, full).split(path.sep).join('/'));
+    }
+  }
+  return files;
+}
+
+/**
+ * MD5 of a file, read as a stream
+ * @returns {Promise<string>} Hex digest
+ */
+function md5File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('md5');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Run `task` over `items`, at most `limit` at a time
+ */
+async function runPool(items, limit, task) {
+  const queue = [...items];
+  const workers = Array.from({ length: Math.min(limit, queue.length) }, async () => {
+    while (queue.length > 0) {
+      await task(queue.shift());
+    }
+  });
+  await Promise.all(workers);
+}
+
+/**
+ * @param {object} args
+ * @param {string} args.projectRoot - Project root directory
+ * @param {string} args.distDir - Build output directory (relative to projectRoot)
+ * @param {object} args.config - s3 config block
+ * @param {(msg: string) => void} args.log - Log sink
+ * @returns {Promise<{success: boolean, output: string, uploaded: string[], deleted: string[], unchanged: number, dryRun: boolean}>}
+ */
+async function deploy({ projectRoot, distDir, config, log }) {
+  const { valid, errors } = validate(config);
+  if (!valid) {
+    throw new Error(`s3 deploy: ${errors.join('; ')}`);
+  }
+
+  const distPath = path.join(projectRoot, distDir);
+  if (!fs.existsSync(distPath)) {
+    throw new Error(`s3 deploy: build output not found at ${distPath}`);
+  }
+
+  const trimmedPrefix = (config.prefix || '').replace(/^\/+|\/+$/g, '');
+  const prefix = trimmedPrefix ? `${trimmedPrefix}/` : '';
+  const client = createS3Client(config);
+
+  log(`🚀 Starting s3 deploy to ${config.bucket}${prefix ? `/${prefix}` : ''}${config.endpoint ? ` (${config.endpoint})` : ''}`);
+  if (config.dryRun) {
+    log('   (dry-run mode - no changes will be made)');
+  }
+
+  const remote = await client.list(prefix);
+  const local = listFiles(distPath);
+  const keep = new Set();
+  const uploads = [];
+  let unchanged = 0;
+
+  // Only paths are kept: each file is read when its upload runs, so at most
+  // `concurrency` of them are in memory at once
+  for (const relPath of local) {
+    const key = prefix + relPath;
+    const md5 = await md5File(path.join(distPath, relPath));
+    keep.add(key);
+    // Single-part uploads have the content's MD5 as their ETag
+    if (remote.get(key) === md5) {
+      unchanged++;
+    } else {
+      uploads.push({ key, relPath });
+    }
+  }
+  const stale = [...remote.keys()].filter(key => !keep.has(key));
+
+  const lines = [];
+  const concurrency = config.concurrency || 4;
+  await runPool(uploads, concurrency, async ({ key, relPath }) => {
+    if (!config.dryRun) {
+      const body = await fs.promises.readFile(path.join(distPath, relPath));
+      await client.put(key, body, {
+        'Content-Type': contentTypeFor(relPath),
+        'Cache-Control': cacheControlFor(relPath, config.cacheControl),
+      });
+    }
+    lines.push(`upload ${key}`);
+  });
+  await runPool(stale, concurrency, async (key) => {
+    if (!config.dryRun) {
+      await client.delete(key);
+    }
+    lines.push(`delete ${key}`);
+  });
+
+  log(`✅ s3 deploy completed: ${uploads.length} uploaded, ${stale.length} deleted, ${unchanged} unchanged`);
+  return {
+    success: true,
+    output: lines.join('\n').slice(-2000),
+    uploaded: uploads.map(u => u.key),
+    deleted: stale,
+    unchanged,
+    dryRun: config.dryRun || false,
+  };
+}
+
+export const s3Adapter = {
+  name: 's3',
+  validate,
+  deploy,
+};
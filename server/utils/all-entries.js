@@ -0,0 +1,51 @@
+/**
+ * Every entry in the content store
+ *
+ * Walks each collection, slug and (with i18n) locale through the active
+ * content store. Used by whatever has to look at the whole site at once: the
+ * search index rebuild, find-and-replace and the block library.
+ */
+
+import { getConfig } from '../config.js';
+import { readContent, listSlugs, getAvailableLocales } from './content-store.js';
+import { getCollectionNames } from './collections.js';
+
+/**
+ * Read every entry, with its data and body. Entries that fail to read are
+ * skipped with a warning rather than failing the whole walk.
+ * @param {Object} [options]
+ * @param {string[]|null} [options.collections] - Only these collections (default: all)
+ * @param {string} [options.label='Content'] - Prefix for skip warnings
+ * @returns {Promise<Array<{collection: string, slug: string, locale: string|null,
+ *   data: Object, body: string|null, filePath: string}>>}
+ */
+export async function readAllEntries({ collections = null, label = 'Content' } = {}) {
+  const fullConfig = await getConfig();
+  const locales = fullConfig.i18n?.enabled ? fullConfig.i18n.locales : [];
+  const entries = [];
+
+  for (const collection of await getCollectionNames()) {
+    if (collections && !collections.includes(collection)) continue;
+
+    let slugs = [];
+    try {
+      slugs = await listSlugs(collection);
+    } catch (error) {
+      console.warn(`[${label}] Skipping collection ${collection}:`, error.message);
+      continue;
+    }
+
+    for (const slug of slugs) {
+      const entryLocales = locales.length > 0 ? await getAvailableLocales(collection, slug, locales) : [];
+      for (const locale of entryLocales.length > 0 ? entryLocales : [null]) {
+        try {
+          const { data, body, filePath } = await readContent(collection, slug, locale);
+          entries.push({ collection, slug, locale, data, body, filePath });
+        } catch (error) {
+          console.warn(`[${label}] Skipping ${collection}/${slug}:`, error.message);
+        }
+      }
+    }
+  }
+  return entries;
+}
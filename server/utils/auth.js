@@ -10,6 +10,9 @@
  *     Verified with Bun.password (the server runs under Bun in production).
  *   - password (env ADMIN_PASSWORD): plaintext fallback for local/dev. A hash
  *     under a non-Bun runtime fails closed (no verifier available).
+ *
+ * Once accounts exist in the user store (`astroadmin users add`), login goes
+ * through the store instead and the single configured credential is ignored.
  */
 
 import crypto from 'crypto';
@@ -60,6 +63,106 @@ export async function verifyCredentials(authConfig, username, password) {
   return userOk && passOk;
 }
 
+/**
+ * Every credential configured in `config.auth`: the primary username/password
+ * (admin), plus any extra logins listed under `auth.credentials`, e.g.
+ *
+ *   credentials: [
+ *     { username: 'marketing', passwordHash: process.env.MARKETING_HASH, role: 'editor' },
+ *   ]
+ *
+ * Extra credentials default to the editor role.
+ * @returns {Array<{ username: string, password?: string, passwordHash?: string, role: string }>}
+ */
+export function configuredCredentials(authConfig) {
+  const primary = {
+    username: authConfig.username,
+    password: authConfig.password,
+    passwordHash: authConfig.passwordHash,
+    role: 'admin',
+  };
+  const extras = (authConfig.credentials || []).map(credential => ({
+    password: null,
+    passwordHash: null,
+    role: 'editor',
+    ...credential,
+  }));
+  return [primary, ...extras];
+}
+
+/**
+ * Log a user in. Uses the user store when it has any accounts; otherwise the
+ * configured credentials (so existing setups keep working until the first user
+ * is added).
+ * @param {object} authConfig - `config.auth`
+ * @param {import('../user-store.js').UserStore|null} userStore
+ * @returns {Promise<{ username: string, role: string, source: 'store'|'config' }|null>}
+ */
+export async function authenticate(authConfig, userStore, username, password) {
+  if (userStore && userStore.count() > 0) {
+    const user = await userStore.verify(username, password);
+    return user ? { ...user, source: 'store' } : null;
+  }
+
+  // Compare against every credential and always run one password check, so
+  // timing reveals neither which usernames exist nor where they're listed
+  const credentials = configuredCredentials(authConfig);
+  let match = null;
+  for (const credential of credentials) {
+    if (timingSafeEqualStr(username ?? '', credential.username) && !match) {
+      match = credential;
+    }
+  }
+  const passOk = await verifyPassword(match || credentials[0], password);
+  return match && passOk ? { username: match.username, role: match.role, source: 'config' } : null;
+}
+
+/**
+ * Roles, least to most privileged; each can do everything the ones before it can.
+ *   viewer - read-only: browse content, history and diffs
+ *   editor - edit content and images, commit and publish
+ *   admin  - everything, including rolling the content back to an old commit
+ */
+export const ROLES = ['viewer', 'editor', 'admin'];
+
+/**
+ * Routes that need more than the method-based default, matched by path prefix
+ * (first match wins). Paths are as mounted, e.g. '/api/git/commit'.
+ */
+export const ROUTE_ROLES = [
+  { path: '/api/git/restore-from-commit', role: 'admin' },
+  // Branch workflow: editors submit branches for review, admins merge them
+  { path: '/api/git/merge', role: 'admin' },
+  // Rolling the live site back to an earlier release
+  { path: '/api/publish/rollback', role: 'admin' },
+  // Everyone can set their own commit identity
+  { path: '/api/profile', role: 'viewer' },
+];
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Whether `role` is at least as privileged as `required`
+ */
+export function hasRole(role, required) {
+  const have = ROLES.indexOf(role);
+  return have !== -1 && have >= ROLES.indexOf(required);
+}
+
+/**
+ * Minimum role for a request: an explicit ROUTE_ROLES entry, else viewer for
+ * reads and editor for anything that changes state (so a viewer can't save,
+ * commit or publish).
+ * @param {string} method - HTTP method
+ * @param {string} urlPath - Full request path (req.originalUrl without the query)
+ * @returns {string}
+ */
+export function requiredRoleFor(method, urlPath) {
+  const rule = ROUTE_ROLES.find(r => urlPath === r.path || urlPath.startsWith(`${r.path}/`));
+  if (rule) return rule.role;
+  return READ_METHODS.includes(String(method).toUpperCase()) ? 'viewer' : 'editor';
+}
+
 /**
  * Hash a plaintext password for use as ADMIN_PASSWORD_HASH (argon2id).
  * @returns {Promise<string>}
@@ -73,19 +176,30 @@ export async function hashPassword(plaintext) {
 
 /**
  * Return human-readable warnings for weak production auth config (empty in dev).
+ * The single-credential checks are skipped once the user store has accounts,
+ * since that credential no longer logs anyone in.
+ * @param {object} [options]
+ * @param {boolean} [options.hasUsers] - Whether the user store has any accounts
  * @returns {string[]}
  */
-export function authConfigWarnings(authConfig, isProd) {
+export function authConfigWarnings(authConfig, isProd, { hasUsers = false } = {}) {
   if (!isProd) return [];
   const warnings = [];
-  if (!authConfig.passwordHash && authConfig.password === 'admin') {
-    warnings.push('default admin password is in use');
-  }
-  if (!authConfig.passwordHash) {
-    warnings.push('plaintext ADMIN_PASSWORD is in use (set ADMIN_PASSWORD_HASH instead)');
-  }
-  if (authConfig.username === 'admin') {
-    warnings.push('default admin username is in use');
+  if (!hasUsers) {
+    if (!authConfig.passwordHash && authConfig.password === 'admin') {
+      warnings.push('default admin password is in use');
+    }
+    if (!authConfig.passwordHash) {
+      warnings.push('plaintext ADMIN_PASSWORD is in use (set ADMIN_PASSWORD_HASH instead)');
+    }
+    if (authConfig.username === 'admin') {
+      warnings.push('default admin username is in use');
+    }
+    for (const credential of authConfig.credentials || []) {
+      if (!credential.passwordHash) {
+        warnings.push(`plaintext password is in use for "${credential.username}" (set a passwordHash instead)`);
+      }
+    }
   }
   if (authConfig.sessionSecret === 'dev-secret-change-in-prod') {
     warnings.push('default SESSION_SECRET is in use (set a strong SESSION_SECRET)');
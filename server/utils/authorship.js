@@ -0,0 +1,183 @@
+/**
+ * Commit authorship
+ *
+ * Attributes git commits to the people who actually changed the content rather
+ * than the server's own git identity:
+ *   - Each login can set a display name + email (its profile), kept in a small
+ *     JSON file keyed by username.
+ *   - Every save/delete records which login touched which file, until that
+ *     file is committed.
+ *   - At commit time the committing login becomes the author, and everyone
+ *     else who touched a staged file gets a `Co-authored-by` trailer.
+ */
+
+import path from 'path';
+import { readJsonFile, updateJsonFile } from './json-file.js';
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+$/;
+
+/**
+ * A login's profile
+ * @returns {Promise<{ name: string, email: string }|null>}
+ */
+export async function getProfile(fullConfig, username) {
+  if (!username) return null;
+  const profiles = await readJsonFile(fullConfig.authorship.profilesPath);
+  return Object.prototype.hasOwnProperty.call(profiles, username) ? profiles[username] : null;
+}
+
+/**
+ * Set a login's profile
+ * @param {{ name: string, email: string }} profile
+ * @returns {Promise<{ name: string, email: string }>}
+ * @throws if the name or email is missing or malformed
+ */
+export async function saveProfile(fullConfig, username, { name, email } = {}) {
+  const cleanName = String(name ?? '').replace(/[<>\r\n]/g, '').trim();
+  const cleanEmail = String(email ?? '').trim();
+  if (!cleanName) {
+    throw new Error('Name is required');
+  }
+  if (!EMAIL_PATTERN.test(cleanEmail)) {
+    throw new Error('A valid email is required');
+  }
+
+  const profile = { name: cleanName, email: cleanEmail };
+  await updateJsonFile(fullConfig.authorship.profilesPath, (profiles) => {
+    profiles[username] = profile;
+  });
+  return profile;
+}
+
+/**
+ * 'Name <email>' for a profile, or null without one
+ */
+export function formatIdentity(profile) {
+  return profile?.name && profile?.email ? `${profile.name} <${profile.email}>` : null;
+}
+
+/**
+ * Key a saved file by its project-relative path. Synthetic db-store ids
+ * ('db:pages/home') map to the content database file, which is what a commit
+ * would stage for them.
+ */
+function pendingKey(fullConfig, filePath) {
+  const absolute = String(filePath).startsWith('db:')
+    ? fullConfig.database.path
+    : path.resolve(fullConfig.paths.projectRoot, filePath);
+  return path.relative(fullConfig.paths.projectRoot, absolute).split(path.sep).join('/');
+}
+
+/**
+ * Record that a login saved (or deleted) a file, so the next commit of that
+ * file credits them. A no-op without a username (e.g. CLI imports).
+ * @param {object} fullConfig
+ * @param {string|null} username
+ * @param {string} filePath - Absolute, project-relative, or a 'db:' id
+ */
+export async function recordContributor(fullConfig, username, filePath) {
+  if (!username || !filePath) return;
+  const key = pendingKey(fullConfig, filePath);
+  await updateJsonFile(fullConfig.authorship.pendingPath, (pending) => {
+    const contributors = Array.isArray(pending[key]) ? pending[key] : [];
+    if (contributors.includes(username)) return false;
+    pending[key] = [...contributors, username];
+  });
+}
+
+/**
+ * Project-relative paths for files as git reports them (repo-root-relative)
+ */
+async function toProjectKeys(fullConfig, git, repoFiles) {
+  const topLevel = (await git.revparse(['--show-toplevel'])).trim();
+  return repoFiles.map(file =>
+    path.relative(fullConfig.paths.projectRoot, path.resolve(topLevel, file)).split(path.sep).join('/')
+  );
+}
+
+/**
+ * Who to credit for a commit of `stagedFiles`: the committing login as author
+ * (when they've set a profile), and every other recorded contributor with a
+ * profile as a Co-authored-by trailer.
+ * @param {object} fullConfig
+ * @param {import('simple-git').SimpleGit} git
+ * @param {string|null} username - The login making the commit
+ * @param {string[]} stagedFiles - Repo-root-relative, as from `git diff --cached`
+ * @returns {Promise<{ author: string|null, trailers: string[], contributors: string[] }>}
+ */
+export async function commitAttribution(fullConfig, git, username, stagedFiles) {
+  const pending = await readJsonFile(fullConfig.authorship.pendingPath);
+  const keys = await toProjectKeys(fullConfig, git, stagedFiles);
+
+  const contributors = [];
+  for (const key of keys) {
+    for (const contributor of pending[key] || []) {
+      if (!contributors.includes(contributor)) contributors.push(contributor);
+    }
+  }
+
+  const profiles = await readJsonFile(fullConfig.authorship.profilesPath);
+  const profileOf = (name) => (Object.prototype.hasOwnProperty.call(profiles, name) ? profiles[name] : null);
+
+  const author = formatIdentity(profileOf(username));
+  const trailers = [];
+  for (const contributor of contributors) {
+    const identity = formatIdentity(profileOf(contributor));
+    if (!identity || identity === author) continue;
+    const trailer = `Co-authored-by: ${identity}`;
+    if (!trailers.includes(trailer)) trailers.push(trailer);
+  }
+
+  return { author, trailers, contributors };
+}
+
+/**
+ * Append Co-authored-by trailers to a commit message (separated by a blank
+ * line, as git and GitHub expect)
+ */
+export function appendTrailers(message, trailers) {
+  if (!trailers || trailers.length === 0) return message;
+  return `${message.trimEnd()}\n\n${trailers.join('\n')}`;
+}
+
+/**
+ * Commit `stagedPaths` credited per commitAttribution, then forget the
+ * recorded contributors of the files it committed
+ * @returns {Promise<object>} simple-git's commit result
+ */
+export async function commitWithAttribution(fullConfig, git, { message, stagedPaths, stagedFiles, username }) {
+  const { author, trailers } = await commitAttribution(fullConfig, git, username, stagedFiles);
+  const options = author ? { '--author': author } : {};
+  const result = await git.commit(appendTrailers(message, trailers), stagedPaths, options);
+  await clearContributors(fullConfig, git, stagedFiles);
+  return result;
+}
+
+/**
+ * Forget recorded contributors for files that have been committed
+ */
+export async function clearContributors(fullConfig, git, committedFiles) {
+  const keys = new Set(await toProjectKeys(fullConfig, git, committedFiles));
+  await updateJsonFile(fullConfig.authorship.pendingPath, (pending) => {
+    let changed = false;
+    for (const key of Object.keys(pending)) {
+      if (keys.has(key)) {
+        delete pending[key];
+        changed = true;
+      }
+    }
+    return changed;
+  });
+}
+
+/**
+ * Parse Co-authored-by trailers out of a commit body
+ * @returns {Array<{ name: string, email: string }>}
+ */
+export function parseCoAuthors(body) {
+  const coAuthors = [];
+  for (const match of String(body ?? '').matchAll(/^Co-authored-by:\s*(.+?)\s*<([^>]+)>\s*$/gim)) {
+    coAuthors.push({ name: match[1], email: match[2] });
+  }
+  return coAuthors;
+}
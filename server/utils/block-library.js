@@ -0,0 +1,257 @@
+/**
+ * Block library
+ *
+ * Configured blocks saved for reuse across entries — a tuned call-to-action
+ * section, say. Each is a JSON file under `blockLibrary.dir`
+ * (.astroadmin/blocks by default):
+ *
+ *   <dir>/<id>.json
+ *     { name: 'Spring CTA', type: 'cta', data: { … },
+ *       createdBy, createdAt, updatedBy, updatedAt }
+ *
+ * A library block goes into an entry's blocks either as a copy, which is then
+ * an ordinary block, or as a linked instance: the block's fields plus
+ * `_libraryBlock: '<id>'`. Changing the library block rewrites every linked
+ * instance, so entries always hold the real fields and the site builds
+ * without knowing about the library. (Zod drops the extra key, unless the
+ * block schema is `.strict()`.)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { readAllEntries } from './all-entries.js';
+import { validateContent } from './validate-content.js';
+import { templateId } from './templates.js';
+
+/** Key marking a block as a linked instance of a library block */
+export const LINK_KEY = '_libraryBlock';
+
+const MAX_NAME_LENGTH = 100;
+
+function libraryDir(fullConfig) {
+  return path.resolve(fullConfig.paths.projectRoot, fullConfig.blockLibrary.dir);
+}
+
+function blockPath(fullConfig, id) {
+  if (typeof id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(id)) return null;
+  return path.join(libraryDir(fullConfig), `${id}.json`);
+}
+
+async function readBlockFile(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function writeBlockFile(filePath, block) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, `${JSON.stringify(block, null, 2)}\n`);
+  await fs.rename(tempPath, filePath);
+}
+
+function checkName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!templateId(trimmed)) {
+    throw new Error('A library block needs a name with at least one letter or number');
+  }
+  if (trimmed.length > MAX_NAME_LENGTH) {
+    throw new Error(`Library block names must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  return trimmed;
+}
+
+/**
+ * A block's fields as the library keeps them: without the discriminator
+ * (stored as `type`) or a link to another library block
+ */
+function blockFields(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Block data must be an object');
+  }
+  const { type: _type, [LINK_KEY]: _link, ...fields } = data;
+  return fields;
+}
+
+/**
+ * Every library block, by name, with its fields
+ * @returns {Promise<Array<{id: string, name: string, type: string, data: Object,
+ *   createdBy: string|null, createdAt: string, updatedBy: string|null, updatedAt: string}>>}
+ */
+export async function listLibraryBlocks(fullConfig) {
+  const dir = libraryDir(fullConfig);
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const blocks = [];
+  for (const file of files.filter(name => name.endsWith('.json')).sort()) {
+    try {
+      const block = await readBlockFile(path.join(dir, file));
+      if (block) blocks.push({ id: file.slice(0, -'.json'.length), ...block });
+    } catch (error) {
+      console.warn(`[Block library] Skipping unreadable block ${file}:`, error.message);
+    }
+  }
+  return blocks.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * One library block, or null if there's no such block
+ */
+export async function getLibraryBlock(fullConfig, id) {
+  const filePath = blockPath(fullConfig, id);
+  const block = filePath ? await readBlockFile(filePath) : null;
+  return block ? { id, ...block } : null;
+}
+
+/**
+ * Add a block to the library. Its id comes from the name and stays put when
+ * the block is renamed later, since linked instances refer to it.
+ * @param {Object} fullConfig
+ * @param {Object} block
+ * @param {string} block.name
+ * @param {string} block.type - The block's discriminator value
+ * @param {Object} block.data - Its fields
+ * @param {string|null} [block.username] - Who saved it
+ * @returns {Promise<Object>} The stored block, with its id
+ * @throws on a bad name, type or data, or if a block of that name already exists
+ */
+export async function createLibraryBlock(fullConfig, { name, type, data, username = null }) {
+  const trimmed = checkName(name);
+  if (typeof type !== 'string' || !type) {
+    throw new Error('A library block needs a block type');
+  }
+  const fields = blockFields(data);
+
+  const id = templateId(trimmed);
+  const filePath = blockPath(fullConfig, id);
+  if (await readBlockFile(filePath)) {
+    throw new Error(`A library block named "${trimmed}" already exists`);
+  }
+
+  const now = new Date().toISOString();
+  const block = {
+    name: trimmed,
+    type,
+    data: fields,
+    createdBy: username,
+    createdAt: now,
+    updatedBy: username,
+    updatedAt: now,
+  };
+  await writeBlockFile(filePath, block);
+  return { id, ...block };
+}
+
+/**
+ * A library block with a new name and/or fields (its type is fixed). Nothing
+ * is written: check the linked instances with planLinkedUpdate first, then
+ * save it with saveLibraryBlock.
+ * @param {Object} block - As returned by getLibraryBlock
+ * @param {Object} changes
+ * @param {string} [changes.name]
+ * @param {Object} [changes.data]
+ * @param {string|null} [changes.username]
+ * @returns {Object} The changed block
+ * @throws on a bad name or data
+ */
+export function changeLibraryBlock(block, { name, data, username = null }) {
+  return {
+    ...block,
+    name: name === undefined ? block.name : checkName(name),
+    data: data === undefined ? block.data : blockFields(data),
+    updatedBy: username,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Write a library block back (see changeLibraryBlock)
+ */
+export async function saveLibraryBlock(fullConfig, { id, ...block }) {
+  await writeBlockFile(blockPath(fullConfig, id), block);
+}
+
+/**
+ * Remove a block from the library
+ * @returns {Promise<boolean>} Whether it existed
+ */
+export async function deleteLibraryBlock(fullConfig, id) {
+  const filePath = blockPath(fullConfig, id);
+  if (!filePath) return false;
+  try {
+    await fs.unlink(filePath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+/**
+ * A linked instance of a library block, as it's stored in an entry
+ */
+export function linkedInstance(block) {
+  return { ...block.data, type: block.type, [LINK_KEY]: block.id };
+}
+
+/**
+ * Replace every instance linked to `id` inside a value, at any depth
+ * @returns {{value: *, count: number}}
+ */
+export function mapLinkedBlocks(value, id, transform) {
+  let count = 0;
+  const visit = (node) => {
+    if (Array.isArray(node)) return node.map(visit);
+    // Dates and the like are values, not containers
+    if (!node || Object.getPrototypeOf(node) !== Object.prototype) return node;
+    if (node[LINK_KEY] === id) {
+      count++;
+      return transform(node);
+    }
+    return Object.fromEntries(Object.entries(node).map(([key, child]) => [key, visit(child)]));
+  };
+  return { value: visit(value), count };
+}
+
+/**
+ * Work out every entry holding an instance linked to `id`, and what it would
+ * look like with each instance transformed. Nothing is written; apply the plan
+ * with applyReplace (utils/find-replace.js), which writes all or nothing.
+ * @param {string} id - Library block id
+ * @param {(instance: Object) => Object} [transform] - Default: leave as is (to list usage)
+ * @returns {Promise<Array<{collection: string, slug: string, locale: string|null, filePath: string,
+ *   before: {data: Object, body: string|null}, after: {data: Object, body: string|null},
+ *   count: number, errors: Array<{path: string, message: string}>}>>}
+ *   `errors` are schema validation failures of the changed entry
+ */
+export async function planLinkedUpdate(id, transform = instance => instance) {
+  const plan = [];
+  for (const entry of await readAllEntries({ label: 'Block library' })) {
+    const { value, count } = mapLinkedBlocks(entry.data, id, transform);
+    if (count === 0) continue;
+
+    const before = { data: entry.data, body: entry.body ?? null };
+    const after = { data: value, body: entry.body ?? null };
+    const { errors } = await validateContent(entry.collection, after.data);
+    plan.push({
+      collection: entry.collection,
+      slug: entry.slug,
+      locale: entry.locale,
+      filePath: entry.filePath,
+      before,
+      after,
+      count,
+      errors,
+    });
+  }
+  return plan;
+}
@@ -0,0 +1,169 @@
+/**
+ * Branch-based editorial workflow (opt-in: config.git.branchWorkflow)
+ *
+ * Instead of committing straight to the checked-out branch, each editing
+ * session works on its own `content/<user>-<topic>` branch. "Submit for
+ * review" commits and pushes that branch; an admin then merges it into the
+ * main branch from the changes panel (see the /api/git/branches, /submit and
+ * /merge routes in api/git.js).
+ *
+ * The server has a single working copy, so one editing branch is checked out
+ * at a time. Writes are only accepted from the session whose branch is
+ * checked out (requireEditingBranch), and switching away from a content
+ * branch is refused while it has uncommitted changes.
+ */
+
+import simpleGit from 'simple-git';
+import { getConfig } from '../config.js';
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * The branch workflow settings, with defaults filled in
+ * @returns {{ enabled: boolean, mainBranch: string, remote: string, prefix: string }}
+ */
+export function branchWorkflowConfig(fullConfig) {
+  const settings = fullConfig.git?.branchWorkflow || {};
+  return {
+    enabled: Boolean(fullConfig.git?.enabled && settings.enabled),
+    mainBranch: settings.mainBranch || 'main',
+    remote: settings.remote || 'origin',
+    prefix: settings.prefix || 'content/',
+  };
+}
+
+/**
+ * Lowercase, hyphen-separated, ref-safe form of a username or topic
+ */
+export function slugifyRefPart(value) {
+  return String(value ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40)
+    .replace(/-+$/, '');
+}
+
+/**
+ * Editing branch for a user and topic: `content/<user>-<topic>`
+ * @throws if the topic has nothing usable in it
+ */
+export function branchNameFor(settings, username, topic) {
+  const topicSlug = slugifyRefPart(topic);
+  if (!topicSlug) {
+    throw new Error('A topic is required (letters or numbers) to name the branch');
+  }
+  return `${settings.prefix}${slugifyRefPart(username)}-${topicSlug}`;
+}
+
+/**
+ * Whether `branch` is one of the workflow's editing branches
+ */
+export function isContentBranch(settings, branch) {
+  return typeof branch === 'string' && branch.startsWith(settings.prefix) && !branch.includes('..');
+}
+
+/**
+ * Whether `branch` is one of `username`'s editing branches
+ */
+export function ownsBranch(settings, username, branch) {
+  return isContentBranch(settings, branch) && branch.startsWith(`${settings.prefix}${slugifyRefPart(username)}-`);
+}
+
+/**
+ * The checked-out branch name
+ * @param {import('simple-git').SimpleGit} git
+ */
+export async function currentBranch(git) {
+  return (await git.revparse(['--abbrev-ref', 'HEAD'])).trim();
+}
+
+/**
+ * Whether the configured git paths have uncommitted changes
+ * @param {import('simple-git').SimpleGit} git
+ * @param {string[]} gitPaths
+ */
+export async function hasUncommittedChanges(git, gitPaths) {
+  if (gitPaths.length === 0) return false;
+  const output = await git.raw(['status', '--porcelain', '--', ...gitPaths]);
+  return output.trim() !== '';
+}
+
+/**
+ * Commits `branch` has that `base` doesn't (ahead) and vice versa (behind)
+ * @returns {Promise<{ ahead: number, behind: number }>}
+ */
+export async function aheadBehind(git, base, branch) {
+  const output = await git.raw(['rev-list', '--left-right', '--count', `${base}...${branch}`]);
+  const [behind, ahead] = output.trim().split(/\s+/).map(Number);
+  return { ahead, behind };
+}
+
+/**
+ * Local editing branches, newest first
+ * @returns {Promise<Array<{ name: string, date: string, subject: string, ahead: number, behind: number }>>}
+ */
+export async function listContentBranches(git, settings) {
+  const output = await git.raw([
+    'for-each-ref',
+    '--sort=-committerdate',
+    '--format=%(refname:short)%09%(committerdate:iso-strict)%09%(subject)',
+    `refs/heads/${settings.prefix}`,
+  ]);
+
+  const branches = [];
+  for (const line of output.split(/\r?\n/).filter(Boolean)) {
+    const [name, date, subject] = line.split('\t');
+    branches.push({ name, date, subject, ...await aheadBehind(git, settings.mainBranch, name) });
+  }
+  return branches;
+}
+
+/**
+ * Files a branch changes relative to where it forked from `base`
+ * @returns {Promise<Array<{ file: string, status: string }>>}
+ */
+export async function branchChanges(git, base, branch) {
+  const output = await git.raw(['diff', '--name-status', `${base}...${branch}`]);
+  const labels = { A: 'added', M: 'modified', D: 'deleted', R: 'renamed' };
+  return output.split(/\r?\n/).filter(Boolean).map((line) => {
+    const [code, ...files] = line.split('\t');
+    return { file: files[files.length - 1], status: labels[code[0]] || 'modified' };
+  });
+}
+
+/**
+ * Express middleware: with the branch workflow on, only accept writes from
+ * the session whose editing branch is checked out (so nobody's saves land on
+ * main, or on someone else's branch)
+ */
+export async function requireEditingBranch(req, res, next) {
+  try {
+    if (READ_METHODS.includes(req.method)) return next();
+
+    const fullConfig = await getConfig();
+    const settings = branchWorkflowConfig(fullConfig);
+    if (!settings.enabled) return next();
+
+    const sessionBranch = req.session?.branch || null;
+    if (!sessionBranch) {
+      return res.status(409).json({
+        success: false,
+        error: 'No editing branch',
+        message: 'Start an editing branch (Changes → Start editing) before making changes',
+      });
+    }
+
+    const checkedOut = await currentBranch(simpleGit(fullConfig.paths.projectRoot));
+    if (checkedOut !== sessionBranch) {
+      return res.status(409).json({
+        success: false,
+        error: 'Editing branch not checked out',
+        message: `Your branch ${sessionBranch} isn't checked out (${checkedOut} is); resume it from the Changes panel`,
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
@@ -4,17 +4,63 @@
  * loader's bun:sqlite import works). Shared by the publish pipeline.
  */
 
-import { exec } from 'child_process';
-import { promisify } from 'util';
+import { spawn } from 'child_process';
 import { config, getConfig } from '../config.js';
 
-const execAsync = promisify(exec);
+// Characters of each stream's output kept in memory and returned; the whole
+// of it goes to onLine (and from there into the run log)
+const OUTPUT_TAIL = 1000;
+
+/**
+ * Run a shell command, passing its output on line by line as it arrives
+ * @param {string} command - Shell command line (from config, e.g. build.production)
+ * @param {object} options
+ * @param {string} options.cwd
+ * @param {(line: string) => void} [options.onLine] - stdout and stderr lines, interleaved
+ * @param {number} [options.tailLength] - How much of each stream to return
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>} Exit code and
+ *   the last `tailLength` characters of each stream
+ */
+export function runCommand(command, { cwd, onLine = () => {}, tailLength = OUTPUT_TAIL }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, {
+      cwd,
+      shell: true,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+
+    const output = { stdout: '', stderr: '' };
+    const partial = { stdout: '', stderr: '' };
+    for (const stream of ['stdout', 'stderr']) {
+      child[stream].on('data', (data) => {
+        const chunk = data.toString();
+        output[stream] = (output[stream] + chunk).slice(-tailLength);
+        // Hold back a trailing partial line until the rest of it arrives
+        const lines = (partial[stream] + chunk).split(/\r?\n/);
+        partial[stream] = lines.pop();
+        lines.forEach(line => onLine(line));
+      });
+    }
+
+    child.on('error', (error) => reject(new Error(`Failed to run ${command}: ${error.message}`)));
+    child.on('close', (code) => {
+      for (const rest of Object.values(partial)) {
+        if (rest) onLine(rest);
+      }
+      resolve({ code: code ?? 1, ...output });
+    });
+  });
+}
 
 /**
  * Run the production build for deployment.
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Directory to build in (default: the project root)
+ * @param {(line: string) => void} [options.onLine] - Build output as it arrives
  * @returns {Promise<{success: boolean, duration: number, output?: string, error?: string}>}
+ *   `output` is the end of it; the run log (via onLine) has the rest
  */
-export async function runProductionBuild() {
+export async function runProductionBuild({ cwd = config.paths.projectRoot, onLine } = {}) {
   console.log('🔨 Starting production build for deployment...');
   const startTime = Date.now();
 
@@ -22,18 +68,28 @@ export async function runProductionBuild() {
     const fullConfig = await getConfig();
     const buildCommand = fullConfig.build?.production || 'bunx --bun astro build --outDir dist';
 
-    const { stdout, stderr } = await execAsync(buildCommand, {
-      cwd: config.paths.projectRoot,
-      maxBuffer: 10 * 1024 * 1024, // 10MB buffer
+    const { code, stdout, stderr } = await runCommand(buildCommand, {
+      cwd,
+      onLine,
     });
-
+    const output = (stdout + stderr).slice(-OUTPUT_TAIL);
     const duration = Date.now() - startTime;
-    console.log(`✅ Production build completed in ${duration}ms`);
 
+    if (code !== 0) {
+      console.error(`❌ Production build failed (exit code ${code})`);
+      return {
+        success: false,
+        duration,
+        error: `Build command exited with code ${code}`,
+        output,
+      };
+    }
+
+    console.log(`✅ Production build completed in ${duration}ms`);
     return {
       success: true,
       duration,
-      output: (stdout + stderr).slice(-1000),
+      output,
     };
   } catch (error) {
     const duration = Date.now() - startTime;
@@ -43,7 +99,7 @@ export async function runProductionBuild() {
       success: false,
       duration,
       error: error.message,
-      output: (error.stdout || '') + (error.stderr || ''),
+      output: '',
     };
   }
 }
@@ -0,0 +1,302 @@
+/**
+ * Component discovery utility
+ * Finds the site's UI components under src/components/ and reads their props,
+ * so the MDX editor can offer them in a component palette with a props form.
+ *
+ * Props come from the source, parsed with Babel:
+ * - .astro: the frontmatter's `interface Props` (or `type Props = {...}`)
+ * - .jsx/.tsx: the default export's first parameter — its type annotation
+ *   when it has one, otherwise the destructured names (typed from defaults)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parse } from '@babel/parser';
+import { config } from '../config.js';
+
+/** @typedef {{ name: string, type: 'string'|'number'|'boolean'|'enum'|'expression', required: boolean, options?: string[], default?: * }} ComponentProp */
+/** @typedef {{ name: string, path: string, importPath: string, props: ComponentProp[], children: boolean }} Component */
+
+const COMPONENT_EXTENSIONS = ['.astro', '.jsx', '.tsx'];
+
+/**
+ * Discover components under src/components/
+ *
+ * @param {string} projectRoot - Path to the Astro project root
+ * @param {Object} [options]
+ * @param {string|null} [options.from] - The file the component will be used in;
+ *   import paths are relative to it (otherwise to the project root)
+ * @returns {Promise<Component[]>} - Sorted by name
+ */
+export async function discoverComponents(projectRoot, { from = null } = {}) {
+  const componentsDir = path.join(projectRoot, 'src/components');
+  const files = [];
+  await scanDirectory(componentsDir, files);
+
+  const fromDir = from ? path.dirname(path.resolve(projectRoot, from)) : projectRoot;
+  const components = [];
+  for (const fullPath of files) {
+    const component = await readComponent(fullPath, projectRoot, fromDir);
+    if (component) components.push(component);
+  }
+  return components.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function scanDirectory(dir, files) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return; // Directory doesn't exist
+  }
+
+  for (const entry of entries) {
+    // Skip underscore-prefixed files and directories (internal helpers)
+    if (entry.name.startsWith('_') || entry.name.startsWith('.')) continue;
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      await scanDirectory(fullPath, files);
+    } else if (entry.isFile() && COMPONENT_EXTENSIONS.includes(path.extname(entry.name))) {
+      files.push(fullPath);
+    }
+  }
+}
+
+/**
+ * Read one component file
+ * @returns {Promise<Component|null>} - null for files that can't be a JSX tag
+ */
+async function readComponent(fullPath, projectRoot, fromDir) {
+  const ext = path.extname(fullPath);
+  const name = componentName(path.basename(fullPath, ext));
+  if (!name) return null;
+
+  let source;
+  try {
+    source = await fs.readFile(fullPath, 'utf-8');
+  } catch {
+    return null;
+  }
+
+  let importPath = path.relative(fromDir, fullPath).split(path.sep).join('/');
+  if (!importPath.startsWith('.')) importPath = `./${importPath}`;
+
+  const component = {
+    name,
+    path: path.relative(projectRoot, fullPath).split(path.sep).join('/'),
+    importPath,
+    props: [],
+    children: false,
+  };
+
+  try {
+    if (ext === '.astro') {
+      component.props = readAstroProps(source);
+      component.children = /<slot[\s/>]/.test(source);
+    } else {
+      const props = readJsxProps(source);
+      component.children = props.some(prop => prop.name === 'children');
+      component.props = props.filter(prop => prop.name !== 'children');
+    }
+  } catch (error) {
+    // Unparseable source: still offer the component, just without a props form
+    if (config.debug) {
+      console.warn(`Failed to parse props of ${fullPath}:`, error.message);
+    }
+  }
+
+  return component;
+}
+
+/**
+ * File name → tag name: PascalCase, as MDX needs for components
+ * ('call-out' → 'CallOut'). Names that can't form an identifier are skipped.
+ */
+function componentName(baseName) {
+  const name = baseName
+    .split(/[-_\s.]+/)
+    .filter(Boolean)
+    .map(part => part[0].toUpperCase() + part.slice(1))
+    .join('');
+  return /^[A-Z][A-Za-z0-9]*$/.test(name) ? name : null;
+}
+
+function parseSource(source) {
+  return parse(source, {
+    sourceType: 'module',
+    plugins: ['typescript', 'jsx'],
+    errorRecovery: true,
+  });
+}
+
+/**
+ * Props of an .astro component, from its frontmatter's Props type
+ */
+function readAstroProps(source) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---/);
+  if (!match) return [];
+  const ast = parseSource(match[1]);
+  const members = findTypeMembers(ast.program.body, 'Props');
+  return members ? membersToProps(members, ast.program.body) : [];
+}
+
+/**
+ * Props of a React/Preact component, from its default export's first parameter
+ */
+function readJsxProps(source) {
+  const ast = parseSource(source);
+  const body = ast.program.body;
+  const fn = findDefaultExportFunction(body);
+  const param = fn?.params?.[0];
+  if (!param) return [];
+
+  const pattern = param.type === 'AssignmentPattern' ? param.left : param;
+  const annotation = pattern.typeAnnotation?.typeAnnotation;
+  if (annotation) {
+    const members = annotation.type === 'TSTypeLiteral'
+      ? annotation.members
+      : annotation.type === 'TSTypeReference' ? findTypeMembers(body, annotation.typeName?.name) : null;
+    if (members) {
+      const props = membersToProps(members, body);
+      return withDefaults(props, pattern);
+    }
+  }
+
+  if (pattern.type !== 'ObjectPattern') return [];
+  return pattern.properties
+    .filter(property => property.type === 'ObjectProperty' && property.key?.type === 'Identifier')
+    .map(property => {
+      const defaultValue = property.value?.type === 'AssignmentPattern' ? literalValue(property.value.right) : undefined;
+      return {
+        name: property.key.name,
+        type: defaultValue === undefined ? 'string' : typeOfValue(defaultValue),
+        required: false,
+        ...(defaultValue !== undefined && { default: defaultValue }),
+      };
+    });
+}
+
+function findDefaultExportFunction(body) {
+  const declaration = body.find(node => node.type === 'ExportDefaultDeclaration')?.declaration;
+  if (!declaration) return null;
+  if (declaration.type === 'FunctionDeclaration' || declaration.type === 'ArrowFunctionExpression') {
+    return declaration;
+  }
+  if (declaration.type === 'Identifier') {
+    for (const node of body) {
+      const statement = node.type === 'ExportNamedDeclaration' ? node.declaration : node;
+      if (statement?.type === 'FunctionDeclaration' && statement.id?.name === declaration.name) {
+        return statement;
+      }
+      if (statement?.type === 'VariableDeclaration') {
+        const found = statement.declarations.find(d => d.id?.name === declaration.name);
+        if (found?.init?.type === 'ArrowFunctionExpression' || found?.init?.type === 'FunctionExpression') {
+          return found.init;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Members of `interface <name>` or `type <name> = { ... }` declared in a module
+ */
+function findTypeMembers(body, name) {
+  if (!name) return null;
+  for (const node of body) {
+    const statement = node.type === 'ExportNamedDeclaration' ? node.declaration : node;
+    if (statement?.type === 'TSInterfaceDeclaration' && statement.id.name === name) {
+      return statement.body.body;
+    }
+    if (statement?.type === 'TSTypeAliasDeclaration' && statement.id.name === name &&
+        statement.typeAnnotation.type === 'TSTypeLiteral') {
+      return statement.typeAnnotation.members;
+    }
+  }
+  return null;
+}
+
+function membersToProps(members, body) {
+  return members
+    .filter(member => member.type === 'TSPropertySignature' && !member.computed)
+    .map(member => {
+      const name = member.key.type === 'Identifier' ? member.key.name : member.key.value;
+      return {
+        name,
+        required: !member.optional,
+        ...describeType(member.typeAnnotation?.typeAnnotation, body),
+      };
+    })
+    .filter(prop => typeof prop.name === 'string');
+}
+
+/**
+ * Map a TS type to the input the props form shows for it
+ */
+function describeType(type, body) {
+  if (!type) return { type: 'string' };
+  switch (type.type) {
+    case 'TSStringKeyword':
+      return { type: 'string' };
+    case 'TSNumberKeyword':
+      return { type: 'number' };
+    case 'TSBooleanKeyword':
+      return { type: 'boolean' };
+    case 'TSLiteralType':
+      return typeof type.literal.value === 'string' ? { type: 'enum', options: [type.literal.value] } : { type: 'expression' };
+    case 'TSUnionType': {
+      const options = type.types
+        .filter(member => member.type === 'TSLiteralType' && typeof member.literal.value === 'string')
+        .map(member => member.literal.value);
+      const rest = type.types.filter(member =>
+        !(member.type === 'TSLiteralType' && typeof member.literal.value === 'string') &&
+        member.type !== 'TSUndefinedKeyword' && member.type !== 'TSNullKeyword');
+      if (options.length > 0 && rest.length === 0) return { type: 'enum', options };
+      if (options.length === 0 && rest.length === 1) return describeType(rest[0], body);
+      return { type: 'expression' };
+    }
+    case 'TSTypeReference': {
+      // A local string-literal alias (type Variant = 'info' | 'warning')
+      const alias = body.find(node => {
+        const statement = node.type === 'ExportNamedDeclaration' ? node.declaration : node;
+        return statement?.type === 'TSTypeAliasDeclaration' && statement.id.name === type.typeName?.name;
+      });
+      if (alias) {
+        const statement = alias.type === 'ExportNamedDeclaration' ? alias.declaration : alias;
+        return describeType(statement.typeAnnotation, body);
+      }
+      return { type: 'expression' };
+    }
+    default:
+      return { type: 'expression' };
+  }
+}
+
+function withDefaults(props, pattern) {
+  if (pattern.type !== 'ObjectPattern') return props;
+  for (const property of pattern.properties) {
+    if (property.type !== 'ObjectProperty' || property.value?.type !== 'AssignmentPattern') continue;
+    const prop = props.find(p => p.name === property.key?.name);
+    const value = literalValue(property.value.right);
+    if (prop && value !== undefined) prop.default = value;
+  }
+  return props;
+}
+
+function literalValue(node) {
+  switch (node?.type) {
+    case 'StringLiteral':
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+      return node.value;
+    default:
+      return undefined;
+  }
+}
+
+function typeOfValue(value) {
+  if (typeof value === 'number') return 'number';
+  if (typeof value === 'boolean') return 'boolean';
+  return 'string';
+}
@@ -8,18 +8,24 @@
  * file-based (content-files.js).
  *
  * Public interface matches content-files.js so content-store.js can dispatch:
- *   readContent / writeContent / deleteContent / contentExists /
- *   getAvailableLocales / listSlugs / distinctCollections / getCollectionType
+ *   readContent / writeContent / deleteContent / renameContent /
+ *   contentExists / getAvailableLocales / listSlugs / distinctCollections /
+ *   getCollectionType
+ * plus the db-only revision history: listRevisions / readRevision
  *
  * `filePath` here is a synthetic logical id kept for API/UI compatibility.
  */
 
+import { getConfig } from '../config.js';
 import { loadSchemas } from './collections.js';
 import { sanitizePath } from './glob-files.js';
 import {
   getEntry,
   upsertEntry,
   deleteEntry,
+  renameEntry,
+  listRevisions as dbListRevisions,
+  getRevision as dbGetRevision,
   entryExists,
   listLocales,
   maxPosition,
@@ -67,7 +73,23 @@ export async function readContent(collection, slug, locale = null) {
   };
 }
 
-export async function writeContent(collection, slug, { data, body, type }, locale = null) {
+async function keepRevisions() {
+  const fullConfig = await getConfig();
+  return fullConfig.database?.keepRevisions ?? 100;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string|null} [options.author] - Login recorded on the revision
+ * @param {number|null} [options.restoredFrom] - Revision id this write restores
+ */
+export async function writeContent(
+  collection,
+  slug,
+  { data, body, type },
+  locale = null,
+  { author = null, restoredFrom = null } = {}
+) {
   sanitizePath(collection);
   sanitizePath(slug);
 
@@ -103,6 +125,9 @@ export async function writeContent(collection, slug, { data, body, type }, local
     body: storedBody,
     position,
     digest,
+    author,
+    restoredFrom,
+    keepRevisions: await keepRevisions(),
   });
 
   touchSentinel();
@@ -110,14 +135,21 @@ export async function writeContent(collection, slug, { data, body, type }, local
   return { filePath: logicalId(collection, slug, effectiveLocale), locale: effectiveLocale };
 }
 
-export async function deleteContent(collection, slug, locale = null) {
+/**
+ * @param {Object} [options]
+ * @param {string|null} [options.author] - Login recorded on the revision
+ */
+export async function deleteContent(collection, slug, locale = null, { author = null } = {}) {
   sanitizePath(collection);
   sanitizePath(slug);
 
   const { isFile } = await getCollectionLoaderInfo(collection);
   const effectiveLocale = isFile ? null : locale;
 
-  const changes = deleteEntry(collection, slug, effectiveLocale);
+  const changes = deleteEntry(collection, slug, effectiveLocale, {
+    author,
+    keepRevisions: await keepRevisions(),
+  });
   if (changes === 0) {
     const localeHint = effectiveLocale ? ` (${effectiveLocale})` : '';
     throw new Error(`Content not found: ${collection}/${slug}${localeHint}`);
@@ -128,6 +160,56 @@ export async function deleteContent(collection, slug, locale = null) {
   return { deleted: logicalId(collection, slug, effectiveLocale), locale: effectiveLocale };
 }
 
+/**
+ * Move an entry (every locale, and its revision history) to a new slug. A
+ * file() collection entry's `id` field changes with it.
+ * @param {Object} [options]
+ * @param {string|null} [options.author] - Login recorded on the revision of the id change
+ * @returns {Promise<{moved: Array<{locale: string|null, from: string, to: string}>}>}
+ */
+export async function renameContent(collection, from, to, { author = null } = {}) {
+  sanitizePath(collection);
+  sanitizePath(from);
+  sanitizePath(to);
+
+  const { isFile } = await getCollectionLoaderInfo(collection);
+  const locales = [
+    ...(entryExists(collection, from, null) ? [null] : []),
+    ...listLocales(collection, from),
+  ];
+
+  if (renameEntry(collection, from, to) === 0) {
+    throw new Error(`Content not found: ${collection}/${from}`);
+  }
+
+  if (isFile) {
+    const row = getEntry(collection, to, null);
+    const dataJson = JSON.stringify({ ...JSON.parse(row.data), id: to });
+    upsertEntry({
+      collection,
+      slug: to,
+      locale: null,
+      type: row.type,
+      data: dataJson,
+      body: row.body,
+      position: row.position,
+      digest: computeDigest(dataJson, row.body),
+      author,
+      keepRevisions: await keepRevisions(),
+    });
+  }
+
+  touchSentinel();
+
+  return {
+    moved: locales.map((locale) => ({
+      locale,
+      from: logicalId(collection, from, locale),
+      to: logicalId(collection, to, locale),
+    })),
+  };
+}
+
 export async function contentExists(collection, slug, locale = null) {
   const { isFile } = await getCollectionLoaderInfo(collection);
   const effectiveLocale = isFile ? null : locale;
@@ -151,3 +233,48 @@ export async function distinctCollections() {
 export async function getCollectionType(collection) {
   return getCollectionTypeFromDb(collection);
 }
+
+/**
+ * An entry's revisions, newest first (see db.js listRevisions)
+ */
+export async function listRevisions(collection, slug, locale = null, options = {}) {
+  sanitizePath(collection);
+  sanitizePath(slug);
+
+  const { isFile } = await getCollectionLoaderInfo(collection);
+  return dbListRevisions(collection, slug, isFile ? null : locale, options);
+}
+
+/**
+ * One revision of an entry, shaped like readContent's result (data null for a
+ * delete). Returns null if the revision doesn't exist or belongs to another entry.
+ */
+export async function readRevision(collection, slug, locale, id) {
+  sanitizePath(collection);
+  sanitizePath(slug);
+
+  const { isFile } = await getCollectionLoaderInfo(collection);
+  const effectiveLocale = isFile ? null : locale;
+
+  const revision = dbGetRevision(id);
+  if (
+    !revision ||
+    revision.collection !== collection ||
+    revision.slug !== slug ||
+    revision.locale !== effectiveLocale
+  ) {
+    return null;
+  }
+
+  return {
+    id: revision.id,
+    action: revision.action,
+    author: revision.author,
+    restoredFrom: revision.restoredFrom,
+    createdAt: revision.createdAt,
+    type: revision.type,
+    data: revision.data === null ? null : JSON.parse(revision.data),
+    body: revision.body ?? null,
+    locale: effectiveLocale,
+  };
+}
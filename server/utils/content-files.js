@@ -2,14 +2,16 @@
  * File-based content store
  *
  * Reads and writes content as files on disk (markdown with frontmatter for
- * `content` collections, JSON for `data`/`file()` collections), so the site's
+ * `content` collections; JSON, YAML or TOML for `data` collections, plus CSV
+ * for `file()` collections — see data-formats.js), so the site's
  * native Astro loaders (glob()/file()) read them directly and git is the
  * source of truth. This is the default store; the SQLite store (content-db.js)
  * is selected via `config.content.store = 'db'` for the future DB-backed path.
  *
  * Public interface (matches content-db.js so content-store.js can dispatch):
- *   readContent / writeContent / deleteContent / contentExists /
- *   getAvailableLocales / listSlugs / distinctCollections / getCollectionType
+ *   readContent / writeContent / deleteContent / renameContent /
+ *   contentExists / getAvailableLocales / listSlugs / distinctCollections /
+ *   getCollectionType
  *
  * Glob base/pattern resolution and locale splitting are shared with the
  * importer via glob-files.js. Writes are atomic (temp file + rename) and
@@ -32,6 +34,14 @@ import {
   allowedContentExtensions,
   CONTENT_EXTENSIONS,
 } from './glob-files.js';
+import {
+  DATA_EXTENSIONS,
+  isDataExtension,
+  parseDataFile,
+  stringifyDataFile,
+  parseFileCollection,
+  stringifyFileCollection,
+} from './data-formats.js';
 
 async function getI18n() {
   // Must be the merged config — i18n is only enableable via astroadmin.config.js.
@@ -122,23 +132,33 @@ async function atomicWriteFile(filePath, content) {
 // ---------------------------------------------------------------------------
 
 /**
- * Read a file() collection's JSON array. With missingOk, a missing file reads
- * as an empty array — so the first entry of a fresh collection can be created
- * and lookups report "not found" rather than ENOENT.
+ * Read a file() collection's entries, in whichever format its extension says.
+ * With missingOk, a missing file reads as no entries — so the first entry of a
+ * fresh collection can be created and lookups report "not found" rather than
+ * ENOENT.
+ * @returns {Promise<{items: object[], keyed: boolean, raw: string|null}>} The
+ *   entries, whether the file keys them by id, and the file's text (so a
+ *   write can keep its comments and layout)
  */
-async function readFileCollectionArray(filePath, { missingOk = false } = {}) {
+async function readFileCollection(filePath, { missingOk = false } = {}) {
+  const ext = path.extname(filePath);
   let raw;
   try {
     raw = await fs.readFile(filePath, 'utf-8');
   } catch (error) {
-    if (missingOk && error.code === 'ENOENT') return [];
+    // TOML can't hold a top-level list, so new TOML collections are keyed
+    if (missingOk && error.code === 'ENOENT') return { items: [], keyed: ext === '.toml', raw: null };
     throw error;
   }
-  const arr = JSON.parse(raw);
-  if (!Array.isArray(arr)) {
-    throw new Error(`File collection is not an array: ${filePath}`);
+  try {
+    return { ...parseFileCollection(raw, ext), raw };
+  } catch (error) {
+    throw new Error(`Could not read file collection ${filePath}: ${error.message}`);
   }
-  return arr;
+}
+
+async function readFileCollectionArray(filePath, options) {
+  return (await readFileCollection(filePath, options)).items;
 }
 
 /** Entry identity within a file() collection array: id, falling back to slug. */
@@ -146,8 +166,17 @@ function findEntryIndex(arr, entryId) {
   return arr.findIndex((item) => item.id === entryId || item.slug === entryId);
 }
 
-function serializeFileCollection(arr) {
-  return `${JSON.stringify(arr, null, 2)}\n`;
+function serializeFileCollection(filePath, items, { keyed, raw }) {
+  return stringifyFileCollection(items, path.extname(filePath), { keyed, previousRaw: raw });
+}
+
+async function readIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
 }
 
 // ---------------------------------------------------------------------------
@@ -171,8 +200,9 @@ export async function readContent(collection, slug, locale = null) {
   }
 
   const raw = await fs.readFile(filePath, 'utf-8');
-  if (path.extname(filePath).toLowerCase() === '.json') {
-    return { type: 'data', data: JSON.parse(raw), body: null, filePath, locale };
+  const ext = path.extname(filePath);
+  if (isDataExtension(ext)) {
+    return { type: 'data', data: parseDataFile(raw, ext), body: null, filePath, locale };
   }
   const parsed = matter(raw);
   return { type: 'content', data: parsed.data, body: parsed.content, filePath, locale };
@@ -188,12 +218,15 @@ async function readFileCollectionEntry(filePath, entryId) {
 }
 
 /**
- * Extension for a brand-new entry: data is always JSON; content gets whatever
- * markdown flavour the collection's loader pattern expects (.mdx only when the
- * pattern excludes .md, e.g. '**' + '/*.mdx').
+ * Extension for a brand-new entry: data is JSON unless the loader pattern
+ * only takes another data format (e.g. '**' + '/*.yaml'); content gets
+ * whatever markdown flavour the pattern expects (.mdx only when the pattern
+ * excludes .md, e.g. '**' + '/*.mdx').
  */
 function newEntryExtension(effectiveType, allowedExtensions) {
-  if (effectiveType === 'data') return '.json';
+  if (effectiveType === 'data') {
+    return DATA_EXTENSIONS.find((ext) => allowedExtensions.includes(ext)) || '.json';
+  }
   if (!allowedExtensions.includes('.md') && allowedExtensions.includes('.mdx')) return '.mdx';
   return '.md';
 }
@@ -227,45 +260,59 @@ export async function writeContent(collection, slug, { data, body, type }, local
     );
   }
 
-  let content;
-  if (path.extname(filePath).toLowerCase() === '.json') {
-    // A JSON file can't hold a markdown body — fail loudly rather than
+  const ext = path.extname(filePath);
+  if (isDataExtension(ext)) {
+    // A data file can't hold a markdown body — fail loudly rather than
     // silently dropping it.
     if (typeof body === 'string' && body.trim() !== '') {
       throw new Error(
-        `Entry ${collection}/${slug} is stored as JSON (${filePath}); a markdown body cannot be saved into it`
+        `Entry ${collection}/${slug} is stored as ${ext.slice(1).toUpperCase()} (${filePath}); a markdown body cannot be saved into it`
       );
     }
-    content = `${JSON.stringify(data, null, 2)}\n`;
+    // Serialized against the current file inside the queue, so YAML keeps
+    // the comments of the version being replaced
+    await withFileWriteQueue(filePath, async () => {
+      const previousRaw = await readIfExists(filePath);
+      await atomicWriteFile(filePath, stringifyDataFile(data, ext, previousRaw));
+    });
   } else {
-    content = matter.stringify(body || '', data);
+    const content = matter.stringify(body || '', data);
+    await withFileWriteQueue(filePath, () => atomicWriteFile(filePath, content));
   }
-
-  await withFileWriteQueue(filePath, () => atomicWriteFile(filePath, content));
   return { filePath, locale };
 }
 
 /**
  * Replace a file() collection's entire array (used by the DB→files exporter),
  * through the same serialized + atomic write path as entry-level updates so
- * the on-disk format has exactly one definition.
+ * the on-disk format has exactly one definition. An existing file keeps its
+ * shape (list or keyed by id) and, for YAML, its comments.
  */
 export async function writeFileCollectionArray(filePath, array) {
-  await withFileWriteQueue(filePath, () => atomicWriteFile(filePath, serializeFileCollection(array)));
+  await withFileWriteQueue(filePath, async () => {
+    const current = await readFileCollection(filePath, { missingOk: true });
+    await atomicWriteFile(filePath, serializeFileCollection(filePath, array, current));
+  });
   return { filePath };
 }
 
 async function writeFileCollectionEntry(filePath, entryId, entryData) {
   await withFileWriteQueue(filePath, async () => {
-    const arr = await readFileCollectionArray(filePath, { missingOk: true });
+    const current = await readFileCollection(filePath, { missingOk: true });
+    const arr = current.items;
     const index = findEntryIndex(arr, entryId);
-    const next = { ...entryData, id: entryId };
     if (index >= 0) {
-      arr[index] = next; // preserve array order (position)
+      // Preserve array order (position) and the entry's key order; fields
+      // the edit adds go on the end
+      const next = {};
+      for (const key of Object.keys(arr[index])) {
+        if (key === 'id' || Object.prototype.hasOwnProperty.call(entryData, key)) next[key] = entryData[key];
+      }
+      arr[index] = Object.assign(next, entryData, { id: entryId });
     } else {
-      arr.push(next);
+      arr.push({ ...entryData, id: entryId });
     }
-    await atomicWriteFile(filePath, serializeFileCollection(arr));
+    await atomicWriteFile(filePath, serializeFileCollection(filePath, arr, current));
   });
   return { filePath, locale: null };
 }
@@ -294,17 +341,80 @@ export async function deleteContent(collection, slug, locale = null) {
 
 async function deleteFileCollectionEntry(filePath, entryId) {
   await withFileWriteQueue(filePath, async () => {
-    const arr = await readFileCollectionArray(filePath, { missingOk: true });
-    const index = findEntryIndex(arr, entryId);
+    const current = await readFileCollection(filePath, { missingOk: true });
+    const index = findEntryIndex(current.items, entryId);
     if (index < 0) {
       throw new Error(`Content not found: ${entryId}`);
     }
-    arr.splice(index, 1);
-    await atomicWriteFile(filePath, serializeFileCollection(arr));
+    current.items.splice(index, 1);
+    await atomicWriteFile(filePath, serializeFileCollection(filePath, current.items, current));
   });
   return { deleted: filePath, locale: null };
 }
 
+/**
+ * Rename an entry: every locale variant's file moves to the new slug (keeping
+ * its extension), or a file() collection's entry gets the new id in place.
+ * @param {Object} [options]
+ * @param {(from: string, to: string) => Promise<void>} [options.moveFile] -
+ *   Moves one file (the API passes `git mv` for tracked files); defaults to a
+ *   plain rename. Target directories already exist when it's called.
+ * @returns {Promise<{moved: Array<{locale: string|null, from: string, to: string}>}>}
+ * @throws if the entry doesn't exist, or the new slug is taken in any locale
+ */
+export async function renameContent(collection, from, to, { moveFile = fs.rename } = {}) {
+  sanitizePath(collection);
+  sanitizePath(from);
+  sanitizePath(to);
+
+  const info = await getCollectionLoaderInfo(collection);
+
+  if (info.isFile) {
+    await withFileWriteQueue(info.filePath, async () => {
+      const current = await readFileCollection(info.filePath, { missingOk: true });
+      const index = findEntryIndex(current.items, from);
+      if (index < 0) {
+        throw new Error(`Content not found: ${collection}/${from}`);
+      }
+      if (findEntryIndex(current.items, to) >= 0) {
+        throw new Error(`Content already exists: ${collection}/${to}`);
+      }
+      const item = current.items[index];
+      current.items[index] = 'id' in item || !('slug' in item) ? { ...item, id: to } : { ...item, slug: to };
+      await atomicWriteFile(info.filePath, serializeFileCollection(info.filePath, current.items, current));
+    });
+    return { moved: [{ locale: null, from: info.filePath, to: info.filePath }] };
+  }
+
+  const i18n = await getI18n();
+  const locales = [null, ...(i18n.enabled ? i18n.locales : [])];
+
+  const moves = [];
+  for (const locale of locales) {
+    const source = await findExistingFile(candidatePaths(info.baseDirectory, from, locale));
+    if (!source) continue;
+    if (await findExistingFile(candidatePaths(info.baseDirectory, to, locale))) {
+      const localeHint = locale ? ` (${locale})` : '';
+      throw new Error(`Content already exists: ${collection}/${to}${localeHint}`);
+    }
+    const baseSlug = locale ? `${to}.${locale}` : to;
+    moves.push({ locale, from: source, to: path.join(info.baseDirectory, baseSlug + path.extname(source)) });
+  }
+  if (moves.length === 0) {
+    throw new Error(`Content not found: ${collection}/${from}`);
+  }
+
+  // Queued like writes, so a pending save can't land in the old file after
+  // it has moved
+  for (const move of moves) {
+    await withFileWriteQueue(move.from, async () => {
+      await fs.mkdir(path.dirname(move.to), { recursive: true });
+      await moveFile(move.from, move.to);
+    });
+  }
+  return { moved: moves };
+}
+
 export async function contentExists(collection, slug, locale = null) {
   const info = await getCollectionLoaderInfo(collection);
   if (info.isFile) {
@@ -385,6 +495,6 @@ export async function getCollectionType(collection) {
 
   const files = await findMatchingFiles(info.baseDirectory, info.patterns);
   if (files.length === 0) return null;
-  const allJson = files.every((f) => path.extname(f).toLowerCase() === '.json');
-  return allJson ? 'data' : 'content';
+  const allData = files.every((f) => isDataExtension(path.extname(f)));
+  return allData ? 'data' : 'content';
 }
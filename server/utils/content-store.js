@@ -39,14 +39,71 @@ function store() {
   return storePromise;
 }
 
+/**
+ * Keep the search, reference and image usage indexes in step with a write or
+ * delete that already succeeded. Best-effort: a failure here must not fail
+ * the save. Imported dynamically, like the stores (all read through this
+ * module).
+ */
+async function updateIndexes(update) {
+  try {
+    await update.search(await import('./search.js'));
+  } catch (error) {
+    console.warn('[Search] Could not update the search index:', error.message);
+  }
+  try {
+    await update.references(await import('./references.js'));
+  } catch (error) {
+    console.warn('[References] Could not update the reference index:', error.message);
+  }
+  try {
+    await update.images(await import('./image-usage.js'));
+  } catch (error) {
+    console.warn('[Image usage] Could not update the image usage index:', error.message);
+  }
+}
+
 export async function readContent(...args) {
   return (await store()).readContent(...args);
 }
-export async function writeContent(...args) {
-  return (await store()).writeContent(...args);
+/**
+ * @param {Object} [options] - { author, restoredFrom }: recorded in the db
+ *   store's revision history; the file store ignores them (git has the history)
+ */
+export async function writeContent(collection, slug, content, locale = null, options = {}) {
+  const result = await (await store()).writeContent(collection, slug, content, locale, options);
+  await updateIndexes({
+    search: (search) => search.indexSavedEntry(collection, slug, result?.locale ?? null, content),
+    references: (references) =>
+      references.indexEntryReferences(collection, slug, result?.locale ?? null, content),
+    images: (images) => images.indexEntryImages(collection, slug, result?.locale ?? null, content),
+  });
+  return result;
 }
-export async function deleteContent(...args) {
-  return (await store()).deleteContent(...args);
+export async function deleteContent(collection, slug, locale = null, options = {}) {
+  const result = await (await store()).deleteContent(collection, slug, locale, options);
+  await updateIndexes({
+    search: (search) => search.unindexEntry(collection, slug, result?.locale ?? null),
+    references: (references) =>
+      references.unindexEntryReferences(collection, slug, result?.locale ?? null),
+    images: (images) => images.unindexEntryImages(collection, slug, result?.locale ?? null),
+  });
+  return result;
+}
+/**
+ * Move an entry to a new slug, with all its locale variants
+ * @param {Object} [options] - { moveFile } for the file store (see
+ *   content-files.js renameContent), { author } for the db store
+ */
+export async function renameContent(collection, from, to, options = {}) {
+  const result = await (await store()).renameContent(collection, from, to, options);
+  // Every locale moved at once: cheaper to rebuild than to re-index each
+  await updateIndexes({
+    search: (search) => search.invalidateSearchIndex(),
+    references: (references) => references.invalidateReferenceIndex(),
+    images: (images) => images.invalidateImageUsageIndex(),
+  });
+  return result;
 }
 export async function contentExists(...args) {
   return (await store()).contentExists(...args);
@@ -63,3 +120,20 @@ export async function distinctCollections(...args) {
 export async function getCollectionType(...args) {
   return (await store()).getCollectionType(...args);
 }
+
+/**
+ * Revision history is kept by the db store only — file-store history is git's.
+ */
+async function revisionStore() {
+  const active = await store();
+  if (!active.listRevisions) {
+    throw new Error('Revision history is only kept by the SQLite content store');
+  }
+  return active;
+}
+export async function listRevisions(...args) {
+  return (await revisionStore()).listRevisions(...args);
+}
+export async function readRevision(...args) {
+  return (await revisionStore()).readRevision(...args);
+}
@@ -11,9 +11,12 @@ export {
   readContent,
   writeContent,
   deleteContent,
+  renameContent,
   contentExists,
   getAvailableLocales,
   listSlugs,
   distinctCollections,
   getCollectionType,
+  listRevisions,
+  readRevision,
 } from './content-store.js';
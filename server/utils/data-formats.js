@@ -0,0 +1,255 @@
+/**
+ * Data file formats: JSON, YAML, TOML and CSV
+ *
+ * Readers and writers for the data files Astro's loaders consume — one entry
+ * per file in glob() collections (JSON, YAML, TOML), or a whole collection in
+ * one file() file (any of them, CSV included). Shared by the file store
+ * (content-files.js) and the importer (import-files.js).
+ *
+ * Writes round-trip: YAML is updated in place in the existing document, so its
+ * comments, key order and quoting survive an edit; everything else keeps the
+ * key order of the data it's given. TOML comments are lost on write, and CSV
+ * cells are strings (nested values are stored as JSON).
+ */
+
+import YAML from 'yaml';
+import * as TOML from 'smol-toml';
+
+/** Data extensions a glob() entry file can have, in preference order */
+export const DATA_EXTENSIONS = ['.json', '.yaml', '.yml', '.toml'];
+/** Extensions a file() collection file can have */
+export const FILE_COLLECTION_EXTENSIONS = [...DATA_EXTENSIONS, '.csv'];
+
+export function isDataExtension(ext) {
+  return FILE_COLLECTION_EXTENSIONS.includes(String(ext).toLowerCase());
+}
+
+function formatOf(ext) {
+  const format = String(ext).toLowerCase();
+  if (!isDataExtension(format)) {
+    throw new Error(`Unsupported data file extension: ${ext}`);
+  }
+  return format === '.yml' ? '.yaml' : format;
+}
+
+// ---------------------------------------------------------------------------
+// CSV (RFC 4180: quoted fields may hold commas, quotes and newlines)
+// ---------------------------------------------------------------------------
+
+function parseCsvRows(raw) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const text = raw.replace(/^\uFEFF/, '');
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Blank lines aren't records
+  return rows.filter((cells) => cells.length > 1 || cells[0] !== '');
+}
+
+/**
+ * CSV with a header row → array of objects keyed by the headers
+ */
+export function parseCsv(raw) {
+  const [headers, ...records] = parseCsvRows(raw);
+  if (!headers) return [];
+  return records.map((cells) =>
+    Object.fromEntries(headers.map((header, column) => [header, cells[column] ?? '']))
+  );
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Array of objects → CSV. Columns are the keys in first-seen order, so a
+ * round trip keeps the original column order and new fields go on the end.
+ */
+export function stringifyCsv(rows, headers = []) {
+  const columns = [...headers];
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      if (!columns.includes(key)) columns.push(key);
+    }
+  }
+  const lines = [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((cells) => cells.map(csvCell).join(','));
+  return `${lines.join('\n')}\n`;
+}
+
+function csvHeaders(raw) {
+  return raw ? parseCsvRows(raw)[0] || [] : [];
+}
+
+// ---------------------------------------------------------------------------
+// YAML: update the existing document rather than re-serializing
+// ---------------------------------------------------------------------------
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Make `node` hold `value`, reusing the nodes (and so the comments and
+ * formatting) of everything that didn't change. Returns the node to keep in
+ * place of `node`.
+ */
+function updateYamlNode(doc, node, value) {
+  if (YAML.isMap(node) && isPlainObject(value)) {
+    for (const pair of [...node.items]) {
+      const key = YAML.isScalar(pair.key) ? pair.key.value : pair.key;
+      if (!Object.prototype.hasOwnProperty.call(value, key)) node.delete(key);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const pair = node.items.find((item) => (YAML.isScalar(item.key) ? item.key.value : item.key) === key);
+      if (pair) {
+        pair.value = updateYamlNode(doc, pair.value, child);
+      } else {
+        node.add(doc.createPair(key, child));
+      }
+    }
+    return node;
+  }
+
+  if (YAML.isSeq(node) && Array.isArray(value)) {
+    node.items = value.map((child, index) =>
+      index < node.items.length ? updateYamlNode(doc, node.items[index], child) : doc.createNode(child)
+    );
+    return node;
+  }
+
+  if (YAML.isScalar(node) && (value === null || typeof value !== 'object')) {
+    if (node.value !== value) node.value = value;
+    return node;
+  }
+
+  return doc.createNode(value);
+}
+
+function stringifyYaml(value, previousRaw) {
+  if (previousRaw) {
+    const doc = YAML.parseDocument(previousRaw);
+    if (doc.errors.length === 0) {
+      doc.contents = updateYamlNode(doc, doc.contents, value);
+      return doc.toString();
+    }
+  }
+  return YAML.stringify(value);
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse a data file
+ * @param {string} raw - File contents
+ * @param {string} ext - File extension (e.g. '.yml')
+ * @returns {*} The parsed value (CSV: an array of row objects)
+ */
+export function parseDataFile(raw, ext) {
+  switch (formatOf(ext)) {
+    case '.json':
+      return JSON.parse(raw);
+    case '.yaml':
+      return YAML.parse(raw) ?? {};
+    case '.toml':
+      return TOML.parse(raw);
+    case '.csv':
+      return parseCsv(raw);
+  }
+}
+
+/**
+ * Serialize a data file
+ * @param {*} value
+ * @param {string} ext - File extension
+ * @param {string|null} [previousRaw] - The file's current contents, when it
+ *   exists: YAML keeps its comments and layout, CSV its column order
+ * @returns {string}
+ */
+export function stringifyDataFile(value, ext, previousRaw = null) {
+  switch (formatOf(ext)) {
+    case '.json':
+      return `${JSON.stringify(value, null, 2)}\n`;
+    case '.yaml':
+      return stringifyYaml(value, previousRaw);
+    case '.toml':
+      if (!isPlainObject(value)) {
+        throw new Error('TOML files hold a table at the top level, not a list');
+      }
+      return TOML.stringify(value).replace(/\n*$/, '\n');
+    case '.csv':
+      if (!Array.isArray(value)) {
+        throw new Error('CSV files hold a list of rows');
+      }
+      return stringifyCsv(value, csvHeaders(previousRaw));
+  }
+}
+
+/**
+ * Parse a file() collection file into its entries, like Astro's file()
+ * loader: either a list of objects with an `id` (or `slug`), or an object
+ * keyed by id (the only shape TOML allows).
+ * @returns {{ items: object[], keyed: boolean }} Items carry their id
+ */
+export function parseFileCollection(raw, ext) {
+  const value = parseDataFile(raw, ext);
+  if (Array.isArray(value)) {
+    return { items: value, keyed: false };
+  }
+  if (isPlainObject(value)) {
+    const items = Object.entries(value).map(([id, entry]) => ({ ...entry, id }));
+    return { items, keyed: true };
+  }
+  throw new Error('File collection is not a list or an object of entries');
+}
+
+/**
+ * Serialize a file() collection's entries back into the shape they came from
+ * @param {object[]} items
+ * @param {string} ext
+ * @param {object} [options]
+ * @param {boolean} [options.keyed] - Write an object keyed by id (forced for TOML)
+ * @param {string|null} [options.previousRaw] - See stringifyDataFile
+ */
+export function stringifyFileCollection(items, ext, { keyed = false, previousRaw = null } = {}) {
+  if (keyed || formatOf(ext) === '.toml') {
+    const byId = Object.fromEntries(items.map(({ id, ...entry }) => [id, entry]));
+    return stringifyDataFile(byId, ext, previousRaw);
+  }
+  return stringifyDataFile(items, ext, previousRaw);
+}
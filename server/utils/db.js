@@ -74,6 +74,28 @@ export function getDb() {
     )
   `);
   db.exec('CREATE INDEX IF NOT EXISTS idx_entries_collection ON entries(collection)');
+  // Every version of every entry: a row per save (the entry as saved), delete
+  // (data NULL) or restore. The DB is gitignored, so this is the only history
+  // db-mode content has.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS entry_revisions (
+      id            INTEGER PRIMARY KEY AUTOINCREMENT,
+      collection    TEXT NOT NULL,
+      slug          TEXT NOT NULL,
+      locale        TEXT NOT NULL DEFAULT '',
+      action        TEXT NOT NULL,
+      type          TEXT,
+      data          TEXT,
+      body          TEXT,
+      digest        TEXT,
+      author        TEXT,
+      restored_from INTEGER,
+      created_at    INTEGER NOT NULL
+    )
+  `);
+  db.exec(
+    'CREATE INDEX IF NOT EXISTS idx_revisions_entry ON entry_revisions(collection, slug, locale, id)'
+  );
   db.exec(`
     CREATE TABLE IF NOT EXISTS astroadmin_meta (
       key   TEXT PRIMARY KEY,
@@ -120,6 +142,37 @@ export function getDb() {
       'SELECT collection, slug, locale, type, data, body, position FROM entries ORDER BY collection, position, slug, locale'
     ),
     countAll: db.prepare('SELECT COUNT(*) AS count FROM entries'),
+    countSlug: db.prepare(
+      'SELECT COUNT(*) AS count FROM entries WHERE collection = ? AND slug = ?'
+    ),
+    renameEntries: db.prepare(
+      'UPDATE entries SET slug = ?, updated_at = ? WHERE collection = ? AND slug = ?'
+    ),
+    renameRevisions: db.prepare(
+      'UPDATE entry_revisions SET slug = ? WHERE collection = ? AND slug = ?'
+    ),
+    insertRevision: db.prepare(`
+      INSERT INTO entry_revisions
+        (collection, slug, locale, action, type, data, body, digest, author, restored_from, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `),
+    latestRevision: db.prepare(
+      'SELECT id, action, digest FROM entry_revisions WHERE collection = ? AND slug = ? AND locale = ? ORDER BY id DESC LIMIT 1'
+    ),
+    listRevisions: db.prepare(`
+      SELECT id, action, digest, author, restored_from, created_at FROM entry_revisions
+      WHERE collection = ? AND slug = ? AND locale = ?
+      ORDER BY id DESC LIMIT ?
+    `),
+    getRevision: db.prepare('SELECT * FROM entry_revisions WHERE id = ?'),
+    pruneRevisions: db.prepare(`
+      DELETE FROM entry_revisions
+      WHERE collection = ? AND slug = ? AND locale = ? AND id NOT IN (
+        SELECT id FROM entry_revisions
+        WHERE collection = ? AND slug = ? AND locale = ?
+        ORDER BY id DESC LIMIT ?
+      )
+    `),
     metaGet: db.prepare('SELECT value FROM astroadmin_meta WHERE key = ?'),
     metaSet: db.prepare(
       'INSERT OR REPLACE INTO astroadmin_meta (key, value) VALUES (?, ?)'
@@ -157,8 +210,30 @@ export function getEntry(collection, slug, locale = null) {
 }
 
 /**
- * Insert or update an entry.
+ * Append a revision for an entry and prune its oldest beyond keepRevisions.
+ * Must run inside the transaction of the write it records.
+ */
+function recordRevision(
+  { collection, slug, locale, action, type = null, data = null, body = null, digest = null, author = null, restoredFrom = null, createdAt = Date.now() },
+  keep
+) {
+  const s = ensureStmts();
+  const dbLocale = localeToDb(locale);
+  s.insertRevision.run(collection, slug, dbLocale, action, type, data, body, digest, author, restoredFrom, createdAt);
+
+  if (keep > 0) {
+    s.pruneRevisions.run(collection, slug, dbLocale, collection, slug, dbLocale, keep);
+  }
+}
+
+/**
+ * Insert or update an entry, recording the saved version as a revision
+ * (unless it's identical to the latest one — autosave re-sending the same
+ * content doesn't bury real changes).
  * @param {object} entry - { collection, slug, locale, type, data (JSON string), body, position, digest }
+ * @param {string|null} [entry.author] - Login that made the change
+ * @param {number|null} [entry.restoredFrom] - Revision id this save restores
+ * @param {number} [entry.keepRevisions] - Revisions kept for the entry (0 keeps all)
  */
 export function upsertEntry({
   collection,
@@ -169,27 +244,154 @@ export function upsertEntry({
   body = null,
   position = null,
   digest = null,
+  author = null,
+  restoredFrom = null,
+  keepRevisions = config.database?.keepRevisions ?? 100,
 }) {
-  const now = Date.now();
-  ensureStmts().upsert.run(
-    collection,
-    slug,
-    localeToDb(locale),
-    type,
-    data,
-    body,
-    position,
-    digest,
-    now,
-    now
-  );
+  const s = ensureStmts();
+  const dbLocale = localeToDb(locale);
+  const revisionDigest = digest || computeDigest(data, body);
+
+  withTransaction(() => {
+    const now = Date.now();
+    const latest = s.latestRevision.get(collection, slug, dbLocale);
+
+    // An entry from before revisions existed: keep its current version as the
+    // first revision, so the history starts from what was there
+    if (!latest) {
+      const existing = s.get.get(collection, slug, dbLocale);
+      if (existing) {
+        recordRevision({
+          collection,
+          slug,
+          locale,
+          action: 'save',
+          type: existing.type,
+          data: existing.data,
+          body: existing.body,
+          digest: existing.digest || computeDigest(existing.data, existing.body),
+          createdAt: existing.updated_at,
+        }, keepRevisions);
+      }
+    }
+
+    s.upsert.run(collection, slug, dbLocale, type, data, body, position, digest, now, now);
+
+    const unchanged = latest && latest.action !== 'delete' && latest.digest === revisionDigest;
+    if (!unchanged || restoredFrom !== null) {
+      recordRevision({
+        collection,
+        slug,
+        locale,
+        action: restoredFrom !== null ? 'restore' : 'save',
+        type,
+        data,
+        body,
+        digest: revisionDigest,
+        author,
+        restoredFrom,
+        createdAt: now,
+      }, keepRevisions);
+    }
+  });
+}
+
+/**
+ * Delete an entry, recording the deletion as a revision (its earlier
+ * revisions stay, so it can be restored). Returns the number of rows removed.
+ * @param {object} [options]
+ * @param {string|null} [options.author] - Login that deleted it
+ * @param {number} [options.keepRevisions] - Revisions kept for the entry (0 keeps all)
+ */
+export function deleteEntry(
+  collection,
+  slug,
+  locale = null,
+  { author = null, keepRevisions = config.database?.keepRevisions ?? 100 } = {}
+) {
+  const s = ensureStmts();
+  return withTransaction(() => {
+    const existing = s.get.get(collection, slug, localeToDb(locale));
+    const changes = s.delete.run(collection, slug, localeToDb(locale)).changes;
+    if (changes > 0) {
+      if (!s.latestRevision.get(collection, slug, localeToDb(locale))) {
+        recordRevision({
+          collection,
+          slug,
+          locale,
+          action: 'save',
+          type: existing.type,
+          data: existing.data,
+          body: existing.body,
+          digest: existing.digest || computeDigest(existing.data, existing.body),
+          createdAt: existing.updated_at,
+        }, keepRevisions);
+      }
+      recordRevision({ collection, slug, locale, action: 'delete', author }, keepRevisions);
+    }
+    return changes;
+  });
+}
+
+/**
+ * Move an entry (every locale) to a new slug, taking its revision history
+ * along. Refuses if any row already has the new slug.
+ * @returns {number} Rows moved (0 if the entry doesn't exist)
+ * @throws if the new slug is taken
+ */
+export function renameEntry(collection, from, to) {
+  const s = ensureStmts();
+  return withTransaction(() => {
+    if (s.countSlug.get(collection, to).count > 0) {
+      throw new Error(`Content already exists: ${collection}/${to}`);
+    }
+    const changes = s.renameEntries.run(to, Date.now(), collection, from).changes;
+    if (changes > 0) {
+      s.renameRevisions.run(to, collection, from);
+    }
+    return changes;
+  });
+}
+
+/**
+ * An entry's revisions, newest first (without their content)
+ * @returns {Array<{id: number, action: string, digest: string|null, author: string|null,
+ *   restoredFrom: number|null, createdAt: number}>}
+ */
+export function listRevisions(collection, slug, locale = null, { limit = 50 } = {}) {
+  return ensureStmts()
+    .listRevisions.all(collection, slug, localeToDb(locale), limit)
+    .map((row) => ({
+      id: row.id,
+      action: row.action,
+      digest: row.digest,
+      author: row.author,
+      restoredFrom: row.restored_from,
+      createdAt: row.created_at,
+    }));
 }
 
 /**
- * Delete an entry. Returns the number of rows removed.
+ * One revision, with its content (data is the stored JSON string, null for a
+ * delete), or null if there's no such revision
  */
-export function deleteEntry(collection, slug, locale = null) {
-  return ensureStmts().delete.run(collection, slug, localeToDb(locale)).changes;
+export function getRevision(id) {
+  const row = ensureStmts().getRevision.get(id);
+  if (!row) return null;
+  return {
+    id: row.id,
+    collection: row.collection,
+    slug: row.slug,
+    locale: localeFromDb(row.locale),
+    action: row.action,
+    type: row.type,
+    data: row.data,
+    body: row.body,
+    digest: row.digest,
+    author: row.author,
+    restoredFrom: row.restored_from,
+    createdAt: row.created_at,
+  };
 }
 
 /**
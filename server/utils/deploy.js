@@ -12,12 +12,14 @@
  */
 
 import { rsyncAdapter } from './adapters/rsync.js';
+import { s3Adapter } from './adapters/s3.js';
+import { httpAdapter } from './adapters/http.js';
 
 /** @type {Record<string, { name: string, validate: Function, deploy: Function }>} */
 const ADAPTERS = {
   rsync: rsyncAdapter,
-  // netlify: netlifyAdapter,   // future — one line each
-  // cloudflare: cloudflareAdapter,
+  s3: s3Adapter,
+  http: httpAdapter,
 };
 
 function supportedList() {
@@ -55,9 +57,10 @@ export function validateDeployConfig(deployConfig) {
  * @param {object} [options]
  * @param {string} [options.distDir='dist'] - Build output directory
  * @param {(msg: string) => void} [options.log=console.log] - Log sink
+ * @param {string|null} [options.commit] - Commit being deployed, for adapters that record it
  * @returns {Promise<object>} - Adapter result, with `adapter` name attached
  */
-export async function deploy(deployConfig, projectRoot, { distDir = 'dist', log = console.log } = {}) {
+export async function deploy(deployConfig, projectRoot, { distDir = 'dist', log = console.log, commit = null } = {}) {
   if (!deployConfig?.adapter) {
     return { success: true, skipped: true, message: 'No deploy adapter configured' };
   }
@@ -72,7 +75,59 @@ export async function deploy(deployConfig, projectRoot, { distDir = 'dist', log
     distDir,
     config: deployConfig[deployConfig.adapter] || {},
     log,
+    commit,
   });
 
   return { ...result, adapter: adapter.name };
 }
+
+/**
+ * The configured adapter, when it keeps versioned releases (rsync with
+ * `releases.enabled`), else null
+ */
+function releasesAdapter(deployConfig) {
+  const adapter = ADAPTERS[deployConfig?.adapter];
+  const config = deployConfig?.[deployConfig?.adapter] || {};
+  return adapter?.releasesEnabled?.(config) ? adapter : null;
+}
+
+/**
+ * Whether the configured deploy keeps versioned releases that can be rolled back
+ * @param {object} deployConfig - The `deploy` config block
+ */
+export function supportsReleases(deployConfig) {
+  return releasesAdapter(deployConfig) !== null;
+}
+
+/**
+ * List the deployed releases, newest first
+ *
+ * @param {object} deployConfig - The `deploy` config block
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<{ current: string|null, releases: object[] }>}
+ */
+export async function listReleases(deployConfig, projectRoot) {
+  const adapter = releasesAdapter(deployConfig);
+  if (!adapter) {
+    throw new Error('The configured deploy adapter does not keep releases');
+  }
+  return adapter.listReleases({ projectRoot, config: deployConfig[deployConfig.adapter] });
+}
+
+/**
+ * Make an earlier release live again
+ *
+ * @param {object} deployConfig - The `deploy` config block
+ * @param {string} projectRoot - Project root directory
+ * @param {object} [options]
+ * @param {string|null} [options.release] - Release id; default: the one before the live release
+ * @param {(msg: string) => void} [options.log=console.log] - Log sink
+ * @returns {Promise<{ current: string, previous: string|null }>}
+ */
+export async function rollback(deployConfig, projectRoot, { release = null, log = console.log } = {}) {
+  const adapter = releasesAdapter(deployConfig);
+  if (!adapter) {
+    throw new Error('The configured deploy adapter does not keep releases');
+  }
+  return adapter.rollback({ projectRoot, config: deployConfig[deployConfig.adapter], release, log });
+}
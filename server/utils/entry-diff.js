@@ -0,0 +1,42 @@
+/**
+ * Entry diffs
+ *
+ * Renders an entry as frontmatter + body — the same text for either content
+ * store — and diffs two versions of it as a unified diff, the format the
+ * changes-panel diff view shows. Used by the find-and-replace preview and the
+ * db store's revision history.
+ */
+
+import matter from 'gray-matter';
+import { createTwoFilesPatch } from 'diff';
+
+/**
+ * 'collection/slug', plus ' (locale)' when there is one
+ */
+export function entryLabel({ collection, slug, locale }) {
+  return `${collection}/${slug}${locale ? ` (${locale})` : ''}`;
+}
+
+/**
+ * An entry version as text; null (a deleted entry) is empty
+ */
+export function entryText(version) {
+  if (!version || !version.data) return '';
+  return matter.stringify(version.body || '', version.data);
+}
+
+/**
+ * Unified diff between two versions of an entry
+ * @param {{collection: string, slug: string, locale?: string|null, data: Object|null, body?: string|null}} entry
+ *   The entry, as the "before" version
+ * @param {{data: Object|null, body?: string|null}|null} next - The "after" version (null = deleted)
+ * @returns {string}
+ */
+export function entryDiff(entry, next) {
+  const label = entryLabel(entry);
+  const patch = createTwoFilesPatch(label, label, entryText(entry), entryText(next), '', '', { context: 2 });
+  // Keep the hunks; the library's own headers carry a trailing tab
+  const lines = patch.split('\n');
+  const hunks = lines.slice(lines.findIndex(line => line.startsWith('+++ ')) + 1).join('\n');
+  return `--- ${label}\n+++ ${label}\n${hunks}`;
+}
@@ -0,0 +1,224 @@
+/**
+ * Per-entry publishing status
+ *
+ * Each entry moves through draft → in_review → scheduled → published. Saving
+ * still writes the entry's file straight away (so preview shows it), but the
+ * git step of a publish only stages entries that are published, or scheduled
+ * for a time that has passed; everything else is unstaged again and waits.
+ *
+ * Statuses live in a JSON file keyed by `collection/slug` (plus `:locale` for
+ * a translation), alongside the project-relative file the entry is saved in:
+ *
+ *   { "posts/launch": { status: 'scheduled', publishAt: '2026-11-01T09:00:00.000Z',
+ *                       filePath: 'src/content/posts/launch.md', updatedBy: 'alice', ... } }
+ *
+ * An entry with no record is published, as before statuses existed. A
+ * scheduled entry whose publish failed also carries `attempts`, `lastError`
+ * and `retryAt` (null once the scheduler has given up on it).
+ */
+
+import path from 'path';
+import { readJsonFile, updateJsonFile } from './json-file.js';
+
+export const STATUSES = ['draft', 'in_review', 'scheduled', 'published'];
+
+/**
+ * Status-file key for an entry
+ */
+export function entryKey(collection, slug, locale = null) {
+  return locale ? `${collection}/${slug}:${locale}` : `${collection}/${slug}`;
+}
+
+function projectRelative(fullConfig, filePath) {
+  return path.relative(fullConfig.paths.projectRoot, path.resolve(fullConfig.paths.projectRoot, filePath))
+    .split(path.sep).join('/');
+}
+
+function recordFor(statuses, key) {
+  return Object.prototype.hasOwnProperty.call(statuses, key) ? statuses[key] : null;
+}
+
+/**
+ * Whether a status record keeps its entry out of a commit made at `now`
+ */
+export function isHeldBack(record, now = new Date()) {
+  if (!record || record.status === 'published') return false;
+  if (record.status === 'scheduled') {
+    return !record.publishAt || Date.parse(record.publishAt) > now.getTime();
+  }
+  return true;
+}
+
+/**
+ * Every entry's status record, keyed by entryKey()
+ * @returns {Promise<object>}
+ */
+export async function listEntryStatuses(fullConfig) {
+  return readJsonFile(fullConfig.workflow.statusPath);
+}
+
+/**
+ * An entry's status
+ * @returns {Promise<{ status: string, publishAt: string|null }>}
+ */
+export async function getEntryStatus(fullConfig, collection, slug, locale = null) {
+  const statuses = await listEntryStatuses(fullConfig);
+  return recordFor(statuses, entryKey(collection, slug, locale)) || { status: 'published', publishAt: null };
+}
+
+/**
+ * Set an entry's status
+ * @param {object} fullConfig
+ * @param {object} change
+ * @param {string} change.status - One of STATUSES
+ * @param {string} [change.publishAt] - When a scheduled entry goes out (any Date-parsable string)
+ * @param {string} change.filePath - The file the entry is saved in
+ * @param {string|null} [change.username] - Who changed it
+ * @returns {Promise<object>} The stored record
+ * @throws on an unknown status or a schedule without a valid time
+ */
+export async function setEntryStatus(fullConfig, { collection, slug, locale = null, status, publishAt, filePath, username = null }) {
+  if (!STATUSES.includes(status)) {
+    throw new Error(`Unknown status "${status}" (expected one of: ${STATUSES.join(', ')})`);
+  }
+
+  let scheduledFor = null;
+  if (status === 'scheduled') {
+    const time = Date.parse(publishAt ?? '');
+    if (Number.isNaN(time)) {
+      throw new Error('A scheduled entry needs a valid publishAt time');
+    }
+    scheduledFor = new Date(time).toISOString();
+  }
+
+  const record = {
+    status,
+    publishAt: scheduledFor,
+    filePath: projectRelative(fullConfig, filePath),
+    updatedBy: username,
+    updatedAt: new Date().toISOString(),
+  };
+  await updateJsonFile(fullConfig.workflow.statusPath, (statuses) => {
+    statuses[entryKey(collection, slug, locale)] = record;
+  });
+  return record;
+}
+
+/**
+ * Keep an entry's recorded file in step with where it was just saved. A
+ * no-op for entries without a status record.
+ */
+export async function updateEntryFile(fullConfig, collection, slug, locale, filePath) {
+  const key = entryKey(collection, slug, locale);
+  const relative = projectRelative(fullConfig, filePath);
+  await updateJsonFile(fullConfig.workflow.statusPath, (statuses) => {
+    const record = recordFor(statuses, key);
+    if (!record || record.filePath === relative) return false;
+    record.filePath = relative;
+  });
+}
+
+/**
+ * Carry an entry's status over to its new slug after a rename, along with the
+ * file it moved to. A no-op for entries without a status record.
+ */
+export async function moveEntryStatus(fullConfig, collection, from, to, locale, filePath) {
+  const fromKey = entryKey(collection, from, locale);
+  await updateJsonFile(fullConfig.workflow.statusPath, (statuses) => {
+    const record = recordFor(statuses, fromKey);
+    if (!record) return false;
+    delete statuses[fromKey];
+    statuses[entryKey(collection, to, locale)] = { ...record, filePath: projectRelative(fullConfig, filePath) };
+  });
+}
+
+/**
+ * Forget a deleted entry's status, so the deletion itself gets published
+ */
+export async function removeEntryStatus(fullConfig, collection, slug, locale = null) {
+  const key = entryKey(collection, slug, locale);
+  await updateJsonFile(fullConfig.workflow.statusPath, (statuses) => {
+    if (!recordFor(statuses, key)) return false;
+    delete statuses[key];
+  });
+}
+
+/**
+ * Project-relative files of entries a commit made at `now` must leave out
+ * @returns {Promise<string[]>}
+ */
+export async function heldBackFiles(fullConfig, now = new Date()) {
+  const statuses = await listEntryStatuses(fullConfig);
+  const files = new Set();
+  for (const record of Object.values(statuses)) {
+    if (record.filePath && isHeldBack(record, now)) files.add(record.filePath);
+  }
+  return [...files];
+}
+
+/**
+ * Whether the scheduler should leave a failed scheduled publish alone at `now`:
+ * it's waiting to retry, or has been given up on
+ */
+function isBackingOff(record, now) {
+  if (!record.attempts) return false;
+  return !record.retryAt || Date.parse(record.retryAt) > now.getTime();
+}
+
+/**
+ * Scheduled entries whose time has come by `now`, less those backing off
+ * after a failed publish
+ * @returns {Promise<Array<{ key: string } & object>>}
+ */
+export async function dueScheduledEntries(fullConfig, now = new Date()) {
+  const statuses = await listEntryStatuses(fullConfig);
+  return Object.entries(statuses)
+    .filter(([, record]) => record.status === 'scheduled' && !isHeldBack(record, now) && !isBackingOff(record, now))
+    .map(([key, record]) => ({ key, ...record }));
+}
+
+/**
+ * Record a failed scheduled publish of entries (by entryKey). Each retry
+ * waits twice as long as the one before; after `maxAttempts` the entry is
+ * left scheduled with its error until someone publishes or reschedules it.
+ * @param {object} fullConfig
+ * @param {string[]} keys
+ * @param {string} message - Why the publish failed
+ * @param {object} options
+ * @param {Date} [options.now]
+ * @param {number} options.retryDelayMs - Wait before the first retry
+ * @param {number} options.maxAttempts
+ */
+export async function recordPublishFailure(fullConfig, keys, message, { now = new Date(), retryDelayMs, maxAttempts }) {
+  if (keys.length === 0) return;
+  await updateJsonFile(fullConfig.workflow.statusPath, (statuses) => {
+    for (const key of keys) {
+      const record = recordFor(statuses, key);
+      if (!record || record.status !== 'scheduled') continue;
+      record.attempts = (record.attempts || 0) + 1;
+      record.lastError = message;
+      record.retryAt = record.attempts < maxAttempts
+        ? new Date(now.getTime() + retryDelayMs * 2 ** (record.attempts - 1)).toISOString()
+        : null;
+    }
+  });
+}
+
+/**
+ * Mark entries (by entryKey) as published once a publish has included them
+ */
+export async function markPublished(fullConfig, keys) {
+  if (keys.length === 0) return;
+  await updateJsonFile(fullConfig.workflow.statusPath, (statuses) => {
+    for (const key of keys) {
+      const record = recordFor(statuses, key);
+      if (!record) continue;
+      record.status = 'published';
+      record.publishAt = null;
+      delete record.attempts;
+      delete record.lastError;
+      delete record.retryAt;
+      record.updatedAt = new Date().toISOString();
+    }
+  });
+}
@@ -4,13 +4,14 @@
  * One-time migration off the SQLite content store back to on-disk files, so a
  * site can move from the DB content-layer loader to Astro's native glob()/file()
  * loaders (Option B). Reads every row from the content store and writes it
- * through the file store, preserving frontmatter/body, data JSON, locales, and
- * file()-collection array order.
+ * through the file store, preserving frontmatter/body, data, locales, and
+ * file()-collection array order. Data is written in the format the loader's
+ * files use (JSON, YAML, TOML or CSV — see data-formats.js).
  *
  * Run via `astroadmin export` AFTER switching the site's content.config.ts from
  * astroadminLoader to its target glob()/file() loaders: the parsed loaders tell
  * the exporter exactly where each collection lives on disk (glob base/pattern,
- * the file() array path) and which markdown extension the glob expects. A
+ * the file() path) and which extension the glob expects. A
  * collection still declaring astroadminLoader has none of that: if its rows
  * came from a file() loader the export fails (per-entry files would lose the
  * array order), otherwise it falls back to the conventional
@@ -69,8 +70,8 @@ export async function exportFiles() {
     }
 
     if (isFileCollection) {
-      // file() loader: rebuild the single JSON array, ordered by position,
-      // through the file store's canonical array writer.
+      // file() loader: rebuild the single file's entries, ordered by
+      // position, through the file store's canonical collection writer.
       const ordered = [...collectionRows].sort(
         (a, b) => (a.position ?? 0) - (b.position ?? 0)
       );
@@ -0,0 +1,201 @@
+/**
+ * Find and replace across content
+ *
+ * Plans a bulk text replacement over every entry (optionally limited to some
+ * collections, fields and locales), shows each affected entry as a diff, and
+ * applies the plan through the content store — all entries or none. Backs
+ * POST /api/content/replace.
+ *
+ * Only string values change: frontmatter/data strings, strings nested in
+ * blocks and objects, and the markdown body. Keys, slugs and non-string
+ * values are left alone.
+ */
+
+import { Worker } from 'worker_threads';
+import { readAllEntries } from './all-entries.js';
+import { writeContent } from './content-store.js';
+import { validateContent } from './validate-content.js';
+import { entryDiff, entryLabel } from './entry-diff.js';
+import { fieldMatches, replaceInEntry } from './replace-in-entry.js';
+
+export { fieldMatches, replaceInEntry };
+
+// A find string this long is almost certainly a mistake (or an attempt at a
+// pathological regex)
+const MAX_FIND_LENGTH = 500;
+
+const WORKER_URL = new URL('./replace-worker.js', import.meta.url);
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function stringList(value, name) {
+  if (value === undefined || value === null) return null;
+  if (!Array.isArray(value) || !value.every(item => typeof item === 'string' && item !== '')) {
+    throw new Error(`"${name}" must be an array of non-empty strings`);
+  }
+  return value.length > 0 ? value : null;
+}
+
+/**
+ * Validate a replace request body
+ * @param {Object} body
+ * @param {string} body.find - Text (or regex source) to look for
+ * @param {string} [body.replace=''] - Replacement; with regex, $1 etc. refer to groups
+ * @param {boolean} [body.regex=false] - Treat `find` as a regular expression
+ * @param {boolean} [body.caseSensitive=false]
+ * @param {boolean} [body.wholeWord=false] - Only match whole words
+ * @param {string[]} [body.collections] - Limit to these collections
+ * @param {string[]} [body.fields] - Limit to these fields (see fieldMatches)
+ * @param {string[]} [body.locales] - Limit to these locales
+ * @returns {{pattern: RegExp, replacement: string, literal: boolean,
+ *   collections: string[]|null, fields: string[]|null, locales: string[]|null}}
+ * @throws {Error} - Describing what's wrong with the request
+ */
+export function parseReplaceOptions(body = {}) {
+  const { find, replace = '', regex = false, caseSensitive = false, wholeWord = false } = body;
+
+  if (typeof find !== 'string' || find === '') {
+    throw new Error('"find" must be a non-empty string');
+  }
+  if (find.length > MAX_FIND_LENGTH) {
+    throw new Error(`"find" must be at most ${MAX_FIND_LENGTH} characters`);
+  }
+  if (typeof replace !== 'string') {
+    throw new Error('"replace" must be a string');
+  }
+
+  let source = regex ? find : escapeRegExp(find);
+  if (wholeWord) source = `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`;
+
+  let pattern;
+  try {
+    pattern = new RegExp(source, `gu${caseSensitive ? '' : 'i'}`);
+  } catch (error) {
+    throw new Error(`Invalid regular expression: ${error.message}`);
+  }
+  if (pattern.test('')) {
+    throw new Error('The pattern matches empty text, which would insert the replacement everywhere');
+  }
+
+  return {
+    pattern,
+    replacement: replace,
+    // A plain-text replacement is inserted as-is ('$1' stays '$1')
+    literal: !regex,
+    collections: stringList(body.collections, 'collections'),
+    fields: stringList(body.fields, 'fields'),
+    locales: stringList(body.locales, 'locales'),
+  };
+}
+
+/**
+ * Run replaceInEntry over entries in a worker thread, so a pattern that
+ * backtracks catastrophically (`(a+)+$`) is stopped after `timeoutMs`
+ * instead of blocking the server
+ * @returns {Promise<Array<ReturnType<typeof replaceInEntry>>>} One result per entry
+ * @throws {Error} With code 'ETIMEDOUT' if the worker doesn't finish in time
+ */
+function replaceInWorker(entries, { pattern, replacement, literal, fields }, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER_URL);
+    const timer = setTimeout(() => {
+      worker.terminate();
+      const error = new Error(`The pattern took longer than ${timeoutMs} ms to run; simplify it (nested repetition like (a+)+ is the usual cause)`);
+      error.code = 'ETIMEDOUT';
+      reject(error);
+    }, timeoutMs);
+    const finish = (callback) => (value) => {
+      clearTimeout(timer);
+      worker.terminate();
+      callback(value);
+    };
+
+    worker.once('message', finish(({ results, error }) => (error ? reject(new Error(error)) : resolve(results))));
+    worker.once('error', finish(reject));
+    worker.postMessage({
+      entries: entries.map(entry => ({ data: entry.data, body: entry.body ?? null })),
+      options: { source: pattern.source, flags: pattern.flags, replacement, literal, fields },
+    });
+  });
+}
+
+/**
+ * Work out every entry a replacement would change, without writing anything
+ * @param {ReturnType<typeof parseReplaceOptions>} options
+ * @param {Object} [context]
+ * @param {(collection: string) => boolean} [context.allow] - Collections the caller may change
+ * @param {number} [context.timeoutMs] - How long matching may take (findReplace.timeoutMs)
+ * @returns {Promise<Array<{collection: string, slug: string, locale: string|null, filePath: string,
+ *   before: {data: Object, body: string|null}, after: {data: Object, body: string|null},
+ *   changes: Array<{field: string, count: number}>, count: number, diff: string,
+ *   errors: Array<{path: string, message: string}>}>>}
+ *   `errors` are schema validation failures of the replaced entry
+ */
+export async function planReplace(options, { allow = () => true, timeoutMs = 5000 } = {}) {
+  const entries = (await readAllEntries({ collections: options.collections, label: 'Replace' }))
+    .filter(entry => allow(entry.collection))
+    // Entries without a locale (i18n off, or a file() collection) aren't filtered by it
+    .filter(entry => !options.locales || entry.locale === null || options.locales.includes(entry.locale));
+  const results = await replaceInWorker(entries, options, timeoutMs);
+  const plan = [];
+
+  for (const [index, entry] of entries.entries()) {
+    const replaced = results[index];
+    if (!replaced) continue;
+
+    const before = { data: entry.data, body: entry.body ?? null };
+    const after = { data: replaced.data, body: replaced.body };
+    const { errors } = await validateContent(entry.collection, after.data);
+
+    plan.push({
+      collection: entry.collection,
+      slug: entry.slug,
+      locale: entry.locale,
+      filePath: entry.filePath,
+      before,
+      after,
+      changes: replaced.changes,
+      count: replaced.count,
+      diff: entryDiff(entry, after),
+      errors,
+    });
+  }
+  return plan;
+}
+
+/**
+ * Write a plan through the content store. If any write fails, the entries
+ * already written are put back as they were, so the replacement lands
+ * everywhere or nowhere.
+ * @param {Awaited<ReturnType<typeof planReplace>>} plan - With no validation errors
+ * @param {Object} [context]
+ * @param {string|null} [context.author] - Login making the change (for revision history)
+ * @returns {Promise<Array<{collection: string, slug: string, locale: string|null, filePath: string}>>}
+ */
+export async function applyReplace(plan, { author = null } = {}) {
+  const written = [];
+  try {
+    for (const item of plan) {
+      const result = await writeContent(item.collection, item.slug, item.after, item.locale, { author });
+      written.push({ item, filePath: result.filePath });
+    }
+  } catch (error) {
+    for (const { item } of written.reverse()) {
+      try {
+        await writeContent(item.collection, item.slug, item.before, item.locale, { author });
+      } catch (restoreError) {
+        console.error(`[Replace] Could not restore ${entryLabel(item)}:`, restoreError.message);
+      }
+    }
+    throw error;
+  }
+
+  return written.map(({ item, filePath }) => ({
+    collection: item.collection,
+    slug: item.slug,
+    locale: item.locale,
+    filePath,
+  }));
+}
@@ -14,10 +14,12 @@ import fs from 'fs/promises';
 import path from 'path';
 import { config } from '../config.js';
 
-export const CONTENT_EXTENSIONS = ['.md', '.mdx', '.json'];
+// Markdown, then the data formats Astro's glob() loader reads (see
+// data-formats.js), in the order an entry's file is looked for.
+export const CONTENT_EXTENSIONS = ['.md', '.mdx', '.json', '.yaml', '.yml', '.toml'];
 // Recursive, matching Astro's legacy src/content semantics — entries may be
 // nested (e.g. guides/start.md), and the store writes nested slugs.
-export const DEFAULT_GLOB_PATTERN = '**/*.{md,mdx,json}';
+export const DEFAULT_GLOB_PATTERN = '**/*.{md,mdx,json,yaml,yml,toml}';
 
 /**
  * Defence-in-depth path guard. Slugs/collections become path segments, so
@@ -68,7 +70,8 @@ export function allowedContentExtensions(patterns) {
 }
 
 /**
- * Match pattern(s) for a glob collection. Defaults to `**\/*.{md,mdx,json}`.
+ * Match pattern(s) for a glob collection. Defaults to
+ * `**\/*.{md,mdx,json,yaml,yml,toml}`.
  */
 export function getGlobPatterns(schema) {
   if (Array.isArray(schema?.loaderPattern) && schema.loaderPattern.length > 0) {
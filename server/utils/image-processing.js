@@ -0,0 +1,756 @@
+/**
+ * Image Processing
+ * What happens to an uploaded image before it's stored, using WASM codecs so
+ * it runs wherever the server does (no native image library to install):
+ *
+ * - the EXIF orientation is baked into the pixels, and the image is re-encoded
+ *   in its own format, which drops EXIF (camera details, GPS position)
+ * - it's scaled down to fit `maxDimension`
+ * - WebP/AVIF variants are written at each configured width it's wider than,
+ *   and at its own width, under <images>/_variants/
+ * - its width, height, dominant color and blurhash are measured, for forms
+ *   and the site to lay out and placeholder it before it loads
+ * - each named crop (config.imageProcessing.crops, e.g. hero 16:9) is cut
+ *   around its focal point, or where an editor placed it, and written under
+ *   <images>/_variants/ as <name>--<crop>.<ext>
+ *
+ * GIF and SVG uploads are stored as they are. An upload's dimensions are read
+ * from its header first, and one over `maxPixels` is refused before it's
+ * decoded. Processing and encoding run on a worker thread (image-worker.js)
+ * so a large AVIF doesn't hold up other requests.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { Worker } from 'worker_threads';
+import { encode as encodeJpeg, decode as decodeJpeg } from '@jsquash/jpeg';
+import { encode as encodePng, decode as decodePng } from '@jsquash/png';
+import encodeWebp from '@jsquash/webp/encode.js';
+import decodeWebp from '@jsquash/webp/decode.js';
+import encodeAvif from '@jsquash/avif/encode.js';
+import decodeAvif from '@jsquash/avif/decode.js';
+import resize from '@jsquash/resize';
+import { encode as encodeBlurhash } from 'blurhash';
+
+// Variants live beside the uploads, in a folder the image listing skips
+export const VARIANTS_DIR = '_variants';
+
+const CODECS = {
+  jpeg: {
+    decode: decodeJpeg,
+    encode: (image, quality) => encodeJpeg(image, { quality: quality.jpeg }),
+  },
+  png: {
+    decode: decodePng,
+    encode: image => encodePng(image),
+  },
+  webp: {
+    decode: decodeWebp,
+    encode: (image, quality) => encodeWebp(image, { quality: quality.webp }),
+  },
+  avif: {
+    decode: decodeAvif,
+    encode: (image, quality) => encodeAvif(image, { quality: quality.avif, speed: 8 }),
+  },
+};
+
+const FORMAT_BY_EXTENSION = {
+  '.jpg': 'jpeg',
+  '.jpeg': 'jpeg',
+  '.png': 'png',
+  '.webp': 'webp',
+  '.avif': 'avif',
+};
+
+// Pixel size of the copy the dominant color and blurhash are measured on
+const SAMPLE_SIZE = 64;
+
+const WORKER_URL = new URL('./image-worker.js', import.meta.url);
+
+/**
+ * The codec name for a filename, or null if uploads of that type aren't
+ * processed (GIF, SVG)
+ */
+export function imageFormatOf(filename) {
+  return FORMAT_BY_EXTENSION[path.extname(filename).toLowerCase()] ?? null;
+}
+
+/**
+ * The EXIF orientation (1-8) of a JPEG, or 1 if it has none
+ * @param {Uint8Array} bytes
+ */
+export function readExifOrientation(bytes) {
+  if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) return 1;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  try {
+    let offset = 2;
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+      const marker = bytes[offset + 1];
+      // Start of scan / end of image: no more metadata segments
+      if (marker === 0xDA || marker === 0xD9) break;
+      const length = view.getUint16(offset + 2);
+
+      const isExif = marker === 0xE1 && view.getUint32(offset + 4) === 0x45786966 && view.getUint16(offset + 8) === 0;
+      if (isExif) {
+        const tiff = offset + 10;
+        const little = view.getUint16(tiff) === 0x4949;
+        const ifd = tiff + view.getUint32(tiff + 4, little);
+        const entries = view.getUint16(ifd, little);
+        for (let i = 0; i < entries; i++) {
+          const entry = ifd + 2 + i * 12;
+          if (view.getUint16(entry, little) === 0x0112) {
+            const orientation = view.getUint16(entry + 8, little);
+            return orientation >= 1 && orientation <= 8 ? orientation : 1;
+          }
+        }
+        break;
+      }
+      offset += 2 + length;
+    }
+  } catch {
+    // Truncated or malformed segment: treat as unrotated
+  }
+  return 1;
+}
+
+/**
+ * ISO BMFF boxes (type, content start and end) between start and end
+ */
+function* isoBoxes(view, start, end) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = view.getUint32(offset);
+    let header = 8;
+    if (size === 1) {
+      size = Number(view.getBigUint64(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header || offset + size > end) return;
+    const type = String.fromCharCode(...new Uint8Array(view.buffer, view.byteOffset + offset + 4, 4));
+    yield { type, start: offset + header, end: offset + size };
+    offset += size;
+  }
+}
+
+function childBox(view, box, type) {
+  for (const child of isoBoxes(view, box.start, box.end)) {
+    if (child.type === type) return child;
+  }
+  return null;
+}
+
+/**
+ * An image's size in pixels, read from its header without decoding it: PNG
+ * IHDR, JPEG SOF, WebP VP8X/VP8/VP8L, AVIF ispe (the largest, for a gridded
+ * image)
+ * @param {Uint8Array} bytes
+ * @param {string} format - Its codec name (see imageFormatOf)
+ * @returns {{width: number, height: number}|null} null if the header can't be read
+ */
+export function readImageDimensions(bytes, format) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const ascii = (offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+  try {
+    if (format === 'png') {
+      if (ascii(12, 4) !== 'IHDR') return null;
+      return { width: view.getUint32(16), height: view.getUint32(20) };
+    }
+
+    if (format === 'jpeg') {
+      if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) return null;
+      let offset = 2;
+      while (offset + 4 <= bytes.length) {
+        if (bytes[offset] !== 0xFF) return null;
+        const marker = bytes[offset + 1];
+        // Fill byte, or a marker without a length
+        if (marker === 0xFF) {
+          offset++;
+          continue;
+        }
+        if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+          offset += 2;
+          continue;
+        }
+        // Start of frame (not DHT, JPG or DAC, which share the range)
+        if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+          return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+        }
+        // Start of scan / end of image before a frame header
+        if (marker === 0xDA || marker === 0xD9) return null;
+        offset += 2 + view.getUint16(offset + 2);
+      }
+      return null;
+    }
+
+    if (format === 'webp') {
+      if (ascii(0, 4) !== 'RIFF' || ascii(8, 4) !== 'WEBP') return null;
+      const chunk = ascii(12, 4);
+      const uint24 = offset => bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+      if (chunk === 'VP8X') {
+        return { width: uint24(24) + 1, height: uint24(27) + 1 };
+      }
+      if (chunk === 'VP8 ') {
+        if (bytes[23] !== 0x9D || bytes[24] !== 0x01 || bytes[25] !== 0x2A) return null;
+        return { width: view.getUint16(26, true) & 0x3FFF, height: view.getUint16(28, true) & 0x3FFF };
+      }
+      if (chunk === 'VP8L') {
+        if (bytes[20] !== 0x2F) return null;
+        const bits = view.getUint32(21, true);
+        return { width: (bits & 0x3FFF) + 1, height: ((bits >>> 14) & 0x3FFF) + 1 };
+      }
+      return null;
+    }
+
+    if (format === 'avif') {
+      const file = { start: 0, end: bytes.length };
+      const meta = childBox(view, file, 'meta');
+      // meta is a full box: version and flags come first
+      const iprp = meta && childBox(view, { start: meta.start + 4, end: meta.end }, 'iprp');
+      const ipco = iprp && childBox(view, iprp, 'ipco');
+      if (!ipco) return null;
+      let largest = null;
+      for (const box of isoBoxes(view, ipco.start, ipco.end)) {
+        if (box.type !== 'ispe') continue;
+        const size = { width: view.getUint32(box.start + 4), height: view.getUint32(box.start + 8) };
+        if (!largest || size.width * size.height > largest.width * largest.height) largest = size;
+      }
+      return largest;
+    }
+  } catch {
+    // Truncated header
+  }
+  return null;
+}
+
+/**
+ * Rotate/flip decoded pixels so they display upright without the EXIF
+ * orientation tag
+ * @param {ImageData} image
+ * @param {number} orientation - EXIF orientation (1-8)
+ * @returns {ImageData}
+ */
+export function applyOrientation(image, orientation) {
+  if (!(orientation >= 2 && orientation <= 8)) return image;
+
+  const { width, height } = image;
+  const swapped = orientation >= 5;
+  const outWidth = swapped ? height : width;
+  const outHeight = swapped ? width : height;
+
+  const data = image.data.byteOffset % 4 === 0 ? image.data : image.data.slice();
+  const source = new Uint32Array(data.buffer, data.byteOffset, width * height);
+  const out = new Uint8ClampedArray(width * height * 4);
+  const target = new Uint32Array(out.buffer);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let tx;
+      let ty;
+      switch (orientation) {
+        case 2: tx = width - 1 - x; ty = y; break;
+        case 3: tx = width - 1 - x; ty = height - 1 - y; break;
+        case 4: tx = x; ty = height - 1 - y; break;
+        case 5: tx = y; ty = x; break;
+        case 6: tx = height - 1 - y; ty = x; break;
+        case 7: tx = height - 1 - y; ty = width - 1 - x; break;
+        default: tx = y; ty = width - 1 - x; break;
+      }
+      target[ty * outWidth + tx] = source[y * width + x];
+    }
+  }
+
+  return { data: out, width: outWidth, height: outHeight, colorSpace: 'srgb' };
+}
+
+/**
+ * Dimensions scaled down (never up) so neither side exceeds maxDimension
+ */
+export function fitWithin(width, height, maxDimension) {
+  if (!maxDimension || (width <= maxDimension && height <= maxDimension)) {
+    return { width, height };
+  }
+  const scale = maxDimension / Math.max(width, height);
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  };
+}
+
+/**
+ * The most common color, as '#rrggbb': pixels are bucketed at 4 bits per
+ * channel and the fullest bucket's average wins. Mostly transparent pixels
+ * are ignored; null if that's all of them.
+ * @param {ImageData} image
+ */
+export function dominantColor(image) {
+  const buckets = new Map();
+  const { data } = image;
+
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < 128) continue;
+    const key = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+    const bucket = buckets.get(key) ?? { count: 0, r: 0, g: 0, b: 0 };
+    bucket.count++;
+    bucket.r += data[i];
+    bucket.g += data[i + 1];
+    bucket.b += data[i + 2];
+    buckets.set(key, bucket);
+  }
+
+  let best = null;
+  for (const bucket of buckets.values()) {
+    if (!best || bucket.count > best.count) best = bucket;
+  }
+  if (!best) return null;
+
+  const hex = total => Math.round(total / best.count).toString(16).padStart(2, '0');
+  return `#${hex(best.r)}${hex(best.g)}${hex(best.b)}`;
+}
+
+/**
+ * Decode an image the right way up (a JPEG may carry an EXIF orientation)
+ */
+async function decodeUpright(bytes, format) {
+  const image = await CODECS[format].decode(bytes);
+  if (!image) throw new Error(`Not a readable ${format} image`);
+  return format === 'jpeg' ? applyOrientation(image, readExifOrientation(bytes)) : image;
+}
+
+async function resizeTo(image, { width, height }) {
+  if (width === image.width && height === image.height) return image;
+  return resize(image, { width, height });
+}
+
+/**
+ * Encode pixels in a format
+ * @returns {Promise<Uint8Array>}
+ */
+export async function encodeImage(image, format, quality) {
+  return new Uint8Array(await CODECS[format].encode(image, quality));
+}
+
+/**
+ * The image worker: one thread, started on first use and kept while it has
+ * work. Tasks are image-worker.js's; if the thread dies, its tasks fail and
+ * the next task starts a new one.
+ */
+let imageWorker = null;
+
+function startImageWorker() {
+  const worker = new Worker(WORKER_URL);
+  const pending = new Map();
+  let nextId = 0;
+  worker.unref();
+
+  const failAll = (error) => {
+    if (imageWorker?.worker === worker) imageWorker = null;
+    for (const { reject } of pending.values()) reject(error);
+    pending.clear();
+  };
+  worker.on('message', ({ id, result, error }) => {
+    const task = pending.get(id);
+    pending.delete(id);
+    if (pending.size === 0) worker.unref();
+    if (error) task.reject(new Error(error));
+    else task.resolve(result);
+  });
+  worker.on('error', failAll);
+  worker.on('exit', code => failAll(new Error(`The image worker stopped (exit code ${code})`)));
+
+  return {
+    worker,
+    run(task, args) {
+      return new Promise((resolve, reject) => {
+        const id = ++nextId;
+        pending.set(id, { resolve, reject });
+        worker.ref();
+        worker.postMessage({ id, task, args });
+      });
+    },
+  };
+}
+
+function runInWorker(task, ...args) {
+  imageWorker ??= startImageWorker();
+  return imageWorker.run(task, args);
+}
+
+/**
+ * Process an image held in memory
+ * @param {Uint8Array} bytes - The file as uploaded
+ * @param {string} format - Its codec name (see imageFormatOf)
+ * @param {Object} settings - config.imageProcessing
+ * @returns {Promise<{bytes: Uint8Array, width: number, height: number,
+ *   dominantColor: string|null, blurhash: string,
+ *   variants: Array<{format: string, width: number, height: number, bytes: Uint8Array}>}>}
+ * @throws if the bytes can't be decoded as that format
+ */
+export async function processImage(bytes, format, settings) {
+  let image = await decodeUpright(bytes, format);
+  image = await resizeTo(image, fitWithin(image.width, image.height, settings.maxDimension));
+
+  const sample = await resizeTo(image, fitWithin(image.width, image.height, SAMPLE_SIZE));
+  const landscape = sample.width >= sample.height;
+  const blurhash = encodeBlurhash(sample.data, sample.width, sample.height, landscape ? 4 : 3, landscape ? 3 : 4);
+
+  const widths = [...new Set([...(settings.widths ?? []).filter(width => width < image.width), image.width])]
+    .sort((a, b) => a - b);
+  const variants = [];
+  for (const width of widths) {
+    const scaled = await resizeTo(image, {
+      width,
+      height: Math.max(1, Math.round(image.height * width / image.width)),
+    });
+    for (const variantFormat of settings.formats ?? []) {
+      // A full-size copy in the upload's own format would just duplicate it
+      if (variantFormat === format && width === image.width) continue;
+      const encoded = await encodeImage(scaled, variantFormat, settings.quality);
+      variants.push({ format: variantFormat, width: scaled.width, height: scaled.height, bytes: encoded });
+    }
+  }
+
+  return {
+    bytes: await encodeImage(image, format, settings.quality),
+    width: image.width,
+    height: image.height,
+    dominantColor: dominantColor(sample),
+    blurhash,
+    variants,
+  };
+}
+
+/**
+ * Process an uploaded file in place: the file is rewritten and its variants
+ * written under VARIANTS_DIR next to it
+ * @param {string} filePath
+ * @param {Object} settings - config.imageProcessing
+ * @returns {Promise<{size: number, width: number, height: number,
+ *   dominantColor: string|null, blurhash: string,
+ *   variants: Array<{file: string, format: string, width: number, height: number, size: number}>}|null>}
+ *   `variants[].file` is relative to the file's directory; null if the file
+ *   isn't processed (processing disabled, GIF, SVG)
+ */
+export async function processUpload(filePath, settings) {
+  const format = imageFormatOf(filePath);
+  if (!format || !settings?.enabled) return null;
+
+  const bytes = await fs.readFile(filePath);
+  const dimensions = readImageDimensions(bytes, format);
+  if (!dimensions) {
+    throw new Error(`Not a readable ${format} image`);
+  }
+  if (settings.maxPixels && dimensions.width * dimensions.height > settings.maxPixels) {
+    throw new Error(`The image is ${dimensions.width}×${dimensions.height} pixels; at most ${settings.maxPixels} pixels are accepted`);
+  }
+
+  const processed = await runInWorker('processImage', bytes, format, settings);
+  await fs.writeFile(filePath, processed.bytes);
+
+  const baseName = path.basename(filePath, path.extname(filePath));
+  const variantsDir = path.join(path.dirname(filePath), VARIANTS_DIR);
+  if (processed.variants.length > 0) {
+    await fs.mkdir(variantsDir, { recursive: true });
+  }
+
+  const variants = [];
+  for (const variant of processed.variants) {
+    const filename = `${baseName}-${variant.width}.${variant.format}`;
+    await fs.writeFile(path.join(variantsDir, filename), variant.bytes);
+    variants.push({
+      file: `${VARIANTS_DIR}/${filename}`,
+      format: variant.format,
+      width: variant.width,
+      height: variant.height,
+      size: variant.bytes.length,
+    });
+  }
+
+  return {
+    size: processed.bytes.length,
+    width: processed.width,
+    height: processed.height,
+    dominantColor: processed.dominantColor,
+    blurhash: processed.blurhash,
+    variants,
+  };
+}
+
+/**
+ * Whether format is a codec name images can be converted to
+ */
+export function isImageFormat(format) {
+  return Object.hasOwn(CODECS, format);
+}
+
+/**
+ * The width to serve for a requested one: the smallest configured width that
+ * covers it, or the full width (never wider)
+ * @param {number|null} requested - null for the full width
+ * @param {number} fullWidth
+ * @param {number[]} widths - config.imageProcessing.widths
+ */
+export function snapWidth(requested, fullWidth, widths = []) {
+  if (!requested || requested >= fullWidth) return fullWidth;
+  const covering = widths.filter(width => width >= requested && width < fullWidth).sort((a, b) => a - b);
+  return covering[0] ?? fullWidth;
+}
+
+/**
+ * '16:9' as a width/height ratio, or null if it isn't one
+ */
+export function parseAspect(aspect) {
+  const match = /^(\d+(?:\.\d+)?):(\d+(?:\.\d+)?)$/.exec(String(aspect ?? '').trim());
+  if (!match) return null;
+  const ratio = Number(match[1]) / Number(match[2]);
+  return ratio > 0 && Number.isFinite(ratio) ? ratio : null;
+}
+
+/**
+ * The configured named crops, as { name: '16:9' } (a crop set to null in the
+ * project config is left out)
+ */
+export function cropPresets(settings) {
+  return Object.fromEntries(
+    Object.entries(settings?.crops ?? {}).filter(([, aspect]) => parseAspect(aspect))
+  );
+}
+
+export function isValidFocalPoint(point) {
+  return Boolean(point) && [point.x, point.y].every(value => Number.isFinite(value) && value >= 0 && value <= 1);
+}
+
+/**
+ * Whether rect is a crop rectangle: { x, y, width, height } as fractions of
+ * the image, inside it
+ */
+export function isValidCropRect(rect) {
+  if (!rect || ![rect.x, rect.y, rect.width, rect.height].every(Number.isFinite)) return false;
+  return rect.x >= 0 && rect.y >= 0 && rect.width > 0 && rect.height > 0 &&
+    rect.x + rect.width <= 1.0001 && rect.y + rect.height <= 1.0001;
+}
+
+const round4 = value => Math.round(value * 10000) / 10000;
+
+function toFractions(left, top, cropWidth, cropHeight, width, height) {
+  return {
+    x: round4(left / width),
+    y: round4(top / height),
+    width: round4(cropWidth / width),
+    height: round4(cropHeight / height),
+  };
+}
+
+/**
+ * The largest rectangle of the given ratio that fits the image, as close to
+ * centered on the focal point as the edges allow
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} ratio - Crop width/height
+ * @param {{x: number, y: number}} [focalPoint] - Fractions; the center if unset
+ */
+export function focalCrop(width, height, ratio, focalPoint) {
+  const focus = isValidFocalPoint(focalPoint) ? focalPoint : { x: 0.5, y: 0.5 };
+  const cropWidth = width / height > ratio ? height * ratio : width;
+  const cropHeight = cropWidth / ratio;
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+  const left = clamp(focus.x * width - cropWidth / 2, width - cropWidth);
+  const top = clamp(focus.y * height - cropHeight / 2, height - cropHeight);
+  return toFractions(left, top, cropWidth, cropHeight, width, height);
+}
+
+/**
+ * Trim a crop rectangle to an exact ratio, keeping its center
+ */
+export function fitAspect(rect, width, height, ratio) {
+  let cropWidth = rect.width * width;
+  let cropHeight = rect.height * height;
+  if (cropWidth / cropHeight > ratio) cropWidth = cropHeight * ratio;
+  else cropHeight = cropWidth / ratio;
+  const left = rect.x * width + (rect.width * width - cropWidth) / 2;
+  const top = rect.y * height + (rect.height * height - cropHeight) / 2;
+  return toFractions(left, top, cropWidth, cropHeight, width, height);
+}
+
+/**
+ * Where each named crop falls: the rectangle an editor saved (trimmed to the
+ * crop's ratio), otherwise one around the focal point
+ * @param {Object} imageMeta - The image's .metadata.json entry
+ * @param {Object} settings - config.imageProcessing
+ * @returns {Object} { name: { aspect, rect, custom } }
+ */
+export function resolveCrops(imageMeta, settings, width, height) {
+  const crops = {};
+  for (const [name, aspect] of Object.entries(cropPresets(settings))) {
+    const ratio = parseAspect(aspect);
+    const saved = imageMeta?.crops?.[name];
+    const custom = Boolean(saved?.custom) && isValidCropRect(saved.rect);
+    crops[name] = {
+      aspect,
+      rect: custom ? fitAspect(saved.rect, width, height, ratio) : focalCrop(width, height, ratio, imageMeta?.focalPoint),
+      custom,
+    };
+  }
+  return crops;
+}
+
+/**
+ * Cut a rectangle (fractions) out of decoded pixels
+ * @returns {ImageData}
+ */
+export function cropPixels(image, rect) {
+  const left = Math.min(Math.round(rect.x * image.width), image.width - 1);
+  const top = Math.min(Math.round(rect.y * image.height), image.height - 1);
+  const width = Math.max(1, Math.min(image.width - left, Math.round(rect.width * image.width)));
+  const height = Math.max(1, Math.min(image.height - top, Math.round(rect.height * image.height)));
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let row = 0; row < height; row++) {
+    const start = ((top + row) * image.width + left) * 4;
+    data.set(image.data.subarray(start, start + width * 4), row * width * 4);
+  }
+  return { data, width, height, colorSpace: 'srgb' };
+}
+
+function cropFilePrefix(filePath) {
+  return `${path.basename(filePath, path.extname(filePath))}--`;
+}
+
+/**
+ * Remove every crop file written for an image (full-size crops and the sized
+ * copies served by the crop API)
+ * @returns {Promise<string[]>} The paths removed
+ */
+export async function removeCropFiles(filePath) {
+  const variantsDir = path.join(path.dirname(filePath), VARIANTS_DIR);
+  const prefix = cropFilePrefix(filePath);
+  let files;
+  try {
+    files = await fs.readdir(variantsDir);
+  } catch {
+    return [];
+  }
+
+  const removed = [];
+  for (const file of files.filter(name => name.startsWith(prefix))) {
+    await fs.rm(path.join(variantsDir, file), { force: true });
+    removed.push(path.join(variantsDir, file));
+  }
+  return removed;
+}
+
+/**
+ * Write an image's named crops at full size in its own format, replacing any
+ * written before
+ * @param {string} filePath
+ * @param {Object} imageMeta - Its .metadata.json entry (focal point, saved crops)
+ * @param {Object} settings - config.imageProcessing
+ * @returns {Promise<{crops: Object, written: string[], removed: string[]}>}
+ *   crops is { name: { aspect, rect, custom, file, width, height } } with file
+ *   relative to the image's directory; empty for GIF/SVG or no crops configured
+ */
+export async function writeCrops(filePath, imageMeta, settings) {
+  const removed = await removeCropFiles(filePath);
+  const format = imageFormatOf(filePath);
+  if (!format || Object.keys(cropPresets(settings)).length === 0) {
+    return { crops: {}, written: [], removed };
+  }
+
+  const image = await decodeUpright(await fs.readFile(filePath), format);
+  const crops = resolveCrops(imageMeta, settings, image.width, image.height);
+  const variantsDir = path.join(path.dirname(filePath), VARIANTS_DIR);
+  await fs.mkdir(variantsDir, { recursive: true });
+
+  const written = [];
+  for (const [name, crop] of Object.entries(crops)) {
+    const cropped = cropPixels(image, crop.rect);
+    const filename = `${cropFilePrefix(filePath)}${name}${path.extname(filePath).toLowerCase()}`;
+    await fs.writeFile(path.join(variantsDir, filename), await runInWorker('encodeImage', cropped, format, settings.quality));
+    written.push(path.join(variantsDir, filename));
+    crops[name] = { ...crop, file: `${VARIANTS_DIR}/${filename}`, width: cropped.width, height: cropped.height };
+  }
+
+  return { crops, written, removed: removed.filter(file => !written.includes(file)) };
+}
+
+/**
+ * A named crop at a width and format, written next to the full-size crop the
+ * first time it's asked for
+ * @param {string} filePath - The uploaded image
+ * @param {string} name - The crop's name
+ * @param {{width: number, format: string}} size - width at most the crop's own
+ * @param {Object} settings - config.imageProcessing
+ * @returns {Promise<string>} The derivative's path
+ */
+export async function writeCropDerivative(filePath, name, { width, format }, settings) {
+  const variantsDir = path.join(path.dirname(filePath), VARIANTS_DIR);
+  const sourceFormat = imageFormatOf(filePath);
+  const cropPath = path.join(variantsDir, `${cropFilePrefix(filePath)}${name}${path.extname(filePath).toLowerCase()}`);
+  const derivativePath = path.join(variantsDir, `${cropFilePrefix(filePath)}${name}-${width}.${format}`);
+
+  try {
+    await fs.access(derivativePath);
+    return derivativePath;
+  } catch {
+    // Not written yet
+  }
+
+  const crop = await CODECS[sourceFormat].decode(await fs.readFile(cropPath));
+  const scaled = await resizeTo(crop, {
+    width,
+    height: Math.max(1, Math.round(crop.height * width / crop.width)),
+  });
+  await fs.writeFile(derivativePath, await runInWorker('encodeImage', scaled, format, settings.quality));
+  return derivativePath;
+}
+
+/**
+ * Every file written for an image under VARIANTS_DIR: its variants
+ * (<name>-<width>.<format>) and crops (<name>--…)
+ * @returns {Promise<string[]>} Their paths
+ */
+export async function derivativeFiles(filePath) {
+  const variantsDir = path.join(path.dirname(filePath), VARIANTS_DIR);
+  const baseName = path.basename(filePath, path.extname(filePath));
+  let files;
+  try {
+    files = await fs.readdir(variantsDir);
+  } catch {
+    return [];
+  }
+  return files
+    .filter(file => file.startsWith(cropFilePrefix(filePath)) ||
+      (file.startsWith(`${baseName}-`) && /^\d+\.(?:webp|avif|jpeg|png)$/.test(file.slice(baseName.length + 1))))
+    .map(file => path.join(variantsDir, file));
+}
+
+/**
+ * Move an image to another folder with the files written for it
+ * @param {string} filePath
+ * @param {string} targetPath - Where the image goes; the file must not exist
+ * @param {Object} [options]
+ * @param {(from: string, to: string) => Promise<unknown>} [options.moveFile] -
+ *   How to move one file (e.g. `git mv`); the target's directory exists
+ * @returns {Promise<Array<{from: string, to: string}>>} Every file moved, the
+ *   image first
+ */
+export async function moveImageFiles(filePath, targetPath, { moveFile = fs.rename } = {}) {
+  const derivatives = await derivativeFiles(filePath);
+  await fs.mkdir(path.dirname(targetPath), { recursive: true });
+  await moveFile(filePath, targetPath);
+  const moved = [{ from: filePath, to: targetPath }];
+
+  if (derivatives.length > 0) {
+    const variantsDir = path.join(path.dirname(targetPath), VARIANTS_DIR);
+    await fs.mkdir(variantsDir, { recursive: true });
+    for (const from of derivatives) {
+      const to = path.join(variantsDir, path.basename(from));
+      await moveFile(from, to);
+      moved.push({ from, to });
+    }
+  }
+  return moved;
+}
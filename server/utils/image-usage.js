@@ -0,0 +1,255 @@
+/**
+ * Image usage
+ *
+ * Which entries use which images. An entry uses an image when a string
+ * anywhere in its data (image fields, gallery arrays, blocks, rich text) or
+ * its markdown body points at it: a root-relative `/images/<file>` for
+ * uploads, a relative or aliased `…/assets/images/<file>` for source images,
+ * with <file> the path under the images folder (`team/alice.jpg`). URLs with
+ * a host (`https://cdn.example.com/images/…`) are some other site's images.
+ * Images are keyed by their source ('uploads' or 'source', as the image
+ * library lists them) and that path, so an upload and a source image of the
+ * same name are counted apart. Images used only from site code (components,
+ * layouts) aren't seen.
+ *
+ * The index is kept like the reference index (see references.js): built from
+ * the whole content store on first use, updated entry by entry by the
+ * content-store dispatcher (indexEntryImages / unindexEntryImages), and
+ * rebuilt after git rewrites the tree underneath it. It backs "used in" and
+ * the delete checks in server/api/images.js, and rewriteImagePaths keeps
+ * entries pointing at images the library moves.
+ */
+
+import { readAllEntries } from './all-entries.js';
+import { readContent, writeContent } from './content-store.js';
+import { entryTitle } from '../search-index.js';
+
+// The path of an image under an images folder: team/alice.jpg. Folder names
+// start with a letter or digit, so generated files (/images/_variants/) don't
+// match.
+const IMAGE_FILE = String.raw`((?:[A-Za-z0-9][\w-]*\/)*[\w.-]+\.(?:jpe?g|png|gif|webp|svg|avif))(?![\w.\/-])`;
+
+// Where a path starts: the start of the string, or after a quote, `(`, `=`
+// or whitespace (markdown images, HTML attributes, srcset lists)
+const PATH_START = String.raw`(?<=^|['"(=\s])`;
+
+// An upload, up to the filename: /images/team/hero.jpg?w=800
+const UPLOAD_PATH = new RegExp(PATH_START + String.raw`\/images\/` + IMAGE_FILE, 'gi');
+
+// A source image: ../assets/images/hero.jpg, ~/assets/images/hero.jpg,
+// src/assets/images/hero.jpg. Path segments only, so no scheme or host.
+const SOURCE_PATH = new RegExp(PATH_START + String.raw`\/?(?:[\w.~@-]+\/)*assets\/images\/` + IMAGE_FILE, 'gi');
+
+const IMAGE_PATHS = { uploads: UPLOAD_PATH, source: SOURCE_PATH };
+
+/**
+ * Every image a piece of content points at, with where
+ * @param {Object} data - Entry data
+ * @param {string|null} [body] - Markdown body
+ * @returns {Array<{source: string, filename: string, field: string}>} source
+ *   is 'uploads' or 'source'; filename is the path under its images folder;
+ *   field is a data path (`gallery[2].src`), or 'body'
+ */
+export function findImageUses(data, body = null) {
+  const uses = [];
+  const scan = (text, field) => {
+    for (const [source, pattern] of Object.entries(IMAGE_PATHS)) {
+      for (const match of text.matchAll(pattern)) {
+        if (!uses.some(use => use.source === source && use.filename === match[1] && use.field === field)) {
+          uses.push({ source, filename: match[1], field });
+        }
+      }
+    }
+  };
+
+  const walk = (value, fieldPath) => {
+    if (typeof value === 'string') {
+      scan(value, fieldPath);
+    } else if (Array.isArray(value)) {
+      value.forEach((item, index) => walk(item, `${fieldPath}[${index}]`));
+    } else if (value && typeof value === 'object' && !(value instanceof Date)) {
+      for (const [key, child] of Object.entries(value)) {
+        walk(child, fieldPath ? `${fieldPath}.${key}` : key);
+      }
+    }
+  };
+
+  walk(data, '');
+  if (typeof body === 'string') scan(body, 'body');
+  return uses;
+}
+
+// entryKey -> { collection, slug, locale, title, images }
+let entries = new Map();
+// Promise of the running/finished full build; null until first use
+let built = null;
+// Bumped by invalidateImageUsageIndex (see search.js)
+let generation = 0;
+
+function entryKey(collection, slug, locale) {
+  return `${collection}/${slug}/${locale ?? ''}`;
+}
+
+function indexedEntry({ collection, slug, locale, data, body }) {
+  return {
+    collection,
+    slug,
+    locale: locale ?? null,
+    title: entryTitle(data),
+    images: findImageUses(data, body),
+  };
+}
+
+/**
+ * Rebuild the whole index from the content store
+ * @returns {Promise<number>} Entries indexed
+ */
+export async function rebuildImageUsageIndex() {
+  const startedGeneration = generation;
+  const next = new Map();
+  for (const entry of await readAllEntries({ label: 'Image usage' })) {
+    next.set(entryKey(entry.collection, entry.slug, entry.locale), indexedEntry(entry));
+  }
+  entries = next;
+  if (startedGeneration !== generation) {
+    built = null;
+  }
+  return next.size;
+}
+
+/**
+ * Build the index if this process hasn't yet (or it was invalidated)
+ */
+export async function ensureImageUsageIndex() {
+  if (!built) {
+    built = rebuildImageUsageIndex().catch((error) => {
+      built = null;
+      throw error;
+    });
+  }
+  await built;
+}
+
+/**
+ * Mark the index stale: git changed what it was built from. The next lookup
+ * rebuilds it.
+ */
+export function invalidateImageUsageIndex() {
+  generation++;
+  built = null;
+}
+
+/**
+ * Re-index one entry after the content store saved it (no-op until built)
+ */
+export async function indexEntryImages(collection, slug, locale, { data, body }) {
+  if (!built) return;
+  await built;
+  entries.set(entryKey(collection, slug, locale), indexedEntry({ collection, slug, locale, data, body }));
+}
+
+/**
+ * Drop a deleted entry from the index (no-op until built)
+ */
+export async function unindexEntryImages(collection, slug, locale) {
+  if (!built) return;
+  await built;
+  entries.delete(entryKey(collection, slug, locale));
+}
+
+/**
+ * The entries that use an image, each with the fields that do
+ * @param {string} filename - Path under the images folder
+ * @param {string} [source] - 'uploads' (public/images) or 'source' (src/assets/images)
+ * @returns {Promise<Array<{collection: string, slug: string, locale: string|null,
+ *   title: string|null, fields: string[]}>>}
+ */
+export async function findImageUsage(filename, source = 'uploads') {
+  await ensureImageUsageIndex();
+  const usage = [];
+  for (const entry of entries.values()) {
+    const fields = entry.images
+      .filter(use => use.source === source && use.filename === filename)
+      .map(use => use.field);
+    if (fields.length > 0) {
+      usage.push({ collection: entry.collection, slug: entry.slug, locale: entry.locale, title: entry.title, fields });
+    }
+  }
+  return usage.sort((a, b) =>
+    `${a.collection}/${a.slug}/${a.locale ?? ''}`.localeCompare(`${b.collection}/${b.slug}/${b.locale ?? ''}`));
+}
+
+/**
+ * How many entries use each image, by source
+ * @returns {Promise<{uploads: Map<string, number>, source: Map<string, number>}>}
+ *   image path -> entries (unused images aren't in them)
+ */
+export async function imageUsageCounts() {
+  await ensureImageUsageIndex();
+  const counts = { uploads: new Map(), source: new Map() };
+  for (const entry of entries.values()) {
+    for (const [source, sourceCounts] of Object.entries(counts)) {
+      const filenames = entry.images.filter(use => use.source === source).map(use => use.filename);
+      for (const filename of new Set(filenames)) {
+        sourceCounts.set(filename, (sourceCounts.get(filename) ?? 0) + 1);
+      }
+    }
+  }
+  return counts;
+}
+
+/**
+ * Point every upload path in a piece of content at where the image moved
+ * @param {*} value - Entry data, or a markdown body
+ * @param {Map<string, string>} moves - Old path -> new path, under public/images
+ * @returns {{value: *, count: number}} The rewritten copy, and how many paths changed
+ */
+export function mapImagePaths(value, moves) {
+  let count = 0;
+  const rewrite = (item) => {
+    if (typeof item === 'string') {
+      return item.replace(UPLOAD_PATH, (match, imagePath) => {
+        if (!moves.has(imagePath)) return match;
+        count++;
+        return `/images/${moves.get(imagePath)}`;
+      });
+    }
+    if (Array.isArray(item)) return item.map(rewrite);
+    if (item && typeof item === 'object' && !(item instanceof Date)) {
+      return Object.fromEntries(Object.entries(item).map(([key, child]) => [key, rewrite(child)]));
+    }
+    return item;
+  };
+  return { value: rewrite(value), count };
+}
+
+/**
+ * Point every entry using a moved upload at its new path, writing each
+ * through the content store (see rewriteReferences in references.js)
+ * @param {Map<string, string>} moves - Old path -> new path, under public/images
+ * @param {Object} [options]
+ * @param {string|null} [options.author] - Login making the change (for revision history)
+ * @returns {Promise<Array<{collection: string, slug: string, locale: string|null,
+ *   filePath: string}>>} The entries rewritten
+ */
+export async function rewriteImagePaths(moves, { author = null } = {}) {
+  await ensureImageUsageIndex();
+  const users = [...entries.values()]
+    .filter(entry => entry.images.some(use => use.source === 'uploads' && moves.has(use.filename)));
+  const written = [];
+
+  for (const user of users) {
+    const entry = await readContent(user.collection, user.slug, user.locale);
+    const data = mapImagePaths(entry.data, moves);
+    const body = mapImagePaths(entry.body ?? null, moves);
+    if (data.count + body.count === 0) continue;
+
+    const result = await writeContent(user.collection, user.slug, {
+      data: data.value,
+      body: body.value,
+      type: entry.type,
+    }, user.locale, { author });
+    written.push({ collection: user.collection, slug: user.slug, locale: user.locale, filePath: result.filePath });
+  }
+  return written;
+}
@@ -0,0 +1,21 @@
+/**
+ * Image worker
+ *
+ * Runs image-processing.js's decoding, resizing and encoding on a worker
+ * thread (see runInWorker there), so processing an upload or writing an AVIF
+ * crop doesn't block the server. Each message is { id, task, args }; the
+ * answer is { id, result } or { id, error }.
+ */
+
+import { parentPort } from 'worker_threads';
+import { processImage, encodeImage } from './image-processing.js';
+
+const TASKS = { processImage, encodeImage };
+
+parentPort.on('message', async ({ id, task, args }) => {
+  try {
+    parentPort.postMessage({ id, result: await TASKS[task](...args) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
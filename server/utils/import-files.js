@@ -13,7 +13,8 @@
  * loader types and file paths are still discoverable.
  *
  * Glob base/pattern resolution and locale splitting are shared with the file
- * store via glob-files.js.
+ * store via glob-files.js, and the data file formats (JSON, YAML, TOML, CSV)
+ * via data-formats.js.
  */
 
 import fs from 'fs/promises';
@@ -30,6 +31,7 @@ import {
   splitLocale,
   resolveProjectPath,
 } from './glob-files.js';
+import { isDataExtension, parseDataFile, parseFileCollection } from './data-formats.js';
 
 /**
  * Collect entries for a glob (directory) collection using the loader's base
@@ -50,9 +52,9 @@ async function collectGlobCollectionEntries(name, schema, i18nConfig) {
     let type;
     let data;
     let body;
-    if (ext === '.json') {
+    if (isDataExtension(ext)) {
       type = 'data';
-      data = JSON.parse(raw);
+      data = parseDataFile(raw, ext);
       body = null;
     } else {
       type = 'content';
@@ -78,7 +80,8 @@ async function collectGlobCollectionEntries(name, schema, i18nConfig) {
 }
 
 /**
- * Collect entries for a file() collection: a single JSON array of objects.
+ * Collect entries for a file() collection: a single data file holding a list
+ * of objects, or an object of entries keyed by id.
  */
 async function collectFileCollectionEntries(name, loaderFilePath) {
   const fullPath = resolveProjectPath(loaderFilePath);
@@ -90,10 +93,14 @@ async function collectFileCollectionEntries(name, loaderFilePath) {
     return [];
   }
 
-  const arr = JSON.parse(raw);
-  if (!Array.isArray(arr)) return [];
+  let items;
+  try {
+    ({ items } = parseFileCollection(raw, path.extname(fullPath)));
+  } catch (error) {
+    throw new Error(`Failed to parse ${loaderFilePath}: ${error.message}`, { cause: error });
+  }
 
-  return arr.map((item, index) => {
+  return items.map((item, index) => {
     const slug = item.id || item.slug || String(index);
     const data = { ...item, id: slug };
     const dataJson = JSON.stringify(data);
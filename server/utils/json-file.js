@@ -0,0 +1,57 @@
+/**
+ * Small JSON state files under .astroadmin/ (profiles, pending contributors,
+ * entry statuses)
+ *
+ * Reads treat a missing file as `{}`. Writes are atomic (temp file + rename),
+ * and updateJsonFile() serializes read-modify-write cycles per file, so
+ * concurrent requests can't drop each other's changes.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const jsonWriteQueues = new Map();
+
+function withJsonWriteQueue(filePath, task) {
+  const previous = jsonWriteQueues.get(filePath) || Promise.resolve();
+  const run = previous.catch(() => {}).then(task);
+  jsonWriteQueues.set(filePath, run);
+  run.finally(() => {
+    if (jsonWriteQueues.get(filePath) === run) jsonWriteQueues.delete(filePath);
+  }).catch(() => {});
+  return run;
+}
+
+/**
+ * Parse a JSON file, `{}` if it doesn't exist yet
+ * @returns {Promise<object>}
+ */
+export async function readJsonFile(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+}
+
+async function writeJsonFile(filePath, value) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, `${JSON.stringify(value, null, 2)}\n`);
+  await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Read-modify-write a JSON file. `update` gets the current object and mutates
+ * it in place; return `false` to skip the write (nothing changed).
+ * @param {string} filePath
+ * @param {(value: object) => (boolean|void|Promise<boolean|void>)} update
+ */
+export function updateJsonFile(filePath, update) {
+  return withJsonWriteQueue(filePath, async () => {
+    const value = await readJsonFile(filePath);
+    if ((await update(value)) === false) return;
+    await writeJsonFile(filePath, value);
+  });
+}
@@ -0,0 +1,306 @@
+/**
+ * Media Files
+ * The non-image uploads the media manager takes (server/api/media.js):
+ * documents, video, audio and archives. A file's type is decided by its
+ * contents, not its name: the extension picks the type it claims to be, and
+ * its first bytes have to agree (a PDF starts with %PDF-, an MP4 has an ftyp
+ * box, a DOCX is a zip…), so a renamed executable can't pass as a brochure.
+ *
+ * Once stored, what can be read cheaply is measured: a PDF's page count, and
+ * the duration and frame size of MP4/MOV/M4A and WAV files.
+ */
+
+import fs from 'fs/promises';
+
+// Media kinds, each with its own size limit (config.media.limits)
+export const MEDIA_KINDS = ['document', 'video', 'audio', 'archive'];
+
+// Bytes read from the start of a file to tell its type
+const SNIFF_BYTES = 4096;
+
+// The largest moov box read for MP4 measurements (it's usually a few KB)
+const MAX_MOOV_BYTES = 16 * 1024 * 1024;
+
+const ascii = (bytes, start, end) => String.fromCharCode(...bytes.subarray(start, end));
+const startsWith = (bytes, signature) => signature.every((byte, index) => bytes[index] === byte);
+const ftypBrand = bytes => (ascii(bytes, 4, 8) === 'ftyp' ? ascii(bytes, 8, 12) : null);
+
+// What each kind of file starts with
+const SIGNATURES = {
+  pdf: bytes => ascii(bytes, 0, 5) === '%PDF-',
+  zip: bytes => startsWith(bytes, [0x50, 0x4b, 0x03, 0x04]),
+  ole: bytes => startsWith(bytes, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]),
+  text: (bytes) => {
+    if (bytes.length === 0 || bytes.includes(0)) return false;
+    try {
+      // stream: a character cut off at the end of the sample isn't an error
+      new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+      return true;
+    } catch {
+      return false;
+    }
+  },
+  mp4: bytes => ftypBrand(bytes) !== null && !['qt  ', 'M4A ', 'M4B '].includes(ftypBrand(bytes)),
+  mov: bytes => ftypBrand(bytes) === 'qt  ' || ['moov', 'mdat', 'wide', 'free'].includes(ascii(bytes, 4, 8)),
+  m4a: bytes => ['M4A ', 'M4B '].includes(ftypBrand(bytes)),
+  webm: bytes => startsWith(bytes, [0x1a, 0x45, 0xdf, 0xa3]),
+  mp3: bytes => ascii(bytes, 0, 3) === 'ID3' || (bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0),
+  wav: bytes => ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 12) === 'WAVE',
+  ogg: bytes => ascii(bytes, 0, 4) === 'OggS',
+  flac: bytes => ascii(bytes, 0, 4) === 'fLaC',
+};
+
+// Every type taken, by extension. Office formats share containers (DOCX,
+// XLSX, PPTX and OpenDocument are zips; DOC, XLS and PPT are OLE files), so
+// for those the contents settle the family and the extension the format.
+const MEDIA_TYPES = [
+  { kind: 'document', mime: 'application/pdf', extensions: ['.pdf'], signature: 'pdf' },
+  { kind: 'document', mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extensions: ['.docx'], signature: 'zip' },
+  { kind: 'document', mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extensions: ['.xlsx'], signature: 'zip' },
+  { kind: 'document', mime: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', extensions: ['.pptx'], signature: 'zip' },
+  { kind: 'document', mime: 'application/vnd.oasis.opendocument.text', extensions: ['.odt'], signature: 'zip' },
+  { kind: 'document', mime: 'application/vnd.oasis.opendocument.spreadsheet', extensions: ['.ods'], signature: 'zip' },
+  { kind: 'document', mime: 'application/vnd.oasis.opendocument.presentation', extensions: ['.odp'], signature: 'zip' },
+  { kind: 'document', mime: 'application/msword', extensions: ['.doc'], signature: 'ole' },
+  { kind: 'document', mime: 'application/vnd.ms-excel', extensions: ['.xls'], signature: 'ole' },
+  { kind: 'document', mime: 'application/vnd.ms-powerpoint', extensions: ['.ppt'], signature: 'ole' },
+  { kind: 'document', mime: 'text/plain', extensions: ['.txt'], signature: 'text' },
+  { kind: 'document', mime: 'text/csv', extensions: ['.csv'], signature: 'text' },
+  { kind: 'video', mime: 'video/mp4', extensions: ['.mp4', '.m4v'], signature: 'mp4' },
+  { kind: 'video', mime: 'video/quicktime', extensions: ['.mov'], signature: 'mov' },
+  { kind: 'video', mime: 'video/webm', extensions: ['.webm'], signature: 'webm' },
+  { kind: 'audio', mime: 'audio/mpeg', extensions: ['.mp3'], signature: 'mp3' },
+  { kind: 'audio', mime: 'audio/mp4', extensions: ['.m4a'], signature: 'm4a' },
+  { kind: 'audio', mime: 'audio/wav', extensions: ['.wav'], signature: 'wav' },
+  { kind: 'audio', mime: 'audio/ogg', extensions: ['.ogg', '.oga'], signature: 'ogg' },
+  { kind: 'audio', mime: 'audio/flac', extensions: ['.flac'], signature: 'flac' },
+  { kind: 'archive', mime: 'application/zip', extensions: ['.zip'], signature: 'zip' },
+];
+
+// Signatures that say nothing on their own, so never name what a file "looks like"
+const WEAK_SIGNATURES = ['text', 'mp3'];
+
+// What a file "looks like" when only its container is known
+const CONTAINER_MIME_TYPES = { zip: 'application/zip', ole: 'application/x-ole-storage' };
+
+function extensionOf(filename) {
+  const dot = filename.lastIndexOf('.');
+  return dot === -1 ? '' : filename.slice(dot).toLowerCase();
+}
+
+/**
+ * Every extension the media manager takes
+ * @returns {string[]} With the dot: ['.pdf', …]
+ */
+export function mediaExtensions() {
+  return MEDIA_TYPES.flatMap(type => type.extensions);
+}
+
+/**
+ * The type a filename claims to be, or null if it isn't one we take
+ * @returns {{kind: string, mime: string, extensions: string[], signature: string}|null}
+ */
+export function mediaTypeOf(filename) {
+  const extension = extensionOf(filename);
+  return MEDIA_TYPES.find(type => type.extensions.includes(extension)) ?? null;
+}
+
+/**
+ * Check a file's first bytes against the type its name claims
+ * @param {Uint8Array} bytes - The start of the file (a few KB)
+ * @param {string} filename
+ * @returns {{type: Object|null, detected: string|null}} type is null when the
+ *   contents don't match; detected is the MIME type the contents look like,
+ *   when that can be told
+ */
+export function sniffMediaType(bytes, filename) {
+  const claimed = mediaTypeOf(filename);
+  if (claimed && SIGNATURES[claimed.signature](bytes)) {
+    return { type: claimed, detected: claimed.mime };
+  }
+  const lookalike = MEDIA_TYPES.find(type => !WEAK_SIGNATURES.includes(type.signature) && SIGNATURES[type.signature](bytes));
+  if (!lookalike) return { type: null, detected: null };
+  return { type: null, detected: CONTAINER_MIME_TYPES[lookalike.signature] ?? lookalike.mime };
+}
+
+/**
+ * The image format of a poster frame's bytes (JPEG, PNG or WebP), or null
+ * @returns {'jpg'|'png'|'webp'|null} The extension to store it under
+ */
+export function sniffPosterFormat(bytes) {
+  if (startsWith(bytes, [0xff, 0xd8, 0xff])) return 'jpg';
+  if (startsWith(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'png';
+  if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 12) === 'WEBP') return 'webp';
+  return null;
+}
+
+/**
+ * Read the first bytes of a file, for sniffMediaType
+ */
+export async function readFileStart(filePath, length = SNIFF_BYTES) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const buffer = new Uint8Array(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * A PDF's page count: the largest /Count of its page tree nodes, or failing
+ * that how many page objects it has. Null when neither can be read (page
+ * trees inside compressed object streams).
+ * @param {Uint8Array} bytes - The whole file
+ * @returns {number|null}
+ */
+export function pdfPageCount(bytes) {
+  const text = new TextDecoder('latin1').decode(bytes);
+  const counts = [...text.matchAll(/\/Type\s*\/Pages\b[^>]*?\/Count\s+(\d+)|\/Count\s+(\d+)[^>]*?\/Type\s*\/Pages\b/g)]
+    .map(match => Number(match[1] ?? match[2]));
+  if (counts.length > 0) return Math.max(...counts);
+
+  const pages = text.match(/\/Type\s*\/Page\b(?!s)/g)?.length ?? 0;
+  return pages > 0 ? pages : null;
+}
+
+/**
+ * The boxes directly inside an ISO media box (or a whole file's start)
+ * @returns {Array<{type: string, start: number, end: number}>} start is where
+ *   the box's contents begin
+ */
+function childBoxes(view, start, end) {
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = view.getUint32(offset);
+    const type = String.fromCharCode(...new Uint8Array(view.buffer, view.byteOffset + offset + 4, 4));
+    let header = 8;
+    if (size === 1) {
+      size = Number(view.getBigUint64(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header) break;
+    boxes.push({ type, start: offset + header, end: Math.min(offset + size, end) });
+    offset += size;
+  }
+  return boxes;
+}
+
+/**
+ * Find the moov box of an MP4/MOV/M4A file, walking the top-level box
+ * headers so the media data itself is never read
+ * @returns {Promise<DataView|null>}
+ */
+async function readMoov(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { size: fileSize } = await handle.stat();
+    const header = new Uint8Array(16);
+    let offset = 0;
+    while (offset + 8 <= fileSize) {
+      await handle.read(header, 0, 16, offset);
+      const view = new DataView(header.buffer);
+      let size = view.getUint32(0);
+      let headerSize = 8;
+      if (size === 1) {
+        size = Number(view.getBigUint64(8));
+        headerSize = 16;
+      } else if (size === 0) {
+        size = fileSize - offset;
+      }
+      if (size < headerSize) return null;
+
+      if (ascii(header, 4, 8) === 'moov') {
+        const length = size - headerSize;
+        if (length > MAX_MOOV_BYTES) return null;
+        const moov = new Uint8Array(length);
+        await handle.read(moov, 0, length, offset + headerSize);
+        return new DataView(moov.buffer);
+      }
+      offset += size;
+    }
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Duration and frame size of an MP4, MOV or M4A file, from its movie header
+ * (mvhd) and the first track header (tkhd) with a frame size
+ * @returns {Promise<{duration: number|null, width: number|null, height: number|null}>}
+ */
+export async function readMp4Info(filePath) {
+  const info = { duration: null, width: null, height: null };
+  const moov = await readMoov(filePath);
+  if (!moov) return info;
+
+  for (const box of childBoxes(moov, 0, moov.byteLength)) {
+    if (box.type === 'mvhd') {
+      const version = moov.getUint8(box.start);
+      const timescale = moov.getUint32(box.start + (version === 1 ? 20 : 12));
+      const duration = version === 1 ? Number(moov.getBigUint64(box.start + 24)) : moov.getUint32(box.start + 16);
+      if (timescale > 0) info.duration = Math.round((duration / timescale) * 100) / 100;
+    } else if (box.type === 'trak' && info.width === null) {
+      const tkhd = childBoxes(moov, box.start, box.end).find(child => child.type === 'tkhd');
+      if (!tkhd) continue;
+      const sizeOffset = tkhd.start + (moov.getUint8(tkhd.start) === 1 ? 88 : 76);
+      if (sizeOffset + 8 > tkhd.end) continue;
+      // 16.16 fixed point
+      const width = Math.round(moov.getUint32(sizeOffset) / 65536);
+      const height = Math.round(moov.getUint32(sizeOffset + 4) / 65536);
+      if (width > 0 && height > 0) {
+        info.width = width;
+        info.height = height;
+      }
+    }
+  }
+  return info;
+}
+
+/**
+ * Duration of a WAV file, from its fmt chunk's byte rate and data chunk's size
+ * @param {Uint8Array} bytes - The start of the file (its header chunks)
+ * @returns {number|null} Seconds
+ */
+export function wavDuration(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let byteRate = null;
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const id = ascii(bytes, offset, offset + 4);
+    const size = view.getUint32(offset + 4, true);
+    if (id === 'fmt ' && offset + 16 <= bytes.length) {
+      byteRate = view.getUint32(offset + 16, true);
+    } else if (id === 'data') {
+      return byteRate ? Math.round((size / byteRate) * 100) / 100 : null;
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+}
+
+/**
+ * What can be measured about a stored media file
+ * @param {string} filePath
+ * @param {Object} type - As returned by mediaTypeOf
+ * @returns {Promise<{pages?: number|null, duration?: number|null,
+ *   width?: number|null, height?: number|null}>}
+ */
+export async function readMediaInfo(filePath, type) {
+  if (type.signature === 'pdf') {
+    return { pages: pdfPageCount(await fs.readFile(filePath)) };
+  }
+  if (['mp4', 'mov', 'm4a'].includes(type.signature)) {
+    const { duration, width, height } = await readMp4Info(filePath);
+    return type.kind === 'video' ? { duration, width, height } : { duration };
+  }
+  if (type.signature === 'wav') {
+    return { duration: wavDuration(await readFileStart(filePath, 64 * 1024)) };
+  }
+  return {};
+}
@@ -0,0 +1,88 @@
+/**
+ * Per-collection access control
+ *
+ * `permissions` in astroadmin.config.js limits which collections a login can
+ * see and edit, keyed by username:
+ *
+ *   permissions: {
+ *     marketing: { collections: ['pages', 'testimonials'] },
+ *     reviewer: { collections: '*', readOnly: ['settings'] },
+ *     intern: ['posts'], // shorthand for { collections: ['posts'] }
+ *   }
+ *
+ * A username with no entry can access every collection its role allows.
+ * `readOnly` collections are visible but can't be written, on top of those in
+ * `collections`.
+ */
+
+import { getConfig } from '../config.js';
+
+/**
+ * Access a user has to a collection
+ * @param {object|undefined} permissions - `config.permissions`
+ * @param {string|null|undefined} username - Logged-in user (none = unrestricted)
+ * @param {string} collection - Collection name
+ * @returns {'write'|'read'|'none'}
+ */
+export function getCollectionAccess(permissions, username, collection) {
+  if (!username || !permissions) return 'write';
+
+  let rule = Object.prototype.hasOwnProperty.call(permissions, username)
+    ? permissions[username]
+    : undefined;
+  if (rule === undefined || rule === null) return 'write';
+  if (Array.isArray(rule) || typeof rule === 'string') rule = { collections: rule };
+
+  if (matchesCollection(rule.readOnly, collection)) return 'read';
+  if (matchesCollection(rule.collections, collection)) return 'write';
+  return 'none';
+}
+
+function matchesCollection(list, collection) {
+  if (list === '*') return true;
+  return Array.isArray(list) && (list.includes('*') || list.includes(collection));
+}
+
+/**
+ * Username for a request (set by requireAuth, or straight from the session)
+ */
+function requestUsername(req) {
+  return req.user?.username ?? req.session?.user ?? null;
+}
+
+/**
+ * Access the requesting user has to a collection
+ * @returns {Promise<'write'|'read'|'none'>}
+ */
+export async function collectionAccessForRequest(req, collection) {
+  const fullConfig = await getConfig();
+  return getCollectionAccess(fullConfig.permissions, requestUsername(req), collection);
+}
+
+/**
+ * Express middleware: 403 unless the user has at least `level` access to the
+ * collection named in the route (`:collection` or `:collectionName`)
+ * @param {'read'|'write'} level
+ */
+export function requireCollectionAccess(level) {
+  return async (req, res, next) => {
+    try {
+      const collection = req.params.collection ?? req.params.collectionName;
+      const access = await collectionAccessForRequest(req, collection);
+      const allowed = level === 'read' ? access !== 'none' : access === 'write';
+
+      if (!allowed) {
+        return res.status(403).json({
+          success: false,
+          error: 'Forbidden',
+          message: access === 'read'
+            ? `Collection "${collection}" is read-only for your account`
+            : `Your account cannot access collection "${collection}"`,
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
@@ -0,0 +1,171 @@
+/**
+ * Publish run logs
+ *
+ * Every publish is a run with a log of its own: each line of git, build and
+ * deploy output is appended to `<publishLogs.dir>/<id>.log` as it happens and
+ * emitted on `runEvents`, which the WebSocket log stream (server/log-stream.js)
+ * forwards to the dashboard. A JSON summary sits next to each log, and runs
+ * beyond the newest `publishLogs.keep` are deleted.
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+
+const RUN_ID = /^\d{17}-[0-9a-f]{6}$/;
+
+/**
+ * Run lifecycle events: 'start' (summary), 'line' ({ runId, streamIds, step,
+ * text, time }) and 'end' (summary)
+ */
+export const runEvents = new EventEmitter();
+
+let lastRunTime = 0;
+
+/**
+ * New run id: a sortable UTC timestamp (to the millisecond, and strictly
+ * increasing within this process so pruning keeps the right runs) plus a
+ * random suffix
+ */
+export function createRunId(date = new Date()) {
+  const time = Math.max(date.getTime(), lastRunTime + 1);
+  lastRunTime = time;
+  const stamp = new Date(time).toISOString().replace(/[-:T.Z]/g, '');
+  return `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+export function isRunId(id) {
+  return typeof id === 'string' && RUN_ID.test(id);
+}
+
+// A relative publishLogs.dir is relative to the project
+function runsDir(fullConfig) {
+  return path.resolve(fullConfig.paths.projectRoot, fullConfig.publishLogs.dir);
+}
+
+class PublishRun {
+  constructor(dir, summary, keep) {
+    this.dir = dir;
+    this.summary = summary;
+    this.keep = keep;
+    this.logPath = path.join(dir, `${summary.id}.log`);
+  }
+
+  get id() {
+    return this.summary.id;
+  }
+
+  /**
+   * Append output from a step ('git', 'build', 'deploy', ...) to the log
+   */
+  log(step, text) {
+    const time = new Date().toISOString();
+    const lines = String(text).replace(/\r\n?/g, '\n').replace(/\n$/, '').split('\n');
+    fs.appendFileSync(this.logPath, lines.map(line => `${time} [${step}] ${line}\n`).join(''));
+    for (const line of lines) {
+      runEvents.emit('line', { runId: this.id, streamIds: this.summary.streamIds, step, text: line, time });
+    }
+  }
+
+  /**
+   * A log sink for one step, in the `(msg) => void` shape deploy adapters take
+   */
+  logger(step) {
+    return (text) => this.log(step, text);
+  }
+
+  /**
+   * Record the outcome and drop the oldest runs
+   */
+  finish({ success, error = null }) {
+    this.summary = { ...this.summary, finishedAt: new Date().toISOString(), success, error };
+    writeSummary(this.dir, this.summary);
+    runEvents.emit('end', this.summary);
+    pruneRuns(this.dir, this.keep);
+    return this.summary;
+  }
+}
+
+function writeSummary(dir, summary) {
+  fs.writeFileSync(path.join(dir, `${summary.id}.json`), JSON.stringify(summary, null, 2) + '\n');
+}
+
+function pruneRuns(dir, keep) {
+  const ids = fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => name.slice(0, -'.json'.length))
+    .filter(isRunId)
+    .sort()
+    .reverse();
+  for (const id of ids.slice(keep)) {
+    fs.rmSync(path.join(dir, `${id}.json`), { force: true });
+    fs.rmSync(path.join(dir, `${id}.log`), { force: true });
+  }
+}
+
+/**
+ * Start a run
+ * @param {object} fullConfig
+ * @param {object} [options]
+ * @param {string|null} [options.user] - Who started it
+ * @param {string[]} [options.streamIds] - Client-chosen ids so dashboards
+ *   can pick their own run out of the live stream (several when publish
+ *   requests were coalesced into one run)
+ * @param {string} [options.kind='publish']
+ * @returns {PublishRun}
+ */
+export function startRun(fullConfig, { user = null, streamIds = [], kind = 'publish' } = {}) {
+  const dir = runsDir(fullConfig);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const summary = {
+    id: createRunId(),
+    kind,
+    user,
+    streamIds: streamIds.filter(id => typeof id === 'string').map(id => id.slice(0, 100)),
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    success: null,
+    error: null,
+  };
+  writeSummary(dir, summary);
+  fs.writeFileSync(path.join(dir, `${summary.id}.log`), '');
+
+  const run = new PublishRun(dir, summary, fullConfig.publishLogs.keep || 50);
+  runEvents.emit('start', summary);
+  return run;
+}
+
+/**
+ * Recent runs, newest first
+ * @returns {object[]} Run summaries
+ */
+export function listRuns(fullConfig, limit = 20) {
+  const dir = runsDir(fullConfig);
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json') && isRunId(name.slice(0, -'.json'.length)))
+    .sort()
+    .reverse()
+    .slice(0, limit)
+    .map(name => JSON.parse(fs.readFileSync(path.join(dir, name), 'utf-8')));
+}
+
+/**
+ * A run's summary and full log, or null if there's no such run
+ * @returns {{ summary: object, log: string }|null}
+ */
+export function readRun(fullConfig, id) {
+  if (!isRunId(id)) return null;
+  const dir = runsDir(fullConfig);
+  const summaryPath = path.join(dir, `${id}.json`);
+  if (!fs.existsSync(summaryPath)) return null;
+
+  const logPath = path.join(dir, `${id}.log`);
+  return {
+    summary: JSON.parse(fs.readFileSync(summaryPath, 'utf-8')),
+    log: fs.existsSync(logPath) ? fs.readFileSync(logPath, 'utf-8') : '',
+  };
+}
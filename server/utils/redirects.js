@@ -0,0 +1,198 @@
+/**
+ * Redirects for renamed entries
+ *
+ * When an entry's slug changes, its old URL can keep working through a
+ * redirect in one of two places:
+ *
+ *   'astro'      - the `redirects` object of astro.config.*, which Astro turns
+ *                  into redirect pages (or host rules, with an adapter)
+ *   '_redirects' - public/_redirects (Netlify / Cloudflare Pages format:
+ *                  `/old /new 301`), copied into the build as-is
+ *
+ * Publishing commits whichever of these files exist along with the configured
+ * git paths (see api/publish.js getGitPaths).
+ *
+ * Both keep redirects flat: renaming a→b then b→c leaves a→c and b→c rather
+ * than a chain, and a path that becomes live again (renaming c back to a)
+ * loses its redirect.
+ */
+
+import { existsSync } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+
+export const REDIRECT_TARGETS = ['astro', '_redirects'];
+
+const ASTRO_CONFIG_FILES = [
+  'astro.config.mjs',
+  'astro.config.ts',
+  'astro.config.js',
+  'astro.config.mts',
+  'astro.config.cjs',
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Regex source for a quoted string literal, its quote captured as group `group`
+ */
+function quoted(text, group) {
+  return `(['"\`])${escapeRegExp(text)}\\${group}`;
+}
+
+/**
+ * Apply redirects to the text of a _redirects file
+ * @param {string} text - Current file content ('' for a new file)
+ * @param {Array<{from: string, to: string}>} redirects
+ * @returns {string}
+ */
+export function applyToRedirectsFile(text, redirects) {
+  for (const { from, to } of redirects) {
+    if (/\s/.test(from) || /\s/.test(to)) {
+      throw new Error(`A redirect path can't contain whitespace: ${JSON.stringify(/\s/.test(from) ? from : to)}`);
+    }
+  }
+
+  let lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+
+  for (const { from, to } of redirects) {
+    const kept = [];
+    let replaced = false;
+    for (const line of lines) {
+      const [source, destination, ...rest] = line.trim().split(/\s+/);
+      if (!source || source.startsWith('#')) {
+        kept.push(line);
+      } else if (source === to) {
+        // Live again: its old redirect would hide it
+      } else if (source === from) {
+        if (!replaced) kept.push(`${from} ${to} 301`);
+        replaced = true;
+      } else if (destination === from) {
+        kept.push([source, to, ...rest].join(' '));
+      } else {
+        kept.push(line);
+      }
+    }
+    if (!replaced) kept.push(`${from} ${to} 301`);
+    lines = kept;
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * The body of the config's `redirects: { ... }` object, or null if it has none
+ * @returns {{start: number, end: number, indent: string}|null} - Offsets just
+ *   inside the braces, and the indentation of the `redirects` line
+ */
+function findRedirectsObject(source) {
+  const match = source.match(/^([ \t]*)redirects\s*:\s*\{/m);
+  if (!match) return null;
+  const start = match.index + match[0].length;
+  let depth = 1;
+  for (let index = start; index < source.length; index++) {
+    if (source[index] === '{') depth++;
+    if (source[index] === '}' && --depth === 0) return { start, end: index, indent: match[1] };
+  }
+  return null;
+}
+
+/**
+ * Apply redirects to the source of an Astro config. Only its `redirects`
+ * object is edited (simple `'from': 'to'` entries, and `destination`s of
+ * object entries); a config without one gets one added to its
+ * `defineConfig({ ... })` (or exported object).
+ * @param {string} source - astro.config.* content
+ * @param {Array<{from: string, to: string}>} redirects
+ * @returns {string}
+ * @throws if there's nowhere recognisable to add the redirects
+ */
+export function applyToAstroConfig(source, redirects) {
+  let next = source;
+
+  for (const { from, to } of redirects) {
+    const object = findRedirectsObject(next);
+    if (!object) {
+      const config = next.match(/(?:defineConfig\(\s*|export\s+default\s+)\{/);
+      if (!config) {
+        throw new Error('Could not find the config object to add `redirects` to');
+      }
+      const at = config.index + config[0].length;
+      next = `${next.slice(0, at)}\n  redirects: {\n    ${JSON.stringify(from)}: ${JSON.stringify(to)},\n  },${next.slice(at)}`;
+      continue;
+    }
+
+    let body = next.slice(object.start, object.end);
+
+    // Live again: drop its redirect
+    body = body.replace(new RegExp(`^[ \\t]*${quoted(to, 1)}\\s*:\\s*(['"\`])[^'"\`\\n]*\\2\\s*,?[ \\t]*\\n`, 'm'), '');
+    // Earlier redirects to the old path follow it
+    body = body.replace(new RegExp(`(:\\s*)${quoted(from, 2)}`, 'g'), (match, prefix) => `${prefix}${JSON.stringify(to)}`);
+
+    const existing = new RegExp(`^([ \\t]*${quoted(from, 2)}\\s*:\\s*)(['"\`])[^'"\`\\n]*\\3`, 'm');
+    if (existing.test(body)) {
+      body = body.replace(existing, (match, prefix) => `${prefix}${JSON.stringify(to)}`);
+    } else {
+      body = `\n${object.indent}  ${JSON.stringify(from)}: ${JSON.stringify(to)},${body}`;
+    }
+    next = `${next.slice(0, object.start)}${body}${next.slice(object.end)}`;
+  }
+  return next;
+}
+
+/**
+ * The redirect files addRedirects may have edited that the project has
+ * @returns {string[]} Project-relative paths
+ */
+export function existingRedirectFiles(projectRoot) {
+  return ['public/_redirects', ...ASTRO_CONFIG_FILES]
+    .filter(name => existsSync(path.join(projectRoot, name)));
+}
+
+async function readIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Add redirects to the project
+ * @param {string} projectRoot
+ * @param {string} target - One of REDIRECT_TARGETS
+ * @param {Array<{from: string, to: string}>} redirects - Site paths ('/old' → '/new')
+ * @returns {Promise<{filePath: string}>} The file changed
+ * @throws on an unknown target, or an Astro config that can't be edited
+ */
+export async function addRedirects(projectRoot, target, redirects) {
+  const changes = redirects.filter(({ from, to }) => from !== to);
+
+  if (target === '_redirects') {
+    const filePath = path.join(projectRoot, 'public/_redirects');
+    const current = (await readIfExists(filePath)) ?? '';
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, applyToRedirectsFile(current, changes), 'utf-8');
+    return { filePath };
+  }
+
+  if (target === 'astro') {
+    for (const name of ASTRO_CONFIG_FILES) {
+      const filePath = path.join(projectRoot, name);
+      const current = await readIfExists(filePath);
+      if (current === null) continue;
+      try {
+        await fs.writeFile(filePath, applyToAstroConfig(current, changes), 'utf-8');
+      } catch (error) {
+        throw new Error(`${name}: ${error.message}`);
+      }
+      return { filePath };
+    }
+    throw new Error('No astro.config file found in the project');
+  }
+
+  throw new Error(`Unknown redirect target "${target}" (expected one of: ${REDIRECT_TARGETS.join(', ')})`);
+}
@@ -0,0 +1,272 @@
+/**
+ * Reverse references
+ *
+ * Which entries point at which. A field is a reference when its schema says
+ * so — `reference('team')`, tagged by the schema-parser shim — or by the
+ * `teamId` / `teamIds` naming convention the editor also treats as a
+ * reference, when that collection exists.
+ *
+ * The index holds the references of every entry. Like the search index it is
+ * built from the whole content store on first use, updated entry by entry by
+ * the content-store dispatcher (indexEntryReferences / unindexEntryReferences),
+ * and rebuilt after git rewrites the tree underneath it. It backs the delete
+ * check and "Used by" in server/api/content.js, and rewriteReferences.
+ */
+
+import { loadSchemas } from './collections.js';
+import { readAllEntries } from './all-entries.js';
+import { readContent, writeContent } from './content-store.js';
+import { inferCollectionFromFieldName } from './schema-parser.js';
+import { entryTitle } from '../search-index.js';
+
+/**
+ * The collection a field references, or null if it isn't a reference. An
+ * array of reference() items isn't one itself: each item is.
+ * @param {string|null} name - The field's key
+ * @param {Object} fieldSchema - Its JSON Schema
+ * @param {string[]} collectionNames - Collections that exist
+ */
+export function referencedCollection(name, fieldSchema, collectionNames) {
+  if (!fieldSchema) return null;
+  if (fieldSchema.referenceCollection) return fieldSchema.referenceCollection;
+  if (fieldSchema.items?.referenceCollection) return null;
+  const inferred = name ? inferCollectionFromFieldName(name, fieldSchema) : null;
+  return inferred && collectionNames.includes(inferred) ? inferred : null;
+}
+
+/**
+ * Whether a union option (anyOf/oneOf member) can describe a value: object
+ * options must agree with the value's discriminator (any `const` property)
+ */
+function optionMatches(option, value) {
+  if (!option || typeof option !== 'object' || option.type === 'null') return false;
+  if (option.properties && value && typeof value === 'object' && !Array.isArray(value)) {
+    return Object.entries(option.properties).every(
+      ([key, property]) => property?.const === undefined || value[key] === property.const
+    );
+  }
+  return true;
+}
+
+/**
+ * array.map that returns the array itself when nothing changed
+ */
+function mapArray(array, fn) {
+  const mapped = array.map(fn);
+  return mapped.every((item, index) => item === array[index]) ? array : mapped;
+}
+
+/**
+ * Walk entry data along its schema, calling `visit` for each reference. If
+ * visit returns a string, that id replaces the reference.
+ * @param {Object} data - Entry data
+ * @param {Object} jsonSchema - The collection's JSON Schema
+ * @param {string[]} collectionNames - Collections that exist
+ * @param {(ref: {field: string, collection: string, id: string}) => string|undefined} visit
+ * @returns {Object} The data, with any replaced references (copied where they were)
+ */
+export function mapReferences(data, jsonSchema, collectionNames, visit) {
+  const seen = new Set();
+  const visitOnce = (ref) => {
+    // Several matching union options can describe the same field
+    if (seen.has(ref.field)) return undefined;
+    seen.add(ref.field);
+    return visit(ref);
+  };
+
+  const walk = (value, schema, fieldPath, name) => {
+    if (!schema || value === undefined || value === null) return value;
+
+    for (const key of ['anyOf', 'oneOf', 'allOf']) {
+      for (const option of Array.isArray(schema[key]) ? schema[key] : []) {
+        if (optionMatches(option, value)) value = walk(value, option, fieldPath, name);
+      }
+    }
+
+    const collection = referencedCollection(name, schema, collectionNames);
+    if (collection) {
+      if (typeof value === 'string' && value) {
+        return visitOnce({ field: fieldPath, collection, id: value }) ?? value;
+      }
+      if (Array.isArray(value)) {
+        return mapArray(value, (item, index) => (typeof item === 'string' && item
+          ? visitOnce({ field: `${fieldPath}[${index}]`, collection, id: item }) ?? item
+          : item));
+      }
+      return value;
+    }
+
+    if (Array.isArray(value) && schema.items) {
+      return mapArray(value, (item, index) => walk(item, schema.items, `${fieldPath}[${index}]`, name));
+    }
+    if (typeof value === 'object' && !Array.isArray(value) && schema.properties) {
+      let next = value;
+      for (const [key, child] of Object.entries(schema.properties)) {
+        if (!(key in value)) continue;
+        const mapped = walk(value[key], child, fieldPath ? `${fieldPath}.${key}` : key, key);
+        if (mapped !== value[key]) {
+          if (next === value) next = { ...value };
+          next[key] = mapped;
+        }
+      }
+      return next;
+    }
+    return value;
+  };
+
+  return walk(data, jsonSchema, '', null);
+}
+
+/**
+ * Every reference an entry's data holds
+ * @returns {Array<{field: string, collection: string, id: string}>}
+ */
+export function findReferences(data, jsonSchema, collectionNames) {
+  const references = [];
+  mapReferences(data, jsonSchema, collectionNames, (ref) => {
+    references.push(ref);
+    return undefined;
+  });
+  return references;
+}
+
+// entryKey -> { collection, slug, locale, title, references }
+let entries = new Map();
+// Promise of the running/finished full build; null until first use
+let built = null;
+// Bumped by invalidateReferenceIndex (see search.js)
+let generation = 0;
+
+function entryKey(collection, slug, locale) {
+  return `${collection}/${slug}/${locale ?? ''}`;
+}
+
+async function schemaContext() {
+  const schemas = await loadSchemas();
+  return { schemas, collectionNames: Object.keys(schemas) };
+}
+
+function indexedEntry({ collection, slug, locale, data }, { schemas, collectionNames }) {
+  return {
+    collection,
+    slug,
+    locale: locale ?? null,
+    title: entryTitle(data),
+    references: findReferences(data, schemas[collection]?.schema, collectionNames),
+  };
+}
+
+/**
+ * Rebuild the whole index from the content store
+ * @returns {Promise<number>} Entries indexed
+ */
+export async function rebuildReferenceIndex() {
+  const startedGeneration = generation;
+  const context = await schemaContext();
+  const next = new Map();
+  for (const entry of await readAllEntries({ label: 'References' })) {
+    next.set(entryKey(entry.collection, entry.slug, entry.locale), indexedEntry(entry, context));
+  }
+  entries = next;
+  if (startedGeneration !== generation) {
+    built = null;
+  }
+  return next.size;
+}
+
+/**
+ * Build the index if this process hasn't yet (or it was invalidated)
+ */
+export async function ensureReferenceIndex() {
+  if (!built) {
+    built = rebuildReferenceIndex().catch((error) => {
+      built = null;
+      throw error;
+    });
+  }
+  await built;
+}
+
+/**
+ * Mark the index stale: git (or a schema reload) changed what it was built
+ * from. The next lookup rebuilds it.
+ */
+export function invalidateReferenceIndex() {
+  generation++;
+  built = null;
+}
+
+/**
+ * Re-index one entry after the content store saved it (no-op until built)
+ */
+export async function indexEntryReferences(collection, slug, locale, { data }) {
+  if (!built) return;
+  await built;
+  const context = await schemaContext();
+  entries.set(entryKey(collection, slug, locale), indexedEntry({ collection, slug, locale, data }, context));
+}
+
+/**
+ * Drop a deleted entry from the index (no-op until built)
+ */
+export async function unindexEntryReferences(collection, slug, locale) {
+  if (!built) return;
+  await built;
+  entries.delete(entryKey(collection, slug, locale));
+}
+
+/**
+ * The entries that reference one, each with the fields that do. An entry
+ * referencing itself doesn't count.
+ * @param {string} collection
+ * @param {string} slug - The referenced entry's id
+ * @returns {Promise<Array<{collection: string, slug: string, locale: string|null,
+ *   title: string|null, fields: string[]}>>}
+ */
+export async function findReferrers(collection, slug) {
+  await ensureReferenceIndex();
+  const referrers = [];
+  for (const entry of entries.values()) {
+    if (entry.collection === collection && entry.slug === slug) continue;
+    const fields = entry.references
+      .filter(ref => ref.collection === collection && ref.id === slug)
+      .map(ref => ref.field);
+    if (fields.length > 0) {
+      referrers.push({ collection: entry.collection, slug: entry.slug, locale: entry.locale, title: entry.title, fields });
+    }
+  }
+  return referrers.sort((a, b) =>
+    `${a.collection}/${a.slug}/${a.locale ?? ''}`.localeCompare(`${b.collection}/${b.slug}/${b.locale ?? ''}`));
+}
+
+/**
+ * Point every reference to `collection/from` at `collection/to` instead
+ * (after a rename), writing each referring entry through the content store
+ * @param {Object} [options]
+ * @param {string|null} [options.author] - Login making the change (for revision history)
+ * @returns {Promise<Array<{collection: string, slug: string, locale: string|null,
+ *   filePath: string, fields: string[]}>>} The entries rewritten
+ */
+export async function rewriteReferences(collection, from, to, { author = null } = {}) {
+  const { schemas, collectionNames } = await schemaContext();
+  const written = [];
+
+  for (const referrer of await findReferrers(collection, from)) {
+    const entry = await readContent(referrer.collection, referrer.slug, referrer.locale);
+    const fields = [];
+    const data = mapReferences(entry.data, schemas[referrer.collection]?.schema, collectionNames, (ref) => {
+      if (ref.collection !== collection || ref.id !== from) return undefined;
+      fields.push(ref.field);
+      return to;
+    });
+    if (fields.length === 0) continue;
+
+    const result = await writeContent(referrer.collection, referrer.slug, {
+      data,
+      body: entry.body,
+      type: entry.type,
+    }, referrer.locale, { author });
+    written.push({ collection: referrer.collection, slug: referrer.slug, locale: referrer.locale, filePath: result.filePath, fields });
+  }
+  return written;
+}
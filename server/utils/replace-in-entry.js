@@ -0,0 +1,58 @@
+/**
+ * The text side of find and replace: which fields a replacement covers and
+ * what it does to one entry. Kept free of the content store so it can also
+ * run in the find-replace worker (see replace-worker.js).
+ */
+
+/**
+ * Whether a field path falls under one of the requested fields. Array
+ * indexes are ignored, and a field includes everything nested in it:
+ * 'blocks.heading' matches 'blocks[2].heading', 'seo' matches
+ * 'seo.description', 'body' is the markdown body.
+ * @param {string} fieldPath - Form path, as in the editor ('blocks[0].heading')
+ * @param {string[]|null} fields - null matches every field
+ */
+export function fieldMatches(fieldPath, fields) {
+  if (!fields) return true;
+  const normalized = fieldPath.replace(/\[\d+\]/g, '');
+  return fields.some(field => normalized === field || normalized.startsWith(`${field}.`));
+}
+
+/**
+ * Apply the replacement to one entry
+ * @param {{data: Object, body?: string|null}} entry
+ * @param {ReturnType<typeof parseReplaceOptions>} options
+ * @returns {{data: Object, body: string|null, changes: Array<{field: string, count: number}>, count: number}|null}
+ *   The replaced entry and where it changed, or null if nothing matched
+ */
+export function replaceInEntry(entry, { pattern, replacement, literal, fields }) {
+  const changes = [];
+
+  const replaceText = (text, fieldPath) => {
+    if (!fieldMatches(fieldPath, fields)) return text;
+    const count = text.match(pattern)?.length ?? 0;
+    if (count === 0) return text;
+    const next = literal ? text.replace(pattern, () => replacement) : text.replace(pattern, replacement);
+    if (next !== text) changes.push({ field: fieldPath, count });
+    return next;
+  };
+
+  const walk = (value, fieldPath) => {
+    if (typeof value === 'string') return replaceText(value, fieldPath);
+    if (Array.isArray(value)) return value.map((item, index) => walk(item, `${fieldPath}[${index}]`));
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      const next = {};
+      for (const [key, child] of Object.entries(value)) {
+        next[key] = walk(child, fieldPath ? `${fieldPath}.${key}` : key);
+      }
+      return next;
+    }
+    return value;
+  };
+
+  const data = walk(entry.data ?? {}, '');
+  const body = typeof entry.body === 'string' ? replaceText(entry.body, 'body') : entry.body ?? null;
+
+  if (changes.length === 0) return null;
+  return { data, body, changes, count: changes.reduce((sum, change) => sum + change.count, 0) };
+}
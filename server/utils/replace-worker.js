@@ -0,0 +1,21 @@
+/**
+ * Find-replace worker
+ *
+ * Runs an editor's pattern over every entry of a replacement off the main
+ * thread, so find-replace.js can terminate it when the pattern backtracks
+ * for too long. Receives { entries, options } once, answers { results } with
+ * replaceInEntry's result for each entry (or { error }).
+ */
+
+import { parentPort } from 'worker_threads';
+import { replaceInEntry } from './replace-in-entry.js';
+
+parentPort.once('message', ({ entries, options }) => {
+  try {
+    const pattern = new RegExp(options.source, options.flags);
+    const results = entries.map(entry => replaceInEntry(entry, { ...options, pattern }));
+    parentPort.postMessage({ results });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
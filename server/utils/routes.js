@@ -149,6 +149,26 @@ export async function getPreviewRoute(collectionName, userConfig = {}) {
   return detectedRoutes[collectionName] || null;
 }
 
+/**
+ * The site path an entry is served at (e.g. '/', '/about', '/de/blog/hello'),
+ * or null when its collection has no page route. Mirrors the dashboard's
+ * getCurrentPagePath(): `pages` maps straight onto the URL ('home' is '/'),
+ * other collections use their preview route, and non-default locales get a
+ * `/<locale>` prefix.
+ */
+export async function getEntryPagePath(collectionName, slug, locale = null, userConfig = {}) {
+  const i18n = userConfig.i18n || {};
+  const isDefaultLocale = !i18n.enabled || !locale || locale === i18n.defaultLocale;
+  const localePrefix = isDefaultLocale ? '' : `/${locale}`;
+
+  if (collectionName === 'pages') {
+    if (slug === 'home') return isDefaultLocale ? '/' : localePrefix;
+    return `${localePrefix}/${slug}`;
+  }
+  const route = await getPreviewRoute(collectionName, userConfig);
+  return route ? `${localePrefix}${route.replace('{slug}', slug)}` : null;
+}
+
 /**
  * Clear route cache (called when pages change)
  */
@@ -14,13 +14,18 @@ import zodToJsonSchema from 'zod-to-json-schema';
 /**
  * Minimal shim for astro:content virtual module.
  * astro:content just re-exports zod and provides defineCollection.
+ * reference() becomes the string (entry id) it is in frontmatter, tagged with
+ * the target collection — toJsonSchema turns the tag into `referenceCollection`.
  */
 const ASTRO_CONTENT_SHIM = `
-export { z } from 'zod';
+import { z } from 'zod';
+export { z };
 export const defineCollection = (config) => config;
-export const reference = (collection) => ({ _type: 'reference', collection });
+export const reference = (collection) => z.string().describe(\`reference:\${collection}\`);
 `;
 
+const REFERENCE_DESCRIPTION = /^reference:([\w-]+)$/;
+
 /**
  * Shim for astro/loaders module (Astro 5+).
  * Provides file() and glob() loader functions that record loader metadata.
@@ -294,10 +299,33 @@ export async function parseAstroSchemas(projectRoot) {
  *   - io: 'input'             describe the editable INPUT shape (defaults optional)
  */
 function toJsonSchema(zodSchema) {
-  if (typeof zodSchema?.toJSONSchema === 'function') {
-    return zodSchema.toJSONSchema({ reused: 'inline', unrepresentable: 'any', io: 'input' });
+  const jsonSchema = typeof zodSchema?.toJSONSchema === 'function'
+    ? zodSchema.toJSONSchema({ reused: 'inline', unrepresentable: 'any', io: 'input' })
+    : zodToJsonSchema(zodSchema, { $refStrategy: 'none', errorMessages: true });
+  markReferenceFields(jsonSchema);
+  return jsonSchema;
+}
+
+/**
+ * Tag every reference() field (see ASTRO_CONTENT_SHIM) in a JSON Schema with
+ * `referenceCollection: '<collection>'`, in place
+ */
+function markReferenceFields(node) {
+  if (!node || typeof node !== 'object') return;
+  if (Array.isArray(node)) {
+    node.forEach(markReferenceFields);
+    return;
+  }
+  const match = typeof node.description === 'string' && node.description.match(REFERENCE_DESCRIPTION);
+  if (match) {
+    node.referenceCollection = match[1];
+  }
+  if (node.properties) {
+    Object.values(node.properties).forEach(markReferenceFields);
+  }
+  for (const key of ['items', 'anyOf', 'oneOf', 'allOf', 'additionalProperties']) {
+    markReferenceFields(node[key]);
   }
-  return zodToJsonSchema(zodSchema, { $refStrategy: 'none', errorMessages: true });
 }
 
 /**
@@ -476,7 +504,7 @@ function detectBlockCollectionReferences(discriminatedUnions, jsonSchema) {
  * @param {Object} fieldSchema - The JSON Schema for the field
  * @returns {string|null} - Collection name or null if not a reference
  */
-function inferCollectionFromFieldName(fieldName, fieldSchema) {
+export function inferCollectionFromFieldName(fieldName, fieldSchema) {
   // Check for array of strings (e.g., testimonialIds: z.array(z.string()))
   if (
     fieldSchema.type === 'array' &&
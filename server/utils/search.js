@@ -0,0 +1,105 @@
+/**
+ * Content search
+ *
+ * Keeps the full-text index (server/search-index.js) in step with the active
+ * content store. The index is built from scratch on the first search after
+ * startup (or after git has changed the working tree underneath it), then
+ * updated entry by entry as the content store writes and deletes — the
+ * dispatcher in content-store.js calls indexSavedEntry / unindexEntry.
+ */
+
+import path from 'path';
+import { getConfig } from '../config.js';
+import { createSearchIndex } from '../search-index.js';
+import { readAllEntries } from './all-entries.js';
+
+let index = null;
+// Promise of the running/finished full build; null until the first search
+let built = null;
+// Bumped by invalidateSearchIndex, so a build overtaken by a tree change
+// doesn't mark the index fresh
+let generation = 0;
+
+async function getIndex() {
+  if (!index) {
+    const fullConfig = await getConfig();
+    index = createSearchIndex({
+      path: path.resolve(fullConfig.paths.projectRoot, fullConfig.search.path),
+    });
+  }
+  return index;
+}
+
+/**
+ * Rebuild the whole index from the content store
+ * @returns {Promise<number>} Entries indexed
+ */
+export async function rebuildSearchIndex() {
+  const startedGeneration = generation;
+  const entries = await readAllEntries({ label: 'Search' });
+  (await getIndex()).replaceAll(entries);
+  if (startedGeneration !== generation) {
+    // The tree changed mid-build; the next search builds again
+    built = null;
+  }
+  return entries.length;
+}
+
+/**
+ * Build the index if this process hasn't yet (or it was invalidated)
+ */
+export async function ensureSearchIndex() {
+  if (!built) {
+    built = rebuildSearchIndex().catch((error) => {
+      built = null;
+      throw error;
+    });
+  }
+  await built;
+  return getIndex();
+}
+
+/**
+ * Mark the index stale: something other than the content store (a git pull,
+ * a branch switch, a discarded change) rewrote content files. The next search
+ * rebuilds it.
+ */
+export function invalidateSearchIndex() {
+  generation++;
+  built = null;
+}
+
+/**
+ * Search every collection
+ * @param {string} query
+ * @param {Object} [options] - See SearchIndex#search
+ */
+export async function searchContent(query, options = {}) {
+  const searchIndex = await ensureSearchIndex();
+  return searchIndex.search(query, options);
+}
+
+/**
+ * Re-index one entry after the content store saved it. A no-op until the
+ * first search has built the index (that build will read the saved entry).
+ */
+export async function indexSavedEntry(collection, slug, locale, { data, body }) {
+  if (!built) return;
+  await built;
+  (await getIndex()).replaceEntry({ collection, slug, locale, data, body });
+}
+
+/**
+ * Drop a deleted entry from the index (no-op until it's been built)
+ */
+export async function unindexEntry(collection, slug, locale) {
+  if (!built) return;
+  await built;
+  (await getIndex()).removeEntry(collection, slug, locale);
+}
+
+export function closeSearchIndex() {
+  index?.close();
+  index = null;
+  built = null;
+}
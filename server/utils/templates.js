@@ -0,0 +1,159 @@
+/**
+ * Content templates
+ *
+ * Named starting points for new entries of a collection — a landing page
+ * layout with its blocks already in place, say. Each template is a JSON file
+ * under `templates.dir` (.astroadmin/templates by default):
+ *
+ *   <dir>/<collection>/<id>.json
+ *     { name: 'Landing page', description: '…', type: 'content',
+ *       data: { … }, body: '…', createdBy: 'alice', createdAt: '2026-…' }
+ *
+ * The id is the name, slugified, so saving a template under an existing name
+ * replaces it.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * A template's id (and file name) from its name: 'Landing page' → 'landing-page'
+ * @returns {string} - '' if the name has nothing usable in it
+ */
+export function templateId(name) {
+  return String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function collectionDir(fullConfig, collection) {
+  if (!/^[\w-]+$/.test(collection)) {
+    throw new Error(`Invalid collection name "${collection}"`);
+  }
+  return path.resolve(fullConfig.paths.projectRoot, fullConfig.templates.dir, collection);
+}
+
+function templatePath(fullConfig, collection, id) {
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(id)) return null;
+  return path.join(collectionDir(fullConfig, collection), `${id}.json`);
+}
+
+async function readTemplateFile(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * A collection's templates, by name (without their content)
+ * @returns {Promise<Array<{id: string, name: string, description: string,
+ *   createdBy: string|null, createdAt: string}>>}
+ */
+export async function listTemplates(fullConfig, collection) {
+  const dir = collectionDir(fullConfig, collection);
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const templates = [];
+  for (const file of files.filter(name => name.endsWith('.json')).sort()) {
+    try {
+      const template = await readTemplateFile(path.join(dir, file));
+      if (!template) continue;
+      templates.push({
+        id: file.slice(0, -'.json'.length),
+        name: template.name,
+        description: template.description ?? '',
+        createdBy: template.createdBy ?? null,
+        createdAt: template.createdAt,
+      });
+    } catch (error) {
+      console.warn(`[Templates] Skipping unreadable template ${collection}/${file}:`, error.message);
+    }
+  }
+  return templates.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * One template with its content, or null if there's no such template
+ * @returns {Promise<{id: string, name: string, description: string, type: string,
+ *   data: Object, body: string|null, createdBy: string|null, createdAt: string}|null>}
+ */
+export async function getTemplate(fullConfig, collection, id) {
+  const filePath = templatePath(fullConfig, collection, id);
+  const template = filePath ? await readTemplateFile(filePath) : null;
+  return template ? { id, ...template } : null;
+}
+
+/**
+ * Save a template, replacing any of the same name
+ * @param {Object} fullConfig
+ * @param {string} collection
+ * @param {Object} template
+ * @param {string} template.name
+ * @param {string} [template.description]
+ * @param {Object} template.data - Entry data new entries start with
+ * @param {string|null} [template.body] - Markdown body new entries start with
+ * @param {string} [template.type] - 'content' or 'data'
+ * @param {string|null} [template.username] - Who saved it
+ * @returns {Promise<Object>} The stored template, with its id
+ * @throws on a missing or unusable name, or data that isn't an object
+ */
+export async function saveTemplate(fullConfig, collection, { name, description = '', data, body = null, type = 'content', username = null }) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  const id = templateId(trimmed);
+  if (!id) {
+    throw new Error('A template needs a name with at least one letter or number');
+  }
+  if (trimmed.length > MAX_NAME_LENGTH) {
+    throw new Error(`Template names must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Template data must be an object');
+  }
+
+  const template = {
+    name: trimmed,
+    description: typeof description === 'string' ? description.trim() : '',
+    type: type === 'data' ? 'data' : 'content',
+    data,
+    body: typeof body === 'string' ? body : null,
+    createdBy: username,
+    createdAt: new Date().toISOString(),
+  };
+
+  const filePath = templatePath(fullConfig, collection, id);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, `${JSON.stringify(template, null, 2)}\n`);
+  await fs.rename(tempPath, filePath);
+  return { id, ...template };
+}
+
+/**
+ * Delete a template
+ * @returns {Promise<boolean>} Whether it existed
+ */
+export async function deleteTemplate(fullConfig, collection, id) {
+  const filePath = templatePath(fullConfig, collection, id);
+  if (!filePath) return false;
+  try {
+    await fs.unlink(filePath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
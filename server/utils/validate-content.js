@@ -0,0 +1,122 @@
+/**
+ * Content validation
+ * Checks entry data against the collection's Zod schema before it is written,
+ * so a save Astro would reject at build time fails in the editor instead.
+ */
+
+import { loadSchemas } from './collections.js';
+
+/**
+ * Format a Zod issue path the way the form generator names its inputs:
+ * ['blocks', 0, 'heading'] -> 'blocks[0].heading'
+ * @param {Array<string|number>} issuePath
+ * @returns {string}
+ */
+export function formatIssuePath(issuePath = []) {
+  let result = '';
+  for (const segment of issuePath) {
+    if (typeof segment === 'number') {
+      result += `[${segment}]`;
+    } else {
+      result += result ? `.${String(segment)}` : String(segment);
+    }
+  }
+  return result;
+}
+
+/**
+ * Describe what the schema expected for an issue, or null if Zod doesn't say.
+ * Covers both zod 3 and zod 4 issue shapes.
+ * @param {object} issue - Zod issue
+ * @returns {string|null}
+ */
+function describeExpected(issue) {
+  switch (issue.code) {
+    case 'invalid_type':
+    case 'invalid_literal': // zod 3
+      return issue.expected !== undefined ? String(issue.expected) : null;
+    case 'invalid_value': // zod 4 (enum/literal)
+      return Array.isArray(issue.values) ? issue.values.map(String).join(' | ') : null;
+    case 'invalid_enum_value': // zod 3
+      return Array.isArray(issue.options) ? issue.options.map(String).join(' | ') : null;
+    case 'too_small':
+      return issue.minimum !== undefined ? `at least ${issue.minimum}` : null;
+    case 'too_big':
+      return issue.maximum !== undefined ? `at most ${issue.maximum}` : null;
+    case 'invalid_format': // zod 4
+      return issue.format || null;
+    case 'invalid_string': // zod 3
+      return typeof issue.validation === 'string' ? issue.validation : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Read the value at a Zod issue path from the submitted data
+ */
+function valueAtPath(data, issuePath = []) {
+  let current = data;
+  for (const segment of issuePath) {
+    if (current == null) return undefined;
+    current = current[segment];
+  }
+  return current;
+}
+
+/**
+ * The editor submits dates as strings (date inputs, frontmatter round-trips),
+ * while Astro parses YAML dates into Date objects before validating. Don't fail
+ * a plain z.date() field for a string that parses as a valid date.
+ */
+function isTolerableDateString(issue, data) {
+  if (issue.code !== 'invalid_type' || issue.expected !== 'date') return false;
+  const value = valueAtPath(data, issue.path);
+  return typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Validate entry data against its collection's schema
+ * Collections without a schema (or when schemas can't be loaded) always pass.
+ * @param {string} collection - Collection name
+ * @param {object} data - Entry data (frontmatter or JSON)
+ * @returns {Promise<{ valid: boolean, errors: Array<{ path: string, message: string, expected: string|null }> }>}
+ */
+export async function validateContent(collection, data) {
+  let schemas;
+  try {
+    schemas = await loadSchemas();
+  } catch {
+    // No parseable content config — nothing to validate against
+    return { valid: true, errors: [] };
+  }
+
+  const zodSchema = schemas?.[collection]?._zodSchema;
+  if (!zodSchema || typeof zodSchema.safeParse !== 'function') {
+    return { valid: true, errors: [] };
+  }
+
+  let result;
+  try {
+    result = zodSchema.safeParse(data);
+  } catch (error) {
+    // A schema the parser's shims can't execute (e.g. an unsupported helper)
+    // shouldn't block saving; Astro still validates at build time.
+    console.warn(`⚠️  Could not validate "${collection}": ${error.message}`);
+    return { valid: true, errors: [] };
+  }
+
+  if (result.success) {
+    return { valid: true, errors: [] };
+  }
+
+  const errors = result.error.issues
+    .filter(issue => !isTolerableDateString(issue, data))
+    .map(issue => ({
+      path: formatIssuePath(issue.path),
+      message: issue.message,
+      expected: describeExpected(issue),
+    }));
+
+  return { valid: errors.length === 0, errors };
+}
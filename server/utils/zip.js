@@ -0,0 +1,169 @@
+/**
+ * Minimal zip writer
+ *
+ * Builds a zip archive from a list of files in memory, or from a directory
+ * straight into a file, deflating each file. Enough for uploading a built
+ * site (no zip64: up to 65535 files and 4 GB).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+
+const MAX_ENTRIES = 0xffff;
+const MAX_SIZE = 0xffffffff;
+
+// DOS date/time fields, as zip stores them
+function dosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * One file's local header (with its name), stored bytes and central directory
+ * record
+ * @param {{ name: string, data: Buffer, mtime?: Date }} entry
+ * @param {number} offset - Where its local header starts in the archive
+ */
+function zipEntry({ name, data, mtime = new Date() }, offset) {
+  const nameBuffer = Buffer.from(name, 'utf-8');
+  const compressed = zlib.deflateRawSync(data);
+  // Store incompressible files as they are
+  const method = compressed.length < data.length ? 8 : 0;
+  const body = method === 8 ? compressed : data;
+  const crc = zlib.crc32(data);
+  const { time, date } = dosDateTime(mtime);
+
+  if (offset > MAX_SIZE || data.length > MAX_SIZE) {
+    throw new Error('Archive too large to zip (over 4 GB)');
+  }
+
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(20, 4); // version needed
+  local.writeUInt16LE(0x0800, 6); // UTF-8 names
+  local.writeUInt16LE(method, 8);
+  local.writeUInt16LE(time, 10);
+  local.writeUInt16LE(date, 12);
+  local.writeUInt32LE(crc, 14);
+  local.writeUInt32LE(body.length, 18);
+  local.writeUInt32LE(data.length, 22);
+  local.writeUInt16LE(nameBuffer.length, 26);
+  local.writeUInt16LE(0, 28); // extra length
+
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0);
+  central.writeUInt16LE(20, 4); // version made by
+  central.writeUInt16LE(20, 6); // version needed
+  central.writeUInt16LE(0x0800, 8);
+  central.writeUInt16LE(method, 10);
+  central.writeUInt16LE(time, 12);
+  central.writeUInt16LE(date, 14);
+  central.writeUInt32LE(crc, 16);
+  central.writeUInt32LE(body.length, 20);
+  central.writeUInt32LE(data.length, 24);
+  central.writeUInt16LE(nameBuffer.length, 28);
+  // extra, comment, disk, internal/external attributes: all zero
+  central.writeUInt32LE(offset, 42);
+
+  return {
+    header: Buffer.concat([local, nameBuffer]),
+    body,
+    central: Buffer.concat([central, nameBuffer]),
+  };
+}
+
+// End of central directory record
+function endRecord(count, centralSize, centralOffset) {
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(count, 8);
+  end.writeUInt16LE(count, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(centralOffset, 16);
+  return end;
+}
+
+function checkEntryCount(count) {
+  if (count > MAX_ENTRIES) {
+    throw new Error(`Too many files to zip (${count}, max ${MAX_ENTRIES})`);
+  }
+}
+
+/**
+ * Zip a list of files
+ * @param {Array<{ name: string, data: Buffer, mtime?: Date }>} entries - `name` is the
+ *   posix path inside the archive
+ * @returns {Buffer}
+ */
+export function createZip(entries) {
+  checkEntryCount(entries.length);
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const { header, body, central } = zipEntry(entry, offset);
+    localParts.push(header, body);
+    centralParts.push(central);
+    offset += header.length + body.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  return Buffer.concat([...localParts, ...centralParts, endRecord(entries.length, centralSize, offset)]);
+}
+
+// Posix paths of every file under `dir`, relative to it
+function listFiles(dir, current = dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+    const full = path.join(current, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listFiles(dir, full));
+    } else if (entry.isFile()) {
+      files.push(path.relative(dir, full).split(path.sep).join('/'));
+    }
+  }
+  return files;
+}
+
+/**
+ * Zip every file under a directory, with paths relative to it, into a file.
+ * Files are read and written one at a time, so only the largest of them and
+ * the central directory are ever in memory.
+ * @param {string} dir
+ * @param {string} zipPath - Where to write the archive
+ * @returns {Promise<{ files: number, bytes: number }>}
+ */
+export async function zipDirectoryToFile(dir, zipPath) {
+  const names = listFiles(dir);
+  checkEntryCount(names.length);
+
+  const handle = await fs.promises.open(zipPath, 'w');
+  try {
+    const centralParts = [];
+    let offset = 0;
+    for (const name of names) {
+      const full = path.join(dir, name);
+      const data = await fs.promises.readFile(full);
+      const { mtime } = await fs.promises.stat(full);
+      const { header, body, central } = zipEntry({ name, data, mtime }, offset);
+      await handle.write(header);
+      await handle.write(body);
+      centralParts.push(central);
+      offset += header.length + body.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = endRecord(names.length, centralDirectory.length, offset);
+    await handle.write(centralDirectory);
+    await handle.write(end);
+    return { files: names.length, bytes: offset + centralDirectory.length + end.length };
+  } finally {
+    await handle.close();
+  }
+}
@@ -15,6 +15,7 @@ import {
   verifyCredentials,
   hashPassword,
   authConfigWarnings,
+  authenticate,
 } from '../server/utils/auth.js';
 
 let passed = 0;
@@ -70,6 +71,30 @@ await check('authConfigWarnings: dev is silent, prod flags weak config', () => {
   assert.deepEqual(authConfigWarnings(strong, true), [], 'no warnings when hardened');
 });
 
+await check('authConfigWarnings: single-credential checks skipped once users exist', () => {
+  const weak = { username: 'admin', password: 'admin', passwordHash: null, sessionSecret: 'a-real-long-secret' };
+  assert.deepEqual(authConfigWarnings(weak, true, { hasUsers: true }), [], 'credential unused');
+  const weakSecret = { ...weak, sessionSecret: 'dev-secret-change-in-prod' };
+  assert.equal(authConfigWarnings(weakSecret, true, { hasUsers: true }).length, 1, 'secret still flagged');
+});
+
+await check('authenticate: several configured credentials, each with a role', async () => {
+  const cfg = {
+    username: 'owner',
+    password: 'owner-pass',
+    passwordHash: null,
+    credentials: [
+      { username: 'marketing', password: 'mk-pass' },
+      { username: 'auditor', passwordHash: await hashPassword('audit-pass'), role: 'viewer' },
+    ],
+  };
+  assert.deepEqual(await authenticate(cfg, null, 'owner', 'owner-pass'), { username: 'owner', role: 'admin', source: 'config' });
+  assert.deepEqual(await authenticate(cfg, null, 'marketing', 'mk-pass'), { username: 'marketing', role: 'editor', source: 'config' });
+  assert.equal((await authenticate(cfg, null, 'auditor', 'audit-pass')).role, 'viewer');
+  assert.equal(await authenticate(cfg, null, 'marketing', 'owner-pass'), null, "another login's password");
+  assert.equal(await authenticate(cfg, null, 'nobody', 'owner-pass'), null, 'unknown username');
+});
+
 console.log('='.repeat(40));
 console.log(`\n📊 ${passed} checks passed.\n`);
 process.exit(0);
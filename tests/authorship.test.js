@@ -0,0 +1,134 @@
+/**
+ * Commit authorship test
+ *
+ * Covers the profile/contributor helpers and, through the real Express app on
+ * an ephemeral port against a throwaway git repo, that a commit is authored by
+ * the committing login's profile and credits everyone else who saved a
+ * committed file with a Co-authored-by trailer.
+ *
+ *   bun tests/authorship.test.js
+ */
+
+import assert from 'assert';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { createTestProject, startServer } from './helpers/server.js';
+
+const projectRoot = createTestProject('aa-authorship-', {
+  git: true,
+  config: `export default {
+  auth: {
+    username: 'alice',
+    password: 'alice-pass',
+    credentials: [
+      { username: 'bob', password: 'bob-pass' },
+      { username: 'carol', password: 'carol-pass' },
+    ],
+  },
+};
+`,
+});
+fs.writeFileSync(path.join(projectRoot, '.gitignore'), '.astroadmin/\ncontent.db*\n');
+fs.mkdirSync(path.join(projectRoot, 'src/content/pages'), { recursive: true });
+fs.writeFileSync(path.join(projectRoot, 'src/content/pages/home.md'), '---\ntitle: Home\n---\n');
+
+function git(args) {
+  return execFileSync('git', ['-C', projectRoot, ...args], { encoding: 'utf-8' }).trim();
+}
+
+git(['init', '-q']);
+git(['config', 'user.name', 'AstroAdmin Server']);
+git(['config', 'user.email', 'server@example.com']);
+git(['add', '.']);
+git(['commit', '-q', '-m', 'Initial commit']);
+
+const { getConfig } = await import('../server/config.js');
+const { appendTrailers, parseCoAuthors, saveProfile } = await import('../server/utils/authorship.js');
+
+let passed = 0;
+// Failure sentinel: already reported by check(), just unwinds to the outer
+// catch so the finally cleanup still runs (process.exit would skip it).
+class CheckFailed extends Error {}
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    console.error(`❌ ${name}\n   ${error.stack || error.message}`);
+    throw new CheckFailed(name);
+  }
+}
+
+let app = null;
+
+try {
+  console.log('\n🧪 Commit authorship\n' + '='.repeat(40));
+
+  await check('trailers append after a blank line and parse back out', () => {
+    const message = appendTrailers('Update home\n', ['Co-authored-by: Bob B <bob@example.com>']);
+    assert.equal(message, 'Update home\n\nCo-authored-by: Bob B <bob@example.com>');
+    assert.equal(appendTrailers('Update home', []), 'Update home');
+    assert.deepEqual(parseCoAuthors(message), [{ name: 'Bob B', email: 'bob@example.com' }]);
+    assert.deepEqual(parseCoAuthors(undefined), []);
+  });
+
+  await check('profiles require a name and a valid email', async () => {
+    const fullConfig = await getConfig();
+    await assert.rejects(() => saveProfile(fullConfig, 'carol', { name: '', email: 'c@example.com' }), /Name/);
+    await assert.rejects(() => saveProfile(fullConfig, 'carol', { name: 'Carol', email: 'not-an-email' }), /email/);
+    const profile = await saveProfile(fullConfig, 'carol', { name: 'Carol <script>\n', email: ' c@example.com ' });
+    assert.deepEqual(profile, { name: 'Carol script', email: 'c@example.com' }, 'sanitised for a git identity');
+  });
+
+  app = await startServer();
+  const { login, request } = app;
+
+  const alice = await login('alice', 'alice-pass');
+  const bob = await login('bob', 'bob-pass');
+
+  await check('profile API reads and updates the login\'s own profile', async () => {
+    assert.equal((await request(alice, 'GET', '/api/profile')).body.profile, null, 'none yet');
+    const bad = await request(alice, 'PUT', '/api/profile', { name: 'Alice', email: 'nope' });
+    assert.equal(bad.status, 400);
+    const saved = await request(alice, 'PUT', '/api/profile', { name: 'Alice Adams', email: 'alice@example.com' });
+    assert.equal(saved.status, 200);
+    await request(bob, 'PUT', '/api/profile', { name: 'Bob Brown', email: 'bob@example.com' });
+    assert.equal((await request(bob, 'GET', '/api/profile')).body.profile.email, 'bob@example.com');
+    assert.equal((await request(alice, 'GET', '/api/session')).body.profile.name, 'Alice Adams');
+  });
+
+  await check('commit is authored by the committer and credits other editors', async () => {
+    assert.equal((await request(bob, 'PUT', '/api/content/pages/home', { data: { title: 'Bob was here' } })).status, 200);
+    assert.equal((await request(alice, 'POST', '/api/content/pages/about', { data: { title: 'About' } })).status, 200);
+
+    const commit = await request(alice, 'POST', '/api/git/commit', { message: 'Update pages' });
+    assert.equal(commit.status, 200, JSON.stringify(commit.body));
+
+    assert.equal(git(['log', '-1', '--format=%an <%ae>']), 'Alice Adams <alice@example.com>');
+    assert.equal(git(['log', '-1', '--format=%cn']), 'AstroAdmin Server', 'committer stays the server');
+    const body = git(['log', '-1', '--format=%B']);
+    assert.match(body, /^Update pages\n\nCo-authored-by: Bob Brown <bob@example.com>$/);
+
+    const log = await request(alice, 'GET', '/api/git/log?limit=1');
+    assert.deepEqual(log.body.commits[0].coAuthors, [{ name: 'Bob Brown', email: 'bob@example.com' }]);
+  });
+
+  await check('contributors are forgotten once their files are committed', async () => {
+    assert.equal((await request(alice, 'PUT', '/api/content/pages/home', { data: { title: 'Alice again' } })).status, 200);
+    assert.equal((await request(alice, 'POST', '/api/git/commit', { message: 'Solo edit' })).status, 200);
+    assert.equal(git(['log', '-1', '--format=%B']), 'Solo edit', 'no stale Bob trailer');
+  });
+
+  console.log('='.repeat(40));
+  console.log(`\n📊 ${passed} checks passed.\n`);
+} catch (error) {
+  if (!(error instanceof CheckFailed)) {
+    console.error(`❌ Test setup failed\n   ${error.stack || error.message}`);
+  }
+  process.exitCode = 1;
+} finally {
+  app?.close();
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+}
@@ -0,0 +1,165 @@
+/**
+ * Block copy/paste and copy-to-locale test
+ *
+ * Covers reading pasted blocks in ui/block-clipboard.js (the clipboard format
+ * and bare JSON, block types the target field doesn't have, fields it doesn't
+ * have) and, through the real Express app on an ephemeral port with the files
+ * store and i18n on, POST /api/content/:collection/:slug/copy-blocks: blocks
+ * appended in other translations, untranslated locales skipped, and nothing
+ * written when a translation would fail its schema.
+ * node_modules is symlinked so the schema parser can resolve zod.
+ *
+ *   bun tests/block-clipboard.test.js
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { createTestProject, startServer } from './helpers/server.js';
+
+const projectRoot = createTestProject('aa-block-copy-', {
+  linkNodeModules: true,
+  config: `export default {
+  git: { enabled: false },
+  i18n: { enabled: true, locales: ['en', 'de', 'fr', 'es'], defaultLocale: 'en' },
+  auth: { username: 'owner', password: 'owner-pass' },
+};
+`,
+});
+fs.mkdirSync(path.join(projectRoot, 'src'), { recursive: true });
+fs.writeFileSync(
+  path.join(projectRoot, 'src/content.config.ts'),
+  `import { defineCollection, z } from 'astro:content';
+import { glob } from 'astro/loaders';
+
+export const collections = {
+  pages: defineCollection({
+    loader: glob({ pattern: '**/*.md', base: './src/content/pages' }),
+    schema: z.object({
+      title: z.string(),
+      blocks: z.array(z.discriminatedUnion('type', [
+        z.object({ type: z.literal('cta'), heading: z.string(), url: z.string().url() }),
+        z.object({ type: z.literal('text'), content: z.string() }),
+      ])).optional(),
+    }),
+  }),
+};
+`
+);
+
+function writeFile(relativePath, text) {
+  fs.mkdirSync(path.dirname(path.join(projectRoot, relativePath)), { recursive: true });
+  fs.writeFileSync(path.join(projectRoot, relativePath), text);
+}
+
+writeFile('src/content/pages/home.en.md', '---\ntitle: Home\nblocks:\n  - type: text\n    content: Hello\n---\n');
+writeFile('src/content/pages/home.de.md', '---\ntitle: Start\nblocks:\n  - type: text\n    content: Hallo\n---\nText.\n');
+writeFile('src/content/pages/home.fr.md', '---\ntitle: Accueil\n---\n');
+
+const { serializeBlocks, parseCopiedBlocks } = await import('../ui/block-clipboard.js');
+const { readContent } = await import('../server/utils/content.js');
+
+let passed = 0;
+// Failure sentinel: already reported by check(), just unwinds to the outer
+// catch so the finally cleanup still runs (process.exit would skip it).
+class CheckFailed extends Error {}
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    console.error(`❌ ${name}\n   ${error.stack || error.message}`);
+    throw new CheckFailed(name);
+  }
+}
+
+let app = null;
+
+try {
+  console.log('\n🧪 Block copy and paste\n' + '='.repeat(40));
+
+  const blockTypes = {
+    cta: { properties: { type: {}, heading: {}, url: {} } },
+    text: { properties: { type: {}, content: {} } },
+  };
+
+  await check('paste: the clipboard format, bare arrays and single blocks', async () => {
+    const blocks = [{ type: 'cta', heading: 'Go', url: 'https://example.com' }, { type: 'text', content: 'Hi' }];
+    assert.deepEqual(parseCopiedBlocks(serializeBlocks(blocks), blockTypes), { blocks, dropped: [] });
+    assert.deepEqual(parseCopiedBlocks(JSON.stringify(blocks), blockTypes).blocks, blocks);
+    assert.deepEqual(parseCopiedBlocks(JSON.stringify(blocks[1]), blockTypes).blocks, [blocks[1]]);
+
+    assert.throws(() => parseCopiedBlocks('just some text', blockTypes), /doesn't hold any copied blocks/);
+    assert.throws(() => parseCopiedBlocks('[]', blockTypes), /doesn't hold any copied blocks/);
+    assert.throws(() => parseCopiedBlocks('[{"heading":"No type"}]', blockTypes), /doesn't hold any copied blocks/);
+  });
+
+  await check('paste: block types the field lacks are refused, unknown fields dropped', async () => {
+    assert.throws(
+      () => parseCopiedBlocks(serializeBlocks([{ type: 'hero' }, { type: 'text', content: '' }, { type: 'gallery' }]), blockTypes),
+      /no block type "hero", "gallery"/
+    );
+
+    const { blocks, dropped } = parseCopiedBlocks(serializeBlocks([
+      { type: 'cta', heading: 'Go', colour: 'red', _libraryBlock: 'spring-cta' },
+    ]), blockTypes);
+    assert.deepEqual(blocks, [{ type: 'cta', heading: 'Go', _libraryBlock: 'spring-cta' }]);
+    assert.deepEqual(dropped, ['cta.colour']);
+  });
+
+  app = await startServer();
+  const { baseUrl } = app;
+
+  const cookie = await app.login('owner', 'owner-pass');
+
+  async function copyBlocks(body, locale = 'en') {
+    const response = await fetch(`${baseUrl}/api/content/pages/home/copy-blocks?locale=${locale}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Cookie: cookie },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  const cta = { type: 'cta', heading: 'Sign up', url: 'https://example.com/signup' };
+
+  await check('copy to locale: appended in each translation, untranslated ones skipped', async () => {
+    const response = await copyBlocks({ field: 'blocks', blocks: [cta], locales: ['de', 'fr', 'es'] });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.deepEqual(response.body.copied.map(item => item.locale), ['de', 'fr']);
+    assert.deepEqual(response.body.missing, ['es']);
+
+    const de = await readContent('pages', 'home', 'de');
+    assert.deepEqual(de.data.blocks, [{ type: 'text', content: 'Hallo' }, cta]);
+    assert.equal(de.body.trim(), 'Text.');
+    assert.deepEqual((await readContent('pages', 'home', 'fr')).data.blocks, [cta]);
+    assert.deepEqual((await readContent('pages', 'home', 'en')).data.blocks, [{ type: 'text', content: 'Hello' }]);
+  });
+
+  await check('copy to locale: 422 and nothing written if a translation would fail its schema', async () => {
+    const response = await copyBlocks({ field: 'blocks', blocks: [{ type: 'cta', heading: 'Bad', url: 'nope' }], locales: ['de', 'fr'] });
+    assert.equal(response.status, 422, JSON.stringify(response.body));
+    assert.deepEqual(response.body.locales.map(item => item.locale), ['de', 'fr']);
+    assert.equal((await readContent('pages', 'home', 'de')).data.blocks.length, 2);
+  });
+
+  await check('copy to locale: bad requests', async () => {
+    assert.equal((await copyBlocks({ field: 'blocks', blocks: [cta], locales: ['en'] })).status, 400);
+    assert.equal((await copyBlocks({ field: 'blocks', blocks: [cta], locales: ['xx'] })).status, 400);
+    assert.equal((await copyBlocks({ field: 'blocks', blocks: [{ heading: 'No type' }], locales: ['de'] })).status, 400);
+    assert.equal((await copyBlocks({ field: 'title', blocks: [cta], locales: ['de'] })).status, 400);
+    assert.equal((await copyBlocks({ field: 'blocks', blocks: [cta], locales: ['es'] })).status, 404);
+  });
+
+  console.log('='.repeat(40));
+  console.log(`\n📊 ${passed} checks passed.\n`);
+} catch (error) {
+  if (!(error instanceof CheckFailed)) {
+    console.error(`❌ Test setup failed\n   ${error.stack || error.message}`);
+  }
+  process.exitCode = 1;
+} finally {
+  app?.close();
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+}
@@ -0,0 +1,197 @@
+/**
+ * Block library test
+ *
+ * Covers server/utils/block-library.js (linked instances found at any depth,
+ * other values left alone) and, through the real Express app on an ephemeral
+ * port with the files store, /api/blocks: adding blocks, listing where they're
+ * used, updating one rewrites every linked instance (copies stay as they
+ * were) all or nothing, and deleting one unlinks its instances.
+ * node_modules is symlinked so the schema parser can resolve zod.
+ *
+ *   bun tests/block-library.test.js
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { createTestProject, startServer } from './helpers/server.js';
+
+const projectRoot = createTestProject('aa-blocks-', {
+  linkNodeModules: true,
+  config: `export default {
+  git: { enabled: false },
+  auth: {
+    username: 'owner',
+    password: 'owner-pass',
+    credentials: [{ username: 'pager', password: 'pager-pass' }],
+  },
+  permissions: {
+    pager: { collections: ['pages'], readOnly: ['posts'] },
+  },
+};
+`,
+});
+fs.mkdirSync(path.join(projectRoot, 'src'), { recursive: true });
+fs.writeFileSync(
+  path.join(projectRoot, 'src/content.config.ts'),
+  `import { defineCollection, z } from 'astro:content';
+import { glob } from 'astro/loaders';
+
+const blocks = z.array(z.discriminatedUnion('type', [
+  z.object({ type: z.literal('cta'), heading: z.string(), url: z.string().url() }),
+  z.object({ type: z.literal('text'), content: z.string() }),
+]));
+
+export const collections = {
+  pages: defineCollection({
+    loader: glob({ pattern: '**/*.md', base: './src/content/pages' }),
+    schema: z.object({ title: z.string(), blocks }),
+  }),
+  posts: defineCollection({
+    loader: glob({ pattern: '**/*.md', base: './src/content/posts' }),
+    schema: z.object({ title: z.string(), blocks }),
+  }),
+};
+`
+);
+
+function writeFile(relativePath, text) {
+  fs.mkdirSync(path.dirname(path.join(projectRoot, relativePath)), { recursive: true });
+  fs.writeFileSync(path.join(projectRoot, relativePath), text);
+}
+const readFile = relativePath => fs.readFileSync(path.join(projectRoot, relativePath), 'utf-8');
+
+const { LINK_KEY, mapLinkedBlocks } = await import('../server/utils/block-library.js');
+const { readContent } = await import('../server/utils/content.js');
+
+let passed = 0;
+// Failure sentinel: already reported by check(), just unwinds to the outer
+// catch so the finally cleanup still runs (process.exit would skip it).
+class CheckFailed extends Error {}
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    console.error(`❌ ${name}\n   ${error.stack || error.message}`);
+    throw new CheckFailed(name);
+  }
+}
+
+let app = null;
+
+try {
+  console.log('\n🧪 Block library\n' + '='.repeat(40));
+
+  await check('mapLinkedBlocks: instances at any depth, dates and other links untouched', async () => {
+    const published = new Date('2026-01-02T00:00:00Z');
+    const data = {
+      published,
+      blocks: [
+        { type: 'cta', heading: 'Old', [LINK_KEY]: 'spring' },
+        { type: 'cta', heading: 'Other', [LINK_KEY]: 'autumn' },
+        { type: 'columns', items: [{ type: 'cta', heading: 'Nested', [LINK_KEY]: 'spring' }] },
+      ],
+    };
+    const { value, count } = mapLinkedBlocks(data, 'spring', block => ({ ...block, heading: 'New' }));
+    assert.equal(count, 2);
+    assert.equal(value.published, published);
+    assert.deepEqual(value.blocks.map(block => block.heading), ['New', 'Other', undefined]);
+    assert.equal(value.blocks[2].items[0].heading, 'New');
+    assert.equal(data.blocks[0].heading, 'Old');
+  });
+
+  app = await startServer();
+  const { login, request } = app;
+
+  const owner = await login('owner', 'owner-pass');
+  const pager = await login('pager', 'pager-pass');
+
+  await check('POST /api/blocks: adds a block, without its type or link in the fields', async () => {
+    const response = await request(owner, 'POST', '/api/blocks', {
+      name: 'Spring CTA',
+      type: 'cta',
+      data: { type: 'cta', heading: 'Spring sale', url: 'https://example.com/spring', [LINK_KEY]: 'other' },
+    });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.equal(response.body.block.id, 'spring-cta');
+    assert.deepEqual(response.body.block.data, { heading: 'Spring sale', url: 'https://example.com/spring' });
+    assert.ok(fs.existsSync(path.join(projectRoot, '.astroadmin/blocks/spring-cta.json')));
+
+    assert.equal((await request(owner, 'POST', '/api/blocks', { name: 'spring cta', type: 'cta', data: {} })).status, 409);
+    assert.equal((await request(owner, 'POST', '/api/blocks', { name: 'Nameless', data: {} })).status, 400);
+
+    const listed = await request(pager, 'GET', '/api/blocks');
+    assert.deepEqual(listed.body.blocks.map(block => [block.id, block.type]), [['spring-cta', 'cta']]);
+  });
+
+  const linked = `  - type: cta\n    heading: Spring sale\n    url: https://example.com/spring\n    ${LINK_KEY}: spring-cta\n`;
+  writeFile('src/content/pages/home.md', `---\ntitle: Home\nblocks:\n${linked}  - type: text\n    content: Hello\n---\n`);
+  writeFile('src/content/pages/copy.md', '---\ntitle: Copy\nblocks:\n  - type: cta\n    heading: Spring sale\n    url: https://example.com/spring\n---\n');
+  writeFile('src/content/posts/launch.md', `---\ntitle: Launch\nblocks:\n${linked}---\n`);
+
+  await check('GET /api/blocks/:id: where linked instances are', async () => {
+    const response = await request(owner, 'GET', '/api/blocks/spring-cta');
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.deepEqual(response.body.usage.map(use => `${use.collection}/${use.slug}`), ['pages/home', 'posts/launch']);
+    assert.equal((await request(owner, 'GET', '/api/blocks/nope')).status, 404);
+  });
+
+  await check('PUT /api/blocks/:id: refused if an instance is in a collection the login cannot edit', async () => {
+    const response = await request(pager, 'PUT', '/api/blocks/spring-cta', { data: { heading: 'Mine', url: 'https://example.com/' } });
+    assert.equal(response.status, 403, JSON.stringify(response.body));
+    assert.ok(response.body.message.includes('posts'));
+    assert.ok(readFile('src/content/pages/home.md').includes('Spring sale'));
+  });
+
+  await check('PUT /api/blocks/:id: 422 and nothing written if an entry would fail its schema', async () => {
+    const response = await request(owner, 'PUT', '/api/blocks/spring-cta', { data: { heading: 'Bad', url: 'not a url' } });
+    assert.equal(response.status, 422, JSON.stringify(response.body));
+    assert.equal(response.body.entries.length, 2);
+    assert.ok(readFile('src/content/pages/home.md').includes('Spring sale'));
+    const block = JSON.parse(readFile('.astroadmin/blocks/spring-cta.json'));
+    assert.equal(block.data.heading, 'Spring sale');
+  });
+
+  await check('PUT /api/blocks/:id: every linked instance changes, copies and other blocks do not', async () => {
+    const response = await request(owner, 'PUT', '/api/blocks/spring-cta', {
+      name: 'Summer CTA',
+      data: { heading: 'Summer sale', url: 'https://example.com/summer' },
+    });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.equal(response.body.entries.length, 2);
+    assert.equal(response.body.block.name, 'Summer CTA');
+    assert.equal(response.body.block.id, 'spring-cta');
+
+    const home = await readContent('pages', 'home');
+    assert.deepEqual(home.data.blocks, [
+      { heading: 'Summer sale', url: 'https://example.com/summer', type: 'cta', [LINK_KEY]: 'spring-cta' },
+      { type: 'text', content: 'Hello' },
+    ]);
+    assert.equal((await readContent('posts', 'launch')).data.blocks[0].heading, 'Summer sale');
+    assert.equal((await readContent('pages', 'copy')).data.blocks[0].heading, 'Spring sale');
+  });
+
+  await check('DELETE /api/blocks/:id: instances stay, unlinked', async () => {
+    assert.equal((await request(pager, 'DELETE', '/api/blocks/spring-cta')).status, 403);
+
+    const response = await request(owner, 'DELETE', '/api/blocks/spring-cta');
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.equal(response.body.entries.length, 2);
+    assert.deepEqual((await readContent('pages', 'home')).data.blocks[0], { heading: 'Summer sale', url: 'https://example.com/summer', type: 'cta' });
+    assert.ok(!fs.existsSync(path.join(projectRoot, '.astroadmin/blocks/spring-cta.json')));
+    assert.equal((await request(owner, 'DELETE', '/api/blocks/spring-cta')).status, 404);
+  });
+
+  console.log('='.repeat(40));
+  console.log(`\n📊 ${passed} checks passed.\n`);
+} catch (error) {
+  if (!(error instanceof CheckFailed)) {
+    console.error(`❌ Test setup failed\n   ${error.stack || error.message}`);
+  }
+  process.exitCode = 1;
+} finally {
+  app?.close();
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+}
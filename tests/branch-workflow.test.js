@@ -0,0 +1,188 @@
+/**
+ * Branch workflow test
+ *
+ * Covers the branch-naming helpers and, through the real Express app on an
+ * ephemeral port, the opt-in editorial workflow against a local bare repo as
+ * the remote: editors start content/<user>-<topic> branches, saves are
+ * refused off-branch, "Submit for review" pushes the branch, and an admin
+ * merges it into main (fast-forward or merge commit). Held-back drafts don't
+ * count as unsubmitted changes, and a merge keeps a local branch that has
+ * commits the remote doesn't.
+ *
+ *   bun tests/branch-workflow.test.js
+ */
+
+import assert from 'assert';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createTestProject, startServer } from './helpers/server.js';
+
+const projectRoot = createTestProject('aa-branches-', {
+  git: true,
+  config: `export default {
+  git: { branchWorkflow: { enabled: true } },
+  auth: {
+    username: 'alice',
+    password: 'alice-pass',
+    credentials: [{ username: 'bob', password: 'bob-pass' }],
+  },
+};
+`,
+});
+const remoteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aa-branches-remote-'));
+fs.writeFileSync(path.join(projectRoot, '.gitignore'), '.astroadmin/\ncontent.db*\n');
+fs.mkdirSync(path.join(projectRoot, 'src/content/posts'), { recursive: true });
+fs.writeFileSync(path.join(projectRoot, 'src/content/posts/home.md'), '---\ntitle: Home\n---\n');
+
+function git(cwd, args) {
+  return execFileSync('git', ['-C', cwd, ...args], { encoding: 'utf-8' }).trim();
+}
+
+git(remoteDir, ['init', '-q', '--bare', '-b', 'main', remoteDir]);
+git(projectRoot, ['init', '-q', '-b', 'main']);
+git(projectRoot, ['config', 'user.name', 'AstroAdmin Server']);
+git(projectRoot, ['config', 'user.email', 'server@example.com']);
+git(projectRoot, ['add', '.']);
+git(projectRoot, ['commit', '-q', '-m', 'Initial commit']);
+git(projectRoot, ['remote', 'add', 'origin', remoteDir]);
+git(projectRoot, ['push', '-q', '-u', 'origin', 'main']);
+
+const { branchNameFor, branchWorkflowConfig, ownsBranch } = await import('../server/utils/branch-workflow.js');
+
+let passed = 0;
+// Failure sentinel: already reported by check(), just unwinds to the outer
+// catch so the finally cleanup still runs (process.exit would skip it).
+class CheckFailed extends Error {}
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    console.error(`❌ ${name}\n   ${error.stack || error.message}`);
+    throw new CheckFailed(name);
+  }
+}
+
+let app = null;
+
+try {
+  console.log('\n🧪 Branch workflow\n' + '='.repeat(40));
+
+  await check('branch names: content/<user>-<topic>, owned by that user', () => {
+    const settings = branchWorkflowConfig({ git: { enabled: true, branchWorkflow: { enabled: true } } });
+    assert.equal(branchNameFor(settings, 'Bob', 'Spring Sale!'), 'content/bob-spring-sale');
+    assert.throws(() => branchNameFor(settings, 'bob', ' ?! '), /topic is required/);
+    assert.equal(ownsBranch(settings, 'bob', 'content/bob-spring-sale'), true);
+    assert.equal(ownsBranch(settings, 'bo', 'content/bob-spring-sale'), false, 'prefix of another name');
+    assert.equal(branchWorkflowConfig({ git: { enabled: false, branchWorkflow: { enabled: true } } }).enabled, false);
+  });
+
+  app = await startServer();
+  const { login, request } = app;
+
+  const alice = await login('alice', 'alice-pass');
+  const bob = await login('bob', 'bob-pass');
+  const remoteBranches = () => git(remoteDir, ['--git-dir', remoteDir, 'branch', '--format=%(refname:short)']).split('\n');
+
+  await check('saves need the session\'s own editing branch checked out', async () => {
+    const save = await request(bob, 'PUT', '/api/content/posts/home', { data: { title: 'Nope' } });
+    assert.equal(save.status, 409);
+
+    const start = await request(bob, 'POST', '/api/git/branches', { topic: 'Spring Sale' });
+    assert.equal(start.status, 200, JSON.stringify(start.body));
+    assert.deepEqual([start.body.branch, start.body.created], ['content/bob-spring-sale', true]);
+    assert.equal(git(projectRoot, ['rev-parse', '--abbrev-ref', 'HEAD']), 'content/bob-spring-sale');
+
+    assert.equal((await request(bob, 'PUT', '/api/content/posts/home', { data: { title: 'Sale' } })).status, 200);
+    assert.equal((await request(alice, 'PUT', '/api/content/posts/home', { data: { title: 'Hi' } })).status, 409, 'not alice\'s branch');
+  });
+
+  await check('switching away from a branch with unsubmitted changes is refused', async () => {
+    const switched = await request(alice, 'POST', '/api/git/branches', { topic: 'Other' });
+    assert.equal(switched.status, 409);
+    assert.equal(git(projectRoot, ['rev-parse', '--abbrev-ref', 'HEAD']), 'content/bob-spring-sale');
+  });
+
+  await check('submit for review commits and pushes the branch; publish is refused', async () => {
+    assert.equal((await request(bob, 'POST', '/api/publish', { message: 'x' })).status, 409);
+
+    const submit = await request(bob, 'POST', '/api/git/submit', { message: 'Spring sale copy' });
+    assert.equal(submit.status, 200, JSON.stringify(submit.body));
+    assert.ok(remoteBranches().includes('content/bob-spring-sale'), 'pushed to the remote');
+
+    const diff = await request(bob, 'GET', '/api/git/branches/diff');
+    assert.deepEqual(diff.body.files, [{ file: 'src/content/posts/home.md', status: 'modified' }]);
+    assert.equal(diff.body.ahead, 1);
+
+    const list = await request(bob, 'GET', '/api/git/branches');
+    assert.equal(list.body.canMerge, false);
+    assert.equal(list.body.branches.find(b => b.name === 'content/bob-spring-sale').mine, true);
+  });
+
+  await check('only admins merge; fast-forward lands on main and the remote', async () => {
+    assert.equal((await request(bob, 'POST', '/api/git/merge', { branch: 'content/bob-spring-sale' })).status, 403);
+
+    const merge = await request(alice, 'POST', '/api/git/merge', { branch: 'content/bob-spring-sale', strategy: 'ff' });
+    assert.equal(merge.status, 200, JSON.stringify(merge.body));
+    assert.equal(merge.body.pushed, true);
+    assert.equal(git(projectRoot, ['rev-parse', '--abbrev-ref', 'HEAD']), 'main');
+    assert.equal(git(remoteDir, ['--git-dir', remoteDir, 'log', '-1', '--format=%s', 'main']), 'Spring sale copy');
+    assert.ok(!remoteBranches().includes('content/bob-spring-sale'), 'merged branch deleted');
+  });
+
+  await check('merge commit strategy records a two-parent merge', async () => {
+    await request(bob, 'POST', '/api/git/branches', { topic: 'Typo' });
+    await request(bob, 'PUT', '/api/content/posts/home', { data: { title: 'Sale!' } });
+    assert.equal((await request(bob, 'POST', '/api/git/submit', {})).status, 200);
+
+    const merge = await request(alice, 'POST', '/api/git/merge', { branch: 'content/bob-typo', strategy: 'merge' });
+    assert.equal(merge.status, 200, JSON.stringify(merge.body));
+    const parents = git(remoteDir, ['--git-dir', remoteDir, 'log', '-1', '--format=%P', 'main']).split(' ');
+    assert.equal(parents.length, 2);
+  });
+
+  await check('held-back drafts don\'t count as unsubmitted changes', async () => {
+    assert.equal((await request(bob, 'POST', '/api/git/branches', { topic: 'Notes' })).status, 200);
+    assert.equal((await request(bob, 'POST', '/api/content/posts/notes', { data: { title: 'Notes' } })).status, 200);
+    assert.equal((await request(bob, 'PUT', '/api/content/posts/notes/status', { status: 'draft' })).status, 200);
+
+    const switched = await request(alice, 'POST', '/api/git/branches', { topic: 'Other' });
+    assert.equal(switched.status, 200, JSON.stringify(switched.body));
+    assert.equal(git(projectRoot, ['rev-parse', '--abbrev-ref', 'HEAD']), 'content/alice-other');
+  });
+
+  await check('merge keeps a branch with commits whose submit push failed', async () => {
+    await request(alice, 'PUT', '/api/content/posts/home', { data: { title: 'Other' } });
+    assert.equal((await request(alice, 'POST', '/api/git/submit', { message: 'Other copy' })).status, 200);
+
+    const hook = path.join(remoteDir, 'hooks/pre-receive');
+    fs.writeFileSync(hook, '#!/bin/sh\nexit 1\n', { mode: 0o755 });
+    await request(alice, 'PUT', '/api/content/posts/home', { data: { title: 'Other, unpushed' } });
+    const failed = await request(alice, 'POST', '/api/git/submit', { message: 'Unpushed copy' });
+    fs.rmSync(hook);
+    assert.equal(failed.status, 502);
+    assert.equal(failed.body.committed, true);
+
+    const merge = await request(alice, 'POST', '/api/git/merge', { branch: 'content/alice-other', strategy: 'ff' });
+    assert.equal(merge.status, 200, JSON.stringify(merge.body));
+    assert.equal(merge.body.deleted, false);
+    assert.equal(git(projectRoot, ['log', '-1', '--format=%s', 'main']), 'Other copy');
+    assert.equal(git(projectRoot, ['log', '-1', '--format=%s', 'content/alice-other']), 'Unpushed copy');
+    assert.ok(remoteBranches().includes('content/alice-other'), 'remote branch kept');
+  });
+
+  console.log('='.repeat(40));
+  console.log(`\n📊 ${passed} checks passed.\n`);
+} catch (error) {
+  if (!(error instanceof CheckFailed)) {
+    console.error(`❌ Test setup failed\n   ${error.stack || error.message}`);
+  }
+  process.exitCode = 1;
+} finally {
+  app?.close();
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+  fs.rmSync(remoteDir, { recursive: true, force: true });
+}
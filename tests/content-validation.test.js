@@ -0,0 +1,186 @@
+/**
+ * Content validation test
+ *
+ * Builds a throwaway Astro 6 project with a Zod schema, then asserts that
+ * validateContent() reports per-field errors in the form generator's path
+ * format, and that POST/PUT /api/content reply 422 without writing anything
+ * (400 when the body has no data object).
+ * node_modules is symlinked so the schema parser can resolve zod. Env is set
+ * before dynamically importing server modules so they pick up the temp paths.
+ *
+ *   bun tests/content-validation.test.js
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const repoRoot = path.resolve(import.meta.dir, '..');
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'aa-validate-'));
+
+let passed = 0;
+// Failure sentinel: already reported by check(), just unwinds to the outer
+// catch so the finally cleanup still runs (process.exit would skip it).
+class CheckFailed extends Error {}
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    console.error(`❌ ${name}\n   ${error.stack || error.message}`);
+    throw new CheckFailed(name);
+  }
+}
+
+let server = null;
+
+try {
+  fs.symlinkSync(path.join(repoRoot, 'node_modules'), path.join(tmpRoot, 'node_modules'), 'dir');
+
+  fs.mkdirSync(path.join(tmpRoot, 'src/content/posts'), { recursive: true });
+  fs.writeFileSync(
+    path.join(tmpRoot, 'src/content.config.ts'),
+    `import { defineCollection, z } from 'astro:content';
+import { glob } from 'astro/loaders';
+
+const heroBlock = z.object({ type: z.literal('hero'), heading: z.string() });
+const ctaBlock = z.object({ type: z.literal('cta'), url: z.string().url() });
+
+const posts = defineCollection({
+  loader: glob({ pattern: '**/*.md', base: './src/content/posts' }),
+  schema: z.object({
+    title: z.string(),
+    pubDate: z.date(),
+    status: z.enum(['draft', 'published']).default('draft'),
+    tags: z.array(z.string()).optional(),
+    blocks: z.array(z.discriminatedUnion('type', [heroBlock, ctaBlock])).optional(),
+  }),
+});
+
+export const collections = { posts };
+`
+  );
+  fs.writeFileSync(
+    path.join(tmpRoot, 'src/content/posts/hello.md'),
+    '---\ntitle: Hello\npubDate: 2024-01-01\n---\n\nHi\n'
+  );
+
+  process.env.ASTROADMIN_PROJECT_ROOT = tmpRoot;
+  process.env.ASTROADMIN_CONTENT_STORE = 'files';
+
+  const { validateContent, formatIssuePath } = await import('../server/utils/validate-content.js');
+  const { default: express } = await import('express');
+  const { default: contentRouter } = await import('../server/api/content.js');
+
+  console.log('\n🧪 Content validation\n' + '='.repeat(40));
+
+  await check('formatIssuePath matches form input names', () => {
+    assert.equal(formatIssuePath(['title']), 'title');
+    assert.equal(formatIssuePath(['blocks', 0, 'heading']), 'blocks[0].heading');
+    assert.equal(formatIssuePath(['tags', 2]), 'tags[2]');
+    assert.equal(formatIssuePath([]), '');
+  });
+
+  await check('valid data passes (date strings tolerated)', async () => {
+    const result = await validateContent('posts', { title: 'Hello', pubDate: '2024-01-01' });
+    assert.deepEqual(result, { valid: true, errors: [] });
+  });
+
+  await check('missing and mistyped fields are reported per path', async () => {
+    const result = await validateContent('posts', {
+      pubDate: 'not a date',
+      tags: ['ok', 42],
+      status: 'archived',
+    });
+    assert.equal(result.valid, false);
+    const byPath = Object.fromEntries(result.errors.map(e => [e.path, e]));
+    assert.ok(byPath.title, 'missing title reported');
+    assert.equal(byPath.title.expected, 'string');
+    assert.ok(byPath.pubDate, 'unparseable date reported');
+    assert.equal(byPath['tags[1]'].expected, 'string');
+    assert.equal(byPath.status.expected, 'draft | published');
+    for (const error of result.errors) {
+      assert.equal(typeof error.message, 'string', `message for ${error.path}`);
+    }
+  });
+
+  await check('block fields are reported inside the block', async () => {
+    const result = await validateContent('posts', {
+      title: 'Blocks',
+      pubDate: '2024-01-01',
+      blocks: [{ type: 'hero', heading: 'Hi' }, { type: 'cta', url: 'nope' }],
+    });
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.errors.map(e => e.path), ['blocks[1].url']);
+  });
+
+  await check('unknown collections are not validated', async () => {
+    const result = await validateContent('nope', { anything: true });
+    assert.equal(result.valid, true);
+  });
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/content', contentRouter);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api/content`;
+
+  async function send(method, slug, payload) {
+    const response = await fetch(`${baseUrl}/posts/${slug}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  await check('POST with invalid data returns 422 and writes nothing', async () => {
+    const { status, body } = await send('POST', 'bad', { data: { pubDate: '2024-01-01' }, type: 'content' });
+    assert.equal(status, 422);
+    assert.equal(body.success, false);
+    assert.deepEqual(body.errors.map(e => e.path), ['title']);
+    assert.ok(!fs.existsSync(path.join(tmpRoot, 'src/content/posts/bad.md')), 'file not written');
+  });
+
+  await check('PUT with invalid data returns 422 and leaves the file alone', async () => {
+    const file = path.join(tmpRoot, 'src/content/posts/hello.md');
+    const before = fs.readFileSync(file, 'utf-8');
+    const { status, body } = await send('PUT', 'hello', { data: { title: 7, pubDate: '2024-01-01' }, type: 'content' });
+    assert.equal(status, 422);
+    assert.equal(body.errors[0].path, 'title');
+    assert.equal(fs.readFileSync(file, 'utf-8'), before, 'file unchanged');
+  });
+
+  await check('PUT or POST without a data object returns 400, not 422', async () => {
+    const file = path.join(tmpRoot, 'src/content/posts/hello.md');
+    const before = fs.readFileSync(file, 'utf-8');
+    for (const payload of [{ body: 'Only a body' }, { data: ['title'] }, { data: 'title' }]) {
+      const { status, body } = await send('PUT', 'hello', payload);
+      assert.equal(status, 400, JSON.stringify(payload));
+      assert.equal(body.error, 'Missing required field: data');
+    }
+    assert.equal(fs.readFileSync(file, 'utf-8'), before, 'file unchanged');
+    assert.equal((await send('POST', 'no-data', { body: 'Only a body' })).status, 400);
+  });
+
+  await check('POST with valid data still saves', async () => {
+    const { status, body } = await send('POST', 'good', { data: { title: 'Good', pubDate: '2024-02-02' }, body: 'Body', type: 'content' });
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.ok(fs.existsSync(path.join(tmpRoot, 'src/content/posts/good.md')), 'file written');
+  });
+
+  console.log('='.repeat(40));
+  console.log(`\n📊 ${passed} checks passed.\n`);
+} catch (error) {
+  if (!(error instanceof CheckFailed)) {
+    console.error(`❌ Test setup failed\n   ${error.stack || error.message}`);
+  }
+  process.exitCode = 1;
+} finally {
+  server?.close();
+  fs.rmSync(tmpRoot, { recursive: true, force: true });
+}
@@ -0,0 +1,224 @@
+/**
+ * Data file formats test
+ *
+ * Covers the YAML/TOML/CSV readers and writers in data-formats.js (YAML
+ * comments surviving an edit, TOML tables, CSV quoting), then the file store
+ * and the importer against a throwaway Astro project whose glob() and file()
+ * loaders point at YAML, TOML and CSV files. node_modules is symlinked so the
+ * schema parser can resolve zod.
+ *
+ *   bun tests/data-formats.test.js
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const repoRoot = path.resolve(import.meta.dir, '..');
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'aa-formats-'));
+process.env.ASTROADMIN_PROJECT_ROOT = tmpRoot;
+process.env.ASTROADMIN_DB = path.join(tmpRoot, 'content.db');
+
+let passed = 0;
+// Failure sentinel: already reported by check(), just unwinds to the outer
+// catch so the finally cleanup still runs (process.exit would skip it).
+class CheckFailed extends Error {}
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    console.error(`❌ ${name}\n   ${error.stack || error.message}`);
+    throw new CheckFailed(name);
+  }
+}
+
+function write(relativePath, text) {
+  fs.mkdirSync(path.dirname(path.join(tmpRoot, relativePath)), { recursive: true });
+  fs.writeFileSync(path.join(tmpRoot, relativePath), text);
+}
+
+function read(relativePath) {
+  return fs.readFileSync(path.join(tmpRoot, relativePath), 'utf-8');
+}
+
+try {
+  fs.symlinkSync(path.join(repoRoot, 'node_modules'), path.join(tmpRoot, 'node_modules'), 'dir');
+  write(
+    'src/content.config.ts',
+    `import { defineCollection, z } from 'astro:content';
+import { glob, file } from 'astro/loaders';
+
+const authors = defineCollection({
+  loader: glob({ pattern: '**/*.yaml', base: './src/content/authors' }),
+  schema: z.object({ name: z.string() }),
+});
+const settings = defineCollection({
+  loader: glob({ pattern: '**/*.toml', base: './src/content/settings' }),
+  schema: z.object({ title: z.string() }),
+});
+const team = defineCollection({
+  loader: file('src/data/team.yml'),
+  schema: z.object({ name: z.string() }),
+});
+const prices = defineCollection({
+  loader: file('src/data/prices.csv'),
+  schema: z.object({ plan: z.string() }),
+});
+const regions = defineCollection({
+  loader: file('src/data/regions.toml'),
+  schema: z.object({ label: z.string() }),
+});
+
+export const collections = { authors, settings, team, prices, regions };
+`
+  );
+  write(
+    'src/content/authors/ada.yaml',
+    `# Shown on the about page
+name: Ada Lovelace # full name
+role: Analyst
+links:
+  - https://example.com/ada
+`
+  );
+  write('src/content/settings/site.toml', 'title = "Acme"\n\n[social]\nfediverse = "@acme@example.com"\n');
+  write(
+    'src/data/team.yml',
+    `# Keyed by id, like Astro's file() loader allows
+grace:
+  name: Grace Hopper # rear admiral
+  order: 1
+linus:
+  name: Linus
+  order: 2
+`
+  );
+  write('src/data/prices.csv', 'id,plan,price,notes\nbasic,Basic,10,\npro,Pro,25,"Billed yearly, ""best"" value"\n');
+  write('src/data/regions.toml', '[eu]\nlabel = "Europe"\n\n[us]\nlabel = "United States"\n');
+
+  const {
+    parseDataFile,
+    stringifyDataFile,
+    parseCsv,
+    stringifyCsv,
+    parseFileCollection,
+    stringifyFileCollection,
+  } = await import('../server/utils/data-formats.js');
+  const { readContent, writeContent, deleteContent } = await import('../server/utils/content.js');
+  const { getCollectionEntries } = await import('../server/utils/collections.js');
+  const { importFiles } = await import('../server/utils/import-files.js');
+  const { getEntry } = await import('../server/utils/db.js');
+
+  console.log('\n🧪 Data file formats\n' + '='.repeat(40));
+
+  await check('YAML: an edit keeps comments and key order', () => {
+    const raw = read('src/content/authors/ada.yaml');
+    const data = parseDataFile(raw, '.yaml');
+    const out = stringifyDataFile({ ...data, role: 'Mathematician', born: 1815 }, '.yaml', raw);
+    assert.match(out, /^# Shown on the about page\n/);
+    assert.match(out, /name: Ada Lovelace # full name/);
+    assert.match(out, /role: Mathematician/);
+    assert.deepEqual(Object.keys(parseDataFile(out, '.yml')), ['name', 'role', 'links', 'born']);
+  });
+
+  await check('TOML: tables round-trip; a top-level list is refused', () => {
+    const data = parseDataFile('title = "Acme"\n[social]\nfediverse = "@acme"\n', '.toml');
+    assert.deepEqual(data, { title: 'Acme', social: { fediverse: '@acme' } });
+    assert.deepEqual(parseDataFile(stringifyDataFile(data, '.toml'), '.toml'), data);
+    assert.throws(() => stringifyDataFile([data], '.toml'), /table/);
+  });
+
+  await check('CSV: quoted commas, quotes and newlines; column order kept', () => {
+    const rows = parseCsv('id,note\na,"one, ""two""\nthree"\r\nb,plain\n');
+    assert.deepEqual(rows, [{ id: 'a', note: 'one, "two"\nthree' }, { id: 'b', note: 'plain' }]);
+    const out = stringifyCsv([{ note: 'x', id: 'c', extra: 'y' }], ['id', 'note']);
+    assert.equal(out, 'id,note,extra\nc,x,y\n');
+    assert.deepEqual(parseCsv(stringifyCsv(rows)), rows);
+  });
+
+  await check('file() collections: list and keyed shapes round-trip', () => {
+    const list = parseFileCollection('[{"id":"a","n":1}]', '.json');
+    assert.equal(list.keyed, false);
+    const keyed = parseFileCollection(read('src/data/team.yml'), '.yml');
+    assert.equal(keyed.keyed, true);
+    assert.deepEqual(keyed.items.map(item => item.id), ['grace', 'linus']);
+    const out = stringifyFileCollection(keyed.items, '.yml', { keyed: true, previousRaw: read('src/data/team.yml') });
+    assert.equal(out, read('src/data/team.yml'), 'unchanged entries write back byte for byte');
+  });
+
+  await check('file store: YAML and TOML glob entries read and write in place', async () => {
+    const ada = await readContent('authors', 'ada');
+    assert.equal(ada.type, 'data');
+    assert.equal(ada.data.name, 'Ada Lovelace');
+
+    await writeContent('authors', 'ada', { data: { ...ada.data, role: 'Mathematician' }, body: null, type: 'data' });
+    const onDisk = read('src/content/authors/ada.yaml');
+    assert.match(onDisk, /# Shown on the about page/);
+    assert.match(onDisk, /name: Ada Lovelace # full name/);
+    assert.match(onDisk, /role: Mathematician/);
+
+    await writeContent('authors', 'grace', { data: { name: 'Grace' }, body: null, type: 'data' });
+    assert.equal(read('src/content/authors/grace.yaml'), 'name: Grace\n', 'new entries take the pattern\'s format');
+
+    await assert.rejects(
+      writeContent('authors', 'ada', { data: ada.data, body: '# Bio', type: 'data' }),
+      /stored as YAML/
+    );
+
+    const site = await readContent('settings', 'site');
+    assert.equal(site.data.social.fediverse, '@acme@example.com');
+    await writeContent('settings', 'site', { data: { ...site.data, title: 'Acme Inc' }, body: null, type: 'data' });
+    assert.match(read('src/content/settings/site.toml'), /title = "Acme Inc"/);
+  });
+
+  await check('file store: file() collections in YAML, CSV and TOML keep their shape', async () => {
+    const entries = await getCollectionEntries('team');
+    assert.deepEqual(entries, ['grace', 'linus']);
+
+    const grace = await readContent('team', 'grace');
+    await writeContent('team', 'grace', { data: { ...grace.data, order: 3 }, body: null, type: 'data' });
+    await writeContent('team', 'ken', { data: { name: 'Ken', order: 4 }, body: null, type: 'data' });
+    const team = read('src/data/team.yml');
+    assert.match(team, /^# Keyed by id/);
+    assert.match(team, /name: Grace Hopper # rear admiral\n {2}order: 3/);
+    assert.match(team, /ken:\n {2}name: Ken/, 'still keyed by id');
+
+    const pro = await readContent('prices', 'pro');
+    assert.equal(pro.data.notes, 'Billed yearly, "best" value');
+    await writeContent('prices', 'pro', { data: { ...pro.data, price: '29' }, body: null, type: 'data' });
+    await deleteContent('prices', 'basic');
+    assert.equal(read('src/data/prices.csv'), 'id,plan,price,notes\npro,Pro,29,"Billed yearly, ""best"" value"\n');
+
+    await writeContent('regions', 'apac', { data: { label: 'Asia Pacific' }, body: null, type: 'data' });
+    assert.match(read('src/data/regions.toml'), /\[apac\]\nlabel = "Asia Pacific"/);
+  });
+
+  await check('importer reads YAML, TOML and CSV collections', async () => {
+    const summary = await importFiles();
+    assert.equal(summary.collections.authors, 2);
+    assert.equal(summary.collections.settings, 1);
+    assert.equal(summary.collections.team, 3);
+    assert.equal(summary.collections.prices, 1);
+    assert.equal(summary.collections.regions, 3);
+
+    assert.equal(JSON.parse(getEntry('authors', 'ada').data).role, 'Mathematician');
+    assert.equal(JSON.parse(getEntry('settings', 'site').data).title, 'Acme Inc');
+    const ken = getEntry('team', 'ken');
+    assert.equal(ken.position, 2);
+    assert.deepEqual(JSON.parse(ken.data), { name: 'Ken', order: 4, id: 'ken' });
+    assert.equal(JSON.parse(getEntry('prices', 'pro').data).price, '29');
+  });
+
+  console.log('='.repeat(40));
+  console.log(`\n📊 ${passed} checks passed.\n`);
+} catch (error) {
+  if (!(error instanceof CheckFailed)) {
+    console.error(`❌ Test setup failed\n   ${error.stack || error.message}`);
+  }
+  process.exitCode = 1;
+} finally {
+  fs.rmSync(tmpRoot, { recursive: true, force: true });
+}
@@ -5,10 +5,19 @@
  */
 
 import assert from 'assert';
+import crypto from 'crypto';
 import fs from 'fs';
+import http from 'http';
 import os from 'os';
 import path from 'path';
+import zlib from 'zlib';
 import { deploy, validateDeployConfig } from '../server/utils/deploy.js';
+import { cacheControlFor, contentTypeFor } from '../server/utils/adapters/s3.js';
+
+// Credentials come from the config in these tests, never the environment
+for (const name of ['S3_ACCESS_KEY_ID', 'S3_SECRET_ACCESS_KEY', 'AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY', 'AWS_SESSION_TOKEN']) {
+  delete process.env[name];
+}
 
 let passed = 0;
 async function check(name, fn) {
@@ -54,12 +63,263 @@ await check('validate: unknown adapter is rejected', () => {
   assert.ok(result.errors[0].includes('Unknown deploy adapter'), 'names the problem');
 });
 
+await check('validate: s3 requires bucket and credentials', () => {
+  const result = validateDeployConfig({ adapter: 's3', s3: { region: 'us-east-1' } });
+  assert.equal(result.valid, false);
+  assert.ok(result.errors.some((e) => e.includes('bucket')), 'mentions bucket');
+  assert.ok(result.errors.some((e) => e.includes('accessKeyId')), 'mentions credentials');
+  assert.deepEqual(
+    validateDeployConfig({ adapter: 's3', s3: { bucket: 'site', accessKeyId: 'k', secretAccessKey: 's' } }),
+    { valid: true, errors: [] }
+  );
+});
+
+await check('validate: http requires a url and a known mode', () => {
+  assert.ok(validateDeployConfig({ adapter: 'http', http: {} }).errors.some((e) => e.includes('url')));
+  assert.ok(validateDeployConfig({ adapter: 'http', http: { url: 'ftp://host/x' } }).errors.some((e) => e.includes('http(s)')));
+  assert.ok(validateDeployConfig({ adapter: 'http', http: { url: 'https://h/x', mode: 'ftp' } }).errors.some((e) => e.includes('mode')));
+  assert.deepEqual(validateDeployConfig({ adapter: 'http', http: { url: 'https://h/x', mode: 'hook' } }), { valid: true, errors: [] });
+});
+
+await check('s3: Content-Type and Cache-Control by extension', () => {
+  assert.equal(contentTypeFor('index.html'), 'text/html; charset=utf-8');
+  assert.equal(contentTypeFor('logo.SVG'), 'image/svg+xml');
+  assert.equal(contentTypeFor('data.bin'), 'application/octet-stream');
+  assert.equal(cacheControlFor('blog/index.html'), 'public, max-age=0, must-revalidate');
+  assert.equal(cacheControlFor('_astro/index.B1a2c3.css'), 'public, max-age=31536000, immutable');
+  assert.equal(cacheControlFor('favicon.svg'), 'public, max-age=3600');
+  assert.equal(cacheControlFor('favicon.svg', { svg: 'no-store' }), 'no-store');
+  assert.equal(cacheControlFor('index.html', { '*': 'public, max-age=60' }), 'public, max-age=0, must-revalidate');
+});
+
 await check('deploy: no adapter is a no-op skip', async () => {
   const result = await deploy({ adapter: null }, '/tmp');
   assert.equal(result.success, true);
   assert.equal(result.skipped, true);
 });
 
+/**
+ * Local stand-in for an S3-compatible store: ListObjectsV2 (two keys a page,
+ * so pagination is exercised), PUT and DELETE, path-style, for one bucket
+ */
+function startS3StandIn(bucket) {
+  const objects = new Map();
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const [, bucketName, ...keyParts] = url.pathname.split('/');
+    const key = keyParts.map(decodeURIComponent).join('/');
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      requests.push({ method: req.method, key });
+      if (bucketName !== bucket || !req.headers.authorization?.startsWith('AWS4-HMAC-SHA256 Credential=test-key/')) {
+        res.writeHead(403).end('<Error><Code>AccessDenied</Code></Error>');
+        return;
+      }
+      if (req.method === 'GET') {
+        const prefix = url.searchParams.get('prefix') || '';
+        const keys = [...objects.keys()].filter((k) => k.startsWith(prefix)).sort();
+        const start = Number(url.searchParams.get('continuation-token') || 0);
+        const page = keys.slice(start, start + 2);
+        const more = start + 2 < keys.length;
+        res.writeHead(200, { 'Content-Type': 'application/xml' }).end(
+          `<?xml version="1.0" encoding="UTF-8"?><ListBucketResult><IsTruncated>${more}</IsTruncated>` +
+          page.map((k) => `<Contents><Key>${k}</Key><ETag>&quot;${objects.get(k).etag}&quot;</ETag></Contents>`).join('') +
+          (more ? `<NextContinuationToken>${start + 2}</NextContinuationToken>` : '') +
+          '</ListBucketResult>'
+        );
+      } else if (req.method === 'PUT') {
+        const body = Buffer.concat(chunks);
+        const etag = crypto.createHash('md5').update(body).digest('hex');
+        objects.set(key, {
+          body: body.toString(),
+          etag,
+          contentType: req.headers['content-type'],
+          cacheControl: req.headers['cache-control'],
+        });
+        res.writeHead(200, { ETag: `"${etag}"` }).end();
+      } else if (req.method === 'DELETE') {
+        objects.delete(key);
+        res.writeHead(204).end();
+      }
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, objects, requests, port: server.address().port }));
+  });
+}
+
+/**
+ * Local stand-in for an upload endpoint / deploy hook: records each request
+ */
+function startHttpStandIn(status = 200) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      received.push({ method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+      res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify({ id: 'deploy-1' }));
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, received, port: server.address().port }));
+  });
+}
+
+// Entries of a zip, read back from its local file headers
+function readZip(buffer) {
+  const entries = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const method = buffer.readUInt16LE(offset + 8);
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const extraLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf-8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength + extraLength;
+    const data = buffer.subarray(start, start + size);
+    entries[name] = (method === 8 ? zlib.inflateRawSync(data) : data).toString();
+    offset = start + size;
+  }
+  return entries;
+}
+
+function makeDist() {
+  const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'aa-deploy-'));
+  const dist = path.join(projectRoot, 'dist');
+  fs.mkdirSync(path.join(dist, '_astro'), { recursive: true });
+  fs.mkdirSync(path.join(dist, 'blog'), { recursive: true });
+  fs.writeFileSync(path.join(dist, 'index.html'), '<h1>hi</h1>');
+  fs.writeFileSync(path.join(dist, 'blog', 'index.html'), '<h1>blog</h1>');
+  fs.writeFileSync(path.join(dist, '_astro', 'main.abc123.css'), 'body{color:red}'.repeat(20));
+  fs.writeFileSync(path.join(dist, 'favicon.svg'), '<svg/>');
+  return projectRoot;
+}
+
+await check('deploy: s3 mirrors dist incrementally', async () => {
+  const projectRoot = makeDist();
+  const s3 = await startS3StandIn('site');
+  try {
+    // Left over from an earlier deploy, and something outside the prefix
+    s3.objects.set('www/old.html', { body: 'old', etag: 'x' });
+    s3.objects.set('backups/keep.txt', { body: 'keep', etag: 'y' });
+
+    const deployConfig = {
+      adapter: 's3',
+      s3: {
+        bucket: 'site',
+        endpoint: `http://127.0.0.1:${s3.port}`,
+        prefix: '/www/',
+        accessKeyId: 'test-key',
+        secretAccessKey: 'test-secret',
+      },
+    };
+
+    const first = await deploy(deployConfig, projectRoot, { log: () => {} });
+    assert.equal(first.adapter, 's3');
+    assert.deepEqual(first.uploaded.sort(), ['www/_astro/main.abc123.css', 'www/blog/index.html', 'www/favicon.svg', 'www/index.html']);
+    assert.deepEqual(first.deleted, ['www/old.html']);
+    assert.ok(s3.objects.has('backups/keep.txt'), 'outside the prefix is left alone');
+
+    const index = s3.objects.get('www/index.html');
+    assert.equal(index.body, '<h1>hi</h1>');
+    assert.equal(index.contentType, 'text/html; charset=utf-8');
+    assert.equal(index.cacheControl, 'public, max-age=0, must-revalidate');
+    assert.equal(s3.objects.get('www/_astro/main.abc123.css').cacheControl, 'public, max-age=31536000, immutable');
+
+    const second = await deploy(deployConfig, projectRoot, { log: () => {} });
+    assert.deepEqual([second.uploaded, second.deleted, second.unchanged], [[], [], 4], 'nothing changed');
+
+    fs.writeFileSync(path.join(projectRoot, 'dist', 'index.html'), '<h1>hello</h1>');
+    fs.rmSync(path.join(projectRoot, 'dist', 'favicon.svg'));
+    s3.requests.length = 0;
+    const dryRun = await deploy({ ...deployConfig, s3: { ...deployConfig.s3, dryRun: true } }, projectRoot, { log: () => {} });
+    assert.deepEqual([dryRun.uploaded, dryRun.deleted, dryRun.dryRun], [['www/index.html'], ['www/favicon.svg'], true]);
+    assert.ok(s3.requests.every((r) => r.method === 'GET'), 'dry-run only lists');
+
+    const third = await deploy(deployConfig, projectRoot, { log: () => {} });
+    assert.deepEqual([third.uploaded, third.deleted], [['www/index.html'], ['www/favicon.svg']]);
+    assert.equal(s3.objects.get('www/index.html').body, '<h1>hello</h1>');
+  } finally {
+    s3.server.close();
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  }
+});
+
+await check('deploy: s3 surfaces the store\'s error', async () => {
+  const projectRoot = makeDist();
+  const s3 = await startS3StandIn('site');
+  try {
+    await assert.rejects(
+      () => deploy({
+        adapter: 's3',
+        s3: { bucket: 'other', endpoint: `http://127.0.0.1:${s3.port}`, accessKeyId: 'test-key', secretAccessKey: 's' },
+      }, projectRoot, { log: () => {} }),
+      /403 AccessDenied/
+    );
+  } finally {
+    s3.server.close();
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  }
+});
+
+await check('deploy: http uploads a zip of dist', async () => {
+  const projectRoot = makeDist();
+  const endpoint = await startHttpStandIn();
+  try {
+    const result = await deploy({
+      adapter: 'http',
+      http: {
+        url: `http://127.0.0.1:${endpoint.port}/api/deploys?site=1`,
+        headers: { Authorization: 'Bearer token' },
+      },
+    }, projectRoot, { log: () => {} });
+
+    assert.equal(result.success, true);
+    assert.equal(result.adapter, 'http');
+    assert.equal(result.files, 4);
+    assert.match(result.output, /deploy-1/);
+
+    const [request] = endpoint.received;
+    assert.equal(request.method, 'POST');
+    assert.equal(request.url, '/api/deploys?site=1');
+    assert.equal(request.headers['content-type'], 'application/zip');
+    assert.equal(request.headers.authorization, 'Bearer token');
+    assert.equal(Number(request.headers['content-length']), request.body.length);
+    assert.equal(result.bytes, request.body.length);
+    const entries = readZip(request.body);
+    assert.deepEqual(Object.keys(entries).sort(), ['_astro/main.abc123.css', 'blog/index.html', 'favicon.svg', 'index.html']);
+    assert.equal(entries['_astro/main.abc123.css'], 'body{color:red}'.repeat(20), 'deflated entry round-trips');
+  } finally {
+    endpoint.server.close();
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  }
+});
+
+await check('deploy: http hook mode sends no body; failures throw', async () => {
+  const projectRoot = makeDist();
+  const endpoint = await startHttpStandIn();
+  const failing = await startHttpStandIn(500);
+  try {
+    const result = await deploy({
+      adapter: 'http',
+      http: { url: `http://127.0.0.1:${endpoint.port}/hooks/abc`, mode: 'hook' },
+    }, projectRoot, { log: () => {} });
+    assert.deepEqual([result.mode, result.files, endpoint.received[0].body.length], ['hook', 0, 0]);
+
+    await assert.rejects(
+      () => deploy({ adapter: 'http', http: { url: `http://127.0.0.1:${failing.port}/x`, mode: 'hook' } }, projectRoot, { log: () => {} }),
+      /status 500/
+    );
+  } finally {
+    endpoint.server.close();
+    failing.server.close();
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  }
+});
+
 await check('deploy: local rsync dry-run', async () => {
   const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'aa-deploy-'));
   const dest = fs.mkdtempSync(path.join(os.tmpdir(), 'aa-dest-'));
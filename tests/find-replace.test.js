@@ -0,0 +1,279 @@
+/**
+ * Find and replace test
+ *
+ * Covers building the match pattern, field filters and the replacement
+ * itself (plain text, regex groups, whole words, nested block fields, the
+ * body) and, through the real Express app on an ephemeral port against a
+ * throwaway git repo, POST /api/content/replace: dry-run diffs, applying as a
+ * single commit that leaves other uncommitted edits alone, refusing when an
+ * entry would fail validation, per-collection permissions, and stopping a
+ * pattern that backtracks without end.
+ * node_modules is symlinked so the schema parser can resolve zod.
+ *
+ *   bun tests/find-replace.test.js
+ */
+
+import assert from 'assert';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { createTestProject, startServer } from './helpers/server.js';
+
+const projectRoot = createTestProject('aa-replace-', {
+  git: true,
+  linkNodeModules: true,
+  config: `export default {
+  auth: {
+    username: 'owner',
+    password: 'owner-pass',
+    credentials: [{ username: 'marketing', password: 'marketing-pass' }],
+  },
+  permissions: {
+    marketing: { collections: ['pages'] },
+  },
+  findReplace: {
+    timeoutMs: 1000,
+  },
+};
+`,
+});
+fs.writeFileSync(path.join(projectRoot, '.gitignore'), '.astroadmin/\ncontent.db*\nnode_modules\n');
+fs.mkdirSync(path.join(projectRoot, 'src'), { recursive: true });
+fs.writeFileSync(
+  path.join(projectRoot, 'src/content.config.ts'),
+  `import { defineCollection, z } from 'astro:content';
+import { glob } from 'astro/loaders';
+
+const collection = (name) => defineCollection({
+  loader: glob({ pattern: '**/*.md', base: \`./src/content/\${name}\` }),
+  schema: z.object({
+    title: z.string(),
+    tone: z.enum(['Acme', 'Formal']).optional(),
+    blocks: z.array(z.object({ type: z.string(), heading: z.string().optional() })).optional(),
+  }),
+});
+
+export const collections = {
+  pages: collection('pages'),
+  settings: collection('settings'),
+};
+`
+);
+
+function writeEntry(collection, slug, text) {
+  fs.mkdirSync(path.join(projectRoot, 'src/content', collection), { recursive: true });
+  fs.writeFileSync(path.join(projectRoot, 'src/content', collection, `${slug}.md`), text);
+}
+function readEntry(collection, slug) {
+  return fs.readFileSync(path.join(projectRoot, 'src/content', collection, `${slug}.md`), 'utf-8');
+}
+writeEntry('pages', 'home', `---
+title: Welcome to Acme
+blocks:
+  - type: hero
+    heading: Acme Widgets for everyone
+---
+Buy Acme today. Acmeology is unrelated.
+`);
+writeEntry('pages', 'about', '---\ntitle: About us\n---\nFounded by the acme team.\n');
+writeEntry('settings', 'site', '---\ntitle: Acme settings\n---\n');
+
+function git(args) {
+  return execFileSync('git', ['-C', projectRoot, ...args], { encoding: 'utf-8' }).trim();
+}
+
+git(['init', '-q']);
+git(['config', 'user.name', 'AstroAdmin Server']);
+git(['config', 'user.email', 'server@example.com']);
+git(['add', '.']);
+git(['commit', '-q', '-m', 'Initial commit']);
+
+const { parseReplaceOptions, fieldMatches, replaceInEntry } = await import('../server/utils/find-replace.js');
+const { entryDiff } = await import('../server/utils/entry-diff.js');
+
+let passed = 0;
+// Failure sentinel: already reported by check(), just unwinds to the outer
+// catch so the finally cleanup still runs (process.exit would skip it).
+class CheckFailed extends Error {}
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    console.error(`❌ ${name}\n   ${error.stack || error.message}`);
+    throw new CheckFailed(name);
+  }
+}
+
+let app = null;
+
+try {
+  console.log('\n🧪 Find and replace\n' + '='.repeat(40));
+
+  await check('parseReplaceOptions: rejects bad requests', () => {
+    assert.throws(() => parseReplaceOptions({}), /"find"/);
+    assert.throws(() => parseReplaceOptions({ find: 'a', replace: 3 }), /"replace"/);
+    assert.throws(() => parseReplaceOptions({ find: '(', regex: true }), /Invalid regular expression/);
+    assert.throws(() => parseReplaceOptions({ find: 'x*', regex: true }), /empty text/);
+    assert.throws(() => parseReplaceOptions({ find: 'a', collections: 'pages' }), /"collections"/);
+    assert.equal(parseReplaceOptions({ find: 'a', fields: [] }).fields, null, 'empty filter = everything');
+  });
+
+  await check('fieldMatches: indexes ignored, nested fields included', () => {
+    assert.ok(fieldMatches('blocks[2].heading', ['blocks.heading']));
+    assert.ok(fieldMatches('seo.description', ['seo']));
+    assert.ok(!fieldMatches('seoTitle', ['seo']));
+    assert.ok(fieldMatches('body', null));
+    assert.ok(!fieldMatches('title', ['body']));
+  });
+
+  await check('replaceInEntry: plain text, regex groups, whole words, fields', () => {
+    const entry = {
+      data: { title: 'Acme and ACME', price: 5, blocks: [{ heading: 'Try Acme' }] },
+      body: 'Acmeology costs $5 at Acme.',
+    };
+
+    const plain = replaceInEntry(entry, parseReplaceOptions({ find: 'acme', replace: 'Nova $1', wholeWord: true }));
+    assert.equal(plain.data.title, 'Nova $1 and Nova $1', 'replacement inserted literally');
+    assert.equal(plain.data.price, 5);
+    assert.equal(plain.data.blocks[0].heading, 'Try Nova $1');
+    assert.equal(plain.body, 'Acmeology costs $5 at Nova $1.', 'whole words only');
+    assert.deepEqual(plain.changes, [
+      { field: 'title', count: 2 },
+      { field: 'blocks[0].heading', count: 1 },
+      { field: 'body', count: 1 },
+    ]);
+    assert.equal(plain.count, 4);
+    assert.equal(entry.data.title, 'Acme and ACME', 'input untouched');
+
+    const cased = replaceInEntry(entry, parseReplaceOptions({ find: 'Acme', replace: 'Nova', caseSensitive: true, fields: ['title'] }));
+    assert.equal(cased.data.title, 'Nova and ACME');
+    assert.equal(cased.body, entry.body, 'field filter leaves the body alone');
+
+    const regex = replaceInEntry(entry, parseReplaceOptions({ find: '\\$(\\d+)', replace: '€$1', regex: true }));
+    assert.equal(regex.body, 'Acmeology costs €5 at Acme.');
+    assert.equal(replaceInEntry(entry, parseReplaceOptions({ find: 'zzz' })), null);
+  });
+
+  await check('entryDiff: unified diff of frontmatter and body', () => {
+    const diff = entryDiff(
+      { collection: 'pages', slug: 'home', locale: 'fr', data: { title: 'Acme' }, body: 'Hi\n' },
+      { data: { title: 'Nova' }, body: 'Hi\n' }
+    );
+    assert.match(diff, /^--- pages\/home \(fr\)\n\+\+\+ pages\/home \(fr\)\n@@/);
+    assert.match(diff, /\n-title: Acme\n\+title: Nova\n/);
+  });
+
+  app = await startServer();
+  const { baseUrl, login } = app;
+
+  async function replace(cookie, body) {
+    const response = await fetch(`${baseUrl}/api/content/replace`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Cookie: cookie },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  const owner = await login('owner', 'owner-pass');
+  const commitCount = () => Number(git(['rev-list', '--count', 'HEAD']));
+
+  await check('dry run lists diffs and writes nothing', async () => {
+    const { status, body } = await replace(owner, { find: 'acme', replace: 'Nova', wholeWord: true, dryRun: true });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.dryRun, true);
+    assert.deepEqual(body.entries.map(e => `${e.collection}/${e.slug}`).sort(), ['pages/about', 'pages/home', 'settings/site']);
+    assert.equal(body.totalMatches, 5);
+    const home = body.entries.find(e => e.slug === 'home');
+    assert.deepEqual(home.changes.map(c => c.field), ['title', 'blocks[0].heading', 'body']);
+    assert.match(home.diff, /\n-title: Welcome to Acme\n\+title: Welcome to Nova\n/);
+    assert.deepEqual(home.errors, []);
+    assert.match(readEntry('pages', 'home'), /Welcome to Acme/);
+
+    const bad = await replace(owner, { find: '[', regex: true, dryRun: true });
+    assert.equal(bad.status, 400);
+  });
+
+  await check('apply writes every entry and lands as one commit', async () => {
+    // An unrelated edit in progress must stay out of the replace commit
+    writeEntry('pages', 'draft', '---\ntitle: Unsaved idea\n---\n');
+    const before = commitCount();
+
+    const { status, body } = await replace(owner, { find: 'acme', replace: 'Nova', wholeWord: true, collections: ['pages'] });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.totalEntries, 2);
+    assert.ok(body.commit?.hash, 'committed');
+    assert.equal(commitCount(), before + 1);
+    assert.match(git(['log', '-1', '--format=%s']), /^Replace "acme" with "Nova" in 2 entries$/);
+    assert.deepEqual(git(['show', '--name-only', '--format=', 'HEAD']).split('\n').sort(), [
+      'src/content/pages/about.md',
+      'src/content/pages/home.md',
+    ]);
+    assert.match(git(['status', '--porcelain']), /\?\? src\/content\/pages\/draft\.md/);
+
+    assert.match(readEntry('pages', 'home'), /title: Welcome to Nova\n/);
+    assert.match(readEntry('pages', 'home'), /heading: Nova Widgets for everyone/);
+    assert.match(readEntry('pages', 'home'), /Buy Nova today\. Acmeology is unrelated\./);
+    assert.match(readEntry('pages', 'about'), /the Nova team/);
+    assert.match(readEntry('settings', 'site'), /Acme settings/, 'other collections untouched');
+  });
+
+  await check('an entry failing validation stops the whole replace', async () => {
+    writeEntry('pages', 'formal', '---\ntitle: Formal\ntone: Formal\n---\nFormal wording.\n');
+    git(['add', '.']);
+    git(['commit', '-q', '-m', 'Add formal']);
+    const before = commitCount();
+
+    const { status, body } = await replace(owner, { find: 'Formal', replace: 'Casual' });
+    assert.equal(status, 422, JSON.stringify(body));
+    const formal = body.entries.find(e => e.slug === 'formal');
+    assert.ok(formal.errors.some(error => error.path === 'tone'), JSON.stringify(formal.errors));
+    assert.match(readEntry('pages', 'formal'), /title: Formal\n/, 'nothing written');
+    assert.equal(commitCount(), before);
+
+    const fieldLimited = await replace(owner, { find: 'Formal', replace: 'Casual', fields: ['title', 'body'] });
+    assert.equal(fieldLimited.status, 200, JSON.stringify(fieldLimited.body));
+    assert.match(readEntry('pages', 'formal'), /title: Casual\ntone: Formal\n---\nCasual wording\./);
+  });
+
+  await check('only collections the login can write are touched', async () => {
+    const cookie = await login('marketing', 'marketing-pass');
+    const forbidden = await replace(cookie, { find: 'Acme', replace: 'X', collections: ['settings'], dryRun: true });
+    assert.equal(forbidden.status, 403);
+
+    const { status, body } = await replace(cookie, { find: 'Acme', replace: 'X', dryRun: true });
+    assert.equal(status, 200);
+    assert.ok(body.entries.every(e => e.collection === 'pages'), JSON.stringify(body.entries));
+    assert.ok(!body.entries.some(e => e.collection === 'settings'));
+  });
+
+  await check('a catastrophically backtracking pattern times out with 400', async () => {
+    // Bun's regex engine gives up on one string after ~0.5s; several add up
+    const slow = `${'a'.repeat(40)}!`;
+    for (let index = 0; index < 6; index++) {
+      writeEntry('pages', `slow-${index}`, `---\ntitle: ${slow}\n---\n${slow}\n`);
+    }
+    const started = Date.now();
+    const { status, body } = await replace(owner, { find: '(a+)+$', replace: 'b', regex: true, dryRun: true });
+    assert.equal(status, 400, JSON.stringify(body));
+    assert.match(body.message, /longer than 1000 ms/);
+    assert.ok(Date.now() - started < 10 * 1000, 'stopped, not run to the end');
+
+    const after = await replace(owner, { find: 'Unsaved', replace: 'Saved', dryRun: true });
+    assert.equal(after.status, 200, 'the server carries on');
+    assert.equal(after.body.totalEntries, 1);
+  });
+
+  console.log('='.repeat(40));
+  console.log(`\n📊 ${passed} checks passed.\n`);
+} catch (error) {
+  if (!(error instanceof CheckFailed)) {
+    console.error(`❌ Test setup failed\n   ${error.stack || error.message}`);
+  }
+  process.exitCode = 1;
+} finally {
+  app?.close();
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+}
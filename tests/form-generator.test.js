@@ -109,6 +109,33 @@ check('an image field renders a picker, not a raw text input', () => {
   assert.ok(!/<input\s+type="text"\s+name="image"/s.test(html), 'image must not be a raw text input');
 });
 
+// --- File fields ------------------------------------------------------------
+// Downloads pick from the media library, not the image library. Name matching
+// goes by whole words so a field like `profile` stays a text box.
+
+check('download fields render a file picker with the kind they take', () => {
+  const html = generateFields(
+    {
+      brochurePdf: { type: 'string' },
+      introVideo: { type: 'string' },
+      attachment: { type: 'string' },
+      terms: { type: 'string', description: 'file:document' },
+      profile: { type: 'string', maxLength: 40 },
+    },
+    { brochurePdf: '/media/spring-brochure.pdf' },
+  );
+  const kinds = [...html.matchAll(/class="file-picker" data-field="(\w+)" data-kind="(\w*)"/g)].map(m => [m[1], m[2]]);
+  assert.deepEqual(kinds, [['brochurePdf', 'document'], ['introVideo', 'video'], ['attachment', ''], ['terms', 'document']]);
+  assert.ok(/data-file-name>spring-brochure\.pdf</.test(html), 'the chosen file is shown by name');
+  assert.ok(!/image-picker/.test(html), 'file fields must not render the image picker');
+  assert.ok(/<input\s+type="text"\s+name="profile"/s.test(html), 'profile is not a file field');
+});
+
+check('a file name cannot inject markup through the picker link', () => {
+  const html = generateFields({ file: { type: 'string' } }, { file: '/media/"><img src=x onerror=alert(1)>.pdf' });
+  assert.ok(!html.includes('<img src=x'), 'the file value must be escaped');
+});
+
 // --- Modal ids --------------------------------------------------------------
 
 check('idPrefix keeps modal field ids off the form behind it', () => {
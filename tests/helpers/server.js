@@ -0,0 +1,105 @@
+/**
+ * Shared fixture for the suites that test the API through the real Express
+ * app: a throwaway project with its astroadmin.config.js, the app on an
+ * ephemeral port, and logging in and making requests as a user.
+ *
+ * The server reads its env vars when its modules are first loaded, so a
+ * suite calls createTestProject() before it imports anything from server/
+ * (dynamically, after the call), and startServer() once it's set up.
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const repoRoot = path.resolve(import.meta.dir, '../..');
+
+/**
+ * Write a project's astroadmin.config.js
+ * @param {string} projectRoot
+ * @param {string} source - The module's source (`export default { ... };`)
+ */
+export function writeProjectConfig(projectRoot, source) {
+  fs.writeFileSync(path.join(projectRoot, 'astroadmin.config.js'), source);
+}
+
+/**
+ * Create a temp project and point the server's env at it
+ * @param {string} prefix - Temp directory prefix ('aa-rename-')
+ * @param {Object} options
+ * @param {string} [options.config] - astroadmin.config.js source; leave it
+ *   out to write it with writeProjectConfig() once projectRoot is known
+ * @param {'files'|'db'} [options.store='files'] - Content store
+ * @param {boolean} [options.git] - Sets GIT_ENABLED when given
+ * @param {boolean} [options.linkNodeModules=false] - Symlink the repo's
+ *   node_modules in, so the schema parser can resolve zod
+ * @returns {string} The project root
+ */
+export function createTestProject(prefix, { config, store = 'files', git, linkNodeModules = false } = {}) {
+  const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  process.env.ASTROADMIN_PROJECT_ROOT = projectRoot;
+  process.env.ASTROADMIN_DB = path.join(projectRoot, 'content.db');
+  process.env.ASTROADMIN_USERS_DB = path.join(projectRoot, '.astroadmin/users.db');
+  process.env.ASTROADMIN_CONTENT_STORE = store;
+  if (git !== undefined) {
+    process.env.GIT_ENABLED = String(git);
+  }
+
+  fs.writeFileSync(path.join(projectRoot, 'package.json'), JSON.stringify({ type: 'module' }));
+  if (config !== undefined) {
+    writeProjectConfig(projectRoot, config);
+  }
+  if (linkNodeModules) {
+    fs.symlinkSync(path.join(repoRoot, 'node_modules'), path.join(projectRoot, 'node_modules'), 'dir');
+  }
+  return projectRoot;
+}
+
+/**
+ * Start the app on an ephemeral port
+ * @returns {Promise<{baseUrl: string, server: import('http').Server, userStore: Object,
+ *   login: (username: string, password: string) => Promise<string>,
+ *   request: (cookie: string, method: string, urlPath: string, body?: Object) =>
+ *     Promise<{status: number, body: Object}>,
+ *   close: () => void}>}
+ *   login resolves with the session cookie to pass to request
+ */
+export async function startServer() {
+  const { createServer } = await import('../../server/index.js');
+  const created = await createServer();
+  const server = created.app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function login(username, password) {
+    const response = await fetch(`${baseUrl}/api/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password }),
+    });
+    assert.equal(response.status, 200, `login ${username}`);
+    return response.headers.get('set-cookie').split(';')[0];
+  }
+
+  async function request(cookie, method, urlPath, body) {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Cookie: cookie },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  return {
+    ...created,
+    server,
+    baseUrl,
+    login,
+    request,
+    close() {
+      server.close();
+      created.userStore?.close();
+    },
+  };
+}
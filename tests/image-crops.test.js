@@ -0,0 +1,185 @@
+/**
+ * Focal point and crop test
+ *
+ * Covers the crop geometry in server/utils/image-processing.js (crops around
+ * a focal point, placed crops trimmed to their ratio, width snapping) and,
+ * through the real Express app on an ephemeral port, named crops: written on
+ * upload, moved by the focal point, placed by an editor via PUT
+ * /api/images/:filename/metadata, and served at other sizes and formats by
+ * GET /api/images/:filename/crops/:name, which never writes a missing crop
+ * or the metadata (the next metadata save does).
+ *
+ *   bun tests/image-crops.test.js
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { createTestProject, startServer } from './helpers/server.js';
+
+const projectRoot = createTestProject('aa-image-crops-', {
+  config: `export default {
+  git: { enabled: false },
+  auth: { username: 'owner', password: 'owner-pass' },
+  imageProcessing: { widths: [100], formats: [] },
+};
+`,
+});
+
+const { encode: encodePng, decode: decodePng } = await import('@jsquash/png');
+const { default: decodeWebp } = await import('@jsquash/webp/decode.js');
+const { focalCrop, fitAspect, snapWidth, parseAspect } = await import('../server/utils/image-processing.js');
+
+let passed = 0;
+// Failure sentinel: already reported by check(), just unwinds to the outer
+// catch so the finally cleanup still runs (process.exit would skip it).
+class CheckFailed extends Error {}
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    console.error(`❌ ${name}\n   ${error.stack || error.message}`);
+    throw new CheckFailed(name);
+  }
+}
+
+let app = null;
+
+try {
+  console.log('\n🧪 Focal points and crops\n' + '='.repeat(40));
+
+  await check('crop geometry: focal point, ratio trimming, width snapping', async () => {
+    assert.equal(parseAspect('16:9'), 16 / 9);
+    assert.equal(parseAspect('wide'), null);
+    assert.equal(parseAspect('1:0'), null);
+
+    // Square crop of a 400x200 image: full height, as near the focal point as fits
+    assert.deepEqual(focalCrop(400, 200, 1), { x: 0.25, y: 0, width: 0.5, height: 1 });
+    assert.deepEqual(focalCrop(400, 200, 1, { x: 0.9, y: 0.5 }), { x: 0.5, y: 0, width: 0.5, height: 1 });
+    assert.deepEqual(focalCrop(400, 200, 1, { x: 0.1, y: 0.5 }), { x: 0, y: 0, width: 0.5, height: 1 });
+
+    // A placed 200x100 rectangle trimmed to square keeps its center
+    assert.deepEqual(fitAspect({ x: 0.25, y: 0.25, width: 0.5, height: 0.5 }, 400, 200, 1), { x: 0.375, y: 0.25, width: 0.25, height: 0.5 });
+
+    assert.equal(snapWidth(null, 800, [640, 1280]), 800);
+    assert.equal(snapWidth(300, 800, [640, 1280]), 640);
+    assert.equal(snapWidth(700, 800, [640, 1280]), 800);
+    assert.equal(snapWidth(2000, 800, [640, 1280]), 800);
+  });
+
+  app = await startServer();
+  const { baseUrl } = app;
+
+  const cookie = await app.login('owner', 'owner-pass');
+
+  const request = (method, urlPath, body) => app.request(cookie, method, urlPath, body);
+
+  const imagesDir = path.join(projectRoot, 'public/images');
+  const readPublic = url => fs.readFileSync(path.join(projectRoot, 'public', url));
+
+  // 400x200, red on the left half and blue on the right
+  const data = new Uint8ClampedArray(400 * 200 * 4);
+  for (let i = 0; i < 400 * 200; i++) {
+    data.set((i % 400) < 200 ? [255, 0, 0, 255] : [0, 0, 255, 255], i * 4);
+  }
+  const form = new FormData();
+  form.append('image', new Blob([await encodePng({ data, width: 400, height: 200 })], { type: 'image/png' }), 'split.png');
+  const uploaded = await (await fetch(`${baseUrl}/api/images`, { method: 'POST', headers: { Cookie: cookie }, body: form })).json();
+  assert.ok(uploaded.success, JSON.stringify(uploaded));
+  const { filename } = uploaded.image;
+  const base = filename.replace(/\.png$/, '');
+
+  await check('upload: each named crop is written around the center', async () => {
+    const { crops } = uploaded.image;
+    assert.deepEqual(Object.keys(crops), ['hero', 'card']);
+    assert.deepEqual([crops.card.url, crops.card.width, crops.card.height], [`/images/_variants/${base}--card.png`, 200, 200]);
+    assert.deepEqual([crops.hero.width, crops.hero.height, crops.hero.custom], [356, 200, false]);
+    assert.ok(fs.existsSync(path.join(imagesDir, '_variants', `${base}--hero.png`)));
+  });
+
+  await check('PUT metadata: the focal point moves automatic crops', async () => {
+    const response = await request('PUT', `/api/images/${filename}/metadata`, { focalPoint: { x: 0.9, y: 0.5 } });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.deepEqual(response.body.metadata.crops.card.rect, { x: 0.5, y: 0, width: 0.5, height: 1 });
+
+    const card = await decodePng(readPublic(response.body.metadata.crops.card.url));
+    assert.deepEqual([...card.data.subarray(0, 4)], [0, 0, 255, 255], 'card is all blue');
+  });
+
+  await check('PUT metadata: a placed crop is kept (trimmed to its ratio) until reset', async () => {
+    const placed = await request('PUT', `/api/images/${filename}/metadata`, {
+      crops: { card: { x: 0, y: 0, width: 0.5, height: 0.6 } },
+    });
+    assert.equal(placed.status, 200, JSON.stringify(placed.body));
+    const { card } = placed.body.metadata.crops;
+    assert.equal(card.custom, true);
+    assert.deepEqual(card.rect, { x: 0.1, y: 0, width: 0.3, height: 0.6 });
+    assert.deepEqual([card.width, card.height], [120, 120]);
+    const pixels = await decodePng(readPublic(card.url));
+    assert.deepEqual([...pixels.data.subarray(0, 4)], [255, 0, 0, 255], 'placed card is red');
+
+    // Focal point changes leave it where it was placed
+    const moved = await request('PUT', `/api/images/${filename}/metadata`, { focalPoint: { x: 0.5, y: 0.5 } });
+    assert.deepEqual(moved.body.metadata.crops.card.rect, card.rect);
+
+    const reset = await request('PUT', `/api/images/${filename}/metadata`, { crops: { card: null } });
+    assert.equal(reset.body.metadata.crops.card.custom, false);
+    assert.deepEqual(reset.body.metadata.crops.card.rect, { x: 0.25, y: 0, width: 0.5, height: 1 });
+  });
+
+  await check('PUT metadata: bad focal points and crops are refused', async () => {
+    assert.equal((await request('PUT', `/api/images/${filename}/metadata`, { focalPoint: { x: 2, y: 0 } })).status, 400);
+    assert.equal((await request('PUT', `/api/images/${filename}/metadata`, { crops: { banner: { x: 0, y: 0, width: 1, height: 1 } } })).status, 400);
+    assert.equal((await request('PUT', `/api/images/${filename}/metadata`, { crops: { card: { x: 0.8, y: 0, width: 0.5, height: 1 } } })).status, 400);
+  });
+
+  await check('GET crops/:name: sized and converted on request', async () => {
+    const response = await fetch(`${baseUrl}/api/images/${filename}/crops/card?width=50&format=webp`, { headers: { Cookie: cookie } });
+    assert.equal(response.status, 200);
+    const image = await decodeWebp(await response.arrayBuffer());
+    assert.deepEqual([image.width, image.height], [100, 100], 'snapped up to the configured width');
+    assert.ok(fs.existsSync(path.join(imagesDir, '_variants', `${base}--card-100.webp`)));
+
+    const full = await fetch(`${baseUrl}/api/images/${filename}/crops/hero`, { headers: { Cookie: cookie } });
+    assert.equal(full.headers.get('content-type'), 'image/png');
+
+    assert.equal((await fetch(`${baseUrl}/api/images/${filename}/crops/banner`, { headers: { Cookie: cookie } })).status, 404);
+    assert.equal((await fetch(`${baseUrl}/api/images/${filename}/crops/card?format=bmp`, { headers: { Cookie: cookie } })).status, 400);
+    assert.equal((await fetch(`${baseUrl}/api/images/missing.png/crops/card`, { headers: { Cookie: cookie } })).status, 404);
+  });
+
+  await check('GET crops/:name: a crop not made yet is a 404 until the next metadata save', async () => {
+    const metadataPath = path.join(imagesDir, '.metadata.json');
+    const heroPath = path.join(imagesDir, '_variants', `${base}--hero.png`);
+    fs.rmSync(heroPath);
+    const metadataBefore = fs.readFileSync(metadataPath, 'utf-8');
+
+    const missing = await fetch(`${baseUrl}/api/images/${filename}/crops/hero`, { headers: { Cookie: cookie } });
+    assert.equal(missing.status, 404);
+    assert.ok(!fs.existsSync(heroPath), 'not written by a GET');
+    assert.equal(fs.readFileSync(metadataPath, 'utf-8'), metadataBefore, 'metadata untouched');
+
+    const saved = await request('PUT', `/api/images/${filename}/metadata`, { alt: 'Red and blue' });
+    assert.equal(saved.status, 200, JSON.stringify(saved.body));
+    assert.ok(fs.existsSync(heroPath), 'made by the save');
+    assert.equal((await fetch(`${baseUrl}/api/images/${filename}/crops/hero`, { headers: { Cookie: cookie } })).status, 200);
+  });
+
+  await check('DELETE: crops go with the image', async () => {
+    assert.equal((await request('DELETE', `/api/images/${filename}`)).status, 200);
+    assert.deepEqual(fs.readdirSync(path.join(imagesDir, '_variants')), []);
+  });
+
+  console.log('='.repeat(40));
+  console.log(`\n📊 ${passed} checks passed.\n`);
+} catch (error) {
+  if (!(error instanceof CheckFailed)) {
+    console.error(`❌ Test setup failed\n   ${error.stack || error.message}`);
+  }
+  process.exitCode = 1;
+} finally {
+  app?.close();
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+}
@@ -0,0 +1,281 @@
+/**
+ * Image library organization test
+ *
+ * Covers image paths in subfolders (server/utils/image-usage.js: finding
+ * them, rewriting upload paths after a move) and, through the real Express
+ * app on an ephemeral port with the files store, /api/images: listing by
+ * folder with search, tag filters, sorting and pages; creating, renaming and
+ * deleting folders; moving uploads with their variants, crops and metadata
+ * while the entries using them follow; and tagging.
+ * node_modules is symlinked so the schema parser can resolve zod.
+ *
+ *   bun tests/image-library.test.js
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { createTestProject, startServer } from './helpers/server.js';
+
+const projectRoot = createTestProject('aa-image-library-', {
+  linkNodeModules: true,
+  config: `export default {
+  git: { enabled: false },
+  auth: {
+    username: 'owner',
+    password: 'owner-pass',
+    credentials: [{ username: 'pager', password: 'pager-pass' }],
+  },
+  permissions: {
+    pager: { collections: ['pages'] },
+  },
+  imageProcessing: { widths: [20], formats: ['webp'], crops: { card: '1:1' } },
+};
+`,
+});
+fs.mkdirSync(path.join(projectRoot, 'src'), { recursive: true });
+fs.writeFileSync(
+  path.join(projectRoot, 'src/content.config.ts'),
+  `import { defineCollection, z } from 'astro:content';
+import { glob } from 'astro/loaders';
+
+export const collections = {
+  pages: defineCollection({
+    loader: glob({ pattern: '**/*.md', base: './src/content/pages' }),
+    schema: z.object({ title: z.string(), hero: z.string().optional() }),
+  }),
+  posts: defineCollection({
+    loader: glob({ pattern: '**/*.md', base: './src/content/posts' }),
+    schema: z.object({ title: z.string(), cover: z.string().optional() }),
+  }),
+};
+`
+);
+
+function writeFile(relativePath, text) {
+  fs.mkdirSync(path.dirname(path.join(projectRoot, relativePath)), { recursive: true });
+  fs.writeFileSync(path.join(projectRoot, relativePath), text);
+}
+const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="1" height="1"/>';
+writeFile('public/images/alpha.svg', svg);
+writeFile('public/images/beta.svg', svg + ' '.repeat(100));
+writeFile('public/images/team/alice.svg', svg);
+writeFile('public/images/team/bob.svg', svg);
+writeFile('public/images/team/_variants/stale.webp', '');
+writeFile('src/assets/images/logo.svg', svg);
+writeFile('public/images/.metadata.json', JSON.stringify({
+  'alpha.svg': { alt: 'Sunset over the bay', tags: ['nature'] },
+  'team/alice.svg': { alt: 'Alice', tags: ['people', 'staff'] },
+  'team/bob.svg': { tags: ['people'] },
+}));
+for (const [name, time] of [['src/assets/images/logo.svg', 0], ['public/images/alpha.svg', 1], ['public/images/beta.svg', 2],
+  ['public/images/team/alice.svg', 3], ['public/images/team/bob.svg', 4]]) {
+  fs.utimesSync(path.join(projectRoot, name), time * 1000, time * 1000);
+}
+
+writeFile('src/content/pages/team.md', '---\ntitle: Team\nhero: /images/team/alice.svg\n---\n![Bob](/images/team/bob.svg)\n');
+writeFile('src/content/posts/hello.md', '---\ntitle: Hello\ncover: /images/beta.svg\n---\n');
+
+const { findImageUses, mapImagePaths } = await import('../server/utils/image-usage.js');
+
+let passed = 0;
+// Failure sentinel: already reported by check(), just unwinds to the outer
+// catch so the finally cleanup still runs (process.exit would skip it).
+class CheckFailed extends Error {}
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    console.error(`❌ ${name}\n   ${error.stack || error.message}`);
+    throw new CheckFailed(name);
+  }
+}
+
+let app = null;
+
+try {
+  console.log('\n🧪 Image library organization\n' + '='.repeat(40));
+
+  await check('image paths: subfolders found and rewritten; source images and variants left alone', async () => {
+    assert.deepEqual(findImageUses({
+      hero: '/images/team/alice.jpg',
+      logo: '../assets/images/brand/logo.svg',
+      variant: '/images/team/_variants/alice-640.webp',
+    }), [
+      { source: 'uploads', filename: 'team/alice.jpg', field: 'hero' },
+      { source: 'source', filename: 'brand/logo.svg', field: 'logo' },
+    ]);
+
+    const moves = new Map([['team/alice.jpg', 'staff/alice.jpg'], ['logo.svg', 'brand/logo.svg']]);
+    assert.deepEqual(mapImagePaths({
+      hero: '/images/team/alice.jpg',
+      list: ['/images/team/alice.jpg?w=800', '../assets/images/logo.svg', 'https://example.com/images/team/alice.jpg'],
+      published: new Date('2026-01-01'),
+    }, moves), {
+      value: {
+        hero: '/images/staff/alice.jpg',
+        list: ['/images/staff/alice.jpg?w=800', '../assets/images/logo.svg', 'https://example.com/images/team/alice.jpg'],
+        published: new Date('2026-01-01'),
+      },
+      count: 2,
+    });
+  });
+
+  app = await startServer();
+  const { baseUrl, login, request } = app;
+
+  const owner = await login('owner', 'owner-pass');
+  const pager = await login('pager', 'pager-pass');
+  const imagesDir = path.join(projectRoot, 'public/images');
+  const readEntry = relativePath => fs.readFileSync(path.join(projectRoot, 'src/content', relativePath), 'utf-8');
+  const paths = response => response.body.images.map(image => image.path);
+
+  await check('GET /api/images: every image, or one folder with its subfolders', async () => {
+    const all = await request(owner, 'GET', '/api/images');
+    assert.deepEqual(paths(all), ['team/bob.svg', 'team/alice.svg', 'beta.svg', 'alpha.svg', 'logo.svg']);
+    const alice = all.body.images.find(image => image.path === 'team/alice.svg');
+    assert.deepEqual([alice.filename, alice.folder, alice.url, alice.usage], ['alice.svg', 'team', '/images/team/alice.svg', 1]);
+    assert.deepEqual(all.body.folders, [{ name: 'team', path: 'team', source: 'uploads', count: 2 }]);
+    assert.deepEqual(all.body.tags, [{ tag: 'nature', count: 1 }, { tag: 'people', count: 2 }, { tag: 'staff', count: 1 }]);
+
+    assert.deepEqual(paths(await request(owner, 'GET', '/api/images?folder=')), ['beta.svg', 'alpha.svg', 'logo.svg']);
+    assert.deepEqual(paths(await request(owner, 'GET', '/api/images?folder=team')), ['team/bob.svg', 'team/alice.svg']);
+    assert.equal((await request(owner, 'GET', '/api/images?folder=team/_variants')).status, 400);
+  });
+
+  await check('GET /api/images: search, tag and unused filters, sorting, pages', async () => {
+    assert.deepEqual(paths(await request(owner, 'GET', '/api/images?q=sunset')), ['alpha.svg']);
+    assert.deepEqual(paths(await request(owner, 'GET', '/api/images?q=STAFF')), ['team/alice.svg']);
+    assert.deepEqual(paths(await request(owner, 'GET', '/api/images?q=team/b')), ['team/bob.svg']);
+    assert.deepEqual(paths(await request(owner, 'GET', '/api/images?tag=people')), ['team/bob.svg', 'team/alice.svg']);
+    assert.deepEqual(paths(await request(owner, 'GET', '/api/images?unused=true&folder=')), ['alpha.svg', 'logo.svg']);
+
+    assert.deepEqual(paths(await request(owner, 'GET', '/api/images?sort=name')), ['alpha.svg', 'beta.svg', 'logo.svg', 'team/alice.svg', 'team/bob.svg']);
+    assert.deepEqual(paths(await request(owner, 'GET', '/api/images?sort=size&folder=')).slice(0, 1), ['beta.svg']);
+
+    const second = await request(owner, 'GET', '/api/images?sort=name&page=2&perPage=2');
+    assert.deepEqual(paths(second), ['logo.svg', 'team/alice.svg']);
+    assert.deepEqual([second.body.count, second.body.total, second.body.page, second.body.perPage, second.body.pages], [2, 5, 2, 2, 3]);
+
+    assert.equal((await request(owner, 'GET', '/api/images?sort=color')).status, 400);
+    assert.equal((await request(owner, 'GET', '/api/images?page=0')).status, 400);
+    assert.equal((await request(owner, 'GET', '/api/images?page=1&perPage=500')).status, 400);
+  });
+
+  await check('upload into a folder: variants and crops beside it', async () => {
+    const { encode: encodePng } = await import('@jsquash/png');
+    const data = new Uint8ClampedArray(40 * 20 * 4).fill(200);
+    const form = new FormData();
+    form.append('image', new Blob([await encodePng({ data, width: 40, height: 20 })], { type: 'image/png' }), 'Group Photo.png');
+    const response = await fetch(`${baseUrl}/api/images?folder=events`, { method: 'POST', headers: { Cookie: owner }, body: form });
+    const uploaded = await response.json();
+    assert.ok(uploaded.success, JSON.stringify(uploaded));
+    assert.equal(uploaded.image.folder, 'events');
+    assert.match(uploaded.image.path, /^events\/group-photo-\d+\.png$/);
+    assert.ok(uploaded.image.variants.every(variant => variant.url.startsWith('/images/events/_variants/')));
+    assert.ok(uploaded.image.crops.card.url.startsWith('/images/events/_variants/'));
+    assert.ok(fs.existsSync(path.join(projectRoot, 'public', uploaded.image.crops.card.url)));
+
+    const badFolder = new FormData();
+    badFolder.append('image', new Blob([svg], { type: 'image/svg+xml' }), 'x.svg');
+    assert.equal((await fetch(`${baseUrl}/api/images?folder=..`, { method: 'POST', headers: { Cookie: owner }, body: badFolder })).status, 400);
+  });
+
+  await check('POST /api/images/move: files, variants and metadata move; entries follow', async () => {
+    const listed = await request(owner, 'GET', '/api/images?folder=events');
+    const photo = listed.body.images[0];
+    await request(owner, 'PUT', '/api/content/posts/hello', {
+      data: { title: 'Hello', cover: '/images/beta.svg' },
+      body: `![Group](${photo.url})\n`,
+    });
+
+    const response = await request(owner, 'POST', '/api/images/move', { paths: [photo.path, 'beta.svg'], folder: 'archive' });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.deepEqual(response.body.entries.map(entry => entry.slug), ['hello']);
+    const hello = readEntry('posts/hello.md');
+    assert.ok(hello.includes('cover: /images/archive/beta.svg'), hello);
+    assert.ok(hello.includes(`(/images/archive/${photo.filename})`), hello);
+
+    const moved = (await request(owner, 'GET', '/api/images?folder=archive')).body.images.find(image => image.filename === photo.filename);
+    assert.equal(moved.usage, 1);
+    assert.ok(moved.variants.length > 0);
+    for (const url of [...moved.variants.map(variant => variant.url), moved.crops.card.url]) {
+      assert.ok(url.startsWith('/images/archive/_variants/'), url);
+      assert.ok(fs.existsSync(path.join(projectRoot, 'public', url)), url);
+    }
+    assert.deepEqual(fs.readdirSync(path.join(imagesDir, 'events/_variants')), []);
+  });
+
+  await check('POST /api/images/move: name clashes, non-uploads and locked entries refused', async () => {
+    fs.writeFileSync(path.join(imagesDir, 'alice.svg'), svg);
+    const clash = await request(owner, 'POST', '/api/images/move', { paths: ['alice.svg'], folder: 'team' });
+    assert.equal(clash.status, 409);
+    assert.equal((await request(owner, 'POST', '/api/images/move', { paths: ['logo.svg'], folder: 'team' })).status, 404);
+    assert.equal((await request(owner, 'POST', '/api/images/move', { paths: ['../alpha.svg'], folder: '' })).status, 400);
+
+    // archive/beta.svg is used by a post, which pager can't edit
+    const locked = await request(pager, 'POST', '/api/images/move', { paths: ['archive/beta.svg'], folder: '' });
+    assert.equal(locked.status, 403);
+    assert.ok(fs.existsSync(path.join(imagesDir, 'archive/beta.svg')));
+  });
+
+  await check('folders: create, rename with entries following, delete only when empty', async () => {
+    assert.equal((await request(owner, 'POST', '/api/images/folders', { path: 'brand/logos' })).status, 200);
+    assert.ok(fs.statSync(path.join(imagesDir, 'brand/logos')).isDirectory());
+    assert.equal((await request(owner, 'POST', '/api/images/folders', { path: 'brand' })).status, 409);
+    assert.equal((await request(owner, 'POST', '/api/images/folders', { path: '_variants' })).status, 400);
+
+    const renamed = await request(owner, 'POST', '/api/images/folders/rename', { from: 'team', to: 'people/staff' });
+    assert.equal(renamed.status, 200, JSON.stringify(renamed.body));
+    assert.deepEqual(renamed.body.entries.map(entry => entry.slug), ['team']);
+    assert.ok(readEntry('pages/team.md').includes('hero: /images/people/staff/alice.svg'));
+    assert.ok(readEntry('pages/team.md').includes('![Bob](/images/people/staff/bob.svg)'));
+    assert.ok(fs.existsSync(path.join(imagesDir, 'people/staff/_variants/stale.webp')));
+    assert.ok(!fs.existsSync(path.join(imagesDir, 'team')));
+    const metadata = JSON.parse(fs.readFileSync(path.join(imagesDir, '.metadata.json'), 'utf-8'));
+    assert.equal(metadata['people/staff/alice.svg'].alt, 'Alice');
+    assert.equal(metadata['team/alice.svg'], undefined);
+
+    assert.equal((await request(owner, 'POST', '/api/images/folders/rename', { from: 'people', to: 'people/inner' })).status, 400);
+    assert.equal((await request(owner, 'POST', '/api/images/folders/rename', { from: 'missing', to: 'other' })).status, 404);
+
+    assert.equal((await request(owner, 'DELETE', '/api/images/folders?path=people')).status, 409);
+    assert.equal((await request(owner, 'DELETE', '/api/images/folders?path=events')).status, 200);
+    assert.ok(!fs.existsSync(path.join(imagesDir, 'events')));
+  });
+
+  await check('tags: bulk add and remove, and PUT metadata', async () => {
+    const tagged = await request(owner, 'POST', '/api/images/tags', {
+      paths: ['alpha.svg', 'people/staff/bob.svg', 'logo.svg'],
+      add: [' Featured ', 'featured'],
+      remove: ['people'],
+    });
+    assert.equal(tagged.status, 200, JSON.stringify(tagged.body));
+    assert.deepEqual(tagged.body.images, [
+      { path: 'alpha.svg', tags: ['nature', 'featured'] },
+      { path: 'people/staff/bob.svg', tags: ['featured'] },
+      { path: 'logo.svg', tags: ['featured'] },
+    ]);
+    assert.equal((await request(owner, 'POST', '/api/images/tags', { paths: ['alpha.svg'] })).status, 400);
+    assert.equal((await request(owner, 'POST', '/api/images/tags', { paths: ['gone.svg'], add: ['x'] })).status, 404);
+
+    const put = await request(owner, 'PUT', `/api/images/${encodeURIComponent('people/staff/alice.svg')}/metadata`, { tags: ['Team'] });
+    assert.equal(put.status, 200, JSON.stringify(put.body));
+    assert.deepEqual(put.body.metadata.tags, ['team']);
+    assert.equal((await request(owner, 'PUT', '/api/images/alpha.svg/metadata', { tags: 'nature' })).status, 400);
+    assert.deepEqual(paths(await request(owner, 'GET', '/api/images?tag=featured&sort=name')), ['alpha.svg', 'logo.svg', 'people/staff/bob.svg']);
+  });
+
+  console.log('='.repeat(40));
+  console.log(`\n📊 ${passed} checks passed.\n`);
+} catch (error) {
+  if (!(error instanceof CheckFailed)) {
+    console.error(`❌ Test setup failed\n   ${error.stack || error.message}`);
+  }
+  process.exitCode = 1;
+} finally {
+  app?.close();
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+}
@@ -0,0 +1,262 @@
+/**
+ * Image processing test
+ *
+ * Covers server/utils/image-processing.js (reading the EXIF orientation,
+ * baking it into the pixels, fitting within a max dimension, dominant color,
+ * reading dimensions from each format's header)
+ * and, through the real Express app on an ephemeral port, POST /api/images:
+ * uploads are rotated upright, scaled down and re-encoded without EXIF, get
+ * WebP/AVIF variants, and have their measurements recorded in .metadata.json;
+ * files that can't be decoded or have too many pixels aren't kept, GIFs are
+ * stored as they are, and
+ * deleting an image removes its variants.
+ *
+ *   bun tests/image-processing.test.js
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { createTestProject, startServer } from './helpers/server.js';
+
+const projectRoot = createTestProject('aa-images-', {
+  config: `export default {
+  git: { enabled: false },
+  auth: { username: 'owner', password: 'owner-pass' },
+  imageProcessing: { maxDimension: 150, widths: [60] },
+};
+`,
+});
+
+const { encode: encodeJpeg, decode: decodeJpeg } = await import('@jsquash/jpeg');
+const { encode: encodePng } = await import('@jsquash/png');
+const { default: encodeWebp } = await import('@jsquash/webp/encode.js');
+const { default: encodeAvif } = await import('@jsquash/avif/encode.js');
+const {
+  readImageDimensions,
+  readExifOrientation,
+  applyOrientation,
+  fitWithin,
+  dominantColor,
+} = await import('../server/utils/image-processing.js');
+
+/**
+ * A width x height image, red in the top-left quarter and blue elsewhere
+ */
+function testImage(width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const red = x < width / 2 && y < height / 2;
+      data.set(red ? [220, 20, 20, 255] : [20, 40, 200, 255], i);
+    }
+  }
+  return { data, width, height, colorSpace: 'srgb' };
+}
+
+/**
+ * A JPEG with an EXIF APP1 segment carrying the given orientation
+ */
+async function jpegWithOrientation(image, orientation, littleEndian = false) {
+  const jpeg = new Uint8Array(await encodeJpeg(image, { quality: 90 }));
+  const exif = new Uint8Array(34);
+  const view = new DataView(exif.buffer);
+  view.setUint16(0, 0xFFE1);
+  view.setUint16(2, exif.length - 2);
+  exif.set([0x45, 0x78, 0x69, 0x66, 0, 0], 4); // "Exif\0\0"
+  view.setUint16(10, littleEndian ? 0x4949 : 0x4D4D);
+  view.setUint16(12, 42, littleEndian);
+  view.setUint32(14, 8, littleEndian);
+  view.setUint16(18, 1, littleEndian);
+  view.setUint16(20, 0x0112, littleEndian);
+  view.setUint16(22, 3, littleEndian);
+  view.setUint32(24, 1, littleEndian);
+  view.setUint16(28, orientation, littleEndian);
+
+  const out = new Uint8Array(jpeg.length + exif.length);
+  out.set(jpeg.subarray(0, 2));
+  out.set(exif, 2);
+  out.set(jpeg.subarray(2), 2 + exif.length);
+  return out;
+}
+
+const isReddish = (data, i) => data[i] > 150 && data[i + 2] < 100;
+
+let passed = 0;
+// Failure sentinel: already reported by check(), just unwinds to the outer
+// catch so the finally cleanup still runs (process.exit would skip it).
+class CheckFailed extends Error {}
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    console.error(`❌ ${name}\n   ${error.stack || error.message}`);
+    throw new CheckFailed(name);
+  }
+}
+
+let app = null;
+
+try {
+  console.log('\n🧪 Image processing\n' + '='.repeat(40));
+
+  await check('readExifOrientation: either byte order, 1 without EXIF', async () => {
+    const image = testImage(8, 8);
+    assert.equal(readExifOrientation(await jpegWithOrientation(image, 6)), 6);
+    assert.equal(readExifOrientation(await jpegWithOrientation(image, 3, true)), 3);
+    assert.equal(readExifOrientation(new Uint8Array(await encodeJpeg(image))), 1);
+    assert.equal(readExifOrientation(new Uint8Array([0x89, 0x50, 0x4E, 0x47])), 1);
+    assert.equal(readExifOrientation(new Uint8Array([0xFF, 0xD8, 0xFF, 0xE1, 0x00])), 1);
+  });
+
+  await check('applyOrientation: rotations and flips', async () => {
+    // 2x1: pixel values 1, 2
+    const image = { data: new Uint8ClampedArray([1, 0, 0, 255, 2, 0, 0, 255]), width: 2, height: 1 };
+    const reds = result => [...result.data].filter((_, i) => i % 4 === 0);
+
+    assert.equal(applyOrientation(image, 1), image);
+    assert.deepEqual(reds(applyOrientation(image, 2)), [2, 1]);
+
+    const rotated = applyOrientation(image, 6);
+    assert.deepEqual([rotated.width, rotated.height], [1, 2]);
+    assert.deepEqual(reds(rotated), [1, 2]);
+    assert.deepEqual(reds(applyOrientation(image, 8)), [2, 1]);
+  });
+
+  await check('fitWithin and dominantColor', async () => {
+    assert.deepEqual(fitWithin(6000, 4000, 2560), { width: 2560, height: 1707 });
+    assert.deepEqual(fitWithin(800, 600, 2560), { width: 800, height: 600 });
+    assert.deepEqual(fitWithin(800, 600, 0), { width: 800, height: 600 });
+
+    assert.equal(dominantColor(testImage(8, 8)), '#1428c8');
+    assert.equal(dominantColor({ data: new Uint8ClampedArray(16), width: 2, height: 2 }), null);
+  });
+
+  await check('readImageDimensions: PNG, JPEG, WebP (lossy, lossless, extended), AVIF', async () => {
+    const image = testImage(30, 20);
+    const size = { width: 30, height: 20 };
+    assert.deepEqual(readImageDimensions(new Uint8Array(await encodePng(image)), 'png'), size);
+    assert.deepEqual(readImageDimensions(await jpegWithOrientation(image, 6), 'jpeg'), size, 'after an APP1 segment');
+    assert.deepEqual(readImageDimensions(new Uint8Array(await encodeWebp(image)), 'webp'), size);
+    assert.deepEqual(readImageDimensions(new Uint8Array(await encodeWebp(image, { lossless: 1 })), 'webp'), size);
+    assert.deepEqual(readImageDimensions(new Uint8Array(await encodeAvif(image, { speed: 10 })), 'avif'), size);
+
+    const extended = new Uint8Array(30);
+    extended.set(new TextEncoder().encode('RIFF\0\0\0\0WEBPVP8X'));
+    extended.set([0x3F, 0x9C, 0x00, 0x1F, 0x4E, 0x00], 24); // 40000 x 20000
+    assert.deepEqual(readImageDimensions(extended, 'webp'), { width: 40000, height: 20000 });
+
+    assert.equal(readImageDimensions(new TextEncoder().encode('not an image'), 'png'), null);
+    assert.equal(readImageDimensions(new Uint8Array([0xFF, 0xD8, 0xFF, 0xDA, 0, 2]), 'jpeg'), null);
+    assert.equal(readImageDimensions(new Uint8Array(8), 'avif'), null);
+  });
+
+  app = await startServer();
+  const { baseUrl } = app;
+
+  const cookie = await app.login('owner', 'owner-pass');
+
+  async function upload(bytes, filename, type) {
+    const form = new FormData();
+    form.append('image', new Blob([bytes], { type }), filename);
+    const response = await fetch(`${baseUrl}/api/images`, { method: 'POST', headers: { Cookie: cookie }, body: form });
+    return { status: response.status, body: await response.json() };
+  }
+
+  const imagesDir = path.join(projectRoot, 'public/images');
+  const readMetadata = () => JSON.parse(fs.readFileSync(path.join(imagesDir, '.metadata.json'), 'utf-8'));
+  let photo = null;
+
+  await check('POST /api/images: rotated upright, scaled down, EXIF stripped, variants written', async () => {
+    // 300x200 shot with the camera turned: displays as 200x300, fits as 100x150
+    const response = await upload(await jpegWithOrientation(testImage(300, 200), 6), 'Phone Photo.jpg', 'image/jpeg');
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    photo = response.body.image;
+    assert.deepEqual([photo.width, photo.height], [100, 150]);
+    assert.match(photo.blurhash, /^[0-9A-Za-z#$%*+,\-.:;=?@[\]^_{|}~]{20,}$/);
+    assert.match(photo.dominantColor, /^#[0-9a-f]{6}$/);
+
+    const stored = new Uint8Array(fs.readFileSync(path.join(imagesDir, photo.filename)));
+    assert.equal(photo.size, stored.length);
+    assert.equal(readExifOrientation(stored), 1);
+    assert.ok(!Buffer.from(stored).includes('Exif'), 'no EXIF segment');
+
+    // The red corner was top-left in the sensor's frame: top-right once upright
+    const decoded = await decodeJpeg(stored);
+    assert.deepEqual([decoded.width, decoded.height], [100, 150]);
+    assert.ok(isReddish(decoded.data, (10 * 100 + 90) * 4), 'top-right is red');
+    assert.ok(!isReddish(decoded.data, (10 * 100 + 10) * 4), 'top-left is not');
+
+    assert.deepEqual(
+      photo.variants.map(variant => [variant.format, variant.width, variant.height]),
+      [['webp', 60, 90], ['avif', 60, 90], ['webp', 100, 150], ['avif', 100, 150]]
+    );
+    for (const variant of photo.variants) {
+      assert.ok(variant.url.startsWith('/images/_variants/'), variant.url);
+      assert.equal(fs.statSync(path.join(projectRoot, 'public', variant.url)).size, variant.size);
+    }
+
+    const recorded = readMetadata()[photo.filename];
+    assert.deepEqual(
+      [recorded.width, recorded.height, recorded.blurhash, recorded.variants.length],
+      [100, 150, photo.blurhash, 4]
+    );
+  });
+
+  await check('GET /api/images: measurements listed, variants not listed as images', async () => {
+    const response = await fetch(`${baseUrl}/api/images`, { headers: { Cookie: cookie } });
+    const { images } = await response.json();
+    assert.deepEqual(images.map(image => image.filename), [photo.filename]);
+    assert.equal(images[0].dominantColor, photo.dominantColor);
+    assert.equal(images[0].variants.length, 4);
+  });
+
+  await check('POST /api/images: undecodable files refused, GIFs kept as they are', async () => {
+    const broken = await upload(new TextEncoder().encode('not a png'), 'broken.png', 'image/png');
+    assert.equal(broken.status, 400, JSON.stringify(broken.body));
+    assert.ok(!fs.readdirSync(imagesDir).some(file => file.startsWith('broken')));
+
+    const gif = Uint8Array.from(atob('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7'), c => c.charCodeAt(0));
+    const response = await upload(gif, 'dot.gif', 'image/gif');
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.equal(response.body.image.width, null);
+    assert.deepEqual(response.body.image.variants, []);
+    assert.deepEqual(fs.readFileSync(path.join(imagesDir, response.body.image.filename)), Buffer.from(gif));
+  });
+
+  await check('POST /api/images: more pixels than maxPixels refused before decoding', async () => {
+    // A PNG header claiming 20000x20000 (400 million pixels) and no image data
+    const png = new Uint8Array(33);
+    png.set([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0, 0, 13]);
+    png.set(new TextEncoder().encode('IHDR'), 12);
+    new DataView(png.buffer).setUint32(16, 20000);
+    new DataView(png.buffer).setUint32(20, 20000);
+    png.set([8, 6, 0, 0, 0], 24);
+
+    const response = await upload(png, 'huge.png', 'image/png');
+    assert.equal(response.status, 400, JSON.stringify(response.body));
+    assert.match(response.body.message, /20000×20000 pixels; at most 50000000/);
+    assert.ok(!fs.readdirSync(imagesDir).some(file => file.startsWith('huge')));
+  });
+
+  await check('DELETE /api/images/:filename: variants and metadata go too', async () => {
+    const response = await fetch(`${baseUrl}/api/images/${photo.filename}`, { method: 'DELETE', headers: { Cookie: cookie } });
+    assert.equal(response.status, 200);
+    assert.deepEqual(fs.readdirSync(path.join(imagesDir, '_variants')), []);
+    assert.equal(readMetadata()[photo.filename], undefined);
+  });
+
+  console.log('='.repeat(40));
+  console.log(`\n📊 ${passed} checks passed.\n`);
+} catch (error) {
+  if (!(error instanceof CheckFailed)) {
+    console.error(`❌ Test setup failed\n   ${error.stack || error.message}`);
+  }
+  process.exitCode = 1;
+} finally {
+  app?.close();
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+}
@@ -0,0 +1,222 @@
+/**
+ * Image usage test
+ *
+ * Covers finding image paths in entries (server/utils/image-usage.js: image
+ * fields, gallery arrays, blocks, markdown bodies) and, through the real
+ * Express app on an ephemeral port with the files store, /api/images: usage
+ * counts in the listing, which entries use an image (hidden past the login's
+ * collection access), the index following saves, deletes of used images
+ * refused unless forced, and bulk cleanup of unused ones. An upload and a
+ * source image of the same name are counted apart.
+ * node_modules is symlinked so the schema parser can resolve zod.
+ *
+ *   bun tests/image-usage.test.js
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { createTestProject, startServer } from './helpers/server.js';
+
+const projectRoot = createTestProject('aa-image-usage-', {
+  linkNodeModules: true,
+  config: `export default {
+  git: { enabled: false },
+  auth: {
+    username: 'owner',
+    password: 'owner-pass',
+    credentials: [{ username: 'pager', password: 'pager-pass' }],
+  },
+  permissions: {
+    pager: { collections: ['pages'] },
+  },
+};
+`,
+});
+fs.mkdirSync(path.join(projectRoot, 'src'), { recursive: true });
+fs.writeFileSync(
+  path.join(projectRoot, 'src/content.config.ts'),
+  `import { defineCollection, z } from 'astro:content';
+import { glob } from 'astro/loaders';
+
+export const collections = {
+  pages: defineCollection({
+    loader: glob({ pattern: '**/*.md', base: './src/content/pages' }),
+    schema: z.object({
+      title: z.string(),
+      hero: z.string().optional(),
+      gallery: z.array(z.object({ src: z.string(), alt: z.string().optional() })).optional(),
+    }),
+  }),
+  posts: defineCollection({
+    loader: glob({ pattern: '**/*.md', base: './src/content/posts' }),
+    schema: z.object({ title: z.string(), cover: z.string().optional() }),
+  }),
+};
+`
+);
+
+function writeFile(relativePath, text) {
+  fs.mkdirSync(path.dirname(path.join(projectRoot, relativePath)), { recursive: true });
+  fs.writeFileSync(path.join(projectRoot, relativePath), text);
+}
+const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="1" height="1"/>';
+for (const name of ['hero.svg', 'beach.svg', 'inline.svg', 'cover.svg', 'orphan.svg', 'stray.svg']) {
+  writeFile(`public/images/${name}`, svg);
+}
+writeFile('src/assets/images/logo.svg', svg);
+writeFile('public/images/shared.svg', svg);
+writeFile('src/assets/images/shared.svg', svg);
+
+writeFile('src/content/pages/home.md', [
+  '---',
+  'title: Home',
+  'hero: /images/hero.svg',
+  'gallery:',
+  '  - src: /images/beach.svg',
+  '    alt: Beach',
+  '  - src: /images/hero.svg',
+  '---',
+  'Intro ![inline](/images/inline.svg) and <img src="/images/hero.svg">.',
+  '',
+].join('\n'));
+writeFile('src/content/pages/about.md', '---\ntitle: About\nhero: /images/hero.svg\n---\n');
+writeFile('src/content/posts/launch.md', '---\ntitle: Launch\ncover: /images/cover.svg\n---\nSee ![](/images/hero.svg) and ![](../../assets/images/shared.svg)\n');
+
+const { findImageUses } = await import('../server/utils/image-usage.js');
+
+let passed = 0;
+// Failure sentinel: already reported by check(), just unwinds to the outer
+// catch so the finally cleanup still runs (process.exit would skip it).
+class CheckFailed extends Error {}
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    console.error(`❌ ${name}\n   ${error.stack || error.message}`);
+    throw new CheckFailed(name);
+  }
+}
+
+let app = null;
+
+try {
+  console.log('\n🧪 Image usage\n' + '='.repeat(40));
+
+  await check('findImageUses: fields, galleries, blocks, bodies; variants and lookalikes ignored', async () => {
+    const uses = findImageUses({
+      hero: '/images/hero.jpg',
+      published: new Date('2026-01-01'),
+      gallery: ['/images/beach.png?w=800', '../../assets/images/logo.svg'],
+      blocks: [{ type: 'text', content: '<img src="/images/inline.webp" alt="">' }],
+      other: '/images/_variants/hero-640.webp',
+      notImage: '/images/hero.jpg.bak',
+    }, 'Look: ![x](/images/body.gif "title") and ![y](/images/body.gif)');
+
+    assert.deepEqual(uses, [
+      { source: 'uploads', filename: 'hero.jpg', field: 'hero' },
+      { source: 'uploads', filename: 'beach.png', field: 'gallery[0]' },
+      { source: 'source', filename: 'logo.svg', field: 'gallery[1]' },
+      { source: 'uploads', filename: 'inline.webp', field: 'blocks[0].content' },
+      { source: 'uploads', filename: 'body.gif', field: 'body' },
+    ]);
+  });
+
+  await check('findImageUses: URLs with a host are other sites\' images', async () => {
+    assert.deepEqual(findImageUses({
+      cdn: 'https://cdn.other.com/images/hero.jpg',
+      protocolRelative: '//cdn.other.com/assets/images/logo.svg',
+      srcset: 'https://cdn.other.com/images/a.jpg 1x, /images/hero.jpg 2x',
+      path: 'docs/images/hero.jpg',
+    }), [
+      { source: 'uploads', filename: 'hero.jpg', field: 'srcset' },
+    ]);
+  });
+
+  app = await startServer();
+  const { login, request } = app;
+
+  const owner = await login('owner', 'owner-pass');
+  const pager = await login('pager', 'pager-pass');
+  const imageExists = name => fs.existsSync(path.join(projectRoot, 'public/images', name));
+
+  await check('GET /api/images: how many entries use each image', async () => {
+    const response = await request(owner, 'GET', '/api/images');
+    const usage = Object.fromEntries(response.body.images.map(image => [image.filename, image.usage]));
+    assert.deepEqual(usage, { 'hero.svg': 3, 'beach.svg': 1, 'inline.svg': 1, 'cover.svg': 1, 'orphan.svg': 0, 'stray.svg': 0, 'logo.svg': 0, 'shared.svg': 1 });
+    assert.equal(response.body.images.find(image => image.filename === 'shared.svg').source, 'source');
+  });
+
+  await check('an upload and a source image of the same name are counted apart', async () => {
+    const source = await request(owner, 'GET', '/api/images/shared.svg/usage');
+    assert.equal(source.body.source, 'source');
+    assert.deepEqual(source.body.usage.map(use => use.slug), ['launch']);
+    const upload = await request(owner, 'GET', '/api/images/shared.svg/usage?source=uploads');
+    assert.deepEqual(upload.body.usage, []);
+  });
+
+  await check('GET /api/images/:filename/usage: entries and fields, hidden past collection access', async () => {
+    const response = await request(owner, 'GET', '/api/images/hero.svg/usage');
+    assert.deepEqual(response.body.usage.map(use => [`${use.collection}/${use.slug}`, use.fields]), [
+      ['pages/about', ['hero']],
+      ['pages/home', ['hero', 'gallery[1].src', 'body']],
+      ['posts/launch', ['body']],
+    ]);
+    assert.equal(response.body.usage[1].title, 'Home');
+
+    const limited = await request(pager, 'GET', '/api/images/hero.svg/usage');
+    assert.equal(limited.body.usage.length, 2);
+    assert.equal(limited.body.hidden, 1);
+  });
+
+  await check('saving an entry updates its usage', async () => {
+    const saved = await request(owner, 'PUT', '/api/content/pages/about', {
+      data: { title: 'About', hero: '/images/orphan.svg' },
+      body: '',
+    });
+    assert.equal(saved.status, 200, JSON.stringify(saved.body));
+    const usage = await request(owner, 'GET', '/api/images/orphan.svg/usage');
+    assert.deepEqual(usage.body.usage.map(use => use.slug), ['about']);
+    assert.equal((await request(owner, 'GET', '/api/images/hero.svg/usage')).body.usage.length, 2);
+  });
+
+  await check('DELETE: refused with 409 while entries use the image, unless forced', async () => {
+    const refused = await request(owner, 'DELETE', '/api/images/cover.svg');
+    assert.equal(refused.status, 409, JSON.stringify(refused.body));
+    assert.deepEqual(refused.body.usage.map(use => use.slug), ['launch']);
+    assert.ok(imageExists('cover.svg'));
+
+    const hidden = await request(pager, 'DELETE', '/api/images/cover.svg');
+    assert.equal(hidden.status, 409);
+    assert.deepEqual([hidden.body.usage, hidden.body.hidden], [[], 1]);
+
+    assert.equal((await request(owner, 'DELETE', '/api/images/cover.svg?force=true')).status, 200);
+    assert.ok(!imageExists('cover.svg'));
+  });
+
+  await check('POST /api/images/delete-unused: only unused uploads go', async () => {
+    const response = await request(owner, 'POST', '/api/images/delete-unused', {
+      filenames: ['stray.svg', 'hero.svg', 'logo.svg', 'missing.svg'],
+    });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.deepEqual(response.body.deleted, ['stray.svg']);
+    assert.deepEqual(response.body.skipped.map(item => item.filename), ['hero.svg', 'logo.svg', 'missing.svg']);
+    assert.ok(!imageExists('stray.svg'));
+    assert.ok(imageExists('hero.svg'));
+
+    assert.equal((await request(owner, 'POST', '/api/images/delete-unused', { filenames: [] })).status, 400);
+  });
+
+  console.log('='.repeat(40));
+  console.log(`\n📊 ${passed} checks passed.\n`);
+} catch (error) {
+  if (!(error instanceof CheckFailed)) {
+    console.error(`❌ Test setup failed\n   ${error.stack || error.message}`);
+  }
+  process.exitCode = 1;
+} finally {
+  app?.close();
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+}
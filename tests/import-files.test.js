@@ -162,6 +162,32 @@ export const collections = { pages, broken };
     assert.equal(getEntry('pages', 'contact'), null, 'new page was not partially imported');
   });
 
+  await check('a file() collection that doesn\'t parse fails the import, naming the file', async () => {
+    fs.rmSync(path.join(tmpRoot, 'src/content/broken'), { recursive: true, force: true });
+    fs.writeFileSync(
+      path.join(tmpRoot, 'src/content.config.ts'),
+      `import { defineCollection, z } from 'astro:content';
+import { file } from 'astro/loaders';
+
+const authors = defineCollection({
+  loader: file('src/data/authors.yaml'),
+  schema: z.object({ name: z.string() }),
+});
+
+export const collections = { authors };
+`
+    );
+    fs.mkdirSync(path.join(tmpRoot, 'src/data'), { recursive: true });
+    fs.writeFileSync(path.join(tmpRoot, 'src/data/authors.yaml'), '- id: ann\n  name: [unclosed\n');
+
+    clearSchemaCache();
+    await assert.rejects(() => importFiles(), (error) => {
+      assert.match(error.message, /^Failed to parse src\/data\/authors\.yaml: \S/);
+      assert.ok(error.cause, 'the parser error is kept');
+      return true;
+    });
+  });
+
   console.log('='.repeat(40));
   console.log(`\n📊 ${passed} checks passed.\n`);
 } catch (error) {
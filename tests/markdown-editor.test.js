@@ -0,0 +1,163 @@
+/**
+ * Markdown editor test
+ *
+ * Covers the pieces of the markdown body editor that don't need a browser:
+ * the live preview renderer (including MDX components and escaping), the
+ * table and component-JSX generators, and discovering src/components/ props
+ * for the MDX component palette against a throwaway project.
+ *
+ *   bun tests/markdown-editor.test.js
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'aa-components-'));
+process.env.ASTROADMIN_PROJECT_ROOT = tmpRoot;
+
+const { renderMarkdown } = await import('../ui/markdown-render.js');
+const { markdownTable, componentJsx } = await import('../ui/markdown-editor.js');
+const { discoverComponents } = await import('../server/utils/component-discovery.js');
+
+let passed = 0;
+// Failure sentinel: already reported by check(), just unwinds to the outer
+// catch so the finally cleanup still runs (process.exit would skip it).
+class CheckFailed extends Error {}
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    console.error(`❌ ${name}\n   ${error.stack || error.message}`);
+    throw new CheckFailed(name);
+  }
+}
+
+function write(relativePath, text) {
+  fs.mkdirSync(path.dirname(path.join(tmpRoot, relativePath)), { recursive: true });
+  fs.writeFileSync(path.join(tmpRoot, relativePath), text);
+}
+
+try {
+  console.log('\n🧪 Markdown editor\n' + '='.repeat(40));
+
+  await check('preview: headings, emphasis, links, images, code', () => {
+    const html = renderMarkdown('## Hello **world**\n\nSome _text_ with `a < b`, [docs](/docs "Docs") and ![Logo](/images/logo.png).');
+    assert.match(html, /<h2>Hello <strong>world<\/strong><\/h2>/);
+    assert.match(html, /<em>text<\/em>/);
+    assert.match(html, /<code>a &lt; b<\/code>/);
+    assert.match(html, /<a href="\/docs" title="Docs">docs<\/a>/);
+    assert.match(html, /<img src="\/images\/logo.png" alt="Logo">/);
+  });
+
+  await check('preview: lists, quotes, tables and fenced code', () => {
+    const html = renderMarkdown('- one\n  - nested\n- [x] done\n\n1. first\n2. second\n\n> quoted\n\n| A | B |\n|---|--:|\n| 1 | 2 |\n\n```js\nlet x = "<b>";\n```');
+    assert.match(html, /<ul><li>one<ul><li>nested<\/li><\/ul><\/li><li><input type="checkbox" disabled checked> done<\/li><\/ul>/);
+    assert.match(html, /<ol><li>first<\/li><li>second<\/li><\/ol>/, 'numbered list kept separate from the bullets');
+    assert.match(html, /<blockquote><p>quoted<\/p><\/blockquote>/);
+    assert.match(html, /<th>A<\/th><th style="text-align:right">B<\/th>/);
+    assert.match(html, /<pre><code class="language-js">let x = &quot;&lt;b&gt;&quot;;<\/code><\/pre>/);
+  });
+
+  await check('preview: raw HTML and script URLs are not run', () => {
+    const html = renderMarkdown('<script>alert(1)</script>\n\n[x](javascript:alert(1)) <img src=x onerror=alert(1)>');
+    assert.ok(!html.includes('<script'), html);
+    assert.ok(!html.includes('<img src=x'), html);
+    assert.ok(!/href="javascript:/i.test(html), html);
+  });
+
+  await check('preview: MDX imports and components render as placeholders', () => {
+    const source = "import Callout from '../../components/Callout.astro';\n\n<Callout type=\"warning\">\nMind the **gap**\n</Callout>\n\nInline <Badge text=\"new\" /> here.";
+    const html = renderMarkdown(source, { mdx: true });
+    assert.match(html, /<pre class="md-esm"><code>import Callout/);
+    assert.match(html, /<div class="md-component" data-component="Callout">/);
+    assert.match(html, /type=&quot;warning&quot;/);
+    assert.match(html, /<p>Mind the <strong>gap<\/strong><\/p>/, 'children rendered as markdown');
+    assert.match(html, /<span class="md-component-inline" data-component="Badge"/);
+    assert.ok(!renderMarkdown(source).includes('md-component'), 'plain markdown leaves JSX alone');
+  });
+
+  await check('table and component JSX generators', () => {
+    assert.equal(markdownTable(2, 1), '| Column 1 | Column 2 |\n| -------- | -------- |\n|          |          |');
+
+    const callout = {
+      name: 'Callout',
+      props: [
+        { name: 'type', type: 'enum', options: ['info', 'warning'], required: true },
+        { name: 'title', type: 'string', required: false },
+        { name: 'count', type: 'number', required: false },
+        { name: 'open', type: 'boolean', required: false },
+        { name: 'compact', type: 'boolean', required: false, default: true },
+        { name: 'size', type: 'string', required: false, default: 'md' },
+      ],
+    };
+    const values = { type: 'warning', title: 'Say "hi"', count: '3', open: true, compact: false, size: 'md' };
+    assert.equal(
+      componentJsx(callout, values, 'Body'),
+      '<Callout type="warning" title={"Say \\"hi\\""} count={3} open compact={false}>\nBody\n</Callout>'
+    );
+    assert.equal(componentJsx({ name: 'Divider', props: [] }, {}), '<Divider />');
+  });
+
+  await check('component discovery: Astro and JSX props, import paths', async () => {
+    write('src/components/Callout.astro', `---
+type Variant = 'info' | 'warning';
+interface Props {
+  type: Variant;
+  title?: string;
+  count?: number;
+  open?: boolean;
+  items?: string[];
+}
+const { type, title } = Astro.props;
+---
+<aside class={type}><slot /></aside>
+`);
+    write('src/components/ui/star-rating.tsx', `type Props = { stars: number; label?: string; children?: any };
+export default function StarRating({ stars, label = 'Rating' }: Props) { return null; }
+`);
+    write('src/components/Badge.jsx', 'const Badge = ({ text = "New", pill = false }) => <span>{text}</span>;\nexport default Badge;\n');
+    write('src/components/_internal.astro', '---\n---\n');
+
+    const components = await discoverComponents(tmpRoot, { from: 'src/content/blog/post.mdx' });
+    assert.deepEqual(components.map(c => c.name), ['Badge', 'Callout', 'StarRating']);
+
+    const callout = components.find(c => c.name === 'Callout');
+    assert.equal(callout.importPath, '../../components/Callout.astro');
+    assert.equal(callout.children, true);
+    assert.deepEqual(callout.props, [
+      { name: 'type', required: true, type: 'enum', options: ['info', 'warning'] },
+      { name: 'title', required: false, type: 'string' },
+      { name: 'count', required: false, type: 'number' },
+      { name: 'open', required: false, type: 'boolean' },
+      { name: 'items', required: false, type: 'expression' },
+    ]);
+
+    const rating = components.find(c => c.name === 'StarRating');
+    assert.equal(rating.path, 'src/components/ui/star-rating.tsx');
+    assert.equal(rating.children, true);
+    assert.deepEqual(rating.props.map(p => [p.name, p.type, p.required, p.default]), [
+      ['stars', 'number', true, undefined],
+      ['label', 'string', false, 'Rating'],
+    ]);
+
+    const badge = components.find(c => c.name === 'Badge');
+    assert.deepEqual(badge.props.map(p => [p.name, p.type, p.default]), [['text', 'string', 'New'], ['pill', 'boolean', false]]);
+
+    const fromRoot = await discoverComponents(tmpRoot);
+    assert.equal(fromRoot.find(c => c.name === 'Badge').importPath, './src/components/Badge.jsx');
+  });
+
+  console.log('='.repeat(40));
+  console.log(`\n📊 ${passed} checks passed.\n`);
+} catch (error) {
+  if (!(error instanceof CheckFailed)) {
+    console.error(`❌ Test setup failed\n   ${error.stack || error.message}`);
+  }
+  process.exitCode = 1;
+} finally {
+  fs.rmSync(tmpRoot, { recursive: true, force: true });
+}
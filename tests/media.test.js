@@ -0,0 +1,253 @@
+/**
+ * Media test
+ *
+ * Covers telling media types from their contents and measuring them
+ * (server/utils/media-files.js: signatures, PDF page counts, MP4 and WAV
+ * durations) and, through the real Express app on an ephemeral port,
+ * /api/media: uploads kept only when their bytes match their extension,
+ * per-kind size limits from astroadmin.config.js, listing by kind and search,
+ * titles, video poster frames and deletes.
+ * node_modules is symlinked so the schema parser can resolve zod.
+ *
+ *   bun tests/media.test.js
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { createTestProject, startServer } from './helpers/server.js';
+
+const projectRoot = createTestProject('aa-media-', {
+  linkNodeModules: true,
+  config: `export default {
+  git: { enabled: false },
+  auth: { username: 'owner', password: 'owner-pass' },
+  media: { limits: { document: 0.002, archive: 0 } },
+};
+`,
+});
+fs.mkdirSync(path.join(projectRoot, 'src'), { recursive: true });
+fs.writeFileSync(
+  path.join(projectRoot, 'src/content.config.ts'),
+  `import { defineCollection, z } from 'astro:content';
+import { glob } from 'astro/loaders';
+
+export const collections = {
+  pages: defineCollection({
+    loader: glob({ pattern: '**/*.md', base: './src/content/pages' }),
+    schema: z.object({ title: z.string() }),
+  }),
+};
+`
+);
+
+// An ISO media box: 32-bit size, type, contents
+function box(type, ...contents) {
+  const body = Buffer.concat(contents);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(body.length + 8, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+// A version 0 mvhd (timescale, duration) and tkhd (width, height)
+function mp4(brand, { timescale, duration, width, height }) {
+  const mvhd = Buffer.alloc(100);
+  mvhd.writeUInt32BE(timescale, 12);
+  mvhd.writeUInt32BE(duration, 16);
+  const tkhd = Buffer.alloc(84);
+  tkhd.writeUInt32BE(width * 65536, 76);
+  tkhd.writeUInt32BE(height * 65536, 80);
+  return Buffer.concat([
+    box('ftyp', Buffer.from(`${brand}\0\0\0\0isom`, 'latin1')),
+    box('mdat', Buffer.alloc(64)),
+    box('moov', box('mvhd', mvhd), box('trak', box('tkhd', tkhd))),
+  ]);
+}
+
+// 16-bit stereo at 44.1kHz: 176400 bytes a second
+function wav(seconds) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(36 + 176400 * seconds, 4);
+  header.write('WAVEfmt ', 8, 'latin1');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(2, 22);
+  header.writeUInt32LE(44100, 24);
+  header.writeUInt32LE(176400, 28);
+  header.writeUInt16LE(4, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'latin1');
+  header.writeUInt32LE(176400 * seconds, 40);
+  return Buffer.concat([header, Buffer.alloc(1024)]);
+}
+
+const pdf = pages => Buffer.from([
+  '%PDF-1.4',
+  '1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj',
+  `2 0 obj << /Type /Pages /Kids [3 0 R] /Count ${pages} >> endobj`,
+  '3 0 obj << /Type /Page /Parent 2 0 R >> endobj',
+  '%%EOF',
+].join('\n'), 'latin1');
+const zip = Buffer.from('PK\x03\x04\x14\x00\x00\x00', 'latin1');
+const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13]);
+
+const { sniffMediaType, pdfPageCount, readMp4Info, wavDuration } = await import('../server/utils/media-files.js');
+
+let passed = 0;
+// Failure sentinel: already reported by check(), just unwinds to the outer
+// catch so the finally cleanup still runs (process.exit would skip it).
+class CheckFailed extends Error {}
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    console.error(`❌ ${name}\n   ${error.stack || error.message}`);
+    throw new CheckFailed(name);
+  }
+}
+
+let app = null;
+
+try {
+  console.log('\n🧪 Media\n' + '='.repeat(40));
+
+  await check('sniffMediaType: contents have to agree with the extension', async () => {
+    assert.equal(sniffMediaType(pdf(1), 'brochure.pdf').type.mime, 'application/pdf');
+    assert.equal(sniffMediaType(zip, 'report.docx').type.kind, 'document');
+    assert.equal(sniffMediaType(mp4('qt  ', { timescale: 1, duration: 1, width: 1, height: 1 }), 'clip.mov').type.mime, 'video/quicktime');
+    assert.equal(sniffMediaType(Buffer.from('name,email\nAda,ada@example.com\n'), 'list.csv').type.mime, 'text/csv');
+
+    assert.deepEqual(sniffMediaType(zip, 'brochure.pdf'), { type: null, detected: 'application/zip' });
+    assert.deepEqual(sniffMediaType(Buffer.from('MZ\x90\x00'), 'song.mp3'), { type: null, detected: null });
+    assert.equal(sniffMediaType(Buffer.from('a\0b'), 'notes.txt').type, null);
+    assert.equal(sniffMediaType(mp4('M4A ', { timescale: 1, duration: 1, width: 0, height: 0 }), 'clip.mp4').type, null);
+  });
+
+  await check('measuring: PDF pages, MP4 duration and frame size, WAV duration', async () => {
+    assert.equal(pdfPageCount(pdf(12)), 12);
+    assert.equal(pdfPageCount(Buffer.from('%PDF-1.4\n<< /Type /Page >>\n<< /Type /Page >>\n', 'latin1')), 2);
+    assert.equal(pdfPageCount(Buffer.from('%PDF-1.5\n', 'latin1')), null);
+
+    const videoPath = path.join(projectRoot, 'clip.mp4');
+    fs.writeFileSync(videoPath, mp4('isom', { timescale: 1000, duration: 12500, width: 1280, height: 720 }));
+    assert.deepEqual(await readMp4Info(videoPath), { duration: 12.5, width: 1280, height: 720 });
+
+    assert.equal(wavDuration(wav(3)), 3);
+  });
+
+  app = await startServer();
+  const { baseUrl } = app;
+
+  const cookie = await app.login('owner', 'owner-pass');
+
+  const request = (method, urlPath, body) => app.request(cookie, method, urlPath, body);
+
+  async function upload(urlPath, fields) {
+    const form = new FormData();
+    for (const [name, value] of Object.entries(fields)) {
+      if (Array.isArray(value)) form.append(name, new Blob([value[1]]), value[0]);
+      else form.append(name, value);
+    }
+    const response = await fetch(`${baseUrl}${urlPath}`, { method: 'POST', headers: { Cookie: cookie }, body: form });
+    return { status: response.status, body: await response.json() };
+  }
+
+  const mediaDir = path.join(projectRoot, 'public/media');
+  const mediaFiles = () => (fs.existsSync(mediaDir) ? fs.readdirSync(mediaDir).filter(name => !name.startsWith('.') && name !== '_posters') : []);
+
+  let video;
+  let song;
+  await check('POST /api/media: uploads are measured', async () => {
+    const brochure = await upload('/api/media', { file: ['Spring Brochure.pdf', pdf(4)] });
+    assert.equal(brochure.status, 200, JSON.stringify(brochure.body));
+    assert.match(brochure.body.media.filename, /^spring-brochure-\d+\.pdf$/);
+    assert.equal(brochure.body.media.kind, 'document');
+    assert.equal(brochure.body.media.pages, 4);
+
+    video = (await upload('/api/media', {
+      file: ['Tour.mp4', mp4('isom', { timescale: 600, duration: 1800, width: 640, height: 360 })],
+    })).body.media;
+    assert.deepEqual([video.kind, video.duration, video.width, video.height], ['video', 3, 640, 360]);
+
+    song = (await upload('/api/media', { file: ['jingle.wav', wav(2)] })).body.media;
+    assert.deepEqual([song.kind, song.mimetype, song.duration], ['audio', 'audio/wav', 2]);
+  });
+
+  await check('POST /api/media: mismatched contents, unknown types and oversize files are refused', async () => {
+    const before = mediaFiles();
+
+    const disguised = await upload('/api/media', { file: ['brochure.pdf', zip] });
+    assert.equal(disguised.status, 400);
+    assert.match(disguised.body.message, /looks like application\/zip/);
+
+    assert.equal((await upload('/api/media', { file: ['setup.exe', Buffer.from('MZ')] })).status, 400);
+    assert.equal((await upload('/api/media', { file: ['song.mp3', Buffer.from('MZ\x90\x00')] })).status, 400);
+
+    const big = await upload('/api/media', { file: ['big.pdf', Buffer.concat([pdf(1), Buffer.alloc(4096)])] });
+    assert.equal(big.status, 400);
+    assert.match(big.body.error, /document files/);
+
+    const archive = await upload('/api/media', { file: ['bundle.zip', zip] });
+    assert.equal(archive.status, 400);
+    assert.match(archive.body.error, /turned off/);
+
+    assert.deepEqual(mediaFiles(), before);
+  });
+
+  await check('GET /api/media: by kind and search; titles are searched', async () => {
+    const all = await request('GET', '/api/media');
+    assert.equal(all.body.count, 3);
+    assert.deepEqual(all.body.limits, { document: 0.002, video: 200, audio: 50, archive: 0 });
+
+    const videos = await request('GET', '/api/media?kind=video');
+    assert.deepEqual(videos.body.media.map(item => item.filename), [video.filename]);
+    assert.equal((await request('GET', '/api/media?kind=images')).status, 400);
+
+    const titled = await request('PUT', `/api/media/${song.filename}/metadata`, { title: 'Station Jingle' });
+    assert.equal(titled.status, 200, JSON.stringify(titled.body));
+    assert.equal(titled.body.media.title, 'Station Jingle');
+    const found = await request('GET', '/api/media?q=station');
+    assert.deepEqual(found.body.media.map(item => item.filename), [song.filename]);
+  });
+
+  await check('POST /api/media/:filename/poster: a captured frame for videos only', async () => {
+    const poster = await upload(`/api/media/${video.filename}/poster`, { poster: ['frame.png', png], time: '1.25' });
+    assert.equal(poster.status, 200, JSON.stringify(poster.body));
+    assert.equal(poster.body.media.poster, `/media/_posters/${video.filename}.png`);
+    assert.equal(poster.body.media.posterTime, 1.25);
+    assert.ok(fs.existsSync(path.join(mediaDir, '_posters', `${video.filename}.png`)));
+
+    const served = await fetch(`${baseUrl}${poster.body.media.poster}`, { headers: { Cookie: cookie } });
+    assert.equal(served.status, 200);
+
+    assert.equal((await upload(`/api/media/${song.filename}/poster`, { poster: ['frame.png', png] })).status, 400);
+    assert.equal((await upload(`/api/media/${video.filename}/poster`, { poster: ['frame.png', zip] })).status, 400);
+  });
+
+  await check('DELETE /api/media/:filename: the file, its poster and metadata go', async () => {
+    assert.equal((await request('DELETE', '/api/media/..%2F.metadata.json')).status, 400);
+    assert.equal((await request('DELETE', '/api/media/missing.pdf')).status, 404);
+
+    const deleted = await request('DELETE', `/api/media/${video.filename}`);
+    assert.equal(deleted.status, 200, JSON.stringify(deleted.body));
+    assert.ok(!fs.existsSync(path.join(mediaDir, video.filename)));
+    assert.ok(!fs.existsSync(path.join(mediaDir, '_posters', `${video.filename}.png`)));
+    const metadata = JSON.parse(fs.readFileSync(path.join(mediaDir, '.metadata.json'), 'utf-8'));
+    assert.equal(metadata[video.filename], undefined);
+  });
+
+  console.log('='.repeat(40));
+  console.log(`\n📊 ${passed} checks passed.\n`);
+} catch (error) {
+  if (!(error instanceof CheckFailed)) {
+    console.error(`❌ Test setup failed\n   ${error.stack || error.message}`);
+  }
+  process.exitCode = 1;
+} finally {
+  app?.close();
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+}
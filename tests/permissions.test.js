@@ -0,0 +1,145 @@
+/**
+ * Per-collection permissions test
+ *
+ * Covers getCollectionAccess() rule matching and, through the real Express app
+ * on an ephemeral port, that a login restricted by `permissions` only sees its
+ * collections in GET /api/collections and gets 403 reading or writing others.
+ * Uses several configured credentials (auth.credentials), no user store.
+ * node_modules is symlinked so the schema parser can resolve zod.
+ *
+ *   bun tests/permissions.test.js
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { createTestProject, startServer } from './helpers/server.js';
+
+const projectRoot = createTestProject('aa-perms-', {
+  linkNodeModules: true,
+  config: `export default {
+  git: { enabled: false },
+  auth: {
+    username: 'owner',
+    password: 'owner-pass',
+    credentials: [
+      { username: 'marketing', password: 'marketing-pass' },
+      { username: 'reviewer', password: 'reviewer-pass' },
+    ],
+  },
+  permissions: {
+    marketing: { collections: ['pages', 'testimonials'] },
+    reviewer: { collections: '*', readOnly: ['settings'] },
+  },
+};
+`,
+});
+fs.mkdirSync(path.join(projectRoot, 'src'), { recursive: true });
+fs.writeFileSync(
+  path.join(projectRoot, 'src/content.config.ts'),
+  `import { defineCollection, z } from 'astro:content';
+import { glob } from 'astro/loaders';
+
+const collection = (name) => defineCollection({
+  loader: glob({ pattern: '**/*.md', base: \`./src/content/\${name}\` }),
+  schema: z.object({ title: z.string() }),
+});
+
+export const collections = {
+  pages: collection('pages'),
+  testimonials: collection('testimonials'),
+  settings: collection('settings'),
+};
+`
+);
+for (const [collection, slug] of [['pages', 'home'], ['testimonials', 'ann'], ['settings', 'site']]) {
+  fs.mkdirSync(path.join(projectRoot, 'src/content', collection), { recursive: true });
+  fs.writeFileSync(path.join(projectRoot, 'src/content', collection, `${slug}.md`), `---\ntitle: ${slug}\n---\n`);
+}
+
+const { getCollectionAccess } = await import('../server/utils/permissions.js');
+
+let passed = 0;
+// Failure sentinel: already reported by check(), just unwinds to the outer
+// catch so the finally cleanup still runs (process.exit would skip it).
+class CheckFailed extends Error {}
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    console.error(`❌ ${name}\n   ${error.stack || error.message}`);
+    throw new CheckFailed(name);
+  }
+}
+
+let app = null;
+
+try {
+  console.log('\n🧪 Collection permissions\n' + '='.repeat(40));
+
+  await check('getCollectionAccess: rules, shorthand, wildcard and defaults', () => {
+    const permissions = {
+      marketing: { collections: ['pages'], readOnly: ['settings'] },
+      intern: ['posts'],
+      reviewer: { collections: '*', readOnly: ['settings'] },
+    };
+    assert.equal(getCollectionAccess(permissions, 'marketing', 'pages'), 'write');
+    assert.equal(getCollectionAccess(permissions, 'marketing', 'settings'), 'read');
+    assert.equal(getCollectionAccess(permissions, 'marketing', 'posts'), 'none');
+    assert.equal(getCollectionAccess(permissions, 'intern', 'posts'), 'write', 'array shorthand');
+    assert.equal(getCollectionAccess(permissions, 'reviewer', 'anything'), 'write', 'wildcard');
+    assert.equal(getCollectionAccess(permissions, 'reviewer', 'settings'), 'read', 'readOnly wins');
+    assert.equal(getCollectionAccess(permissions, 'someone-else', 'settings'), 'write', 'no entry = unrestricted');
+    assert.equal(getCollectionAccess({}, 'marketing', 'settings'), 'write');
+    assert.equal(getCollectionAccess(permissions, 'toString', 'pages'), 'write', 'no prototype lookups');
+  });
+
+  app = await startServer();
+  const { login, request } = app;
+
+  await check('restricted login only sees its collections', async () => {
+    const cookie = await login('marketing', 'marketing-pass');
+    const { body } = await request(cookie, 'GET', '/api/collections');
+    assert.deepEqual(body.collections.map(c => c.name).sort(), ['pages', 'testimonials']);
+    assert.ok(body.collections.every(c => c.access === 'write'));
+  });
+
+  await check('restricted login gets 403 on forbidden collections', async () => {
+    const cookie = await login('marketing', 'marketing-pass');
+    assert.equal((await request(cookie, 'GET', '/api/content/settings/site')).status, 403);
+    assert.equal((await request(cookie, 'GET', '/api/collections/settings/entries')).status, 403);
+    const write = await request(cookie, 'POST', '/api/content/settings/site', { data: { title: 'x' } });
+    assert.equal(write.status, 403);
+    assert.equal(write.body.success, false);
+    assert.equal((await request(cookie, 'DELETE', '/api/content/settings/site')).status, 403);
+    assert.ok(fs.existsSync(path.join(projectRoot, 'src/content/settings/site.md')), 'not deleted');
+    assert.equal((await request(cookie, 'POST', '/api/content/pages/home', { data: { title: 'Hi' } })).status, 200);
+  });
+
+  await check('read-only collections are listed but not writable', async () => {
+    const cookie = await login('reviewer', 'reviewer-pass');
+    const { body } = await request(cookie, 'GET', '/api/collections');
+    assert.equal(body.collections.find(c => c.name === 'settings').access, 'read');
+    assert.equal((await request(cookie, 'GET', '/api/content/settings/site')).status, 200);
+    assert.equal((await request(cookie, 'PUT', '/api/content/settings/site', { data: { title: 'x' } })).status, 403);
+  });
+
+  await check('logins without a permissions entry see everything', async () => {
+    const cookie = await login('owner', 'owner-pass');
+    const { body } = await request(cookie, 'GET', '/api/collections');
+    assert.deepEqual(body.collections.map(c => c.name).sort(), ['pages', 'settings', 'testimonials']);
+  });
+
+  console.log('='.repeat(40));
+  console.log(`\n📊 ${passed} checks passed.\n`);
+} catch (error) {
+  if (!(error instanceof CheckFailed)) {
+    console.error(`❌ Test setup failed\n   ${error.stack || error.message}`);
+  }
+  process.exitCode = 1;
+} finally {
+  app?.close();
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+}
@@ -0,0 +1,276 @@
+/**
+ * Publish queue test
+ *
+ * Covers the SQLite job store, the queue running one publish at a time,
+ * coalescing requests into a waiting job, rollbacks queued as their own job
+ * type, cancelling, recovery after a restart, and GET /api/publish/jobs + POST /api/publish/jobs/:id/cancel
+ * through the real Express app on an ephemeral port.
+ *
+ *   bun tests/publish-queue.test.js
+ */
+
+import assert from 'assert';
+import { Database } from 'bun:sqlite';
+import fs from 'fs';
+import path from 'path';
+import { createTestProject, startServer } from './helpers/server.js';
+
+const projectRoot = createTestProject('aa-queue-', {
+  git: false,
+  config: `export default {
+  git: { enabled: false },
+  build: { production: 'sleep 0.5 && echo built' },
+  deploy: { adapter: 'http', http: { url: 'http://127.0.0.1:9/hook', mode: 'hook', dryRun: true } },
+  auth: {
+    username: 'alice',
+    password: 'alice-pass',
+    credentials: [{ username: 'bob', password: 'bob-pass' }],
+  },
+};
+`,
+});
+
+const { createPublishJobStore } = await import('../server/publish-job-store.js');
+const { PublishQueue } = await import('../server/publish-queue.js');
+
+let passed = 0;
+// Failure sentinel: already reported by check(), just unwinds to the outer
+// catch so the finally cleanup still runs (process.exit would skip it).
+class CheckFailed extends Error {}
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    console.error(`❌ ${name}\n   ${error.stack || error.message}`);
+    throw new CheckFailed(name);
+  }
+}
+
+// A publish stand-in that runs until released, recording overlap
+function controlledRun() {
+  const pending = [];
+  const state = { running: 0, maxRunning: 0, ran: [] };
+  const run = (job) => new Promise((resolve) => {
+    state.running++;
+    state.maxRunning = Math.max(state.maxRunning, state.running);
+    state.ran.push(job.message);
+    pending.push(() => {
+      state.running--;
+      resolve({ status: 200, body: { success: true, commit: { hash: `hash-${job.id}` }, deploy: { success: true }, runId: null } });
+    });
+  });
+  const releaseNext = async () => {
+    while (pending.length === 0) await new Promise(resolve => setTimeout(resolve, 5));
+    pending.shift()();
+  };
+  return { run, state, releaseNext };
+}
+
+let app = null;
+const stores = [];
+
+function newStore(name, options = {}) {
+  const store = createPublishJobStore({ path: path.join(projectRoot, `${name}.db`), ...options });
+  stores.push(store);
+  return store;
+}
+
+try {
+  console.log('\n🧪 Publish queue\n' + '='.repeat(40));
+
+  await check('store: queue, coalesce, run, finish and prune', () => {
+    const store = newStore('store', { keep: 2 });
+    const job = store.add({ message: 'Fix typo', user: 'alice', streamId: 'tab-a' });
+    assert.equal(job.status, 'queued');
+
+    const joined = store.coalesce(job.id, { message: 'New post', user: 'bob', streamId: 'tab-b' });
+    assert.equal(joined.message, 'Fix typo; New post');
+    assert.deepEqual(joined.requestedBy, ['alice', 'bob']);
+    assert.deepEqual(joined.streamIds, ['tab-a', 'tab-b']);
+    assert.equal(store.coalesce(job.id, { message: 'New post', user: 'bob' }).message, 'Fix typo; New post', 'same message not repeated');
+
+    assert.equal(store.start(job.id), true);
+    assert.equal(store.coalesce(job.id, { message: 'Late' }), null, 'running jobs take no more requests');
+    assert.equal(store.cancel(job.id), false, 'running jobs cannot be cancelled');
+
+    const finished = store.finish(job.id, { success: true, commit: 'abc1234', deploy: { success: true, release: 'r1' }, runId: 'run-1' });
+    assert.equal(finished.status, 'succeeded');
+    assert.equal(finished.commit, 'abc1234');
+    assert.deepEqual(finished.deploy, { success: true, release: 'r1' });
+    assert.ok(finished.durationMs >= 0);
+
+    for (const message of ['two', 'three']) {
+      const next = store.add({ message });
+      store.start(next.id);
+      store.finish(next.id, { success: false, error: 'Build failed' });
+    }
+    assert.deepEqual(store.list().map(j => j.message), ['three', 'two'], 'oldest finished job pruned');
+  });
+
+  await check('queue: one publish at a time; waiting requests coalesce into one job', async () => {
+    const { run, state, releaseNext } = controlledRun();
+    const queue = new PublishQueue({ store: newStore('serial'), run });
+
+    const first = queue.enqueue({ message: 'First', user: 'alice' });
+    const second = queue.enqueue({ message: 'Second', user: 'bob' });
+    const third = queue.enqueue({ message: 'Third', user: 'carol' });
+    assert.equal(second.coalesced, false);
+    assert.equal(third.coalesced, true);
+    assert.equal(third.job.id, second.job.id);
+
+    await releaseNext();
+    await releaseNext();
+    const results = await Promise.all([first.done, second.done, third.done]);
+    await queue.idle();
+
+    assert.equal(state.maxRunning, 1);
+    assert.deepEqual(state.ran, ['First', 'Second; Third']);
+    assert.equal(results[0].body.coalesced, false);
+    assert.equal(results[1].body.jobId, results[2].body.jobId);
+    assert.equal(results[2].body.coalesced, true);
+
+    const [latest] = queue.list();
+    assert.equal(latest.status, 'succeeded');
+    assert.deepEqual(latest.requestedBy, ['bob', 'carol']);
+    assert.equal(latest.commit, `hash-${latest.id}`);
+  });
+
+  await check('queue: rollbacks wait their turn and are never coalesced', async () => {
+    const { run, state, releaseNext } = controlledRun();
+    const queue = new PublishQueue({ store: newStore('rollback'), run });
+
+    const publishing = queue.enqueue({ message: 'Publishing', user: 'alice' });
+    const rollback = queue.enqueue({ type: 'rollback', params: { release: 'r1' }, message: 'Roll back to r1', user: 'alice' });
+    const secondRollback = queue.enqueue({ type: 'rollback', params: { release: 'r2' }, message: 'Roll back to r2', user: 'bob' });
+    const after = queue.enqueue({ message: 'After', user: 'bob' });
+    assert.equal(rollback.coalesced, false);
+    assert.equal(secondRollback.coalesced, false);
+    assert.equal(after.coalesced, false, 'a publish does not jump ahead of a waiting rollback');
+
+    for (let i = 0; i < 4; i++) await releaseNext();
+    await Promise.all([publishing.done, rollback.done, secondRollback.done, after.done]);
+    await queue.idle();
+
+    assert.equal(state.maxRunning, 1);
+    assert.deepEqual(state.ran, ['Publishing', 'Roll back to r1', 'Roll back to r2', 'After']);
+    const jobs = queue.list().reverse();
+    assert.deepEqual(jobs.map(job => job.type), ['publish', 'rollback', 'rollback', 'publish']);
+    assert.deepEqual(jobs[1].params, { release: 'r1' });
+  });
+
+  await check('store: a database from before job types reads as publishes', () => {
+    const dbPath = path.join(projectRoot, 'old.db');
+    const db = new Database(dbPath, { create: true });
+    db.exec(`CREATE TABLE publish_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT, status TEXT NOT NULL, message TEXT NOT NULL,
+      requested_by TEXT NOT NULL, stream_ids TEXT NOT NULL, created_at INTEGER NOT NULL,
+      started_at INTEGER, finished_at INTEGER, duration_ms INTEGER, commit_hash TEXT,
+      deploy_result TEXT, run_id TEXT, error TEXT, cancelled_by TEXT)`);
+    db.prepare('INSERT INTO publish_jobs (status, message, requested_by, stream_ids, created_at) VALUES (\'queued\', ?, \'[]\', \'[]\', ?)').run('Old', Date.now());
+    db.close();
+
+    const store = newStore('old');
+    const [old] = store.list();
+    assert.equal(old.type, 'publish');
+    assert.deepEqual(old.params, {});
+    assert.equal(store.add({ type: 'rollback', params: { release: null }, message: 'Roll back' }).type, 'rollback');
+    assert.throws(() => store.add({ type: 'deploy', message: 'Nope' }), /Unknown publish job type/);
+  });
+
+  await check('queue: a waiting publish can be cancelled, a running one cannot', async () => {
+    const { run, state, releaseNext } = controlledRun();
+    const queue = new PublishQueue({ store: newStore('cancel'), run });
+
+    const running = queue.enqueue({ message: 'Running', user: 'alice' });
+    const waiting = queue.enqueue({ message: 'Waiting', user: 'bob' });
+
+    const cancelled = queue.cancel(waiting.job.id, 'alice');
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.cancelledBy, 'alice');
+    const outcome = await waiting.done;
+    assert.equal(outcome.status, 409);
+    assert.equal(outcome.body.error, 'Publish cancelled');
+
+    assert.throws(() => queue.cancel(running.job.id), (error) => error.code === 'NOT_QUEUED');
+    assert.throws(() => queue.cancel(9999), (error) => error.code === 'NOT_FOUND');
+
+    await releaseNext();
+    await running.done;
+    await queue.idle();
+    assert.deepEqual(state.ran, ['Running']);
+  });
+
+  await check('queue: after a restart, interrupted jobs fail and queued ones run', async () => {
+    const store = newStore('restart');
+    const interrupted = store.add({ message: 'Interrupted' });
+    store.start(interrupted.id);
+    store.add({ message: 'Left waiting' });
+
+    const { run, state, releaseNext } = controlledRun();
+    const queue = new PublishQueue({ store, run });
+    queue.start();
+    await releaseNext();
+    await queue.idle();
+
+    assert.equal(store.get(interrupted.id).status, 'failed');
+    assert.match(store.get(interrupted.id).error, /restart/);
+    assert.deepEqual(state.ran, ['Left waiting']);
+  });
+
+  app = await startServer();
+  const { login, request } = app;
+
+  const alice = await login('alice', 'alice-pass');
+  const bob = await login('bob', 'bob-pass');
+
+  await check('API: concurrent publishes queue up; history and cancel endpoints', async () => {
+    const first = request(alice, 'POST', '/api/publish', { message: 'Alice publishes' });
+    // Wait for the first publish to start building before the others arrive
+    for (let i = 0; i < 100; i++) {
+      const { body } = await request(alice, 'GET', '/api/publish/jobs');
+      if (body.jobs[0]?.status === 'running') break;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    const others = [
+      request(bob, 'POST', '/api/publish', { message: 'Bob publishes' }),
+      request(alice, 'POST', '/api/publish', { message: 'Alice again' }),
+    ];
+    const results = await Promise.all([first, ...others]);
+    for (const result of results) {
+      assert.equal(result.status, 200, JSON.stringify(result.body));
+      assert.equal(result.body.success, true);
+    }
+    assert.equal(results[1].body.jobId, results[2].body.jobId, 'waiting publishes coalesced');
+
+    const { body } = await request(bob, 'GET', '/api/publish/jobs');
+    assert.equal(body.jobs.length, 2);
+    const [coalesced, firstJob] = body.jobs;
+    assert.equal(firstJob.status, 'succeeded');
+    assert.deepEqual(firstJob.requestedBy, ['alice']);
+    assert.ok(firstJob.durationMs >= 500, `duration recorded (${firstJob.durationMs}ms)`);
+    assert.equal(firstJob.deploy.dryRun, true);
+    assert.equal(firstJob.runId, results[0].body.runId);
+    assert.equal(coalesced.message, 'Bob publishes; Alice again');
+    assert.deepEqual(coalesced.requestedBy, ['bob', 'alice']);
+    assert.ok(coalesced.startedAt >= firstJob.finishedAt, 'ran after the first one finished');
+
+    assert.equal((await request(bob, 'POST', '/api/publish/jobs/9999/cancel')).status, 404);
+    const finished = await request(bob, 'POST', `/api/publish/jobs/${firstJob.id}/cancel`);
+    assert.equal(finished.status, 409);
+    assert.match(finished.body.message, /succeeded/);
+  });
+
+  console.log('='.repeat(40));
+  console.log(`\n📊 ${passed} checks passed.\n`);
+} catch (error) {
+  if (!(error instanceof CheckFailed)) {
+    console.error(`❌ Test setup failed\n   ${error.stack || error.message}`);
+  }
+  process.exitCode = 1;
+} finally {
+  app?.close();
+  stores.forEach(store => store.close());
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+}
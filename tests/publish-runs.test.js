@@ -0,0 +1,202 @@
+/**
+ * Publish run log test
+ *
+ * Covers line-by-line command output, run logs on disk (summary, full log,
+ * pruning), the GET /api/publish/runs routes, and the live WebSocket stream
+ * at /api/publish/stream: a dashboard following its own publish by streamId,
+ * and upgrades without a session being refused.
+ *
+ *   bun tests/publish-runs.test.js
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import WebSocket from 'ws';
+import { createTestProject, startServer } from './helpers/server.js';
+
+const projectRoot = createTestProject('aa-runs-', {
+  git: false,
+  config: `export default {
+  git: { enabled: false },
+  build: { production: 'echo building site && echo "a warning" >&2' },
+  deploy: { adapter: 'http', http: { url: 'http://127.0.0.1:9/hook', mode: 'hook', dryRun: true } },
+  publishLogs: { keep: 3 },
+  auth: { username: 'alice', password: 'alice-pass' },
+};
+`,
+});
+
+const { runCommand } = await import('../server/utils/build.js');
+const { startRun, listRuns, readRun, isRunId, createRunId } = await import('../server/utils/publish-runs.js');
+const { getConfig } = await import('../server/config.js');
+const { attachLogStream } = await import('../server/log-stream.js');
+
+let passed = 0;
+// Failure sentinel: already reported by check(), just unwinds to the outer
+// catch so the finally cleanup still runs (process.exit would skip it).
+class CheckFailed extends Error {}
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    console.error(`❌ ${name}\n   ${error.stack || error.message}`);
+    throw new CheckFailed(name);
+  }
+}
+
+let app = null;
+let logStream = null;
+
+try {
+  console.log('\n🧪 Publish run logs\n' + '='.repeat(40));
+
+  await check('runCommand passes on whole lines and keeps the end of the output', async () => {
+    const lines = [];
+    const result = await runCommand(`printf 'one\\ntw'; sleep 0.1; printf 'o\\nthree'; printf 'oops\\n' >&2; exit 3`, {
+      cwd: projectRoot,
+      onLine: line => lines.push(line),
+    });
+    assert.equal(result.code, 3);
+    assert.equal(result.stdout, 'one\ntwo\nthree');
+    assert.equal(result.stderr, 'oops\n');
+    assert.deepEqual(lines.sort(), ['one', 'oops', 'three', 'two']);
+
+    let count = 0;
+    const long = await runCommand('for i in $(seq 1 5000); do echo "line $i of a long build"; done', {
+      cwd: projectRoot,
+      onLine: () => count++,
+    });
+    assert.equal(count, 5000, 'every line passed on');
+    assert.equal(long.stdout.length, 1000, 'only the tail held');
+    assert.ok(long.stdout.endsWith('line 5000 of a long build\n'));
+  });
+
+  await check('run ids sort by time and are validated', () => {
+    const id = createRunId(new Date('2026-03-04T05:06:07.890Z'));
+    assert.match(id, /^20260304050607890-[0-9a-f]{6}$/);
+    const next = createRunId(new Date('2026-03-04T05:06:07.890Z'));
+    assert.ok(next.slice(0, 17) > id.slice(0, 17), 'ids keep increasing within a millisecond');
+    assert.equal(isRunId(id), true);
+    assert.equal(isRunId('../../etc/passwd'), false);
+  });
+
+  const fullConfig = await getConfig();
+
+  await check('runs keep a full log and summary; only the newest `keep` survive', async () => {
+    const run = startRun(fullConfig, { user: 'alice', streamIds: ['abc'] });
+    run.log('git', 'Nothing to commit');
+    run.logger('build')('line 1\nline 2\n');
+    const summary = run.finish({ success: false, error: 'Build failed' });
+    assert.equal(summary.success, false);
+    assert.ok(summary.finishedAt);
+
+    const { summary: stored, log } = readRun(fullConfig, run.id);
+    assert.equal(stored.user, 'alice');
+    assert.equal(stored.error, 'Build failed');
+    assert.deepEqual(
+      log.trim().split('\n').map(line => line.replace(/^\S+ /, '')),
+      ['[git] Nothing to commit', '[build] line 1', '[build] line 2']
+    );
+
+    for (let i = 0; i < 3; i++) {
+      startRun(fullConfig).finish({ success: true });
+    }
+    const runs = listRuns(fullConfig);
+    assert.equal(runs.length, 3);
+    assert.equal(readRun(fullConfig, run.id), null, 'oldest run pruned');
+    assert.equal(fs.readdirSync(fullConfig.publishLogs.dir).length, 6, 'log and summary removed together');
+  });
+
+  app = await startServer();
+  logStream = attachLogStream(app.server, { authorize: app.authorizeUpgrade });
+  const { baseUrl } = app;
+  const wsUrl = baseUrl.replace('http:', 'ws:') + '/api/publish/stream';
+  const cookie = await app.login('alice', 'alice-pass');
+
+  let publishedRunId = null;
+
+  await check('stream: a publish streams its build and deploy output live', async () => {
+    const socket = new WebSocket(wsUrl, { headers: { Cookie: cookie } });
+    await new Promise((resolve, reject) => {
+      socket.once('open', resolve);
+      socket.once('error', reject);
+    });
+    const messages = [];
+    const ended = new Promise(resolve => {
+      socket.on('message', (data) => {
+        const message = JSON.parse(data.toString());
+        messages.push(message);
+        if (message.type === 'end') resolve();
+      });
+    });
+
+    const response = await fetch(`${baseUrl}/api/publish`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Cookie: cookie },
+      body: JSON.stringify({ message: 'Ship it', streamId: 'tab-1' }),
+    });
+    const result = await response.json();
+    assert.equal(result.success, true, JSON.stringify(result));
+    assert.ok(isRunId(result.runId));
+    publishedRunId = result.runId;
+
+    await ended;
+    socket.close();
+
+    assert.equal(messages[0].type, 'start');
+    assert.equal(messages[0].run.id, result.runId);
+    assert.equal(messages[0].run.user, 'alice');
+    const lines = messages.filter(m => m.type === 'line');
+    assert.ok(lines.every(m => m.runId === result.runId && m.streamIds.includes('tab-1')));
+    const texts = lines.map(m => `${m.step}: ${m.text}`);
+    assert.ok(texts.includes('build: building site'), texts.join('\n'));
+    assert.ok(texts.includes('build: a warning'), 'stderr is streamed too');
+    assert.ok(texts.some(t => t.startsWith('deploy: 🚀 Starting http deploy (hook)')), texts.join('\n'));
+    assert.equal(messages.at(-1).run.success, true);
+  });
+
+  await check('stream: upgrades without a session are refused', async () => {
+    const socket = new WebSocket(wsUrl);
+    const status = await new Promise((resolve) => {
+      socket.once('unexpected-response', (req, res) => resolve(res.statusCode));
+      socket.once('open', () => resolve('open'));
+      socket.once('error', () => resolve('error'));
+    });
+    socket.terminate();
+    assert.equal(status, 401);
+  });
+
+  await check('API: list runs and fetch a full log as text', async () => {
+    const list = await (await fetch(`${baseUrl}/api/publish/runs`, { headers: { Cookie: cookie } })).json();
+    assert.equal(list.runs[0].id, publishedRunId);
+
+    const logResponse = await fetch(`${baseUrl}/api/publish/runs/${publishedRunId}/log`, { headers: { Cookie: cookie } });
+    assert.equal(logResponse.status, 200);
+    assert.match(logResponse.headers.get('content-type'), /^text\/plain/);
+    const log = await logResponse.text();
+    assert.match(log, /\[build\] building site/);
+    assert.match(log, /\[deploy\] .*dry-run/);
+
+    const missing = await fetch(`${baseUrl}/api/publish/runs/20200101000000000-abcdef/log`, { headers: { Cookie: cookie } });
+    assert.equal(missing.status, 404);
+    const invalid = await fetch(`${baseUrl}/api/publish/runs/..%2F..%2Fusers/log`, { headers: { Cookie: cookie } });
+    assert.equal(invalid.status, 404);
+    const anonymous = await fetch(`${baseUrl}/api/publish/runs/${publishedRunId}/log`);
+    assert.equal(anonymous.status, 401);
+  });
+
+  console.log('='.repeat(40));
+  console.log(`\n📊 ${passed} checks passed.\n`);
+} catch (error) {
+  if (!(error instanceof CheckFailed)) {
+    console.error(`❌ Test setup failed\n   ${error.stack || error.message}`);
+  }
+  process.exitCode = 1;
+} finally {
+  logStream?.close();
+  app?.close();
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+}
@@ -0,0 +1,214 @@
+/**
+ * Reference integrity test
+ *
+ * Covers finding references in entry data from the JSON Schema (reference()
+ * fields tagged by the schema-parser shim, arrays of them, the `fooIds`
+ * naming convention inside blocks) and, through the real Express app on an
+ * ephemeral port with the files store: "Used by", DELETE refusing a
+ * referenced entry unless forced, the index following saves, and
+ * rewriteReferences after a rename.
+ * node_modules is symlinked so the schema parser can resolve zod.
+ *
+ *   bun tests/references.test.js
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { createTestProject, startServer } from './helpers/server.js';
+
+const projectRoot = createTestProject('aa-references-', {
+  linkNodeModules: true,
+  config: `export default {
+  git: { enabled: false },
+  auth: {
+    username: 'owner',
+    password: 'owner-pass',
+    credentials: [{ username: 'teamlead', password: 'teamlead-pass' }],
+  },
+  permissions: {
+    teamlead: { collections: ['team'] },
+  },
+};
+`,
+});
+fs.mkdirSync(path.join(projectRoot, 'src'), { recursive: true });
+fs.writeFileSync(
+  path.join(projectRoot, 'src/content.config.ts'),
+  `import { defineCollection, reference, z } from 'astro:content';
+import { glob } from 'astro/loaders';
+
+export const collections = {
+  team: defineCollection({
+    loader: glob({ pattern: '**/*.md', base: './src/content/team' }),
+    schema: z.object({ name: z.string(), mentor: reference('team').optional() }),
+  }),
+  pages: defineCollection({
+    loader: glob({ pattern: '**/*.md', base: './src/content/pages' }),
+    schema: z.object({
+      title: z.string(),
+      lead: reference('team').optional(),
+      members: z.array(reference('team')).optional(),
+      blocks: z.array(z.discriminatedUnion('type', [
+        z.object({ type: z.literal('links'), pageIds: z.array(z.string()) }),
+        z.object({ type: z.literal('text'), text: z.string() }),
+      ])).optional(),
+    }),
+  }),
+};
+`
+);
+
+function writeEntry(collection, slug, text) {
+  fs.mkdirSync(path.join(projectRoot, 'src/content', collection), { recursive: true });
+  fs.writeFileSync(path.join(projectRoot, 'src/content', collection, `${slug}.md`), text);
+}
+writeEntry('team', 'ana', '---\nname: Ana\n---\n');
+writeEntry('team', 'ben', '---\nname: Ben\nmentor: ana\n---\n');
+writeEntry('team', 'cy', '---\nname: Cy\n---\n');
+writeEntry('pages', 'about', `---
+title: About
+lead: ana
+members: [ben, ana]
+blocks:
+  - type: text
+    text: ana
+  - type: links
+    pageIds: [home]
+---
+`);
+writeEntry('pages', 'home', '---\ntitle: Home\nmembers: [ben, cy]\n---\n');
+
+const { findReferences, mapReferences, rewriteReferences } = await import('../server/utils/references.js');
+const { loadSchemas } = await import('../server/utils/collections.js');
+const { readContent } = await import('../server/utils/content.js');
+
+let passed = 0;
+// Failure sentinel: already reported by check(), just unwinds to the outer
+// catch so the finally cleanup still runs (process.exit would skip it).
+class CheckFailed extends Error {}
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    console.error(`❌ ${name}\n   ${error.stack || error.message}`);
+    throw new CheckFailed(name);
+  }
+}
+
+let app = null;
+
+try {
+  console.log('\n🧪 References\n' + '='.repeat(40));
+
+  const schemas = await loadSchemas();
+  const names = Object.keys(schemas);
+
+  await check('schema parser: reference() fields carry their collection', () => {
+    const properties = schemas.pages.schema.properties;
+    assert.equal(properties.lead.type, 'string');
+    assert.equal(properties.lead.referenceCollection, 'team');
+    assert.equal(properties.members.items.referenceCollection, 'team');
+  });
+
+  await check('findReferences: reference() fields, arrays of them, fooIds in blocks', () => {
+    const data = { title: 'ana', lead: 'ana', members: ['ben', 'ana'], blocks: [{ type: 'text', text: 'ana' }, { type: 'links', pageIds: ['home'] }] };
+    assert.deepEqual(findReferences(data, schemas.pages.schema, names), [
+      { field: 'lead', collection: 'team', id: 'ana' },
+      { field: 'members[0]', collection: 'team', id: 'ben' },
+      { field: 'members[1]', collection: 'team', id: 'ana' },
+      { field: 'blocks[1].pageIds[0]', collection: 'pages', id: 'home' },
+    ]);
+    assert.deepEqual(findReferences({ title: 'x', lead: '' }, schemas.pages.schema, names), []);
+    assert.deepEqual(
+      findReferences({ authorIds: ['a'] }, { type: 'object', properties: { authorIds: { type: 'array', items: { type: 'string' } } } }, names),
+      [],
+      'naming convention only counts for collections that exist'
+    );
+  });
+
+  await check('mapReferences: replaces only what visit returns, copy-on-write', () => {
+    const data = { title: 'About', lead: 'ana', members: ['ben', 'ana'], blocks: [{ type: 'text', text: 'ana' }] };
+    const next = mapReferences(data, schemas.pages.schema, names, ref => (ref.id === 'ana' ? 'anna' : undefined));
+    assert.deepEqual(next, { title: 'About', lead: 'anna', members: ['ben', 'anna'], blocks: [{ type: 'text', text: 'ana' }] });
+    assert.equal(data.lead, 'ana', 'input untouched');
+    assert.equal(next.blocks, data.blocks, 'unchanged parts shared');
+  });
+
+  app = await startServer();
+  const { login, request } = app;
+
+  const owner = await login('owner', 'owner-pass');
+
+  await check('GET references: every referrer with its fields, not itself', async () => {
+    const response = await request(owner, 'GET', '/api/content/team/ana/references');
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.deepEqual(response.body.referrers.map(r => [`${r.collection}/${r.slug}`, r.title, r.fields]), [
+      ['pages/about', 'About', ['lead', 'members[1]']],
+      ['team/ben', 'Ben', ['mentor']],
+    ]);
+    assert.equal(response.body.hidden, 0);
+
+    assert.deepEqual((await request(owner, 'GET', '/api/content/pages/home/references')).body.referrers.map(r => r.fields), [['blocks[1].pageIds[0]']]);
+  });
+
+  await check('referrers in collections the login can\'t read are only counted', async () => {
+    const teamlead = await login('teamlead', 'teamlead-pass');
+    const response = await request(teamlead, 'GET', '/api/content/team/ana/references');
+    assert.deepEqual(response.body.referrers.map(r => r.slug), ['ben']);
+    assert.equal(response.body.hidden, 1);
+
+    const refused = await request(teamlead, 'DELETE', '/api/content/team/ana');
+    assert.equal(refused.status, 409);
+    assert.equal(refused.body.hidden, 1);
+  });
+
+  await check('DELETE: refused while referenced, allowed with force', async () => {
+    const refused = await request(owner, 'DELETE', '/api/content/team/cy');
+    assert.equal(refused.status, 409, JSON.stringify(refused.body));
+    assert.equal(refused.body.success, false);
+    assert.deepEqual(refused.body.referrers.map(r => r.slug), ['home']);
+    assert.ok(fs.existsSync(path.join(projectRoot, 'src/content/team/cy.md')));
+
+    const forced = await request(owner, 'DELETE', '/api/content/team/cy?force=true');
+    assert.equal(forced.status, 200, JSON.stringify(forced.body));
+    assert.ok(!fs.existsSync(path.join(projectRoot, 'src/content/team/cy.md')));
+  });
+
+  await check('the index follows saves: dropping the reference allows the delete', async () => {
+    const saved = await request(owner, 'PUT', '/api/content/team/ben', { data: { name: 'Ben' }, body: '' });
+    assert.equal(saved.status, 200, JSON.stringify(saved.body));
+    const home = await request(owner, 'PUT', '/api/content/pages/home', { data: { title: 'Home', lead: 'ana' }, body: '' });
+    assert.equal(home.status, 200, JSON.stringify(home.body));
+
+    assert.deepEqual((await request(owner, 'GET', '/api/content/team/ana/references')).body.referrers.map(r => r.slug), ['about', 'home']);
+    assert.deepEqual((await request(owner, 'GET', '/api/content/team/ben/references')).body.referrers.map(r => r.slug), ['about']);
+  });
+
+  await check('rewriteReferences: points every referrer at the new slug', async () => {
+    writeEntry('team', 'anna', '---\nname: Ana\n---\n');
+    const written = await rewriteReferences('team', 'ana', 'anna', { author: 'owner' });
+    assert.deepEqual(written.map(w => [w.slug, w.fields]), [['about', ['lead', 'members[1]']], ['home', ['lead']]]);
+
+    const about = await readContent('pages', 'about');
+    assert.equal(about.data.lead, 'anna');
+    assert.deepEqual(about.data.members, ['ben', 'anna']);
+    assert.equal(about.data.blocks[0].text, 'ana', 'plain text left alone');
+
+    assert.deepEqual((await request(owner, 'GET', '/api/content/team/ana/references')).body.referrers, []);
+    assert.equal((await request(owner, 'DELETE', '/api/content/team/ana')).status, 200);
+  });
+
+  console.log('='.repeat(40));
+  console.log(`\n📊 ${passed} checks passed.\n`);
+} catch (error) {
+  if (!(error instanceof CheckFailed)) {
+    console.error(`❌ Test setup failed\n   ${error.stack || error.message}`);
+  }
+  process.exitCode = 1;
+} finally {
+  app?.close();
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+}
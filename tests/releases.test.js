@@ -0,0 +1,189 @@
+/**
+ * Versioned releases test (rsync releases mode)
+ *
+ * Covers release ids, the atomic `current` switch, pruning and rollback on a
+ * local deploy path, and the GET /api/publish/releases and
+ * POST /api/publish/rollback routes (rollbacks run through the publish queue)
+ * through the real Express app on an ephemeral port. Releases are laid out by hand, so rsync isn't needed.
+ *
+ *   bun tests/releases.test.js
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { createTestProject, startServer } from './helpers/server.js';
+
+const projectRoot = createTestProject('aa-releases-', {
+  git: false,
+  config: `export default {
+  git: { enabled: false },
+  deploy: { adapter: 'rsync', rsync: { path: 'www', releases: { enabled: true, keep: 3 } } },
+  auth: {
+    username: 'alice',
+    password: 'alice-pass',
+    credentials: [{ username: 'bob', password: 'bob-pass' }],
+  },
+};
+`,
+});
+const deployPath = path.join(projectRoot, 'www');
+
+const {
+  releaseId,
+  parseReleaseId,
+  listReleases,
+  activateRelease,
+  pruneReleases,
+  rollbackRelease,
+} = await import('../server/utils/adapters/rsync-releases.js');
+const { supportsReleases, validateDeployConfig } = await import('../server/utils/deploy.js');
+
+let passed = 0;
+// Failure sentinel: already reported by check(), just unwinds to the outer
+// catch so the finally cleanup still runs (process.exit would skip it).
+class CheckFailed extends Error {}
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    console.error(`❌ ${name}\n   ${error.stack || error.message}`);
+    throw new CheckFailed(name);
+  }
+}
+
+let app = null;
+
+const config = { path: 'www', releases: { enabled: true, keep: 3 } };
+
+// A release as an upload would leave it
+function makeRelease(id) {
+  const dir = path.join(deployPath, 'releases', id);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'index.html'), `<h1>${id}</h1>`);
+}
+
+function liveHtml() {
+  return fs.readFileSync(path.join(deployPath, 'current', 'index.html'), 'utf-8');
+}
+
+try {
+  console.log('\n🧪 Versioned releases\n' + '='.repeat(40));
+
+  await check('release ids: timestamp + short commit, sortable and parseable', () => {
+    const id = releaseId(new Date('2026-03-04T05:06:07.890Z'), 'ABCDEF1234567');
+    assert.equal(id, '20260304050607-abcdef1');
+    assert.deepEqual(parseReleaseId(id), { id, date: '2026-03-04T05:06:07Z', commit: 'abcdef1' });
+    assert.equal(releaseId(new Date('2026-03-04T05:06:07Z')), '20260304050607-manual');
+    assert.equal(parseReleaseId('20260304050607-manual').commit, null);
+    assert.equal(parseReleaseId('.current-123'), null);
+  });
+
+  await check('config: releases only with rsync releases.enabled; keep is validated', () => {
+    assert.equal(supportsReleases({ adapter: 'rsync', rsync: config }), true);
+    assert.equal(supportsReleases({ adapter: 'rsync', rsync: { path: 'www' } }), false);
+    assert.equal(supportsReleases({ adapter: 's3', s3: {} }), false);
+    const invalid = validateDeployConfig({ adapter: 'rsync', rsync: { path: 'www', releases: { enabled: true, keep: 0 } } });
+    assert.ok(invalid.errors.some((e) => e.includes('keep')));
+  });
+
+  await check('activate switches current atomically; prune keeps the newest and the live one', async () => {
+    for (const id of ['20260101000000-aaaaaaa', '20260102000000-bbbbbbb']) {
+      makeRelease(id);
+      await activateRelease(config, projectRoot, id);
+    }
+    assert.equal(fs.readlinkSync(path.join(deployPath, 'current')), 'releases/20260102000000-bbbbbbb', 'relative link');
+    assert.equal(liveHtml(), '<h1>20260102000000-bbbbbbb</h1>');
+
+    makeRelease('20260103000000-ccccccc');
+    makeRelease('20260104000000-ddddddd');
+    assert.deepEqual(await pruneReleases(config, projectRoot, 4), []);
+    assert.deepEqual(
+      (await pruneReleases(config, projectRoot, 1)).sort(),
+      ['20260101000000-aaaaaaa', '20260103000000-ccccccc'],
+      'the live release survives pruning'
+    );
+
+    await activateRelease(config, projectRoot, '20260104000000-ddddddd');
+    const { current, releases } = await listReleases(config, projectRoot);
+    assert.equal(current, '20260104000000-ddddddd');
+    assert.deepEqual(releases.map((r) => [r.id, r.current]), [
+      ['20260104000000-ddddddd', true],
+      ['20260102000000-bbbbbbb', false],
+    ]);
+    assert.deepEqual(fs.readdirSync(deployPath).sort(), ['current', 'releases'], 'no temporary link left behind');
+  });
+
+  await check('rollback defaults to the release before the live one', async () => {
+    assert.deepEqual(await rollbackRelease(config, projectRoot), {
+      current: '20260102000000-bbbbbbb',
+      previous: '20260104000000-ddddddd',
+    });
+    assert.equal(liveHtml(), '<h1>20260102000000-bbbbbbb</h1>');
+    await assert.rejects(() => rollbackRelease(config, projectRoot, '20250101000000-zzzzzzz'), /Release not found/);
+  });
+
+  await check('a real directory at current is refused rather than replaced', async () => {
+    const other = { path: 'legacy', releases: { enabled: true } };
+    fs.mkdirSync(path.join(projectRoot, 'legacy/current'), { recursive: true });
+    fs.mkdirSync(path.join(projectRoot, 'legacy/releases/20260101000000-aaaaaaa'), { recursive: true });
+    await assert.rejects(() => activateRelease(other, projectRoot, '20260101000000-aaaaaaa'), /not a symlink/);
+  });
+
+  app = await startServer();
+  const { login, request } = app;
+
+  const alice = await login('alice', 'alice-pass');
+  const bob = await login('bob', 'bob-pass');
+
+  await check('API: list releases; rollback is admin-only', async () => {
+    const clientConfig = await request(bob, 'GET', '/api/config');
+    assert.equal(clientConfig.body.releases, true);
+
+    const list = await request(bob, 'GET', '/api/publish/releases');
+    assert.equal(list.body.enabled, true);
+    assert.equal(list.body.current, '20260102000000-bbbbbbb');
+    assert.equal(list.body.releases.length, 2);
+
+    assert.equal((await request(bob, 'POST', '/api/publish/rollback', {})).status, 403);
+
+    const rolled = await request(alice, 'POST', '/api/publish/rollback', { release: '20260104000000-ddddddd' });
+    assert.equal(rolled.status, 200, JSON.stringify(rolled.body));
+    assert.equal(rolled.body.current, '20260104000000-ddddddd');
+    assert.equal(liveHtml(), '<h1>20260104000000-ddddddd</h1>');
+
+    const missing = await request(alice, 'POST', '/api/publish/rollback', { release: 'nope' });
+    assert.equal(missing.status, 409);
+  });
+
+  await check('API: rollbacks are publish queue jobs', async () => {
+    const { body } = await request(alice, 'GET', '/api/publish/jobs');
+    const [failed, succeeded] = body.jobs;
+    assert.equal(succeeded.type, 'rollback');
+    assert.equal(succeeded.status, 'succeeded');
+    assert.equal(succeeded.message, 'Roll back to 20260104000000-ddddddd');
+    assert.deepEqual(succeeded.requestedBy, ['alice']);
+    assert.deepEqual(succeeded.deploy, { success: true, release: '20260104000000-ddddddd' });
+    assert.equal(failed.type, 'rollback');
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.error, 'Cannot roll back');
+
+    const previous = await request(alice, 'POST', '/api/publish/rollback', {});
+    assert.equal(previous.status, 200, JSON.stringify(previous.body));
+    assert.equal(previous.body.current, '20260102000000-bbbbbbb');
+    assert.ok(previous.body.jobId);
+  });
+
+  console.log('='.repeat(40));
+  console.log(`\n📊 ${passed} checks passed.\n`);
+} catch (error) {
+  if (!(error instanceof CheckFailed)) {
+    console.error(`❌ Test setup failed\n   ${error.stack || error.message}`);
+  }
+  process.exitCode = 1;
+} finally {
+  app?.close();
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+}
@@ -0,0 +1,273 @@
+/**
+ * Entry rename test
+ *
+ * Covers the redirect rewriting in server/utils/redirects.js (flat, never
+ * chained; only Astro's `redirects` object is touched) and, through the real
+ * Express app on an ephemeral port with the files store in a git repo,
+ * POST /api/content/:collection/:slug/rename: every locale variant moved by
+ * `git mv`, references updated (or refused where the login can't edit
+ * them), redirects added, the status record following the entry, file()
+ * collection ids, and the errors. The db store's rename is checked directly.
+ * node_modules is symlinked so the schema parser can resolve zod.
+ *
+ *   bun tests/rename.test.js
+ */
+
+import assert from 'assert';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { createTestProject, startServer } from './helpers/server.js';
+
+const projectRoot = createTestProject('aa-rename-', {
+  git: true,
+  linkNodeModules: true,
+  config: `export default {
+  i18n: { enabled: true, locales: ['en', 'de'], defaultLocale: 'en' },
+  preview: { routes: { team: '/team/{slug}' } },
+  auth: {
+    username: 'owner',
+    password: 'owner-pass',
+    credentials: [{ username: 'teamlead', password: 'teamlead-pass' }],
+  },
+  permissions: {
+    teamlead: { collections: ['team'] },
+  },
+};
+`,
+});
+fs.writeFileSync(
+  path.join(projectRoot, 'astro.config.mjs'),
+  `import { defineConfig } from 'astro/config';
+
+export default defineConfig({
+  site: 'https://example.com',
+});
+`
+);
+fs.writeFileSync(path.join(projectRoot, '.gitignore'), '.astroadmin/\ncontent.db*\nnode_modules\n');
+fs.mkdirSync(path.join(projectRoot, 'src'), { recursive: true });
+fs.writeFileSync(
+  path.join(projectRoot, 'src/content.config.ts'),
+  `import { defineCollection, reference, z } from 'astro:content';
+import { glob, file } from 'astro/loaders';
+
+export const collections = {
+  team: defineCollection({
+    loader: glob({ pattern: '**/*.md', base: './src/content/team' }),
+    schema: z.object({ name: z.string() }),
+  }),
+  pages: defineCollection({
+    loader: glob({ pattern: '**/*.md', base: './src/content/pages' }),
+    schema: z.object({ title: z.string(), lead: reference('team').optional() }),
+  }),
+  authors: defineCollection({
+    loader: file('src/data/authors.json'),
+    schema: z.object({ name: z.string() }),
+  }),
+};
+`
+);
+
+function writeFile(relativePath, text) {
+  fs.mkdirSync(path.dirname(path.join(projectRoot, relativePath)), { recursive: true });
+  fs.writeFileSync(path.join(projectRoot, relativePath), text);
+}
+const exists = relativePath => fs.existsSync(path.join(projectRoot, relativePath));
+
+writeFile('src/content/team/ana.en.md', '---\nname: Ana\n---\n');
+writeFile('src/content/team/ben.en.md', '---\nname: Ben\n---\n');
+writeFile('src/content/pages/about.en.md', '---\ntitle: About\nlead: ana\n---\n');
+writeFile('src/content/pages/about.de.md', '---\ntitle: Über uns\nlead: ana\n---\n');
+writeFile('src/content/pages/contact.en.md', '---\ntitle: Contact\nlead: ben\n---\n');
+writeFile('src/data/authors.json', `${JSON.stringify([{ id: 'sam', name: 'Sam' }, { id: 'kim', name: 'Kim' }], null, 2)}\n`);
+
+function git(args) {
+  return execFileSync('git', ['-C', projectRoot, ...args], { encoding: 'utf-8' }).trim();
+}
+git(['init', '-q', '-b', 'main']);
+git(['config', 'user.name', 'AstroAdmin Server']);
+git(['config', 'user.email', 'server@example.com']);
+git(['add', '.']);
+git(['commit', '-q', '-m', 'Initial commit']);
+
+const { applyToAstroConfig, applyToRedirectsFile } = await import('../server/utils/redirects.js');
+const { readContent } = await import('../server/utils/content.js');
+
+let passed = 0;
+// Failure sentinel: already reported by check(), just unwinds to the outer
+// catch so the finally cleanup still runs (process.exit would skip it).
+class CheckFailed extends Error {}
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    console.error(`❌ ${name}\n   ${error.stack || error.message}`);
+    throw new CheckFailed(name);
+  }
+}
+
+let app = null;
+let db = null;
+
+try {
+  console.log('\n🧪 Entry rename\n' + '='.repeat(40));
+
+  await check('_redirects: appended, retargeted instead of chained, dropped once live again', () => {
+    assert.equal(applyToRedirectsFile('', [{ from: '/a', to: '/b' }]), '/a /b 301\n');
+    assert.equal(
+      applyToRedirectsFile('# moved pages\n/a /b 301\n', [{ from: '/b', to: '/c' }]),
+      '# moved pages\n/a /c 301\n/b /c 301\n'
+    );
+    assert.equal(applyToRedirectsFile('/a /c 301\n/b /c 301\n', [{ from: '/c', to: '/a' }]), '/b /a 301\n/c /a 301\n');
+  });
+
+  await check('astro config: redirects added, flattened, nothing else touched', () => {
+    const source = "export default defineConfig({\n  base: '/',\n});\n";
+    let next = applyToAstroConfig(source, [{ from: '/', to: '/start' }]);
+    assert.equal(next, 'export default defineConfig({\n  redirects: {\n    "/": "/start",\n  },\n  base: \'/\',\n});\n');
+    next = applyToAstroConfig(next, [{ from: '/start', to: '/welcome' }]);
+    assert.ok(next.includes('"/": "/welcome"') && next.includes('"/start": "/welcome"'));
+    next = applyToAstroConfig(next, [{ from: '/welcome', to: '/' }]);
+    assert.ok(!next.includes('"/": '), 'live again');
+    assert.ok(next.includes('"/start": "/"') && next.includes('"/welcome": "/"'));
+    assert.ok(next.includes("base: '/',"), 'base untouched');
+    assert.throws(() => applyToAstroConfig('module.exports = {};', [{ from: '/a', to: '/b' }]), /config object/);
+  });
+
+  await check('paths are written as string literals, never as code', () => {
+    const source = "export default defineConfig({\n  base: '/',\n});\n";
+    const evil = "/x', evil: require('child_process').execSync('id'), y: '";
+    const next = applyToAstroConfig(source, [{ from: "/what's-new", to: evil }]);
+    assert.ok(next.includes(`"/what's-new": ${JSON.stringify(evil)},`), next);
+    assert.throws(() => applyToRedirectsFile('', [{ from: '/a', to: '/b c' }]), /whitespace/);
+    assert.throws(() => applyToRedirectsFile('', [{ from: '/a\n/b', to: '/c' }]), /whitespace/);
+  });
+
+  app = await startServer();
+  const { login, request } = app;
+
+  const owner = await login('owner', 'owner-pass');
+  const teamlead = await login('teamlead', 'teamlead-pass');
+
+  await check('every locale moves by git mv; redirects go to public/_redirects', async () => {
+    const status = await request(owner, 'PUT', '/api/content/pages/about/status?locale=de', { status: 'draft' });
+    assert.equal(status.status, 200, JSON.stringify(status.body));
+
+    const response = await request(owner, 'POST', '/api/content/pages/about/rename', { to: 'about-us', redirect: '_redirects' });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.equal(response.body.slug, 'about-us');
+    assert.deepEqual(response.body.moved.map(move => move.locale), ['en', 'de']);
+
+    assert.ok(!exists('src/content/pages/about.en.md') && !exists('src/content/pages/about.de.md'));
+    assert.equal((await readContent('pages', 'about-us', 'de')).data.title, 'Über uns');
+    assert.deepEqual(git(['diff', '--cached', '--name-status']).split('\n').map(line => line.split('\t')[0]), ['R100', 'R100'], 'staged as renames');
+
+    assert.equal(fs.readFileSync(path.join(projectRoot, 'public/_redirects'), 'utf-8'), '/about /about-us 301\n/de/about /de/about-us 301\n');
+    assert.equal((await request(owner, 'GET', '/api/content/pages/about/status?locale=de')).body.status, 'published', 'no record left behind');
+    assert.equal((await request(owner, 'GET', '/api/content/pages/about-us/status?locale=de')).body.status, 'draft');
+  });
+
+  await check('references follow the entry; a redirect lands in astro.config', async () => {
+    const response = await request(owner, 'POST', '/api/content/team/ana/rename', { to: 'anna', redirect: 'astro' });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.deepEqual(response.body.references.map(ref => [ref.slug, ref.locale, ref.fields]), [
+      ['about-us', 'de', ['lead']],
+      ['about-us', 'en', ['lead']],
+    ]);
+    assert.equal((await readContent('pages', 'about-us', 'en')).data.lead, 'anna');
+    assert.ok(exists('src/content/team/anna.en.md'));
+
+    const astroConfig = fs.readFileSync(path.join(projectRoot, 'astro.config.mjs'), 'utf-8');
+    assert.ok(astroConfig.includes('redirects: {\n    "/team/ana": "/team/anna",\n  },'), astroConfig);
+    assert.ok(astroConfig.includes("site: 'https://example.com',"));
+  });
+
+  await check('publishing commits the redirect files; the renamer is recorded for them', async () => {
+    const pending = JSON.parse(fs.readFileSync(path.join(projectRoot, '.astroadmin/pending-authors.json'), 'utf-8'));
+    assert.deepEqual(pending['public/_redirects'], ['owner']);
+    assert.deepEqual(pending['astro.config.mjs'], ['owner']);
+
+    const publish = await request(owner, 'POST', '/api/publish', { message: 'Renames' });
+    assert.equal(publish.body.success, true, JSON.stringify(publish.body));
+    const committed = git(['show', '--name-only', '--format=', 'HEAD']).split('\n');
+    assert.ok(committed.includes('public/_redirects') && committed.includes('astro.config.mjs'), committed.join(', '));
+    assert.ok(!committed.includes('src/content/pages/about-us.de.md'), 'draft held back');
+  });
+
+  await check('references in collections the login can\'t edit: refused, or left alone on request', async () => {
+    const refused = await request(teamlead, 'POST', '/api/content/team/ben/rename', { to: 'benjamin' });
+    assert.equal(refused.status, 403, JSON.stringify(refused.body));
+    assert.ok(refused.body.message.includes('pages'));
+    assert.ok(exists('src/content/team/ben.en.md'));
+
+    const renamed = await request(teamlead, 'POST', '/api/content/team/ben/rename', { to: 'benjamin', updateReferences: false });
+    assert.equal(renamed.status, 200, JSON.stringify(renamed.body));
+    assert.deepEqual(renamed.body.references, []);
+    assert.equal((await readContent('pages', 'contact', 'en')).data.lead, 'ben');
+  });
+
+  await check('a redirect without a page route is reported, the rename still happens', async () => {
+    const response = await request(owner, 'POST', '/api/content/authors/sam/rename', { to: 'samira', redirect: '_redirects' });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.equal(response.body.redirects, null);
+    assert.ok(response.body.redirectError.includes('no page route'));
+  });
+
+  await check('file() collections: the entry keeps its place under the new id', async () => {
+    const authors = JSON.parse(fs.readFileSync(path.join(projectRoot, 'src/data/authors.json'), 'utf-8'));
+    assert.deepEqual(authors, [{ id: 'samira', name: 'Sam' }, { id: 'kim', name: 'Kim' }]);
+    assert.equal((await request(owner, 'POST', '/api/content/authors/samira/rename', { to: 'kim' })).status, 409);
+  });
+
+  await check('errors: taken slug 409, missing entry 404, bad input 400, no write access 403', async () => {
+    const taken = await request(owner, 'POST', '/api/content/team/anna/rename', { to: 'benjamin' });
+    assert.equal(taken.status, 409, JSON.stringify(taken.body));
+    assert.ok(exists('src/content/team/anna.en.md'), 'nothing moved');
+
+    assert.equal((await request(owner, 'POST', '/api/content/team/nobody/rename', { to: 'somebody' })).status, 404);
+    assert.equal((await request(owner, 'POST', '/api/content/team/anna/rename', { to: 'anna' })).status, 400);
+    assert.equal((await request(owner, 'POST', '/api/content/team/anna/rename', { to: '../escape' })).status, 400);
+    for (const to of ["what's-new", 'two words', 'line\nbreak', "x', evil: require('child_process').execSync('id'), y: '", 'a//b', 'a/']) {
+      assert.equal((await request(owner, 'POST', '/api/content/team/anna/rename', { to })).status, 400, to);
+    }
+    assert.equal((await request(owner, 'POST', '/api/content/team/anna/rename', {})).status, 400);
+    assert.equal((await request(owner, 'POST', '/api/content/team/anna/rename', { to: 'ann', redirect: 'htaccess' })).status, 400);
+    assert.equal((await request(teamlead, 'POST', '/api/content/pages/contact/rename', { to: 'contact-us' })).status, 403);
+  });
+
+  await check('db store: every locale and its revision history move; file() ids too', async () => {
+    db = await import('../server/utils/db.js');
+    const dbStore = await import('../server/utils/content-db.js');
+    await dbStore.writeContent('pages', 'faq', { data: { title: 'FAQ' }, body: '' }, 'en', { author: 'owner' });
+    await dbStore.writeContent('pages', 'faq', { data: { title: 'Questions' }, body: '' }, 'en', { author: 'owner' });
+    await dbStore.writeContent('pages', 'faq', { data: { title: 'Fragen' }, body: '' }, 'de');
+    await dbStore.writeContent('pages', 'help', { data: { title: 'Help' }, body: '' }, 'en');
+
+    await assert.rejects(dbStore.renameContent('pages', 'faq', 'help'), /already exists/);
+    const { moved } = await dbStore.renameContent('pages', 'faq', 'questions');
+    assert.deepEqual(moved.map(move => [move.locale, move.to]), [['de', 'db:pages/questions.de'], ['en', 'db:pages/questions.en']]);
+    assert.equal((await dbStore.readContent('pages', 'questions', 'de')).data.title, 'Fragen');
+    assert.equal(await dbStore.contentExists('pages', 'faq', 'en'), false);
+    assert.equal((await dbStore.listRevisions('pages', 'questions', 'en')).length, 2);
+    await assert.rejects(dbStore.renameContent('pages', 'faq', 'other'), /not found/);
+
+    await dbStore.writeContent('authors', 'kim', { data: { name: 'Kim' } });
+    await dbStore.renameContent('authors', 'kim', 'kimberly', { author: 'owner' });
+    assert.deepEqual((await dbStore.readContent('authors', 'kimberly')).data, { name: 'Kim', id: 'kimberly' });
+  });
+
+  console.log('='.repeat(40));
+  console.log(`\n📊 ${passed} checks passed.\n`);
+} catch (error) {
+  if (!(error instanceof CheckFailed)) {
+    console.error(`❌ Test setup failed\n   ${error.stack || error.message}`);
+  }
+  process.exitCode = 1;
+} finally {
+  app?.close();
+  db?.closeDb();
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+}
@@ -0,0 +1,254 @@
+/**
+ * Entry revision history test (SQLite content store)
+ *
+ * Covers the entry_revisions table in db.js on its own (a revision per
+ * change, unchanged saves skipped, a baseline for entries saved before
+ * revisions existed, deletes, pruning) and, through the real Express app on
+ * an ephemeral port with the db store, the revisions routes: listing with
+ * authors, diffing against the current entry or another revision, restoring
+ * (validated against the schema), write access, and the 400 the file store
+ * gets.
+ * node_modules is symlinked so the schema parser can resolve zod.
+ *
+ *   bun tests/revisions.test.js
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { createTestProject, startServer } from './helpers/server.js';
+
+const projectRoot = createTestProject('aa-revisions-', {
+  store: 'db',
+  linkNodeModules: true,
+  config: `export default {
+  git: { enabled: false },
+  database: { autoImportOnEmpty: false, keepRevisions: 4 },
+  auth: {
+    username: 'owner',
+    password: 'owner-pass',
+    credentials: [{ username: 'viewer', password: 'viewer-pass' }],
+  },
+  permissions: {
+    viewer: { collections: ['pages'], readOnly: ['pages'] },
+  },
+};
+`,
+});
+fs.mkdirSync(path.join(projectRoot, 'src'), { recursive: true });
+fs.writeFileSync(
+  path.join(projectRoot, 'src/content.config.ts'),
+  `import { defineCollection, z } from 'astro:content';
+import { glob } from 'astro/loaders';
+
+export const collections = {
+  pages: defineCollection({
+    loader: glob({ pattern: '**/*.md', base: './src/content/pages' }),
+    schema: z.object({ title: z.string() }),
+  }),
+};
+`
+);
+
+const db = await import('../server/utils/db.js');
+
+let passed = 0;
+// Failure sentinel: already reported by check(), just unwinds to the outer
+// catch so the finally cleanup still runs (process.exit would skip it).
+class CheckFailed extends Error {}
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    console.error(`❌ ${name}\n   ${error.stack || error.message}`);
+    throw new CheckFailed(name);
+  }
+}
+
+let app = null;
+
+try {
+  console.log('\n🧪 Entry revisions\n' + '='.repeat(40));
+
+  const save = (slug, title, extra = {}) => db.upsertEntry({
+    collection: 'notes',
+    slug,
+    type: 'content',
+    data: JSON.stringify({ title }),
+    body: `About ${title}`,
+    ...extra,
+  });
+
+  await check('db: a revision per change, newest first, unchanged saves skipped', () => {
+    save('a', 'One', { author: 'ana' });
+    save('a', 'One', { author: 'ana' });
+    save('a', 'Two', { author: 'ben' });
+
+    const revisions = db.listRevisions('notes', 'a');
+    assert.deepEqual(revisions.map(r => [r.action, r.author]), [['save', 'ben'], ['save', 'ana']]);
+    assert.ok(revisions[0].id > revisions[1].id);
+
+    const first = db.getRevision(revisions[1].id);
+    assert.deepEqual(JSON.parse(first.data), { title: 'One' });
+    assert.equal(first.body, 'About One');
+    assert.equal(first.locale, null);
+    assert.equal(db.getRevision(999999), null);
+  });
+
+  await check('db: entries saved before revisions get a baseline revision', () => {
+    save('legacy', 'Old');
+    db.getDb().prepare("DELETE FROM entry_revisions WHERE slug = 'legacy'").run();
+
+    save('legacy', 'New', { author: 'ana' });
+    const revisions = db.listRevisions('notes', 'legacy');
+    assert.equal(revisions.length, 2);
+    assert.equal(revisions[1].author, null);
+    assert.deepEqual(JSON.parse(db.getRevision(revisions[1].id).data), { title: 'Old' });
+  });
+
+  await check('db: deletes are recorded; restores always are', () => {
+    assert.equal(db.deleteEntry('notes', 'a', null, { author: 'ana' }), 1);
+    assert.equal(db.deleteEntry('notes', 'a', null, { author: 'ana' }), 0, 'nothing left to delete');
+    let revisions = db.listRevisions('notes', 'a');
+    assert.deepEqual(revisions.map(r => r.action), ['delete', 'save', 'save']);
+    assert.equal(db.getRevision(revisions[0].id).data, null);
+
+    const two = revisions[1];
+    save('a', 'Two', { author: 'ben', restoredFrom: two.id });
+    save('a', 'Two', { author: 'ben', restoredFrom: two.id });
+    revisions = db.listRevisions('notes', 'a');
+    assert.deepEqual(revisions.slice(0, 2).map(r => [r.action, r.restoredFrom]), [['restore', two.id], ['restore', two.id]]);
+  });
+
+  await check('db: only the newest keepRevisions are kept (0 keeps all)', () => {
+    for (const title of ['p1', 'p2', 'p3', 'p4', 'p5']) save('pruned', title, { keepRevisions: 3 });
+    assert.equal(db.listRevisions('notes', 'pruned').length, 3);
+    assert.deepEqual(JSON.parse(db.getRevision(db.listRevisions('notes', 'pruned')[2].id).data), { title: 'p3' });
+
+    for (const title of ['p6', 'p7']) save('pruned', title, { keepRevisions: 0 });
+    assert.equal(db.listRevisions('notes', 'pruned').length, 5);
+    assert.equal(db.listRevisions('notes', 'pruned', null, { limit: 2 }).length, 2);
+  });
+
+  app = await startServer();
+  const { login, request } = app;
+
+  const owner = await login('owner', 'owner-pass');
+  const viewer = await login('viewer', 'viewer-pass');
+  const revisionsUrl = '/api/content/pages/home/revisions';
+
+  await check('GET /api/config: revisions on with the db store', async () => {
+    const response = await request(owner, 'GET', '/api/config');
+    assert.equal(response.body.revisions, true);
+  });
+
+  await check('saves through the API are listed with their author', async () => {
+    for (const title of ['Home', 'Welcome home']) {
+      const saved = await request(owner, 'POST', '/api/content/pages/home', { data: { title }, body: 'Hello there.' });
+      assert.equal(saved.status, 200, JSON.stringify(saved.body));
+    }
+
+    const listed = await request(viewer, 'GET', revisionsUrl);
+    assert.equal(listed.status, 200, JSON.stringify(listed.body));
+    assert.deepEqual(listed.body.revisions.map(r => [r.action, r.author]), [['save', 'owner'], ['save', 'owner']]);
+
+    const one = await request(viewer, 'GET', `${revisionsUrl}/${listed.body.revisions[1].id}`);
+    assert.equal(one.status, 200);
+    assert.deepEqual(one.body.revision.data, { title: 'Home' });
+    assert.equal(one.body.revision.body, 'Hello there.');
+
+    assert.equal((await request(viewer, 'GET', `${revisionsUrl}/999999`)).status, 404);
+    const otherEntry = db.listRevisions('notes', 'legacy')[0].id;
+    assert.equal((await request(viewer, 'GET', `${revisionsUrl}/${otherEntry}`)).status, 404, "another entry's revision");
+  });
+
+  await check('diff: against the current entry or another revision', async () => {
+    const [latest, first] = (await request(owner, 'GET', revisionsUrl)).body.revisions;
+
+    const current = await request(owner, 'GET', `${revisionsUrl}/diff?from=${first.id}`);
+    assert.equal(current.status, 200, JSON.stringify(current.body));
+    assert.ok(current.body.diff.startsWith('--- pages/home\n+++ pages/home\n'));
+    assert.ok(current.body.diff.includes('-title: Home'));
+    assert.ok(current.body.diff.includes('+title: Welcome home'));
+
+    const between = await request(owner, 'GET', `${revisionsUrl}/diff?from=${latest.id}&to=${first.id}`);
+    assert.ok(between.body.diff.includes('+title: Home'));
+
+    assert.equal((await request(owner, 'GET', `${revisionsUrl}/diff`)).status, 400);
+    assert.equal((await request(owner, 'GET', `${revisionsUrl}/diff?from=${first.id}&to=abc`)).status, 400);
+    assert.equal((await request(owner, 'GET', `${revisionsUrl}/diff?from=999999`)).status, 404);
+  });
+
+  await check('restore: writes the revision back as a new revision', async () => {
+    const first = (await request(owner, 'GET', revisionsUrl)).body.revisions[1];
+
+    const denied = await request(viewer, 'POST', `${revisionsUrl}/${first.id}/restore`);
+    assert.equal(denied.status, 403);
+
+    const restored = await request(owner, 'POST', `${revisionsUrl}/${first.id}/restore`);
+    assert.equal(restored.status, 200, JSON.stringify(restored.body));
+    assert.equal(restored.body.restoredFrom, first.id);
+
+    const entry = await request(owner, 'GET', '/api/content/pages/home');
+    assert.deepEqual(entry.body.data, { title: 'Home' });
+    const [latest] = (await request(owner, 'GET', revisionsUrl)).body.revisions;
+    assert.deepEqual([latest.action, latest.author, latest.restoredFrom], ['restore', 'owner', first.id]);
+  });
+
+  await check('restore: a deletion can\'t be restored, the version before it can', async () => {
+    assert.equal((await request(owner, 'DELETE', '/api/content/pages/home')).status, 200);
+    const [deletion, beforeDeletion] = (await request(owner, 'GET', revisionsUrl)).body.revisions;
+    assert.deepEqual([deletion.action, deletion.author], ['delete', 'owner']);
+
+    const diff = await request(owner, 'GET', `${revisionsUrl}/diff?from=${beforeDeletion.id}`);
+    assert.ok(diff.body.diff.includes('-title: Home'), 'diffed against nothing');
+
+    assert.equal((await request(owner, 'POST', `${revisionsUrl}/${deletion.id}/restore`)).status, 400);
+    assert.equal((await request(owner, 'POST', `${revisionsUrl}/${beforeDeletion.id}/restore`)).status, 200);
+    assert.equal((await request(owner, 'GET', '/api/content/pages/home')).status, 200);
+  });
+
+  await check('restore: a revision that no longer fits the schema is refused with 422', async () => {
+    // Saved before the schema required a string title
+    db.upsertEntry({ collection: 'pages', slug: 'home', type: 'content', data: JSON.stringify({ title: 42 }), body: '' });
+    const [stale] = (await request(owner, 'GET', revisionsUrl)).body.revisions;
+    assert.equal((await request(owner, 'POST', '/api/content/pages/home', { data: { title: 'Fixed' }, body: '' })).status, 200);
+
+    const refused = await request(owner, 'POST', `${revisionsUrl}/${stale.id}/restore`);
+    assert.equal(refused.status, 422, JSON.stringify(refused.body));
+    assert.ok(refused.body.errors.length > 0);
+    assert.deepEqual((await request(owner, 'GET', '/api/content/pages/home')).body.data, { title: 'Fixed' });
+  });
+
+  await check('keepRevisions from astroadmin.config.js applies to API saves', async () => {
+    for (let i = 0; i < 6; i++) {
+      await request(owner, 'POST', '/api/content/pages/home', { data: { title: `Version ${i}` }, body: '' });
+    }
+    assert.equal((await request(owner, 'GET', revisionsUrl)).body.revisions.length, 4);
+  });
+
+  await check('file store: revisions routes answer 400', async () => {
+    process.env.ASTROADMIN_CONTENT_STORE = 'files';
+    try {
+      const response = await request(owner, 'GET', revisionsUrl);
+      assert.equal(response.status, 400);
+      assert.ok(response.body.message.includes('git'));
+    } finally {
+      process.env.ASTROADMIN_CONTENT_STORE = 'db';
+    }
+  });
+
+  console.log('='.repeat(40));
+  console.log(`\n📊 ${passed} checks passed.\n`);
+} catch (error) {
+  if (!(error instanceof CheckFailed)) {
+    console.error(`❌ Test setup failed\n   ${error.stack || error.message}`);
+  }
+  process.exitCode = 1;
+} finally {
+  app?.close();
+  db.closeDb();
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+}
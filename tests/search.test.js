@@ -0,0 +1,214 @@
+/**
+ * Content search test
+ *
+ * Covers the search index on its own (field flattening, query building,
+ * ranking, snippets, one result per entry) and, through the real Express app
+ * on an ephemeral port with the files store, GET /api/search: matches in
+ * nested block fields and markdown bodies, the index following saves and
+ * deletes, and results filtered by per-collection permissions.
+ * node_modules is symlinked so the schema parser can resolve zod.
+ *
+ *   bun tests/search.test.js
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { createTestProject, startServer } from './helpers/server.js';
+
+const projectRoot = createTestProject('aa-search-', {
+  linkNodeModules: true,
+  config: `export default {
+  git: { enabled: false },
+  auth: {
+    username: 'owner',
+    password: 'owner-pass',
+    credentials: [{ username: 'marketing', password: 'marketing-pass' }],
+  },
+  permissions: {
+    marketing: { collections: ['pages'] },
+  },
+};
+`,
+});
+fs.mkdirSync(path.join(projectRoot, 'src'), { recursive: true });
+fs.writeFileSync(
+  path.join(projectRoot, 'src/content.config.ts'),
+  `import { defineCollection, z } from 'astro:content';
+import { glob } from 'astro/loaders';
+
+const collection = (name) => defineCollection({
+  loader: glob({ pattern: '**/*.md', base: \`./src/content/\${name}\` }),
+  schema: z.object({
+    title: z.string(),
+    blocks: z.array(z.object({ type: z.string(), heading: z.string().optional() })).optional(),
+  }),
+});
+
+export const collections = {
+  pages: collection('pages'),
+  settings: collection('settings'),
+};
+`
+);
+
+function writeEntry(collection, slug, text) {
+  fs.mkdirSync(path.join(projectRoot, 'src/content', collection), { recursive: true });
+  fs.writeFileSync(path.join(projectRoot, 'src/content', collection, `${slug}.md`), text);
+}
+writeEntry('pages', 'home', `---
+title: Home
+blocks:
+  - type: hero
+    heading: Affordable pricing for every team
+  - type: cta
+    heading: Get started
+---
+Welcome to the site.
+`);
+writeEntry('pages', 'about', '---\ntitle: About us\n---\nWe talk about pricing a lot.\n');
+writeEntry('settings', 'site', '---\ntitle: Site pricing settings\n---\n');
+
+const { flattenFields, toFtsQuery, createSearchIndex } = await import('../server/search-index.js');
+const { closeSearchIndex } = await import('../server/utils/search.js');
+
+let passed = 0;
+// Failure sentinel: already reported by check(), just unwinds to the outer
+// catch so the finally cleanup still runs (process.exit would skip it).
+class CheckFailed extends Error {}
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    console.error(`❌ ${name}\n   ${error.stack || error.message}`);
+    throw new CheckFailed(name);
+  }
+}
+
+let app = null;
+let index = null;
+
+try {
+  console.log('\n🧪 Content search\n' + '='.repeat(40));
+
+  await check('flattenFields: form paths for nested fields and the body', () => {
+    const fields = flattenFields(
+      { title: 'Home', draft: false, blocks: [{ type: 'hero', heading: 'Hi' }, { items: ['a', ' '] }], seo: { description: 'About' } },
+      'Body text'
+    );
+    assert.deepEqual(fields, [
+      { field: 'title', text: 'Home' },
+      { field: 'blocks[0].type', text: 'hero' },
+      { field: 'blocks[0].heading', text: 'Hi' },
+      { field: 'blocks[1].items[0]', text: 'a' },
+      { field: 'seo.description', text: 'About' },
+      { field: 'body', text: 'Body text' },
+    ]);
+  });
+
+  await check('toFtsQuery: quoted words, last one a prefix', () => {
+    assert.equal(toFtsQuery('pricing tea'), '"pricing" "tea"*');
+    assert.equal(toFtsQuery('title:foo OR "bar'), '"title" "foo" "OR" "bar"*', 'FTS syntax is just text');
+    assert.equal(toFtsQuery('  -- '), null);
+  });
+
+  await check('SearchIndex: one result per entry, best field, snippet, collections', () => {
+    index = createSearchIndex({ path: path.join(projectRoot, 'index-test.db') });
+    index.replaceAll([
+      { collection: 'posts', slug: 'a', data: { title: 'Café opening', summary: 'A new café' }, body: 'Long body about other things and the café.' },
+      { collection: 'posts', slug: 'b', data: { title: 'Unrelated' }, body: 'Nothing here' },
+      { collection: 'pages', slug: 'c', locale: 'fr', data: { title: 'Cafe' } },
+    ]);
+    assert.equal(index.count(), 3);
+
+    const results = index.search('cafe');
+    assert.deepEqual(results.map(r => `${r.collection}/${r.slug}`).sort(), ['pages/c', 'posts/a'], 'diacritics folded');
+    const post = results.find(r => r.slug === 'a');
+    assert.deepEqual(post.fields.sort(), ['body', 'summary', 'title']);
+    assert.equal(post.title, 'Café opening');
+    assert.ok(post.snippet.some(part => part.match && /caf/i.test(part.text)), JSON.stringify(post.snippet));
+    assert.equal(results.find(r => r.slug === 'c').locale, 'fr');
+    assert.equal(index.search('cafe').find(r => r.slug === 'a').locale, null);
+
+    assert.deepEqual(index.search('op').map(r => r.slug), ['a'], 'prefix match while typing');
+    assert.deepEqual(index.search('cafe', { collections: ['pages'] }).map(r => r.slug), ['c']);
+    assert.deepEqual(index.search('cafe', { collections: [] }), []);
+    assert.equal(index.search('cafe', { limit: 1 }).length, 1);
+
+    index.replaceEntry({ collection: 'posts', slug: 'a', data: { title: 'Closed' } });
+    assert.deepEqual(index.search('cafe').map(r => r.slug), ['c']);
+    index.removeEntry('pages', 'c', 'fr');
+    assert.deepEqual(index.search('cafe'), []);
+    assert.deepEqual(index.search('"'), []);
+  });
+
+  await check('SearchIndex: better matches in other collections don\'t use up the limit', () => {
+    index.replaceAll([
+      ...Array.from({ length: 30 }, (_, n) => ({ collection: 'posts', slug: `p${n}`, data: { title: 'Widget widget' } })),
+      { collection: 'pages', slug: 'shop', data: { title: 'The shop', summary: 'Everything you need, and a widget too' } },
+    ]);
+    assert.deepEqual(index.search('widget', { limit: 1, collections: ['pages'] }).map(r => r.slug), ['shop']);
+  });
+
+  app = await startServer();
+  const { login, request } = app;
+
+  const owner = await login('owner', 'owner-pass');
+  const search = async (cookie, q) => {
+    const response = await request(cookie, 'GET', `/api/search?q=${encodeURIComponent(q)}`);
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    return response.body.results;
+  };
+
+  await check('GET /api/search: block fields, bodies, missing query', async () => {
+    const results = await search(owner, 'pricing');
+    assert.deepEqual(results.map(r => `${r.collection}/${r.slug}`).sort(), ['pages/about', 'pages/home', 'settings/site']);
+    const home = results.find(r => r.slug === 'home');
+    assert.equal(home.field, 'blocks[0].heading');
+    assert.equal(home.title, 'Home');
+    assert.equal(results.find(r => r.slug === 'about').field, 'body');
+
+    const missing = await request(owner, 'GET', '/api/search?q=%20');
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.success, false);
+  });
+
+  await check('saves and deletes update the index', async () => {
+    const saved = await request(owner, 'PUT', '/api/content/pages/about', {
+      data: { title: 'About us', blocks: [{ type: 'hero', heading: 'Meet the zebras' }] },
+      body: 'No prices here.',
+    });
+    assert.equal(saved.status, 200, JSON.stringify(saved.body));
+    assert.deepEqual((await search(owner, 'zebra')).map(r => [r.slug, r.field]), [['about', 'blocks[0].heading']]);
+    assert.ok(!(await search(owner, 'pricing')).some(r => r.slug === 'about'), 'old text dropped');
+
+    const createdEntry = await request(owner, 'POST', '/api/content/pages/zoo', { data: { title: 'Zebra zoo' }, body: '' });
+    assert.equal(createdEntry.status, 200, JSON.stringify(createdEntry.body));
+    assert.deepEqual((await search(owner, 'zebra')).map(r => r.slug).sort(), ['about', 'zoo']);
+
+    assert.equal((await request(owner, 'DELETE', '/api/content/pages/zoo')).status, 200);
+    assert.deepEqual((await search(owner, 'zebra')).map(r => r.slug), ['about']);
+  });
+
+  await check('results only include collections the login can read', async () => {
+    const cookie = await login('marketing', 'marketing-pass');
+    const results = await search(cookie, 'pricing');
+    assert.deepEqual(results.map(r => r.collection), ['pages']);
+    assert.equal((await search(cookie, 'settings')).length, 0);
+  });
+
+  console.log('='.repeat(40));
+  console.log(`\n📊 ${passed} checks passed.\n`);
+} catch (error) {
+  if (!(error instanceof CheckFailed)) {
+    console.error(`❌ Test setup failed\n   ${error.stack || error.message}`);
+  }
+  process.exitCode = 1;
+} finally {
+  app?.close();
+  index?.close();
+  closeSearchIndex();
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+}
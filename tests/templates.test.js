@@ -0,0 +1,203 @@
+/**
+ * Entry duplication and content templates test
+ *
+ * Covers template storage in server/utils/templates.js (ids from names,
+ * replacing by name, listing) and, through the real Express app on an
+ * ephemeral port with the files store: the /api/templates routes (saving
+ * from an entry or from form data, reading, deleting, write access) and
+ * POST /api/content/:collection/:slug/duplicate (one locale or all of them,
+ * file() collections, a taken slug).
+ * node_modules is symlinked so the schema parser can resolve zod.
+ *
+ *   bun tests/templates.test.js
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { createTestProject, startServer } from './helpers/server.js';
+
+const projectRoot = createTestProject('aa-templates-', {
+  linkNodeModules: true,
+  config: `export default {
+  git: { enabled: false },
+  i18n: { enabled: true, locales: ['en', 'de'], defaultLocale: 'en' },
+  auth: {
+    username: 'owner',
+    password: 'owner-pass',
+    credentials: [{ username: 'viewer', password: 'viewer-pass' }],
+  },
+  permissions: {
+    viewer: { collections: ['pages'], readOnly: ['pages'] },
+  },
+};
+`,
+});
+fs.mkdirSync(path.join(projectRoot, 'src'), { recursive: true });
+fs.writeFileSync(
+  path.join(projectRoot, 'src/content.config.ts'),
+  `import { defineCollection, z } from 'astro:content';
+import { glob, file } from 'astro/loaders';
+
+export const collections = {
+  pages: defineCollection({
+    loader: glob({ pattern: '**/*.md', base: './src/content/pages' }),
+    schema: z.object({
+      title: z.string(),
+      blocks: z.array(z.object({ type: z.literal('hero'), heading: z.string() })).optional(),
+    }),
+  }),
+  authors: defineCollection({
+    loader: file('src/data/authors.json'),
+    schema: z.object({ name: z.string() }),
+  }),
+};
+`
+);
+
+function writeFile(relativePath, text) {
+  fs.mkdirSync(path.dirname(path.join(projectRoot, relativePath)), { recursive: true });
+  fs.writeFileSync(path.join(projectRoot, relativePath), text);
+}
+const exists = relativePath => fs.existsSync(path.join(projectRoot, relativePath));
+
+writeFile('src/content/pages/launch.en.md', '---\ntitle: Launch\nblocks:\n  - type: hero\n    heading: Big news\n---\nIntro text.\n');
+writeFile('src/content/pages/launch.de.md', '---\ntitle: Start\n---\nEinleitung.\n');
+writeFile('src/content/pages/taken.de.md', '---\ntitle: Vergeben\n---\n');
+writeFile('src/data/authors.json', `${JSON.stringify([{ id: 'sam', name: 'Sam' }], null, 2)}\n`);
+
+const { templateId, saveTemplate, listTemplates, getTemplate, deleteTemplate } = await import('../server/utils/templates.js');
+const { getConfig } = await import('../server/config.js');
+const { readContent } = await import('../server/utils/content.js');
+
+let passed = 0;
+// Failure sentinel: already reported by check(), just unwinds to the outer
+// catch so the finally cleanup still runs (process.exit would skip it).
+class CheckFailed extends Error {}
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    console.error(`❌ ${name}\n   ${error.stack || error.message}`);
+    throw new CheckFailed(name);
+  }
+}
+
+let app = null;
+
+try {
+  console.log('\n🧪 Duplication and templates\n' + '='.repeat(40));
+
+  const fullConfig = await getConfig();
+
+  await check('templates: ids from names, saved by name, listed by name', async () => {
+    assert.equal(templateId('  Landing Page (Spring)! '), 'landing-page-spring');
+    assert.equal(templateId('Über uns'), 'uber-uns');
+    assert.equal(templateId('!!!'), '');
+
+    await saveTemplate(fullConfig, 'notes', { name: 'Zebra', data: { title: 'Z' }, username: 'owner' });
+    await saveTemplate(fullConfig, 'notes', { name: 'Article', data: { title: 'A' }, body: 'Text' });
+    await saveTemplate(fullConfig, 'notes', { name: 'article', description: 'Replaced', data: { title: 'B' } });
+    assert.ok(exists('.astroadmin/templates/notes/article.json'));
+
+    const listed = await listTemplates(fullConfig, 'notes');
+    assert.deepEqual(listed.map(t => [t.id, t.name, t.description, t.createdBy]), [
+      ['article', 'article', 'Replaced', null],
+      ['zebra', 'Zebra', '', 'owner'],
+    ]);
+    assert.deepEqual((await getTemplate(fullConfig, 'notes', 'article')).data, { title: 'B' });
+    assert.equal(await getTemplate(fullConfig, 'notes', '../secrets'), null);
+    assert.deepEqual(await listTemplates(fullConfig, 'empty'), []);
+
+    await assert.rejects(saveTemplate(fullConfig, 'notes', { name: '??', data: {} }), /needs a name/);
+    await assert.rejects(saveTemplate(fullConfig, 'notes', { name: 'List', data: [] }), /must be an object/);
+    assert.equal(await deleteTemplate(fullConfig, 'notes', 'zebra'), true);
+    assert.equal(await deleteTemplate(fullConfig, 'notes', 'zebra'), false);
+  });
+
+  app = await startServer();
+  const { login, request } = app;
+
+  const owner = await login('owner', 'owner-pass');
+  const viewer = await login('viewer', 'viewer-pass');
+
+  await check('POST /api/templates: from an entry, or from the form as sent', async () => {
+    const fromEntry = await request(owner, 'POST', '/api/templates/pages', { name: 'Launch page', description: 'Hero first', from: 'launch', locale: 'en' });
+    assert.equal(fromEntry.status, 200, JSON.stringify(fromEntry.body));
+    assert.equal(fromEntry.body.template.id, 'launch-page');
+    assert.equal(fromEntry.body.template.createdBy, 'owner');
+
+    const fromForm = await request(owner, 'POST', '/api/templates/pages', { name: 'Blank hero', data: { title: '', blocks: [{ type: 'hero', heading: '' }] }, body: '' });
+    assert.equal(fromForm.status, 200, JSON.stringify(fromForm.body));
+
+    assert.equal((await request(owner, 'POST', '/api/templates/pages', { name: 'Nope', from: 'missing' })).status, 404);
+    assert.equal((await request(owner, 'POST', '/api/templates/pages', { name: '', data: {} })).status, 400);
+  });
+
+  await check('GET /api/templates: listed without content, read one with it', async () => {
+    const listed = await request(viewer, 'GET', '/api/templates/pages');
+    assert.equal(listed.status, 200, JSON.stringify(listed.body));
+    assert.deepEqual(listed.body.templates.map(t => [t.id, t.description]), [['blank-hero', ''], ['launch-page', 'Hero first']]);
+    assert.equal(listed.body.templates[0].data, undefined);
+
+    const one = await request(viewer, 'GET', '/api/templates/pages/launch-page');
+    assert.equal(one.status, 200);
+    assert.deepEqual(one.body.template.data, { title: 'Launch', blocks: [{ type: 'hero', heading: 'Big news' }] });
+    assert.equal(one.body.template.body.trim(), 'Intro text.');
+    assert.equal((await request(viewer, 'GET', '/api/templates/pages/nope')).status, 404);
+  });
+
+  await check('templates need write access to save or delete', async () => {
+    assert.equal((await request(viewer, 'POST', '/api/templates/pages', { name: 'Mine', data: {} })).status, 403);
+    assert.equal((await request(viewer, 'DELETE', '/api/templates/pages/blank-hero')).status, 403);
+    assert.equal((await request(owner, 'DELETE', '/api/templates/pages/blank-hero')).status, 200);
+    assert.equal((await request(owner, 'DELETE', '/api/templates/pages/blank-hero')).status, 404);
+  });
+
+  await check('duplicate: the current locale only, by default', async () => {
+    const response = await request(owner, 'POST', '/api/content/pages/launch/duplicate?locale=en', { to: 'launch-2' });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.deepEqual(response.body.created.map(c => c.locale), ['en']);
+    assert.ok(exists('src/content/pages/launch-2.en.md'));
+    assert.ok(!exists('src/content/pages/launch-2.de.md'));
+    assert.deepEqual((await readContent('pages', 'launch-2', 'en')).data.blocks, [{ type: 'hero', heading: 'Big news' }]);
+  });
+
+  await check('duplicate: every translation with allLocales', async () => {
+    const response = await request(owner, 'POST', '/api/content/pages/launch/duplicate', { to: 'launch-3', allLocales: true });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.deepEqual(response.body.created.map(c => c.locale), ['en', 'de']);
+    assert.equal((await readContent('pages', 'launch-3', 'de')).body.trim(), 'Einleitung.');
+  });
+
+  await check('duplicate: 409 if the slug is taken in any copied locale, nothing written', async () => {
+    const response = await request(owner, 'POST', '/api/content/pages/launch/duplicate', { to: 'taken', allLocales: true });
+    assert.equal(response.status, 409, JSON.stringify(response.body));
+    assert.ok(response.body.message.includes('(de)'));
+    assert.ok(!exists('src/content/pages/taken.en.md'));
+
+    assert.equal((await request(owner, 'POST', '/api/content/pages/missing/duplicate', { to: 'found' })).status, 404);
+    assert.equal((await request(owner, 'POST', '/api/content/pages/launch/duplicate', { to: 'launch' })).status, 400);
+    assert.equal((await request(viewer, 'POST', '/api/content/pages/launch/duplicate', { to: 'mine' })).status, 403);
+  });
+
+  await check('duplicate: a file() collection entry gets its own id', async () => {
+    const response = await request(owner, 'POST', '/api/content/authors/sam/duplicate', { to: 'samuel' });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    const authors = JSON.parse(fs.readFileSync(path.join(projectRoot, 'src/data/authors.json'), 'utf-8'));
+    assert.deepEqual(authors, [{ id: 'sam', name: 'Sam' }, { id: 'samuel', name: 'Sam' }]);
+  });
+
+  console.log('='.repeat(40));
+  console.log(`\n📊 ${passed} checks passed.\n`);
+} catch (error) {
+  if (!(error instanceof CheckFailed)) {
+    console.error(`❌ Test setup failed\n   ${error.stack || error.message}`);
+  }
+  process.exitCode = 1;
+} finally {
+  app?.close();
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+}
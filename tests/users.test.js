@@ -0,0 +1,146 @@
+/**
+ * Multi-user accounts test
+ *
+ * Covers the SQLite user store (add/verify/reset/remove/roles) and, through
+ * the real Express app on an ephemeral port, that login goes through the store
+ * once it has accounts and requireAuth enforces each role per route.
+ *
+ *   bun tests/users.test.js
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { createTestProject, startServer } from './helpers/server.js';
+
+const projectRoot = createTestProject('aa-users-', {
+  config: "export default { auth: { username: 'legacy', password: 'legacy-pass' } };\n",
+});
+
+const { createUserStore } = await import('../server/user-store.js');
+const { hasRole, requiredRoleFor } = await import('../server/utils/auth.js');
+
+let passed = 0;
+// Failure sentinel: already reported by check(), just unwinds to the outer
+// catch so the finally cleanup still runs (process.exit would skip it).
+class CheckFailed extends Error {}
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    console.error(`❌ ${name}\n   ${error.stack || error.message}`);
+    throw new CheckFailed(name);
+  }
+}
+
+let app = null;
+let store = null;
+
+try {
+  console.log('\n🧪 Multi-user accounts\n' + '='.repeat(40));
+
+  await check('role helpers: hierarchy and per-route requirements', () => {
+    assert.equal(hasRole('admin', 'editor'), true);
+    assert.equal(hasRole('editor', 'editor'), true);
+    assert.equal(hasRole('viewer', 'editor'), false);
+    assert.equal(hasRole('nobody', 'viewer'), false, 'unknown role has nothing');
+    assert.equal(requiredRoleFor('GET', '/api/content/pages/home'), 'viewer');
+    assert.equal(requiredRoleFor('POST', '/api/publish'), 'editor');
+    assert.equal(requiredRoleFor('POST', '/api/git/commit'), 'editor');
+    assert.equal(requiredRoleFor('POST', '/api/git/restore-from-commit'), 'admin');
+    assert.equal(requiredRoleFor('POST', '/api/git/merge'), 'admin');
+    assert.equal(requiredRoleFor('POST', '/api/publish/rollback'), 'admin');
+  });
+
+  // Opened separately from the server's own handle, like the CLI does
+  store = createUserStore({ path: process.env.ASTROADMIN_USERS_DB });
+
+  await check('user store: add, verify, duplicate and bad input rejected', async () => {
+    await store.add('alice', 'alice-password', 'editor');
+    await store.add('victor', 'victor-password', 'viewer');
+    assert.deepEqual(await store.verify('alice', 'alice-password'), { username: 'alice', role: 'editor' });
+    assert.equal(await store.verify('alice', 'wrong-password'), null, 'wrong password');
+    assert.equal(await store.verify('mallory', 'alice-password'), null, 'unknown user');
+    await assert.rejects(() => store.add('alice', 'another-password'), /already exists/);
+    await assert.rejects(() => store.add('bob', 'bob-password', 'superuser'), /Unknown role/);
+    await assert.rejects(() => store.add('bob', 'short'), /at least 8/);
+    await assert.rejects(() => store.add('../bob', 'bob-password'), /Invalid username/);
+    assert.ok(!store.list().some(u => 'passwordHash' in u), 'list omits hashes');
+  });
+
+  await check('user store: reset password and change role', async () => {
+    assert.equal(await store.resetPassword('alice', 'new-alice-password'), true);
+    assert.equal(await store.verify('alice', 'alice-password'), null, 'old password gone');
+    assert.ok(await store.verify('alice', 'new-alice-password'), 'new password works');
+    assert.equal(await store.resetPassword('nobody', 'whatever-pass'), false);
+    assert.equal(store.setRole('alice', 'admin'), true);
+    assert.equal(store.get('alice').role, 'admin');
+    store.setRole('alice', 'editor');
+  });
+
+  app = await startServer();
+  const { baseUrl } = app;
+
+  async function login(username, password) {
+    const response = await fetch(`${baseUrl}/api/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password }),
+    });
+    const cookie = response.headers.get('set-cookie')?.split(';')[0] || null;
+    return { status: response.status, body: await response.json(), cookie };
+  }
+
+  async function request(cookie, method, urlPath, body) {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(cookie ? { Cookie: cookie } : {}) },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return response.status;
+  }
+
+  await check('login uses the store once it has accounts', async () => {
+    const legacy = await login('legacy', 'legacy-pass');
+    assert.equal(legacy.status, 401, 'configured credential no longer logs in');
+    const alice = await login('alice', 'new-alice-password');
+    assert.equal(alice.status, 200);
+    assert.equal(alice.body.role, 'editor');
+  });
+
+  await check('viewer can read but not publish, commit or save', async () => {
+    const { cookie } = await login('victor', 'victor-password');
+    assert.equal(await request(cookie, 'GET', '/api/build/status'), 200);
+    assert.equal(await request(cookie, 'POST', '/api/publish', { message: 'x' }), 403);
+    assert.equal(await request(cookie, 'POST', '/api/git/commit', { message: 'x' }), 403);
+    assert.equal(await request(cookie, 'POST', '/api/content/pages/home', { data: {} }), 403);
+  });
+
+  await check('editor can save; admin-only routes stay closed', async () => {
+    const { cookie } = await login('alice', 'new-alice-password');
+    assert.equal(await request(cookie, 'POST', '/api/content/pages/home', { data: { title: 'Home' } }), 200);
+    assert.equal(await request(cookie, 'POST', '/api/git/restore-from-commit', {}), 403);
+  });
+
+  await check('role changes and removal apply to live sessions', async () => {
+    const { cookie } = await login('victor', 'victor-password');
+    store.setRole('victor', 'editor');
+    assert.equal(await request(cookie, 'POST', '/api/content/pages/home', { data: { title: 'Hi' } }), 200, 'promoted mid-session');
+    store.remove('victor');
+    assert.equal(await request(cookie, 'GET', '/api/build/status'), 401, 'removed user signed out');
+  });
+
+  console.log('='.repeat(40));
+  console.log(`\n📊 ${passed} checks passed.\n`);
+} catch (error) {
+  if (!(error instanceof CheckFailed)) {
+    console.error(`❌ Test setup failed\n   ${error.stack || error.message}`);
+  }
+  process.exitCode = 1;
+} finally {
+  app?.close();
+  store?.close();
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+}
@@ -0,0 +1,247 @@
+/**
+ * Publishing workflow test
+ *
+ * Covers the entry-status helpers and, through the real Express app on an
+ * ephemeral port against a throwaway git repo, that a publish only commits
+ * published entries (drafts, entries in review and ones scheduled for later
+ * stay in the working tree), that a deploy builds the published commit and
+ * not those edits, that pulls and pushes work around them and a failed push
+ * fails the publish, and that the scheduler publishes a scheduled entry once
+ * it is due. node_modules is symlinked so the schema parser can resolve zod.
+ *
+ *   bun tests/workflow.test.js
+ */
+
+import assert from 'assert';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { createTestProject, writeProjectConfig, startServer } from './helpers/server.js';
+
+const projectRoot = createTestProject('aa-workflow-', {
+  git: true,
+  linkNodeModules: true,
+});
+// The "build" copies the posts into dist and keeps a copy of what it built
+const builtSite = path.join(projectRoot, '.astroadmin/built-site.txt');
+writeProjectConfig(
+  projectRoot,
+  `export default {
+  auth: { username: 'alice', password: 'alice-pass' },
+  build: { production: ${JSON.stringify(`mkdir -p dist && cat src/content/posts/*.md > dist/site.txt && cp dist/site.txt ${builtSite}`)} },
+  deploy: { adapter: 'http', http: { url: 'https://deploy.example.com/', dryRun: true } },
+};
+`
+);
+fs.writeFileSync(path.join(projectRoot, '.gitignore'), '.astroadmin/\ncontent.db*\nnode_modules\ndist/\n');
+fs.mkdirSync(path.join(projectRoot, 'src'), { recursive: true });
+fs.writeFileSync(
+  path.join(projectRoot, 'src/content.config.ts'),
+  `import { defineCollection, z } from 'astro:content';
+import { glob } from 'astro/loaders';
+
+export const collections = {
+  posts: defineCollection({
+    loader: glob({ pattern: '**/*.md', base: './src/content/posts' }),
+    schema: z.object({ title: z.string() }),
+  }),
+};
+`
+);
+fs.mkdirSync(path.join(projectRoot, 'src/content/posts'), { recursive: true });
+for (const slug of ['home', 'launch', 'later']) {
+  fs.writeFileSync(path.join(projectRoot, 'src/content/posts', `${slug}.md`), `---\ntitle: ${slug}\n---\n`);
+}
+
+function git(args) {
+  return execFileSync('git', ['-C', projectRoot, ...args], { encoding: 'utf-8' }).trim();
+}
+
+git(['init', '-q']);
+git(['config', 'user.name', 'AstroAdmin Server']);
+git(['config', 'user.email', 'server@example.com']);
+git(['add', '.']);
+git(['commit', '-q', '-m', 'Initial commit']);
+
+const { getConfig } = await import('../server/config.js');
+const { isHeldBack, setEntryStatus, getEntryStatus } = await import('../server/utils/entry-status.js');
+const { createPublishScheduler } = await import('../server/publish-scheduler.js');
+
+let passed = 0;
+// Failure sentinel: already reported by check(), just unwinds to the outer
+// catch so the finally cleanup still runs (process.exit would skip it).
+class CheckFailed extends Error {}
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    console.error(`❌ ${name}\n   ${error.stack || error.message}`);
+    throw new CheckFailed(name);
+  }
+}
+
+let app = null;
+
+function committedFiles() {
+  return git(['diff-tree', '--no-commit-id', '--name-only', '-r', 'HEAD']).split(/\r?\n/).filter(Boolean);
+}
+
+try {
+  console.log('\n🧪 Publishing workflow\n' + '='.repeat(40));
+
+  await check('isHeldBack: only published and due scheduled entries go out', () => {
+    const now = new Date('2026-06-01T12:00:00Z');
+    assert.equal(isHeldBack(null, now), false, 'no record = published');
+    assert.equal(isHeldBack({ status: 'published' }, now), false);
+    assert.equal(isHeldBack({ status: 'draft' }, now), true);
+    assert.equal(isHeldBack({ status: 'in_review' }, now), true);
+    assert.equal(isHeldBack({ status: 'scheduled', publishAt: '2026-06-01T13:00:00Z' }, now), true, 'later');
+    assert.equal(isHeldBack({ status: 'scheduled', publishAt: '2026-06-01T11:00:00Z' }, now), false, 'due');
+  });
+
+  await check('setEntryStatus: rejects unknown statuses and schedules without a time', async () => {
+    const fullConfig = await getConfig();
+    const filePath = 'src/content/posts/home.md';
+    await assert.rejects(() => setEntryStatus(fullConfig, { collection: 'posts', slug: 'home', status: 'live', filePath }), /Unknown status/);
+    await assert.rejects(() => setEntryStatus(fullConfig, { collection: 'posts', slug: 'home', status: 'scheduled', filePath }), /publishAt/);
+    assert.equal((await getEntryStatus(fullConfig, 'posts', 'home')).status, 'published', 'default');
+  });
+
+  app = await startServer();
+
+  const cookie = await app.login('alice', 'alice-pass');
+
+  const request = (method, urlPath, body) => app.request(cookie, method, urlPath, body);
+
+  const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+  await check('status API: set, read back, and listed with the collection', async () => {
+    assert.equal((await request('PUT', '/api/content/posts/launch/status', { status: 'draft' })).status, 200);
+    assert.equal((await request('PUT', '/api/content/posts/home/status', { status: 'in_review' })).status, 200);
+    const scheduled = await request('PUT', '/api/content/posts/later/status', { status: 'scheduled', publishAt: future });
+    assert.equal(scheduled.body.publishAt, future);
+    assert.equal((await request('GET', '/api/content/posts/launch/status')).body.status, 'draft');
+    assert.equal((await request('PUT', '/api/content/posts/missing/status', { status: 'draft' })).status, 404);
+    assert.equal((await request('PUT', '/api/content/posts/home/status', { status: 'scheduled' })).status, 400);
+
+    const { body } = await request('GET', '/api/collections');
+    const posts = body.collections.find(c => c.name === 'posts');
+    assert.deepEqual(Object.keys(posts.statuses).sort(), ['home', 'later', 'launch']);
+  });
+
+  await check('publish commits published entries only', async () => {
+    for (const slug of ['home', 'launch', 'later']) {
+      await request('PUT', `/api/content/posts/${slug}`, { data: { title: `${slug} v2` } });
+    }
+    await request('POST', '/api/content/posts/fresh', { data: { title: 'Fresh' } });
+
+    const publish = await request('POST', '/api/publish', { message: 'Publish' });
+    assert.equal(publish.body.success, true, JSON.stringify(publish.body));
+    assert.deepEqual(committedFiles(), ['src/content/posts/fresh.md']);
+    assert.deepEqual(publish.body.heldBack.sort(), [
+      'src/content/posts/home.md',
+      'src/content/posts/later.md',
+      'src/content/posts/launch.md',
+    ]);
+    assert.match(git(['status', '--short']), / M src\/content\/posts\/launch\.md/, 'draft left unstaged');
+  });
+
+  await check('a deploy builds the published commit, not held-back edits', async () => {
+    const built = fs.readFileSync(builtSite, 'utf-8');
+    assert.match(built, /title: Fresh/);
+    assert.match(built, /title: launch\n/, 'the published version of the draft');
+    assert.ok(!built.includes('launch v2'), 'the draft edit must not be built');
+    assert.match(fs.readFileSync(path.join(projectRoot, 'src/content/posts/launch.md'), 'utf-8'), /launch v2/, 'draft kept');
+    assert.equal(git(['worktree', 'list']).split('\n').length, 1, 'build worktree removed');
+  });
+
+  await check('with a remote, held-back edits don\'t stop the pull; a failed push fails the publish', async () => {
+    const remoteDir = path.join(projectRoot, '.astroadmin/remote.git');
+    const branch = git(['branch', '--show-current']);
+    execFileSync('git', ['init', '-q', '--bare', remoteDir]);
+    git(['remote', 'add', 'origin', remoteDir]);
+    git(['push', '-q', '-u', 'origin', branch]);
+
+    await request('PUT', '/api/content/posts/fresh', { data: { title: 'Fresh v2' } });
+    const publish = await request('POST', '/api/publish', { message: 'Second publish' });
+    assert.equal(publish.body.success, true, JSON.stringify(publish.body));
+    assert.equal(publish.body.pushed, true);
+    assert.equal(git(['--git-dir', remoteDir, 'log', '-1', '--format=%s', branch]), 'Second publish');
+    assert.match(git(['status', '--short']), / M src\/content\/posts\/launch\.md/, 'draft still in the working tree');
+
+    fs.writeFileSync(path.join(remoteDir, 'hooks/pre-receive'), '#!/bin/sh\nexit 1\n', { mode: 0o755 });
+    await request('PUT', '/api/content/posts/fresh', { data: { title: 'Fresh v3' } });
+    const rejected = await request('POST', '/api/publish', { message: 'Third publish' });
+    assert.equal(rejected.body.success, false, JSON.stringify(rejected.body));
+    assert.equal(rejected.body.committed, true);
+    assert.equal(rejected.body.pushed, false);
+    assert.match(rejected.body.error, /Push failed/);
+    assert.equal(rejected.body.deploy, null, 'nothing deployed');
+
+    fs.rmSync(path.join(remoteDir, 'hooks/pre-receive'));
+    git(['push', '-q']);
+  });
+
+  await check('a failed scheduled publish is recorded and retried with backoff, then given up', async () => {
+    const failing = async (req, res) => res.status(409).json({ success: false, error: 'Publish failed', message: 'push rejected' });
+    const scheduler = createPublishScheduler({ intervalMs: 0, retryDelayMs: 60 * 1000, maxAttempts: 3, publish: failing });
+    const start = Date.now();
+    await request('PUT', '/api/content/posts/later/status', { status: 'scheduled', publishAt: new Date(start - 1000).toISOString() });
+
+    assert.deepEqual((await scheduler.tick(new Date(start))).published, ['posts/later']);
+    let status = (await request('GET', '/api/content/posts/later/status')).body;
+    assert.equal(status.status, 'scheduled');
+    assert.equal(status.attempts, 1);
+    assert.equal(status.lastError, 'push rejected');
+    assert.equal(status.retryAt, new Date(start + 60 * 1000).toISOString());
+
+    assert.deepEqual((await scheduler.tick(new Date(start + 30 * 1000))).published, [], 'backing off');
+    assert.deepEqual((await scheduler.tick(new Date(start + 60 * 1000))).published, ['posts/later']);
+    status = (await request('GET', '/api/content/posts/later/status')).body;
+    assert.equal(status.retryAt, new Date(start + 3 * 60 * 1000).toISOString(), 'the wait doubles');
+
+    assert.deepEqual((await scheduler.tick(new Date(start + 3 * 60 * 1000))).published, ['posts/later']);
+    status = (await request('GET', '/api/content/posts/later/status')).body;
+    assert.equal(status.attempts, 3);
+    assert.equal(status.retryAt, null, 'given up');
+    assert.deepEqual((await scheduler.tick(new Date(start + 24 * 60 * 60 * 1000))).published, []);
+
+    const listed = (await request('GET', '/api/collections')).body.collections.find(c => c.name === 'posts');
+    assert.equal(listed.statuses.later.lastError, 'push rejected', 'shown on the page selector badge');
+
+    const rescheduled = await request('PUT', '/api/content/posts/later/status', { status: 'draft' });
+    assert.equal(rescheduled.status, 200);
+    status = (await request('GET', '/api/content/posts/later/status')).body;
+    assert.equal(status.attempts, 0, 'a new status starts over');
+    assert.equal(status.lastError, null);
+  });
+
+  await check('scheduler publishes a scheduled entry once it is due', async () => {
+    const scheduler = createPublishScheduler({ intervalMs: 0 });
+    assert.deepEqual((await scheduler.tick()).published, [], 'nothing due yet');
+
+    const past = new Date(Date.now() - 1000).toISOString();
+    await request('PUT', '/api/content/posts/later/status', { status: 'scheduled', publishAt: past });
+
+    const { published, result } = await scheduler.tick();
+    assert.deepEqual(published, ['posts/later']);
+    assert.equal(result.success, true, JSON.stringify(result));
+    assert.deepEqual(committedFiles(), ['src/content/posts/later.md']);
+    assert.equal(git(['log', '-1', '--format=%s']), 'Scheduled publish: posts/later');
+    assert.equal((await request('GET', '/api/content/posts/later/status')).body.status, 'published');
+    assert.ok(git(['status', '--short']).includes('posts/launch.md'), 'draft still waiting');
+  });
+
+  console.log('='.repeat(40));
+  console.log(`\n📊 ${passed} checks passed.\n`);
+} catch (error) {
+  if (!(error instanceof CheckFailed)) {
+    console.error(`❌ Test setup failed\n   ${error.stack || error.message}`);
+  }
+  process.exitCode = 1;
+} finally {
+  app?.close();
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+}
@@ -0,0 +1,109 @@
+/**
+ * Block Clipboard
+ * Copying blocks out of one entry and pasting them into another, as JSON on
+ * the system clipboard:
+ *
+ *   { "astroadminBlocks": [{ "type": "cta", "heading": "…" }, …] }
+ *
+ * A paste is checked against the blocks field it lands in: every block's type
+ * must be one of the field's block types, and fields that block type doesn't
+ * have are dropped (the same type name can mean different fields in another
+ * collection).
+ */
+
+import { LINK_KEY } from './block-library.js';
+
+const CLIPBOARD_KEY = 'astroadminBlocks';
+
+// The last copy, for browsers that don't let the page read the clipboard
+// (readText needs a secure context and, in some, a permission prompt)
+let lastCopied = null;
+
+/**
+ * Blocks as clipboard text
+ */
+export function serializeBlocks(blocks) {
+  return JSON.stringify({ [CLIPBOARD_KEY]: blocks }, null, 2);
+}
+
+/**
+ * Read blocks back from clipboard text, for a blocks field. Also accepts a bare
+ * array of blocks, or a single block object.
+ * @param {string} text
+ * @param {Object} blockTypes - The target field's block schemas, keyed by type
+ * @returns {{blocks: Object[], dropped: string[]}} `dropped` names the fields
+ *   left out, as 'type.field'
+ * @throws if the text holds no blocks, or a block type the field doesn't have
+ */
+export function parseCopiedBlocks(text, blockTypes) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    parsed = null;
+  }
+
+  let list = null;
+  if (Array.isArray(parsed?.[CLIPBOARD_KEY])) list = parsed[CLIPBOARD_KEY];
+  else if (Array.isArray(parsed)) list = parsed;
+  else if (parsed && typeof parsed === 'object' && 'type' in parsed) list = [parsed];
+
+  const isBlock = block => block && typeof block === 'object' && !Array.isArray(block) && typeof block.type === 'string';
+  if (!list || list.length === 0 || !list.every(isBlock)) {
+    throw new Error('The clipboard doesn\'t hold any copied blocks');
+  }
+
+  const unknown = [...new Set(list.map(block => block.type))].filter(type => !Object.hasOwn(blockTypes, type));
+  if (unknown.length > 0) {
+    throw new Error(`This field has no block type ${unknown.map(type => `"${type}"`).join(', ')}`);
+  }
+
+  const dropped = new Set();
+  const blocks = list.map(block => {
+    const properties = blockTypes[block.type]?.properties;
+    if (!properties) return structuredClone(block);
+
+    const kept = {};
+    for (const [key, value] of Object.entries(block)) {
+      if (key === 'type' || key === LINK_KEY || Object.hasOwn(properties, key)) {
+        kept[key] = structuredClone(value);
+      } else {
+        dropped.add(`${block.type}.${key}`);
+      }
+    }
+    return kept;
+  });
+
+  return { blocks, dropped: [...dropped] };
+}
+
+/**
+ * Put blocks on the clipboard
+ * @returns {Promise<boolean>} Whether the system clipboard took them (they can
+ *   still be pasted in this tab if not)
+ */
+export async function copyBlocks(blocks) {
+  lastCopied = serializeBlocks(blocks);
+  try {
+    await navigator.clipboard.writeText(lastCopied);
+    return true;
+  } catch (error) {
+    console.warn('Clipboard not writable, keeping the copy in this tab:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Clipboard text to paste from: the system clipboard if the page may read it,
+ * otherwise the last copy made in this tab
+ * @returns {Promise<string|null>}
+ */
+export async function readCopiedBlocks() {
+  try {
+    const text = await navigator.clipboard.readText();
+    if (text) return text;
+  } catch {
+    // Fall back to this tab's last copy
+  }
+  return lastCopied;
+}
@@ -0,0 +1,125 @@
+/**
+ * Block Library
+ * Configured blocks shared across entries (/api/blocks). The block editor in
+ * form-generator offers them next to the blank block types and renders from
+ * the list cached here, so load it before rendering a form.
+ *
+ * A block is inserted either as a copy or as a linked instance, which carries
+ * LINK_KEY and is rewritten everywhere when the library block changes.
+ */
+
+/** Key marking a linked instance (see server/utils/block-library.js) */
+export const LINK_KEY = '_libraryBlock';
+
+let libraryBlocks = [];
+
+/**
+ * Fetch the library. Failures leave it empty rather than breaking the editor.
+ * @returns {Promise<Array>} The library blocks, by name
+ */
+export async function loadBlockLibrary() {
+  try {
+    const response = await fetch('/api/blocks');
+    const result = await response.json();
+    libraryBlocks = result.success ? result.blocks : [];
+  } catch (error) {
+    console.error('Failed to load block library:', error);
+    libraryBlocks = [];
+  }
+  return libraryBlocks;
+}
+
+/**
+ * A cached library block, or null
+ */
+export function findLibraryBlock(id) {
+  return libraryBlocks.find(block => block.id === id) || null;
+}
+
+/**
+ * The library blocks a blocks field can hold (those of its block types)
+ * @param {Object} blockTypes - Block schemas keyed by type
+ */
+export function libraryBlocksFor(blockTypes) {
+  return libraryBlocks.filter(block => Object.hasOwn(blockTypes, block.type));
+}
+
+/**
+ * A block to insert from a library block: a copy of its fields, linked back
+ * to it if `linked`
+ */
+export function instantiateLibraryBlock(block, { linked = false } = {}) {
+  const instance = { ...structuredClone(block.data), type: block.type };
+  if (linked) instance[LINK_KEY] = block.id;
+  return instance;
+}
+
+/**
+ * Ask for a name and add a block to the library
+ * @param {Object} block - The block as the form holds it, `type` included
+ * @returns {Promise<Object|null>} The library block, or null if cancelled or refused
+ */
+export async function saveBlockToLibrary(block) {
+  const name = prompt('Name this block in the library:');
+  if (!name?.trim()) return null;
+
+  try {
+    const response = await fetch('/api/blocks', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, type: block.type, data: block }),
+    });
+    const result = await response.json();
+    if (!result.success) {
+      alert(`Could not save to the library: ${result.message || result.error}`);
+      return null;
+    }
+    await loadBlockLibrary();
+    return result.block;
+  } catch (error) {
+    console.error('Failed to save library block:', error);
+    alert('Failed to save to the library');
+    return null;
+  }
+}
+
+/**
+ * Change a library block's fields, after confirming how many entries that
+ * rewrites
+ * @param {string} id
+ * @param {Object} data - The new fields
+ * @returns {Promise<Object|null>} The updated block, or null if cancelled or refused
+ */
+export async function updateLibraryBlock(id, data) {
+  try {
+    const current = await (await fetch(`/api/blocks/${encodeURIComponent(id)}`)).json();
+    if (!current.success) {
+      alert(current.message || current.error);
+      return null;
+    }
+
+    const count = current.usage.length;
+    const where = count === 1 ? '1 entry' : `${count} entries`;
+    if (!confirm(`Update "${current.block.name}" everywhere?\n\nIts linked instances in ${where} change too.`)) {
+      return null;
+    }
+
+    const response = await fetch(`/api/blocks/${encodeURIComponent(id)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ data }),
+    });
+    const result = await response.json();
+    if (!result.success) {
+      const detail = (result.entries || []).map(entry => `${entry.collection}/${entry.slug}`).join(', ');
+      alert(`Could not update the library block: ${result.message || result.error}${detail ? ` (${detail})` : ''}`);
+      return null;
+    }
+    await loadBlockLibrary();
+    return result.block;
+  } catch (error) {
+    console.error('Failed to update library block:', error);
+    alert('Failed to update the library block');
+    return null;
+  }
+}
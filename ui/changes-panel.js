@@ -7,6 +7,7 @@ import { escapeHtml } from './escape-html.js';
 
 let panelOpen = false;
 let currentStatus = null;
+let branchState = null; // GET /api/git/branches, when the branch workflow is on
 
 /**
  * Toggle the changes panel
@@ -53,6 +54,23 @@ function createPanel() {
       <button type="button" class="changes-panel-close" data-close-changes>&times;</button>
     </div>
     <div class="changes-panel-body">
+      <div class="changes-section hidden" data-branch-section>
+        <h4 class="changes-section-title">Editing Branch</h4>
+        <div class="branch-current" data-branch-current></div>
+        <form class="branch-start" data-branch-start>
+          <input type="text" class="branch-topic-input" data-branch-topic placeholder="Topic, e.g. Spring sale">
+          <button type="submit" class="btn btn-sm btn-secondary">Start editing</button>
+        </form>
+        <div class="changes-list" data-branch-list></div>
+      </div>
+      <div class="changes-section hidden" data-branch-diff-section>
+        <h4 class="changes-section-title" data-branch-diff-title>Submitted Changes</h4>
+        <div class="changes-list" data-branch-diff></div>
+      </div>
+      <div class="changes-section hidden" data-review-section>
+        <h4 class="changes-section-title">Awaiting Review</h4>
+        <div class="changes-list" data-review-list></div>
+      </div>
       <div class="changes-section">
         <h4 class="changes-section-title">Uncommitted Changes</h4>
         <div class="changes-list" data-changes-list>
@@ -65,6 +83,12 @@ function createPanel() {
           <div class="changes-loading">Loading...</div>
         </div>
       </div>
+      <div class="changes-section">
+        <h4 class="changes-section-title">Publish History</h4>
+        <div class="commits-list" data-jobs-list>
+          <div class="changes-loading">Loading...</div>
+        </div>
+      </div>
     </div>
     <div class="changes-panel-footer">
       <button type="button" class="btn btn-sm btn-secondary" data-refresh-changes>Refresh</button>
@@ -89,6 +113,18 @@ function setupPanelEvents(panel) {
   // Commit button
   panel.querySelector('[data-commit-changes]').addEventListener('click', commitChanges);
 
+  // Start an editing branch (branch workflow)
+  panel.querySelector('[data-branch-start]').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const input = panel.querySelector('[data-branch-topic]');
+    const topic = input.value.trim();
+    if (!topic) {
+      input.focus();
+      return;
+    }
+    if (await switchBranch({ topic })) input.value = '';
+  });
+
   // Delegated events for file actions
   panel.addEventListener('click', async (e) => {
     // View diff
@@ -105,6 +141,27 @@ function setupPanelEvents(panel) {
       }
     }
 
+    // Resume one of your editing branches
+    if (e.target.matches('[data-resume-branch]')) {
+      await switchBranch({ name: e.target.dataset.resumeBranch });
+    }
+
+    // Merge a branch awaiting review (admins)
+    if (e.target.matches('[data-merge-branch]')) {
+      const { mergeBranch: branch, mergeStrategy: strategy } = e.target.dataset;
+      const how = strategy === 'ff' ? 'Fast-forward' : 'Merge';
+      if (confirm(`${how} ${branch} into ${branchState.mainBranch}?\n\nThis publishes its changes.`)) {
+        await mergeBranch(branch, strategy);
+      }
+    }
+
+    // Cancel a publish still waiting in the queue
+    if (e.target.matches('[data-cancel-job]')) {
+      if (confirm('Cancel this publish?')) {
+        await cancelJob(e.target.dataset.cancelJob);
+      }
+    }
+
     // Close diff modal
     if (e.target.matches('[data-close-diff]') || e.target.matches('.diff-modal-overlay')) {
       closeDiffModal();
@@ -118,17 +175,25 @@ function setupPanelEvents(panel) {
 async function loadStatus() {
   const changesList = document.querySelector('[data-changes-list]');
   const commitsList = document.querySelector('[data-commits-list]');
+  const jobsList = document.querySelector('[data-jobs-list]');
   const commitBtn = document.querySelector('[data-commit-changes]');
 
   try {
-    // Load status and log in parallel
-    const [statusRes, logRes] = await Promise.all([
+    // Load status, log, branches and publish jobs in parallel
+    const [statusRes, logRes, branchRes, jobsRes] = await Promise.all([
       fetch('/api/git/status'),
-      fetch('/api/git/log?limit=5')
+      fetch('/api/git/log?limit=5'),
+      fetch('/api/git/branches'),
+      fetch('/api/publish/jobs?limit=10')
     ]);
 
     const statusData = await statusRes.json();
     const logData = await logRes.json();
+    const branchData = await branchRes.json();
+    const jobsData = await jobsRes.json();
+
+    branchState = branchData.success && branchData.enabled ? branchData : null;
+    await renderBranches();
 
     if (statusData.success) {
       currentStatus = statusData.status;
@@ -138,18 +203,174 @@ async function loadStatus() {
       const hasChanges = statusData.status.modified.length > 0 ||
                         statusData.status.created.length > 0 ||
                         statusData.status.deleted.length > 0;
-      commitBtn.disabled = !hasChanges;
+      commitBtn.disabled = branchState
+        ? !branchState.sessionBranch || branchState.current !== branchState.sessionBranch
+        : !hasChanges;
     }
 
     if (logData.success) {
       renderCommits(commitsList, logData.commits);
     }
+
+    if (jobsData.success) {
+      renderJobs(jobsList, jobsData.jobs);
+    }
   } catch (error) {
     console.error('Error loading status:', error);
     changesList.innerHTML = '<div class="changes-error">Failed to load changes</div>';
   }
 }
 
+/**
+ * Render the branch workflow sections (hidden when it's off)
+ */
+async function renderBranches() {
+  const panel = document.getElementById('changesPanel');
+  const sections = ['[data-branch-section]', '[data-branch-diff-section]', '[data-review-section]']
+    .map(selector => panel.querySelector(selector));
+  const commitBtn = panel.querySelector('[data-commit-changes]');
+
+  if (!branchState) {
+    sections.forEach(section => section.classList.add('hidden'));
+    commitBtn.textContent = 'Commit All';
+    return;
+  }
+
+  const [branchSection, diffSection, reviewSection] = sections;
+  const { current, sessionBranch, mainBranch, branches, canMerge } = branchState;
+  commitBtn.textContent = 'Submit for review';
+
+  branchSection.classList.remove('hidden');
+  const currentEl = branchSection.querySelector('[data-branch-current]');
+  if (sessionBranch && sessionBranch === current) {
+    currentEl.innerHTML = `Editing on <code>${escapeHtml(current)}</code>`;
+  } else if (sessionBranch) {
+    currentEl.innerHTML = `Your branch <code>${escapeHtml(sessionBranch)}</code> isn't checked out (<code>${escapeHtml(current)}</code> is). Resume it to keep editing.`;
+  } else {
+    currentEl.textContent = 'Start an editing branch, or resume one of yours, before making changes.';
+  }
+
+  const resumable = branches.filter(b => b.name !== current && (b.mine || canMerge));
+  branchSection.querySelector('[data-branch-list]').innerHTML = resumable.map(branch => `
+    <div class="change-item">
+      <span class="change-file" title="${escapeHtml(branch.subject)}">${escapeHtml(branch.name)}</span>
+      <div class="change-actions">
+        <button type="button" class="btn btn-sm btn-secondary" data-resume-branch="${escapeHtml(branch.name)}">Resume</button>
+      </div>
+    </div>
+  `).join('');
+
+  // What the session's branch changes versus main, once committed
+  const diffBranch = sessionBranch || (current !== mainBranch ? current : null);
+  if (diffBranch) {
+    diffSection.classList.remove('hidden');
+    diffSection.querySelector('[data-branch-diff-title]').textContent = `Changes vs ${mainBranch}`;
+    const res = await fetch(`/api/git/branches/diff?branch=${encodeURIComponent(diffBranch)}`);
+    const data = await res.json();
+    const diffList = diffSection.querySelector('[data-branch-diff]');
+    if (!data.success || data.files.length === 0) {
+      diffList.innerHTML = '<div class="changes-empty">Nothing submitted yet</div>';
+    } else {
+      diffList.innerHTML = data.files.map(change => `
+        <div class="change-item">
+          <span class="change-type change-type-${change.status === 'renamed' ? 'modified' : change.status}">${change.status[0].toUpperCase()}</span>
+          <span class="change-file" title="${escapeHtml(change.file)}">${formatFilePath(change.file)}</span>
+        </div>
+      `).join('');
+    }
+  } else {
+    diffSection.classList.add('hidden');
+  }
+
+  // Admins merge submitted branches from here
+  const awaiting = branches.filter(b => b.ahead > 0);
+  reviewSection.classList.toggle('hidden', !canMerge);
+  reviewSection.querySelector('[data-review-list]').innerHTML = awaiting.length === 0
+    ? '<div class="changes-empty">No branches awaiting review</div>'
+    : awaiting.map(branch => `
+      <div class="branch-review-item">
+        <div class="branch-review-name">${escapeHtml(branch.name)}</div>
+        <div class="branch-review-meta">${branch.ahead} commit${branch.ahead === 1 ? '' : 's'} · ${escapeHtml(truncate(branch.subject, 40))} · ${formatRelativeDate(branch.date)}</div>
+        <div class="branch-review-actions">
+          <button type="button" class="btn btn-sm btn-secondary" data-merge-branch="${escapeHtml(branch.name)}" data-merge-strategy="ff"
+            ${branch.behind > 0 ? `disabled title="${escapeHtml(mainBranch)} has moved on; use a merge commit"` : ''}>Merge (fast-forward)</button>
+          <button type="button" class="btn btn-sm btn-primary" data-merge-branch="${escapeHtml(branch.name)}" data-merge-strategy="merge">Merge commit</button>
+        </div>
+      </div>
+    `).join('');
+}
+
+/**
+ * Start ({ topic }) or resume ({ name }) an editing branch
+ * @returns {Promise<boolean>} Whether the branch is now checked out
+ */
+async function switchBranch(body) {
+  try {
+    const res = await fetch('/api/git/branches', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await res.json();
+
+    if (!data.success) {
+      alert(data.message || data.error);
+      return false;
+    }
+
+    await loadStatus();
+    showSuccessToast(data.created ? `Started ${data.branch}` : `Editing ${data.branch}`);
+    // The working tree changed under the editor
+    window.dispatchEvent(new CustomEvent('branchChanged', { detail: { branch: data.branch } }));
+    return true;
+  } catch (error) {
+    console.error('Error switching branch:', error);
+    alert('Failed to switch branch');
+    return false;
+  }
+}
+
+/**
+ * Merge a branch awaiting review into main (admins)
+ */
+async function mergeBranch(branch, strategy) {
+  try {
+    const res = await fetch('/api/git/merge', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ branch, strategy })
+    });
+    const data = await res.json();
+
+    if (data.success) {
+      await loadStatus();
+      showSuccessToast(data.pushed ? `${data.message} and pushed` : data.message);
+      window.dispatchEvent(new CustomEvent('branchChanged', { detail: { branch: null } }));
+    } else {
+      alert(`${data.error}: ${data.message || ''}`);
+    }
+  } catch (error) {
+    console.error('Error merging branch:', error);
+    alert('Failed to merge branch');
+  }
+}
+
+/**
+ * "Submit for review": commit the session's editing branch and push it
+ * @param {string} message - Optional commit message
+ * @returns {Promise<Object>} The /api/git/submit response
+ */
+export async function submitForReview(message) {
+  const res = await fetch('/api/git/submit', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message: message || generateDefaultMessage() })
+  });
+  const data = await res.json();
+  if (panelOpen) await loadStatus();
+  return data;
+}
+
 /**
  * Render the changes list
  */
@@ -190,11 +411,68 @@ function renderCommits(container, commits) {
     <div class="commit-item">
       <span class="commit-hash">${commit.hashShort}</span>
       <span class="commit-message" title="${escapeHtml(commit.message)}">${truncate(commit.message, 40)}</span>
+      <span class="commit-author" title="${escapeHtml(formatCommitAuthors(commit))}">${escapeHtml(commit.author || '')}${commit.coAuthors?.length ? ` +${commit.coAuthors.length}` : ''}</span>
       <span class="commit-date">${formatRelativeDate(commit.date)}</span>
     </div>
   `).join('');
 }
 
+const JOB_STATUS_LABELS = {
+  queued: 'Queued',
+  running: 'Running',
+  succeeded: 'Published',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+};
+
+/**
+ * Render the publish queue history
+ */
+function renderJobs(container, jobs) {
+  if (jobs.length === 0) {
+    container.innerHTML = '<div class="changes-empty">No publishes yet</div>';
+    return;
+  }
+
+  container.innerHTML = jobs.map(job => `
+    <div class="publish-job-item">
+      <span class="publish-job-status publish-job-${job.status}" title="${escapeHtml(job.error || '')}">${JOB_STATUS_LABELS[job.status] || escapeHtml(job.status)}</span>
+      <span class="commit-message" title="${escapeHtml(job.message)}">${escapeHtml(truncate(job.message, 30))}</span>
+      <span class="commit-author" title="${escapeHtml(job.requestedBy.join(', '))}">${escapeHtml(job.requestedBy[0] || '')}${job.requestedBy.length > 1 ? ` +${job.requestedBy.length - 1}` : ''}</span>
+      ${job.durationMs != null ? `<span class="commit-date">${formatDuration(job.durationMs)}</span>` : ''}
+      ${job.commit ? `<span class="commit-hash" title="${escapeHtml(job.commit)}">${escapeHtml(job.commit.slice(0, 7))}</span>` : ''}
+      <span class="commit-date">${formatRelativeDate(job.createdAt)}</span>
+      ${job.runId ? `<a class="publish-job-log" href="/api/publish/runs/${encodeURIComponent(job.runId)}/log" target="_blank" rel="noopener">Log</a>` : ''}
+      ${job.status === 'queued' ? `<button type="button" class="btn btn-sm btn-secondary" data-cancel-job="${job.id}">Cancel</button>` : ''}
+    </div>
+  `).join('');
+}
+
+/**
+ * Cancel a queued publish
+ */
+async function cancelJob(id) {
+  try {
+    const res = await fetch(`/api/publish/jobs/${encodeURIComponent(id)}/cancel`, { method: 'POST' });
+    const data = await res.json();
+    if (!data.success) {
+      alert(`Failed to cancel: ${data.message || data.error}`);
+    }
+  } catch (error) {
+    console.error('Error cancelling publish:', error);
+    alert('Failed to cancel publish');
+  }
+  await loadStatus();
+}
+
+/**
+ * Author plus any Co-authored-by contributors, for a commit's tooltip
+ */
+function formatCommitAuthors(commit) {
+  const names = [commit.author, ...(commit.coAuthors || []).map(c => c.name)].filter(Boolean);
+  return names.join(', ');
+}
+
 /**
  * Show diff modal
  */
@@ -289,17 +567,142 @@ async function revertFile(file) {
   }
 }
 
+const REVISION_ACTION_LABELS = {
+  save: 'Saved',
+  delete: 'Deleted',
+  restore: 'Restored',
+};
+
+/**
+ * Show an entry's revision history (SQLite content store): pick a revision to
+ * see how it differs from the current entry, and restore it
+ * @param {Object} entry
+ * @param {string} entry.collection
+ * @param {string} entry.slug
+ * @param {string|null} [entry.locale]
+ */
+export async function showEntryHistory({ collection, slug, locale = null }) {
+  const base = `/api/content/${encodeURIComponent(collection)}/${encodeURIComponent(slug)}/revisions`;
+  const query = locale ? `locale=${encodeURIComponent(locale)}` : '';
+
+  try {
+    const res = await fetch(`${base}?${query}`);
+    const data = await res.json();
+
+    if (!data.success) {
+      alert('Failed to load history: ' + (data.message || data.error));
+      return;
+    }
+
+    let modal = document.getElementById('diffModal');
+    if (!modal) {
+      modal = document.createElement('div');
+      modal.id = 'diffModal';
+      document.body.appendChild(modal);
+    }
+
+    const label = `${collection}/${slug}${locale ? ` (${locale.toUpperCase()})` : ''}`;
+    modal.className = 'diff-modal-overlay';
+    modal.innerHTML = `
+      <div class="diff-modal entry-history-modal">
+        <div class="diff-modal-header">
+          <h3>History: ${escapeHtml(label)}</h3>
+          <button type="button" class="diff-modal-close" data-close-diff>&times;</button>
+        </div>
+        <div class="entry-history-list">
+          ${data.revisions.length === 0 ? '<div class="changes-empty">No revisions yet</div>' : data.revisions.map(revision => `
+            <button type="button" class="commit-item entry-history-item" data-revision="${revision.id}">
+              <span class="commit-hash">#${revision.id}</span>
+              <span class="commit-message">${REVISION_ACTION_LABELS[revision.action] || escapeHtml(revision.action)}${revision.restoredFrom ? ` #${revision.restoredFrom}` : ''}</span>
+              <span class="commit-author">${escapeHtml(revision.author || '')}</span>
+              <span class="commit-date">${formatRelativeDate(revision.createdAt)}</span>
+            </button>
+          `).join('')}
+        </div>
+        <div class="diff-modal-body">
+          <pre class="diff-content" data-revision-diff><span class="diff-empty">Pick a revision to compare it with the current version</span></pre>
+        </div>
+        <div class="diff-modal-footer">
+          <button type="button" class="btn btn-sm btn-secondary" data-close-diff>Close</button>
+          <button type="button" class="btn btn-sm btn-danger" data-restore-revision disabled>Restore</button>
+        </div>
+      </div>
+    `;
+
+    modal.querySelectorAll('[data-close-diff]').forEach(btn => {
+      btn.addEventListener('click', closeDiffModal);
+    });
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) closeDiffModal();
+    });
+
+    const diffEl = modal.querySelector('[data-revision-diff]');
+    const restoreBtn = modal.querySelector('[data-restore-revision]');
+    let selected = null;
+
+    modal.querySelectorAll('[data-revision]').forEach(item => {
+      item.addEventListener('click', async () => {
+        const revision = data.revisions.find(r => String(r.id) === item.dataset.revision);
+        selected = revision;
+        modal.querySelectorAll('[data-revision]').forEach(other => other.classList.toggle('active', other === item));
+        restoreBtn.disabled = revision.action === 'delete';
+        restoreBtn.textContent = `Restore #${revision.id}`;
+
+        diffEl.innerHTML = '<span class="diff-empty">Loading...</span>';
+        try {
+          const diffRes = await fetch(`${base}/diff?from=${revision.id}${query ? `&${query}` : ''}`);
+          const diffData = await diffRes.json();
+          if (selected !== revision) return;
+          diffEl.innerHTML = diffData.success
+            // Headers without a hunk: identical to the current version
+            ? formatDiff(diffData.diff.includes('\n@@') ? diffData.diff : '')
+            : escapeHtml(diffData.message || diffData.error);
+        } catch (error) {
+          diffEl.textContent = `Failed to load diff: ${error.message}`;
+        }
+      });
+    });
+
+    restoreBtn.addEventListener('click', async () => {
+      if (!selected || !confirm(`Restore ${label} to revision #${selected.id}?\n\nThe current version stays in the history.`)) {
+        return;
+      }
+      try {
+        const restoreRes = await fetch(`${base}/${selected.id}/restore?${query}`, { method: 'POST' });
+        const restored = await restoreRes.json();
+        if (!restored.success) {
+          alert('Failed to restore: ' + (restored.message || restored.error));
+          return;
+        }
+        closeDiffModal();
+        // Reload the entry in the editor, as for a reverted file
+        window.dispatchEvent(new CustomEvent('fileReverted', { detail: { file: restored.filePath } }));
+      } catch (error) {
+        console.error('Error restoring revision:', error);
+        alert('Failed to restore revision');
+      }
+    });
+  } catch (error) {
+    console.error('Error loading history:', error);
+    alert('Failed to load history');
+  }
+}
+
 /**
  * Show publish dialog and return promise with message
  * @param {Object} options - Dialog options
  * @param {string} options.title - Dialog title
  * @param {string} options.confirmText - Text for confirm button
- * @returns {Promise<string|null>} Resolves with message (or empty string), null if cancelled
+ * @param {string} [options.scheduleLabel] - Offer "Schedule publish" for this
+ *   entry; the dialog then resolves with { message, publishAt } instead
+ * @returns {Promise<string|{message: string, publishAt: string|null}|null>}
+ *   Resolves with message (or empty string), null if cancelled
  */
 export function showPublishDialog(options = {}) {
   const {
     title = 'Publish Your Changes',
-    confirmText = 'Publish'
+    confirmText = 'Publish',
+    scheduleLabel = null,
   } = options;
 
   return new Promise((resolve) => {
@@ -334,6 +737,12 @@ export function showPublishDialog(options = {}) {
             rows="3"
           ></textarea>
           <p class="commit-hint">If left blank, we'll create a note based on what was changed.</p>
+          ${scheduleLabel ? `
+          <label class="commit-schedule">
+            <input type="checkbox" id="commitSchedule">
+            Schedule publish for ${escapeHtml(scheduleLabel)} at
+            <input type="datetime-local" id="commitScheduleAt" class="commit-schedule-input" disabled>
+          </label>` : ''}
         </div>
         <div class="commit-modal-footer">
           <button type="button" class="btn btn-sm btn-secondary" data-close-commit>Cancel</button>
@@ -349,9 +758,32 @@ export function showPublishDialog(options = {}) {
     modal.addEventListener('click', (e) => {
       if (e.target === modal) closeAndResolve(null);
     });
-    modal.querySelector('[data-confirm-commit]').addEventListener('click', () => {
+    const confirmBtn = modal.querySelector('[data-confirm-commit]');
+    const scheduleBox = modal.querySelector('#commitSchedule');
+    const scheduleAt = modal.querySelector('#commitScheduleAt');
+    scheduleBox?.addEventListener('change', () => {
+      scheduleAt.disabled = !scheduleBox.checked;
+      confirmBtn.textContent = scheduleBox.checked ? 'Schedule' : confirmText;
+      if (scheduleBox.checked) scheduleAt.focus();
+    });
+
+    confirmBtn.addEventListener('click', () => {
       const message = document.getElementById('commitMessage').value.trim();
-      closeAndResolve(message);
+      if (!scheduleLabel) {
+        closeAndResolve(message);
+        return;
+      }
+      if (!scheduleBox.checked) {
+        closeAndResolve({ message, publishAt: null });
+        return;
+      }
+      // datetime-local is in the editor's local time; send an absolute instant
+      const publishAt = new Date(scheduleAt.value);
+      if (Number.isNaN(publishAt.getTime())) {
+        scheduleAt.focus();
+        return;
+      }
+      closeAndResolve({ message, publishAt: publishAt.toISOString() });
     });
 
     // Focus the textarea
@@ -376,6 +808,20 @@ export function showPublishDialog(options = {}) {
  * Show commit dialog (internal use for changes panel)
  */
 function showCommitDialog() {
+  if (branchState) {
+    showPublishDialog({ title: 'Submit for Review', confirmText: 'Submit' })
+      .then(async message => {
+        if (message === null) return;
+        const data = await submitForReview(message);
+        if (data.success) {
+          showSuccessToast(data.message);
+        } else {
+          alert(`Failed to submit: ${data.message || data.error}`);
+        }
+      });
+    return;
+  }
+
   showPublishDialog({ title: 'Save Your Changes', confirmText: 'Save Changes' })
     .then(message => {
       if (message !== null) {
@@ -473,9 +919,9 @@ function formatFilePath(path) {
 }
 
 /**
- * Format diff with syntax highlighting
+ * Format diff with syntax highlighting (also used by the find-and-replace preview)
  */
-function formatDiff(diff) {
+export function formatDiff(diff) {
   if (!diff) return '<span class="diff-empty">No changes</span>';
 
   return escapeHtml(diff)
@@ -513,6 +959,15 @@ function formatRelativeDate(dateStr) {
   return date.toLocaleDateString();
 }
 
+/**
+ * Format a duration in ms as e.g. "42s" or "3m 5s"
+ */
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
 /**
  * Truncate string
  */
@@ -2,10 +2,15 @@
  * Dashboard functionality - Shopify-style layout
  */
 
-import { generateForm, extractFormData, setupFormHandlers } from './form-generator.js';
+import { generateForm, extractFormData, setupFormHandlers, showFieldErrors, clearFieldErrors, highlightField, registerBlockLocaleCopy } from './form-generator.js';
 import { registerReferenceFieldHandlers } from './field-widgets.js';
 import { openReferencePicker } from './reference-picker.js';
-import { toggleChangesPanel, getChangesCount, showPublishDialog } from './changes-panel.js';
+import { toggleChangesPanel, getChangesCount, showPublishDialog, submitForReview, showEntryHistory } from './changes-panel.js';
+import { toggleReleasesPanel } from './releases-panel.js';
+import { createStreamId, openPublishLogStream } from './publish-log.js';
+import { openSearchPalette, registerSearchShortcut } from './search-palette.js';
+import { openFindReplace } from './find-replace.js';
+import { loadBlockLibrary } from './block-library.js';
 
 import { escapeHtml } from './escape-html.js';
 
@@ -26,6 +31,17 @@ let isNewEntry = false; // Track if current entry is new (unsaved)
 let isVirtualPage = false; // Track if current view is a virtual page
 let selectedPreviewBlock = null; // For component preview: which block to render with
 let gitEnabled = true; // Whether git integration is enabled (from /api/config)
+let branchWorkflow = false; // Edits go to review branches instead of publishing (from /api/config)
+let revisionsEnabled = false; // The SQLite store keeps entry revisions (from /api/config)
+let currentRole = 'admin'; // Logged-in user's role (from /api/session)
+
+// Publishing workflow labels (published entries carry no badge)
+const STATUS_LABELS = {
+  draft: 'Draft',
+  in_review: 'In review',
+  scheduled: 'Scheduled',
+  published: 'Published',
+};
 
 // i18n state
 let i18nConfig = {
@@ -44,6 +60,16 @@ async function checkAuth() {
 
     if (!data.authenticated) {
       window.location.href = '/login';
+      return;
+    }
+
+    // Viewers are read-only: the server rejects their writes, so don't offer them
+    currentRole = data.role || 'admin';
+    if (currentRole === 'viewer') {
+      const publishBtn = document.getElementById('publishBtn');
+      if (publishBtn) publishBtn.style.display = 'none';
+      document.getElementById('replaceBtn').style.display = 'none';
+      updateSaveStatus('Read-only');
     }
   } catch (error) {
     console.error('Auth check failed:', error);
@@ -59,6 +85,19 @@ async function loadConfig() {
     previewUrl = data.previewUrl;
     publicUrl = data.publicUrl || '';
     gitEnabled = data.gitEnabled !== false;
+    branchWorkflow = data.branchWorkflow === true;
+    revisionsEnabled = data.revisions === true;
+
+    // Versioned deploys (rsync releases mode) can be listed and rolled back
+    if (data.releases) {
+      document.getElementById('releasesBtn').style.display = '';
+    }
+
+    // With the branch workflow, editors submit their branch for an admin to
+    // merge rather than publishing directly
+    if (branchWorkflow) {
+      document.getElementById('publishBtn').textContent = 'Submit for review';
+    }
 
     // Content lives in the database, so the git-history "Changes" panel only
     // makes sense when git is enabled. Hide it otherwise (publish still works
@@ -73,6 +112,9 @@ async function loadConfig() {
       i18nConfig = data.i18n;
       if (i18nConfig.enabled) {
         currentLocale = i18nConfig.defaultLocale;
+        if (i18nConfig.locales.length > 1) {
+          registerBlockLocaleCopy(openCopyLocaleModal);
+        }
       }
     }
   } catch (error) {
@@ -144,17 +186,26 @@ function populatePageSelector(collections, i18nInfo = null, staticPages = []) {
     const collectionLabel = collection.name.charAt(0).toUpperCase() + collection.name.slice(1);
     optgroup.label = collectionLabel;
 
-    // Add "+ New" option at top of each collection
-    const newOption = document.createElement('option');
-    newOption.value = `new:${collection.name}`;
-    newOption.textContent = `+ New ${singularize(collectionLabel)}...`;
-    newOption.className = 'new-item-option';
-    optgroup.appendChild(newOption);
+    // Add "+ New" option at top of each collection (unless it's read-only
+    // for this user; collections they can't see at all aren't listed)
+    if (collection.access !== 'read' && currentRole !== 'viewer') {
+      const newOption = document.createElement('option');
+      newOption.value = `new:${collection.name}`;
+      newOption.textContent = `+ New ${singularize(collectionLabel)}...`;
+      newOption.className = 'new-item-option';
+      optgroup.appendChild(newOption);
+    }
 
     collection.entries.forEach(slug => {
       const option = document.createElement('option');
       option.value = `${collection.name}/${slug}`;
-      option.textContent = slug;
+      const statusKey = i18nConfig.enabled && currentLocale ? `${slug}:${currentLocale}` : slug;
+      const entryStatus = collection.statuses?.[statusKey];
+      option.textContent = entryStatus ? `${slug} · ${STATUS_LABELS[entryStatus.status]}` : slug;
+      if (entryStatus?.lastError) {
+        option.textContent += ' · publish failed';
+        option.title = entryStatus.lastError;
+      }
       optgroup.appendChild(option);
 
       // Store for reference
@@ -395,9 +446,42 @@ function openNewItemModal(collectionName) {
 
   // Show modal
   modal.classList.remove('hidden');
+  loadTemplateOptions(collectionName);
   slugInput.focus();
 }
 
+// Offer the collection's templates (if it has any) as starting points
+async function loadTemplateOptions(collectionName) {
+  const group = document.getElementById('newItemTemplateGroup');
+  const select = document.getElementById('newItemTemplate');
+  group.classList.add('hidden');
+  select.innerHTML = '<option value="">Blank</option>';
+  document.getElementById('newItemTemplateDescription').textContent = '';
+
+  try {
+    const response = await fetch(`/api/templates/${collectionName}`);
+    const result = await response.json();
+    // The modal may have been closed or reopened for another collection since
+    if (!result.success || pendingNewCollection !== collectionName) return;
+
+    for (const template of result.templates) {
+      const option = document.createElement('option');
+      option.value = template.id;
+      option.textContent = template.name;
+      option.dataset.description = template.description;
+      select.appendChild(option);
+    }
+    group.classList.toggle('hidden', result.templates.length === 0);
+  } catch (error) {
+    console.error('Failed to load templates:', error);
+  }
+}
+
+document.getElementById('newItemTemplate').addEventListener('change', (e) => {
+  document.getElementById('newItemTemplateDescription').textContent =
+    e.target.selectedOptions[0]?.dataset.description || '';
+});
+
 function closeNewItemModal() {
   const modal = document.getElementById('newItemModal');
   modal.classList.add('hidden');
@@ -443,9 +527,10 @@ document.getElementById('newItemModal').addEventListener('click', (e) => {
   if (e.target.matches('[data-create]') && !e.target.disabled) {
     const slug = document.getElementById('newItemSlug').value.trim();
     const collection = pendingNewCollection; // Capture before close clears it
+    const templateId = document.getElementById('newItemTemplate').value || null;
     if (collection && slug) {
       closeNewItemModal();
-      createNewEntry(collection, slug);
+      createNewEntry(collection, slug, templateId);
     }
   }
 });
@@ -489,7 +574,7 @@ document.getElementById('newItemSlug').addEventListener('keydown', (e) => {
 // Create New Entry
 // ============================================
 
-async function createNewEntry(collection, slug) {
+async function createNewEntry(collection, slug, templateId = null) {
   currentCollection = collection;
   currentSlug = slug;
   isNewEntry = true;
@@ -505,6 +590,11 @@ async function createNewEntry(collection, slug) {
   document.getElementById('editorTitle').textContent = `New: ${slug}`;
   document.getElementById('editorForm').innerHTML = '<p class="placeholder-text">Loading...</p>';
   document.getElementById('deleteEntryBtn').style.display = 'none'; // Can't delete unsaved entry
+  document.getElementById('duplicateEntryBtn').style.display = 'none';
+  document.getElementById('saveTemplateBtn').style.display = 'none';
+  document.getElementById('renameEntryBtn').style.display = 'none';
+  document.getElementById('historyBtn').style.display = 'none';
+  hideEntryStatus();
   updateSaveStatus('New - unsaved');
 
   try {
@@ -519,16 +609,25 @@ async function createNewEntry(collection, slug) {
     // Determine content type based on collection
     const contentType = schemaData.collection.type === 'data' ? 'data' : 'content';
 
-    // Initialize currentData with empty content
+    // Start from the chosen template, or empty
+    let initial = { data: {}, body: '' };
+    if (templateId) {
+      const templateResponse = await fetch(`/api/templates/${collection}/${templateId}`);
+      const templateData = await templateResponse.json();
+      if (!templateData.success) {
+        throw new Error(templateData.message || 'Failed to load template');
+      }
+      initial = { data: templateData.template.data, body: templateData.template.body || '' };
+    }
+
     currentData = {
-      data: {},
-      body: '',
+      data: initial.data,
+      body: initial.body,
       type: contentType,
       schema: schemaData.collection.schema
     };
 
-    // Render empty editor
-    renderEditorForNewEntry(schemaData.collection.schema, contentType);
+    renderEditorForNewEntry(schemaData.collection.schema, contentType, initial);
 
   } catch (error) {
     console.error('Failed to create new entry:', error);
@@ -538,12 +637,11 @@ async function createNewEntry(collection, slug) {
   }
 }
 
-// Render editor for a new entry (with empty data)
-function renderEditorForNewEntry(schema, contentType) {
+// Render editor for a new entry (empty, or a template's data and body)
+function renderEditorForNewEntry(schema, contentType, initial = { data: {}, body: '' }) {
   const editorForm = document.getElementById('editorForm');
 
-  // Generate form from schema with empty data
-  const formHtml = generateForm(schema, {});
+  const formHtml = generateForm(schema, initial.data);
 
   // Only show markdown body editor for content types that DON'T use blocks
   const hasBlocks = schema?.properties?.blocks;
@@ -556,7 +654,9 @@ function renderEditorForNewEntry(schema, contentType) {
         rows="6"
         class="form-input"
         placeholder="Enter markdown content..."
-      ></textarea>
+        data-markdown="true"
+        data-markdown-editor="true"
+      >${escapeHtml(initial.body || '')}</textarea>
     </div>
   ` : '';
 
@@ -611,6 +711,11 @@ async function loadEntry(collection, slug, updateUrl = true) {
   document.getElementById('editorTitle').textContent = `Editing: ${slug}${localeLabel}`;
   document.getElementById('editorForm').innerHTML = '<p class="placeholder-text">Loading...</p>';
   document.getElementById('deleteEntryBtn').style.display = 'inline-block';
+  document.getElementById('duplicateEntryBtn').style.display = 'inline-block';
+  document.getElementById('saveTemplateBtn').style.display = 'inline-block';
+  document.getElementById('renameEntryBtn').style.display = 'inline-block';
+  document.getElementById('historyBtn').style.display = revisionsEnabled ? 'inline-block' : 'none';
+  hideEntryStatus();
 
   try {
     // Build URL with locale query param if i18n enabled
@@ -627,6 +732,8 @@ async function loadEntry(collection, slug, updateUrl = true) {
       renderEditor(data);
       renderBlockSelector(); // Show block selector for component preview
       updatePreview();
+      loadEntryStatus(collection, slug);
+      loadUsedBy(collection, slug);
     } else if (response.status === 404 && i18nConfig.enabled) {
       // Entry doesn't exist for this locale - show empty form for new translation
       isNewEntry = true;
@@ -640,6 +747,140 @@ async function loadEntry(collection, slug, updateUrl = true) {
   }
 }
 
+// ============================================
+// Used by (entries referencing this one)
+// ============================================
+
+function formatReferrer(referrer) {
+  const locale = referrer.locale ? ` (${referrer.locale.toUpperCase()})` : '';
+  const title = referrer.title && referrer.title !== referrer.slug ? ` — ${referrer.title}` : '';
+  return `${referrer.collection}/${referrer.slug}${locale}${title}`;
+}
+
+/**
+ * List the entries that reference this one below the form
+ */
+async function loadUsedBy(collection, slug) {
+  try {
+    const response = await fetch(`/api/content/${collection}/${slug}/references`);
+    const result = await response.json();
+    if (!result.success || collection !== currentCollection || slug !== currentSlug) return;
+
+    const form = document.getElementById('editorForm');
+    form.querySelector('.used-by')?.remove();
+    if (result.referrers.length === 0 && result.hidden === 0) return;
+
+    const section = document.createElement('section');
+    section.className = 'used-by';
+    section.innerHTML = `
+      <h3 class="used-by-title">Used by</h3>
+      <ul class="used-by-list">
+        ${result.referrers.map(referrer => `
+          <li>
+            <button type="button" class="used-by-link" data-collection="${escapeHtml(referrer.collection)}" data-slug="${escapeHtml(referrer.slug)}">
+              ${escapeHtml(formatReferrer(referrer))}
+            </button>
+            <span class="used-by-fields">${escapeHtml(referrer.fields.join(', '))}</span>
+          </li>
+        `).join('')}
+        ${result.hidden > 0 ? `<li class="used-by-fields">${result.hidden} more in collections you can't see</li>` : ''}
+      </ul>
+    `;
+    section.querySelectorAll('.used-by-link').forEach(link => {
+      link.addEventListener('click', () => loadEntry(link.dataset.collection, link.dataset.slug));
+    });
+    form.appendChild(section);
+  } catch (error) {
+    console.error('Failed to load references:', error);
+  }
+}
+
+// ============================================
+// Publishing Status
+// ============================================
+
+function entryStatusUrl(collection, slug) {
+  let url = `/api/content/${collection}/${slug}/status`;
+  if (i18nConfig.enabled && currentLocale) {
+    url += `?locale=${currentLocale}`;
+  }
+  return url;
+}
+
+/**
+ * Show the status control with an entry's status, and why its scheduled
+ * publish failed if it did
+ */
+function showEntryStatus(status, publishAt, failure = {}) {
+  const select = document.getElementById('entryStatus');
+  select.value = status;
+  select.dataset.status = status;
+  select.title = status === 'scheduled' && publishAt
+    ? `Scheduled to publish ${new Date(publishAt).toLocaleString()}`
+    : 'Publishing status — only published entries go out with the next publish';
+  if (status === 'scheduled' && failure.lastError) {
+    const retry = failure.retryAt
+      ? `retrying ${new Date(failure.retryAt).toLocaleString()}`
+      : 'gave up; publish or reschedule it';
+    select.title += `\nPublish failed (${failure.attempts}×, ${retry}): ${failure.lastError}`;
+    select.dataset.failed = 'true';
+  } else {
+    delete select.dataset.failed;
+  }
+  const collection = allCollections.find(c => c.name === currentCollection);
+  select.disabled = currentRole === 'viewer' || collection?.access === 'read';
+  select.style.display = 'inline-block';
+}
+
+function hideEntryStatus() {
+  document.getElementById('entryStatus').style.display = 'none';
+}
+
+async function loadEntryStatus(collection, slug) {
+  try {
+    const response = await fetch(entryStatusUrl(collection, slug));
+    const result = await response.json();
+    if (result.success && collection === currentCollection && slug === currentSlug) {
+      showEntryStatus(result.status, result.publishAt, result);
+    }
+  } catch (error) {
+    console.error('Failed to load status:', error);
+  }
+}
+
+/**
+ * Change the current entry's status, refreshing the page selector badges
+ * @returns {Promise<boolean>} Whether it was saved
+ */
+async function saveEntryStatus(status, publishAt = null) {
+  const collection = currentCollection;
+  const slug = currentSlug;
+  try {
+    const response = await fetch(entryStatusUrl(collection, slug), {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ status, publishAt }),
+    });
+    const result = await response.json();
+    if (!result.success) {
+      showNotification(result.message || result.error, 'error');
+      loadEntryStatus(collection, slug);
+      return false;
+    }
+    showEntryStatus(result.status, result.publishAt, result);
+    loadPages();
+    return true;
+  } catch (error) {
+    console.error('Failed to save status:', error);
+    showNotification('Failed to update status', 'error');
+    return false;
+  }
+}
+
+document.getElementById('entryStatus').addEventListener('change', (e) => {
+  saveEntryStatus(e.target.value);
+});
+
 // ============================================
 // Virtual Page Functions
 // ============================================
@@ -669,6 +910,11 @@ function loadVirtualPage(pageSlug) {
   // Update UI
   document.getElementById('editorTitle').textContent = page.name;
   document.getElementById('deleteEntryBtn').style.display = 'none';
+  document.getElementById('duplicateEntryBtn').style.display = 'none';
+  document.getElementById('saveTemplateBtn').style.display = 'none';
+  document.getElementById('renameEntryBtn').style.display = 'none';
+  document.getElementById('historyBtn').style.display = 'none';
+  hideEntryStatus();
   document.getElementById('localeTabs').style.display = 'none';
 
   // Hide block selector
@@ -851,6 +1097,8 @@ async function renderEditor(entryData) {
   const bodyLineCount = (bodyContent.match(/\n/g) || []).length + 1;
   const bodyCharRows = Math.ceil(bodyContent.length / 60);
   const bodyRows = Math.max(8, Math.min(20, Math.max(bodyLineCount, bodyCharRows)));
+  // MDX bodies can use the site's components (the editor offers a palette)
+  const isMdx = /\.mdx$/i.test(entryData.filePath || '');
   const bodyEditor = (entryData.type === 'content' && !hasBlocks) ? `
     <div class="form-group">
       <label for="markdown-body" class="form-label">Content (Markdown)</label>
@@ -862,7 +1110,10 @@ async function renderEditor(entryData) {
           class="form-input textarea-autogrow"
           placeholder="Enter markdown content..."
           data-markdown="true"
-        >${bodyContent}</textarea>
+          data-markdown-editor="true"
+          data-mdx="${isMdx}"
+          data-entry-path="${escapeHtml(entryData.filePath || '')}"
+        >${escapeHtml(bodyContent)}</textarea>
         <button type="button" class="textarea-expand-btn" data-expand-textarea title="Expand editor">
           <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <polyline points="15 3 21 3 21 9"></polyline>
@@ -1227,6 +1478,15 @@ function updateSaveStatus(message) {
 
 // Save content
 async function saveContent(silent = false) {
+  if (currentRole === 'viewer') {
+    if (!silent) showNotification('Read-only access: your account cannot save changes', 'error');
+    return;
+  }
+  if (allCollections.find(c => c.name === currentCollection)?.access === 'read') {
+    if (!silent) showNotification(`Read-only access: your account cannot edit ${currentCollection}`, 'error');
+    return;
+  }
+
   const form = document.getElementById('contentForm');
 
   // Extract form data
@@ -1266,6 +1526,7 @@ async function saveContent(silent = false) {
     const result = await response.json();
 
     if (result.success) {
+      clearFieldErrors(form);
       updateSaveStatus('Saved');
       if (!silent) {
         showNotification('Changes saved!', 'success');
@@ -1280,6 +1541,7 @@ async function saveContent(silent = false) {
         await loadPages();
         // Select the new entry in dropdown
         document.getElementById('pageSelector').value = `${currentCollection}/${currentSlug}`;
+        loadEntryStatus(currentCollection, currentSlug);
 
         // Refresh entry locales after save (new locale now exists)
         if (i18nConfig.enabled) {
@@ -1302,6 +1564,20 @@ async function saveContent(silent = false) {
       // This may be fixed in future Astro versions. See: https://github.com/withastro/astro/issues/13138
       await new Promise(r => setTimeout(r, 2000));
       updatePreview();
+    } else if (response.status === 422 && Array.isArray(result.errors)) {
+      // Schema validation failed: point at the offending fields, even on autosave
+      updateSaveStatus('Invalid');
+      const unmatched = showFieldErrors(form, result.errors);
+      if (!silent) {
+        const detail = unmatched.map(e => (e.path ? `${e.path}: ${e.message}` : e.message)).join('; ');
+        showNotification(`Failed to save: ${result.message}${detail ? ` (${detail})` : ''}`, 'error');
+      }
+    } else if (response.status === 409 && branchWorkflow) {
+      // No editing branch checked out for this session (see the Changes panel)
+      updateSaveStatus('Not saved');
+      if (!silent) {
+        showNotification(result.message, 'error');
+      }
     } else {
       updateSaveStatus('Error');
       if (!silent) {
@@ -1568,6 +1844,54 @@ document.addEventListener('keydown', (e) => {
   }
 });
 
+// Content search: Cmd/Ctrl + K or the topbar button
+registerSearchShortcut(openSearchResult);
+document.getElementById('searchBtn').addEventListener('click', () => openSearchPalette(openSearchResult));
+
+/**
+ * Open the entry a search result points at and highlight the field that matched
+ */
+async function openSearchResult(result) {
+  if (i18nConfig.enabled && result.locale && result.locale !== currentLocale) {
+    currentLocale = result.locale;
+    renderLocaleTabs();
+  }
+  await loadEntry(result.collection, result.slug);
+  if (currentCollection === result.collection && currentSlug === result.slug) {
+    highlightField(document.getElementById('editorForm'), result.field);
+  }
+}
+
+// Find and replace across content
+document.getElementById('replaceBtn').addEventListener('click', () => {
+  openFindReplace({
+    collections: allCollections,
+    locales: i18nConfig.enabled ? i18nConfig.locales : [],
+    onApplied: (result) => {
+      const committed = result.commit ? ' and committed' : '';
+      showNotification(`${result.message}${committed}`, 'success');
+      updateChangesBadge();
+      // The open entry may be one that changed: show the replaced text
+      const changedCurrent = result.entries.some(entry =>
+        entry.collection === currentCollection && entry.slug === currentSlug
+      );
+      if (changedCurrent && !isNewEntry) {
+        loadEntry(currentCollection, currentSlug, false);
+      }
+    },
+  });
+});
+
+// Revision history (SQLite store); restoring reloads the entry via fileReverted
+document.getElementById('historyBtn').addEventListener('click', () => {
+  if (!currentCollection || !currentSlug || isNewEntry) return;
+  showEntryHistory({
+    collection: currentCollection,
+    slug: currentSlug,
+    locale: i18nConfig.enabled ? currentLocale : null,
+  });
+});
+
 // Delete entry handler
 document.getElementById('deleteEntryBtn').addEventListener('click', async () => {
   if (!currentCollection || !currentSlug || isNewEntry) return;
@@ -1587,11 +1911,21 @@ document.getElementById('deleteEntryBtn').addEventListener('click', async () =>
       apiUrl += `?locale=${currentLocale}`;
     }
 
-    const response = await fetch(apiUrl, {
+    let response = await fetch(apiUrl, {
       method: 'DELETE',
     });
+    let result = await response.json();
 
-    const result = await response.json();
+    // Other entries reference this one: deleting it breaks them, so say which
+    if (response.status === 409 && result.referrers) {
+      const names = result.referrers.map(referrer => `  • ${formatReferrer(referrer)}`);
+      if (result.hidden > 0) names.push(`  • ${result.hidden} more you can't see`);
+      const force = confirm(`${result.message}:\n\n${names.join('\n')}\n\nDelete anyway?`);
+      if (!force) return;
+
+      response = await fetch(`${apiUrl}${apiUrl.includes('?') ? '&' : '?'}force=true`, { method: 'DELETE' });
+      result = await response.json();
+    }
 
     if (result.success) {
       showNotification(`Deleted "${currentSlug}"${localeLabel}`, 'success');
@@ -1606,6 +1940,11 @@ document.getElementById('deleteEntryBtn').addEventListener('click', async () =>
       document.getElementById('editorTitle').textContent = 'Select a page to edit';
       document.getElementById('editorForm').innerHTML = '<p class="placeholder-text">Choose a page from the dropdown above to start editing.</p>';
       document.getElementById('deleteEntryBtn').style.display = 'none';
+      document.getElementById('duplicateEntryBtn').style.display = 'none';
+      document.getElementById('saveTemplateBtn').style.display = 'none';
+      document.getElementById('renameEntryBtn').style.display = 'none';
+      document.getElementById('historyBtn').style.display = 'none';
+      hideEntryStatus();
       document.getElementById('pageSelector').value = '';
 
       // Update URL
@@ -1627,6 +1966,394 @@ document.getElementById('deleteEntryBtn').addEventListener('click', async () =>
   }
 });
 
+// ============================================
+// Rename Modal (new slug, reference updates, redirect)
+// ============================================
+
+function openRenameModal() {
+  if (!currentCollection || !currentSlug || isNewEntry) return;
+  const errorEl = document.getElementById('renameError');
+  errorEl.classList.add('hidden');
+  errorEl.textContent = '';
+
+  document.getElementById('renameEntryName').textContent = currentSlug;
+  const slugInput = document.getElementById('renameSlug');
+  slugInput.value = currentSlug;
+  document.getElementById('renameModal').classList.remove('hidden');
+  slugInput.focus();
+  slugInput.select();
+}
+
+function closeRenameModal() {
+  document.getElementById('renameModal').classList.add('hidden');
+}
+
+async function renameCurrentEntry() {
+  const errorEl = document.getElementById('renameError');
+  const showError = (message) => {
+    errorEl.textContent = message;
+    errorEl.classList.remove('hidden');
+  };
+
+  const to = document.getElementById('renameSlug').value.trim();
+  if (to === currentSlug) {
+    closeRenameModal();
+    return;
+  }
+  const { valid, error } = validateSlug(to, currentCollection);
+  if (!valid) {
+    showError(error || 'Enter a new slug');
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/content/${currentCollection}/${currentSlug}/rename`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        to,
+        updateReferences: document.getElementById('renameUpdateReferences').checked,
+        redirect: document.getElementById('renameRedirect').value || null,
+      }),
+    });
+    const result = await response.json();
+    if (!result.success) {
+      showError(result.message || result.error);
+      return;
+    }
+
+    closeRenameModal();
+    const updated = result.references.length;
+    const notes = [`Renamed to "${to}"`];
+    if (updated > 0) notes.push(`updated ${updated} referencing entr${updated === 1 ? 'y' : 'ies'}`);
+    if (result.redirects) notes.push('added a redirect');
+    showNotification(notes.join(', '), 'success');
+    if (result.redirectError) {
+      showNotification(`No redirect added: ${result.redirectError}`, 'error');
+    }
+
+    await loadPages();
+    await loadEntry(currentCollection, to);
+    updateChangesBadge();
+  } catch (error) {
+    console.error('Rename failed:', error);
+    showError('Failed to rename entry');
+  }
+}
+
+document.getElementById('renameEntryBtn').addEventListener('click', openRenameModal);
+
+document.getElementById('renameModal').addEventListener('click', (e) => {
+  if (e.target.id === 'renameModal' || e.target.matches('[data-close]') || e.target.matches('[data-cancel]')) {
+    closeRenameModal();
+  }
+  if (e.target.matches('[data-save]')) {
+    renameCurrentEntry();
+  }
+});
+
+document.getElementById('renameSlug').addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') renameCurrentEntry();
+  if (e.key === 'Escape') closeRenameModal();
+});
+
+// ============================================
+// Duplicate Modal (copy to a new slug, optionally every translation)
+// ============================================
+
+function openDuplicateModal() {
+  if (!currentCollection || !currentSlug || isNewEntry) return;
+  const errorEl = document.getElementById('duplicateError');
+  errorEl.classList.add('hidden');
+  errorEl.textContent = '';
+
+  document.getElementById('duplicateEntryName').textContent = currentSlug;
+  document.getElementById('duplicateAllLocalesGroup').style.display = i18nConfig.enabled ? '' : 'none';
+  const slugInput = document.getElementById('duplicateSlug');
+  slugInput.value = `${currentSlug}-copy`;
+  document.getElementById('duplicateModal').classList.remove('hidden');
+  slugInput.focus();
+  slugInput.select();
+}
+
+function closeDuplicateModal() {
+  document.getElementById('duplicateModal').classList.add('hidden');
+}
+
+async function duplicateCurrentEntry() {
+  const errorEl = document.getElementById('duplicateError');
+  const showError = (message) => {
+    errorEl.textContent = message;
+    errorEl.classList.remove('hidden');
+  };
+
+  const to = document.getElementById('duplicateSlug').value.trim();
+  const { valid, error } = validateSlug(to, currentCollection);
+  if (!valid) {
+    showError(error || 'Enter a slug for the copy');
+    return;
+  }
+
+  try {
+    let apiUrl = `/api/content/${currentCollection}/${currentSlug}/duplicate`;
+    if (i18nConfig.enabled && currentLocale) {
+      apiUrl += `?locale=${currentLocale}`;
+    }
+    const response = await fetch(apiUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        to,
+        allLocales: i18nConfig.enabled && document.getElementById('duplicateAllLocales').checked,
+      }),
+    });
+    const result = await response.json();
+    if (!result.success) {
+      showError(result.message || result.error);
+      return;
+    }
+
+    closeDuplicateModal();
+    showNotification(`Duplicated as "${to}"`, 'success');
+    await loadPages();
+    await loadEntry(currentCollection, to);
+    updateChangesBadge();
+  } catch (error) {
+    console.error('Duplicate failed:', error);
+    showError('Failed to duplicate entry');
+  }
+}
+
+document.getElementById('duplicateEntryBtn').addEventListener('click', openDuplicateModal);
+
+document.getElementById('duplicateModal').addEventListener('click', (e) => {
+  if (e.target.id === 'duplicateModal' || e.target.matches('[data-close]') || e.target.matches('[data-cancel]')) {
+    closeDuplicateModal();
+  }
+  if (e.target.matches('[data-save]')) {
+    duplicateCurrentEntry();
+  }
+});
+
+document.getElementById('duplicateSlug').addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') duplicateCurrentEntry();
+  if (e.key === 'Escape') closeDuplicateModal();
+});
+
+// ============================================
+// Copy Block to Locale
+// ============================================
+
+let pendingLocaleCopy = null; // { field, block } from the block's "Copy to locale…"
+
+/**
+ * Offer the entry's other translations as targets for a block (registered
+ * with the block editor via registerBlockLocaleCopy)
+ */
+function openCopyLocaleModal({ field, block }) {
+  if (!currentCollection || !currentSlug || isNewEntry) return;
+  pendingLocaleCopy = { field, block };
+
+  const errorEl = document.getElementById('copyLocaleError');
+  errorEl.classList.add('hidden');
+  errorEl.textContent = '';
+
+  document.getElementById('copyLocaleOptions').innerHTML = i18nConfig.locales
+    .filter(locale => locale !== currentLocale)
+    .map(locale => {
+      const exists = entryLocales.includes(locale);
+      return `
+        <label class="checkbox-label">
+          <input type="checkbox" value="${escapeHtml(locale)}" ${exists ? '' : 'disabled'}>
+          <span>${escapeHtml(locale.toUpperCase())}${exists ? '' : ' (not translated yet)'}</span>
+        </label>
+      `;
+    }).join('');
+  document.getElementById('copyLocaleModal').classList.remove('hidden');
+}
+
+function closeCopyLocaleModal() {
+  document.getElementById('copyLocaleModal').classList.add('hidden');
+  pendingLocaleCopy = null;
+}
+
+async function copyBlockToLocales() {
+  const errorEl = document.getElementById('copyLocaleError');
+  const showError = (message) => {
+    errorEl.textContent = message;
+    errorEl.classList.remove('hidden');
+  };
+
+  const locales = [...document.querySelectorAll('#copyLocaleOptions input:checked')].map(input => input.value);
+  if (locales.length === 0) {
+    showError('Pick at least one locale');
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/content/${currentCollection}/${currentSlug}/copy-blocks?locale=${currentLocale}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ field: pendingLocaleCopy.field, blocks: [pendingLocaleCopy.block], locales }),
+    });
+    const result = await response.json();
+    if (!result.success) {
+      const detail = (result.locales || [])
+        .map(({ locale, errors }) => `${locale}: ${errors.map(error => `${error.path} ${error.message}`).join('; ')}`)
+        .join(' — ');
+      showError(`${result.message || result.error}${detail ? ` (${detail})` : ''}`);
+      return;
+    }
+
+    closeCopyLocaleModal();
+    showNotification(result.message, 'success');
+    updateChangesBadge();
+  } catch (error) {
+    console.error('Copy to locale failed:', error);
+    showError('Failed to copy the block');
+  }
+}
+
+document.getElementById('copyLocaleModal').addEventListener('click', (e) => {
+  if (e.target.id === 'copyLocaleModal' || e.target.matches('[data-close]') || e.target.matches('[data-cancel]')) {
+    closeCopyLocaleModal();
+  }
+  if (e.target.matches('[data-save]')) {
+    copyBlockToLocales();
+  }
+});
+
+// ============================================
+// Save as Template Modal (the entry as a starting point for new ones)
+// ============================================
+
+function openTemplateModal() {
+  if (!currentCollection || !currentSlug || isNewEntry) return;
+  const errorEl = document.getElementById('templateError');
+  errorEl.classList.add('hidden');
+  errorEl.textContent = '';
+
+  document.getElementById('templateName').value = '';
+  document.getElementById('templateDescription').value = '';
+  document.getElementById('templateModal').classList.remove('hidden');
+  document.getElementById('templateName').focus();
+}
+
+function closeTemplateModal() {
+  document.getElementById('templateModal').classList.add('hidden');
+}
+
+async function saveCurrentAsTemplate() {
+  const errorEl = document.getElementById('templateError');
+  try {
+    // The form as it is now, saved or not
+    const form = document.getElementById('contentForm');
+    const response = await fetch(`/api/templates/${currentCollection}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        name: document.getElementById('templateName').value,
+        description: document.getElementById('templateDescription').value,
+        data: form ? extractFormData(form) : currentData.data,
+        body: document.getElementById('markdown-body')?.value ?? currentData.body,
+        type: currentData.type,
+      }),
+    });
+    const result = await response.json();
+    if (!result.success) {
+      errorEl.textContent = result.message || result.error;
+      errorEl.classList.remove('hidden');
+      return;
+    }
+    closeTemplateModal();
+    showNotification(`Saved template "${result.template.name}"`, 'success');
+  } catch (error) {
+    console.error('Failed to save template:', error);
+    errorEl.textContent = 'Failed to save template';
+    errorEl.classList.remove('hidden');
+  }
+}
+
+document.getElementById('saveTemplateBtn').addEventListener('click', openTemplateModal);
+
+document.getElementById('templateModal').addEventListener('click', (e) => {
+  if (e.target.id === 'templateModal' || e.target.matches('[data-close]') || e.target.matches('[data-cancel]')) {
+    closeTemplateModal();
+  }
+  if (e.target.matches('[data-save]')) {
+    saveCurrentAsTemplate();
+  }
+});
+
+document.getElementById('templateName').addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') saveCurrentAsTemplate();
+  if (e.key === 'Escape') closeTemplateModal();
+});
+
+// ============================================
+// Profile Modal (name + email commits are attributed to)
+// ============================================
+
+async function openProfileModal() {
+  const modal = document.getElementById('profileModal');
+  const errorEl = document.getElementById('profileError');
+  errorEl.classList.add('hidden');
+  errorEl.textContent = '';
+
+  try {
+    const response = await fetch('/api/profile');
+    const result = await response.json();
+    document.getElementById('profileName').value = result.profile?.name || '';
+    document.getElementById('profileEmail').value = result.profile?.email || '';
+  } catch (error) {
+    console.error('Failed to load profile:', error);
+  }
+
+  modal.classList.remove('hidden');
+  document.getElementById('profileName').focus();
+}
+
+function closeProfileModal() {
+  document.getElementById('profileModal').classList.add('hidden');
+}
+
+async function saveProfile() {
+  const errorEl = document.getElementById('profileError');
+  try {
+    const response = await fetch('/api/profile', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        name: document.getElementById('profileName').value,
+        email: document.getElementById('profileEmail').value,
+      }),
+    });
+    const result = await response.json();
+    if (!result.success) {
+      errorEl.textContent = result.message || result.error;
+      errorEl.classList.remove('hidden');
+      return;
+    }
+    closeProfileModal();
+    showNotification('Profile saved', 'success');
+  } catch (error) {
+    console.error('Failed to save profile:', error);
+    errorEl.textContent = 'Failed to save profile';
+    errorEl.classList.remove('hidden');
+  }
+}
+
+document.getElementById('profileBtn').addEventListener('click', openProfileModal);
+
+document.getElementById('profileModal').addEventListener('click', (e) => {
+  if (e.target.id === 'profileModal' || e.target.matches('[data-close]') || e.target.matches('[data-cancel]')) {
+    closeProfileModal();
+  }
+  if (e.target.matches('[data-save]')) {
+    saveProfile();
+  }
+});
+
 // Logout
 document.getElementById('logoutBtn').addEventListener('click', async () => {
   try {
@@ -1678,28 +2405,70 @@ function getCurrentPagePath() {
 }
 
 // A persistent, updatable status toast (unlike showNotification's fire-and-forget)
-// so the post-publish "publishing… → now live!" flow can update in place.
+// so the post-publish "publishing… → now live!" flow can update in place. It
+// also collects the run's live output in an expandable log, and links to the
+// full log once the server reports the run id.
+const PUBLISH_LOG_MAX_LINES = 500;
+
 function showPublishStatus(message) {
   const el = document.createElement('div');
   el.className = 'notification notification-info';
   el.style.cssText = `position:fixed;top:60px;right:20px;padding:12px 20px;background:#667eea;` +
     `color:white;border-radius:6px;box-shadow:0 4px 12px rgba(0,0,0,0.15);z-index:1000;` +
     `font-size:14px;max-width:360px;`;
-  el.textContent = message;
+  el.innerHTML = `
+    <div class="publish-status-message"></div>
+    <div class="publish-status-actions hidden">
+      <button type="button" class="publish-status-action" data-toggle-log>Show log</button>
+      <a class="publish-status-action hidden" target="_blank" rel="noopener" data-full-log>View full log</a>
+      <button type="button" class="publish-status-action" data-dismiss>Dismiss</button>
+    </div>
+    <pre class="publish-log hidden"></pre>
+  `;
+  const messageEl = el.querySelector('.publish-status-message');
+  const actionsEl = el.querySelector('.publish-status-actions');
+  const logEl = el.querySelector('.publish-log');
+  const toggleBtn = el.querySelector('[data-toggle-log]');
+  const fullLogLink = el.querySelector('[data-full-log]');
+  messageEl.textContent = message;
   document.body.appendChild(el);
+
+  const setLogOpen = (open) => {
+    logEl.classList.toggle('hidden', !open);
+    toggleBtn.textContent = open ? 'Hide log' : 'Show log';
+    el.style.maxWidth = open ? '560px' : '360px';
+    if (open) logEl.scrollTop = logEl.scrollHeight;
+  };
+  toggleBtn.addEventListener('click', () => setLogOpen(logEl.classList.contains('hidden')));
+  el.querySelector('[data-dismiss]').addEventListener('click', () => el.remove());
+
   return {
-    update(msg, { type = 'info', link = null, autoDismissMs = null } = {}) {
+    update(msg, { type = 'info', link = null, autoDismissMs = null, runId = null, showLog = false } = {}) {
       el.style.background = type === 'success' ? '#22c55e' : type === 'error' ? '#ef4444' : '#667eea';
-      el.textContent = msg;
+      messageEl.textContent = msg;
       if (link) {
-        el.appendChild(document.createTextNode(' '));
+        messageEl.appendChild(document.createTextNode(' '));
         const a = document.createElement('a');
         a.href = link; a.target = '_blank'; a.rel = 'noopener';
         a.textContent = 'View site →';
         a.style.cssText = 'color:white;text-decoration:underline;font-weight:600;';
-        el.appendChild(a);
+        messageEl.appendChild(a);
       }
-      if (autoDismissMs) setTimeout(() => el.remove(), autoDismissMs);
+      if (runId) {
+        fullLogLink.href = `/api/publish/runs/${encodeURIComponent(runId)}/log`;
+        fullLogLink.classList.remove('hidden');
+        actionsEl.classList.remove('hidden');
+      }
+      if (showLog && logEl.textContent) setLogOpen(true);
+      // Don't pull the log out from under someone reading it
+      if (autoDismissMs) setTimeout(() => { if (logEl.classList.contains('hidden')) el.remove(); }, autoDismissMs);
+    },
+    appendLog({ step, text }) {
+      actionsEl.classList.remove('hidden');
+      const atBottom = logEl.scrollTop + logEl.clientHeight >= logEl.scrollHeight - 4;
+      logEl.appendChild(document.createTextNode(`[${step}] ${text}\n`));
+      while (logEl.childNodes.length > PUBLISH_LOG_MAX_LINES) logEl.firstChild.remove();
+      if (atBottom) logEl.scrollTop = logEl.scrollHeight;
     },
     remove() { el.remove(); },
   };
@@ -1730,10 +2499,52 @@ async function pollUntilLive(pagePath, preHash, status, liveUrl) {
   status.update('✅ Published. Your changes should be live shortly.', { type: 'success', link: liveUrl, autoDismissMs: 10000 });
 }
 
+// Submit the session's editing branch for review (branch workflow)
+async function submitBranchForReview() {
+  const message = await showPublishDialog({ title: 'Submit for Review', confirmText: 'Submit' });
+  if (message === null) return; // User cancelled
+
+  const publishBtn = document.getElementById('publishBtn');
+  const originalText = publishBtn.textContent;
+  publishBtn.textContent = 'Submitting...';
+  publishBtn.disabled = true;
+
+  try {
+    const result = await submitForReview(message);
+    if (result.success) {
+      updateChangesBadge();
+      showNotification(`${result.message}. An admin can merge it from the Changes panel.`, 'success');
+    } else {
+      showNotification(`Failed to submit: ${result.message || result.error}`, 'error');
+    }
+  } catch (error) {
+    console.error('Submit failed:', error);
+    showNotification('Failed to submit for review', 'error');
+  } finally {
+    publishBtn.textContent = originalText;
+    publishBtn.disabled = false;
+  }
+}
+
 // Publish changes
 document.getElementById('publishBtn').addEventListener('click', async () => {
-  const message = await showPublishDialog();
-  if (message === null) return; // User cancelled
+  if (branchWorkflow) {
+    await submitBranchForReview();
+    return;
+  }
+
+  // An existing entry can instead be scheduled to go out on its own later
+  const canSchedule = Boolean(currentCollection && currentSlug && !isNewEntry && !isVirtualPage);
+  const choice = await showPublishDialog(canSchedule ? { scheduleLabel: currentSlug } : {});
+  if (choice === null) return; // User cancelled
+
+  if (choice?.publishAt) {
+    if (await saveEntryStatus('scheduled', choice.publishAt)) {
+      showNotification(`Scheduled to publish ${new Date(choice.publishAt).toLocaleString()}`, 'success');
+    }
+    return;
+  }
+  const message = typeof choice === 'string' ? choice : choice.message;
 
   const publishBtn = document.getElementById('publishBtn');
   const originalText = publishBtn.textContent;
@@ -1747,14 +2558,20 @@ document.getElementById('publishBtn').addEventListener('click', async () => {
   const liveUrl = (publicUrl && pagePath) ? publicUrl.replace(/\/$/, '') + pagePath : null;
   const preHash = (publicUrl && pagePath) ? await fetchLiveHash(pagePath) : null;
 
+  // Follow the run's output live while it builds and deploys
+  const status = showPublishStatus('Publishing…');
+  const streamId = createStreamId();
+  const stream = await openPublishLogStream(streamId, line => status.appendLog(line));
+
   try {
     const response = await fetch('/api/publish', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ message: message || undefined }),
+      body: JSON.stringify({ message: message || undefined, streamId }),
     });
 
     const result = await response.json();
+    const runId = result.runId || null;
 
     if (result.success) {
       updateChangesBadge();
@@ -1762,23 +2579,25 @@ document.getElementById('publishBtn').addEventListener('click', async () => {
 
       if (didPublish && result.deploy) {
         // Synchronous deploy adapter — already live.
-        showPublishStatus('').update('✅ Published! Your changes are now live on your site.',
-          { type: 'success', link: liveUrl, autoDismissMs: 8000 });
+        status.update('✅ Published! Your changes are now live on your site.',
+          { type: 'success', link: liveUrl, autoDismissMs: 8000, runId });
       } else if (didPublish && preHash) {
         // Build-on-push host — poll until the change appears on the live site.
-        const status = showPublishStatus('✅ Published! Waiting for your changes to go live…');
+        status.update('✅ Published! Waiting for your changes to go live…', { runId });
         pollUntilLive(pagePath, preHash, status, liveUrl);
       } else {
         // No live-check available — fall back to the plain friendly message.
-        showNotification(friendlyPublishMessage(result), 'success');
+        status.update(friendlyPublishMessage(result), { type: 'success', autoDismissMs: 8000, runId });
       }
     } else {
-      showNotification('Failed to publish: ' + result.error, 'error');
+      // Leave the failure up with its output open, so the error can be read
+      status.update('Failed to publish: ' + result.error, { type: 'error', runId, showLog: true });
     }
   } catch (error) {
     console.error('Publish failed:', error);
-    showNotification('Failed to publish', 'error');
+    status.update('Failed to publish', { type: 'error', showLog: true });
   } finally {
+    stream.close();
     publishBtn.textContent = originalText;
     publishBtn.disabled = false;
   }
@@ -1787,6 +2606,11 @@ document.getElementById('publishBtn').addEventListener('click', async () => {
 // Changes panel toggle
 document.getElementById('changesBtn').addEventListener('click', toggleChangesPanel);
 
+// Releases panel toggle (rollback is admin-only)
+document.getElementById('releasesBtn').addEventListener('click', () => {
+  toggleReleasesPanel({ canRollback: currentRole === 'admin' });
+});
+
 // Update changes badge count
 async function updateChangesBadge() {
   const badge = document.getElementById('changesBadge');
@@ -1814,6 +2638,15 @@ window.addEventListener('fileReverted', () => {
   }
 });
 
+// Switching or merging branches rewrites the working tree: reload what's shown
+window.addEventListener('branchChanged', async () => {
+  await loadPages();
+  updateChangesBadge();
+  if (currentCollection && currentSlug && !isNewEntry) {
+    loadEntry(currentCollection, currentSlug, false);
+  }
+});
+
 // Panel Resizer functionality
 function initPanelResizer() {
   const resizer = document.getElementById('panelResizer');
@@ -1871,6 +2704,8 @@ async function init() {
   await checkAuth();
   await loadConfig();
   await loadPages();
+  // The block editor offers library blocks when adding a block
+  await loadBlockLibrary();
 
   // Initialize panel resizer
   initPanelResizer();
@@ -9,7 +9,9 @@
  */
 
 import { openImageLibrary, uploadNewImage } from './image-library.js';
+import { openMediaLibrary, uploadNewMedia } from './media-library.js';
 import { openGalleryEditor } from './gallery-editor.js';
+import { createMarkdownEditor } from './markdown-editor.js';
 
 import { escapeHtml } from './escape-html.js';
 
@@ -34,6 +36,7 @@ export function registerReferenceFieldHandlers(setup) {
  */
 export function setupFieldWidgets(container, onChange) {
   setupImagePickers(container, onChange);
+  setupFilePickers(container, onChange);
   setupColorPickers(container, onChange);
   setupTextareas(container, onChange);
   setupReferenceFields?.(container, onChange);
@@ -90,6 +93,55 @@ function setupImagePickers(container, onChange) {
   });
 }
 
+/**
+ * File picker: browse the media library, upload, clear
+ */
+function setupFilePickers(container, onChange) {
+  container.addEventListener('click', (e) => {
+    const picker = e.target.closest('.file-picker');
+    if (!picker) return;
+    const { kind } = picker.dataset;
+
+    if (e.target.closest('[data-browse-media]')) {
+      openMediaLibrary((url) => {
+        updateFilePicker(picker, url);
+        if (onChange) onChange();
+      }, picker.querySelector('.file-picker-input').value, { kind });
+      return;
+    }
+
+    if (e.target.closest('[data-upload-media]')) {
+      uploadNewMedia((url) => {
+        updateFilePicker(picker, url);
+        if (onChange) onChange();
+      }, { kind });
+      return;
+    }
+
+    if (e.target.closest('[data-clear-file]')) {
+      updateFilePicker(picker, '');
+      if (onChange) onChange();
+    }
+  });
+}
+
+/**
+ * Update file picker with a new value
+ */
+function updateFilePicker(picker, url) {
+  const hiddenInput = picker.querySelector('.file-picker-input');
+  const preview = picker.querySelector('[data-preview]');
+  const placeholder = picker.querySelector('[data-placeholder]');
+  const link = picker.querySelector('[data-file-name]');
+
+  hiddenInput.value = url;
+
+  link.href = url;
+  link.textContent = url.split('/').pop();
+  preview.classList.toggle('hidden', !url);
+  placeholder.classList.toggle('hidden', Boolean(url));
+}
+
 /**
  * Resolve an image path to a URL that can be displayed in the admin.
  * Handles relative paths like ../assets/posts/... by converting to /assets/posts/...
@@ -226,9 +278,15 @@ function setupColorPickers(container, onChange) {
 }
 
 /**
- * Textareas: grow with content, and expand into a fullscreen editor
+ * Textareas: grow with content, and expand into a fullscreen editor. Markdown
+ * bodies (data-markdown-editor) get the markdown editor in place as well.
  */
 function setupTextareas(container, onChange) {
+  container.querySelectorAll('textarea[data-markdown-editor="true"]').forEach(textarea => {
+    if (textarea.dataset.markdownEditorBound === 'true') return;
+    createMarkdownEditor(textarea, { ...markdownEditorOptions(textarea), onChange });
+  });
+
   container.addEventListener('input', (e) => {
     if (e.target.classList.contains('textarea-autogrow')) {
       autoGrowTextarea(e.target);
@@ -255,7 +313,7 @@ export function autoGrowTextarea(textarea) {
 }
 
 /**
- * Fullscreen textarea editor, with a markdown toolbar for prose fields
+ * Fullscreen textarea editor; prose fields get the full markdown editor
  */
 function openTextareaModal(textarea, onChange) {
   const formGroup = textarea.closest('.form-group');
@@ -264,25 +322,6 @@ function openTextareaModal(textarea, onChange) {
                      label.toLowerCase().includes('markdown') ||
                      label.toLowerCase().includes('content');
 
-  const markdownToolbar = isMarkdown ? `
-    <div class="markdown-toolbar">
-      <button type="button" class="markdown-btn" data-md="bold" title="Bold (Ctrl+B)"><strong>B</strong></button>
-      <button type="button" class="markdown-btn" data-md="italic" title="Italic (Ctrl+I)"><em>I</em></button>
-      <button type="button" class="markdown-btn" data-md="code" title="Inline Code">&lt;/&gt;</button>
-      <span class="markdown-separator"></span>
-      <button type="button" class="markdown-btn" data-md="h2" title="Heading 2">H2</button>
-      <button type="button" class="markdown-btn" data-md="h3" title="Heading 3">H3</button>
-      <span class="markdown-separator"></span>
-      <button type="button" class="markdown-btn" data-md="ul" title="Bullet List">• List</button>
-      <button type="button" class="markdown-btn" data-md="ol" title="Numbered List">1. List</button>
-      <button type="button" class="markdown-btn" data-md="quote" title="Blockquote">" Quote</button>
-      <span class="markdown-separator"></span>
-      <button type="button" class="markdown-btn" data-md="link" title="Link">[Link]</button>
-      <button type="button" class="markdown-btn" data-md="image" title="Image">🖼️</button>
-      <button type="button" class="markdown-btn" data-md="codeblock" title="Code Block">{ }</button>
-    </div>
-  ` : '';
-
   let modal = document.getElementById('textareaModal');
   if (!modal) {
     modal = document.createElement('div');
@@ -297,7 +336,6 @@ function openTextareaModal(textarea, onChange) {
         <h3>${escapeHtml(label)}</h3>
         <button type="button" class="textarea-modal-close" data-close-textarea-modal>&times;</button>
       </div>
-      ${markdownToolbar}
       <div class="textarea-modal-body">
         <textarea id="textareaModalInput" class="textarea-modal-input ${isMarkdown ? 'markdown-input' : ''}" placeholder="Enter your text...">${escapeHtml(textarea.value)}</textarea>
       </div>
@@ -314,6 +352,10 @@ function openTextareaModal(textarea, onChange) {
   const modalInput = modal.querySelector('#textareaModalInput');
   const charCount = modal.querySelector('.textarea-char-count');
 
+  if (isMarkdown) {
+    createMarkdownEditor(modalInput, markdownEditorOptions(textarea));
+  }
+
   modalInput.addEventListener('input', () => {
     charCount.textContent = `${modalInput.value.length} characters`;
   });
@@ -347,31 +389,9 @@ function openTextareaModal(textarea, onChange) {
       e.preventDefault();
       e.stopPropagation();
       saveAndClose();
-      return;
-    }
-    if (isMarkdown && (e.metaKey || e.ctrlKey)) {
-      if (e.key === 'b') {
-        e.preventDefault();
-        insertMarkdown(modalInput, 'bold');
-      } else if (e.key === 'i') {
-        e.preventDefault();
-        insertMarkdown(modalInput, 'italic');
-      } else if (e.key === 'k') {
-        e.preventDefault();
-        insertMarkdown(modalInput, 'link');
-      }
     }
   });
 
-  if (isMarkdown) {
-    modal.querySelectorAll('[data-md]').forEach(btn => {
-      btn.addEventListener('click', () => {
-        insertMarkdown(modalInput, btn.dataset.md);
-        modalInput.focus();
-      });
-    });
-  }
-
   setTimeout(() => {
     modalInput.focus();
     modalInput.setSelectionRange(modalInput.value.length, modalInput.value.length);
@@ -379,73 +399,12 @@ function openTextareaModal(textarea, onChange) {
 }
 
 /**
- * Insert markdown formatting at the cursor
+ * Editor options carried on a markdown textarea's data attributes
+ * (data-mdx, data-entry-path), so the inline and fullscreen editors agree
  */
-function insertMarkdown(textarea, action) {
-  const text = textarea.value;
-  const start = textarea.selectionStart;
-
-  let before = '';
-  let after = '';
-  let placeholder = '';
-  let cursorOffset = 0;
-
-  switch (action) {
-    case 'bold':
-      before = '**'; after = '**'; placeholder = 'bold text'; cursorOffset = 2;
-      break;
-    case 'italic':
-      before = '_'; after = '_'; placeholder = 'italic text'; cursorOffset = 1;
-      break;
-    case 'code':
-      before = '`'; after = '`'; placeholder = 'code'; cursorOffset = 1;
-      break;
-    case 'h2': {
-      const lineStart = text.lastIndexOf('\n', start - 1) + 1;
-      textarea.setSelectionRange(lineStart, lineStart);
-      before = '## '; cursorOffset = 3;
-      break;
-    }
-    case 'h3': {
-      const lineStart = text.lastIndexOf('\n', start - 1) + 1;
-      textarea.setSelectionRange(lineStart, lineStart);
-      before = '### '; cursorOffset = 4;
-      break;
-    }
-    case 'ul':
-      before = '- '; placeholder = 'list item'; cursorOffset = 2;
-      break;
-    case 'ol':
-      before = '1. '; placeholder = 'list item'; cursorOffset = 3;
-      break;
-    case 'quote':
-      before = '> '; placeholder = 'quote'; cursorOffset = 2;
-      break;
-    case 'link':
-      before = '['; after = '](url)'; placeholder = 'link text'; cursorOffset = 1;
-      break;
-    case 'image':
-      before = '!['; after = '](image-url)'; placeholder = 'alt text'; cursorOffset = 2;
-      break;
-    case 'codeblock':
-      before = '\n```\n'; after = '\n```\n'; placeholder = 'code'; cursorOffset = 5;
-      break;
-  }
-
-  const actualStart = textarea.selectionStart;
-  const actualEnd = textarea.selectionEnd;
-  const selected = textarea.value.substring(actualStart, actualEnd);
-  const insert = selected || placeholder;
-
-  textarea.value =
-    textarea.value.substring(0, actualStart) + before + insert + after + textarea.value.substring(actualEnd);
-
-  if (selected) {
-    textarea.setSelectionRange(actualStart + before.length, actualStart + before.length + insert.length);
-  } else {
-    textarea.setSelectionRange(actualStart + cursorOffset, actualStart + cursorOffset + placeholder.length);
-  }
-
-  textarea.dispatchEvent(new Event('input', { bubbles: true }));
+function markdownEditorOptions(textarea) {
+  return {
+    mdx: textarea.dataset.mdx === 'true',
+    entryPath: textarea.dataset.entryPath || null,
+  };
 }
-
@@ -0,0 +1,267 @@
+/**
+ * Find and Replace
+ * Modal for bulk text replacement across content: preview every affected
+ * entry as a diff (POST /api/content/replace with dryRun), then apply it as
+ * one change.
+ */
+
+import { escapeHtml } from './escape-html.js';
+import { formatDiff } from './changes-panel.js';
+
+let onAppliedCallback = null;
+// The request the current preview was made for; "Replace" is only offered
+// while the form still matches it
+let previewedRequest = null;
+
+/**
+ * Open the find and replace modal
+ * @param {Object} options
+ * @param {Array<{name: string, access?: string}>} options.collections - From /api/collections
+ * @param {string[]} [options.locales] - Configured locales (empty when i18n is off)
+ * @param {Function} [options.onApplied] - Called with the API response after a replace
+ */
+export function openFindReplace({ collections, locales = [], onApplied } = {}) {
+  onAppliedCallback = onApplied;
+  previewedRequest = null;
+
+  let modal = document.getElementById('findReplaceModal');
+  if (!modal) {
+    modal = createModal();
+    document.body.appendChild(modal);
+    setupModalEvents(modal);
+  }
+
+  const writable = collections.filter(c => c.access !== 'read');
+  modal.querySelector('[data-collections]').innerHTML = writable.map(c => `
+    <label class="find-replace-chip">
+      <input type="checkbox" name="collections" value="${escapeHtml(c.name)}"> ${escapeHtml(c.name)}
+    </label>
+  `).join('');
+
+  const localeGroup = modal.querySelector('[data-locale-group]');
+  localeGroup.classList.toggle('hidden', locales.length <= 1);
+  modal.querySelector('[data-locales]').innerHTML = locales.map(locale => `
+    <label class="find-replace-chip">
+      <input type="checkbox" name="locales" value="${escapeHtml(locale)}"> ${escapeHtml(locale.toUpperCase())}
+    </label>
+  `).join('');
+
+  modal.querySelector('[data-results]').innerHTML = '';
+  updateApplyButton(modal);
+  modal.classList.remove('hidden');
+  modal.querySelector('[name="find"]').focus();
+}
+
+/**
+ * Close the find and replace modal
+ */
+export function closeFindReplace() {
+  const modal = document.getElementById('findReplaceModal');
+  if (modal) {
+    modal.classList.add('hidden');
+  }
+  onAppliedCallback = null;
+  previewedRequest = null;
+}
+
+/**
+ * Create the modal HTML structure
+ */
+function createModal() {
+  const modal = document.createElement('div');
+  modal.id = 'findReplaceModal';
+  modal.className = 'diff-modal-overlay find-replace-overlay hidden';
+  modal.innerHTML = `
+    <div class="diff-modal find-replace-modal">
+      <div class="diff-modal-header">
+        <h3>Find and replace</h3>
+        <button type="button" class="diff-modal-close" data-close>&times;</button>
+      </div>
+      <form class="find-replace-form" data-form>
+        <div class="find-replace-row">
+          <label class="find-replace-field">
+            <span>Find</span>
+            <input type="text" name="find" class="form-input" autocomplete="off" spellcheck="false" required>
+          </label>
+          <label class="find-replace-field">
+            <span>Replace with</span>
+            <input type="text" name="replace" class="form-input" autocomplete="off" spellcheck="false">
+          </label>
+        </div>
+        <div class="find-replace-options">
+          <label><input type="checkbox" name="caseSensitive"> Match case</label>
+          <label><input type="checkbox" name="wholeWord"> Whole words</label>
+          <label><input type="checkbox" name="regex"> Regular expression <span class="find-replace-hint">($1 inserts a group)</span></label>
+        </div>
+        <div class="find-replace-group">
+          <span class="find-replace-label">Collections <span class="find-replace-hint">(none ticked = all)</span></span>
+          <div class="find-replace-chips" data-collections></div>
+        </div>
+        <div class="find-replace-group" data-locale-group>
+          <span class="find-replace-label">Languages <span class="find-replace-hint">(none ticked = all)</span></span>
+          <div class="find-replace-chips" data-locales></div>
+        </div>
+        <label class="find-replace-field">
+          <span>Only these fields <span class="find-replace-hint">(optional, comma-separated, e.g. title, blocks.heading, body)</span></span>
+          <input type="text" name="fields" class="form-input" autocomplete="off" spellcheck="false">
+        </label>
+      </form>
+      <div class="find-replace-results" data-results></div>
+      <div class="diff-modal-footer">
+        <span class="find-replace-status" data-status></span>
+        <button type="button" class="btn btn-sm btn-secondary" data-close>Cancel</button>
+        <button type="button" class="btn btn-sm btn-secondary" data-preview>Preview</button>
+        <button type="button" class="btn btn-sm btn-primary" data-apply disabled>Replace</button>
+      </div>
+    </div>
+  `;
+  return modal;
+}
+
+/**
+ * Set up modal event listeners
+ */
+function setupModalEvents(modal) {
+  const form = modal.querySelector('[data-form]');
+
+  modal.querySelectorAll('[data-close]').forEach(btn => {
+    btn.addEventListener('click', closeFindReplace);
+  });
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeFindReplace();
+  });
+  modal.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeFindReplace();
+  });
+
+  // Any edit makes the preview stale
+  form.addEventListener('input', () => updateApplyButton(modal));
+  form.addEventListener('change', () => updateApplyButton(modal));
+  // Enter previews (the form has no submit button, so it wouldn't submit)
+  form.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && e.target.matches('input[type="text"]')) {
+      e.preventDefault();
+      preview(modal);
+    }
+  });
+
+  modal.querySelector('[data-preview]').addEventListener('click', () => preview(modal));
+  modal.querySelector('[data-apply]').addEventListener('click', () => apply(modal));
+}
+
+/**
+ * The replace request the form currently describes
+ */
+function readRequest(modal) {
+  const form = modal.querySelector('[data-form]');
+  const checked = name => [...form.querySelectorAll(`[name="${name}"]:checked`)].map(input => input.value);
+  return {
+    find: form.elements.find.value,
+    replace: form.elements.replace.value,
+    regex: form.elements.regex.checked,
+    caseSensitive: form.elements.caseSensitive.checked,
+    wholeWord: form.elements.wholeWord.checked,
+    collections: checked('collections'),
+    locales: checked('locales'),
+    fields: form.elements.fields.value.split(',').map(field => field.trim()).filter(Boolean),
+  };
+}
+
+function updateApplyButton(modal) {
+  const applyBtn = modal.querySelector('[data-apply]');
+  const current = JSON.stringify(readRequest(modal));
+  const fresh = previewedRequest && previewedRequest.key === current && previewedRequest.totalEntries > 0;
+  applyBtn.disabled = !fresh;
+  applyBtn.textContent = fresh
+    ? `Replace in ${previewedRequest.totalEntries} entr${previewedRequest.totalEntries === 1 ? 'y' : 'ies'}`
+    : 'Replace';
+}
+
+async function sendRequest(request, dryRun) {
+  const res = await fetch('/api/content/replace', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...request, dryRun }),
+  });
+  return res.json();
+}
+
+async function preview(modal) {
+  const request = readRequest(modal);
+  const results = modal.querySelector('[data-results]');
+  const status = modal.querySelector('[data-status]');
+  if (!request.find) {
+    modal.querySelector('[name="find"]').focus();
+    return;
+  }
+
+  status.textContent = 'Searching...';
+  try {
+    const data = await sendRequest(request, true);
+    if (!data.success) {
+      previewedRequest = null;
+      status.textContent = data.message || data.error;
+      results.innerHTML = '';
+      return;
+    }
+
+    const invalid = data.entries.filter(entry => entry.errors.length > 0).length;
+    // Entries that would fail validation block the whole replace
+    previewedRequest = invalid > 0 ? null : { key: JSON.stringify(request), totalEntries: data.totalEntries };
+    status.textContent = data.totalEntries === 0
+      ? 'No matches'
+      : `${data.totalMatches} match${data.totalMatches === 1 ? '' : 'es'} in ${data.totalEntries} entr${data.totalEntries === 1 ? 'y' : 'ies'}`
+        + (invalid > 0 ? ` — ${invalid} would fail validation` : '');
+    results.innerHTML = data.entries.map(renderEntry).join('');
+  } catch (error) {
+    previewedRequest = null;
+    status.textContent = `Preview failed: ${error.message}`;
+  }
+  updateApplyButton(modal);
+}
+
+function renderEntry(entry) {
+  const locale = entry.locale ? ` (${entry.locale.toUpperCase()})` : '';
+  const fields = entry.changes.map(change => change.field).join(', ');
+  const errors = entry.errors.length > 0
+    ? `<ul class="find-replace-errors">${entry.errors.map(error =>
+      `<li>${escapeHtml(error.path || 'entry')}: ${escapeHtml(error.message)}</li>`).join('')}</ul>`
+    : '';
+  return `
+    <div class="find-replace-entry">
+      <div class="find-replace-entry-header">
+        <strong>${escapeHtml(`${entry.collection}/${entry.slug}${locale}`)}</strong>
+        <span>${entry.count} × in ${escapeHtml(fields)}</span>
+      </div>
+      ${errors}
+      <pre class="diff-content find-replace-diff">${formatDiff(entry.diff)}</pre>
+    </div>
+  `;
+}
+
+async function apply(modal) {
+  const request = readRequest(modal);
+  const applyBtn = modal.querySelector('[data-apply]');
+  const status = modal.querySelector('[data-status]');
+
+  applyBtn.disabled = true;
+  status.textContent = 'Replacing...';
+  try {
+    const data = await sendRequest(request, false);
+    if (!data.success) {
+      previewedRequest = null;
+      status.textContent = data.message || data.error;
+      if (data.entries) {
+        modal.querySelector('[data-results]').innerHTML = data.entries.map(renderEntry).join('');
+      }
+      updateApplyButton(modal);
+      return;
+    }
+    const callback = onAppliedCallback;
+    closeFindReplace();
+    callback?.(data);
+  } catch (error) {
+    status.textContent = `Replace failed: ${error.message}`;
+    updateApplyButton(modal);
+  }
+}
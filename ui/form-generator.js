@@ -11,6 +11,27 @@
 import { setupFieldWidgets, decodeGalleryValue, resolveImageUrl } from './field-widgets.js';
 
 import { escapeHtml } from './escape-html.js';
+import {
+  LINK_KEY,
+  findLibraryBlock,
+  libraryBlocksFor,
+  instantiateLibraryBlock,
+  saveBlockToLibrary,
+  updateLibraryBlock,
+} from './block-library.js';
+import { parseCopiedBlocks, copyBlocks, readCopiedBlocks } from './block-clipboard.js';
+
+/**
+ * "Copy to locale…" writes a block into the entry's other translations, which
+ * needs the entry and locale the dashboard is showing — so dashboard.js
+ * registers the action here when i18n is on, and blocks only offer it then.
+ * @type {?(request: {field: string, block: Object}) => void}
+ */
+let copyBlockToLocale = null;
+
+export function registerBlockLocaleCopy(handler) {
+  copyBlockToLocale = handler;
+}
 
 /**
  * Serialise a value into an HTML attribute as JSON.
@@ -281,6 +302,12 @@ function generateField(name, schema, value, path = '', ctx = {}) {
     `;
   }
 
+  // Check if this is a file (download) field
+  const fileKind = fileFieldKind(name, schema);
+  if (fileKind !== null) {
+    return generateFileField(name, schema, value, fullPath, id, fileKind);
+  }
+
   // Check if this is an image field
   if (isImageField(name, schema)) {
     // The picker offers its own alt input named `<field>Alt`. If the schema already
@@ -401,22 +428,13 @@ function generateField(name, schema, value, path = '', ctx = {}) {
 function generateBlocksField(name, schema, value, fullPath) {
   const blocks = Array.isArray(value) ? value : [];
   const blockTypes = schema.blockTypes || {};
-  const availableTypes = Object.keys(blockTypes);
 
   return `
     <div class="form-group blocks-container" data-field="${fullPath}">
       <div class="blocks-header">
         <label class="form-label">${formatLabel(name)}</label>
         <div class="blocks-actions">
-          <select id="add-block-type" class="form-input form-input-sm">
-            <option value="">Add block...</option>
-            ${availableTypes.map(type => `
-              <option value="${escapeHtml(type)}">${escapeHtml(formatBlockType(type))}</option>
-            `).join('')}
-          </select>
-          <button type="button" class="btn btn-primary btn-sm add-block-btn" data-field="${fullPath}">
-            Add
-          </button>
+          ${generateBlockActions(fullPath, blockTypes)}
         </div>
       </div>
 
@@ -427,6 +445,44 @@ function generateBlocksField(name, schema, value, fullPath) {
   `;
 }
 
+/**
+ * The "Add block" picker: blank blocks of each type, then the library blocks
+ * of those types (option value `library:<id>`), inserted as copies or linked
+ */
+function generateBlockActions(fullPath, blockTypes) {
+  const library = libraryBlocksFor(blockTypes);
+
+  return `
+    <select id="add-block-type" class="form-input form-input-sm">
+      <option value="">Add block...</option>
+      ${Object.keys(blockTypes).map(type => `
+        <option value="${escapeHtml(type)}">${escapeHtml(formatBlockType(type))}</option>
+      `).join('')}
+      ${library.length > 0 ? `
+        <optgroup label="From library">
+          ${library.map(block => `
+            <option value="library:${escapeHtml(block.id)}">${escapeHtml(block.name)} (${escapeHtml(formatBlockType(block.type))})</option>
+          `).join('')}
+        </optgroup>
+      ` : ''}
+    </select>
+    ${library.length > 0 ? `
+      <label class="checkbox-label text-sm" title="A linked block is read-only here and changes everywhere when the library block does">
+        <input type="checkbox" class="add-block-linked"> Linked
+      </label>
+    ` : ''}
+    <button type="button" class="btn btn-primary btn-sm add-block-btn" data-field="${fullPath}">
+      Add
+    </button>
+    <button type="button" class="btn btn-secondary btn-sm copy-blocks-btn" title="Copy the ticked blocks (or all of them) to the clipboard">
+      Copy
+    </button>
+    <button type="button" class="btn btn-secondary btn-sm paste-blocks-btn" title="Add the blocks on the clipboard">
+      Paste
+    </button>
+  `;
+}
+
 /**
  * Generate a single block item
  */
@@ -447,11 +503,44 @@ function generateBlockItem(arrayPath, blockTypes, block, index) {
   }
 
   const blockFields = generateBlockFields(path, blockSchema.properties, block);
+  const libraryId = block[LINK_KEY];
+
+  // A linked instance is edited in the library, not here: its fields are shown
+  // disabled (so FormData skips them) and the block itself is read back from
+  // the hidden JSON input
+  if (libraryId) {
+    const libraryName = findLibraryBlock(libraryId)?.name;
+    return `
+      <div class="block-item block-item-linked" data-index="${index}" data-type="${escapeHtml(blockType)}" data-library-block="${escapeHtml(libraryId)}" draggable="true">
+        <div class="block-header toggle-block-header">
+          <span class="block-drag-handle" title="Drag to reorder">⋮⋮</span>
+          <input type="checkbox" class="block-select" title="Select for copying">
+          <span class="block-type-badge block-type-${escapeHtml(blockType)}">${escapeHtml(formatBlockType(blockType))}</span>
+          <span class="block-linked-badge" title="Linked to the block library">${escapeHtml(libraryName || 'Library block')}</span>
+          <span class="block-preview-text">${escapeHtml(getBlockPreview(block))}</span>
+          <span class="block-expand-icon">▶</span>
+        </div>
+        <div class="block-body">
+          <input type="hidden" name="${path}" value="${jsonAttr(block)}" data-linked-block>
+          <fieldset class="linked-block-fields" disabled>
+            ${blockFields}
+          </fieldset>
+          <div class="block-footer">
+            ${libraryName ? '<button type="button" class="btn btn-sm btn-secondary edit-library-block">Edit in library</button>' : ''}
+            ${copyBlockToLocale ? '<button type="button" class="btn btn-sm btn-secondary copy-block-to-locale">Copy to locale…</button>' : ''}
+            <button type="button" class="btn btn-sm btn-secondary unlink-block">Unlink</button>
+            <button type="button" class="btn btn-sm btn-danger remove-block">Delete Block</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
 
   return `
     <div class="block-item" data-index="${index}" data-type="${escapeHtml(blockType)}" draggable="true">
       <div class="block-header toggle-block-header">
         <span class="block-drag-handle" title="Drag to reorder">⋮⋮</span>
+        <input type="checkbox" class="block-select" title="Select for copying">
         <span class="block-type-badge block-type-${escapeHtml(blockType)}">${escapeHtml(formatBlockType(blockType))}</span>
         <span class="block-preview-text">${escapeHtml(getBlockPreview(block))}</span>
         <span class="block-expand-icon">▶</span>
@@ -460,6 +549,8 @@ function generateBlockItem(arrayPath, blockTypes, block, index) {
         <input type="hidden" name="${path}.type" value="${escapeHtml(blockType)}">
         ${blockFields}
         <div class="block-footer">
+          ${copyBlockToLocale ? '<button type="button" class="btn btn-sm btn-secondary copy-block-to-locale">Copy to locale…</button>' : ''}
+          <button type="button" class="btn btn-sm btn-secondary save-block-to-library">Save to library</button>
           <button type="button" class="btn btn-sm btn-danger remove-block">Delete Block</button>
         </div>
       </div>
@@ -797,6 +888,75 @@ function generateImageField(name, schema, value, fullPath, id, altValue = '', hi
   `;
 }
 
+// Field names that indicate a download, and the kind of media each takes
+// ('' for any). Matched whole or as a camelCase/snake_case suffix, so
+// brochurePdf and intro_video count but profile doesn't.
+const FILE_FIELD_NAMES = {
+  file: '', download: '', attachment: '',
+  pdf: 'document', brochure: 'document',
+  video: 'video', audio: 'audio',
+};
+const MEDIA_KINDS = ['document', 'video', 'audio', 'archive'];
+
+/**
+ * The kind of media a field takes, if it's a file field: '' for any kind,
+ * null if it isn't one. Schemas mark one with format/widget 'file', or
+ * .describe('file') (or 'file:video' for one kind).
+ */
+function fileFieldKind(name, schema) {
+  const hint = typeof schema.description === 'string' && schema.description.match(/^file(?::(\w+))?$/);
+  if (hint) return MEDIA_KINDS.includes(hint[1]) ? hint[1] : '';
+  if (schema.format === 'file' || schema.widget === 'file') {
+    return MEDIA_KINDS.includes(schema.kind) ? schema.kind : '';
+  }
+  if (schema.type && schema.type !== 'string') return null;
+
+  const words = name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase().split(/[_-]/);
+  const last = words[words.length - 1];
+  return Object.hasOwn(FILE_FIELD_NAMES, last) ? FILE_FIELD_NAMES[last] : null;
+}
+
+/**
+ * Generate a file picker field: a link to the chosen file, browse the media
+ * library or upload a new one
+ */
+function generateFileField(name, schema, value, fullPath, id, kind) {
+  const hasValue = value && value.trim();
+  const previewClass = hasValue ? '' : 'hidden';
+  const placeholderClass = hasValue ? 'hidden' : '';
+  const fileName = hasValue ? value.split('/').pop() : '';
+
+  return `
+    <div class="form-group">
+      <label for="${id}" class="form-label">${getFieldLabel(name, schema)} ${schema.required ? '<span class="text-red-500">*</span>' : ''}</label>
+      <div class="file-picker" data-field="${fullPath}" data-kind="${kind}">
+        <div class="file-picker-preview ${previewClass}" data-preview>
+          <span class="file-picker-icon">📎</span>
+          <a href="${escapeHtml(value || '')}" target="_blank" rel="noopener" class="file-picker-name" data-file-name>${escapeHtml(fileName)}</a>
+          <button type="button" class="file-picker-clear" data-clear-file title="Clear file">&times;</button>
+        </div>
+        <div class="file-picker-placeholder ${placeholderClass}" data-placeholder>No file selected</div>
+        <div class="file-picker-actions">
+          <button type="button" class="btn btn-sm btn-secondary" data-browse-media>
+            Browse Media
+          </button>
+          <button type="button" class="btn btn-sm btn-secondary" data-upload-media>
+            Upload New
+          </button>
+        </div>
+        <input
+          type="hidden"
+          name="${fullPath}"
+          id="${id}"
+          value="${escapeHtml(value || '')}"
+          class="file-picker-input"
+          ${schema.required ? 'required' : ''}
+        >
+      </div>
+    </div>
+  `;
+}
+
 /**
  * Check if a field is a color field based on name and schema
  */
@@ -962,9 +1122,9 @@ function detectReferenceCollection(name, schema) {
     return baseName.endsWith('s') ? baseName.toLowerCase() : baseName.toLowerCase() + 's';
   }
 
-  // Check schema hints
-  if (schema.referenceCollection) {
-    return schema.referenceCollection;
+  // Check schema hints (z.array(reference('posts')) tags its items)
+  if (schema.referenceCollection || schema.items.referenceCollection) {
+    return schema.referenceCollection || schema.items.referenceCollection;
   }
 
   return null;
@@ -1134,12 +1294,23 @@ export function extractFields(container) {
     }
   });
 
+  // Linked library blocks: the whole block, set last so it replaces whatever
+  // the loops above read out of its (disabled) fields
+  container.querySelectorAll('input[data-linked-block]').forEach(input => {
+    try {
+      setNestedValue(data, input.name, JSON.parse(input.value));
+    } catch (e) {
+      console.error('Failed to parse linked block:', input.name, e);
+    }
+  });
+
   for (const [key, value] of new FormData(container).entries()) {
     const input = container.querySelector(`[name="${CSS.escape(key)}"]`);
 
-    // Both were handled above
+    // All handled above
     if (input?.dataset?.json === 'true') continue;
     if (input?.dataset?.arrayData !== undefined) continue;
+    if (input?.dataset?.linkedBlock !== undefined) continue;
 
     // Only coerce fields the schema actually declared as numbers. Sniffing the
     // string instead would turn a title of "2024" into the number 2024, and a
@@ -1149,6 +1320,8 @@ export function extractFields(container) {
 
   // FormData omits unchecked boxes entirely
   container.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+    // Unnamed boxes are editor controls, not fields
+    if (!checkbox.name || checkbox.closest('.linked-block-fields')) return;
     setNestedValue(data, checkbox.name, checkbox.checked);
   });
 
@@ -1223,6 +1396,119 @@ function setNestedValue(obj, path, value) {
   current[keys[keys.length - 1]] = value;
 }
 
+/**
+ * Show server-side validation errors inline, next to the field each belongs to.
+ *
+ * The server formats Zod issue paths the same way generateField names its
+ * inputs ('blocks[0].heading'), so most errors match an input directly. An
+ * error with no input of its own — an item inside a card array, a missing
+ * nested object — falls back to the nearest enclosing field. A collapsed block
+ * holding an error is expanded so the message is actually visible.
+ *
+ * @param {HTMLElement} container - Form root
+ * @param {Array<{path: string, message: string}>} errors - From a 422 response
+ * @returns {Array} - Errors that matched no field (e.g. a root-level issue)
+ */
+export function showFieldErrors(container, errors = []) {
+  clearFieldErrors(container);
+  const unmatched = [];
+  let firstGroup = null;
+
+  for (const error of errors) {
+    const field = findFieldForPath(container, error.path || '');
+    const group = field && (field.closest('.form-group') || field.closest('[data-field]') || field.parentElement);
+    if (!group) {
+      unmatched.push(error);
+      continue;
+    }
+
+    group.classList.add('has-field-error');
+    const message = document.createElement('p');
+    message.className = 'field-error';
+    message.textContent = error.message;
+    group.appendChild(message);
+
+    // The error is stale as soon as the user touches the field
+    group.addEventListener('input', () => clearGroupErrors(group), { once: true });
+    group.addEventListener('change', () => clearGroupErrors(group), { once: true });
+
+    const collapsedBlock = group.closest('.block-item.collapsed');
+    if (collapsedBlock) {
+      collapsedBlock.classList.remove('collapsed');
+      const icon = collapsedBlock.querySelector('.block-expand-icon');
+      if (icon) icon.textContent = '▼';
+    }
+
+    firstGroup = firstGroup || group;
+  }
+
+  firstGroup?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  return unmatched;
+}
+
+/**
+ * Remove every inline validation error from a container
+ */
+export function clearFieldErrors(container) {
+  container.querySelectorAll('.has-field-error').forEach(clearGroupErrors);
+}
+
+function clearGroupErrors(group) {
+  group.classList.remove('has-field-error');
+  group.querySelectorAll(':scope > .field-error').forEach(el => el.remove());
+}
+
+/**
+ * Draw attention to one field: expand the block holding it, scroll it into
+ * view and flash it. Used to land on the field a search result matched.
+ *
+ * @param {HTMLElement} container - Form root
+ * @param {string} fieldPath - Form path ('blocks[0].heading', 'body')
+ * @returns {boolean} - Whether a field (or an enclosing one) was found
+ */
+export function highlightField(container, fieldPath) {
+  const field = findFieldForPath(container, fieldPath || '');
+  const group = field && (field.closest('.form-group') || field.closest('[data-field]') || field.parentElement);
+  if (!group) return false;
+
+  const collapsedBlock = group.closest('.block-item.collapsed');
+  if (collapsedBlock) {
+    collapsedBlock.classList.remove('collapsed');
+    const icon = collapsedBlock.querySelector('.block-expand-icon');
+    if (icon) icon.textContent = '▼';
+  }
+
+  group.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  group.classList.remove('search-highlight');
+  // Restart the animation if the same field is highlighted twice in a row
+  void group.offsetWidth;
+  group.classList.add('search-highlight');
+  setTimeout(() => group.classList.remove('search-highlight'), 2000);
+  if (typeof field.focus === 'function' && field.matches('input, textarea, select')) {
+    field.focus({ preventScroll: true });
+  }
+  return true;
+}
+
+/**
+ * Find the element rendered for a field path, walking up to the parent path
+ * ('blocks[0].heading' -> 'blocks[0]' -> 'blocks') until something matches
+ */
+function findFieldForPath(container, fieldPath) {
+  let candidate = fieldPath;
+  while (candidate) {
+    const escaped = CSS.escape(candidate);
+    const field = container.querySelector(`[name="${escaped}"]`)
+      || container.querySelector(`[data-field="${escaped}"]`);
+    if (field) return field;
+
+    const parent = candidate.replace(/(\.[^.[\]]+|\[\d+\])$/, '');
+    if (parent === candidate) break;
+    candidate = parent;
+  }
+  return null;
+}
+
 /**
  * Wire up a container of generated fields.
  *
@@ -1281,9 +1567,17 @@ function setupBlockHandlers(formElement, onBlockChange) {
       const fieldPath = blocksList.dataset.field;
       const index = blocksList.querySelectorAll('.block-item').length;
 
-      // Use createEmptyBlock to populate defaults (prevents schema validation errors)
-      const blockSchema = blockTypes[blockType];
-      const newBlock = createEmptyBlock(blockType, blockSchema);
+      // A library block comes in as a copy of its fields (or linked to it);
+      // otherwise createEmptyBlock populates defaults (prevents schema validation errors)
+      let newBlock;
+      if (blockType.startsWith('library:')) {
+        const libraryBlock = findLibraryBlock(blockType.slice('library:'.length));
+        if (!libraryBlock) return;
+        const linked = container.querySelector('.add-block-linked')?.checked;
+        newBlock = instantiateLibraryBlock(libraryBlock, { linked });
+      } else {
+        newBlock = createEmptyBlock(blockType, blockTypes[blockType]);
+      }
       const blockHtml = generateBlockItem(fieldPath, blockTypes, newBlock, index);
 
       // Add to DOM
@@ -1331,10 +1625,105 @@ function setupBlockHandlers(formElement, onBlockChange) {
     }
   });
 
+  // Save a block to the library
+  formElement.addEventListener('click', async (e) => {
+    if (!e.target.classList.contains('save-block-to-library')) return;
+    const blockItem = e.target.closest('.block-item');
+    const block = readBlockItem(blockItem);
+    if (await saveBlockToLibrary(block)) {
+      refreshBlockActions(formElement);
+    }
+  });
+
+  // Copy the ticked blocks, or every block if none are ticked
+  formElement.addEventListener('click', async (e) => {
+    if (!e.target.classList.contains('copy-blocks-btn')) return;
+    const container = e.target.closest('.blocks-container');
+    const items = [...container.querySelectorAll('.blocks-list > .block-item')];
+    const ticked = items.filter(item => item.querySelector('.block-select')?.checked);
+    const blocks = (ticked.length > 0 ? ticked : items).map(readBlockItem);
+    if (blocks.length === 0) return;
+
+    await copyBlocks(blocks);
+    ticked.forEach(item => { item.querySelector('.block-select').checked = false; });
+    flashButton(e.target, `Copied ${blocks.length}`);
+  });
+
+  // Paste blocks at the end of the list, checked against this field's block types
+  formElement.addEventListener('click', async (e) => {
+    if (!e.target.classList.contains('paste-blocks-btn')) return;
+    const container = e.target.closest('.blocks-container');
+    const blocksList = container.querySelector('.blocks-list');
+    const blockTypes = JSON.parse(blocksList.dataset.blockTypes || '{}');
+
+    const text = await readCopiedBlocks();
+    let pasted;
+    try {
+      pasted = parseCopiedBlocks(text || '', blockTypes);
+    } catch (error) {
+      alert(`Can't paste here: ${error.message}`);
+      return;
+    }
+
+    for (const block of pasted.blocks) {
+      // Fill in fields the pasted block doesn't have, as a new block would
+      const filled = block[LINK_KEY] ? block : { ...createEmptyBlock(block.type, blockTypes[block.type]), ...block };
+      const index = blocksList.querySelectorAll(':scope > .block-item').length;
+      blocksList.insertAdjacentHTML('beforeend', generateBlockItem(blocksList.dataset.field, blockTypes, filled, index));
+      blocksList.lastElementChild.classList.add('collapsed');
+    }
+    if (pasted.dropped.length > 0) {
+      alert(`Left out fields this entry's blocks don't have: ${pasted.dropped.join(', ')}`);
+    }
+    flashButton(e.target, `Pasted ${pasted.blocks.length}`);
+    if (onBlockChange) onBlockChange();
+  });
+
+  // Copy a block into the entry's other translations (see registerBlockLocaleCopy)
+  formElement.addEventListener('click', (e) => {
+    if (!e.target.classList.contains('copy-block-to-locale')) return;
+    const blockItem = e.target.closest('.block-item');
+    copyBlockToLocale?.({
+      field: blockItem.closest('.blocks-list').dataset.field,
+      block: readBlockItem(blockItem),
+    });
+  });
+
+  // Unlink a linked block: it becomes an ordinary, editable copy
+  formElement.addEventListener('click', (e) => {
+    if (!e.target.classList.contains('unlink-block')) return;
+    const blockItem = e.target.closest('.block-item');
+    const { [LINK_KEY]: _link, ...block } = readBlockItem(blockItem);
+    replaceBlockItem(blockItem, block);
+    if (onBlockChange) onBlockChange();
+  });
+
+  // Edit a linked block's library block, then show the new fields in every
+  // instance on this form (the server has already rewritten the saved entries)
+  formElement.addEventListener('click', async (e) => {
+    if (!e.target.classList.contains('edit-library-block')) return;
+    const blockItem = e.target.closest('.block-item');
+    const block = readBlockItem(blockItem);
+    const blockTypes = JSON.parse(blockItem.closest('.blocks-list').dataset.blockTypes || '{}');
+    const { type: _type, ...properties } = blockTypes[block.type]?.properties || {};
+
+    const { openSingleItemEditor } = await import('./array-editor.js');
+    openSingleItemEditor(block, { ...blockTypes[block.type], properties }, async (edited) => {
+      const updated = await updateLibraryBlock(block[LINK_KEY], edited);
+      if (!updated) return;
+
+      formElement.querySelectorAll(`.block-item[data-library-block="${CSS.escape(updated.id)}"]`).forEach(item => {
+        replaceBlockItem(item, instantiateLibraryBlock(updated, { linked: true }));
+      });
+      refreshBlockActions(formElement);
+      if (onBlockChange) onBlockChange();
+    });
+  });
+
   // Toggle block collapse - clicking anywhere on header (accordion: only one open at a time)
   formElement.addEventListener('click', (e) => {
     const header = e.target.closest('.toggle-block-header');
-    if (header && !e.target.closest('.block-actions') && !e.target.closest('.block-drag-handle')) {
+    if (header && !e.target.closest('.block-actions') && !e.target.closest('.block-drag-handle') && !e.target.closest('.block-select')) {
       const blockItem = header.closest('.block-item');
       const blocksList = blockItem.closest('.blocks-list');
       const isCurrentlyCollapsed = blockItem.classList.contains('collapsed');
@@ -1869,6 +2258,59 @@ export function createEmptyArrayItem(schema) {
   return item;
 }
 
+/**
+ * Read one block back out of the form, `type` included
+ */
+function readBlockItem(blockItem) {
+  const linkedInput = blockItem.querySelector('input[data-linked-block]');
+  if (linkedInput) return JSON.parse(linkedInput.value);
+
+  // Read through the whole form: a detached copy of the block would lose
+  // whatever was typed since it rendered (values aren't attributes)
+  const path = `${blockItem.closest('.blocks-list').dataset.field}[${blockItem.dataset.index}]`;
+  let block = extractFields(blockItem.closest('form'));
+  for (const key of path.split(/\.|\[|\]/).filter(Boolean)) block = block?.[key];
+  return block || { type: blockItem.dataset.type };
+}
+
+/**
+ * Re-render a block in place, keeping it open
+ */
+function replaceBlockItem(blockItem, block) {
+  const blocksList = blockItem.closest('.blocks-list');
+  const blockTypes = JSON.parse(blocksList.dataset.blockTypes || '{}');
+  const html = generateBlockItem(blocksList.dataset.field, blockTypes, block, Number(blockItem.dataset.index));
+  const wasCollapsed = blockItem.classList.contains('collapsed');
+
+  blockItem.insertAdjacentHTML('afterend', html);
+  const replacement = blockItem.nextElementSibling;
+  blockItem.remove();
+  replacement.classList.toggle('collapsed', wasCollapsed);
+  const icon = replacement.querySelector('.block-expand-icon');
+  if (icon) icon.textContent = wasCollapsed ? '▶' : '▼';
+}
+
+/**
+ * Show a short confirmation on a button, then put its label back
+ */
+function flashButton(button, text) {
+  const label = button.textContent;
+  button.textContent = text;
+  setTimeout(() => { button.textContent = label; }, 1500);
+}
+
+/**
+ * Re-render the "Add block" pickers after the library changed
+ */
+function refreshBlockActions(formElement) {
+  formElement.querySelectorAll('.blocks-container').forEach(container => {
+    const blocksList = container.querySelector('.blocks-list');
+    const actions = container.querySelector('.blocks-actions');
+    if (!blocksList || !actions) return;
+    actions.innerHTML = generateBlockActions(blocksList.dataset.field, JSON.parse(blocksList.dataset.blockTypes || '{}'));
+  });
+}
+
 /**
  * Reindex blocks after reordering
  */
@@ -1,12 +1,27 @@
 /**
  * Image Library Component
- * Modal for browsing and selecting images
+ * Modal for browsing and selecting images: folders, search, tags and pages,
+ * with bulk move, tag and delete for the images ticked
  */
 
+import { escapeHtml } from './escape-html.js';
+
 let currentCallback = null;
 let currentImages = [];
 let selectedImageUrl = null;
 let isUploading = false;
+// 'all', or 'unused': images no entry uses
+let currentFilter = 'all';
+// What GET /api/images is asked for: the folder shown ('' for the top level),
+// search text, tag, sort and page. A search or tag looks in every folder.
+const listing = { folder: '', q: '', tag: '', sort: 'modified', page: 1 };
+const PER_PAGE = 48;
+let currentFolders = [];
+let currentTags = [];
+let currentPages = 1;
+let currentTotal = 0;
+// The images ticked for bulk actions, by path (kept across folders and pages)
+const checkedImages = new Map();
 
 /**
  * Open the image library modal
@@ -38,6 +53,9 @@ export async function openImageLibrary(onSelect, currentValue = '') {
  */
 export function closeImageLibrary() {
   const modal = document.getElementById('imageLibraryModal');
+  if (modal && cropEditor) {
+    closeCropEditor();
+  }
   if (modal) {
     modal.classList.add('hidden');
     document.body.style.overflow = '';
@@ -70,22 +88,78 @@ function createModal() {
           <div class="image-uploading-spinner"></div>
           <span>Uploading...</span>
         </div>
+        <div class="image-library-toolbar" data-toolbar>
+          <nav class="image-library-breadcrumbs" data-breadcrumbs></nav>
+          <div class="image-library-controls">
+            <input type="search" class="image-library-search" data-search placeholder="Search names, alt text, tags">
+            <select class="image-library-select" data-tag-filter>
+              <option value="">All tags</option>
+            </select>
+            <select class="image-library-select" data-sort>
+              <option value="modified">Newest</option>
+              <option value="name">Name</option>
+              <option value="size">Largest</option>
+              <option value="usage">Most used</option>
+            </select>
+            <div class="image-library-filters">
+              <button type="button" class="image-library-filter active" data-filter="all">All</button>
+              <button type="button" class="image-library-filter" data-filter="unused">Unused</button>
+            </div>
+            <button type="button" class="btn btn-sm btn-ghost" data-new-folder>New folder</button>
+            <button type="button" class="btn btn-sm btn-ghost hidden" data-delete-unused>Delete unused</button>
+          </div>
+        </div>
+        <div class="image-library-folders hidden" data-folders></div>
+        <div class="image-library-bulk hidden" data-bulk>
+          <span data-bulk-count></span>
+          <button type="button" class="btn btn-sm btn-ghost" data-bulk-move>Move to folder</button>
+          <button type="button" class="btn btn-sm btn-ghost" data-bulk-tag>Tag</button>
+          <button type="button" class="btn btn-sm btn-ghost" data-bulk-delete>Delete</button>
+          <button type="button" class="btn btn-sm btn-ghost" data-bulk-clear>Clear</button>
+        </div>
         <div class="image-library-grid" data-grid>
           <!-- Images will be loaded here -->
         </div>
         <div class="image-library-empty hidden" data-empty>
           <p>No images yet. Upload your first image above.</p>
         </div>
+        <div class="image-library-pagination hidden" data-pagination>
+          <button type="button" class="btn btn-sm btn-ghost" data-page="prev">&lsaquo; Previous</button>
+          <span data-page-info></span>
+          <button type="button" class="btn btn-sm btn-ghost" data-page="next">Next &rsaquo;</button>
+        </div>
+        <div class="image-crop-editor hidden" data-crop-editor>
+          <div class="image-crop-tabs" data-crop-tabs></div>
+          <p class="image-crop-hint" data-crop-hint></p>
+          <div class="image-crop-stage" data-crop-stage>
+            <img data-crop-image alt="">
+            <div class="image-crop-rect hidden" data-crop-rect></div>
+            <div class="image-crop-focal hidden" data-crop-focal></div>
+          </div>
+          <div class="image-crop-controls hidden" data-crop-controls>
+            <label class="image-modal-alt-label">Size</label>
+            <input type="range" min="20" max="100" step="1" data-crop-size>
+            <button type="button" class="btn btn-sm btn-ghost" data-crop-reset>Follow focal point</button>
+          </div>
+          <div class="image-crop-actions">
+            <button type="button" class="btn btn-secondary" data-crop-back>Back</button>
+            <button type="button" class="btn btn-primary" data-crop-save>Save</button>
+          </div>
+        </div>
       </div>
       <div class="image-modal-footer">
         <div class="image-modal-selected-details" data-selected-details>
           <div class="image-modal-selected-info" data-selected-info>
             No image selected
           </div>
+          <div class="image-library-usage hidden" data-usage></div>
           <div class="image-modal-alt-field hidden" data-alt-field>
             <label class="image-modal-alt-label">Alt text:</label>
             <input type="text" class="image-modal-alt-input" data-alt-input placeholder="Describe this image...">
+            <label class="image-modal-alt-label">Tags:</label>
+            <input type="text" class="image-modal-alt-input image-modal-tags-input" data-tags-input placeholder="team, summer">
             <button type="button" class="btn btn-sm btn-ghost" data-save-alt>Save</button>
+            <button type="button" class="btn btn-sm btn-ghost hidden" data-edit-crops>Focal point &amp; crops</button>
           </div>
         </div>
         <div class="image-modal-actions">
@@ -167,24 +241,119 @@ function setupModalEvents(modal) {
   // Save alt text button
   modal.querySelector('[data-save-alt]').addEventListener('click', saveAltText);
 
-  // Save alt text on Enter
-  modal.querySelector('[data-alt-input]').addEventListener('keydown', (e) => {
-    if (e.key === 'Enter') {
-      e.preventDefault();
-      saveAltText();
+  // Save alt text and tags on Enter
+  ['[data-alt-input]', '[data-tags-input]'].forEach(selector => {
+    modal.querySelector(selector).addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        saveAltText();
+      }
+    });
+  });
+
+  // Filter: all / unused
+  modal.querySelector('[data-toolbar]').addEventListener('click', (e) => {
+    const filterBtn = e.target.closest('[data-filter]');
+    if (!filterBtn) return;
+    currentFilter = filterBtn.dataset.filter;
+    modal.querySelectorAll('[data-filter]').forEach(btn => {
+      btn.classList.toggle('active', btn === filterBtn);
+    });
+    listing.page = 1;
+    loadImages();
+  });
+  modal.querySelector('[data-delete-unused]').addEventListener('click', deleteUnusedImages);
+
+  // Search (as you type), tag filter and sort
+  let searchTimer = null;
+  modal.querySelector('[data-search]').addEventListener('input', (e) => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      listing.q = e.target.value.trim();
+      listing.page = 1;
+      loadImages();
+    }, 250);
+  });
+  modal.querySelector('[data-tag-filter]').addEventListener('change', (e) => {
+    listing.tag = e.target.value;
+    listing.page = 1;
+    loadImages();
+  });
+  modal.querySelector('[data-sort]').addEventListener('change', (e) => {
+    listing.sort = e.target.value;
+    listing.page = 1;
+    loadImages();
+  });
+
+  // Folders: open (tiles and breadcrumbs), create, rename, delete
+  modal.querySelector('[data-new-folder]').addEventListener('click', createFolder);
+  modal.addEventListener('click', async (e) => {
+    const renameBtn = e.target.closest('[data-rename-folder]');
+    if (renameBtn) {
+      e.stopPropagation();
+      await renameFolder(renameBtn.dataset.renameFolder);
+      return;
+    }
+    const deleteBtn = e.target.closest('[data-delete-folder]');
+    if (deleteBtn) {
+      e.stopPropagation();
+      await deleteFolder(deleteBtn.dataset.deleteFolder);
+      return;
     }
+    const folderBtn = e.target.closest('[data-open-folder]');
+    if (folderBtn) {
+      openFolder(folderBtn.dataset.openFolder);
+    }
+  });
+
+  // Pages
+  modal.querySelector('[data-pagination]').addEventListener('click', (e) => {
+    const pageBtn = e.target.closest('[data-page]');
+    if (!pageBtn) return;
+    listing.page += pageBtn.dataset.page === 'next' ? 1 : -1;
+    loadImages();
+  });
+
+  // Bulk actions on the ticked images
+  modal.querySelector('[data-bulk-move]').addEventListener('click', moveCheckedImages);
+  modal.querySelector('[data-bulk-tag]').addEventListener('click', tagCheckedImages);
+  modal.querySelector('[data-bulk-delete]').addEventListener('click', deleteCheckedImages);
+  modal.querySelector('[data-bulk-clear]').addEventListener('click', () => {
+    checkedImages.clear();
+    renderLibrary();
   });
 
+  // Focal point & crop editor
+  modal.querySelector('[data-edit-crops]').addEventListener('click', () => {
+    const image = currentImages.find(img => img.url === selectedImageUrl);
+    if (image) openCropEditor(image);
+  });
+  setupCropEditorEvents(modal);
+
   // Grid click delegation (for selecting and deleting images)
   const grid = modal.querySelector('[data-grid]');
   grid.addEventListener('click', async (e) => {
+    // Tick for bulk actions
+    const checkbox = e.target.closest('[data-check]');
+    if (checkbox) {
+      e.stopPropagation();
+      const image = currentImages.find(img => img.path === checkbox.dataset.check);
+      if (checkbox.checked && image) {
+        checkedImages.set(image.path, image);
+      } else {
+        checkedImages.delete(checkbox.dataset.check);
+      }
+      renderBulkBar();
+      return;
+    }
+
     // Delete button
     const deleteBtn = e.target.closest('[data-delete]');
     if (deleteBtn) {
       e.stopPropagation();
-      const filename = deleteBtn.dataset.delete;
-      if (confirm(`Delete ${filename}?`)) {
-        await deleteImage(filename);
+      const imagePath = deleteBtn.dataset.delete;
+      if (confirm(`Delete ${imagePath}?`)) {
+        await deleteImage(imagePath);
       }
       return;
     }
@@ -198,20 +367,38 @@ function setupModalEvents(modal) {
 }
 
 /**
- * Load images from the API
+ * Load images from the API: the folder shown, or every folder while searching
  */
 async function loadImages() {
   const modal = document.getElementById('imageLibraryModal');
   const grid = modal.querySelector('[data-grid]');
-  const empty = modal.querySelector('[data-empty]');
+
+  const params = new URLSearchParams({ sort: listing.sort, page: listing.page, perPage: PER_PAGE });
+  if (isSearching()) {
+    if (listing.q) params.set('q', listing.q);
+    if (listing.tag) params.set('tag', listing.tag);
+  } else {
+    params.set('folder', listing.folder);
+  }
+  if (currentFilter === 'unused') params.set('unused', 'true');
 
   try {
-    const response = await fetch('/api/images');
+    const response = await fetch(`/api/images?${params}`);
     const data = await response.json();
 
     if (data.success) {
       currentImages = data.images;
-      renderImages(grid, empty);
+      currentFolders = data.folders;
+      currentTags = data.tags;
+      currentPages = data.pages;
+      currentTotal = data.total;
+      // The page asked for is past the end (e.g. after a delete)
+      if (listing.page > data.pages) {
+        listing.page = data.pages;
+        await loadImages();
+        return;
+      }
+      renderLibrary();
     } else {
       console.error('Failed to load images:', data.error);
       grid.innerHTML = '<p class="text-red-500">Failed to load images</p>';
@@ -222,29 +409,188 @@ async function loadImages() {
   }
 }
 
+function isSearching() {
+  return Boolean(listing.q || listing.tag);
+}
+
+/**
+ * Show another folder ('' for the top level), leaving search
+ */
+function openFolder(folder) {
+  const modal = document.getElementById('imageLibraryModal');
+  listing.folder = folder;
+  listing.q = '';
+  listing.tag = '';
+  listing.page = 1;
+  modal.querySelector('[data-search]').value = '';
+  loadImages();
+}
+
+/**
+ * Render everything the listing shows: where you are, the folders in it, the
+ * images, bulk actions and pages
+ */
+function renderLibrary() {
+  const modal = document.getElementById('imageLibraryModal');
+  renderBreadcrumbs();
+  renderTagFilter();
+  renderFolders();
+  renderImages(modal.querySelector('[data-grid]'), modal.querySelector('[data-empty]'));
+  renderBulkBar();
+  renderPagination();
+}
+
+function renderBreadcrumbs() {
+  const modal = document.getElementById('imageLibraryModal');
+  const crumbs = modal.querySelector('[data-breadcrumbs]');
+  if (isSearching()) {
+    crumbs.innerHTML = `<button type="button" class="image-library-crumb" data-open-folder="${escapeHtml(listing.folder)}">&lsaquo; Back</button>
+      <span>${currentTotal} result${currentTotal === 1 ? '' : 's'} in every folder</span>`;
+    return;
+  }
+
+  const parts = listing.folder ? listing.folder.split('/') : [];
+  crumbs.innerHTML = [
+    `<button type="button" class="image-library-crumb" data-open-folder="">Images</button>`,
+    ...parts.map((name, index) =>
+      `<button type="button" class="image-library-crumb" data-open-folder="${escapeHtml(parts.slice(0, index + 1).join('/'))}">${escapeHtml(name)}</button>`
+    ),
+  ].join('<span class="image-library-crumb-separator">/</span>');
+}
+
+function renderTagFilter() {
+  const modal = document.getElementById('imageLibraryModal');
+  const tagFilter = modal.querySelector('[data-tag-filter]');
+  tagFilter.innerHTML = `<option value="">All tags</option>` + currentTags.map(({ tag, count }) =>
+    `<option value="${escapeHtml(tag)}">${escapeHtml(tag)} (${count})</option>`
+  ).join('');
+  tagFilter.value = listing.tag;
+}
+
+/**
+ * Folder tiles for the folder shown; uploads folders can be renamed and
+ * deleted
+ */
+function renderFolders() {
+  const modal = document.getElementById('imageLibraryModal');
+  const foldersEl = modal.querySelector('[data-folders]');
+  const folders = isSearching() ? [] : currentFolders;
+  foldersEl.classList.toggle('hidden', folders.length === 0);
+
+  foldersEl.innerHTML = folders.map(folder => `
+    <div class="image-library-folder" data-open-folder="${escapeHtml(folder.path)}" title="${escapeHtml(folder.path)}">
+      <span class="image-library-folder-icon">📁</span>
+      <span class="image-library-folder-name">${escapeHtml(folder.name)}</span>
+      <span class="image-library-folder-count">${folder.count}</span>
+      ${folder.source === 'uploads' ? `
+        <button type="button" class="image-library-folder-action" data-rename-folder="${escapeHtml(folder.path)}" title="Rename or move">✎</button>
+        <button type="button" class="image-library-folder-action" data-delete-folder="${escapeHtml(folder.path)}" title="Delete (when empty)">&times;</button>
+      ` : ''}
+    </div>
+  `).join('');
+}
+
 /**
  * Render images in the grid
  */
 function renderImages(grid, empty) {
-  if (currentImages.length === 0) {
+  const images = currentImages;
+
+  const deleteUnusedBtn = document.querySelector('#imageLibraryModal [data-delete-unused]');
+  const unused = unusedImages();
+  deleteUnusedBtn.classList.toggle('hidden', currentFilter !== 'unused' || unused.length === 0);
+  deleteUnusedBtn.textContent = `Delete ${unused.length} unused`;
+
+  if (images.length === 0) {
     grid.innerHTML = '';
-    empty.classList.remove('hidden');
+    let message = 'No images yet. Upload your first image above.';
+    if (isSearching()) {
+      message = 'No images match.';
+    } else if (currentFilter === 'unused') {
+      message = 'Every image here is used somewhere.';
+    } else if (listing.folder) {
+      message = 'This folder is empty. Upload an image, or move some here.';
+    }
+    empty.querySelector('p').textContent = message;
+    // Folders showing above it: not empty
+    empty.classList.toggle('hidden', !isSearching() && currentFolders.length > 0 && currentFilter === 'all');
     return;
   }
 
   empty.classList.add('hidden');
 
-  grid.innerHTML = currentImages.map(img => `
-    <div class="image-library-item ${selectedImageUrl === img.url ? 'selected' : ''}" data-url="${img.url}">
-      <img src="${img.url}" alt="${img.filename}" loading="lazy">
+  grid.innerHTML = images.map(img => `
+    <div class="image-library-item ${selectedImageUrl === img.url ? 'selected' : ''}" data-url="${escapeHtml(img.url)}" title="${escapeHtml(img.path)}"${img.dominantColor ? ` style="background-color: ${img.dominantColor}"` : ''}>
+      <img src="${escapeHtml(img.url)}" alt="${escapeHtml(img.filename)}" loading="lazy">
       <div class="image-library-item-overlay">
         <span class="image-library-item-check">✓</span>
       </div>
-      ${img.source === 'uploads' ? `<button type="button" class="image-library-item-delete" data-delete="${img.filename}" title="Delete">&times;</button>` : ''}
+      <input type="checkbox" class="image-library-item-checkbox" data-check="${escapeHtml(img.path)}" title="Tick for bulk actions"${checkedImages.has(img.path) ? ' checked' : ''}>
+      <span class="image-library-item-usage ${img.usage ? '' : 'unused'}" title="${img.usage ? `Used in ${usageLabel(img.usage)}` : 'Not used by any entry'}">${img.usage ? `Used in ${img.usage}` : 'Unused'}</span>
+      ${img.source === 'uploads' ? `<button type="button" class="image-library-item-delete" data-delete="${escapeHtml(img.path)}" title="Delete">&times;</button>` : ''}
     </div>
   `).join('');
 }
 
+function renderBulkBar() {
+  const modal = document.getElementById('imageLibraryModal');
+  modal.querySelector('[data-bulk]').classList.toggle('hidden', checkedImages.size === 0);
+  modal.querySelector('[data-bulk-count]').textContent = `${checkedImages.size} selected`;
+}
+
+function renderPagination() {
+  const modal = document.getElementById('imageLibraryModal');
+  modal.querySelector('[data-pagination]').classList.toggle('hidden', currentPages <= 1);
+  modal.querySelector('[data-page-info]').textContent = `Page ${listing.page} of ${currentPages}`;
+  modal.querySelector('[data-page="prev"]').disabled = listing.page <= 1;
+  modal.querySelector('[data-page="next"]').disabled = listing.page >= currentPages;
+}
+
+/**
+ * Unused uploads on this page (source images can't be deleted, so they're
+ * left out)
+ */
+function unusedImages() {
+  return currentImages.filter(img => img.source === 'uploads' && !img.usage);
+}
+
+function usageLabel(count) {
+  return `${count} entr${count === 1 ? 'y' : 'ies'}`;
+}
+
+function formatUse(use) {
+  const locale = use.locale ? ` (${use.locale.toUpperCase()})` : '';
+  const title = use.title && use.title !== use.slug ? ` — ${use.title}` : '';
+  return `${use.collection}/${use.slug}${locale}${title}`;
+}
+
+/**
+ * Show which entries use the selected image, with links to them
+ */
+async function loadUsage(image) {
+  const modal = document.getElementById('imageLibraryModal');
+  const usageEl = modal.querySelector('[data-usage]');
+  usageEl.classList.toggle('hidden', !image.usage);
+  usageEl.innerHTML = '';
+  if (!image.usage) return;
+
+  try {
+    const response = await fetch(`/api/images/${encodeURIComponent(image.path)}/usage?source=${encodeURIComponent(image.source)}`);
+    const data = await response.json();
+    if (!data.success || selectedImageUrl !== image.url) return;
+
+    usageEl.innerHTML = `
+      Used in ${usageLabel(data.usage.length + data.hidden)}:
+      ${data.usage.map(use => `
+        <a href="/dashboard/${encodeURIComponent(use.collection)}/${encodeURIComponent(use.slug)}" target="_blank" title="${escapeHtml(use.fields.join(', '))}">${escapeHtml(formatUse(use))}</a>
+      `).join(', ')}
+      ${data.hidden > 0 ? `and ${data.hidden} more you can't see` : ''}
+    `;
+  } catch (error) {
+    console.error('Error loading image usage:', error);
+  }
+}
+
 /**
  * Select an image
  */
@@ -266,17 +612,315 @@ function selectImage(url) {
   // Update footer
   const image = currentImages.find(img => img.url === url);
   if (image) {
-    selectedInfo.textContent = `${image.filename} (${image.sizeFormatted})`;
+    const dimensions = image.width && image.height ? `${image.width}×${image.height}, ` : '';
+    selectedInfo.textContent = `${image.path} (${dimensions}${image.sizeFormatted})`;
     selectBtn.disabled = false;
 
-    // Show alt text field
+    // Show alt text and tags fields
     altField.classList.remove('hidden');
     altInput.value = image.alt || '';
+    modal.querySelector('[data-tags-input]').value = (image.tags || []).join(', ');
+
+    loadUsage(image);
+
+    // Crops are cut from uploads the server can decode
+    const croppable = image.source === 'uploads' && /^(jpe?g|png|webp|avif)$/.test(image.extension);
+    modal.querySelector('[data-edit-crops]').classList.toggle('hidden', !croppable);
   }
 }
 
+// Crop editor state while it's open: the image, its natural size, the focal
+// point, each named crop's placed rectangle (null: follows the focal point)
+// and what changed since it opened
+let cropEditor = null;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+const round4 = value => Math.round(value * 10000) / 10000;
+
+function aspectRatio(aspect) {
+  const [width, height] = aspect.split(':').map(Number);
+  return width / height;
+}
+
+/**
+ * The largest rectangle of a crop's ratio that fits the image, as fractions
+ */
+function maxCropSize(aspect) {
+  const { width, height } = cropEditor.natural;
+  const ratio = aspectRatio(aspect);
+  const fractionWidth = Math.min(1, (height * ratio) / width);
+  return { width: fractionWidth, height: (fractionWidth * width) / (ratio * height) };
+}
+
+/**
+ * Where a crop sits: as placed, or the largest rectangle around the focal
+ * point (the server cuts automatic crops the same way)
+ */
+function cropRect(name) {
+  if (cropEditor.rects[name]) return cropEditor.rects[name];
+  const size = maxCropSize(cropEditor.presets[name]);
+  const focus = cropEditor.focalPoint || { x: 0.5, y: 0.5 };
+  return {
+    x: clamp(focus.x - size.width / 2, 0, 1 - size.width),
+    y: clamp(focus.y - size.height / 2, 0, 1 - size.height),
+    width: size.width,
+    height: size.height,
+  };
+}
+
+function setCropRect(name, rect) {
+  cropEditor.rects[name] = rect;
+  cropEditor.changedCrops.add(name);
+}
+
 /**
- * Save alt text for selected image
+ * Open the focal point & crop editor for an uploaded image
+ */
+async function openCropEditor(image) {
+  const modal = document.getElementById('imageLibraryModal');
+
+  try {
+    const response = await fetch(`/api/images/${encodeURIComponent(image.path)}/metadata`);
+    const data = await response.json();
+    if (!data.success) {
+      alert('Failed to load crops: ' + data.error);
+      return;
+    }
+
+    const saved = data.metadata.crops || {};
+    cropEditor = {
+      image,
+      natural: null,
+      focalPoint: data.metadata.focalPoint || null,
+      presets: data.cropPresets || {},
+      rects: Object.fromEntries(Object.keys(data.cropPresets || {}).map(name => [
+        name,
+        saved[name]?.custom ? saved[name].rect : null,
+      ])),
+      tab: 'focal',
+      focalChanged: false,
+      changedCrops: new Set(),
+    };
+  } catch (error) {
+    console.error('Error loading crops:', error);
+    alert('Error loading crops: ' + error.message);
+    return;
+  }
+
+  ['[data-upload-zone]', '[data-toolbar]', '[data-folders]', '[data-bulk]', '[data-grid]', '[data-empty]', '[data-pagination]'].forEach(selector => {
+    modal.querySelector(selector).classList.add('hidden');
+  });
+  modal.querySelector('[data-crop-editor]').classList.remove('hidden');
+
+  const img = modal.querySelector('[data-crop-image]');
+  img.onload = () => {
+    cropEditor.natural = { width: img.naturalWidth, height: img.naturalHeight };
+    renderCropEditor();
+  };
+  img.src = image.url;
+}
+
+/**
+ * Back to the image grid
+ */
+function closeCropEditor() {
+  const modal = document.getElementById('imageLibraryModal');
+  cropEditor = null;
+  modal.querySelector('[data-crop-editor]').classList.add('hidden');
+  modal.querySelector('[data-upload-zone]').classList.remove('hidden');
+  modal.querySelector('[data-toolbar]').classList.remove('hidden');
+  modal.querySelector('[data-grid]').classList.remove('hidden');
+  renderLibrary();
+}
+
+function renderCropEditor() {
+  if (!cropEditor?.natural) return;
+  const modal = document.getElementById('imageLibraryModal');
+  const { tab, presets } = cropEditor;
+
+  modal.querySelector('[data-crop-tabs]').innerHTML = [
+    `<button type="button" class="image-crop-tab ${tab === 'focal' ? 'active' : ''}" data-crop-tab="focal">Focal point</button>`,
+    ...Object.entries(presets).map(([name, aspect]) =>
+      `<button type="button" class="image-crop-tab ${tab === name ? 'active' : ''}" data-crop-tab="${name}">${name} ${aspect}</button>`
+    ),
+  ].join('');
+
+  const focal = modal.querySelector('[data-crop-focal]');
+  focal.classList.toggle('hidden', !cropEditor.focalPoint);
+  if (cropEditor.focalPoint) {
+    focal.style.left = `${cropEditor.focalPoint.x * 100}%`;
+    focal.style.top = `${cropEditor.focalPoint.y * 100}%`;
+  }
+
+  const rectEl = modal.querySelector('[data-crop-rect]');
+  const controls = modal.querySelector('[data-crop-controls]');
+  const hint = modal.querySelector('[data-crop-hint]');
+
+  if (tab === 'focal') {
+    rectEl.classList.add('hidden');
+    controls.classList.add('hidden');
+    hint.textContent = 'Click the part of the image every crop should keep in view.';
+    return;
+  }
+
+  const rect = cropRect(tab);
+  rectEl.classList.remove('hidden');
+  rectEl.style.left = `${rect.x * 100}%`;
+  rectEl.style.top = `${rect.y * 100}%`;
+  rectEl.style.width = `${rect.width * 100}%`;
+  rectEl.style.height = `${rect.height * 100}%`;
+
+  controls.classList.remove('hidden');
+  modal.querySelector('[data-crop-size]').value = Math.round((rect.width / maxCropSize(presets[tab]).width) * 100);
+  modal.querySelector('[data-crop-reset]').disabled = !cropEditor.rects[tab];
+  hint.textContent = cropEditor.rects[tab]
+    ? 'Drag the frame to place this crop.'
+    : 'This crop follows the focal point. Drag the frame to place it yourself.';
+}
+
+/**
+ * Setup the crop editor's listeners (once, with the modal)
+ */
+function setupCropEditorEvents(modal) {
+  const stage = modal.querySelector('[data-crop-stage]');
+  const rectEl = modal.querySelector('[data-crop-rect]');
+
+  modal.querySelector('[data-crop-tabs]').addEventListener('click', (e) => {
+    const tabBtn = e.target.closest('[data-crop-tab]');
+    if (tabBtn && cropEditor) {
+      cropEditor.tab = tabBtn.dataset.cropTab;
+      renderCropEditor();
+    }
+  });
+
+  // Focal point: click the image
+  modal.querySelector('[data-crop-image]').addEventListener('click', (e) => {
+    if (!cropEditor || cropEditor.tab !== 'focal') return;
+    const bounds = e.currentTarget.getBoundingClientRect();
+    cropEditor.focalPoint = {
+      x: round4(clamp((e.clientX - bounds.left) / bounds.width, 0, 1)),
+      y: round4(clamp((e.clientY - bounds.top) / bounds.height, 0, 1)),
+    };
+    cropEditor.focalChanged = true;
+    renderCropEditor();
+  });
+
+  // Crop: drag the frame
+  rectEl.addEventListener('pointerdown', (e) => {
+    if (!cropEditor || cropEditor.tab === 'focal') return;
+    e.preventDefault();
+    const name = cropEditor.tab;
+    const start = { x: e.clientX, y: e.clientY, rect: cropRect(name) };
+    const bounds = stage.getBoundingClientRect();
+
+    const onMove = (moveEvent) => {
+      const { rect } = start;
+      setCropRect(name, {
+        ...rect,
+        x: clamp(rect.x + (moveEvent.clientX - start.x) / bounds.width, 0, 1 - rect.width),
+        y: clamp(rect.y + (moveEvent.clientY - start.y) / bounds.height, 0, 1 - rect.height),
+      });
+      renderCropEditor();
+    };
+    const onUp = () => {
+      window.removeEventListener('pointermove', onMove);
+      window.removeEventListener('pointerup', onUp);
+    };
+    window.addEventListener('pointermove', onMove);
+    window.addEventListener('pointerup', onUp);
+  });
+
+  // Crop: resize around its center
+  modal.querySelector('[data-crop-size]').addEventListener('input', (e) => {
+    if (!cropEditor || cropEditor.tab === 'focal') return;
+    const name = cropEditor.tab;
+    const rect = cropRect(name);
+    const max = maxCropSize(cropEditor.presets[name]);
+    const scale = Number(e.target.value) / 100;
+    const width = max.width * scale;
+    const height = max.height * scale;
+    setCropRect(name, {
+      x: clamp(rect.x + rect.width / 2 - width / 2, 0, 1 - width),
+      y: clamp(rect.y + rect.height / 2 - height / 2, 0, 1 - height),
+      width,
+      height,
+    });
+    renderCropEditor();
+  });
+
+  modal.querySelector('[data-crop-reset]').addEventListener('click', () => {
+    if (!cropEditor || cropEditor.tab === 'focal') return;
+    setCropRect(cropEditor.tab, null);
+    renderCropEditor();
+  });
+
+  modal.querySelector('[data-crop-back]').addEventListener('click', closeCropEditor);
+  modal.querySelector('[data-crop-save]').addEventListener('click', saveCrops);
+}
+
+/**
+ * Save the focal point and the crops that changed
+ */
+async function saveCrops() {
+  if (!cropEditor) return;
+  const modal = document.getElementById('imageLibraryModal');
+  const saveBtn = modal.querySelector('[data-crop-save]');
+
+  const body = {};
+  if (cropEditor.focalChanged) body.focalPoint = cropEditor.focalPoint;
+  if (cropEditor.changedCrops.size > 0) {
+    body.crops = Object.fromEntries([...cropEditor.changedCrops].map(name => {
+      const rect = cropEditor.rects[name];
+      return [name, rect && {
+        x: round4(rect.x),
+        y: round4(rect.y),
+        width: round4(rect.width),
+        height: round4(rect.height),
+      }];
+    }));
+  }
+  if (Object.keys(body).length === 0) {
+    closeCropEditor();
+    return;
+  }
+
+  saveBtn.disabled = true;
+  saveBtn.textContent = 'Saving...';
+
+  try {
+    const { image } = cropEditor;
+    const response = await fetch(`/api/images/${encodeURIComponent(image.path)}/metadata`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    const data = await response.json();
+
+    if (data.success) {
+      image.focalPoint = data.metadata.focalPoint || null;
+      image.crops = data.metadata.crops || {};
+      closeCropEditor();
+    } else {
+      alert('Failed to save crops: ' + (data.message || data.error));
+    }
+  } catch (error) {
+    console.error('Error saving crops:', error);
+    alert('Error saving crops: ' + error.message);
+  } finally {
+    saveBtn.disabled = false;
+    saveBtn.textContent = 'Save';
+  }
+}
+
+/**
+ * Split a comma-separated tags field
+ */
+function parseTags(text) {
+  return text.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+/**
+ * Save alt text and tags for selected image
  */
 async function saveAltText() {
   if (!selectedImageUrl) return;
@@ -289,14 +933,15 @@ async function saveAltText() {
   if (!image) return;
 
   const newAlt = altInput.value.trim();
+  const newTags = parseTags(modal.querySelector('[data-tags-input]').value);
   saveBtn.disabled = true;
   saveBtn.textContent = 'Saving...';
 
   try {
-    const response = await fetch(`/api/images/${encodeURIComponent(image.filename)}/metadata`, {
+    const response = await fetch(`/api/images/${encodeURIComponent(image.path)}/metadata`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ alt: newAlt }),
+      body: JSON.stringify({ alt: newAlt, tags: newTags }),
     });
 
     const data = await response.json();
@@ -304,6 +949,7 @@ async function saveAltText() {
     if (data.success) {
       // Update local cache
       image.alt = newAlt;
+      image.tags = data.metadata.tags || [];
       saveBtn.textContent = 'Saved!';
       setTimeout(() => {
         saveBtn.textContent = 'Save';
@@ -340,7 +986,9 @@ async function uploadImage(file) {
     const formData = new FormData();
     formData.append('image', file);
 
-    const response = await fetch('/api/images', {
+    // Into the folder shown
+    const folder = isSearching() ? '' : listing.folder;
+    const response = await fetch(`/api/images${folder ? `?folder=${encodeURIComponent(folder)}` : ''}`, {
       method: 'POST',
       body: formData,
     });
@@ -367,23 +1015,32 @@ async function uploadImage(file) {
 /**
  * Delete an image
  */
-async function deleteImage(filename) {
+async function deleteImage(imagePath) {
   try {
-    const response = await fetch(`/api/images/${encodeURIComponent(filename)}`, {
+    const apiUrl = `/api/images/${encodeURIComponent(imagePath)}`;
+    let response = await fetch(apiUrl, {
       method: 'DELETE',
     });
 
-    const data = await response.json();
+    let data = await response.json();
+
+    // Entries still use it: deleting it breaks their images, so say which
+    if (response.status === 409 && data.usage) {
+      const names = data.usage.map(use => `  • ${formatUse(use)}`);
+      if (data.hidden > 0) names.push(`  • ${data.hidden} more you can't see`);
+      if (!confirm(`${data.message}:\n\n${names.join('\n')}\n\nDelete anyway?`)) return;
+
+      response = await fetch(`${apiUrl}?force=true`, { method: 'DELETE' });
+      data = await response.json();
+    }
 
     if (data.success) {
       // If deleted image was selected, clear selection
-      const deletedImage = currentImages.find(img => img.filename === filename);
+      const deletedImage = currentImages.find(img => img.path === imagePath);
       if (deletedImage && deletedImage.url === selectedImageUrl) {
-        selectedImageUrl = null;
-        const modal = document.getElementById('imageLibraryModal');
-        modal.querySelector('[data-select]').disabled = true;
-        modal.querySelector('[data-selected-info]').textContent = 'No image selected';
+        clearSelection();
       }
+      checkedImages.delete(imagePath);
 
       // Reload images
       await loadImages();
@@ -396,6 +1053,239 @@ async function deleteImage(filename) {
   }
 }
 
+/**
+ * Forget the selected image (it was deleted or moved)
+ */
+function clearSelection() {
+  selectedImageUrl = null;
+  const modal = document.getElementById('imageLibraryModal');
+  modal.querySelector('[data-select]').disabled = true;
+  modal.querySelector('[data-selected-info]').textContent = 'No image selected';
+  modal.querySelector('[data-usage]').classList.add('hidden');
+  modal.querySelector('[data-alt-field]').classList.add('hidden');
+}
+
+/**
+ * Delete every upload the "Unused" filter shows on this page
+ */
+async function deleteUnusedImages() {
+  const filenames = unusedImages().map(img => img.path);
+  if (filenames.length === 0) return;
+  if (!confirm(`Delete ${filenames.length} unused image${filenames.length === 1 ? '' : 's'}? No entry uses them.`)) return;
+
+  try {
+    const response = await fetch('/api/images/delete-unused', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ filenames }),
+    });
+    const data = await response.json();
+
+    if (data.success) {
+      if (data.skipped.length > 0) {
+        alert(`${data.message}. Kept:\n\n${data.skipped.map(item => `  • ${item.filename}: ${item.reason}`).join('\n')}`);
+      }
+      if (currentImages.some(img => img.url === selectedImageUrl && data.deleted.includes(img.path))) {
+        clearSelection();
+      }
+      data.deleted.forEach(imagePath => checkedImages.delete(imagePath));
+      await loadImages();
+    } else {
+      alert('Cleanup failed: ' + data.error);
+    }
+  } catch (error) {
+    console.error('Error deleting unused images:', error);
+    alert('Error deleting unused images: ' + error.message);
+  }
+}
+
+/**
+ * Ask for a folder name and create it in the folder shown
+ */
+async function createFolder() {
+  const name = prompt('New folder name (letters, digits, - and _):');
+  if (!name || !name.trim()) return;
+  const folderPath = [listing.folder, name.trim()].filter(Boolean).join('/');
+
+  try {
+    const response = await fetch('/api/images/folders', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ path: folderPath }),
+    });
+    const data = await response.json();
+    if (data.success) {
+      openFolder(data.folder.path);
+    } else {
+      alert('Could not create folder: ' + (data.message || data.error));
+    }
+  } catch (error) {
+    console.error('Error creating folder:', error);
+    alert('Error creating folder: ' + error.message);
+  }
+}
+
+/**
+ * Rename a folder, or move it (give a path such as `archive/2024`)
+ */
+async function renameFolder(folderPath) {
+  const to = prompt(`Rename or move ${folderPath} to (a path such as archive/${folderPath.split('/').pop()}):`, folderPath);
+  if (!to || to.trim() === folderPath) return;
+
+  try {
+    const response = await fetch('/api/images/folders/rename', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ from: folderPath, to: to.trim() }),
+    });
+    const data = await response.json();
+    if (data.success) {
+      checkedImages.clear();
+      await loadImages();
+    } else {
+      alert('Could not move folder: ' + (data.message || data.error));
+    }
+  } catch (error) {
+    console.error('Error moving folder:', error);
+    alert('Error moving folder: ' + error.message);
+  }
+}
+
+/**
+ * Delete an empty folder
+ */
+async function deleteFolder(folderPath) {
+  if (!confirm(`Delete the folder ${folderPath}?`)) return;
+
+  try {
+    const response = await fetch(`/api/images/folders?path=${encodeURIComponent(folderPath)}`, { method: 'DELETE' });
+    const data = await response.json();
+    if (data.success) {
+      await loadImages();
+    } else {
+      alert('Could not delete folder: ' + (data.message || data.error));
+    }
+  } catch (error) {
+    console.error('Error deleting folder:', error);
+    alert('Error deleting folder: ' + error.message);
+  }
+}
+
+/**
+ * The ticked uploads, and how many source images were ticked (they can't be
+ * moved or deleted)
+ */
+function checkedUploads() {
+  const images = [...checkedImages.values()];
+  const uploads = images.filter(img => img.source === 'uploads');
+  return { paths: uploads.map(img => img.path), sourceCount: images.length - uploads.length };
+}
+
+/**
+ * Move the ticked uploads to a folder; entries using them follow
+ */
+async function moveCheckedImages() {
+  const { paths, sourceCount } = checkedUploads();
+  if (paths.length === 0) {
+    alert('Only uploaded images can be moved.');
+    return;
+  }
+  const skipped = sourceCount > 0 ? ` (${sourceCount} source image${sourceCount === 1 ? '' : 's'} stay where they are)` : '';
+  const folder = prompt(`Move ${paths.length} image${paths.length === 1 ? '' : 's'} to which folder? Leave empty for the top level.${skipped}`, listing.folder);
+  if (folder === null) return;
+
+  try {
+    const response = await fetch('/api/images/move', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ paths, folder: folder.trim() }),
+    });
+    const data = await response.json();
+    if (data.success) {
+      if (data.moved.some(move => `/images/${move.from}` === selectedImageUrl)) clearSelection();
+      checkedImages.clear();
+      await loadImages();
+    } else {
+      alert('Move failed: ' + (data.message || data.error));
+    }
+  } catch (error) {
+    console.error('Error moving images:', error);
+    alert('Error moving images: ' + error.message);
+  }
+}
+
+/**
+ * Add tags to (or, prefixed with -, remove them from) the ticked images
+ */
+async function tagCheckedImages() {
+  const paths = [...checkedImages.keys()];
+  const text = prompt(`Tags for ${paths.length} image${paths.length === 1 ? '' : 's'}, comma-separated. Put - before a tag to remove it.`);
+  if (!text) return;
+  const tags = parseTags(text);
+  const add = tags.filter(tag => !tag.startsWith('-'));
+  const remove = tags.filter(tag => tag.startsWith('-')).map(tag => tag.slice(1).trim()).filter(Boolean);
+
+  try {
+    const response = await fetch('/api/images/tags', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ paths, add, remove }),
+    });
+    const data = await response.json();
+    if (data.success) {
+      await loadImages();
+    } else {
+      alert('Tagging failed: ' + (data.message || data.error));
+    }
+  } catch (error) {
+    console.error('Error tagging images:', error);
+    alert('Error tagging images: ' + error.message);
+  }
+}
+
+/**
+ * Delete the ticked uploads: unused ones straight away, then, after saying
+ * which entries use them, the rest
+ */
+async function deleteCheckedImages() {
+  const { paths, sourceCount } = checkedUploads();
+  if (paths.length === 0) {
+    alert('Source images can\'t be deleted.');
+    return;
+  }
+  const skipped = sourceCount > 0 ? ` ${sourceCount} source image${sourceCount === 1 ? '' : 's'} will be kept.` : '';
+  if (!confirm(`Delete ${paths.length} image${paths.length === 1 ? '' : 's'}?${skipped}`)) return;
+
+  try {
+    const response = await fetch('/api/images/delete-unused', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ filenames: paths }),
+    });
+    const data = await response.json();
+    if (!data.success) {
+      alert('Delete failed: ' + data.error);
+      return;
+    }
+
+    const deleted = [...data.deleted];
+    const inUse = data.skipped.filter(item => item.reason.startsWith('Used in'));
+    if (inUse.length > 0 && confirm(`These are used by entries, which would be left with broken images:\n\n${inUse.map(item => `  • ${item.filename}: ${item.reason}`).join('\n')}\n\nDelete them anyway?`)) {
+      for (const { filename } of inUse) {
+        const forced = await fetch(`/api/images/${encodeURIComponent(filename)}?force=true`, { method: 'DELETE' });
+        if (forced.ok) deleted.push(filename);
+      }
+    }
+
+    if (deleted.some(imagePath => `/images/${imagePath}` === selectedImageUrl)) clearSelection();
+    deleted.forEach(imagePath => checkedImages.delete(imagePath));
+    await loadImages();
+  } catch (error) {
+    console.error('Error deleting images:', error);
+    alert('Error deleting images: ' + error.message);
+  }
+}
+
 /**
  * Direct upload (for "Upload New" button in image picker)
  * @param {Function} onUpload - Callback when upload completes (receives url)
@@ -0,0 +1,665 @@
+/**
+ * Markdown Editor
+ * Turns a markdown textarea into an editing surface: formatting toolbar and
+ * keyboard shortcuts, a live rendered preview (write / split / preview), link
+ * and table dialogs, images from the image library, and — for .mdx entries —
+ * a palette of the site's components with a props form.
+ *
+ * The textarea stays the source of truth: every edit goes through its value
+ * and fires a bubbling `input` event, so the host form's auto-save sees it.
+ */
+
+import { openImageLibrary } from './image-library.js';
+import { renderMarkdown } from './markdown-render.js';
+import { escapeHtml } from './escape-html.js';
+
+const MODE_STORAGE_KEY = 'astroadmin:markdown-editor-mode';
+const MODES = ['write', 'split', 'preview'];
+
+const TOOLBAR = `
+  <button type="button" class="markdown-btn" data-md="bold" title="Bold (Ctrl+B)"><strong>B</strong></button>
+  <button type="button" class="markdown-btn" data-md="italic" title="Italic (Ctrl+I)"><em>I</em></button>
+  <button type="button" class="markdown-btn" data-md="strike" title="Strikethrough"><del>S</del></button>
+  <button type="button" class="markdown-btn" data-md="code" title="Inline Code (Ctrl+E)">&lt;/&gt;</button>
+  <span class="markdown-separator"></span>
+  <button type="button" class="markdown-btn" data-md="h2" title="Heading 2 (Ctrl+Alt+2)">H2</button>
+  <button type="button" class="markdown-btn" data-md="h3" title="Heading 3 (Ctrl+Alt+3)">H3</button>
+  <span class="markdown-separator"></span>
+  <button type="button" class="markdown-btn" data-md="ul" title="Bullet List (Ctrl+Shift+8)">• List</button>
+  <button type="button" class="markdown-btn" data-md="ol" title="Numbered List (Ctrl+Shift+7)">1. List</button>
+  <button type="button" class="markdown-btn" data-md="quote" title="Blockquote">" Quote</button>
+  <span class="markdown-separator"></span>
+  <button type="button" class="markdown-btn" data-md-dialog="link" title="Link (Ctrl+K)">[Link]</button>
+  <button type="button" class="markdown-btn" data-md-dialog="image" title="Image from the library">🖼️</button>
+  <button type="button" class="markdown-btn" data-md-dialog="table" title="Table">▦ Table</button>
+  <button type="button" class="markdown-btn" data-md="codeblock" title="Code Block">{ }</button>
+  <button type="button" class="markdown-btn" data-md="hr" title="Divider">―</button>
+`;
+
+/**
+ * Enhance a textarea into a markdown editor
+ * @param {HTMLTextAreaElement} textarea
+ * @param {Object} [options]
+ * @param {boolean} [options.mdx=false] - Offer the component palette (.mdx entries)
+ * @param {string|null} [options.entryPath] - The entry's file, so component imports resolve from it
+ * @param {Function} [options.onChange] - Called after the toolbar or a dialog changes the text
+ * @returns {{ element: HTMLElement, refresh: () => void, setMode: (mode: string) => void }}
+ */
+export function createMarkdownEditor(textarea, { mdx = false, entryPath = null, onChange } = {}) {
+  const editor = document.createElement('div');
+  editor.className = 'md-editor';
+  editor.innerHTML = `
+    <div class="markdown-toolbar md-editor-toolbar">
+      ${TOOLBAR}
+      ${mdx ? '<span class="markdown-separator"></span><button type="button" class="markdown-btn" data-md-dialog="component" title="Insert a component">⧉ Component</button>' : ''}
+      <div class="md-editor-modes" role="group" aria-label="Editor view">
+        ${MODES.map(mode => `<button type="button" class="md-editor-mode" data-md-mode="${mode}">${mode[0].toUpperCase()}${mode.slice(1)}</button>`).join('')}
+      </div>
+    </div>
+    <div class="md-editor-panes">
+      <div class="md-editor-source"></div>
+      <div class="md-editor-preview markdown-preview" aria-live="polite"></div>
+    </div>
+    <div class="md-dialog hidden" data-md-dialog-panel></div>
+  `;
+
+  textarea.replaceWith(editor);
+  editor.querySelector('.md-editor-source').appendChild(textarea);
+  textarea.dataset.markdownEditorBound = 'true';
+
+  const preview = editor.querySelector('.md-editor-preview');
+  const dialogPanel = editor.querySelector('[data-md-dialog-panel]');
+
+  let frame = null;
+  const refresh = () => {
+    if (editor.dataset.mode === 'write') return;
+    cancelAnimationFrame(frame);
+    frame = requestAnimationFrame(() => {
+      preview.innerHTML = renderMarkdown(textarea.value, { mdx }) ||
+        '<p class="md-editor-empty">Nothing to preview yet.</p>';
+    });
+  };
+
+  const setMode = (mode) => {
+    const next = MODES.includes(mode) ? mode : 'split';
+    editor.dataset.mode = next;
+    editor.querySelectorAll('[data-md-mode]').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.mdMode === next);
+      btn.setAttribute('aria-pressed', String(btn.dataset.mdMode === next));
+    });
+    try {
+      localStorage.setItem(MODE_STORAGE_KEY, next);
+    } catch {
+      // Storage unavailable (private mode): the mode just isn't remembered
+    }
+    refresh();
+  };
+
+  const changed = () => {
+    textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    if (onChange) onChange();
+  };
+
+  const dialogs = {
+    link: () => openLinkDialog(textarea, dialogPanel, changed),
+    image: () => openImageLibrary((url) => {
+      insertImage(textarea, url);
+      changed();
+    }),
+    table: () => openTableDialog(textarea, dialogPanel, changed),
+    component: () => openComponentPalette(textarea, dialogPanel, { entryPath }, changed),
+  };
+
+  editor.querySelector('.md-editor-toolbar').addEventListener('click', (e) => {
+    const actionBtn = e.target.closest('[data-md]');
+    const dialogBtn = e.target.closest('[data-md-dialog]');
+    const modeBtn = e.target.closest('[data-md-mode]');
+    if (actionBtn) {
+      applyMarkdownAction(textarea, actionBtn.dataset.md);
+      changed();
+      textarea.focus();
+    } else if (dialogBtn) {
+      dialogs[dialogBtn.dataset.mdDialog]?.();
+    } else if (modeBtn) {
+      setMode(modeBtn.dataset.mdMode);
+    }
+  });
+
+  textarea.addEventListener('input', refresh);
+
+  textarea.addEventListener('keydown', (e) => {
+    const shortcut = shortcutAction(e);
+    if (shortcut) {
+      e.preventDefault();
+      e.stopPropagation();
+      if (dialogs[shortcut]) {
+        dialogs[shortcut]();
+      } else if (shortcut === 'toggle-preview') {
+        setMode(editor.dataset.mode === 'preview' ? 'split' : 'preview');
+      } else {
+        applyMarkdownAction(textarea, shortcut);
+        changed();
+      }
+      return;
+    }
+
+    if (e.key === 'Enter' && !e.shiftKey && !e.metaKey && !e.ctrlKey && continueList(textarea)) {
+      e.preventDefault();
+      changed();
+    } else if (e.key === 'Tab' && indentListItem(textarea, e.shiftKey ? -1 : 1)) {
+      e.preventDefault();
+      changed();
+    }
+  });
+
+  // Keep the preview roughly level with the part of the source being edited
+  textarea.addEventListener('scroll', () => {
+    if (editor.dataset.mode !== 'split') return;
+    const range = textarea.scrollHeight - textarea.clientHeight;
+    if (range > 0) {
+      preview.scrollTop = (textarea.scrollTop / range) * (preview.scrollHeight - preview.clientHeight);
+    }
+  });
+
+  let savedMode = null;
+  try {
+    savedMode = localStorage.getItem(MODE_STORAGE_KEY);
+  } catch {
+    // See setMode
+  }
+  setMode(savedMode || 'split');
+
+  return { element: editor, refresh, setMode };
+}
+
+/**
+ * Keyboard shortcut → toolbar action or dialog
+ */
+function shortcutAction(e) {
+  if (!(e.metaKey || e.ctrlKey)) return null;
+  const key = e.key.toLowerCase();
+  if (e.altKey) {
+    if (e.code === 'Digit2') return 'h2';
+    if (e.code === 'Digit3') return 'h3';
+    if (e.code === 'KeyP') return 'toggle-preview';
+    return null;
+  }
+  if (e.shiftKey) {
+    if (e.code === 'Digit8') return 'ul';
+    if (e.code === 'Digit7') return 'ol';
+    return null;
+  }
+  return { b: 'bold', i: 'italic', e: 'code', k: 'link' }[key] || null;
+}
+
+// ---------------------------------------------------------------------------
+// Text editing
+// ---------------------------------------------------------------------------
+
+/**
+ * Replace the selection and select the given part of what was inserted
+ */
+function replaceSelection(textarea, text, selectFrom = text.length, selectTo = selectFrom) {
+  const start = textarea.selectionStart;
+  const end = textarea.selectionEnd;
+  textarea.value = textarea.value.slice(0, start) + text + textarea.value.slice(end);
+  textarea.setSelectionRange(start + selectFrom, start + selectTo);
+}
+
+/**
+ * Insert a block (table, component, code) on lines of its own, separated from
+ * the text around it by blank lines
+ */
+function insertBlock(textarea, block, selectFrom = block.length, selectTo = selectFrom) {
+  const before = textarea.value.slice(0, textarea.selectionStart);
+  const after = textarea.value.slice(textarea.selectionEnd);
+  const lead = before === '' || before.endsWith('\n\n') ? '' : before.endsWith('\n') ? '\n' : '\n\n';
+  const trail = after === '' || after.startsWith('\n\n') ? '\n' : after.startsWith('\n') ? '\n' : '\n\n';
+  replaceSelection(textarea, `${lead}${block}${trail}`, lead.length + selectFrom, lead.length + selectTo);
+}
+
+/**
+ * Apply a toolbar formatting action at the cursor / to the selection
+ * @param {HTMLTextAreaElement} textarea
+ * @param {string} action - bold, italic, strike, code, h2, h3, ul, ol, quote, link, image, codeblock, hr
+ */
+export function applyMarkdownAction(textarea, action) {
+  const wrap = {
+    bold: ['**', '**', 'bold text'],
+    italic: ['_', '_', 'italic text'],
+    strike: ['~~', '~~', 'struck text'],
+    code: ['`', '`', 'code'],
+    link: ['[', '](url)', 'link text'],
+    image: ['![', '](image-url)', 'alt text'],
+  }[action];
+  if (wrap) {
+    const [before, after, placeholder] = wrap;
+    const selected = textarea.value.slice(textarea.selectionStart, textarea.selectionEnd);
+    const insert = selected || placeholder;
+    replaceSelection(textarea, before + insert + after, before.length, before.length + insert.length);
+    return;
+  }
+
+  const prefix = { h2: '## ', h3: '### ', ul: '- ', ol: '1. ', quote: '> ' }[action];
+  if (prefix) {
+    prefixLines(textarea, prefix, action === 'h2' || action === 'h3');
+    return;
+  }
+
+  if (action === 'codeblock') {
+    const selected = textarea.value.slice(textarea.selectionStart, textarea.selectionEnd);
+    const code = selected || 'code';
+    insertBlock(textarea, `\`\`\`\n${code}\n\`\`\``, 4, 4 + code.length);
+  } else if (action === 'hr') {
+    insertBlock(textarea, '---');
+  }
+}
+
+/**
+ * Prefix every line the selection touches. Headings replace an existing
+ * heading marker; lists and quotes toggle off when every line already has them.
+ */
+function prefixLines(textarea, prefix, heading) {
+  const { value, selectionStart, selectionEnd } = textarea;
+  const lineStart = value.lastIndexOf('\n', selectionStart - 1) + 1;
+  const nextBreak = value.indexOf('\n', selectionEnd);
+  const lineEnd = nextBreak === -1 ? value.length : nextBreak;
+  const lines = value.slice(lineStart, lineEnd).split('\n');
+
+  let next;
+  if (heading) {
+    next = lines.map(line => prefix + line.replace(/^#{1,6}\s+/, ''));
+  } else {
+    const pattern = prefix === '1. ' ? /^\d+\.\s/ : new RegExp(`^${prefix.replace(/[-*]/, '\\$&')}`);
+    const toggleOff = lines.every(line => pattern.test(line));
+    next = lines.map((line, n) => {
+      if (toggleOff) return line.replace(pattern, '');
+      return (prefix === '1. ' ? `${n + 1}. ` : prefix) + line;
+    });
+  }
+
+  const text = next.join('\n');
+  textarea.setSelectionRange(lineStart, lineEnd);
+  replaceSelection(textarea, text);
+  if (lines.length === 1 && lines[0] === '') {
+    textarea.setSelectionRange(lineStart + text.length, lineStart + text.length);
+  } else {
+    textarea.setSelectionRange(lineStart, lineStart + text.length);
+  }
+}
+
+/**
+ * Enter inside a list item starts the next item (numbered lists count on);
+ * Enter on an empty item ends the list
+ * @returns {boolean} Whether it handled the key
+ */
+function continueList(textarea) {
+  const { value, selectionStart, selectionEnd } = textarea;
+  if (selectionStart !== selectionEnd) return false;
+  const lineStart = value.lastIndexOf('\n', selectionStart - 1) + 1;
+  const line = value.slice(lineStart, selectionStart);
+  const match = line.match(/^(\s*)([-*+]|(\d+)\.)(\s+)(\[[ xX]\]\s+)?(.*)$/);
+  if (!match) return false;
+
+  const [, indent, marker, number, space, task, text] = match;
+  if (text.trim() === '' && !value.slice(selectionStart).match(/^[^\n]*\S/)) {
+    // Empty item: remove its marker and leave the list
+    textarea.setSelectionRange(lineStart, selectionStart);
+    replaceSelection(textarea, '');
+    return true;
+  }
+  const nextMarker = number ? `${Number(number) + 1}.` : marker;
+  replaceSelection(textarea, `\n${indent}${nextMarker}${space}${task ? '[ ] ' : ''}`);
+  return true;
+}
+
+/**
+ * Tab / Shift+Tab on list items nests or un-nests them
+ * @returns {boolean} Whether it handled the key
+ */
+function indentListItem(textarea, direction) {
+  const { value, selectionStart, selectionEnd } = textarea;
+  const lineStart = value.lastIndexOf('\n', selectionStart - 1) + 1;
+  const nextBreak = value.indexOf('\n', selectionEnd);
+  const lineEnd = nextBreak === -1 ? value.length : nextBreak;
+  const lines = value.slice(lineStart, lineEnd).split('\n');
+  if (!lines.every(line => /^\s*([-*+]|\d+\.)\s/.test(line))) return false;
+
+  const next = lines.map(line => (direction > 0 ? `  ${line}` : line.replace(/^ {1,2}/, '')));
+  const text = next.join('\n');
+  const shift = next[0].length - lines[0].length;
+  textarea.setSelectionRange(lineStart, lineEnd);
+  replaceSelection(textarea, text);
+  textarea.setSelectionRange(
+    Math.max(lineStart, selectionStart + shift),
+    Math.max(lineStart, selectionEnd + (text.length - (lineEnd - lineStart)))
+  );
+  return true;
+}
+
+function insertImage(textarea, url) {
+  const selected = textarea.value.slice(textarea.selectionStart, textarea.selectionEnd);
+  const alt = selected || url.split('/').pop().replace(/\.[^.]+$/, '').replace(/[-_]+/g, ' ');
+  const text = `![${alt}](${url})`;
+  replaceSelection(textarea, text, 2, 2 + alt.length);
+  textarea.focus();
+}
+
+/**
+ * A GFM table with the given size, header row included
+ * @param {number} columns
+ * @param {number} rows - Body rows
+ * @returns {string}
+ */
+export function markdownTable(columns, rows) {
+  const headers = Array.from({ length: columns }, (_, n) => `Column ${n + 1}`);
+  const line = cells => `| ${cells.join(' | ')} |`;
+  return [
+    line(headers),
+    line(headers.map(header => '-'.repeat(header.length))),
+    ...Array.from({ length: rows }, () => line(headers.map(header => ' '.repeat(header.length)))),
+  ].join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// Dialogs
+// ---------------------------------------------------------------------------
+
+/**
+ * Show a small form over the editor
+ * @param {HTMLElement} panel
+ * @param {Object} dialog
+ * @param {string} dialog.title
+ * @param {string} dialog.fieldsHtml - Inputs; their `name`s become the result's keys
+ * @param {string|null} [dialog.submitLabel] - null for a dialog that only closes
+ * @param {(values: Object) => void} onSubmit
+ */
+function showDialog(panel, { title, fieldsHtml, submitLabel = 'Insert' }, onSubmit) {
+  panel.innerHTML = `
+    <form class="md-dialog-form">
+      <div class="md-dialog-header">
+        <h4>${escapeHtml(title)}</h4>
+        <button type="button" class="md-dialog-close" data-md-dialog-cancel aria-label="Close">&times;</button>
+      </div>
+      <div class="md-dialog-body">${fieldsHtml}</div>
+      <div class="md-dialog-footer">
+        <button type="button" class="btn btn-sm btn-secondary" data-md-dialog-cancel>${submitLabel === null ? 'Close' : 'Cancel'}</button>
+        ${submitLabel === null ? '' : `<button type="submit" class="btn btn-sm btn-primary">${escapeHtml(submitLabel)}</button>`}
+      </div>
+    </form>
+  `;
+  panel.classList.remove('hidden');
+
+  const form = panel.querySelector('form');
+  const close = () => {
+    panel.classList.add('hidden');
+    panel.innerHTML = '';
+  };
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const values = {};
+    for (const input of form.querySelectorAll('[name]')) {
+      values[input.name] = input.type === 'checkbox' ? input.checked : input.value;
+    }
+    close();
+    onSubmit(values);
+  });
+  panel.querySelectorAll('[data-md-dialog-cancel]').forEach(btn => btn.addEventListener('click', close));
+  form.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      close();
+    }
+  });
+
+  form.querySelector('input, select, textarea')?.focus();
+  return { close };
+}
+
+function openLinkDialog(textarea, panel, changed) {
+  const start = textarea.selectionStart;
+  const end = textarea.selectionEnd;
+  const selected = textarea.value.slice(start, end);
+  const looksLikeUrl = /^(https?:\/\/|\/|mailto:)\S*$/.test(selected);
+
+  showDialog(panel, {
+    title: 'Insert link',
+    fieldsHtml: `
+      <label class="md-dialog-field">
+        <span>Text</span>
+        <input type="text" name="text" class="form-input" value="${escapeHtml(looksLikeUrl ? '' : selected)}">
+      </label>
+      <label class="md-dialog-field">
+        <span>URL</span>
+        <input type="text" name="url" class="form-input" placeholder="https://… or /page" value="${escapeHtml(looksLikeUrl ? selected : '')}" required>
+      </label>
+      <label class="md-dialog-field">
+        <span>Title <small>(optional, shown on hover)</small></span>
+        <input type="text" name="title" class="form-input">
+      </label>
+    `,
+  }, ({ text, url, title }) => {
+    const label = text.trim() || url.trim();
+    const titlePart = title.trim() ? ` "${title.trim().replace(/"/g, '\\"')}"` : '';
+    textarea.focus();
+    textarea.setSelectionRange(start, end);
+    replaceSelection(textarea, `[${label}](${url.trim().replace(/\s/g, '%20')}${titlePart})`);
+    changed();
+  });
+}
+
+function openTableDialog(textarea, panel, changed) {
+  const start = textarea.selectionStart;
+  const end = textarea.selectionEnd;
+
+  showDialog(panel, {
+    title: 'Insert table',
+    fieldsHtml: `
+      <label class="md-dialog-field">
+        <span>Columns</span>
+        <input type="number" name="columns" class="form-input" value="3" min="1" max="12" required>
+      </label>
+      <label class="md-dialog-field">
+        <span>Rows</span>
+        <input type="number" name="rows" class="form-input" value="2" min="1" max="50" required>
+      </label>
+    `,
+  }, ({ columns, rows }) => {
+    textarea.focus();
+    textarea.setSelectionRange(start, end);
+    // Select the first header so it can be typed over
+    insertBlock(textarea, markdownTable(Number(columns), Number(rows)), 2, 10);
+    changed();
+  });
+}
+
+// ---------------------------------------------------------------------------
+// MDX component palette
+// ---------------------------------------------------------------------------
+
+// entryPath -> Promise of that entry's component list
+const componentCache = new Map();
+
+function loadComponents(entryPath) {
+  const key = entryPath || '';
+  if (!componentCache.has(key)) {
+    const query = entryPath ? `?from=${encodeURIComponent(entryPath)}` : '';
+    const request = fetch(`/api/components${query}`)
+      .then(response => response.json())
+      .then(result => {
+        if (!result.success) throw new Error(result.message || result.error);
+        return result.components;
+      });
+    // A failed lookup is retried next time rather than cached
+    request.catch(() => componentCache.delete(key));
+    componentCache.set(key, request);
+  }
+  return componentCache.get(key);
+}
+
+async function openComponentPalette(textarea, panel, { entryPath }, changed) {
+  const start = textarea.selectionStart;
+  const end = textarea.selectionEnd;
+
+  panel.classList.remove('hidden');
+  panel.innerHTML = '<div class="md-dialog-body"><p class="md-dialog-hint">Loading components…</p></div>';
+
+  let components;
+  try {
+    components = await loadComponents(entryPath);
+  } catch (error) {
+    panel.innerHTML = `<div class="md-dialog-body"><p class="md-dialog-hint">Could not load components: ${escapeHtml(error.message)}</p></div>`;
+    setTimeout(() => panel.classList.add('hidden'), 3000);
+    return;
+  }
+
+  if (components.length === 0) {
+    showDialog(panel, {
+      title: 'Insert component',
+      fieldsHtml: '<p class="md-dialog-hint">No components found in src/components/.</p>',
+      submitLabel: null,
+    }, () => {});
+    return;
+  }
+
+  const { close } = showDialog(panel, {
+    title: 'Insert component',
+    fieldsHtml: `
+      <input type="search" class="form-input md-component-filter" placeholder="Filter components…" data-component-filter>
+      <ul class="md-component-list">
+        ${components.map((component, index) => `
+          <li>
+            <button type="button" class="md-component-option" data-component-index="${index}">
+              <span class="md-component-name">&lt;${escapeHtml(component.name)} /&gt;</span>
+              <span class="md-component-path">${escapeHtml(component.path)}</span>
+            </button>
+          </li>
+        `).join('')}
+      </ul>
+    `,
+    submitLabel: null,
+  }, () => {});
+
+  const filter = panel.querySelector('[data-component-filter]');
+  filter.addEventListener('input', () => {
+    const term = filter.value.trim().toLowerCase();
+    panel.querySelectorAll('[data-component-index]').forEach(btn => {
+      const component = components[btn.dataset.componentIndex];
+      btn.closest('li').hidden = term !== '' && !`${component.name} ${component.path}`.toLowerCase().includes(term);
+    });
+  });
+
+  panel.querySelector('.md-component-list').addEventListener('click', (e) => {
+    const option = e.target.closest('[data-component-index]');
+    if (!option) return;
+    close();
+    openPropsForm(components[option.dataset.componentIndex]);
+  });
+
+  function openPropsForm(component) {
+    showDialog(panel, {
+      title: `<${component.name}>`,
+      fieldsHtml: (component.props.length === 0 && !component.children)
+        ? '<p class="md-dialog-hint">This component takes no props.</p>'
+        : component.props.map(propField).join('') + (component.children ? `
+          <label class="md-dialog-field">
+            <span>Content</span>
+            <textarea name="__children" class="form-input" rows="3" placeholder="Markdown inside the component"></textarea>
+          </label>
+        ` : ''),
+    }, (values) => {
+      const children = component.children ? values.__children : null;
+      delete values.__children;
+      const jsx = componentJsx(component, values, children);
+      textarea.focus();
+      textarea.setSelectionRange(start, end);
+      insertBlock(textarea, jsx);
+      addComponentImport(textarea, component);
+      changed();
+    });
+  }
+}
+
+function propField(prop) {
+  const label = `<span>${escapeHtml(prop.name)}${prop.required ? ' <span class="text-red-500">*</span>' : ''}</span>`;
+  const value = prop.default !== undefined ? escapeHtml(prop.default) : '';
+  switch (prop.type) {
+    case 'boolean':
+      return `
+        <label class="md-dialog-field md-dialog-checkbox">
+          <input type="checkbox" name="${escapeHtml(prop.name)}"${prop.default === true ? ' checked' : ''}>
+          ${label}
+        </label>
+      `;
+    case 'enum':
+      return `
+        <label class="md-dialog-field">
+          ${label}
+          <select name="${escapeHtml(prop.name)}" class="form-input"${prop.required ? ' required' : ''}>
+            ${prop.required ? '' : '<option value="">—</option>'}
+            ${prop.options.map(option => `<option value="${escapeHtml(option)}"${option === prop.default ? ' selected' : ''}>${escapeHtml(option)}</option>`).join('')}
+          </select>
+        </label>
+      `;
+    default:
+      return `
+        <label class="md-dialog-field">
+          ${label}
+          <input type="${prop.type === 'number' ? 'number' : 'text'}" name="${escapeHtml(prop.name)}" class="form-input"
+            value="${value}"${prop.type === 'number' ? ' step="any"' : ''}${prop.required ? ' required' : ''}
+            ${prop.type === 'expression' ? 'placeholder="JavaScript expression, e.g. [1, 2]"' : ''}>
+        </label>
+      `;
+  }
+}
+
+/**
+ * JSX for a component with the props form's values. Props left empty, or at
+ * their default, are left out.
+ * @param {{ name: string, props: Object[] }} component
+ * @param {Object} values - Form values by prop name
+ * @param {string|null} children - Markdown content, for components with a slot
+ * @returns {string}
+ */
+export function componentJsx(component, values, children = null) {
+  const attributes = [];
+  for (const prop of component.props) {
+    const value = values[prop.name];
+    if (prop.type === 'boolean') {
+      if (value && prop.default !== true) attributes.push(prop.name);
+      if (!value && prop.default === true) attributes.push(`${prop.name}={false}`);
+      continue;
+    }
+    if (value === undefined || value === '' || String(value) === String(prop.default ?? '')) continue;
+    if (prop.type === 'number' || prop.type === 'expression') {
+      attributes.push(`${prop.name}={${value}}`);
+    } else if (String(value).includes('"')) {
+      attributes.push(`${prop.name}={${JSON.stringify(String(value))}}`);
+    } else {
+      attributes.push(`${prop.name}="${value}"`);
+    }
+  }
+
+  const open = [component.name, ...attributes].join(' ');
+  if (children === null || children === undefined) return `<${open} />`;
+  return `<${open}>\n${children.trim() || 'Content'}\n</${component.name}>`;
+}
+
+/**
+ * Add `import X from '...'` to the top of an MDX body, unless X is imported
+ */
+function addComponentImport(textarea, component) {
+  const { value } = textarea;
+  const alreadyImported = new RegExp(`^import\\s+(${component.name}\\b|\\{[^}]*\\b${component.name}\\b)`, 'm');
+  if (alreadyImported.test(value)) return;
+
+  const statement = `import ${component.name} from '${component.importPath}';`;
+  const leadingImports = value.match(/^(?:import[^\n]*\n)*/)[0];
+  const rest = value.slice(leadingImports.length);
+  const separator = leadingImports ? '' : (rest.startsWith('\n') ? '\n' : '\n\n');
+  const cursor = textarea.selectionEnd;
+  const inserted = `${statement}\n${separator}`;
+  textarea.value = leadingImports + inserted + rest;
+  textarea.setSelectionRange(cursor + inserted.length, cursor + inserted.length);
+}
@@ -0,0 +1,308 @@
+/**
+ * Markdown preview renderer
+ * Renders a markdown (or MDX) body to HTML for the editor's live preview.
+ *
+ * Covers what content bodies use day to day — headings, paragraphs, emphasis,
+ * links, images, lists (nested by indentation), blockquotes, code, tables and
+ * rules. It's a preview, not the site's renderer: raw HTML is shown escaped
+ * rather than run, and MDX components render as labelled placeholders (the
+ * real ones only exist in the site's build).
+ */
+
+import { escapeHtml } from './escape-html.js';
+
+const FENCE = /^(\s*)(`{3,}|~{3,})\s*([\w+-]*)/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const COMPONENT_OPEN = /^\s*<([A-Z][\w.]*)([^>]*?)(\/?)>\s*$/;
+const MDX_ESM = /^(import|export)\s/;
+
+/**
+ * Render markdown to HTML
+ * @param {string} source - Markdown text
+ * @param {Object} [options]
+ * @param {boolean} [options.mdx=false] - Treat JSX components and import/export lines as MDX
+ * @returns {string} HTML
+ */
+export function renderMarkdown(source, { mdx = false } = {}) {
+  const lines = String(source ?? '').replace(/\r\n?/g, '\n').split('\n');
+  return renderBlocks(lines, { mdx });
+}
+
+function renderBlocks(lines, options) {
+  const html = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (line.trim() === '') {
+      index++;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const close = new RegExp(`^\\s*${fence[2][0]}{${fence[2].length},}\\s*$`);
+      const code = [];
+      index++;
+      while (index < lines.length && !close.test(lines[index])) {
+        code.push(lines[index]);
+        index++;
+      }
+      index++; // closing fence
+      const lang = fence[3] ? ` class="language-${escapeHtml(fence[3])}"` : '';
+      html.push(`<pre><code${lang}>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    if (options.mdx && MDX_ESM.test(line)) {
+      const statement = [line];
+      index++;
+      // Multi-line imports/exports run until a line ending the statement
+      while (!/[;'"]\s*$/.test(statement.at(-1)) && index < lines.length && lines[index].trim() !== '') {
+        statement.push(lines[index]);
+        index++;
+      }
+      html.push(`<pre class="md-esm"><code>${escapeHtml(statement.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const component = options.mdx && line.match(COMPONENT_OPEN);
+    if (component) {
+      const [, name, attributes, selfClosing] = component;
+      index++;
+      const inner = [];
+      if (!selfClosing) {
+        const closing = new RegExp(`^\\s*</${name.replace('.', '\\.')}>\\s*$`);
+        let depth = 1;
+        while (index < lines.length) {
+          if (new RegExp(`^\\s*<${name.replace('.', '\\.')}[\\s>]`).test(lines[index]) && !/\/>\s*$/.test(lines[index])) depth++;
+          if (closing.test(lines[index]) && --depth === 0) break;
+          inner.push(lines[index]);
+          index++;
+        }
+        index++; // closing tag
+      }
+      html.push(renderComponent(name, attributes, inner.length > 0 ? renderBlocks(inner, options) : ''));
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      const level = heading[1].length;
+      html.push(`<h${level}>${renderInline(heading[2], options)}</h${level}>`);
+      index++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      html.push('<hr>');
+      index++;
+      continue;
+    }
+
+    if (/^\s*>/.test(line)) {
+      const quoted = [];
+      while (index < lines.length && /^\s*>/.test(lines[index])) {
+        quoted.push(lines[index].replace(/^\s*>\s?/, ''));
+        index++;
+      }
+      html.push(`<blockquote>${renderBlocks(quoted, options)}</blockquote>`);
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const end = listEnd(lines, index);
+      html.push(renderList(lines.slice(index, end), options));
+      index = end;
+      continue;
+    }
+
+    if (line.includes('|') && index + 1 < lines.length && TABLE_DIVIDER.test(lines[index + 1]) && lines[index + 1].includes('-')) {
+      const rows = [line, lines[index + 1]];
+      index += 2;
+      while (index < lines.length && lines[index].includes('|') && lines[index].trim() !== '') {
+        rows.push(lines[index]);
+        index++;
+      }
+      html.push(renderTable(rows, options));
+      continue;
+    }
+
+    // Paragraph: runs until a blank line or the start of another block
+    const paragraph = [line];
+    index++;
+    while (
+      index < lines.length &&
+      lines[index].trim() !== '' &&
+      !FENCE.test(lines[index]) &&
+      !HEADING.test(lines[index]) &&
+      !RULE.test(lines[index]) &&
+      !/^\s*>/.test(lines[index]) &&
+      !LIST_ITEM.test(lines[index]) &&
+      !(options.mdx && COMPONENT_OPEN.test(lines[index]))
+    ) {
+      paragraph.push(lines[index]);
+      index++;
+    }
+    html.push(`<p>${renderInline(paragraph.join('\n'), options)}</p>`);
+  }
+
+  return html.join('\n');
+}
+
+/** Index just past a list: items, their indented continuations, and blank lines between items */
+function listEnd(lines, start) {
+  const first = lines[start].match(LIST_ITEM);
+  const ordered = /\d/.test(first[2]);
+  // An item of the other kind (bullet vs numbered) at the list's level starts a new list
+  const sameList = (line) => {
+    const item = line.match(LIST_ITEM);
+    return item && (item[1].length > first[1].length || /\d/.test(item[2]) === ordered);
+  };
+
+  let index = start + 1;
+  while (index < lines.length) {
+    const line = lines[index];
+    if (line.trim() === '') {
+      const next = lines[index + 1];
+      if (next !== undefined && (sameList(next) || /^\s{2,}\S/.test(next))) {
+        index++;
+        continue;
+      }
+      break;
+    }
+    if (LIST_ITEM.test(line) ? !sameList(line) : /^\S/.test(line)) break;
+    index++;
+  }
+  return index;
+}
+
+function renderList(lines, options) {
+  const baseIndent = lines[0].match(LIST_ITEM)[1].length;
+  const ordered = /\d/.test(lines[0].match(LIST_ITEM)[2]);
+  const items = [];
+
+  for (const line of lines) {
+    const item = line.match(LIST_ITEM);
+    if (item && item[1].length <= baseIndent) {
+      items.push([item[3]]);
+    } else if (items.length > 0) {
+      // Continuation or nested list: strip the item's indentation
+      items.at(-1).push(line.slice(Math.min(baseIndent + 2, line.length - line.trimStart().length)));
+    }
+  }
+
+  const startAttr = ordered ? startAttribute(lines[0]) : '';
+  const tag = ordered ? 'ol' : 'ul';
+  const body = items.map(([first, ...rest]) => {
+    const task = first.match(/^\[([ xX])\]\s+(.*)$/);
+    const label = task
+      ? `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> ${renderInline(task[2], options)}`
+      : renderInline(first, options);
+    const nested = rest.some(line => line.trim() !== '') ? renderBlocks(rest, options) : '';
+    return `<li>${label}${nested}</li>`;
+  });
+  return `<${tag}${startAttr}>${body.join('')}</${tag}>`;
+}
+
+function startAttribute(line) {
+  const start = parseInt(line.match(LIST_ITEM)[2], 10);
+  return start !== 1 ? ` start="${start}"` : '';
+}
+
+function splitRow(row) {
+  return row.trim().replace(/^\|/, '').replace(/\|$/, '').split(/(?<!\\)\|/).map(cell => cell.trim());
+}
+
+function renderTable(rows, options) {
+  const [header, divider, ...body] = rows;
+  const aligns = splitRow(divider).map(cell => {
+    if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+    if (cell.endsWith(':')) return 'right';
+    if (cell.startsWith(':')) return 'left';
+    return null;
+  });
+  const cells = (row, tag) => splitRow(row)
+    .map((cell, column) => {
+      const align = aligns[column] ? ` style="text-align:${aligns[column]}"` : '';
+      return `<${tag}${align}>${renderInline(cell.replace(/\\\|/g, '|'), options)}</${tag}>`;
+    })
+    .join('');
+  return `<table><thead><tr>${cells(header, 'th')}</tr></thead><tbody>${body.map(row => `<tr>${cells(row, 'td')}</tr>`).join('')}</tbody></table>`;
+}
+
+/**
+ * MDX component placeholder: the tag name, its props, and its rendered children
+ */
+function renderComponent(name, attributes, childrenHtml) {
+  const props = attributes.trim();
+  return `<div class="md-component" data-component="${escapeHtml(name)}">` +
+    `<div class="md-component-label">&lt;${escapeHtml(name)}&gt;${props ? ` <span class="md-component-props">${escapeHtml(props)}</span>` : ''}</div>` +
+    (childrenHtml ? `<div class="md-component-children">${childrenHtml}</div>` : '') +
+    '</div>';
+}
+
+/**
+ * URLs safe to put in href/src: relative, anchors, http(s) and mailto
+ */
+function safeUrl(url) {
+  const trimmed = url.trim();
+  if (/^(https?:|mailto:|\/|\.{0,2}\/|#)/i.test(trimmed) || !/^[\w+.-]+:/.test(trimmed)) {
+    return escapeHtml(trimmed);
+  }
+  return '#';
+}
+
+/**
+ * Inline markdown: code spans, images, links, emphasis, breaks
+ */
+function renderInline(text, options) {
+  // Code spans first, so their contents are left alone
+  const codeSpans = [];
+  let result = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => {
+    codeSpans.push(`<code>${escapeHtml(code.trim())}</code>`);
+    return `\u0000${codeSpans.length - 1}\u0000`;
+  });
+
+  const components = [];
+  if (options.mdx) {
+    result = result.replace(/<([A-Z][\w.]*)([^<>]*?)\/>|<([A-Z][\w.]*)([^<>]*)>([\s\S]*?)<\/\3>/g,
+      (match, selfName, selfProps, name, props, children) => {
+        const tag = selfName || name;
+        const attributes = (selfName ? selfProps : props).trim();
+        components.push(
+          `<span class="md-component-inline" data-component="${escapeHtml(tag)}" title="${escapeHtml(attributes)}">` +
+          `${escapeHtml(children ?? `<${tag}>`)}</span>`
+        );
+        return `\u0001${components.length - 1}\u0001`;
+      });
+  }
+
+  result = escapeHtml(result)
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;([^&]*)&quot;)?\)/g, (match, alt, src, title) =>
+      `<img src="${safeUrl(unescapeEntities(src))}" alt="${alt}"${title ? ` title="${title}"` : ''}>`)
+    .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;([^&]*)&quot;)?\)/g, (match, label, href, title) =>
+      `<a href="${safeUrl(unescapeEntities(href))}"${title ? ` title="${title}"` : ''}>${label}</a>`)
+    .replace(/&lt;(https?:\/\/[^\s&]+)&gt;/g, (match, url) => `<a href="${url}">${url}</a>`)
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+    .replace(/(^|[^\w*])(\*|_)(?=\S)([\s\S]*?\S)\2(?![\w*])/g, '$1<em>$3</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+    .replace(/( {2,}|\\)\n/g, '<br>\n');
+
+  return result
+    .replace(/\u0001(\d+)\u0001/g, (match, n) => components[n])
+    .replace(/\u0000(\d+)\u0000/g, (match, n) => codeSpans[n]);
+}
+
+function unescapeEntities(text) {
+  return text
+    .replace(/&quot;/g, '"')
+    .replace(/&#039;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
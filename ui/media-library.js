@@ -0,0 +1,665 @@
+/**
+ * Media Library Component
+ * Modal for browsing, uploading and selecting media files (documents, video,
+ * audio and archives), with titles and, for videos, a poster frame picked
+ * from the video itself
+ */
+
+import { escapeHtml } from './escape-html.js';
+
+let currentCallback = null;
+let currentMedia = [];
+let selectedMediaUrl = null;
+let isUploading = false;
+// The kind shown ('' for every kind), and whether the field opening the
+// library allows only that kind
+let currentKind = '';
+let kindLocked = false;
+let searchText = '';
+// Size limits by kind, in MB, as the server reports them
+let currentLimits = {};
+
+// Extensions by kind, for file inputs; the server goes by a file's contents
+const EXTENSIONS = {
+  document: ['.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx', '.odt', '.ods', '.odp', '.txt', '.csv'],
+  video: ['.mp4', '.m4v', '.mov', '.webm'],
+  audio: ['.mp3', '.m4a', '.wav', '.ogg', '.oga', '.flac'],
+  archive: ['.zip'],
+};
+
+const KIND_LABELS = { document: 'Documents', video: 'Video', audio: 'Audio', archive: 'Archives' };
+const KIND_ICONS = { document: '📄', video: '🎬', audio: '🎵', archive: '🗜️' };
+
+function acceptFor(kind) {
+  return (kind ? EXTENSIONS[kind] : Object.values(EXTENSIONS).flat()).join(',');
+}
+
+/**
+ * Open the media library modal
+ * @param {Function} onSelect - Callback when a file is selected (receives url)
+ * @param {string} currentValue - Current value to pre-select
+ * @param {Object} options
+ * @param {string} options.kind - Only offer files of this kind
+ */
+export async function openMediaLibrary(onSelect, currentValue = '', { kind = '' } = {}) {
+  currentCallback = onSelect;
+  selectedMediaUrl = currentValue || null;
+  currentKind = EXTENSIONS[kind] ? kind : '';
+  kindLocked = Boolean(currentKind);
+
+  // Create modal if it doesn't exist
+  let modal = document.getElementById('mediaLibraryModal');
+  if (!modal) {
+    modal = createModal();
+    document.body.appendChild(modal);
+    setupModalEvents(modal);
+  }
+
+  modal.querySelector('[data-kind-filters]').classList.toggle('hidden', kindLocked);
+  modal.querySelector('[data-file-input]').accept = acceptFor(currentKind);
+  renderKindFilters();
+
+  // Show modal
+  modal.classList.remove('hidden');
+  document.body.style.overflow = 'hidden';
+
+  await loadMedia();
+  if (selectedMediaUrl) selectMedia(selectedMediaUrl);
+}
+
+/**
+ * Close the media library modal
+ */
+export function closeMediaLibrary() {
+  const modal = document.getElementById('mediaLibraryModal');
+  if (modal) {
+    closePosterEditor();
+    modal.classList.add('hidden');
+    document.body.style.overflow = '';
+  }
+  currentCallback = null;
+  selectedMediaUrl = null;
+}
+
+/**
+ * Create the modal HTML structure
+ */
+function createModal() {
+  const modal = document.createElement('div');
+  modal.id = 'mediaLibraryModal';
+  modal.className = 'image-modal-overlay hidden';
+  modal.innerHTML = `
+    <div class="image-modal">
+      <div class="image-modal-header">
+        <h2 class="image-modal-title">Media Library</h2>
+        <button type="button" class="image-modal-close" data-close>&times;</button>
+      </div>
+      <div class="image-modal-body">
+        <div class="image-modal-upload-zone" data-upload-zone>
+          <input type="file" data-file-input>
+          <div class="image-modal-upload-icon">📤</div>
+          <div class="image-modal-upload-text">Drop a file here or click to upload</div>
+          <div class="image-modal-upload-hint" data-upload-hint>PDF and office documents, video, audio, zip</div>
+        </div>
+        <div class="image-uploading hidden" data-uploading>
+          <div class="image-uploading-spinner"></div>
+          <span>Uploading...</span>
+        </div>
+        <div class="image-library-toolbar">
+          <div class="image-library-filters" data-kind-filters></div>
+          <div class="image-library-controls">
+            <input type="search" class="image-library-search" data-search placeholder="Search names and titles">
+          </div>
+        </div>
+        <div class="media-library-list" data-list>
+          <!-- Media will be loaded here -->
+        </div>
+        <div class="image-library-empty hidden" data-empty>
+          <p>No files yet. Upload your first file above.</p>
+        </div>
+        <div class="media-poster-editor hidden" data-poster-editor>
+          <video class="media-poster-video" controls preload="metadata" data-poster-video></video>
+          <p class="image-crop-hint">Pause on the frame to show before the video plays.</p>
+          <div class="image-crop-actions">
+            <button type="button" class="btn btn-secondary" data-poster-back>Back</button>
+            <button type="button" class="btn btn-ghost hidden" data-poster-remove>Remove poster</button>
+            <button type="button" class="btn btn-primary" data-poster-save>Use this frame</button>
+          </div>
+        </div>
+      </div>
+      <div class="image-modal-footer">
+        <div class="image-modal-selected-details">
+          <div class="image-modal-selected-info" data-selected-info>
+            No file selected
+          </div>
+          <div class="image-modal-alt-field hidden" data-title-field>
+            <label class="image-modal-alt-label">Title:</label>
+            <input type="text" class="image-modal-alt-input" data-title-input placeholder="Shown as the link text">
+            <button type="button" class="btn btn-sm btn-ghost" data-save-title>Save</button>
+            <button type="button" class="btn btn-sm btn-ghost hidden" data-edit-poster>Poster frame</button>
+          </div>
+        </div>
+        <div class="image-modal-actions">
+          <button type="button" class="btn btn-secondary" data-cancel>Cancel</button>
+          <button type="button" class="btn btn-primary" data-select disabled>Select File</button>
+        </div>
+      </div>
+    </div>
+  `;
+  return modal;
+}
+
+/**
+ * Setup modal event listeners
+ */
+function setupModalEvents(modal) {
+  // Close button
+  modal.querySelector('[data-close]').addEventListener('click', closeMediaLibrary);
+  modal.querySelector('[data-cancel]').addEventListener('click', closeMediaLibrary);
+
+  // Click outside to close
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeMediaLibrary();
+    }
+  });
+
+  // Escape key to close
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !modal.classList.contains('hidden')) {
+      closeMediaLibrary();
+    }
+  });
+
+  // Upload zone click
+  const uploadZone = modal.querySelector('[data-upload-zone]');
+  const fileInput = modal.querySelector('[data-file-input]');
+
+  uploadZone.addEventListener('click', () => {
+    fileInput.click();
+  });
+
+  fileInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      await uploadMedia(file);
+      fileInput.value = ''; // Reset input
+    }
+  });
+
+  // Drag and drop
+  uploadZone.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    uploadZone.classList.add('dragover');
+  });
+
+  uploadZone.addEventListener('dragleave', () => {
+    uploadZone.classList.remove('dragover');
+  });
+
+  uploadZone.addEventListener('drop', async (e) => {
+    e.preventDefault();
+    uploadZone.classList.remove('dragover');
+
+    const files = e.dataTransfer.files;
+    if (files.length > 0) {
+      await uploadMedia(files[0]);
+    }
+  });
+
+  // Select button
+  modal.querySelector('[data-select]').addEventListener('click', () => {
+    if (selectedMediaUrl && currentCallback) {
+      currentCallback(selectedMediaUrl);
+      closeMediaLibrary();
+    }
+  });
+
+  // Save title (button or Enter)
+  modal.querySelector('[data-save-title]').addEventListener('click', saveTitle);
+  modal.querySelector('[data-title-input]').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      saveTitle();
+    }
+  });
+
+  // Kind filter
+  modal.querySelector('[data-kind-filters]').addEventListener('click', (e) => {
+    const filterBtn = e.target.closest('[data-kind]');
+    if (!filterBtn) return;
+    currentKind = filterBtn.dataset.kind;
+    renderKindFilters();
+    loadMedia();
+  });
+
+  // Search (as you type)
+  let searchTimer = null;
+  modal.querySelector('[data-search]').addEventListener('input', (e) => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      searchText = e.target.value.trim();
+      loadMedia();
+    }, 250);
+  });
+
+  // Poster frame editor
+  modal.querySelector('[data-edit-poster]').addEventListener('click', () => {
+    const item = currentMedia.find(media => media.url === selectedMediaUrl);
+    if (item) openPosterEditor(item);
+  });
+  modal.querySelector('[data-poster-back]').addEventListener('click', closePosterEditor);
+  modal.querySelector('[data-poster-save]').addEventListener('click', savePosterFrame);
+  modal.querySelector('[data-poster-remove]').addEventListener('click', removePosterFrame);
+
+  // List click delegation (for selecting and deleting files)
+  modal.querySelector('[data-list]').addEventListener('click', async (e) => {
+    const deleteBtn = e.target.closest('[data-delete]');
+    if (deleteBtn) {
+      e.stopPropagation();
+      const filename = deleteBtn.dataset.delete;
+      if (confirm(`Delete ${filename}? Pages linking to it will have a broken link.`)) {
+        await deleteMedia(filename);
+      }
+      return;
+    }
+
+    const item = e.target.closest('.media-library-item');
+    if (item) {
+      selectMedia(item.dataset.url);
+    }
+  });
+}
+
+function renderKindFilters() {
+  const modal = document.getElementById('mediaLibraryModal');
+  const kinds = [['', 'All'], ...Object.entries(KIND_LABELS)];
+  modal.querySelector('[data-kind-filters]').innerHTML = kinds.map(([kind, label]) => `
+    <button type="button" class="image-library-filter ${kind === currentKind ? 'active' : ''}" data-kind="${kind}">${label}</button>
+  `).join('');
+}
+
+/**
+ * Load media from the API, of the kind shown
+ */
+async function loadMedia() {
+  const modal = document.getElementById('mediaLibraryModal');
+  const list = modal.querySelector('[data-list]');
+
+  const params = new URLSearchParams();
+  if (currentKind) params.set('kind', currentKind);
+  if (searchText) params.set('q', searchText);
+
+  try {
+    const response = await fetch(`/api/media?${params}`);
+    const data = await response.json();
+
+    if (data.success) {
+      currentMedia = data.media;
+      currentLimits = data.limits;
+      renderUploadHint();
+      renderMedia();
+    } else {
+      console.error('Failed to load media:', data.error);
+      list.innerHTML = '<p class="text-red-500">Failed to load media</p>';
+    }
+  } catch (error) {
+    console.error('Error loading media:', error);
+    list.innerHTML = '<p class="text-red-500">Error loading media</p>';
+  }
+}
+
+function renderUploadHint() {
+  const hint = document.querySelector('#mediaLibraryModal [data-upload-hint]');
+  const kinds = currentKind ? [currentKind] : Object.keys(KIND_LABELS);
+  hint.textContent = kinds
+    .filter(kind => currentLimits[kind] > 0)
+    .map(kind => `${KIND_LABELS[kind]} up to ${currentLimits[kind]}MB`)
+    .join(' · ');
+}
+
+/**
+ * Format seconds as m:ss (or h:mm:ss)
+ */
+function formatDuration(seconds) {
+  const whole = Math.round(seconds);
+  const hours = Math.floor(whole / 3600);
+  const minutes = Math.floor(whole / 60) % 60;
+  const secs = String(whole % 60).padStart(2, '0');
+  return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * What the server measured about a file: pages, duration, frame size
+ */
+function mediaDetails(item) {
+  const details = [];
+  if (item.pages) details.push(`${item.pages} page${item.pages === 1 ? '' : 's'}`);
+  if (item.duration) details.push(formatDuration(item.duration));
+  if (item.width && item.height) details.push(`${item.width}×${item.height}`);
+  details.push(item.sizeFormatted);
+  return details.join(', ');
+}
+
+function renderMedia() {
+  const modal = document.getElementById('mediaLibraryModal');
+  const list = modal.querySelector('[data-list]');
+  const empty = modal.querySelector('[data-empty]');
+
+  if (currentMedia.length === 0) {
+    list.innerHTML = '';
+    empty.querySelector('p').textContent = searchText ? 'No files match.' : 'No files yet. Upload your first file above.';
+    empty.classList.remove('hidden');
+    return;
+  }
+
+  empty.classList.add('hidden');
+
+  list.innerHTML = currentMedia.map(item => `
+    <div class="media-library-item ${selectedMediaUrl === item.url ? 'selected' : ''}" data-url="${escapeHtml(item.url)}" title="${escapeHtml(item.filename)}">
+      ${item.poster
+        ? `<img class="media-library-item-thumb" src="${escapeHtml(item.poster)}" alt="" loading="lazy">`
+        : `<span class="media-library-item-icon">${KIND_ICONS[item.kind]}</span>`}
+      <div class="media-library-item-text">
+        <span class="media-library-item-name">${escapeHtml(item.title || item.filename)}</span>
+        <span class="media-library-item-details">${escapeHtml(mediaDetails(item))}</span>
+      </div>
+      <button type="button" class="media-library-item-delete" data-delete="${escapeHtml(item.filename)}" title="Delete">&times;</button>
+    </div>
+  `).join('');
+}
+
+/**
+ * Select a file
+ */
+function selectMedia(url) {
+  selectedMediaUrl = url;
+
+  const modal = document.getElementById('mediaLibraryModal');
+  const selectBtn = modal.querySelector('[data-select]');
+  const selectedInfo = modal.querySelector('[data-selected-info]');
+  const titleField = modal.querySelector('[data-title-field]');
+
+  // Update selection visuals
+  modal.querySelectorAll('.media-library-item').forEach(item => {
+    item.classList.toggle('selected', item.dataset.url === url);
+  });
+
+  const item = currentMedia.find(media => media.url === url);
+  if (item) {
+    selectedInfo.textContent = `${item.filename} (${mediaDetails(item)})`;
+    selectBtn.disabled = false;
+    titleField.classList.remove('hidden');
+    modal.querySelector('[data-title-input]').value = item.title || '';
+    modal.querySelector('[data-edit-poster]').classList.toggle('hidden', item.kind !== 'video');
+  } else {
+    selectedInfo.textContent = 'No file selected';
+    selectBtn.disabled = true;
+    titleField.classList.add('hidden');
+  }
+}
+
+/**
+ * Save the selected file's title
+ */
+async function saveTitle() {
+  const modal = document.getElementById('mediaLibraryModal');
+  const saveBtn = modal.querySelector('[data-save-title]');
+  const item = currentMedia.find(media => media.url === selectedMediaUrl);
+  if (!item) return;
+
+  const title = modal.querySelector('[data-title-input]').value.trim();
+  saveBtn.disabled = true;
+  saveBtn.textContent = 'Saving...';
+
+  try {
+    const response = await fetch(`/api/media/${encodeURIComponent(item.filename)}/metadata`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ title }),
+    });
+
+    const data = await response.json();
+
+    if (data.success) {
+      Object.assign(item, data.media);
+      renderMedia();
+      saveBtn.textContent = 'Saved!';
+      setTimeout(() => {
+        saveBtn.textContent = 'Save';
+        saveBtn.disabled = false;
+      }, 1500);
+    } else {
+      alert('Failed to save title: ' + data.error);
+      saveBtn.textContent = 'Save';
+      saveBtn.disabled = false;
+    }
+  } catch (error) {
+    console.error('Error saving title:', error);
+    alert('Error saving title: ' + error.message);
+    saveBtn.textContent = 'Save';
+    saveBtn.disabled = false;
+  }
+}
+
+// The video whose poster frame is being picked, while the editor is open
+let posterItem = null;
+
+function openPosterEditor(item) {
+  const modal = document.getElementById('mediaLibraryModal');
+  const video = modal.querySelector('[data-poster-video]');
+  posterItem = item;
+
+  video.src = item.url;
+  video.addEventListener('loadedmetadata', () => {
+    if (item.posterTime !== null && item.posterTime <= video.duration) {
+      video.currentTime = item.posterTime;
+    }
+  }, { once: true });
+
+  modal.querySelector('[data-poster-remove]').classList.toggle('hidden', !item.poster);
+  modal.querySelector('[data-poster-editor]').classList.remove('hidden');
+  modal.querySelector('[data-list]').classList.add('hidden');
+}
+
+function closePosterEditor() {
+  const modal = document.getElementById('mediaLibraryModal');
+  if (!modal || !posterItem) return;
+  const video = modal.querySelector('[data-poster-video]');
+  video.pause();
+  video.removeAttribute('src');
+  video.load();
+  posterItem = null;
+
+  modal.querySelector('[data-poster-editor]').classList.add('hidden');
+  modal.querySelector('[data-list]').classList.remove('hidden');
+}
+
+/**
+ * Capture the frame the video is paused on as a JPEG
+ * @returns {Promise<Blob>}
+ */
+function captureFrame(video) {
+  const canvas = document.createElement('canvas');
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight;
+  canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not capture the frame'))), 'image/jpeg', 0.85);
+  });
+}
+
+/**
+ * Save the frame the video is on as its poster
+ */
+async function savePosterFrame() {
+  const modal = document.getElementById('mediaLibraryModal');
+  const video = modal.querySelector('[data-poster-video]');
+  const saveBtn = modal.querySelector('[data-poster-save]');
+  const item = posterItem;
+  if (!item) return;
+
+  if (!video.videoWidth) {
+    alert('The video hasn\'t loaded yet, or this browser can\'t play it.');
+    return;
+  }
+
+  saveBtn.disabled = true;
+  try {
+    const formData = new FormData();
+    formData.append('poster', await captureFrame(video), 'poster.jpg');
+    formData.append('time', String(video.currentTime));
+
+    const response = await fetch(`/api/media/${encodeURIComponent(item.filename)}/poster`, {
+      method: 'POST',
+      body: formData,
+    });
+    const data = await response.json();
+
+    if (data.success) {
+      Object.assign(item, data.media);
+      closePosterEditor();
+      renderMedia();
+    } else {
+      alert('Failed to save poster frame: ' + data.error);
+    }
+  } catch (error) {
+    console.error('Error saving poster frame:', error);
+    alert('Error saving poster frame: ' + error.message);
+  } finally {
+    saveBtn.disabled = false;
+  }
+}
+
+async function removePosterFrame() {
+  const item = posterItem;
+  if (!item) return;
+
+  try {
+    const response = await fetch(`/api/media/${encodeURIComponent(item.filename)}/poster`, { method: 'DELETE' });
+    const data = await response.json();
+
+    if (data.success) {
+      item.poster = null;
+      item.posterTime = null;
+      closePosterEditor();
+      renderMedia();
+    } else {
+      alert('Failed to remove poster frame: ' + data.error);
+    }
+  } catch (error) {
+    console.error('Error removing poster frame:', error);
+    alert('Error removing poster frame: ' + error.message);
+  }
+}
+
+/**
+ * Upload a file
+ */
+async function uploadMedia(file) {
+  const modal = document.getElementById('mediaLibraryModal');
+  const uploadingIndicator = modal.querySelector('[data-uploading]');
+  const uploadZone = modal.querySelector('[data-upload-zone]');
+
+  if (isUploading) return;
+
+  // A field that takes one kind only
+  const extension = file.name.slice(file.name.lastIndexOf('.')).toLowerCase();
+  if (kindLocked && !EXTENSIONS[currentKind].includes(extension)) {
+    alert(`This field takes ${KIND_LABELS[currentKind].toLowerCase()} files: ${EXTENSIONS[currentKind].join(', ')}`);
+    return;
+  }
+  isUploading = true;
+
+  uploadZone.classList.add('hidden');
+  uploadingIndicator.classList.remove('hidden');
+
+  try {
+    const data = await postMedia(file);
+
+    if (data.success) {
+      // Reload and auto-select the new file
+      await loadMedia();
+      selectMedia(data.media.url);
+    } else {
+      alert('Upload failed: ' + (data.message || data.error));
+    }
+  } catch (error) {
+    console.error('Error uploading media:', error);
+    alert('Error uploading media: ' + error.message);
+  } finally {
+    isUploading = false;
+    uploadZone.classList.remove('hidden');
+    uploadingIndicator.classList.add('hidden');
+  }
+}
+
+async function postMedia(file) {
+  const formData = new FormData();
+  formData.append('file', file);
+
+  const response = await fetch('/api/media', {
+    method: 'POST',
+    body: formData,
+  });
+  return response.json();
+}
+
+/**
+ * Delete a file
+ */
+async function deleteMedia(filename) {
+  try {
+    const response = await fetch(`/api/media/${encodeURIComponent(filename)}`, {
+      method: 'DELETE',
+    });
+
+    const data = await response.json();
+
+    if (data.success) {
+      const deleted = currentMedia.find(media => media.filename === filename);
+      if (deleted && deleted.url === selectedMediaUrl) {
+        selectMedia(null);
+      }
+      await loadMedia();
+    } else {
+      alert('Delete failed: ' + data.error);
+    }
+  } catch (error) {
+    console.error('Error deleting media:', error);
+    alert('Error deleting media: ' + error.message);
+  }
+}
+
+/**
+ * Direct upload (for "Upload New" button in file picker)
+ * @param {Function} onUpload - Callback when upload completes (receives url)
+ * @param {Object} options
+ * @param {string} options.kind - Only offer files of this kind
+ */
+export async function uploadNewMedia(onUpload, { kind = '' } = {}) {
+  // Create a temporary file input
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = acceptFor(EXTENSIONS[kind] ? kind : '');
+
+  input.addEventListener('change', async () => {
+    const file = input.files[0];
+    if (!file) return;
+
+    try {
+      const data = await postMedia(file);
+
+      if (data.success) {
+        onUpload(data.media.url);
+      } else {
+        alert('Upload failed: ' + (data.message || data.error));
+      }
+    } catch (error) {
+      console.error('Error uploading media:', error);
+      alert('Error uploading media: ' + error.message);
+    }
+  });
+
+  input.click();
+}
@@ -0,0 +1,61 @@
+/**
+ * Publish log stream client
+ * Follows one publish run's output live over the /api/publish/stream WebSocket
+ */
+
+/**
+ * An id for the dashboard's own run: sent with the publish request, and
+ * carried on every streamed line of that run
+ */
+export function createStreamId() {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+  // randomUUID needs a secure context; plain-http installs fall back to this
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Connect to the log stream and pass on the lines of one run
+ * Resolves once connected (or after `timeoutMs` if the stream is unavailable,
+ * in which case publishing just goes ahead without live output).
+ * @param {string} streamId - The id sent with the publish request
+ * @param {(line: {step: string, text: string, time: string}) => void} onLine
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=2000]
+ * @returns {Promise<{close: () => void}>}
+ */
+export function openPublishLogStream(streamId, onLine, { timeoutMs = 2000 } = {}) {
+  return new Promise((resolve) => {
+    let socket;
+    const closer = { close: () => socket?.close() };
+
+    try {
+      const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+      socket = new WebSocket(`${protocol}//${location.host}/api/publish/stream`);
+    } catch (error) {
+      console.warn('Publish log stream unavailable:', error);
+      resolve(closer);
+      return;
+    }
+
+    const timer = setTimeout(() => resolve(closer), timeoutMs);
+    socket.addEventListener('open', () => {
+      clearTimeout(timer);
+      resolve(closer);
+    });
+    socket.addEventListener('error', () => {
+      clearTimeout(timer);
+      resolve(closer);
+    });
+    socket.addEventListener('message', (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+      if (message.type === 'line' && message.streamIds?.includes(streamId)) {
+        onLine(message);
+      }
+    });
+  });
+}
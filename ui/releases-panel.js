@@ -0,0 +1,138 @@
+/**
+ * Releases Panel Component
+ * Lists deployed releases (rsync releases mode) and rolls the live site back
+ */
+
+import { escapeHtml } from './escape-html.js';
+
+let panelOpen = false;
+let canRollback = false;
+
+/**
+ * Toggle the releases panel
+ * @param {Object} [options]
+ * @param {boolean} [options.canRollback] - Whether to offer rollback (admins)
+ */
+export async function toggleReleasesPanel(options = {}) {
+  canRollback = Boolean(options.canRollback);
+
+  if (!document.getElementById('releasesPanel')) {
+    createPanel();
+  }
+
+  panelOpen = !panelOpen;
+  const panelEl = document.getElementById('releasesPanel');
+
+  if (panelOpen) {
+    panelEl.classList.remove('hidden');
+    await loadReleases();
+  } else {
+    panelEl.classList.add('hidden');
+  }
+}
+
+/**
+ * Close the panel
+ */
+export function closeReleasesPanel() {
+  panelOpen = false;
+  document.getElementById('releasesPanel')?.classList.add('hidden');
+}
+
+/**
+ * Create the panel HTML
+ */
+function createPanel() {
+  const panel = document.createElement('div');
+  panel.id = 'releasesPanel';
+  panel.className = 'changes-panel hidden';
+  panel.innerHTML = `
+    <div class="changes-panel-header">
+      <h3 class="changes-panel-title">Releases</h3>
+      <button type="button" class="changes-panel-close" data-close-releases>&times;</button>
+    </div>
+    <div class="changes-panel-body">
+      <div class="changes-section">
+        <h4 class="changes-section-title">Deployed Releases</h4>
+        <div class="changes-list" data-releases-list>
+          <div class="changes-loading">Loading...</div>
+        </div>
+      </div>
+    </div>
+    <div class="changes-panel-footer">
+      <button type="button" class="btn btn-sm btn-secondary" data-refresh-releases>Refresh</button>
+    </div>
+  `;
+
+  document.body.appendChild(panel);
+
+  panel.querySelector('[data-close-releases]').addEventListener('click', closeReleasesPanel);
+  panel.querySelector('[data-refresh-releases]').addEventListener('click', loadReleases);
+  panel.addEventListener('click', async (e) => {
+    if (e.target.matches('[data-rollback]')) {
+      const release = e.target.dataset.rollback;
+      if (confirm(`Make release ${release} live again?\n\nThe live site switches immediately.`)) {
+        await rollbackTo(release);
+      }
+    }
+  });
+}
+
+/**
+ * Load and render the release list
+ */
+async function loadReleases() {
+  const list = document.querySelector('[data-releases-list]');
+
+  try {
+    const res = await fetch('/api/publish/releases');
+    const data = await res.json();
+
+    if (!data.success) {
+      list.innerHTML = `<div class="changes-error">${escapeHtml(data.message || data.error)}</div>`;
+      return;
+    }
+    if (data.releases.length === 0) {
+      list.innerHTML = '<div class="changes-empty">No releases deployed yet</div>';
+      return;
+    }
+
+    list.innerHTML = data.releases.map(release => `
+      <div class="release-item${release.current ? ' release-item-live' : ''}">
+        <span class="release-date" title="${escapeHtml(release.id)}">${new Date(release.date).toLocaleString()}</span>
+        <span class="commit-hash">${escapeHtml(release.commit || 'no commit')}</span>
+        ${release.current
+          ? '<span class="release-live-badge">Live</span>'
+          : canRollback
+            ? `<button type="button" class="btn btn-sm btn-secondary" data-rollback="${escapeHtml(release.id)}">Roll back</button>`
+            : ''}
+      </div>
+    `).join('');
+  } catch (error) {
+    console.error('Error loading releases:', error);
+    list.innerHTML = '<div class="changes-error">Failed to load releases</div>';
+  }
+}
+
+/**
+ * Switch the live site to an earlier release
+ */
+async function rollbackTo(release) {
+  try {
+    const res = await fetch('/api/publish/rollback', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ release })
+    });
+    const data = await res.json();
+
+    if (data.success) {
+      await loadReleases();
+    } else {
+      alert(`Failed to roll back: ${data.message || data.error}`);
+    }
+  } catch (error) {
+    console.error('Error rolling back:', error);
+    alert('Failed to roll back');
+  }
+}
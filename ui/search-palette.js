@@ -0,0 +1,221 @@
+/**
+ * Search Palette
+ * Command-palette style search across every collection (Cmd/Ctrl+K).
+ * Results come from /api/search; picking one hands it to the caller, which
+ * opens the entry and highlights the field that matched.
+ */
+
+import { escapeHtml } from './escape-html.js';
+
+const DEBOUNCE_MS = 150;
+
+let onSelectCallback = null;
+let results = [];
+let activeIndex = 0;
+let debounceTimer = null;
+// Only the latest request's response is rendered
+let requestSeq = 0;
+
+/**
+ * Open the search palette
+ * @param {Function} onSelect - Called with the chosen result
+ *   ({collection, slug, locale, field, ...} from /api/search)
+ */
+export function openSearchPalette(onSelect) {
+  onSelectCallback = onSelect;
+
+  let modal = document.getElementById('searchPaletteModal');
+  if (!modal) {
+    modal = createModal();
+    document.body.appendChild(modal);
+    setupModalEvents(modal);
+  }
+
+  modal.classList.remove('hidden');
+  const input = modal.querySelector('[data-search]');
+  input.select();
+  input.focus();
+  if (input.value.trim()) {
+    runSearch(input.value);
+  }
+}
+
+/**
+ * Close the search palette (the last query stays for next time)
+ */
+export function closeSearchPalette() {
+  const modal = document.getElementById('searchPaletteModal');
+  if (modal) {
+    modal.classList.add('hidden');
+  }
+  clearTimeout(debounceTimer);
+  onSelectCallback = null;
+}
+
+/**
+ * Open the palette on Cmd/Ctrl+K. The markdown editor claims the same
+ * shortcut for links while it has focus, and stops it there.
+ * @param {Function} onSelect - As for openSearchPalette
+ */
+export function registerSearchShortcut(onSelect) {
+  document.addEventListener('keydown', (e) => {
+    if ((e.metaKey || e.ctrlKey) && !e.altKey && !e.shiftKey && e.key.toLowerCase() === 'k') {
+      if (e.defaultPrevented) return;
+      e.preventDefault();
+      openSearchPalette(onSelect);
+    }
+  });
+}
+
+/**
+ * Create the modal HTML structure
+ */
+function createModal() {
+  const modal = document.createElement('div');
+  modal.id = 'searchPaletteModal';
+  modal.className = 'search-palette-overlay hidden';
+  modal.innerHTML = `
+    <div class="search-palette" role="dialog" aria-label="Search content">
+      <input type="search" class="search-palette-input" data-search
+        placeholder="Search all content..." autocomplete="off" spellcheck="false"
+        role="combobox" aria-expanded="true" aria-controls="searchPaletteResults">
+      <ul class="search-palette-results" id="searchPaletteResults" role="listbox" data-results></ul>
+      <div class="search-palette-footer">
+        <span><kbd>↑</kbd><kbd>↓</kbd> to move</span>
+        <span><kbd>Enter</kbd> to open</span>
+        <span><kbd>Esc</kbd> to close</span>
+      </div>
+    </div>
+  `;
+  return modal;
+}
+
+/**
+ * Set up modal event listeners
+ */
+function setupModalEvents(modal) {
+  const input = modal.querySelector('[data-search]');
+  const list = modal.querySelector('[data-results]');
+
+  // Click on the backdrop closes
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeSearchPalette();
+  });
+
+  input.addEventListener('input', () => {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => runSearch(input.value), DEBOUNCE_MS);
+  });
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      closeSearchPalette();
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (results.length === 0) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActive((activeIndex + step + results.length) % results.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      choose(activeIndex);
+    }
+  });
+
+  list.addEventListener('mousemove', (e) => {
+    const item = e.target.closest('[data-index]');
+    if (item && Number(item.dataset.index) !== activeIndex) {
+      setActive(Number(item.dataset.index));
+    }
+  });
+
+  list.addEventListener('click', (e) => {
+    const item = e.target.closest('[data-index]');
+    if (item) choose(Number(item.dataset.index));
+  });
+}
+
+async function runSearch(query) {
+  const seq = ++requestSeq;
+  const list = document.querySelector('#searchPaletteModal [data-results]');
+
+  if (!query.trim()) {
+    results = [];
+    list.innerHTML = '';
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/search?q=${encodeURIComponent(query)}`);
+    const data = await response.json();
+    if (seq !== requestSeq) return;
+    if (!data.success) {
+      throw new Error(data.message || data.error || 'Search failed');
+    }
+    results = data.results;
+    renderResults(list);
+  } catch (error) {
+    if (seq !== requestSeq) return;
+    results = [];
+    list.innerHTML = `<li class="search-palette-empty">Search failed: ${escapeHtml(error.message)}</li>`;
+  }
+}
+
+function renderResults(list) {
+  activeIndex = 0;
+  if (results.length === 0) {
+    list.innerHTML = '<li class="search-palette-empty">No matches</li>';
+    return;
+  }
+
+  list.innerHTML = results.map((result, index) => {
+    const title = result.title || result.slug;
+    const locale = result.locale ? ` · ${result.locale.toUpperCase()}` : '';
+    const snippet = result.snippet
+      .map(part => part.match ? `<mark>${escapeHtml(part.text)}</mark>` : escapeHtml(part.text))
+      .join('');
+    return `
+      <li class="search-palette-result${index === 0 ? ' active' : ''}" role="option" data-index="${index}"
+        aria-selected="${index === 0}">
+        <div class="search-palette-result-header">
+          <span class="search-palette-result-title">${escapeHtml(title)}</span>
+          <span class="search-palette-result-meta">${escapeHtml(`${result.collection}/${result.slug}${locale}`)}</span>
+        </div>
+        <div class="search-palette-result-field">${escapeHtml(fieldLabel(result.field))}</div>
+        <div class="search-palette-result-snippet">${snippet}</div>
+      </li>
+    `;
+  }).join('');
+}
+
+function setActive(index) {
+  const items = document.querySelectorAll('#searchPaletteModal [data-index]');
+  items[activeIndex]?.classList.remove('active');
+  items[activeIndex]?.setAttribute('aria-selected', 'false');
+  activeIndex = index;
+  items[activeIndex]?.classList.add('active');
+  items[activeIndex]?.setAttribute('aria-selected', 'true');
+  items[activeIndex]?.scrollIntoView({ block: 'nearest' });
+}
+
+function choose(index) {
+  const result = results[index];
+  if (!result) return;
+  const callback = onSelectCallback;
+  closeSearchPalette();
+  callback?.(result);
+}
+
+/**
+ * Readable label for a field path: 'blocks[0].heading' -> 'Blocks 1 › Heading'
+ */
+function fieldLabel(fieldPath) {
+  return fieldPath
+    .split('.')
+    .map(part => part
+      .replace(/\[(\d+)\]/g, (_, n) => ` ${Number(n) + 1}`)
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .replace(/[_-]/g, ' ')
+      .replace(/^\w/, c => c.toUpperCase()))
+    .join(' › ');
+}